@@ -0,0 +1,197 @@
+import { createHash } from 'crypto';
+import { encodeBase64 } from 'tweetnacl-util';
+import { AmiXAttachments } from '../src/services/attachments';
+import { AmiXMediaEncryption } from '../src/utils/mediaEncryption';
+import { AmiXStorage } from '../src/utils/storage';
+
+// AmiX Attachments Testing Suite
+// Chunked uploads and downloads against an in-memory attachment store:
+// skipping chunks the server holds, resuming, and refusing altered data.
+
+jest.mock('expo-file-system', () => {
+  const mockFiles = new Map();
+  return {
+    mockFiles,
+    cacheDirectory: 'file:///cache/',
+    EncodingType: { Base64: 'base64' },
+    makeDirectoryAsync: async () => {},
+    readAsStringAsync: async path => mockFiles.get(path),
+    writeAsStringAsync: async (path, data) => {
+      mockFiles.set(path, data);
+    },
+    getInfoAsync: async path => (mockFiles.has(path)
+      ? { exists: true, size: Buffer.from(mockFiles.get(path), 'base64').length }
+      : { exists: false }),
+  };
+});
+
+jest.mock('expo-crypto', () => ({
+  ...jest.requireActual('expo-crypto'),
+  digest: async (algorithm, data) => {
+    const digest = require('crypto').createHash('sha256').update(Buffer.from(data)).digest();
+    return digest.buffer.slice(digest.byteOffset, digest.byteOffset + digest.length);
+  },
+}));
+
+const { mockFiles } = require('expo-file-system');
+
+const sha256 = bytes => createHash('sha256').update(Buffer.from(bytes)).digest('hex');
+const bytes = (length, fill) => new Uint8Array(length).fill(fill);
+
+const respond = (status, data) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => ({ status: 'success', data }),
+});
+
+describe('AmiXAttachments', () => {
+  const originalFetch = global.fetch;
+  let stored;
+  let session;
+  let uploads;
+
+  // The attachment endpoints, holding one session
+  const server = async (url, options = {}) => {
+    const path = url.replace('/api/v1/attachments', '');
+    const skipStored = () => {
+      while (session.nextChunk < session.chunks.length && stored.has(session.chunks[session.nextChunk].hash)) {
+        session.nextChunk += 1;
+      }
+      return respond(200, { nextChunk: session.nextChunk });
+    };
+
+    if (path === '' && options.method === 'POST') {
+      session = { id: 'att-1', chunks: JSON.parse(options.body).chunks, nextChunk: 0, complete: false };
+      session.size = session.chunks.reduce((total, chunk) => total + chunk.size, 0);
+      skipStored();
+      return respond(201, { id: session.id, size: session.size, nextChunk: session.nextChunk });
+    }
+    if (path === '/att-1/upload') return respond(200, { nextChunk: session.nextChunk });
+    if (path.startsWith('/att-1/chunks/') && options.method === 'PUT') {
+      stored.set(sha256(options.body), options.body);
+      session.nextChunk += 1;
+      return skipStored();
+    }
+    if (path === '/att-1/complete') {
+      session.complete = true;
+      return respond(200, null);
+    }
+    if (path === '/att-1') return respond(200, { chunks: session.chunks });
+    if (path === '/att-1/content') {
+      const [, start, end] = /bytes=(\d+)-(\d+)/.exec(options.headers.Range).map(Number);
+      const content = Buffer.concat(session.chunks.map(chunk => Buffer.from(stored.get(chunk.hash))));
+      const slice = new Uint8Array(content.subarray(start, end + 1));
+      return { ok: true, status: 206, arrayBuffer: async () => slice.buffer };
+    }
+    return respond(404);
+  };
+
+  // Three encrypted chunks on disk, as the media encryption leaves them
+  const encryptedChunks = [bytes(8, 1), bytes(8, 2), bytes(4, 3)];
+
+  beforeEach(() => {
+    mockFiles.clear();
+    stored = new Map();
+    session = null;
+    uploads = {};
+    global.fetch = jest.fn(server);
+
+    encryptedChunks.forEach((chunk, index) => {
+      mockFiles.set(`file:///cache/upload/chunk_${index}.enc`, encodeBase64(chunk));
+    });
+    jest.spyOn(AmiXMediaEncryption, 'createEncryptedStream').mockResolvedValue({
+      tempDir: 'file:///cache/upload/',
+      fileKey: bytes(32, 9),
+      header: bytes(24, 8),
+      chunks: encryptedChunks.map((chunk, index) => ({ path: `file:///cache/upload/chunk_${index}.enc`, size: chunk.length })),
+    });
+    jest.spyOn(AmiXMediaEncryption, 'cleanupTempFiles').mockResolvedValue();
+    jest.spyOn(AmiXStorage, 'getPendingUploads').mockImplementation(async () => ({ ...uploads }));
+    jest.spyOn(AmiXStorage, 'storePendingUploads').mockImplementation(async (value) => {
+      uploads = value;
+      return true;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    global.fetch = originalFetch;
+  });
+
+  const chunkPuts = () => global.fetch.mock.calls.filter(([, options]) => options?.method === 'PUT');
+
+  describe('Upload', () => {
+    test('should upload only the chunks the server does not hold', async () => {
+      stored.set(sha256(encryptedChunks[0]), encryptedChunks[0]);
+
+      const pointer = await AmiXAttachments.upload('file:///photos/cat.jpg', { ttl: 3600000 });
+
+      expect(chunkPuts().map(([url]) => url)).toEqual([
+        '/api/v1/attachments/att-1/chunks/1',
+        '/api/v1/attachments/att-1/chunks/2',
+      ]);
+      expect(session.complete).toBe(true);
+      expect(pointer).toMatchObject({ id: 'att-1', size: 20, name: 'cat.jpg', mimeType: 'image/jpeg' });
+      expect(pointer.digest).toBe(sha256(Buffer.from(encryptedChunks.map(sha256).join(''), 'hex')));
+      expect(uploads).toEqual({});
+      expect(AmiXMediaEncryption.cleanupTempFiles).toHaveBeenCalledWith('file:///cache/upload/');
+    });
+
+    test('should resume an interrupted upload where the server stopped', async () => {
+      global.fetch = jest.fn(async (url, options) => (url.endsWith('/chunks/1') ? respond(503) : server(url, options)));
+      await expect(AmiXAttachments.upload('file:///photos/cat.jpg')).rejects.toThrow('Chunk upload failed with status 503');
+      expect(Object.keys(uploads)).toEqual(['att-1']);
+
+      global.fetch = jest.fn(server);
+      const [pointer] = await AmiXAttachments.resumePendingUploads();
+
+      expect(chunkPuts().map(([url]) => url)).toEqual([
+        '/api/v1/attachments/att-1/chunks/1',
+        '/api/v1/attachments/att-1/chunks/2',
+      ]);
+      expect(pointer.id).toBe('att-1');
+      expect(uploads).toEqual({});
+    });
+  });
+
+  describe('Download', () => {
+    let pointer;
+
+    beforeEach(async () => {
+      pointer = await AmiXAttachments.upload('file:///photos/cat.jpg');
+      global.fetch.mockClear();
+      jest.spyOn(AmiXMediaEncryption, 'decryptStream').mockImplementation(async (stream, keys, outputPath) => outputPath);
+    });
+
+    test('should fetch every chunk by range and hand them to decryption', async () => {
+      expect(await AmiXAttachments.download(pointer, 'file:///docs/cat.jpg')).toBe('file:///docs/cat.jpg');
+
+      const ranges = global.fetch.mock.calls.filter(([url]) => url.endsWith('/content')).map(([, options]) => options.headers.Range);
+      expect(ranges).toEqual(['bytes=0-7', 'bytes=8-15', 'bytes=16-19']);
+      const [stream] = AmiXMediaEncryption.decryptStream.mock.calls[0];
+      expect(stream.chunks.map(chunk => chunk.path)).toEqual([0, 1, 2].map(index => `file:///cache/amix_attachment_att-1/chunk_${index}.enc`));
+    });
+
+    test('should keep chunks an earlier attempt already downloaded', async () => {
+      mockFiles.set('file:///cache/amix_attachment_att-1/chunk_0.enc', encodeBase64(encryptedChunks[0]));
+
+      await AmiXAttachments.download(pointer, 'file:///docs/cat.jpg');
+
+      const ranges = global.fetch.mock.calls.filter(([url]) => url.endsWith('/content')).map(([, options]) => options.headers.Range);
+      expect(ranges).toEqual(['bytes=8-15', 'bytes=16-19']);
+    });
+
+    test('should refuse a chunk list the sender did not upload', async () => {
+      session.chunks = [...session.chunks].reverse();
+
+      await expect(AmiXAttachments.download(pointer, 'file:///docs/cat.jpg')).rejects.toThrow('Attachment digest mismatch');
+    });
+
+    test('should refuse a chunk whose bytes do not match its hash', async () => {
+      stored.set(session.chunks[1].hash, bytes(8, 7));
+
+      await expect(AmiXAttachments.download(pointer, 'file:///docs/cat.jpg')).rejects.toThrow('Attachment chunk hash mismatch');
+      expect(AmiXMediaEncryption.decryptStream).not.toHaveBeenCalled();
+    });
+  });
+});
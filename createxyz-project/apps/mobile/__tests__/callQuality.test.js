@@ -0,0 +1,181 @@
+import { AmiXCallQuality, QUALITY_CONFIG } from '../src/utils/callQuality';
+
+// AmiX Call Quality Testing Suite
+// Drives the quality controller with getStats() reports recorded from
+// calls on a clean link, a congested link and a borderline one.
+
+// Recorded reports, trimmed to the fields the controller reads
+const recordedReport = ({ at, rtt, bandwidth, jitter, received, lost, fractionLost }) => new Map([
+  ['CP1', {
+    id: 'CP1',
+    type: 'candidate-pair',
+    timestamp: at,
+    state: 'succeeded',
+    nominated: true,
+    currentRoundTripTime: rtt,
+    availableOutgoingBitrate: bandwidth,
+  }],
+  ['CP2', {
+    id: 'CP2',
+    type: 'candidate-pair',
+    timestamp: at,
+    state: 'failed',
+    currentRoundTripTime: 2.5,
+    availableOutgoingBitrate: 10000,
+  }],
+  ['IA', {
+    id: 'IA',
+    type: 'inbound-rtp',
+    kind: 'audio',
+    timestamp: at,
+    jitter,
+    packetsReceived: received,
+    packetsLost: lost,
+  }],
+  ['RIA', {
+    id: 'RIA',
+    type: 'remote-inbound-rtp',
+    kind: 'audio',
+    timestamp: at,
+    roundTripTime: rtt,
+    fractionLost,
+  }],
+]);
+
+// Good Wi-Fi until the uplink saturates (a backup starts uploading)
+const congestedCall = [
+  { at: 0, rtt: 0.04, bandwidth: 5200000, jitter: 0.004, received: 500, lost: 0, fractionLost: 0 },
+  { at: 2000, rtt: 0.05, bandwidth: 5000000, jitter: 0.005, received: 1000, lost: 1, fractionLost: 0 },
+  { at: 4000, rtt: 0.32, bandwidth: 900000, jitter: 0.035, received: 1400, lost: 13, fractionLost: 0.02 },
+  { at: 6000, rtt: 0.35, bandwidth: 850000, jitter: 0.04, received: 1800, lost: 25, fractionLost: 0.04 },
+  { at: 8000, rtt: 0.34, bandwidth: 880000, jitter: 0.04, received: 2200, lost: 37, fractionLost: 0.03 },
+];
+
+// A wired link with plenty of headroom, sampled for a minute
+const cleanLink = Array.from({ length: 30 }, (_, i) => ({
+  at: i * QUALITY_CONFIG.POLL_INTERVAL,
+  rtt: 0.03,
+  bandwidth: 8000000,
+  jitter: 0.003,
+  received: 500 * (i + 1),
+  lost: 0,
+  fractionLost: 0,
+}));
+
+// A link hovering right at the high limits
+const borderlineSamples = (from, count) => Array.from({ length: count }, (_, i) => ({
+  at: from + i * QUALITY_CONFIG.POLL_INTERVAL,
+  rtt: i % 2 ? 0.2 : 0.24,
+  bandwidth: i % 2 ? 1900000 : 2000000,
+  jitter: 0.02,
+  received: 1000 * (i + 1),
+  lost: 0,
+  fractionLost: 0.005,
+}));
+
+const replay = (samples, level, ceiling) => {
+  let state = AmiXCallQuality.createState(level, samples[0].at, ceiling);
+  let previous = null;
+  const changes = [];
+
+  for (const sample of samples) {
+    const summary = AmiXCallQuality.summarizeStats(recordedReport(sample), previous);
+    previous = summary;
+
+    const decision = AmiXCallQuality.decide(state, summary, sample.at);
+    state = decision.state;
+    if (decision.changed) {
+      changes.push({ at: sample.at, level: decision.level, reason: decision.reason });
+    }
+  }
+
+  return { state, changes };
+};
+
+describe('AmiXCallQuality', () => {
+  describe('Stats summary', () => {
+    test('should read RTT and bandwidth from the selected candidate pair', () => {
+      const summary = AmiXCallQuality.summarizeStats(recordedReport(congestedCall[0]));
+
+      expect(summary.rtt).toBe(40);
+      expect(summary.availableBandwidth).toBe(5200000);
+      expect(summary.jitter).toBe(4);
+    });
+
+    test('should compute loss over the interval since the previous sample', () => {
+      const first = AmiXCallQuality.summarizeStats(recordedReport(congestedCall[1]));
+      const second = AmiXCallQuality.summarizeStats(recordedReport(congestedCall[2]), first);
+
+      // 12 lost against 400 received since the last sample
+      expect(second.packetLoss).toBeGreaterThan(0.029);
+      expect(second.packetLoss).toBeLessThan(0.03);
+    });
+
+    test('should leave metrics the browser did not report as null', () => {
+      const summary = AmiXCallQuality.summarizeStats([
+        { type: 'inbound-rtp', timestamp: 10, packetsReceived: 0, packetsLost: 0 },
+      ]);
+
+      expect(summary.rtt).toBeNull();
+      expect(summary.availableBandwidth).toBeNull();
+      expect(summary.packetLoss).toBeNull();
+      expect(AmiXCallQuality.supportedLevel(summary)).toBe('ultra');
+    });
+  });
+
+  describe('Levels', () => {
+    test('should map samples to the highest level they support', () => {
+      const good = AmiXCallQuality.summarizeStats(recordedReport(congestedCall[0]));
+      const bad = AmiXCallQuality.summarizeStats(recordedReport(congestedCall[3]));
+
+      expect(AmiXCallQuality.supportedLevel(good)).toBe('ultra');
+      expect(AmiXCallQuality.supportedLevel(bad)).toBe('medium');
+    });
+
+    test('should reject unknown levels', () => {
+      expect(() => AmiXCallQuality.createState('extreme')).toThrow('Unknown quality level');
+    });
+  });
+
+  describe('Decisions', () => {
+    test('should drop after consecutive bad samples, not after one', () => {
+      const { changes } = replay(congestedCall, 'high');
+
+      expect(changes).toHaveLength(1);
+      expect(changes[0]).toEqual({ at: 6000, level: 'medium', reason: 'degraded' });
+    });
+
+    test('should climb one level at a time after holding', () => {
+      const { changes, state } = replay(cleanLink, 'low');
+
+      expect(changes.map(change => change.level)).toEqual(['medium', 'high', 'ultra']);
+      for (let i = 1; i < changes.length; i++) {
+        expect(changes[i].at - changes[i - 1].at).toBeGreaterThanOrEqual(QUALITY_CONFIG.MIN_HOLD);
+      }
+      expect(state.level).toBe('ultra');
+    });
+
+    test('should not flap on a borderline link', () => {
+      const { changes } = replay(borderlineSamples(0, 40), 'medium');
+
+      // Good enough for high, never comfortably enough to climb to it
+      expect(changes).toHaveLength(0);
+    });
+
+    test('should not go above the ceiling', () => {
+      const { state } = replay(cleanLink, 'low', 'medium');
+
+      expect(state.level).toBe('medium');
+    });
+
+    test('should leave the input state untouched', () => {
+      const state = AmiXCallQuality.createState('high', 0);
+      const summary = AmiXCallQuality.summarizeStats(recordedReport(congestedCall[3]));
+
+      AmiXCallQuality.decide(state, summary, 2000);
+
+      expect(state.badSamples).toBe(0);
+      expect(state.level).toBe('high');
+    });
+  });
+});
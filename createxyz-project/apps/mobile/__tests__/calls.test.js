@@ -0,0 +1,223 @@
+import { AmiXCalls } from '../src/services/calls';
+import { AmiXWebRTC } from '../src/services/webrtc';
+import { signalingService } from '../src/services/signaling';
+import { AmiXNotifications } from '../src/services/notifications';
+import { AmiXStorage } from '../src/utils/storage';
+import { AmiXAnalytics } from '../src/utils/analytics';
+
+// AmiX Calls Testing Suite
+// Signals from the signaling service reaching the call and peer connection
+// handlers once the app has started them, the call state machine, and how
+// incoming invitations are answered when we are busy or calling back.
+
+describe('AmiXCalls', () => {
+  describe('Signaling', () => {
+    const originalFetch = global.fetch;
+
+    beforeAll(async () => {
+      global.RTCPeerConnection = class {};
+      global.fetch = async () => ({
+        ok: true,
+        json: async () => ({ data: { iceServers: [], expiresAt: Date.now() + 60000 } }),
+      });
+
+      await AmiXWebRTC.initialize();
+      await AmiXCalls.initialize();
+    });
+
+    afterAll(async () => {
+      await AmiXWebRTC.cleanup();
+      clearInterval(AmiXCalls.cleanupTimer);
+      delete global.RTCPeerConnection;
+      global.fetch = originalFetch;
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should route call invitations to the call handler', async () => {
+      const handleCallInvitation = jest.spyOn(AmiXCalls, 'handleCallInvitation').mockResolvedValue();
+
+      signalingService.emit('call-invitation', { from: 'AMX-BOB', data: { encrypted: 'x' } });
+
+      expect(handleCallInvitation).toHaveBeenCalledWith('AMX-BOB', { encrypted: 'x' });
+    });
+
+    test('should route offers to the peer connection handler', async () => {
+      jest.spyOn(AmiXWebRTC, 'connectToPeer').mockResolvedValue({ type: 'answer', sdp: 'v=0' });
+      const sendSignal = jest.spyOn(signalingService, 'sendSignal').mockResolvedValue(true);
+
+      signalingService.emit('offer', { from: 'AMX-BOB', data: { sdp: { type: 'offer', sdp: 'v=0' } } });
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(AmiXWebRTC.connectToPeer).toHaveBeenCalledWith('AMX-BOB', { type: 'offer', sdp: 'v=0' });
+      expect(sendSignal).toHaveBeenCalledWith('AMX-BOB', { type: 'answer', sdp: { type: 'answer', sdp: 'v=0' } });
+    });
+
+    test('should listen only once when started again', async () => {
+      const handleCallEnd = jest.spyOn(AmiXCalls, 'handleCallEnd').mockResolvedValue();
+
+      await AmiXCalls.initialize();
+      signalingService.emit('call-end', { from: 'AMX-BOB', data: {} });
+
+      expect(handleCallEnd).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('State machine', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should follow a call from ringing to connected and announce each step', async () => {
+      const callSession = await AmiXCalls.createCallSession('call-1', 'AMX-BOB', 'audio', 'outgoing');
+      const changes = [];
+      const listener = change => changes.push(change);
+      AmiXCalls.on('callStateChanged', listener);
+
+      AmiXCalls.transition(callSession, AmiXCalls.CALL_STATES.RINGING);
+      AmiXCalls.transition(callSession, AmiXCalls.CALL_STATES.CONNECTING);
+      AmiXCalls.transition(callSession, AmiXCalls.CALL_STATES.CONNECTED);
+      AmiXCalls.off('callStateChanged', listener);
+
+      expect(changes.map(({ previousState, state }) => `${previousState}->${state}`))
+        .toEqual(['idle->ringing', 'ringing->connecting', 'connecting->connected']);
+      expect(callSession.connectedAt).toEqual(expect.any(Number));
+    });
+
+    test('should keep the first connect time across reconnects', async () => {
+      const callSession = await AmiXCalls.createCallSession('call-1', 'AMX-BOB', 'audio', 'outgoing');
+      callSession.state = AmiXCalls.CALL_STATES.CONNECTED;
+      callSession.connectedAt = 1000;
+
+      AmiXCalls.transition(callSession, AmiXCalls.CALL_STATES.RECONNECTING);
+      AmiXCalls.transition(callSession, AmiXCalls.CALL_STATES.CONNECTED);
+
+      expect(callSession.connectedAt).toBe(1000);
+    });
+
+    test('should refuse transitions the state machine does not allow', async () => {
+      const callSession = await AmiXCalls.createCallSession('call-1', 'AMX-BOB', 'audio', 'outgoing');
+
+      expect(() => AmiXCalls.transition(callSession, AmiXCalls.CALL_STATES.CONNECTED))
+        .toThrow('Invalid call transition: idle -> connected');
+
+      callSession.state = AmiXCalls.CALL_STATES.BUSY;
+      expect(AmiXCalls.isFinished(callSession)).toBe(true);
+      expect(() => AmiXCalls.transition(callSession, AmiXCalls.CALL_STATES.RINGING)).toThrow('Invalid call transition');
+      expect(callSession.state).toBe(AmiXCalls.CALL_STATES.BUSY);
+    });
+  });
+
+  describe('Invitations', () => {
+    let invitations;
+
+    const invite = (senderId, callId, extra = {}) => {
+      invitations.set(callId, { callId, callType: 'audio', offer: 'v=0', mediaKey: 'key', timestamp: Date.now(), ...extra });
+      return AmiXCalls.handleCallInvitation(senderId, { payload: callId });
+    };
+
+    // A call of ours to this peer that hasn't been answered yet
+    const ringOut = async (recipientId, callId) => {
+      const callSession = await AmiXCalls.createCallSession(callId, recipientId, 'audio', 'outgoing');
+      AmiXCalls.activeCalls.set(callId, callSession);
+      AmiXCalls.transition(callSession, AmiXCalls.CALL_STATES.RINGING);
+      return callSession;
+    };
+
+    beforeEach(() => {
+      invitations = new Map();
+      AmiXCalls.activeCalls.clear();
+      AmiXCalls.callHistory = [];
+
+      jest.spyOn(AmiXCalls, 'decryptSignalingData').mockImplementation(async ({ payload }) => invitations.get(payload));
+      jest.spyOn(AmiXCalls, 'encryptSignalingData').mockImplementation(async data => ({ payload: data }));
+      jest.spyOn(AmiXCalls, 'sendCallRejection').mockResolvedValue(true);
+      jest.spyOn(AmiXCalls, 'sendCallEnd').mockResolvedValue(true);
+      jest.spyOn(AmiXNotifications, 'sendNotification').mockResolvedValue();
+      jest.spyOn(AmiXAnalytics, 'trackEvent').mockResolvedValue();
+      jest.spyOn(AmiXStorage, 'store').mockResolvedValue(true);
+    });
+
+    afterEach(() => {
+      AmiXCalls.activeCalls.forEach(callSession => AmiXCalls.clearCallTimers(callSession));
+      AmiXCalls.activeCalls.clear();
+      jest.restoreAllMocks();
+    });
+
+    test('should ring for an invitation', async () => {
+      await invite('AMX-BOB', 'call-b');
+
+      expect(AmiXCalls.getActiveCall('call-b').state).toBe(AmiXCalls.CALL_STATES.RINGING);
+      expect(AmiXNotifications.sendNotification).toHaveBeenCalledWith(
+        AmiXNotifications.NOTIFICATION_TYPES.CALL,
+        expect.objectContaining({ senderId: 'AMX-BOB', callId: 'call-b', event: 'incoming' }),
+        expect.any(Object)
+      );
+    });
+
+    test('should keep the lower call ID when both sides call at once', async () => {
+      const ownCall = await ringOut('AMX-BOB', 'call-b');
+      const incoming = jest.fn();
+      AmiXCalls.on('incomingCall', incoming);
+
+      await invite('AMX-BOB', 'call-a');
+      AmiXCalls.off('incomingCall', incoming);
+
+      expect(ownCall.state).toBe(AmiXCalls.CALL_STATES.DISCONNECTED);
+      expect(ownCall.endReason).toBe('glare');
+      expect(AmiXCalls.sendCallEnd).not.toHaveBeenCalled();
+      expect(AmiXCalls.getActiveCall('call-a').state).toBe(AmiXCalls.CALL_STATES.RINGING);
+      expect(incoming).toHaveBeenCalledWith(expect.objectContaining({ callId: 'call-a', glare: true }));
+      expect(AmiXCalls.callHistory).toEqual([]);
+    });
+
+    test('should ignore the other side of glare when our call ID is lower', async () => {
+      const ownCall = await ringOut('AMX-BOB', 'call-a');
+
+      await invite('AMX-BOB', 'call-b');
+
+      expect(ownCall.state).toBe(AmiXCalls.CALL_STATES.RINGING);
+      expect(AmiXCalls.getActiveCall('call-b')).toBeUndefined();
+      expect(AmiXCalls.sendCallRejection).not.toHaveBeenCalled();
+    });
+
+    test('should answer busy while in another call and record it as missed', async () => {
+      const ongoing = await ringOut('AMX-CAT', 'call-c');
+      AmiXCalls.transition(ongoing, AmiXCalls.CALL_STATES.CONNECTING);
+
+      await invite('AMX-BOB', 'call-b');
+
+      expect(AmiXCalls.sendCallRejection).toHaveBeenCalledWith('AMX-BOB', {
+        payload: expect.objectContaining({ callId: 'call-b', reason: 'busy' }),
+      });
+      expect(AmiXCalls.getActiveCall('call-b')).toBeUndefined();
+      expect(AmiXCalls.callHistory[0]).toMatchObject({
+        callId: 'call-b',
+        direction: 'incoming',
+        outcome: AmiXCalls.CALL_OUTCOMES.MISSED,
+        endReason: 'busy',
+      });
+    });
+
+    test('should record invitations that stopped ringing while we were offline as missed', async () => {
+      await invite('AMX-BOB', 'call-b', { timestamp: Date.now() - AmiXCalls.RING_TIMEOUT - 1000 });
+
+      expect(AmiXCalls.getActiveCall('call-b')).toBeUndefined();
+      expect(AmiXCalls.callHistory[0]).toMatchObject({ callId: 'call-b', outcome: AmiXCalls.CALL_OUTCOMES.MISSED, endReason: 'timeout' });
+      expect(AmiXNotifications.sendNotification).toHaveBeenCalledWith(
+        AmiXNotifications.NOTIFICATION_TYPES.CALL,
+        expect.objectContaining({ callId: 'call-b', event: AmiXCalls.CALL_OUTCOMES.MISSED }),
+        { groupable: true }
+      );
+    });
+
+    test('should not ring twice for a repeated invitation', async () => {
+      await invite('AMX-BOB', 'call-b');
+      await invite('AMX-BOB', 'call-b');
+
+      expect(AmiXNotifications.sendNotification).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -98,75 +98,344 @@ describe('AmiXCrypto', () => {
         AmiXCrypto.performKeyExchange('invalid', 'invalid')
       ).rejects.toThrow();
     });
+
+    const buildBundle = async (bobKeys, withOneTimePreKey = true) => {
+      const signedPreKey = await AmiXCrypto.generateSignedPreKey(bobKeys, 1);
+      const [oneTimePreKey] = AmiXCrypto.generateOneTimePreKeys(1, 1);
+
+      return {
+        signedPreKey,
+        oneTimePreKey,
+        bundle: {
+          identityKey: bobKeys.current.publicKey,
+          signingKey: bobKeys.current.signingPublicKey,
+          signedPreKey: {
+            keyId: signedPreKey.keyId,
+            publicKey: signedPreKey.publicKey,
+            signature: signedPreKey.signature,
+          },
+          oneTimePreKey: withOneTimePreKey
+            ? { keyId: oneTimePreKey.keyId, publicKey: oneTimePreKey.publicKey }
+            : null,
+        },
+      };
+    };
+
+    test('should derive the same secret from a prekey bundle', async () => {
+      const aliceKeys = await AmiXCrypto.generateIdentityKeys();
+      const bobKeys = await AmiXCrypto.generateIdentityKeys();
+      const { signedPreKey, oneTimePreKey, bundle } = await buildBundle(bobKeys);
+
+      const alice = await AmiXCrypto.x3dhInitiate(aliceKeys, bundle);
+      const bob = await AmiXCrypto.x3dhRespond(
+        bobKeys,
+        { signedPreKey, oneTimePreKey },
+        alice.header
+      );
+
+      expect(alice.header.oneTimePreKeyId).toBe(oneTimePreKey.keyId);
+      expect(alice.sharedSecret).toBe(bob.sharedSecret);
+      expect(alice.associatedData).toBe(bob.associatedData);
+    });
+
+    test('should work without a one-time prekey', async () => {
+      const aliceKeys = await AmiXCrypto.generateIdentityKeys();
+      const bobKeys = await AmiXCrypto.generateIdentityKeys();
+      const { signedPreKey, bundle } = await buildBundle(bobKeys, false);
+
+      const alice = await AmiXCrypto.x3dhInitiate(aliceKeys, bundle);
+      const bob = await AmiXCrypto.x3dhRespond(bobKeys, { signedPreKey }, alice.header);
+
+      expect(alice.sharedSecret).toBe(bob.sharedSecret);
+    });
+
+    test('should reject a bundle with a forged signed prekey', async () => {
+      const aliceKeys = await AmiXCrypto.generateIdentityKeys();
+      const bobKeys = await AmiXCrypto.generateIdentityKeys();
+      const malloryKeys = await AmiXCrypto.generateIdentityKeys();
+      const { bundle } = await buildBundle(bobKeys);
+      const forged = await AmiXCrypto.generateSignedPreKey(malloryKeys, 1);
+
+      bundle.signedPreKey = {
+        keyId: forged.keyId,
+        publicKey: forged.publicKey,
+        signature: forged.signature,
+      };
+
+      await expect(AmiXCrypto.x3dhInitiate(aliceKeys, bundle)).rejects.toThrow();
+    });
   });
 
   describe('Double Ratchet', () => {
-    test('should create ratchet state', async () => {
+    // Alice initiates against Bob's ratchet (signed pre)key, as after X3DH
+    const createSession = async (options = {}) => {
       const sharedSecret = await AmiXCrypto.generateRandomBytes(32);
-      const ourKeys = await AmiXCrypto.generateIdentityKeys();
-      const theirKeys = await AmiXCrypto.generateIdentityKeys();
-      
-      const ratchetState = await AmiXCrypto.createRatchetState(
-        AmiXCrypto.bytesToHex(sharedSecret),
-        ourKeys.privateKey,
-        theirKeys.publicKey
+      const bobRatchetKeys = await AmiXCrypto.generateSignedPreKey(
+        await AmiXCrypto.generateIdentityKeys(),
+        1
       );
-      
-      expect(ratchetState).toBeDefined();
-      expect(ratchetState.rootKey).toBeDefined();
-      expect(ratchetState.chainKey).toBeDefined();
-      expect(ratchetState.messageCount).toBe(0);
+
+      const alice = await AmiXCrypto.createRatchetState(
+        sharedSecret,
+        null,
+        bobRatchetKeys.publicKey,
+        options
+      );
+      const bob = await AmiXCrypto.createRatchetState(
+        sharedSecret,
+        bobRatchetKeys.privateKey,
+        null,
+        options
+      );
+
+      return { alice, bob };
+    };
+
+    test('should create ratchet state', async () => {
+      const { alice, bob } = await createSession();
+
+      expect(alice.rootKey).toBeDefined();
+      expect(alice.sendingChainKey).toBeDefined();
+      expect(alice.receivingRatchetKey).toBe(bob.sendingRatchetKey.publicKey);
+      expect(alice.messageCount).toBe(0);
+
+      // The responder can't send until the first message arrives
+      expect(bob.sendingChainKey).toBeNull();
+      await expect(AmiXCrypto.encryptMessage('too early', bob)).rejects.toThrow();
     });
 
     test('should encrypt and decrypt messages', async () => {
-      const sharedSecret = await AmiXCrypto.generateRandomBytes(32);
-      const ourKeys = await AmiXCrypto.generateIdentityKeys();
-      const theirKeys = await AmiXCrypto.generateIdentityKeys();
-      
-      const ratchetState = await AmiXCrypto.createRatchetState(
-        AmiXCrypto.bytesToHex(sharedSecret),
-        ourKeys.privateKey,
-        theirKeys.publicKey
-      );
-      
+      const { alice, bob } = await createSession();
+
       const originalMessage = 'Hello, AmiX!';
-      const encrypted = await AmiXCrypto.encryptMessage(originalMessage, ratchetState);
-      
+      const encrypted = await AmiXCrypto.encryptMessage(originalMessage, alice);
+
       expect(encrypted).toBeDefined();
       expect(encrypted.ciphertext).toBeDefined();
-      expect(encrypted.nonce).toBeDefined();
+      expect(encrypted.header).toEqual({
+        dh: alice.sendingRatchetKey.publicKey,
+        pn: 0,
+        n: 0,
+      });
       expect(encrypted.messageCount).toBe(1);
-      
-      const decrypted = await AmiXCrypto.decryptMessage(encrypted, ratchetState);
+
+      const decrypted = await AmiXCrypto.decryptMessage(encrypted, bob);
       expect(decrypted).toBe(originalMessage);
     });
 
     test('should maintain forward secrecy', async () => {
-      const sharedSecret = await AmiXCrypto.generateRandomBytes(32);
-      const ourKeys = await AmiXCrypto.generateIdentityKeys();
-      const theirKeys = await AmiXCrypto.generateIdentityKeys();
-      
-      const ratchetState = await AmiXCrypto.createRatchetState(
-        AmiXCrypto.bytesToHex(sharedSecret),
-        ourKeys.privateKey,
-        theirKeys.publicKey
-      );
-      
-      const message1 = 'First message';
-      const message2 = 'Second message';
-      
-      const encrypted1 = await AmiXCrypto.encryptMessage(message1, ratchetState);
-      const encrypted2 = await AmiXCrypto.encryptMessage(message2, ratchetState);
-      
+      const { alice, bob } = await createSession();
+
+      const encrypted1 = await AmiXCrypto.encryptMessage('First message', alice);
+      const encrypted2 = await AmiXCrypto.encryptMessage('Second message', alice);
+
       // Messages should be encrypted differently
       expect(encrypted1.ciphertext).not.toBe(encrypted2.ciphertext);
-      
-      // Both should decrypt correctly
-      const decrypted1 = await AmiXCrypto.decryptMessage(encrypted1, ratchetState);
-      const decrypted2 = await AmiXCrypto.decryptMessage(encrypted2, ratchetState);
-      
-      expect(decrypted1).toBe(message1);
-      expect(decrypted2).toBe(message2);
+
+      expect(await AmiXCrypto.decryptMessage(encrypted1, bob)).toBe('First message');
+      expect(await AmiXCrypto.decryptMessage(encrypted2, bob)).toBe('Second message');
+
+      // A used message key is gone: the same message can't be decrypted twice
+      await expect(AmiXCrypto.decryptMessage(encrypted1, bob)).rejects.toThrow();
+    });
+
+    test('should turn the DH ratchet on every reply', async () => {
+      const { alice, bob } = await createSession();
+      const firstAliceKey = alice.sendingRatchetKey.publicKey;
+      const firstBobKey = bob.sendingRatchetKey.publicKey;
+
+      await AmiXCrypto.decryptMessage(await AmiXCrypto.encryptMessage('ping', alice), bob);
+      const reply = await AmiXCrypto.encryptMessage('pong', bob);
+
+      // Bob replies from a fresh ratchet key, not his signed prekey
+      expect(reply.header.dh).not.toBe(firstBobKey);
+      expect(await AmiXCrypto.decryptMessage(reply, alice)).toBe('pong');
+
+      // Alice generated a new ratchet key pair after receiving Bob's reply
+      expect(alice.sendingRatchetKey.publicKey).not.toBe(firstAliceKey);
+      const next = await AmiXCrypto.encryptMessage('again', alice);
+      expect(next.header.pn).toBe(1);
+      expect(next.header.n).toBe(0);
+      expect(await AmiXCrypto.decryptMessage(next, bob)).toBe('again');
+    });
+
+    test('should decrypt reordered messages across ratchet steps', async () => {
+      const { alice, bob } = await createSession();
+
+      const a0 = await AmiXCrypto.encryptMessage('a0', alice);
+      const a1 = await AmiXCrypto.encryptMessage('a1', alice);
+      const a2 = await AmiXCrypto.encryptMessage('a2', alice);
+
+      expect(await AmiXCrypto.decryptMessage(a2, bob)).toBe('a2');
+      expect(bob.skippedKeys).toHaveLength(2);
+
+      // Bob replies, Alice answers on a new chain, then the old ones arrive
+      const b0 = await AmiXCrypto.encryptMessage('b0', bob);
+      expect(await AmiXCrypto.decryptMessage(b0, alice)).toBe('b0');
+      const a3 = await AmiXCrypto.encryptMessage('a3', alice);
+
+      expect(await AmiXCrypto.decryptMessage(a3, bob)).toBe('a3');
+      expect(await AmiXCrypto.decryptMessage(a0, bob)).toBe('a0');
+      expect(await AmiXCrypto.decryptMessage(a1, bob)).toBe('a1');
+      expect(bob.skippedKeys).toHaveLength(0);
+    });
+
+    test('should survive lost messages', async () => {
+      const { alice, bob } = await createSession();
+
+      await AmiXCrypto.encryptMessage('lost 1', alice);
+      await AmiXCrypto.encryptMessage('lost 2', alice);
+      const a2 = await AmiXCrypto.encryptMessage('arrives', alice);
+
+      expect(await AmiXCrypto.decryptMessage(a2, bob)).toBe('arrives');
+
+      const b0 = await AmiXCrypto.encryptMessage('reply', bob);
+      expect(await AmiXCrypto.decryptMessage(b0, alice)).toBe('reply');
+
+      // Keys for the lost messages stay bounded in the skipped-key store
+      expect(bob.skippedKeys).toHaveLength(2);
+    });
+
+    test('should refuse to skip more than MAX_SKIPPED_KEYS messages', async () => {
+      const { alice, bob } = await createSession();
+      const encrypted = await AmiXCrypto.encryptMessage('far ahead', alice);
+
+      const forged = { ...encrypted, header: { ...encrypted.header, n: 10000 } };
+      await expect(AmiXCrypto.decryptMessage(forged, bob)).rejects.toThrow();
+    });
+
+    test('should leave the state untouched when a message is tampered with', async () => {
+      const { alice, bob } = await createSession();
+      const encrypted = await AmiXCrypto.encryptMessage('integrity', alice);
+      const before = JSON.stringify(bob);
+
+      const tampered = {
+        ...encrypted,
+        ciphertext: encrypted.ciphertext.replace(/^./, c => (c === 'A' ? 'B' : 'A')),
+      };
+
+      await expect(AmiXCrypto.decryptMessage(tampered, bob)).rejects.toThrow();
+      expect(JSON.stringify(bob)).toBe(before);
+      expect(await AmiXCrypto.decryptMessage(encrypted, bob)).toBe('integrity');
+    });
+
+    test('should bind the associated data', async () => {
+      const { alice, bob } = await createSession();
+      alice.associatedData = 'alice-ik|bob-ik';
+      bob.associatedData = 'mallory-ik|bob-ik';
+
+      const encrypted = await AmiXCrypto.encryptMessage('bound', alice);
+      await expect(AmiXCrypto.decryptMessage(encrypted, bob)).rejects.toThrow();
+    });
+
+    test('should keep working after a storage round trip', async () => {
+      const { alice, bob } = await createSession();
+      const stored = JSON.parse(JSON.stringify(alice));
+
+      const encrypted = await AmiXCrypto.encryptMessage('persisted', stored);
+      expect(await AmiXCrypto.decryptMessage(encrypted, bob)).toBe('persisted');
+    });
+
+    describe('with header encryption', () => {
+      test('should hide the header and still handle reordering', async () => {
+        const { alice, bob } = await createSession({ headerEncryption: true });
+
+        const a0 = await AmiXCrypto.encryptMessage('h0', alice);
+        const a1 = await AmiXCrypto.encryptMessage('h1', alice);
+
+        expect(typeof a0.header).toBe('string');
+        expect(a0.header).not.toContain(alice.sendingRatchetKey.publicKey);
+
+        expect(await AmiXCrypto.decryptMessage(a1, bob)).toBe('h1');
+
+        const b0 = await AmiXCrypto.encryptMessage('reply', bob);
+        expect(await AmiXCrypto.decryptMessage(b0, alice)).toBe('reply');
+        const a2 = await AmiXCrypto.encryptMessage('h2', alice);
+
+        expect(await AmiXCrypto.decryptMessage(a2, bob)).toBe('h2');
+        expect(await AmiXCrypto.decryptMessage(a0, bob)).toBe('h0');
+      });
+
+      test('should reject headers from another session', async () => {
+        const first = await createSession({ headerEncryption: true });
+        const second = await createSession({ headerEncryption: true });
+
+        const encrypted = await AmiXCrypto.encryptMessage('wrong session', first.alice);
+        await expect(AmiXCrypto.decryptMessage(encrypted, second.bob)).rejects.toThrow();
+      });
+    });
+  });
+
+  describe('Sender Keys', () => {
+    const aad = JSON.stringify({ groupId: 'group-1', messageId: 'm1' });
+
+    const createChains = () => {
+      const sending = AmiXCrypto.createSenderKey();
+      const receiving = AmiXCrypto.createSenderKeyFromDistribution(
+        AmiXCrypto.getSenderKeyDistribution(sending)
+      );
+      return { sending, receiving };
+    };
+
+    test('should not distribute the private signing key', () => {
+      const { sending } = createChains();
+      const distribution = AmiXCrypto.getSenderKeyDistribution(sending);
+
+      expect(distribution.signingPrivateKey).toBeUndefined();
+      expect(distribution.signingPublicKey).toBe(sending.signingPublicKey);
+    });
+
+    test('should encrypt once for every holder of the chain', async () => {
+      const sending = AmiXCrypto.createSenderKey();
+      const distribution = AmiXCrypto.getSenderKeyDistribution(sending);
+      const bob = AmiXCrypto.createSenderKeyFromDistribution(distribution);
+      const carol = AmiXCrypto.createSenderKeyFromDistribution(distribution);
+
+      const encrypted = await AmiXCrypto.senderKeyEncrypt('hello group', sending, { aad });
+
+      expect(await AmiXCrypto.senderKeyDecrypt(encrypted, bob, { aad })).toBe('hello group');
+      expect(await AmiXCrypto.senderKeyDecrypt(encrypted, carol, { aad })).toBe('hello group');
+    });
+
+    test('should handle out-of-order messages and reject replays', async () => {
+      const { sending, receiving } = createChains();
+      const m0 = await AmiXCrypto.senderKeyEncrypt('m0', sending, { aad });
+      const m1 = await AmiXCrypto.senderKeyEncrypt('m1', sending, { aad });
+
+      expect(await AmiXCrypto.senderKeyDecrypt(m1, receiving, { aad })).toBe('m1');
+      expect(await AmiXCrypto.senderKeyDecrypt(m0, receiving, { aad })).toBe('m0');
+      await expect(AmiXCrypto.senderKeyDecrypt(m0, receiving, { aad })).rejects.toThrow();
+    });
+
+    test('should reject messages not signed by the sender', async () => {
+      const { sending, receiving } = createChains();
+      const encrypted = await AmiXCrypto.senderKeyEncrypt('signed', sending, { aad });
+      const before = JSON.stringify(receiving);
+
+      // Any member can compute the MAC, so a forged signature must fail on its own
+      const forger = { ...sending, signingPrivateKey: AmiXCrypto.createSenderKey().signingPrivateKey };
+      const forged = await AmiXCrypto.senderKeyEncrypt('forged', forger, { aad });
+
+      await expect(AmiXCrypto.senderKeyDecrypt(forged, receiving, { aad })).rejects.toThrow('Invalid sender signature');
+      expect(JSON.stringify(receiving)).toBe(before);
+      expect(await AmiXCrypto.senderKeyDecrypt(encrypted, receiving, { aad })).toBe('signed');
+    });
+
+    test('should bind the associated data', async () => {
+      const { sending, receiving } = createChains();
+      const encrypted = await AmiXCrypto.senderKeyEncrypt('bound', sending, { aad });
+
+      await expect(
+        AmiXCrypto.senderKeyDecrypt(encrypted, receiving, { aad: JSON.stringify({ groupId: 'other' }) })
+      ).rejects.toThrow();
+    });
+
+    test('should not read messages from a rotated key', async () => {
+      const { receiving } = createChains();
+      const rotated = AmiXCrypto.createSenderKey();
+      const encrypted = await AmiXCrypto.senderKeyEncrypt('after rotation', rotated, { aad });
+
+      await expect(AmiXCrypto.senderKeyDecrypt(encrypted, receiving, { aad })).rejects.toThrow('Unknown sender key');
     });
   });
 
@@ -202,6 +471,56 @@ describe('AmiXCrypto', () => {
       
       expect(safetyNumber1).toBe(safetyNumber2);
     });
+
+    test('should show both parties the same 60-digit number', async () => {
+      const alice = await AmiXCrypto.generateIdentityKeys();
+      const bob = await AmiXCrypto.generateIdentityKeys();
+
+      const aliceView = await AmiXCrypto.generateSafetyNumber(
+        alice.current.publicKey, bob.current.publicKey, 'alice', 'bob'
+      );
+      const bobView = await AmiXCrypto.generateSafetyNumber(
+        bob.current.publicKey, alice.current.publicKey, 'bob', 'alice'
+      );
+
+      expect(aliceView).toBe(bobView);
+      expect(aliceView).toMatch(/^(\d{5} ){11}\d{5}$/);
+    });
+
+    test('should match the fingerprint vector shared with web', async () => {
+      // Keys 0x00..0x1f and 0xff..0xe0; the web client must produce the same digits
+      const aliceKey = 'AAECAwQFBgcICQoLDA0ODxAREhMUFRYXGBkaGxwdHh8=';
+      const bobKey = '//79/Pv6+fj39vX08/Lx8O/u7ezr6uno5+bl5OPi4eA=';
+
+      expect(AmiXCrypto.computeFingerprint(aliceKey, 'alice')).toBe('312853211110151013083951080530');
+      expect(AmiXCrypto.computeFingerprint(bobKey, 'bob')).toBe('057139774184575576041495828849');
+      expect(await AmiXCrypto.generateSafetyNumber(aliceKey, bobKey, 'alice', 'bob')).toBe(
+        '05713 97741 84575 57604 14958 28849 31285 32111 10151 01308 39510 80530'
+      );
+    });
+
+    test('should verify a scanned safety code', async () => {
+      const alice = await AmiXCrypto.generateIdentityKeys();
+      const bob = await AmiXCrypto.generateIdentityKeys();
+      const mallory = await AmiXCrypto.generateIdentityKeys();
+
+      const code = AmiXCrypto.createSafetyCode(
+        alice.current.publicKey, bob.current.publicKey, 'alice', 'bob'
+      );
+
+      expect(AmiXCrypto.verifySafetyCode(
+        code, bob.current.publicKey, alice.current.publicKey, 'bob', 'alice'
+      )).toBe(true);
+
+      // Bob holding a different key for Alice must not verify
+      expect(AmiXCrypto.verifySafetyCode(
+        code, bob.current.publicKey, mallory.current.publicKey, 'bob', 'alice'
+      )).toBe(false);
+
+      expect(() => AmiXCrypto.verifySafetyCode(
+        'not-a-code', bob.current.publicKey, alice.current.publicKey, 'bob', 'alice'
+      )).toThrow('Not an AmiX safety code');
+    });
   });
 
   describe('Secure Storage', () => {
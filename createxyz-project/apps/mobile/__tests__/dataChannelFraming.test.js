@@ -0,0 +1,95 @@
+import { AmiXFraming, FRAMING_CONFIG, FRAME_TYPES, LANES } from '../src/utils/dataChannelFraming';
+
+// AmiX Data Channel Framing Testing Suite
+// Passes messages from a sender queue through a receiver's reassembly the
+// way AmiXWebRTC does over a channel, one frame at a time.
+
+const messageBytes = (length, seed = 0) => Uint8Array.from({ length }, (_, i) => (i * 7 + seed) & 0xff);
+
+const sameBytes = (a, b) => a.length === b.length && a.every((byte, i) => byte === b[i]);
+
+// Everything the sender has queued, as it would go out on the wire
+const wire = (sender) => {
+  const frames = [];
+  let next;
+  while ((next = AmiXFraming.nextFrame(sender))) {
+    frames.push(next);
+  }
+  return frames;
+};
+
+describe('AmiXFraming', () => {
+  let sender, reassembly;
+
+  beforeEach(() => {
+    sender = AmiXFraming.createSender();
+    reassembly = AmiXFraming.createReassembly();
+  });
+
+  test('should round-trip a frame header', () => {
+    const frame = AmiXFraming.encodeFrame({
+      type: FRAME_TYPES.DATA, lane: LANES.BULK, seq: 0xfffffffe, index: 2, count: 3, payload: messageBytes(5),
+    });
+    const decoded = AmiXFraming.decodeFrame(frame.buffer);
+
+    expect(decoded.seq).toBe(0xfffffffe);
+    expect(decoded.lane).toBe(LANES.BULK);
+    expect(decoded.index).toBe(2);
+    expect(decoded.count).toBe(3);
+    expect(sameBytes(decoded.payload, messageBytes(5))).toBe(true);
+  });
+
+  test('should split large messages into frames and put them back together', () => {
+    const large = messageBytes(FRAMING_CONFIG.MAX_FRAME_SIZE * 3 + 100);
+    AmiXFraming.enqueue(sender, large);
+
+    const frames = wire(sender);
+    expect(frames).toHaveLength(4);
+    frames.forEach(({ frame }) => expect(frame.length).toBeLessThanOrEqual(FRAMING_CONFIG.MAX_FRAME_SIZE));
+
+    const results = frames.map(({ frame }) => AmiXFraming.addFrame(reassembly, AmiXFraming.decodeFrame(frame)));
+    expect(results.slice(0, 3)).toEqual([null, null, null]);
+    expect(sameBytes(results[3].bytes, large)).toBe(true);
+    expect(reassembly.bytes).toBe(0);
+  });
+
+  test('should send higher lanes first and keep order within a lane', () => {
+    const file = AmiXFraming.enqueue(sender, messageBytes(FRAMING_CONFIG.MAX_FRAME_SIZE * 2), LANES.BULK);
+    const first = AmiXFraming.enqueue(sender, messageBytes(10), LANES.MESSAGES);
+    const second = AmiXFraming.enqueue(sender, messageBytes(10, 1), LANES.MESSAGES);
+    const typing = AmiXFraming.enqueue(sender, messageBytes(4), LANES.CONTROL);
+
+    const completed = wire(sender).filter(next => next.done).map(next => next.seq);
+    expect(completed).toEqual([typing, first, second, file]);
+  });
+
+  test('should put acks ahead of queued data and pass meta back when done', () => {
+    AmiXFraming.enqueue(sender, messageBytes(10), LANES.CONTROL, { messageId: 'ping' });
+    AmiXFraming.enqueueAck(sender, 41);
+
+    const [ack, data] = wire(sender);
+    expect(AmiXFraming.decodeFrame(ack.frame).type).toBe(FRAME_TYPES.ACK);
+    expect(ack.seq).toBe(41);
+    expect(data.meta).toEqual({ messageId: 'ping' });
+  });
+
+  test('should reject frames that break the ordering', () => {
+    AmiXFraming.enqueue(sender, messageBytes(FRAMING_CONFIG.MAX_FRAME_SIZE * 2));
+    const [first, second] = wire(sender).map(({ frame }) => AmiXFraming.decodeFrame(frame));
+
+    expect(() => AmiXFraming.addFrame(reassembly, second)).toThrow('unknown message');
+
+    AmiXFraming.addFrame(reassembly, first);
+    expect(() => AmiXFraming.addFrame(reassembly, first)).toThrow('Out-of-order frame');
+  });
+
+  test('should refuse oversized and malformed input', () => {
+    expect(() => AmiXFraming.enqueue(sender, new Uint8Array(FRAMING_CONFIG.MAX_MESSAGE_SIZE + 1)))
+      .toThrow('Message too large');
+    expect(() => AmiXFraming.decodeFrame(new Uint8Array(4))).toThrow('Truncated frame');
+
+    const future = AmiXFraming.encodeFrame({ type: FRAME_TYPES.DATA, lane: LANES.MESSAGES, seq: 1 });
+    future[0] = FRAMING_CONFIG.VERSION + 1;
+    expect(() => AmiXFraming.decodeFrame(future)).toThrow('Unsupported frame version');
+  });
+});
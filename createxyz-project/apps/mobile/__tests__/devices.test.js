@@ -0,0 +1,166 @@
+import { AmiXDevices } from '../src/services/devices';
+import { AmiXPreKeys } from '../src/services/prekeys';
+import { AmiXStorage } from '../src/utils/storage';
+import { SecurityLogger } from '../src/utils/securityLogger';
+
+// AmiX Devices Testing Suite
+// Device lists for fan-out, and linking a new device: codes, fingerprints
+// and the identity sealed from the existing device to the new one.
+
+const respond = (status, data) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => ({ status: 'success', data }),
+});
+
+describe('AmiXDevices', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    AmiXDevices.deviceListCache.clear();
+    AmiXDevices.pendingLink = null;
+    jest.spyOn(AmiXStorage, 'getAmiXId').mockResolvedValue('AMXALICE1');
+    jest.spyOn(SecurityLogger, 'logEvent').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    global.fetch = originalFetch;
+  });
+
+  describe('Device lists', () => {
+    test('should fall back to a single session for identities without devices', async () => {
+      global.fetch = jest.fn(async () => respond(200, { deviceIds: [] }));
+
+      expect(await AmiXDevices.getDeviceIds('AMXBOB123')).toEqual([null]);
+    });
+
+    test('should cache device lists and keep them when a refresh fails', async () => {
+      global.fetch = jest.fn(async () => respond(200, { deviceIds: ['phone-0001', 'laptop-001'] }));
+      await AmiXDevices.getDeviceIds('AMXBOB123');
+      await AmiXDevices.getDeviceIds('AMXBOB123');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+
+      global.fetch = jest.fn(async () => respond(500));
+      expect(await AmiXDevices.getDeviceIds('AMXBOB123', { refresh: true })).toEqual(['phone-0001', 'laptop-001']);
+    });
+
+    test('should leave this device out of our own fan-out', async () => {
+      jest.spyOn(AmiXDevices, 'getDeviceId').mockResolvedValue('phone-0001');
+      global.fetch = jest.fn(async () => respond(200, { deviceIds: ['phone-0001', 'laptop-001'] }));
+
+      expect(await AmiXDevices.getOwnOtherDeviceIds()).toEqual(['laptop-001']);
+    });
+  });
+
+  describe('Linking codes', () => {
+    test('should parse scanned and typed codes', () => {
+      expect(AmiXDevices.parseLinkValue('amix-link:abc123/key%2B%3D')).toEqual({ code: 'ABC123', publicKey: 'key+=' });
+      expect(AmiXDevices.parseLinkValue(' abc-12 3 ')).toEqual({ code: 'ABC123', publicKey: null });
+    });
+
+    test('should show the same short fingerprint for the same key', () => {
+      const fingerprint = AmiXDevices.getLinkFingerprint('AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA=');
+
+      expect(fingerprint).toMatch(/^[0-9A-F]{4} [0-9A-F]{4} [0-9A-F]{4}$/);
+      expect(AmiXDevices.getLinkFingerprint('AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA=')).toBe(fingerprint);
+    });
+  });
+
+  describe('Linking', () => {
+    // The provisioning endpoints, holding one session
+    let session;
+    const server = async (url, options = {}) => {
+      if (url === '/api/v1/devices/provisioning' && options.method === 'POST') {
+        const { publicKey, deviceName } = JSON.parse(options.body);
+        session = { code: 'LINK42', publicKey, deviceName, envelope: null };
+        return respond(201, { code: session.code, expiresAt: Date.now() + 60000 });
+      }
+      if (url === `/api/v1/devices/provisioning/${session?.code}` && options.method === 'POST') {
+        session.envelope = JSON.parse(options.body).envelope;
+        return respond(200, null);
+      }
+      if (url === `/api/v1/devices/provisioning/${session?.code}`) {
+        return respond(200, { publicKey: session.publicKey, deviceName: session.deviceName, platform: 'ios' });
+      }
+      if (url === `/api/v1/devices/provisioning/${session?.code}/envelope`) {
+        return session.envelope ? respond(200, { envelope: session.envelope }) : respond(202, null);
+      }
+      return respond(404);
+    };
+
+    beforeEach(() => {
+      session = null;
+      global.fetch = jest.fn(server);
+    });
+
+    test('should hand the identity to the new device', async () => {
+      const identityKeys = { current: { keyId: 1, publicKey: 'pub', privateKey: 'priv' } };
+      jest.spyOn(AmiXStorage, 'getIdentityKeys').mockResolvedValue(identityKeys);
+      const storeIdentityKeys = jest.spyOn(AmiXStorage, 'storeIdentityKeys').mockResolvedValue(true);
+      const store = jest.spyOn(AmiXStorage, 'store').mockResolvedValue(true);
+      jest.spyOn(AmiXDevices, 'registerDevice').mockResolvedValue({});
+      jest.spyOn(AmiXPreKeys, 'publishPreKeys').mockResolvedValue(true);
+
+      // New device shows a code; the existing device scans it and approves
+      const shown = await AmiXDevices.startLinking('Laptop');
+      const link = await AmiXDevices.lookupLink(shown.qrValue);
+      expect(link.verified).toBe(true);
+      expect(link.fingerprint).toBe(shown.fingerprint);
+      await AmiXDevices.approveLink(link);
+
+      expect(await AmiXDevices.waitForLink()).toEqual({ amixId: 'AMXALICE1' });
+      expect(storeIdentityKeys).toHaveBeenCalledWith(identityKeys);
+      expect(store).toHaveBeenCalledWith(AmiXStorage.STORAGE_KEYS.AMIX_ID, 'AMXALICE1');
+      expect(AmiXPreKeys.publishPreKeys).toHaveBeenCalledWith({ rotate: true });
+      expect(AmiXDevices.pendingLink).toBeNull();
+    });
+
+    test('should keep waiting for the approval when polling is rate limited', async () => {
+      jest.spyOn(AmiXStorage, 'getIdentityKeys').mockResolvedValue({ current: {} });
+      jest.spyOn(AmiXStorage, 'storeIdentityKeys').mockResolvedValue(true);
+      jest.spyOn(AmiXStorage, 'store').mockResolvedValue(true);
+      jest.spyOn(AmiXDevices, 'registerDevice').mockResolvedValue({});
+      jest.spyOn(AmiXPreKeys, 'publishPreKeys').mockResolvedValue(true);
+      const delays = [];
+      jest.spyOn(global, 'setTimeout').mockImplementation((resolve, delay) => {
+        delays.push(delay);
+        resolve();
+        return 0;
+      });
+
+      const shown = await AmiXDevices.startLinking();
+      let polls = 0;
+      global.fetch = jest.fn(async (url, options) => {
+        if (url.endsWith('/envelope')) {
+          polls += 1;
+          if (polls <= 2) return respond(429);
+          if (polls === 3) return respond(202, null);
+        }
+        return server(url, options);
+      });
+      await AmiXDevices.approveLink(await AmiXDevices.lookupLink(shown.qrValue));
+
+      expect(await AmiXDevices.waitForLink()).toEqual({ amixId: 'AMXALICE1' });
+      expect(delays).toEqual([12000, 24000, 24000]);
+    });
+
+    test('should refuse a scanned code whose key the server swapped', async () => {
+      const shown = await AmiXDevices.startLinking();
+      session.publicKey = 'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA=';
+
+      await expect(AmiXDevices.lookupLink(shown.qrValue)).rejects.toThrow('Linking key mismatch');
+    });
+
+    test('should not open an envelope sealed to another key', async () => {
+      await AmiXDevices.startLinking();
+      const otherLink = { ...AmiXDevices.pendingLink };
+      await AmiXDevices.startLinking();
+
+      jest.spyOn(AmiXStorage, 'getIdentityKeys').mockResolvedValue({ current: {} });
+      await AmiXDevices.approveLink(await AmiXDevices.lookupLink(session.code));
+
+      await expect(AmiXDevices.completeLinking(otherLink, session.envelope)).rejects.toThrow('Could not open provisioning envelope');
+    });
+  });
+});
@@ -0,0 +1,136 @@
+import { AmiXDisappearingTimers, DISAPPEARING_TIMERS } from '../src/utils/disappearing';
+import { AmiXDisappearing } from '../src/services/disappearing';
+import { AmiXMessageQueue } from '../src/services/messageQueue';
+import { AmiXMediaEncryption } from '../src/utils/mediaEncryption';
+import { AmiXStorage } from '../src/utils/storage';
+
+// AmiX Disappearing Messages Testing Suite
+// Covers the timer control messages, how two devices settle on a timer, and
+// the sweep that deletes expired messages with their files.
+
+describe('AmiXDisappearingTimers', () => {
+  describe('Expiry', () => {
+    test('should expire a message one timer after it was sent', () => {
+      const sentAt = 1700000000000;
+
+      expect(AmiXDisappearingTimers.expiresAt(sentAt, DISAPPEARING_TIMERS.ONE_HOUR)).toBe(sentAt + 60 * 60 * 1000);
+    });
+
+    test('should never expire messages with the timer off', () => {
+      expect(AmiXDisappearingTimers.expiresAt(1700000000000, DISAPPEARING_TIMERS.OFF)).toBeNull();
+    });
+  });
+
+  describe('Control messages', () => {
+    test('should round-trip a timer change', () => {
+      const content = AmiXDisappearingTimers.createTimerChange(DISAPPEARING_TIMERS.ONE_DAY, 1234);
+
+      expect(AmiXDisappearingTimers.parseTimerChange(content)).toEqual({
+        timer: DISAPPEARING_TIMERS.ONE_DAY,
+        setAt: 1234,
+      });
+    });
+
+    test('should refuse timers outside the supported set', () => {
+      expect(() => AmiXDisappearingTimers.createTimerChange(5000)).toThrow('Unsupported disappearing timer');
+      expect(AmiXDisappearingTimers.parseTimerChange(
+        JSON.stringify({ type: 'disappearing_timer', timer: 5000, setAt: 1234 })
+      )).toBeNull();
+    });
+
+    test('should ignore ordinary messages', () => {
+      expect(AmiXDisappearingTimers.parseTimerChange('see you at 5')).toBeNull();
+      expect(AmiXDisappearingTimers.parseTimerChange(JSON.stringify({ type: 'attachment' }))).toBeNull();
+      expect(AmiXDisappearingTimers.parseTimerChange(null)).toBeNull();
+    });
+  });
+
+  describe('Concurrent changes', () => {
+    test('should settle on the newest change on both sides', () => {
+      const alice = { timerSetAt: 1000 };
+      const bob = { timerSetAt: 1500 };
+
+      // Each receives the other's change
+      expect(AmiXDisappearingTimers.supersedes(bob.timerSetAt, alice)).toBe(true);
+      expect(AmiXDisappearingTimers.supersedes(alice.timerSetAt, bob)).toBe(false);
+    });
+
+    test('should apply the first change in a conversation', () => {
+      expect(AmiXDisappearingTimers.supersedes(1000, null)).toBe(true);
+      expect(AmiXDisappearingTimers.supersedes(1000, {})).toBe(true);
+    });
+  });
+
+  test('should describe timer changes for the chat', () => {
+    expect(AmiXDisappearingTimers.describe(DISAPPEARING_TIMERS.ONE_WEEK)).toBe('Disappearing messages set to 1 week');
+    expect(AmiXDisappearingTimers.describe(DISAPPEARING_TIMERS.OFF)).toBe('Disappearing messages turned off');
+  });
+});
+
+describe('AmiXDisappearing', () => {
+  const ATTACHMENT_ID = '0b7e7a52-4c1e-4d7a-9f3e-2a6b1c9d8e70';
+  const TRANSFER_ID = '5f0c2d1e-8b3a-4e6f-a1d2-c3b4a5968778';
+
+  const attachmentMessage = attachment => ({
+    id: 'm1',
+    conversationId: 'AMX-BOB',
+    content: JSON.stringify({ type: 'attachment', text: '', attachment }),
+  });
+
+  beforeEach(() => {
+    jest.spyOn(AmiXMediaEncryption, 'cleanupTempFiles').mockResolvedValue();
+    jest.spyOn(AmiXMessageQueue, 'purgeExpired').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    AmiXDisappearing.stop();
+    jest.restoreAllMocks();
+  });
+
+  const deletedDirectories = () => AmiXMediaEncryption.cleanupTempFiles.mock.calls.map(([dir]) => dir);
+
+  test('should delete the decrypted copy along with the downloaded chunks', async () => {
+    jest.spyOn(AmiXStorage, 'purgeExpiredMessages').mockResolvedValue([
+      attachmentMessage({ id: ATTACHMENT_ID, name: 'cat.jpg' }),
+    ]);
+
+    await AmiXDisappearing.sweep();
+
+    expect(deletedDirectories().sort()).toEqual([
+      `file:///cache/amix_attachment_${ATTACHMENT_ID}/`,
+      `file:///cache/amix_files_${ATTACHMENT_ID}/`,
+    ]);
+  });
+
+  test('should delete what a direct transfer left on either side', async () => {
+    jest.spyOn(AmiXStorage, 'purgeExpiredMessages').mockResolvedValue([
+      attachmentMessage({ transport: 'p2p', transferId: TRANSFER_ID }),
+    ]);
+
+    await AmiXDisappearing.sweep();
+
+    expect(deletedDirectories().sort()).toEqual([
+      `file:///cache/amix_encrypted_${TRANSFER_ID}/`,
+      `file:///cache/amix_files_${TRANSFER_ID}/`,
+      `file:///cache/amix_transfer_${TRANSFER_ID}/`,
+    ]);
+  });
+
+  test('should not delete anything for an attachment ID that is not a UUID', async () => {
+    jest.spyOn(AmiXStorage, 'purgeExpiredMessages').mockResolvedValue([
+      attachmentMessage({ id: 'x/../../../Documents' }),
+    ]);
+
+    await AmiXDisappearing.sweep();
+
+    expect(AmiXMediaEncryption.cleanupTempFiles).not.toHaveBeenCalled();
+  });
+
+  test('should start one sweep however often it is initialized', async () => {
+    jest.spyOn(AmiXStorage, 'purgeExpiredMessages').mockResolvedValue([]);
+
+    await Promise.all([AmiXDisappearing.initialize(), AmiXDisappearing.initialize()]);
+
+    expect(AmiXStorage.purgeExpiredMessages).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,170 @@
+import { AmiXEditControl, EDIT_ACTIONS, EDIT_CONFIG } from '../src/utils/editControl';
+
+// AmiX Edit Control Testing Suite
+// Covers the edit and delete control messages and the rules recipients
+// apply before changing a stored message.
+
+const SENT_AT = 1700000000000;
+
+const original = (overrides = {}) => ({
+  id: 'msg-1',
+  conversationId: 'amix-bob',
+  content: 'see you at 5',
+  senderId: 'amix-bob',
+  timestamp: SENT_AT,
+  ...overrides,
+});
+
+const signed = (fields) => ({
+  ...AmiXEditControl.createControl({
+    messageId: 'msg-1',
+    senderId: 'amix-bob',
+    signingKey: 'c2lnbmluZy1rZXk=',
+    ...fields,
+  }),
+  signature: 'c2lnbmF0dXJl',
+});
+
+describe('AmiXEditControl', () => {
+  describe('Control messages', () => {
+    test('should round-trip an edit', () => {
+      const control = signed({ action: EDIT_ACTIONS.EDIT, content: 'see you at 6', editedAt: SENT_AT + 1000 });
+
+      expect(AmiXEditControl.parseControl(JSON.stringify(control))).toEqual(control);
+    });
+
+    test('should drop content from a delete', () => {
+      const control = signed({ action: EDIT_ACTIONS.DELETE, content: 'ignored', editedAt: SENT_AT + 1000 });
+
+      expect(control.content).toBeNull();
+      expect(AmiXEditControl.parseControl(JSON.stringify({ ...control, content: 'sneaky' })).content).toBeNull();
+    });
+
+    test('should refuse unsigned or malformed controls', () => {
+      const control = signed({ action: EDIT_ACTIONS.EDIT, content: 'see you at 6', editedAt: SENT_AT });
+      const { signature, ...unsigned } = control;
+
+      expect(AmiXEditControl.parseControl(JSON.stringify(unsigned))).toBeNull();
+      expect(AmiXEditControl.parseControl(JSON.stringify({ ...control, content: '  ' }))).toBeNull();
+      expect(AmiXEditControl.parseControl(JSON.stringify({ ...control, action: 'rewrite' }))).toBeNull();
+      expect(AmiXEditControl.parseControl('see you at 5')).toBeNull();
+    });
+
+    test('should sign every field but the signature', () => {
+      const control = signed({ action: EDIT_ACTIONS.EDIT, content: 'see you at 6', editedAt: SENT_AT });
+      const payload = AmiXEditControl.signingPayload(control);
+
+      expect(AmiXEditControl.signingPayload({ ...control, signature: 'other' })).toBe(payload);
+      expect(AmiXEditControl.signingPayload({ ...control, messageId: 'msg-2' })).not.toBe(payload);
+      expect(AmiXEditControl.signingPayload({ ...control, content: 'see you at 7' })).not.toBe(payload);
+    });
+  });
+
+  describe('Rules', () => {
+    test('should accept changes inside the window', () => {
+      const edit = signed({ action: EDIT_ACTIONS.EDIT, content: 'x', editedAt: SENT_AT + EDIT_CONFIG.EDIT_WINDOW });
+
+      expect(AmiXEditControl.rejectReason(original(), edit, edit.editedAt)).toBeNull();
+    });
+
+    test('should close edits before deletes', () => {
+      const late = SENT_AT + EDIT_CONFIG.EDIT_WINDOW + 1;
+      const edit = signed({ action: EDIT_ACTIONS.EDIT, content: 'x', editedAt: late });
+      const remove = signed({ action: EDIT_ACTIONS.DELETE, editedAt: late });
+
+      expect(AmiXEditControl.rejectReason(original(), edit, late)).toBe('window_closed');
+      expect(AmiXEditControl.rejectReason(original(), remove, late)).toBeNull();
+    });
+
+    test('should ignore replayed and out-of-order edits', () => {
+      const message = original({ editedAt: SENT_AT + 5000 });
+      const edit = signed({ action: EDIT_ACTIONS.EDIT, content: 'x', editedAt: SENT_AT + 5000 });
+
+      expect(AmiXEditControl.rejectReason(message, edit, SENT_AT + 6000)).toBe('stale');
+    });
+
+    test('should not change deleted or unknown messages', () => {
+      const edit = signed({ action: EDIT_ACTIONS.EDIT, content: 'x', editedAt: SENT_AT + 1000 });
+
+      expect(AmiXEditControl.rejectReason(original({ deleted: true }), edit, SENT_AT)).toBe('deleted');
+      expect(AmiXEditControl.rejectReason(null, edit, SENT_AT)).toBe('unknown_message');
+    });
+
+    test('should not trust an editedAt far ahead of our clock', () => {
+      const edit = signed({ action: EDIT_ACTIONS.EDIT, content: 'x', editedAt: SENT_AT + EDIT_CONFIG.CLOCK_SKEW + 1 });
+
+      expect(AmiXEditControl.rejectReason(original(), edit, SENT_AT)).toBe('from_the_future');
+    });
+
+    test('should not trust an editedAt older than the relay keeps messages', () => {
+      const edit = signed({ action: EDIT_ACTIONS.EDIT, content: 'x', editedAt: SENT_AT + 1000 });
+
+      expect(AmiXEditControl.rejectReason(original(), edit, edit.editedAt + EDIT_CONFIG.MAX_DELIVERY_DELAY)).toBeNull();
+      expect(AmiXEditControl.rejectReason(original(), edit, edit.editedAt + EDIT_CONFIG.MAX_DELIVERY_DELAY + 1))
+        .toBe('window_closed');
+    });
+
+    test('should measure the window from when a received original arrived', () => {
+      // The original's timestamp is the sender's, or our receive time for
+      // direct messages; a backdated editedAt fits either
+      const message = original({ receivedAt: SENT_AT });
+      const remove = signed({ action: EDIT_ACTIONS.DELETE, editedAt: SENT_AT + 1000 });
+      const closes = SENT_AT + EDIT_CONFIG.DELETE_WINDOW + EDIT_CONFIG.DELIVERY_ALLOWANCE;
+
+      expect(AmiXEditControl.rejectReason(message, remove, closes)).toBeNull();
+      expect(AmiXEditControl.rejectReason(message, remove, closes + 1)).toBe('window_closed');
+    });
+
+    test('should not let a sender date a group message past its arrival', () => {
+      const message = original({
+        timestamp: SENT_AT + EDIT_CONFIG.DELETE_WINDOW + EDIT_CONFIG.DELIVERY_ALLOWANCE,
+        receivedAt: SENT_AT,
+      });
+      const remove = signed({ action: EDIT_ACTIONS.DELETE, editedAt: message.timestamp + 1000 });
+
+      expect(AmiXEditControl.rejectReason(message, remove, remove.editedAt)).toBe('window_closed');
+      expect(AmiXEditControl.rejectReason({ ...message, receivedAt: message.timestamp }, remove, remove.editedAt))
+        .toBeNull();
+    });
+  });
+
+  describe('Changes', () => {
+    test('should keep earlier versions of an edited message', () => {
+      const first = signed({ action: EDIT_ACTIONS.EDIT, content: 'see you at 6', editedAt: SENT_AT + 1000 });
+      const afterFirst = { ...original(), ...AmiXEditControl.applyChange(original(), first) };
+
+      const second = signed({ action: EDIT_ACTIONS.EDIT, content: 'see you at 7', editedAt: SENT_AT + 2000 });
+      const afterSecond = { ...afterFirst, ...AmiXEditControl.applyChange(afterFirst, second) };
+
+      expect(afterSecond.content).toBe('see you at 7');
+      expect(afterSecond.editHistory).toEqual([
+        { content: 'see you at 5', editedAt: SENT_AT },
+        { content: 'see you at 6', editedAt: SENT_AT + 1000 },
+      ]);
+    });
+
+    test('should leave a tombstone without history on delete', () => {
+      const edited = original({ editedAt: SENT_AT + 1000, editHistory: [{ content: 'see you at 5', editedAt: SENT_AT }] });
+      const remove = signed({ action: EDIT_ACTIONS.DELETE, editedAt: SENT_AT + 2000 });
+
+      expect(AmiXEditControl.applyChange(edited, remove)).toEqual({
+        content: null,
+        deleted: true,
+        deletedAt: SENT_AT + 2000,
+        editedAt: SENT_AT + 2000,
+        editHistory: [],
+      });
+    });
+
+    test('should edit the text of messages written on this screen', () => {
+      const message = { id: 'msg-2', text: 'hello', sender: 'me', timestamp: new Date(SENT_AT).toISOString() };
+      const edit = signed({ action: EDIT_ACTIONS.EDIT, content: 'hello!', editedAt: SENT_AT + 1000 });
+
+      expect(AmiXEditControl.authorOf(message)).toBe('self');
+      expect(AmiXEditControl.applyChange(message, edit)).toMatchObject({
+        text: 'hello!',
+        editHistory: [{ content: 'hello', editedAt: SENT_AT }],
+      });
+    });
+  });
+});
@@ -0,0 +1,263 @@
+import { createHash, randomUUID } from 'crypto';
+import { encodeBase64 } from 'tweetnacl-util';
+import { AmiXFileTransfer, TRANSFER_STATES } from '../src/services/fileTransfer';
+import { AmiXWebRTC } from '../src/services/webrtc';
+import { AmiXAttachments } from '../src/services/attachments';
+import { AmiXNotifications } from '../src/services/notifications';
+import { AmiXMessageQueue } from '../src/services/messageQueue';
+import { AmiXMediaEncryption } from '../src/utils/mediaEncryption';
+import { AmiXStorage } from '../src/utils/storage';
+
+// AmiX File Transfer Testing Suite
+// Offers waiting for the user, chunks checked against the offer, the
+// sender following the receiver's position, and the relay as a fallback.
+
+jest.mock('expo-file-system', () => {
+  const mockFiles = new Map();
+  return {
+    mockFiles,
+    mockDirectories: [],
+    cacheDirectory: 'file:///cache/',
+    EncodingType: { Base64: 'base64' },
+    makeDirectoryAsync: async (path) => {
+      require('expo-file-system').mockDirectories.push(path);
+    },
+    readAsStringAsync: async path => mockFiles.get(path),
+    writeAsStringAsync: async (path, data) => {
+      mockFiles.set(path, data);
+    },
+  };
+});
+
+jest.mock('expo-crypto', () => ({
+  ...jest.requireActual('expo-crypto'),
+  digest: async (algorithm, data) => {
+    const digest = require('crypto').createHash('sha256').update(Buffer.from(data)).digest();
+    return digest.buffer.slice(digest.byteOffset, digest.byteOffset + digest.length);
+  },
+}));
+
+const { mockFiles, mockDirectories } = require('expo-file-system');
+
+const PEER = 'AMX-BOB';
+
+const sha256 = bytes => createHash('sha256').update(Buffer.from(bytes)).digest('hex');
+const bytes = (length, fill) => new Uint8Array(length).fill(fill);
+const chunkData = [bytes(8, 1), bytes(8, 2), bytes(8, 3), bytes(4, 4)];
+
+describe('AmiXFileTransfer', () => {
+  let stored;
+
+  beforeEach(() => {
+    mockFiles.clear();
+    mockDirectories.length = 0;
+    stored = {};
+    AmiXFileTransfer.transfers = new Map();
+
+    jest.spyOn(AmiXStorage, 'storeFileTransfers').mockImplementation(async (transfers) => {
+      stored = JSON.parse(JSON.stringify(transfers));
+      return true;
+    });
+    jest.spyOn(AmiXWebRTC, 'sendMessage').mockResolvedValue(true);
+    jest.spyOn(AmiXWebRTC, 'openDataChannel').mockResolvedValue(true);
+    jest.spyOn(AmiXWebRTC, 'isConnected').mockReturnValue(false);
+    jest.spyOn(AmiXMediaEncryption, 'cleanupTempFiles').mockResolvedValue();
+    jest.spyOn(AmiXNotifications, 'sendNotification').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    Array.from(AmiXFileTransfer.fallbackTimers.keys()).forEach(id => AmiXFileTransfer.clearFallback(id));
+    jest.restoreAllMocks();
+  });
+
+  // What went to the peer on the file channel
+  const sentPayloads = kind => AmiXWebRTC.sendMessage.mock.calls
+    .map(([, message]) => message.payload)
+    .filter(payload => payload.kind === kind);
+
+  describe('Receiving', () => {
+    const offer = transferId => ({
+      kind: 'offer',
+      transferId,
+      chunks: chunkData.map(chunk => ({ size: chunk.length, hash: sha256(chunk) })),
+    });
+
+    const settle = transferId => AmiXFileTransfer.work.get(transferId) || Promise.resolve();
+
+    test('should drop messages whose transfer ID is not a UUID', async () => {
+      const transferId = '../../Documents/x';
+
+      AmiXFileTransfer.handleMessage(PEER, offer(transferId));
+      await settle(transferId);
+
+      expect(AmiXFileTransfer.transfers.size).toBe(0);
+      expect(AmiXWebRTC.sendMessage).not.toHaveBeenCalled();
+      expect(AmiXNotifications.sendNotification).not.toHaveBeenCalled();
+    });
+
+    test('should wait for the user before taking an offer', async () => {
+      const transferId = randomUUID();
+
+      AmiXFileTransfer.handleMessage(PEER, offer(transferId));
+      await settle(transferId);
+
+      expect(AmiXFileTransfer.getTransfers(PEER)).toEqual([
+        expect.objectContaining({ transferId, direction: 'incoming', state: TRANSFER_STATES.OFFERED, size: 28 }),
+      ]);
+      expect(AmiXNotifications.sendNotification).toHaveBeenCalledWith(
+        AmiXNotifications.NOTIFICATION_TYPES.FILE,
+        { senderId: PEER, transferId, size: 28, event: 'offer' }
+      );
+      expect(AmiXWebRTC.sendMessage).not.toHaveBeenCalled();
+      expect(mockDirectories).toEqual([]);
+
+      // The sender offering again after a reconnect still waits
+      AmiXFileTransfer.handleMessage(PEER, offer(transferId));
+      await settle(transferId);
+      expect(AmiXWebRTC.sendMessage).not.toHaveBeenCalled();
+
+      expect(await AmiXFileTransfer.acceptOffer(transferId)).toBe(true);
+      expect(sentPayloads('resume')).toEqual([{ kind: 'resume', transferId, nextChunk: 0 }]);
+      expect(mockDirectories).toEqual([`file:///cache/amix_transfer_${transferId}/`]);
+      expect(stored[transferId].state).toBe(TRANSFER_STATES.RECEIVING);
+    });
+
+    test('should not take chunks for an offer the user has not accepted', async () => {
+      const transferId = randomUUID();
+      AmiXFileTransfer.handleMessage(PEER, offer(transferId));
+      AmiXFileTransfer.handleMessage(PEER, { kind: 'chunk', transferId, index: 0, data: encodeBase64(chunkData[0]) });
+      await settle(transferId);
+
+      expect(mockFiles.size).toBe(0);
+      expect(AmiXFileTransfer.transfers.get(transferId).received).toBe(0);
+    });
+
+    test('should tell the sender when the user declines', async () => {
+      const transferId = randomUUID();
+      await AmiXFileTransfer.handleOffer(PEER, offer(transferId));
+
+      await AmiXFileTransfer.declineOffer(transferId);
+
+      expect(sentPayloads('cancel')).toEqual([{ kind: 'cancel', transferId, reason: 'declined' }]);
+      expect(AmiXFileTransfer.transfers.has(transferId)).toBe(false);
+      expect(stored).toEqual({});
+    });
+
+    test('should refuse a chunk whose bytes do not match the offer', async () => {
+      const transferId = randomUUID();
+      await AmiXFileTransfer.handleOffer(PEER, offer(transferId));
+      await AmiXFileTransfer.acceptOffer(transferId);
+      const transfer = AmiXFileTransfer.transfers.get(transferId);
+
+      await expect(AmiXFileTransfer.handleChunk(transfer, { index: 0, data: encodeBase64(bytes(8, 7)) }))
+        .rejects.toThrow('File chunk hash mismatch');
+
+      expect(mockFiles.size).toBe(0);
+      expect(transfer.received).toBe(0);
+      expect(sentPayloads('ack')).toEqual([]);
+
+      await AmiXFileTransfer.handleChunk(transfer, { index: 0, data: encodeBase64(chunkData[0]) });
+      expect(sentPayloads('ack')).toEqual([{ kind: 'ack', transferId, nextChunk: 1 }]);
+    });
+  });
+
+  describe('Sending', () => {
+    let transfer;
+
+    beforeEach(() => {
+      chunkData.forEach((chunk, index) => mockFiles.set(`file:///cache/upload/chunk_${index}.enc`, encodeBase64(chunk)));
+      transfer = {
+        id: randomUUID(),
+        direction: 'outgoing',
+        peerAmixId: PEER,
+        fileUri: 'file:///photos/cat.jpg',
+        caption: 'A cat',
+        tempDir: 'file:///cache/upload/',
+        chunks: chunkData.map((chunk, index) => ({
+          path: `file:///cache/upload/chunk_${index}.enc`,
+          size: chunk.length,
+          hash: sha256(chunk),
+        })),
+        acked: 3,
+        sent: 4,
+        state: TRANSFER_STATES.SENDING,
+        createdAt: Date.now(),
+        pointer: { transport: 'p2p', transferId: 'x', name: 'cat.jpg' },
+      };
+      AmiXFileTransfer.transfers.set(transfer.id, transfer);
+    });
+
+    const sentChunks = () => sentPayloads('chunk').map(({ index }) => index);
+
+    test('should resend from where the receiver resumes, even backwards', async () => {
+      await AmiXFileTransfer.handleProgress(transfer, { nextChunk: 1 }, true);
+
+      expect(transfer.acked).toBe(1);
+      expect(sentChunks()).toEqual([1, 2, 3]);
+      expect(transfer.sent).toBe(4);
+    });
+
+    test('should not move back on a lower ack', async () => {
+      await AmiXFileTransfer.handleProgress(transfer, { nextChunk: 1 }, false);
+
+      expect(transfer.acked).toBe(3);
+      expect(sentChunks()).toEqual([]);
+    });
+
+    test('should queue the chat message once every chunk is acked', async () => {
+      jest.spyOn(AmiXMessageQueue, 'addToOutbox').mockResolvedValue({});
+
+      await AmiXFileTransfer.handleProgress(transfer, { nextChunk: 4 }, false);
+
+      expect(AmiXMessageQueue.addToOutbox).toHaveBeenCalledWith({
+        recipientId: PEER,
+        content: JSON.stringify({ type: 'attachment', text: 'A cat', attachment: transfer.pointer }),
+      });
+      expect(AmiXFileTransfer.transfers.has(transfer.id)).toBe(false);
+    });
+
+    test('should refuse a position past the last chunk', async () => {
+      await expect(AmiXFileTransfer.handleProgress(transfer, { nextChunk: 5 }, true))
+        .rejects.toThrow('Invalid chunk position');
+    });
+
+    test('should send through the relay when the peer stays away', async () => {
+      jest.spyOn(AmiXAttachments, 'sendAttachment').mockResolvedValue('message-1');
+      await AmiXFileTransfer.pauseTransfer(transfer);
+
+      await AmiXFileTransfer.fallbackToRelay(transfer.id);
+
+      expect(AmiXAttachments.sendAttachment).toHaveBeenCalledWith(PEER, 'file:///photos/cat.jpg', {
+        caption: 'A cat',
+        onProgress: undefined,
+      });
+      expect(AmiXFileTransfer.transfers.has(transfer.id)).toBe(false);
+      expect(AmiXMediaEncryption.cleanupTempFiles).toHaveBeenCalledWith('file:///cache/upload/');
+    });
+
+    test('should offer again instead when the peer is back', async () => {
+      jest.spyOn(AmiXAttachments, 'sendAttachment').mockResolvedValue('message-1');
+      await AmiXFileTransfer.pauseTransfer(transfer);
+      AmiXWebRTC.isConnected.mockReturnValue(true);
+
+      await AmiXFileTransfer.fallbackToRelay(transfer.id);
+
+      expect(AmiXAttachments.sendAttachment).not.toHaveBeenCalled();
+      expect(transfer.state).toBe(TRANSFER_STATES.SENDING);
+      expect(sentPayloads('offer')).toHaveLength(1);
+    });
+
+    test('should report the transfer failed when the relay fails too', async () => {
+      jest.spyOn(AmiXAttachments, 'sendAttachment').mockRejectedValue(new Error('Offline'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const events = [];
+      AmiXFileTransfer.on('progress', event => events.push(event));
+      await AmiXFileTransfer.pauseTransfer(transfer);
+
+      await AmiXFileTransfer.fallbackToRelay(transfer.id);
+
+      expect(events[events.length - 1]).toMatchObject({ transferId: transfer.id, state: TRANSFER_STATES.FAILED });
+      AmiXFileTransfer.eventListeners.delete('progress');
+    });
+  });
+});
@@ -0,0 +1,241 @@
+import { ReadableStream, WritableStream, TransformStream } from 'stream/web';
+import { AmiXGroupCalls } from '../src/services/groupCalls';
+import { AmiXCalls } from '../src/services/calls';
+import { signalingService } from '../src/services/signaling';
+import { AmiXStorage } from '../src/utils/storage';
+import { AmiXSFrame } from '../src/utils/sframe';
+import { AmiXCrypto } from '../src/utils/crypto';
+
+// AmiX Group Calls Testing Suite
+// Choosing mesh or SFU, rekeying as participants come and go, and SFU
+// frames from the publisher's encoded transforms to each participant's
+// playout queue.
+
+const OWN_ID = 'AMX-AMY';
+
+const fakeTrack = kind => ({ kind, enabled: true, stop: jest.fn() });
+
+// Just enough of a peer connection for a loopback: each sender's encoded
+// stream yields the frames given for its track kind
+const fakePeerConnection = encodedFrames => class {
+  addTrack(track) {
+    return {
+      createEncodedStreams: () => ({
+        readable: new ReadableStream({
+          start(controller) {
+            (encodedFrames[track.kind] || []).forEach(frame => controller.enqueue(frame));
+            controller.close();
+          },
+        }),
+        writable: new WritableStream(),
+      }),
+    };
+  }
+
+  async createOffer() { return { type: 'offer', sdp: 'v=0' }; }
+
+  async createAnswer() { return { type: 'answer', sdp: 'v=0' }; }
+
+  async setLocalDescription() {}
+
+  async setRemoteDescription() {}
+
+  async getStats() { return new Map(); }
+
+  close() {}
+};
+
+describe('AmiXGroupCalls', () => {
+  const originalNavigator = global.navigator;
+
+  beforeAll(() => {
+    Object.assign(global, { ReadableStream, WritableStream, TransformStream });
+    global.RTCRtpSender = class {
+      createEncodedStreams() {}
+    };
+  });
+
+  afterAll(() => {
+    delete global.RTCRtpSender;
+  });
+
+  beforeEach(() => {
+    const tracks = [fakeTrack('audio')];
+    global.navigator = {
+      mediaDevices: {
+        getUserMedia: async () => ({
+          getTracks: () => tracks,
+          getAudioTracks: () => tracks,
+          getVideoTracks: () => [],
+        }),
+      },
+    };
+    jest.spyOn(AmiXStorage, 'getAmiXId').mockResolvedValue(OWN_ID);
+    jest.spyOn(AmiXGroupCalls, 'sendSignal').mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    Array.from(AmiXGroupCalls.activeCalls.values()).forEach(call => AmiXGroupCalls.closeCall(call));
+    jest.restoreAllMocks();
+    global.navigator = originalNavigator;
+    delete global.RTCPeerConnection;
+    AmiXGroupCalls.sfuSocket = null;
+  });
+
+  const createCall = mode => AmiXGroupCalls.createCall({
+    callId: 'call-0001',
+    groupId: 'group-1',
+    callType: AmiXCalls.CALL_TYPES.AUDIO,
+    mode,
+    host: OWN_ID,
+  });
+
+  // Our copy of a participant's key, as its group-call-key signal gives it
+  const addParticipantKey = async (call, amixId) => {
+    const participant = await AmiXGroupCalls.addParticipant(call, amixId);
+    const key = await AmiXCrypto.generateRandomBytes(32);
+    await AmiXSFrame.addReceiverKey(call.frameEncryption.receiver, participant.index, Uint8Array.from(key));
+    return AmiXSFrame.createSenderContext(key, participant.index);
+  };
+
+  const keySignals = () => AmiXGroupCalls.sendSignal.mock.calls
+    .filter(([, type]) => type === AmiXGroupCalls.SIGNALS.KEY);
+
+  describe('Setup', () => {
+    test('should use a mesh for small groups and the SFU beyond', () => {
+      expect(AmiXGroupCalls.chooseMode(2)).toBe(AmiXGroupCalls.MODES.MESH);
+      expect(AmiXGroupCalls.chooseMode(AmiXGroupCalls.MESH_MAX_PARTICIPANTS)).toBe(AmiXGroupCalls.MODES.MESH);
+      expect(AmiXGroupCalls.chooseMode(AmiXGroupCalls.MESH_MAX_PARTICIPANTS + 1)).toBe(AmiXGroupCalls.MODES.SFU);
+    });
+
+    test('should listen for group call signals only once when started again', () => {
+      const handleSignal = jest.spyOn(AmiXGroupCalls, 'handleSignal').mockResolvedValue();
+
+      AmiXGroupCalls.initialize();
+      AmiXGroupCalls.initialize();
+      signalingService.emit('group-call-leave', { from: 'AMX-BOB', type: 'group-call-leave', data: {} });
+
+      expect(handleSignal).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Rekeying', () => {
+    test('should send a fresh key only to who is still in the call', async () => {
+      const call = await createCall(AmiXGroupCalls.MODES.MESH);
+      await addParticipantKey(call, 'AMX-BOB');
+      await addParticipantKey(call, 'AMX-CAT');
+      const catIndex = call.participants.get('AMX-CAT').index;
+      const { sender } = call.frameEncryption;
+      const previousKey = Uint8Array.from(sender.baseKey);
+      const previousGeneration = sender.generation;
+
+      await AmiXGroupCalls.removeParticipant(call, 'AMX-CAT', 'removed');
+
+      expect(sender.baseKey).not.toEqual(previousKey);
+      expect(sender.generation).toBe(previousGeneration + 1);
+      expect(call.frameEncryption.receiver.senders.has(catIndex)).toBe(false);
+
+      const signals = keySignals();
+      expect(signals.map(([recipientId]) => recipientId)).toEqual(['AMX-BOB']);
+      expect(signals[0][2]).toMatchObject({ generation: sender.generation, needReply: false });
+    });
+
+    test('should ratchet before handing its key to a joiner', async () => {
+      const call = await createCall(AmiXGroupCalls.MODES.SFU);
+      jest.spyOn(AmiXGroupCalls, 'startSfuPlayout').mockResolvedValue(null);
+      const { sender } = call.frameEncryption;
+      const previousGeneration = sender.generation;
+
+      await AmiXGroupCalls.handleJoin(call, 'AMX-BOB', { callId: call.callId });
+
+      expect(sender.generation).toBe(previousGeneration + 1);
+      expect(keySignals().map(([recipientId, , data]) => [recipientId, data.generation]))
+        .toEqual([['AMX-BOB', previousGeneration + 1]]);
+    });
+  });
+
+  describe('SFU frames', () => {
+    let call;
+
+    beforeEach(async () => {
+      call = await createCall(AmiXGroupCalls.MODES.SFU);
+      jest.spyOn(AmiXGroupCalls, 'startSfuPlayout').mockImplementation(async (_, participant) => {
+        participant.playout = { queues: new Map([['audio', []], ['video', []]]), close: jest.fn() };
+        return participant.playout;
+      });
+    });
+
+    const queued = (amixId, kind = 'audio') => call.participants.get(amixId).playout.queues.get(kind);
+
+    test('should queue a participant\'s frames for playout', async () => {
+      const bob = await addParticipantKey(call, 'AMX-BOB');
+      const frame = new Uint8Array([1, 2, 3, 4, 5]);
+
+      await AmiXGroupCalls.handleSfuFrame(
+        { callId: call.callId, from: 'AMX-BOB', kind: 'audio' },
+        await AmiXSFrame.encryptFrame(bob, frame, AmiXCalls.frameClearBytes({}))
+      );
+
+      expect(queued('AMX-BOB')).toEqual([frame]);
+    });
+
+    test('should drop frames whose key belongs to someone other than the named sender', async () => {
+      await addParticipantKey(call, 'AMX-BOB');
+      const cat = await addParticipantKey(call, 'AMX-CAT');
+
+      await AmiXGroupCalls.handleSfuFrame(
+        { callId: call.callId, from: 'AMX-BOB', kind: 'audio' },
+        await AmiXSFrame.encryptFrame(cat, new Uint8Array([1, 2, 3]), 1)
+      );
+
+      expect(queued('AMX-BOB')).toEqual([]);
+      expect(queued('AMX-CAT')).toEqual([]);
+    });
+
+    test('should drop frames from removed participants', async () => {
+      const bob = await addParticipantKey(call, 'AMX-BOB');
+      const frame = await AmiXSFrame.encryptFrame(bob, new Uint8Array([1, 2, 3]), 1);
+      const { playout } = call.participants.get('AMX-BOB');
+
+      await AmiXGroupCalls.removeParticipant(call, 'AMX-BOB', 'removed');
+      await AmiXGroupCalls.handleSfuFrame({ callId: call.callId, from: 'AMX-BOB', kind: 'audio' }, frame);
+
+      expect(playout.close).toHaveBeenCalled();
+      expect(playout.queues.get('audio')).toEqual([]);
+    });
+
+    test('should keep only the newest frames when playout falls behind', async () => {
+      const bob = await addParticipantKey(call, 'AMX-BOB');
+
+      for (let i = 0; i < AmiXGroupCalls.SFU_PLAYOUT_QUEUE + 2; i++) {
+        await AmiXGroupCalls.handleSfuFrame(
+          { callId: call.callId, from: 'AMX-BOB', kind: 'audio' },
+          await AmiXSFrame.encryptFrame(bob, new Uint8Array([i]), 1)
+        );
+      }
+
+      expect(queued('AMX-BOB').map(frame => frame[0])).toEqual(
+        Array.from({ length: AmiXGroupCalls.SFU_PLAYOUT_QUEUE }, (_, i) => i + 2)
+      );
+    });
+
+    test('should publish what the encoder produces, encrypted with our key', async () => {
+      global.RTCPeerConnection = fakePeerConnection({ audio: [{ data: new Uint8Array([9, 8, 7, 6]).buffer }] });
+      AmiXGroupCalls.sfuSocket = { emit: jest.fn() };
+
+      await AmiXGroupCalls.startSfuPublishing(call);
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      const [[event, meta, encrypted]] = AmiXGroupCalls.sfuSocket.emit.mock.calls;
+      expect(event).toBe('sfu:frame');
+      expect(meta).toMatchObject({ callId: call.callId, kind: 'audio', audioLevel: 0 });
+
+      // Whoever holds our key reads the original frame
+      const receiver = AmiXSFrame.createReceiverContext();
+      const { sender } = call.frameEncryption;
+      await AmiXSFrame.addReceiverKey(receiver, call.ownIndex, Uint8Array.from(sender.baseKey), sender.generation);
+      const { frame } = await AmiXSFrame.decryptFrame(receiver, encrypted, 1);
+      expect(Array.from(frame)).toEqual([9, 8, 7, 6]);
+    });
+  });
+});
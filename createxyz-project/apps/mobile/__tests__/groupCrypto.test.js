@@ -0,0 +1,206 @@
+import { GroupCrypto } from '../src/utils/groupCrypto';
+import { AmiXStorage } from '../src/utils/storage';
+import { AmiXCrypto } from '../src/utils/crypto';
+import { SecurityLogger } from '../src/utils/securityLogger';
+
+// AmiX Group Crypto Testing Suite
+// Sender Key groups with three members, alice on two devices, each device
+// with its own storage. Sender keys and membership changes travel through
+// a queue standing in for the pairwise sessions.
+
+const MEMBERS = ['alice', 'bob', 'carol'];
+
+// Devices of each member; a member's first device is named after them
+const DEVICES = { alice: ['alice', 'alice-tablet'], bob: ['bob'], carol: ['carol'] };
+const memberOf = device => Object.keys(DEVICES).find(member => DEVICES[member].includes(device));
+
+describe('GroupCrypto', () => {
+  let stores;
+  let current;
+  let network;
+
+  // Run as one device, against that device's storage
+  const as = async (device, fn) => {
+    const previous = current;
+    current = device;
+    try {
+      return await fn();
+    } finally {
+      current = previous;
+    }
+  };
+
+  const deliverAll = async () => {
+    while (network.length > 0) {
+      const { from, to, kind, value } = network.shift();
+      await as(to, async () => {
+        try {
+          if (kind === 'distribution') {
+            await GroupCrypto.processSenderKeyDistribution(memberOf(from), value, from);
+          } else {
+            await GroupCrypto.processMemberRemoval(memberOf(from), value, memberOf(to));
+          }
+        } catch (error) {
+          // The removed member refuses what still reaches it
+        }
+      });
+    }
+  };
+
+  const send = (device, text) => as(device, () =>
+    GroupCrypto.encryptGroupMessage('group-1', { id: memberOf(device) }, text));
+  const read = (device, message) => as(device, () => GroupCrypto.decryptGroupMessage('group-1', message));
+
+  // Every device of a member but the one sending
+  const post = (kind, to, value) => DEVICES[to]
+    .filter(device => device !== current)
+    .forEach(device => network.push({ from: current, to: device, kind, value }));
+
+  beforeEach(async () => {
+    stores = Object.fromEntries(Object.values(DEVICES).flat().map(device =>
+      [device, { groups: new Map(), senderKeys: new Map() }]));
+    network = [];
+    current = null;
+
+    const clone = value => (value ? JSON.parse(JSON.stringify(value)) : null);
+    jest.spyOn(AmiXStorage, 'getGroup').mockImplementation(async id => clone(stores[current].groups.get(id)));
+    jest.spyOn(AmiXStorage, 'storeGroup').mockImplementation(async (group) => {
+      const { rotationTimer, ...stored } = group;
+      stores[current].groups.set(group.groupId, clone(stored));
+      return true;
+    });
+    jest.spyOn(AmiXStorage, 'getSenderKey').mockImplementation(async (groupId, senderId, deviceId) =>
+      clone(stores[current].senderKeys.get(`${groupId}:${senderId}:${deviceId}`)));
+    jest.spyOn(AmiXStorage, 'storeSenderKey').mockImplementation(async (groupId, senderId, deviceId, key) => {
+      stores[current].senderKeys.set(`${groupId}:${senderId}:${deviceId}`, clone(key));
+      return true;
+    });
+    jest.spyOn(AmiXStorage, 'deleteSenderKey').mockImplementation(async (groupId, senderId) => {
+      DEVICES[senderId].forEach(device => stores[current].senderKeys.delete(`${groupId}:${senderId}:${device}`));
+      return true;
+    });
+    jest.spyOn(SecurityLogger, 'getDeviceId').mockImplementation(async () => current);
+    jest.spyOn(GroupCrypto, '_scheduleKeyRotation').mockImplementation(() => {});
+
+    GroupCrypto.setSenderKeyDistributor(async (to, value) => post('distribution', to, value));
+    GroupCrypto.setControlSender(async (to, value) => post('control', to, value));
+
+    // Every device starts with the same group, and hands out a sender key
+    for (const device of Object.keys(stores)) {
+      await as(device, () => AmiXStorage.storeGroup({
+        id: 'group-1',
+        groupId: 'group-1',
+        type: GroupCrypto.GROUP_TYPES.SENDER_KEYS,
+        version: '1.0.0',
+        members: Object.fromEntries(MEMBERS.map(id => [id, { id, isAdmin: id === 'alice' }])),
+      }));
+    }
+    for (const device of Object.keys(stores)) {
+      await as(device, () => GroupCrypto.rotateSenderKey('group-1', memberOf(device)));
+    }
+    await deliverAll();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    GroupCrypto.setSenderKeyDistributor(null);
+    GroupCrypto.setControlSender(null);
+  });
+
+  describe('Sender keys', () => {
+    test('should let every member read every other member', async () => {
+      const message = await send('bob', 'hello');
+
+      expect((await read('alice', message)).content).toBe('hello');
+      expect((await read('carol', message)).content).toBe('hello');
+    });
+
+    test('should refuse a replayed older distribution', async () => {
+      const old = await as('bob', async () => ({
+        type: GroupCrypto.MESSAGE_TYPES.SENDER_KEY_DISTRIBUTION,
+        groupId: 'group-1',
+        ...AmiXCrypto.getSenderKeyDistribution(await AmiXStorage.getSenderKey('group-1', 'bob', 'bob')),
+      }));
+      await as('bob', () => GroupCrypto.rotateSenderKey('group-1', 'bob'));
+      await deliverAll();
+
+      await expect(as('carol', () => GroupCrypto.processSenderKeyDistribution('bob', old, 'bob')))
+        .rejects.toThrow('Stale sender key distribution');
+    });
+
+    test('should keep the chain when a distribution arrives twice', async () => {
+      await as('bob', () => GroupCrypto.rotateSenderKey('group-1', 'bob'));
+      const [repeat] = network.filter(({ to }) => to === 'carol');
+      await deliverAll();
+
+      await send('bob', 'advances the chain');
+      expect(await as('carol', () => GroupCrypto.processSenderKeyDistribution('bob', repeat.value, 'bob'))).toBe(false);
+    });
+
+    test('should keep a chain for each device of a member', async () => {
+      const fromPhone = await send('alice', 'from my phone');
+      const fromTablet = await send('alice-tablet', 'from my tablet');
+
+      expect(await read('bob', fromPhone)).toMatchObject({ content: 'from my phone', senderDeviceId: 'alice' });
+      expect(await read('bob', fromTablet)).toMatchObject({ content: 'from my tablet', senderDeviceId: 'alice-tablet' });
+    });
+
+    test('should let our other devices read what we send', async () => {
+      const message = await send('alice', 'hello from the phone');
+
+      expect((await read('alice-tablet', message)).content).toBe('hello from the phone');
+      expect(network).toEqual([]);
+    });
+
+    test('should not take a device chain for another device', async () => {
+      const message = await send('alice-tablet', 'hello');
+
+      await expect(read('bob', { ...message, senderDeviceId: 'alice' })).rejects.toThrow();
+    });
+  });
+
+  describe('Member removal', () => {
+    test('should lock the removed member out of messages sent after removal', async () => {
+      await as('alice', () => GroupCrypto.removeMember('group-1', { id: 'alice' }, 'carol'));
+
+      // Carol ignores the removal and keeps every chain she had
+      network = network.filter(({ to }) => to !== 'carol');
+      await deliverAll();
+
+      const fromBob = await send('bob', 'after carol left');
+      const fromAlice = await send('alice', 'also after');
+
+      expect((await read('alice', fromBob)).content).toBe('after carol left');
+      expect((await read('bob', fromAlice)).content).toBe('also after');
+      await expect(read('carol', fromBob)).rejects.toThrow();
+      await expect(read('carol', fromAlice)).rejects.toThrow();
+    });
+
+    test('should rotate the keys the removed member already held', async () => {
+      const before = await as('carol', () => AmiXStorage.getSenderKey('group-1', 'bob', 'bob'));
+
+      await as('alice', () => GroupCrypto.removeMember('group-1', { id: 'alice' }, 'carol'));
+      await deliverAll();
+
+      const after = await as('alice', () => AmiXStorage.getSenderKey('group-1', 'bob', 'bob'));
+      expect(after.keyId).not.toBe(before.keyId);
+      expect(after.generation).toBeGreaterThan(before.generation);
+      expect(await as('bob', () => AmiXStorage.getGroup('group-1'))).not.toHaveProperty('members.carol');
+    });
+
+    test('should tell the removed member to stop using the group', async () => {
+      await as('alice', () => GroupCrypto.removeMember('group-1', { id: 'alice' }, 'carol'));
+      await deliverAll();
+
+      await expect(send('carol', 'still here?')).rejects.toThrow('No longer a member of this group');
+    });
+
+    test('should ignore removals from members who are not admins', async () => {
+      await expect(as('carol', () => GroupCrypto.processMemberRemoval('bob', {
+        type: GroupCrypto.MESSAGE_TYPES.MEMBER_REMOVE,
+        groupId: 'group-1',
+        memberId: 'alice',
+      }, 'carol'))).rejects.toThrow('Member removal from a non-admin');
+    });
+  });
+});
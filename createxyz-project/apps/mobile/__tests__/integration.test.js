@@ -374,8 +374,8 @@ describe('AmiX Integration Tests', () => {
   describe('Security and Privacy Features', () => {
     test('should verify safety numbers', async () => {
       const safetyNumber = await AmiXCrypto.generateSafetyNumber(
-        aliceKeys.publicKey,
-        bobKeys.publicKey
+        aliceKeys.current.publicKey,
+        bobKeys.current.publicKey
       );
       expect(safetyNumber).toBeDefined();
       expect(typeof safetyNumber).toBe('string');
@@ -0,0 +1,116 @@
+import { AmiXMediaEncryption, STREAM_CONFIG } from '../src/utils/mediaEncryption';
+import { AmiXCrypto } from '../src/utils/crypto';
+
+// AmiX Streaming File Format Testing Suite
+// Exercises the STREAM chunk format directly on bytes: chunk ordering,
+// truncation and the final-chunk flag, random access and the header.
+
+const sealAll = (streamKeys, plaintexts) =>
+  plaintexts.map((plaintext, index) =>
+    AmiXMediaEncryption.sealStreamChunk(streamKeys, index, plaintext, index === plaintexts.length - 1)
+  );
+
+const openAll = (streamKeys, ciphertexts) =>
+  ciphertexts.map((ciphertext, index) =>
+    AmiXMediaEncryption.openStreamChunk(streamKeys, index, ciphertext, index === ciphertexts.length - 1)
+  );
+
+describe('AmiXMediaEncryption streaming format', () => {
+  let fileKey, header, streamKeys, plaintexts;
+
+  beforeEach(async () => {
+    fileKey = await AmiXCrypto.generateRandomBytes(32);
+    header = await AmiXMediaEncryption.createStreamHeader(16);
+    streamKeys = await AmiXMediaEncryption.deriveStreamKeys(fileKey, header);
+    plaintexts = [
+      new TextEncoder().encode('first chunk 0001'),
+      new TextEncoder().encode('second chunk 002'),
+      new TextEncoder().encode('last'),
+    ];
+  });
+
+  describe('Header', () => {
+    test('should encode version, chunk size and salt', () => {
+      const parsed = AmiXMediaEncryption.parseStreamHeader(header);
+
+      expect(header.length).toBe(STREAM_CONFIG.HEADER_LENGTH);
+      expect(parsed.version).toBe(STREAM_CONFIG.VERSION);
+      expect(parsed.chunkSize).toBe(16);
+      expect(parsed.salt.length).toBe(STREAM_CONFIG.SALT_LENGTH);
+    });
+
+    test('should reject unknown versions', () => {
+      const future = header.slice();
+      future[0] = STREAM_CONFIG.VERSION + 1;
+
+      expect(() => AmiXMediaEncryption.parseStreamHeader(future)).toThrow('Unsupported stream version');
+    });
+
+    test('should bind the header into the chunk keys', async () => {
+      const ciphertexts = sealAll(streamKeys, plaintexts);
+      const otherHeader = await AmiXMediaEncryption.createStreamHeader(16);
+      const otherKeys = await AmiXMediaEncryption.deriveStreamKeys(fileKey, otherHeader);
+
+      expect(() => openAll(otherKeys, ciphertexts)).toThrow('failed authentication');
+    });
+  });
+
+  describe('Chunks', () => {
+    test('should round-trip every chunk', () => {
+      const opened = openAll(streamKeys, sealAll(streamKeys, plaintexts));
+
+      opened.forEach((plaintext, index) => {
+        expect(new TextDecoder().decode(plaintext)).toBe(new TextDecoder().decode(plaintexts[index]));
+      });
+    });
+
+    test('should decrypt any chunk on its own', () => {
+      const ciphertexts = sealAll(streamKeys, plaintexts);
+      const middle = AmiXMediaEncryption.openStreamChunk(streamKeys, 1, ciphertexts[1], false);
+
+      expect(new TextDecoder().decode(middle)).toBe('second chunk 002');
+    });
+
+    test('should reject reordered chunks', () => {
+      const ciphertexts = sealAll(streamKeys, plaintexts);
+
+      expect(() => openAll(streamKeys, [ciphertexts[1], ciphertexts[0], ciphertexts[2]]))
+        .toThrow('Chunk 0 failed authentication');
+    });
+
+    test('should detect truncation through the final flag', () => {
+      const truncated = sealAll(streamKeys, plaintexts).slice(0, 2);
+
+      expect(() => openAll(streamKeys, truncated)).toThrow('Chunk 1 failed authentication');
+    });
+
+    test('should reject chunks appended after the final one', () => {
+      const ciphertexts = sealAll(streamKeys, plaintexts);
+      const extended = [...ciphertexts, ciphertexts[2]];
+
+      expect(() => openAll(streamKeys, extended)).toThrow('failed authentication');
+    });
+
+    test('should refuse chunks larger than the header allows', () => {
+      expect(() => AmiXMediaEncryption.sealStreamChunk(streamKeys, 0, new Uint8Array(17), true))
+        .toThrow('Chunk larger than the stream chunk size');
+    });
+
+    test('should allow a single empty final chunk', () => {
+      const [ciphertext] = sealAll(streamKeys, [new Uint8Array(0)]);
+
+      expect(ciphertext.length).toBe(16);
+      expect(AmiXMediaEncryption.openStreamChunk(streamKeys, 0, ciphertext, true).length).toBe(0);
+    });
+  });
+
+  describe('Metadata', () => {
+    test('should round-trip metadata and keep it apart from chunks', () => {
+      const sealed = AmiXMediaEncryption.sealStreamMetadata(streamKeys, { totalChunks: 3 });
+
+      expect(AmiXMediaEncryption.openStreamMetadata(streamKeys, sealed)).toEqual({ totalChunks: 3 });
+      expect(() => AmiXMediaEncryption.openStreamChunk(streamKeys, STREAM_CONFIG.METADATA_INDEX, sealed, true))
+        .toThrow('failed authentication');
+    });
+  });
+});
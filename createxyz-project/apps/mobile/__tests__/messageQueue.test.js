@@ -0,0 +1,272 @@
+import { AmiXMessageQueue } from '../src/services/messageQueue';
+import { AmiXWebRTC } from '../src/services/webrtc';
+import { AmiXMLSDelivery } from '../src/services/mlsDelivery';
+import { AmiXDevices } from '../src/services/devices';
+import { AmiXSealedSender } from '../src/services/sealedSender';
+import { AmiXStorage } from '../src/utils/storage';
+import { GroupCrypto } from '../src/utils/groupCrypto';
+
+// AmiX Message Queue Testing Suite
+// Draining the relay mailbox: only blobs that were handled, or parked on
+// the device for another try, are acked and so deleted from the server.
+// Transcripts of what we sent reach our other devices under the same ID,
+// and sealed messages are never resent in a way that names the sender.
+
+const blob = (id, type = 'encrypted_message') => ({
+  id,
+  senderId: 'AMX-BOB',
+  senderDeviceId: 'device-1',
+  encryptedData: JSON.stringify({ type, payload: { ciphertext: id }, messageId: id }),
+});
+
+describe('AmiXMessageQueue', () => {
+  describe('Relay drain', () => {
+    let mailbox;
+    let acked;
+    let stored;
+
+    beforeEach(() => {
+      mailbox = [];
+      acked = [];
+      stored = {};
+      AmiXMessageQueue.parkedRelayMessages = new Map();
+      AmiXMessageQueue.networkStatus = 'online';
+
+      // The server returns the oldest blobs until they are acked
+      jest.spyOn(AmiXMessageQueue, 'fetchRelayMessages').mockImplementation(async () => mailbox.slice(0, 2));
+      jest.spyOn(AmiXMessageQueue, 'ackRelayMessages').mockImplementation(async (ids) => {
+        acked.push(...ids);
+        mailbox = mailbox.filter(message => !ids.includes(message.id));
+        return true;
+      });
+      jest.spyOn(AmiXMLSDelivery, 'sync').mockResolvedValue();
+      jest.spyOn(AmiXStorage, 'store').mockImplementation(async (key, value) => {
+        stored[key] = value;
+        return true;
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should report decrypt failures', async () => {
+      jest.spyOn(AmiXWebRTC, 'decryptFromPeer').mockRejectedValue(new Error('No session'));
+
+      expect(await AmiXMessageQueue.handleRelayMessage(blob('m1'))).toBe(false);
+      expect(await AmiXWebRTC.handleEncryptedMessage('AMX-BOB', {}, 'device-1', 'm1')).toBe(false);
+    });
+
+    test('should ack blobs of unknown types', async () => {
+      expect(await AmiXMessageQueue.handleRelayMessage(blob('m1', 'from_the_future'))).toBe(true);
+    });
+
+    test('should ack handled blobs and park the rest', async () => {
+      mailbox = [blob('m1'), blob('m2'), blob('m3')];
+      jest.spyOn(AmiXMessageQueue, 'handleRelayMessage')
+        .mockImplementation(async message => message.id !== 'm2');
+
+      const drained = await AmiXMessageQueue.drainRelay();
+
+      expect(drained).toBe(2);
+      expect(acked).toEqual(['m1', 'm2', 'm3']);
+      expect(Object.keys(stored.relay_parked)).toEqual(['m2']);
+      expect(AmiXMessageQueue.parkedRelayMessages.get('m2').relayMessage).toEqual(blob('m2'));
+    });
+
+    test('should leave blobs on the server when they cannot be parked', async () => {
+      mailbox = [blob('m1'), blob('m2')];
+      jest.spyOn(AmiXMessageQueue, 'handleRelayMessage')
+        .mockImplementation(async message => message.id === 'm1');
+      AmiXStorage.store.mockResolvedValue(false);
+
+      await AmiXMessageQueue.drainRelay();
+
+      expect(acked).toEqual(['m1']);
+      expect(mailbox.map(message => message.id)).toEqual(['m2']);
+    });
+
+    test('should stop when a whole batch fails', async () => {
+      mailbox = [blob('m1'), blob('m2')];
+      jest.spyOn(AmiXMessageQueue, 'handleRelayMessage').mockResolvedValue(false);
+      AmiXStorage.store.mockResolvedValue(false);
+
+      expect(await AmiXMessageQueue.drainRelay()).toBe(0);
+      expect(AmiXMessageQueue.fetchRelayMessages).toHaveBeenCalledTimes(1);
+      expect(AmiXMessageQueue.ackRelayMessages).not.toHaveBeenCalled();
+    });
+
+    test('should retry parked blobs on the next drain', async () => {
+      mailbox = [blob('m1')];
+      const handle = jest.spyOn(AmiXMessageQueue, 'handleRelayMessage').mockResolvedValue(false);
+      await AmiXMessageQueue.drainRelay();
+
+      // The sender's session arrived in the meantime
+      handle.mockResolvedValue(true);
+      const drained = await AmiXMessageQueue.drainRelay();
+
+      expect(drained).toBe(1);
+      expect(handle).toHaveBeenLastCalledWith(blob('m1'));
+      expect(AmiXMessageQueue.parkedRelayMessages.size).toBe(0);
+      expect(stored.relay_parked).toEqual({});
+    });
+
+    test('should give up on parked blobs after the last attempt', async () => {
+      mailbox = [blob('m1')];
+      jest.spyOn(AmiXMessageQueue, 'handleRelayMessage').mockResolvedValue(false);
+
+      for (let i = 0; i < AmiXMessageQueue.maxRelayAttempts; i++) {
+        await AmiXMessageQueue.drainRelay();
+      }
+
+      expect(AmiXMessageQueue.handleRelayMessage).toHaveBeenCalledTimes(AmiXMessageQueue.maxRelayAttempts);
+      expect(AmiXMessageQueue.parkedRelayMessages.size).toBe(0);
+    });
+  });
+
+  describe('Sent transcripts', () => {
+    beforeEach(() => {
+      jest.spyOn(AmiXStorage, 'getAmiXId').mockResolvedValue('AMX-AMY');
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should send our other devices the message ID with the transcript', async () => {
+      jest.spyOn(AmiXDevices, 'getOwnOtherDeviceIds').mockResolvedValue(['device-2']);
+      jest.spyOn(AmiXWebRTC, 'encryptForPeer').mockImplementation(async (amixId, plaintext) => ({ plaintext }));
+      jest.spyOn(AmiXMessageQueue, 'sendViaRelay').mockResolvedValue(true);
+
+      await AmiXMessageQueue.syncToOwnDevices('AMX-BOB', 'see you at 5', 'msg-1');
+
+      const [[relayed]] = AmiXMessageQueue.sendViaRelay.mock.calls;
+      expect(relayed).toMatchObject({ recipientId: 'AMX-AMY', recipientDeviceId: 'device-2' });
+      expect(JSON.parse(relayed.encryptedData.payload.plaintext))
+        .toMatchObject({ messageId: 'msg-1', recipientId: 'AMX-BOB', content: 'see you at 5' });
+    });
+
+    test('should store a message sent from another device under its ID', async () => {
+      const transcript = { messageId: 'msg-sync-1', recipientId: 'AMX-BOB', content: 'see you at 5', timestamp: 1000 };
+      jest.spyOn(AmiXWebRTC, 'decryptFromPeer').mockResolvedValue(JSON.stringify(transcript));
+      jest.spyOn(AmiXStorage, 'storeMessage').mockResolvedValue(true);
+
+      const handled = await AmiXMessageQueue.handleRelayMessage({
+        id: 'blob-1',
+        senderId: 'AMX-AMY',
+        senderDeviceId: 'device-2',
+        encryptedData: JSON.stringify({ type: 'sync_sent', payload: {} }),
+      });
+
+      expect(handled).toBe(true);
+      expect(AmiXStorage.storeMessage).toHaveBeenCalledWith('AMX-BOB', expect.objectContaining({
+        id: 'msg-sync-1',
+        content: 'see you at 5',
+        senderId: 'self',
+        timestamp: 1000,
+        syncedFromDevice: 'device-2',
+      }));
+    });
+
+    test('should refuse transcripts from another identity', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(await AmiXMessageQueue.handleRelayMessage({
+        id: 'blob-1',
+        senderId: 'AMX-EVE',
+        encryptedData: JSON.stringify({ type: 'sync_sent', payload: {} }),
+      })).toBe(false);
+    });
+  });
+
+  describe('Sealed delivery', () => {
+    const message = {
+      recipientId: 'AMX-BOB',
+      recipientDeviceId: 'device-1',
+      encryptedData: { type: 'encrypted_message', payload: { ciphertext: 'x' } },
+    };
+
+    beforeEach(() => {
+      jest.spyOn(AmiXMessageQueue, 'sendViaRelay').mockResolvedValue(true);
+      jest.spyOn(AmiXSealedSender, 'createProfile').mockResolvedValue({ token: 'token-amy' });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should send sealed when the peer shared its token', async () => {
+      jest.spyOn(AmiXSealedSender, 'seal').mockResolvedValue({ deliveryToken: 'token-bob', encryptedData: {} });
+      jest.spyOn(AmiXSealedSender, 'send').mockResolvedValue(true);
+
+      expect(await AmiXMessageQueue.deliverToDevice(message)).toBe(true);
+      expect(AmiXMessageQueue.sendViaRelay).not.toHaveBeenCalled();
+    });
+
+    test('should leave a failed sealed send to the outbox rather than send it unsealed', async () => {
+      jest.spyOn(AmiXSealedSender, 'seal').mockResolvedValue({ deliveryToken: 'token-bob', encryptedData: {} });
+      jest.spyOn(AmiXSealedSender, 'send').mockResolvedValue(false);
+
+      expect(await AmiXMessageQueue.deliverToDevice(message)).toBe(false);
+      expect(AmiXMessageQueue.sendViaRelay).not.toHaveBeenCalled();
+    });
+
+    test('should not send unsealed when sealing fails', async () => {
+      jest.spyOn(AmiXSealedSender, 'seal').mockRejectedValue(new Error('No sender certificate'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(await AmiXMessageQueue.deliverToDevice(message)).toBe(false);
+      expect(AmiXMessageQueue.sendViaRelay).not.toHaveBeenCalled();
+    });
+
+    test('should send regularly with our profile to peers without a token', async () => {
+      jest.spyOn(AmiXSealedSender, 'seal').mockResolvedValue(null);
+
+      expect(await AmiXMessageQueue.deliverToDevice(message)).toBe(true);
+      expect(AmiXMessageQueue.sendViaRelay).toHaveBeenCalledWith({
+        ...message,
+        encryptedData: { ...message.encryptedData, profile: { token: 'token-amy' } },
+      });
+    });
+  });
+
+  describe('Sender key distribution', () => {
+    const distribution = { type: 'sender_key_distribution', groupId: 'group-1', keyId: 'key-1' };
+
+    beforeEach(() => {
+      jest.spyOn(AmiXStorage, 'getAmiXId').mockResolvedValue('AMX-AMY');
+      jest.spyOn(AmiXWebRTC, 'encryptForPeer').mockResolvedValue({ ciphertext: 'key' });
+      jest.spyOn(AmiXMessageQueue, 'sendViaRelay').mockResolvedValue(true);
+      jest.spyOn(AmiXMessageQueue, 'deliverToDevice').mockResolvedValue(true);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should hand our sender key to our other devices only', async () => {
+      jest.spyOn(AmiXDevices, 'getOwnOtherDeviceIds').mockResolvedValue(['tablet']);
+
+      expect(await AmiXMessageQueue.sendSenderKeyDistribution('AMX-AMY', distribution)).toBe(true);
+      expect(AmiXMessageQueue.sendViaRelay).toHaveBeenCalledTimes(1);
+      expect(AmiXMessageQueue.sendViaRelay).toHaveBeenCalledWith(expect.objectContaining({
+        recipientId: 'AMX-AMY',
+        recipientDeviceId: 'tablet',
+      }));
+      expect(AmiXMessageQueue.deliverToDevice).not.toHaveBeenCalled();
+    });
+
+    test('should keep the chain under the device it came from', async () => {
+      jest.spyOn(AmiXWebRTC, 'decryptFromPeer').mockResolvedValue(JSON.stringify(distribution));
+      jest.spyOn(GroupCrypto, 'processSenderKeyDistribution').mockResolvedValue(true);
+
+      expect(await AmiXMessageQueue.handleRelayMessage({
+        id: 'relay-1',
+        senderId: 'AMX-AMY',
+        senderDeviceId: 'tablet',
+        encryptedData: { type: 'sender_key_distribution', payload: { ciphertext: 'key' } },
+      })).toBe(true);
+      expect(GroupCrypto.processSenderKeyDistribution).toHaveBeenCalledWith('AMX-AMY', distribution, 'tablet');
+    });
+  });
+});
@@ -0,0 +1,264 @@
+import { AmiXMLS } from '../src/utils/mls';
+
+// AmiX MLS Testing Suite
+// Runs several simulated clients in-process against a minimal delivery
+// service that, like the backend, accepts exactly one Commit per epoch.
+
+// Every Commit runs public key operations along the tree in plain JS, and
+// the larger groups below take longer than Jest's default five seconds
+jest.setTimeout(30000);
+
+class InProcessDeliveryService {
+  constructor() {
+    this.epoch = 0;
+    this.log = [];
+  }
+
+  // Returns false when the Commit lost the race for its epoch
+  submitCommit(commit) {
+    if (commit.epoch !== this.epoch) return false;
+    this.log.push(commit);
+    this.epoch += 1;
+    return true;
+  }
+}
+
+const newClient = (amixId) => ({
+  amixId,
+  keyPackage: AmiXMLS.createKeyPackage({ amixId, deviceId: `${amixId}-device` }),
+  state: null,
+});
+
+// Commit through the delivery service, then have every other member process it
+const commitAndFanOut = async (ds, committer, proposals, members, joiners = []) => {
+  const result = await AmiXMLS.createCommit(committer.state, proposals);
+  expect(ds.submitCommit(result.commit)).toBe(true);
+  committer.state = result.state;
+
+  for (const member of members) {
+    if (member === committer) continue;
+    member.state = (await AmiXMLS.processCommit(member.state, result.commit)).state;
+  }
+
+  for (const joiner of joiners) {
+    const welcome = result.welcomes.find(w => w.recipient.amixId === joiner.amixId);
+    joiner.state = await AmiXMLS.joinGroup(welcome, joiner.keyPackage);
+  }
+
+  return result;
+};
+
+const setupGroup = async (names) => {
+  const ds = new InProcessDeliveryService();
+  const [creator, ...others] = names.map(newClient);
+  creator.state = await AmiXMLS.createGroup('mls-group', { amixId: creator.amixId, deviceId: null });
+
+  await commitAndFanOut(
+    ds,
+    creator,
+    others.map(client => AmiXMLS.addProposal(client.keyPackage.keyPackage)),
+    [creator],
+    others
+  );
+
+  return { ds, clients: [creator, ...others] };
+};
+
+const expectInSync = (clients) => {
+  const [first, ...rest] = clients;
+  rest.forEach((client) => {
+    expect(client.state.epoch).toBe(first.state.epoch);
+    expect(client.state.epochAuthenticator).toBe(first.state.epochAuthenticator);
+  });
+};
+
+describe('AmiXMLS', () => {
+  describe('Tree Math', () => {
+    test('should compute direct paths and copaths', () => {
+      expect(AmiXMLS.directPath(0, 8)).toEqual([1, 3, 7]);
+      expect(AmiXMLS.copath(0, 8)).toEqual([2, 5, 11]);
+      expect(AmiXMLS.directPath(10, 8)).toEqual([9, 11, 7]);
+      expect(AmiXMLS.copath(10, 8)).toEqual([8, 13, 3]);
+    });
+
+    test('should place leaves in subtrees', () => {
+      expect(AmiXMLS.isInSubtree(3, 2)).toBe(true);
+      expect(AmiXMLS.isInSubtree(3, 4)).toBe(false);
+      expect(AmiXMLS.isInSubtree(7, 7)).toBe(true);
+    });
+  });
+
+  describe('Key Packages', () => {
+    test('should reject tampered key packages', () => {
+      const { keyPackage } = AmiXMLS.createKeyPackage({ amixId: 'alice' });
+      expect(AmiXMLS.verifyKeyPackage(keyPackage)).toBe(true);
+      expect(AmiXMLS.verifyKeyPackage({ ...keyPackage, identity: { amixId: 'mallory', deviceId: null } }))
+        .toBe(false);
+    });
+  });
+
+  describe('Membership', () => {
+    test('should add members with a Commit and Welcome', async () => {
+      const { clients } = await setupGroup(['alice', 'bob', 'carol']);
+
+      expectInSync(clients);
+      expect(clients[0].state.epoch).toBe(1);
+      expect(AmiXMLS.members(clients[2].state).map(m => m.amixId)).toEqual(['alice', 'bob', 'carol']);
+    });
+
+    test('should lock removed members out of the new epoch', async () => {
+      const { ds, clients } = await setupGroup(['alice', 'bob', 'carol', 'dave']);
+      const [alice, bob, carol, dave] = clients;
+      const before = alice.state.epochAuthenticator;
+
+      const result = await AmiXMLS.createCommit(alice.state, [AmiXMLS.removeProposal(bob.state.ownLeaf)]);
+      expect(ds.submitCommit(result.commit)).toBe(true);
+      alice.state = result.state;
+
+      const removed = await AmiXMLS.processCommit(bob.state, result.commit);
+      expect(removed.removed).toBe(true);
+      expect(removed.state.active).toBe(false);
+
+      carol.state = (await AmiXMLS.processCommit(carol.state, result.commit)).state;
+      dave.state = (await AmiXMLS.processCommit(dave.state, result.commit)).state;
+
+      expectInSync([alice, carol, dave]);
+      expect(alice.state.epochAuthenticator).not.toBe(before);
+      expect(result.changes.removed.map(m => m.amixId)).toEqual(['bob']);
+
+      const message = await AmiXMLS.encryptApplication(alice.state, 'bob is gone');
+      expect((await AmiXMLS.decryptApplication(carol.state, message)).plaintext).toBe('bob is gone');
+      await expect(AmiXMLS.decryptApplication(bob.state, message)).rejects.toThrow();
+    });
+
+    test('should grow the tree and keep late joiners in sync', async () => {
+      const { ds, clients } = await setupGroup(['alice', 'bob']);
+      const members = [...clients];
+
+      for (const name of ['carol', 'dave', 'erin']) {
+        const joiner = newClient(name);
+        await commitAndFanOut(
+          ds,
+          members[members.length - 1],
+          [AmiXMLS.addProposal(joiner.keyPackage.keyPackage)],
+          members,
+          [joiner]
+        );
+        members.push(joiner);
+      }
+
+      expectInSync(members);
+      expect(AmiXMLS.leafCount(members[0].state.tree)).toBe(8);
+
+      // A member far from the last committer can still update everyone
+      await commitAndFanOut(ds, members[1], [], members);
+      expectInSync(members);
+    });
+
+    test('should include standalone proposals in the next Commit', async () => {
+      const { ds, clients } = await setupGroup(['alice', 'bob', 'carol']);
+      const [alice, bob, carol] = clients;
+      const erin = newClient('erin');
+
+      const proposal = AmiXMLS.createProposal(bob.state, AmiXMLS.addProposal(erin.keyPackage.keyPackage));
+      alice.state = AmiXMLS.processProposal(alice.state, proposal);
+      carol.state = AmiXMLS.processProposal(carol.state, proposal);
+
+      await commitAndFanOut(ds, alice, [], [alice, bob, carol], [erin]);
+      expectInSync([alice, bob, carol, erin]);
+    });
+  });
+
+  describe('Key Rotation', () => {
+    test('should move every member to a fresh epoch secret', async () => {
+      const { ds, clients } = await setupGroup(['alice', 'bob', 'carol']);
+      const before = clients[0].state.encryptionSecret;
+
+      await commitAndFanOut(ds, clients[2], [], clients);
+
+      expectInSync(clients);
+      expect(clients[0].state.encryptionSecret).not.toBe(before);
+    });
+  });
+
+  describe('Delivery Service Ordering', () => {
+    test('should let the losing committer rebase onto the accepted Commit', async () => {
+      const { ds, clients } = await setupGroup(['alice', 'bob', 'carol']);
+      const [alice, bob, carol] = clients;
+
+      const fromAlice = await AmiXMLS.createCommit(alice.state, []);
+      const fromBob = await AmiXMLS.createCommit(bob.state, []);
+
+      expect(ds.submitCommit(fromAlice.commit)).toBe(true);
+      expect(ds.submitCommit(fromBob.commit)).toBe(false);
+
+      // Bob drops his pending Commit and processes the winner
+      alice.state = fromAlice.state;
+      bob.state = (await AmiXMLS.processCommit(bob.state, fromAlice.commit)).state;
+      carol.state = (await AmiXMLS.processCommit(carol.state, fromAlice.commit)).state;
+      await expect(AmiXMLS.processCommit(carol.state, fromBob.commit)).rejects.toThrow();
+
+      await commitAndFanOut(ds, bob, [], clients);
+      expectInSync(clients);
+      expect(ds.log).toHaveLength(3);
+    });
+
+    test('should reject forged Commits without changing state', async () => {
+      const { clients } = await setupGroup(['alice', 'bob']);
+      const [alice, bob] = clients;
+      const before = JSON.stringify(bob.state);
+
+      const { commit } = await AmiXMLS.createCommit(alice.state, []);
+      const forged = { ...commit, proposals: [AmiXMLS.removeProposal(bob.state.ownLeaf)] };
+
+      await expect(AmiXMLS.processCommit(bob.state, forged)).rejects.toThrow();
+      expect(JSON.stringify(bob.state)).toBe(before);
+    });
+  });
+
+  describe('Application Messages', () => {
+    test('should encrypt once for the whole group', async () => {
+      const { clients } = await setupGroup(['alice', 'bob', 'carol']);
+      const [alice, bob, carol] = clients;
+
+      const message = await AmiXMLS.encryptApplication(alice.state, 'hello everyone', { aad: 'msg-1' });
+      const atBob = await AmiXMLS.decryptApplication(bob.state, message, { aad: 'msg-1' });
+      const atCarol = await AmiXMLS.decryptApplication(carol.state, message, { aad: 'msg-1' });
+
+      expect(atBob.plaintext).toBe('hello everyone');
+      expect(atCarol.plaintext).toBe('hello everyone');
+      expect(atBob.sender.amixId).toBe('alice');
+    });
+
+    test('should handle reordering and reject replays', async () => {
+      const { clients } = await setupGroup(['alice', 'bob']);
+      const [alice, bob] = clients;
+
+      const first = await AmiXMLS.encryptApplication(alice.state, 'first');
+      const second = await AmiXMLS.encryptApplication(alice.state, 'second');
+
+      expect((await AmiXMLS.decryptApplication(bob.state, second)).plaintext).toBe('second');
+      expect((await AmiXMLS.decryptApplication(bob.state, first)).plaintext).toBe('first');
+      await expect(AmiXMLS.decryptApplication(bob.state, first)).rejects.toThrow();
+    });
+
+    test('should reject messages from a previous epoch', async () => {
+      const { ds, clients } = await setupGroup(['alice', 'bob']);
+      const [alice, bob] = clients;
+
+      const stale = await AmiXMLS.encryptApplication(alice.state, 'old epoch');
+      await commitAndFanOut(ds, bob, [], clients);
+
+      await expect(AmiXMLS.decryptApplication(bob.state, stale)).rejects.toThrow();
+    });
+
+    test('should derive matching exported secrets', async () => {
+      const { clients } = await setupGroup(['alice', 'bob']);
+      const [alice, bob] = clients;
+
+      const fromAlice = await AmiXMLS.exportSecret(alice.state, 'media');
+      const fromBob = await AmiXMLS.exportSecret(bob.state, 'media');
+      expect(Array.from(fromAlice)).toEqual(Array.from(fromBob));
+    });
+  });
+});
@@ -0,0 +1,176 @@
+import { encodeBase64, decodeBase64 } from 'tweetnacl-util';
+import { AmiXCrypto } from '../src/utils/crypto';
+import { PQCrypto, PQ_CONFIG } from '../src/utils/pqcrypto';
+
+// AmiX PQXDH Testing Suite
+// Two simulated clients run the handshake against each other's bundles:
+// one that publishes a Kyber prekey and one legacy client that doesn't.
+
+const newClient = async ({ pq = true } = {}) => {
+  const identityKeys = await AmiXCrypto.generateIdentityKeys();
+  const signedPreKey = await AmiXCrypto.generateSignedPreKey(identityKeys, 1);
+  const [oneTimePreKey] = AmiXCrypto.generateOneTimePreKeys(1, 1);
+  const pqPreKey = pq ? await PQCrypto.generateSignedPreKey(identityKeys, 1) : null;
+
+  return {
+    identityKeys,
+    preKeys: { signedPreKey, oneTimePreKey, pqPreKey },
+    // What the key directory serves to peers
+    bundle: {
+      identityKey: identityKeys.current.publicKey,
+      signingKey: identityKeys.current.signingPublicKey,
+      signedPreKey: {
+        keyId: signedPreKey.keyId,
+        publicKey: signedPreKey.publicKey,
+        signature: signedPreKey.signature,
+      },
+      oneTimePreKey: { keyId: oneTimePreKey.keyId, publicKey: oneTimePreKey.publicKey },
+      pqPreKey: pqPreKey
+        ? { keyId: pqPreKey.keyId, publicKey: pqPreKey.publicKey, signature: pqPreKey.signature }
+        : null,
+    },
+  };
+};
+
+describe('PQCrypto', () => {
+  describe('Kyber1024 KEM', () => {
+    test('should agree on a secret through encapsulation', async () => {
+      const keyPair = await PQCrypto.generateKeyPair();
+      const { ciphertext, sharedSecret } = await PQCrypto.encapsulate(keyPair.publicKey);
+      const decapsulated = await PQCrypto.decapsulate(ciphertext, keyPair.privateKey);
+
+      expect(keyPair.keyType).toBe(PQ_CONFIG.KEM);
+      expect(Array.from(decapsulated)).toEqual(Array.from(sharedSecret));
+    });
+
+    test('should reject Kyber prekeys signed by another identity', async () => {
+      const bob = await newClient();
+      const mallory = await newClient();
+
+      expect(PQCrypto.verifySignedPreKey(bob.bundle.pqPreKey, bob.bundle.signingKey)).toBe(true);
+      expect(PQCrypto.verifySignedPreKey(mallory.bundle.pqPreKey, bob.bundle.signingKey)).toBe(false);
+    });
+  });
+
+  describe('PQXDH Handshake', () => {
+    test('should derive the same secret when both sides support PQXDH', async () => {
+      const alice = await newClient();
+      const bob = await newClient();
+
+      const initiated = await PQCrypto.hybridKeyExchange(alice.identityKeys, bob.bundle);
+      const responded = await PQCrypto.hybridRespond(bob.identityKeys, bob.preKeys, initiated.header);
+
+      expect(initiated.handshake).toBe(PQ_CONFIG.HANDSHAKES.PQXDH);
+      expect(responded.handshake).toBe(PQ_CONFIG.HANDSHAKES.PQXDH);
+      expect(initiated.header.pqPreKeyId).toBe(bob.bundle.pqPreKey.keyId);
+      expect(initiated.sharedSecret).toBe(responded.sharedSecret);
+      expect(initiated.associatedData).toBe(responded.associatedData);
+    });
+
+    test('should mix the KEM secret into the session key', async () => {
+      const alice = await newClient();
+      const bob = await newClient();
+
+      const initiated = await PQCrypto.hybridKeyExchange(alice.identityKeys, bob.bundle);
+      const { pqPreKeyId, pqCiphertext, ...classicHeader } = initiated.header;
+      const classic = await AmiXCrypto.x3dhRespond(bob.identityKeys, bob.preKeys, classicHeader);
+
+      expect(classic.sharedSecret).not.toBe(initiated.sharedSecret);
+    });
+
+    test('should not agree when the ciphertext is tampered with', async () => {
+      const alice = await newClient();
+      const bob = await newClient();
+
+      const initiated = await PQCrypto.hybridKeyExchange(alice.identityKeys, bob.bundle);
+      const ciphertext = decodeBase64(initiated.header.pqCiphertext);
+      ciphertext[0] ^= 1;
+      const tampered = { ...initiated.header, pqCiphertext: encodeBase64(ciphertext) };
+
+      const responded = await PQCrypto.hybridRespond(bob.identityKeys, bob.preKeys, tampered);
+      expect(responded.sharedSecret).not.toBe(initiated.sharedSecret);
+    });
+
+    test('should carry a session into the Double Ratchet', async () => {
+      const alice = await newClient();
+      const bob = await newClient();
+
+      const initiated = await PQCrypto.hybridKeyExchange(alice.identityKeys, bob.bundle);
+      const responded = await PQCrypto.hybridRespond(bob.identityKeys, bob.preKeys, initiated.header);
+
+      const aliceState = await AmiXCrypto.createRatchetState(
+        initiated.sharedSecret, null, initiated.theirSignedPreKey
+      );
+      const bobState = await AmiXCrypto.createRatchetState(
+        responded.sharedSecret, bob.preKeys.signedPreKey.privateKey, null
+      );
+
+      const message = await AmiXCrypto.encryptMessage('quantum-safe hello', aliceState);
+      expect(await AmiXCrypto.decryptMessage(message, bobState)).toBe('quantum-safe hello');
+
+      const reply = await AmiXCrypto.encryptMessage('hello back', bobState);
+      expect(await AmiXCrypto.decryptMessage(reply, aliceState)).toBe('hello back');
+    });
+  });
+
+  describe('Fallback Negotiation', () => {
+    test('should fall back to X3DH for peers without a Kyber prekey', async () => {
+      const alice = await newClient();
+      const legacy = await newClient({ pq: false });
+
+      const initiated = await PQCrypto.hybridKeyExchange(alice.identityKeys, legacy.bundle);
+      expect(initiated.handshake).toBe(PQ_CONFIG.HANDSHAKES.X3DH);
+      expect(initiated.header.pqCiphertext).toBeUndefined();
+
+      // The legacy client only understands plain X3DH
+      const responded = await AmiXCrypto.x3dhRespond(
+        legacy.identityKeys, legacy.preKeys, initiated.header
+      );
+      expect(responded.sharedSecret).toBe(initiated.sharedSecret);
+    });
+
+    test('should accept X3DH from a legacy initiator', async () => {
+      const legacy = await newClient({ pq: false });
+      const bob = await newClient();
+
+      const initiated = await AmiXCrypto.x3dhInitiate(legacy.identityKeys, bob.bundle);
+      const responded = await PQCrypto.hybridRespond(bob.identityKeys, bob.preKeys, initiated.header);
+
+      expect(responded.handshake).toBe(PQ_CONFIG.HANDSHAKES.X3DH);
+      expect(responded.sharedSecret).toBe(initiated.sharedSecret);
+    });
+
+    test('should refuse to fall back when PQ is required', async () => {
+      const alice = await newClient();
+      const legacy = await newClient({ pq: false });
+
+      await expect(
+        PQCrypto.hybridKeyExchange(alice.identityKeys, legacy.bundle, { requirePQ: true })
+      ).rejects.toThrow();
+
+      const initiated = await AmiXCrypto.x3dhInitiate(legacy.identityKeys, alice.bundle);
+      await expect(
+        PQCrypto.hybridRespond(alice.identityKeys, alice.preKeys, initiated.header, { requirePQ: true })
+      ).rejects.toThrow();
+    });
+
+    test('should not downgrade when the Kyber prekey is forged', async () => {
+      const alice = await newClient();
+      const bob = await newClient();
+      const mallory = await newClient();
+
+      const bundle = { ...bob.bundle, pqPreKey: mallory.bundle.pqPreKey };
+      await expect(PQCrypto.hybridKeyExchange(alice.identityKeys, bundle)).rejects.toThrow();
+    });
+
+    test('should reject headers naming an unknown Kyber prekey', async () => {
+      const alice = await newClient();
+      const bob = await newClient();
+
+      const initiated = await PQCrypto.hybridKeyExchange(alice.identityKeys, bob.bundle);
+      await expect(
+        PQCrypto.hybridRespond(bob.identityKeys, { ...bob.preKeys, pqPreKey: null }, initiated.header)
+      ).rejects.toThrow();
+    });
+  });
+});
@@ -0,0 +1,97 @@
+import { AmiXPreKeys } from '../src/services/prekeys';
+import { AmiXVerification } from '../src/services/verification';
+import { AmiXCrypto } from '../src/utils/crypto';
+import { PQCrypto, PQ_CONFIG } from '../src/utils/pqcrypto';
+import { AmiXStorage } from '../src/utils/storage';
+import { SecurityLogger } from '../src/utils/securityLogger';
+
+// AmiX Prekeys Testing Suite
+// Answering a peer's first message: a classic X3DH header is only taken
+// against signed prekeys we never published a Kyber prekey with.
+
+describe('AmiXPreKeys', () => {
+  let alice;
+  let bob;
+
+  // Bob's local prekey state and the bundle the key directory serves for it
+  const bobWith = async ({ pq }) => {
+    const identityKeys = await AmiXCrypto.generateIdentityKeys();
+    const signedPreKey = await AmiXCrypto.generateSignedPreKey(identityKeys, 1);
+    const pqPreKey = pq ? await PQCrypto.generateSignedPreKey(identityKeys, 1) : null;
+
+    return {
+      identityKeys,
+      state: {
+        signedPreKey,
+        previousSignedPreKey: null,
+        pqPreKey,
+        previousPQPreKey: null,
+        oneTimePreKeys: {},
+        nextSignedPreKeyId: 2,
+        nextOneTimePreKeyId: 1,
+      },
+      bundle: {
+        identityKey: identityKeys.current.publicKey,
+        signingKey: identityKeys.current.signingPublicKey,
+        signedPreKey: {
+          keyId: signedPreKey.keyId,
+          publicKey: signedPreKey.publicKey,
+          signature: signedPreKey.signature,
+        },
+        oneTimePreKey: null,
+        pqPreKey: pqPreKey
+          ? { keyId: pqPreKey.keyId, publicKey: pqPreKey.publicKey, signature: pqPreKey.signature }
+          : null,
+      },
+    };
+  };
+
+  const answer = header => AmiXPreKeys.acceptSession('AMX-ALICE', header, 'alice-phone');
+
+  beforeEach(async () => {
+    alice = { identityKeys: await AmiXCrypto.generateIdentityKeys() };
+
+    jest.spyOn(AmiXStorage, 'getIdentityKeys').mockImplementation(async () => bob.identityKeys);
+    jest.spyOn(AmiXStorage, 'getPreKeys').mockImplementation(async () => bob.state);
+    jest.spyOn(AmiXStorage, 'storePreKeys').mockResolvedValue(true);
+    jest.spyOn(AmiXStorage, 'storeRatchetState').mockResolvedValue(true);
+    jest.spyOn(AmiXVerification, 'checkIdentityKey').mockResolvedValue();
+    jest.spyOn(AmiXPreKeys, 'replenishIfNeeded').mockResolvedValue(false);
+    jest.spyOn(SecurityLogger, 'logEvent').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Accepting sessions', () => {
+    test('should accept PQXDH against our Kyber prekey', async () => {
+      bob = await bobWith({ pq: true });
+      const { header } = await PQCrypto.hybridKeyExchange(alice.identityKeys, bob.bundle);
+
+      expect((await answer(header)).handshake).toBe(PQ_CONFIG.HANDSHAKES.PQXDH);
+    });
+
+    test('should refuse classic X3DH once our Kyber prekey was served', async () => {
+      bob = await bobWith({ pq: true });
+
+      // The Kyber prekey was stripped from the bundle on its way to Alice
+      const { header } = await PQCrypto.hybridKeyExchange(alice.identityKeys, { ...bob.bundle, pqPreKey: null });
+
+      await expect(answer(header)).rejects.toThrow('Peer did not use a post-quantum handshake');
+      expect(SecurityLogger.logEvent).toHaveBeenCalledWith(SecurityLogger.EVENTS.HANDSHAKE_DOWNGRADE, {
+        amixId: 'AMX-ALICE',
+        deviceId: 'alice-phone',
+      });
+      expect(AmiXStorage.storeRatchetState).not.toHaveBeenCalled();
+    });
+
+    test('should accept classic X3DH against a signed prekey without a Kyber prekey', async () => {
+      bob = await bobWith({ pq: false });
+      const { header } = await PQCrypto.hybridKeyExchange(alice.identityKeys, bob.bundle);
+
+      expect((await answer(header)).handshake).toBe(PQ_CONFIG.HANDSHAKES.X3DH);
+      expect(SecurityLogger.logEvent).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,73 @@
+import { AmiXPresenceEvents, LAST_SEEN_VISIBILITY, PRESENCE_CONFIG } from '../src/utils/presence';
+
+// AmiX Presence Testing Suite
+// Covers typing events, how often they are sent, and the last-seen text
+// shown for a contact.
+
+const NOW = new Date(2024, 5, 15, 14, 30).getTime();
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+describe('AmiXPresenceEvents', () => {
+  describe('Typing events', () => {
+    test('should round-trip a typing event', () => {
+      const event = AmiXPresenceEvents.createTypingEvent(true, 'group-1', NOW);
+
+      expect(AmiXPresenceEvents.parseTypingEvent(event)).toEqual({ typing: true, groupId: 'group-1', sentAt: NOW });
+    });
+
+    test('should refuse anything that is not a typing event', () => {
+      expect(AmiXPresenceEvents.parseTypingEvent('hello')).toBeNull();
+      expect(AmiXPresenceEvents.parseTypingEvent(JSON.stringify({ type: 'receipt' }))).toBeNull();
+      expect(AmiXPresenceEvents.parseTypingEvent(JSON.stringify({ type: 'typing', typing: 'yes', sentAt: NOW }))).toBeNull();
+      expect(AmiXPresenceEvents.parseTypingEvent(JSON.stringify({ type: 'typing', typing: true, groupId: 7, sentAt: NOW }))).toBeNull();
+    });
+
+    test('should ignore late or replayed events', () => {
+      const event = AmiXPresenceEvents.parseTypingEvent(AmiXPresenceEvents.createTypingEvent(true, null, NOW));
+
+      expect(AmiXPresenceEvents.isStale(event, NOW + 1000)).toBe(false);
+      expect(AmiXPresenceEvents.isStale(event, NOW + PRESENCE_CONFIG.CLOCK_SKEW + 1)).toBe(true);
+    });
+
+    test('should repeat typing no more often than the refresh interval', () => {
+      expect(AmiXPresenceEvents.shouldSendTyping(null, NOW)).toBe(true);
+      expect(AmiXPresenceEvents.shouldSendTyping(NOW, NOW + PRESENCE_CONFIG.TYPING_REFRESH - 1)).toBe(false);
+      expect(AmiXPresenceEvents.shouldSendTyping(NOW, NOW + PRESENCE_CONFIG.TYPING_REFRESH)).toBe(true);
+    });
+
+    test('should keep a received event on screen longer than the sender refreshes it', () => {
+      expect(PRESENCE_CONFIG.TYPING_TIMEOUT).toBeGreaterThan(PRESENCE_CONFIG.TYPING_REFRESH);
+    });
+  });
+
+  describe('Last seen', () => {
+    test('should show online first', () => {
+      expect(AmiXPresenceEvents.formatLastSeen({ online: true, lastSeen: NOW - HOUR }, NOW)).toBe('online');
+    });
+
+    test('should show nothing when hidden or never seen', () => {
+      expect(AmiXPresenceEvents.formatLastSeen({ online: false, lastSeen: null, hidden: true }, NOW)).toBeNull();
+      expect(AmiXPresenceEvents.formatLastSeen({ online: false, lastSeen: null }, NOW)).toBeNull();
+      expect(AmiXPresenceEvents.formatLastSeen(null, NOW)).toBeNull();
+    });
+
+    test('should describe recent activity in minutes', () => {
+      expect(AmiXPresenceEvents.formatLastSeen({ online: false, lastSeen: NOW - 20 * 1000 }, NOW)).toBe('last seen just now');
+      expect(AmiXPresenceEvents.formatLastSeen({ online: false, lastSeen: NOW - 5 * MINUTE }, NOW)).toBe('last seen 5 min ago');
+    });
+
+    test('should name today and yesterday', () => {
+      expect(AmiXPresenceEvents.formatLastSeen({ online: false, lastSeen: NOW - 3 * HOUR }, NOW)).toMatch(/^last seen today at /);
+      expect(AmiXPresenceEvents.formatLastSeen({ online: false, lastSeen: NOW - 20 * HOUR }, NOW)).toMatch(/^last seen yesterday at /);
+      expect(AmiXPresenceEvents.formatLastSeen({ online: false, lastSeen: NOW - 72 * HOUR }, NOW)).toMatch(/^last seen (?!today|yesterday)/);
+    });
+
+    test('should only accept known visibility settings', () => {
+      Object.values(LAST_SEEN_VISIBILITY).forEach((visibility) => {
+        expect(AmiXPresenceEvents.isValidVisibility(visibility)).toBe(true);
+      });
+      expect(AmiXPresenceEvents.isValidVisibility('contacts')).toBe(false);
+    });
+  });
+});
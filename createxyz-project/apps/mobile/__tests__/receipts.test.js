@@ -0,0 +1,70 @@
+import { AmiXReceipts, RECEIPT_STATUSES, RECEIPT_CONFIG } from '../src/utils/receipts';
+
+// AmiX Receipts Testing Suite
+// Status ordering, receipt validation and group aggregation, as used by
+// the message queue when receipts arrive in any order.
+
+const { SENDING, SENT, DELIVERED, READ } = RECEIPT_STATUSES;
+
+describe('AmiXReceipts', () => {
+  describe('Status ordering', () => {
+    test('should only move forward', () => {
+      expect(AmiXReceipts.advance(SENT, DELIVERED)).toBe(DELIVERED);
+      expect(AmiXReceipts.advance(READ, DELIVERED)).toBe(READ);
+      expect(AmiXReceipts.advance(DELIVERED, SENT)).toBe(DELIVERED);
+      expect(AmiXReceipts.advance(undefined, SENT)).toBe(SENT);
+    });
+
+    test('should let failures replace only sending', () => {
+      expect(AmiXReceipts.advance(SENDING, 'failed')).toBe('failed');
+      expect(AmiXReceipts.advance(DELIVERED, 'failed')).toBe(DELIVERED);
+      expect(AmiXReceipts.advance('failed', SENT)).toBe(SENT);
+    });
+  });
+
+  describe('Receipts', () => {
+    test('should batch and deduplicate message IDs', () => {
+      const ids = Array.from({ length: RECEIPT_CONFIG.MAX_BATCH + 10 }, (_, i) => `m${i}`);
+      const receipts = AmiXReceipts.batch(READ, [...ids, 'm0', 'm1'], 'group-1');
+
+      expect(receipts).toHaveLength(2);
+      expect(receipts[0].messageIds).toHaveLength(RECEIPT_CONFIG.MAX_BATCH);
+      expect(receipts[1].messageIds).toHaveLength(10);
+      expect(receipts[1].groupId).toBe('group-1');
+    });
+
+    test('should round-trip through JSON', () => {
+      const receipt = AmiXReceipts.createReceipt(DELIVERED, ['a', 'b']);
+      const parsed = AmiXReceipts.parseReceipt(JSON.stringify(receipt));
+
+      expect(parsed.status).toBe(DELIVERED);
+      expect(parsed.messageIds).toEqual(['a', 'b']);
+      expect(parsed.groupId).toBeNull();
+    });
+
+    test('should reject statuses a peer cannot report', () => {
+      expect(() => AmiXReceipts.parseReceipt({ status: SENT, messageIds: ['a'] })).toThrow('Invalid receipt status');
+      expect(() => AmiXReceipts.parseReceipt({ status: READ, messageIds: [] })).toThrow('Invalid receipt message IDs');
+      expect(() => AmiXReceipts.parseReceipt({ status: READ, messageIds: [1] })).toThrow('Invalid receipt message IDs');
+    });
+  });
+
+  describe('Groups', () => {
+    test('should show the lowest member status with counts', () => {
+      const summary = AmiXReceipts.aggregate({ alice: READ, bob: DELIVERED, carol: SENT });
+
+      expect(summary).toEqual({ status: SENT, delivered: 2, read: 1, total: 3 });
+    });
+
+    test('should reach read once every member has read', () => {
+      expect(AmiXReceipts.aggregate({ alice: READ, bob: READ }).status).toBe(READ);
+      expect(AmiXReceipts.aggregate({}).status).toBe(SENT);
+    });
+  });
+
+  test('should hide read status when read receipts are off', () => {
+    expect(AmiXReceipts.displayStatus(READ, false)).toBe(DELIVERED);
+    expect(AmiXReceipts.displayStatus(READ, true)).toBe(READ);
+    expect(AmiXReceipts.displayStatus(SENT, false)).toBe(SENT);
+  });
+});
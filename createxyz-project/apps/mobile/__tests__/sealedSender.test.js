@@ -0,0 +1,188 @@
+import nacl from 'tweetnacl';
+import { encodeBase64 } from 'tweetnacl-util';
+import { AmiXSealedSender } from '../src/services/sealedSender';
+import { AmiXStorage } from '../src/utils/storage';
+
+// AmiX Sealed Sender Testing Suite
+// Envelopes sealed by one peer and opened by another, with the sender
+// certificate checked against the trust root, the sealing identity key and
+// the session.
+
+const identity = () => {
+  const keyPair = nacl.box.keyPair();
+  return { current: { keyId: 1, publicKey: encodeBase64(keyPair.publicKey), privateKey: encodeBase64(keyPair.secretKey) } };
+};
+
+describe('AmiXSealedSender', () => {
+  const trustRoot = nacl.sign.keyPair();
+  const originalFetch = global.fetch;
+  let parties;
+  let current;
+
+  const issueCertificate = (amixId, identityKeys, expiresAt = Date.now() + 24 * 60 * 60 * 1000) => {
+    const certificate = JSON.stringify({
+      amixId,
+      deviceId: 'device-1',
+      identityKey: identityKeys.current.publicKey,
+      expiresAt,
+    });
+    return {
+      certificate,
+      signature: encodeBase64(nacl.sign.detached(new TextEncoder().encode(certificate), trustRoot.secretKey)),
+      expiresAt,
+    };
+  };
+
+  const party = (amixId) => {
+    const identityKeys = identity();
+    return {
+      identityKeys,
+      certificate: issueCertificate(amixId, identityKeys),
+      tokens: { own: `token-${amixId}`, peers: {} },
+      sessions: {},
+    };
+  };
+
+  // Run as one party, against that party's storage
+  const as = async (name, fn) => {
+    current = name;
+    try {
+      return await fn();
+    } finally {
+      current = null;
+    }
+  };
+
+  // Both sides already have a session with each other's identity key
+  const connect = (a, b) => {
+    parties[a].sessions[`${b}.device-1`] = { theirIdentityKey: parties[b].identityKeys.current.publicKey };
+    parties[a].tokens.peers[b] = parties[b].tokens.own;
+  };
+
+  beforeEach(() => {
+    parties = { alice: party('alice'), bob: party('bob'), mallory: party('mallory') };
+    connect('alice', 'bob');
+    connect('bob', 'alice');
+    connect('mallory', 'bob');
+
+    jest.spyOn(AmiXStorage, 'getIdentityKeys').mockImplementation(async () => parties[current].identityKeys);
+    jest.spyOn(AmiXStorage, 'getRatchetState').mockImplementation(async id => parties[current].sessions[id] || null);
+    jest.spyOn(AmiXStorage, 'getDeliveryTokens').mockImplementation(async () => JSON.parse(JSON.stringify(parties[current].tokens)));
+    jest.spyOn(AmiXStorage, 'storeDeliveryTokens').mockImplementation(async (tokens) => {
+      parties[current].tokens = tokens;
+      return true;
+    });
+    jest.spyOn(AmiXSealedSender, 'getSenderCertificate').mockImplementation(async () => parties[current].certificate);
+    jest.spyOn(AmiXSealedSender, 'getTrustRoot').mockResolvedValue(encodeBase64(trustRoot.publicKey));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    global.fetch = originalFetch;
+  });
+
+  describe('Sealing', () => {
+    test('should open what a peer sealed and name the certified sender', async () => {
+      const envelope = { type: 'encrypted_message', payload: { ciphertext: 'hi' } };
+      const sealed = await as('alice', () => AmiXSealedSender.seal('bob', 'device-1', envelope));
+
+      expect(sealed.deliveryToken).toBe('token-bob');
+      expect(JSON.stringify(sealed)).not.toContain('alice');
+
+      const opened = await as('bob', () => AmiXSealedSender.unseal(sealed.encryptedData.payload));
+      expect(opened).toEqual({ senderId: 'alice', senderDeviceId: 'device-1', envelope });
+    });
+
+    test('should send regularly when the peer has no delivery token', async () => {
+      delete parties.alice.tokens.peers.bob;
+
+      expect(await as('alice', () => AmiXSealedSender.seal('bob', 'device-1', {}))).toBeNull();
+    });
+
+    test('should refuse a certificate replayed by another identity', async () => {
+      parties.mallory.certificate = parties.alice.certificate;
+      const sealed = await as('mallory', () => AmiXSealedSender.seal('bob', 'device-1', { type: 'acknowledgment', messageId: 'm1' }));
+
+      await expect(as('bob', () => AmiXSealedSender.unseal(sealed.encryptedData.payload)))
+        .rejects.toThrow('Sender certificate does not match the sealing identity');
+    });
+
+    test('should refuse a seal naming an identity key its sender does not hold', async () => {
+      parties.mallory.certificate = parties.alice.certificate;
+      parties.mallory.identityKeys = {
+        current: { ...parties.mallory.identityKeys.current, publicKey: parties.alice.identityKeys.current.publicKey },
+      };
+      const sealed = await as('mallory', () => AmiXSealedSender.seal('bob', 'device-1', { type: 'acknowledgment', messageId: 'm1' }));
+
+      await expect(as('bob', () => AmiXSealedSender.unseal(sealed.encryptedData.payload)))
+        .rejects.toThrow('Failed to unprotect metadata');
+    });
+
+    test('should refuse senders it has no session to check against', async () => {
+      const sealed = await as('alice', () => AmiXSealedSender.seal('bob', 'device-1', { type: 'acknowledgment', messageId: 'm1' }));
+      parties.bob.sessions = {};
+
+      await expect(as('bob', () => AmiXSealedSender.unseal(sealed.encryptedData.payload)))
+        .rejects.toThrow('No session to check the sealed sender against');
+    });
+
+    test('should refuse a certificate for another identity than the session', async () => {
+      const sealed = await as('alice', () => AmiXSealedSender.seal('bob', 'device-1', {}));
+      parties.bob.sessions['alice.device-1'].theirIdentityKey = parties.mallory.identityKeys.current.publicKey;
+
+      await expect(as('bob', () => AmiXSealedSender.unseal(sealed.encryptedData.payload)))
+        .rejects.toThrow('Sender certificate does not match the session identity');
+    });
+  });
+
+  describe('Sender certificates', () => {
+    test('should refuse an expired certificate', async () => {
+      const certificate = issueCertificate('alice', parties.alice.identityKeys, Date.now() - 1000);
+
+      expect(() => AmiXSealedSender.verifySenderCertificate(certificate, encodeBase64(trustRoot.publicKey)))
+        .toThrow('Sender certificate expired');
+    });
+
+    test('should refuse a certificate the trust root did not sign', async () => {
+      const certificate = {
+        ...parties.alice.certificate,
+        certificate: parties.alice.certificate.certificate.replace('alice', 'carol'),
+      };
+
+      expect(() => AmiXSealedSender.verifySenderCertificate(certificate, encodeBase64(trustRoot.publicKey)))
+        .toThrow('Invalid sender certificate signature');
+    });
+  });
+
+  describe('Delivery tokens', () => {
+    test('should learn the sender\'s token from what it sealed', async () => {
+      delete parties.bob.tokens.peers.alice;
+      const sealed = await as('alice', () => AmiXSealedSender.seal('bob', 'device-1', {}));
+
+      await as('bob', () => AmiXSealedSender.unseal(sealed.encryptedData.payload));
+
+      expect(parties.bob.tokens.peers.alice).toBe('token-alice');
+    });
+
+    test('should keep its tokens when the sender is refused', async () => {
+      parties.mallory.certificate = parties.alice.certificate;
+      parties.mallory.tokens.own = 'token-mallory';
+      const sealed = await as('mallory', () => AmiXSealedSender.seal('bob', 'device-1', {}));
+
+      await expect(as('bob', () => AmiXSealedSender.unseal(sealed.encryptedData.payload))).rejects.toThrow();
+
+      expect(parties.bob.tokens.peers.alice).toBe('token-alice');
+    });
+
+    test('should forget a peer\'s token the relay no longer accepts', async () => {
+      global.fetch = jest.fn(async () => ({ ok: false, status: 401 }));
+
+      const sent = await as('alice', () => AmiXSealedSender.send('bob', 'device-1', { deliveryToken: 'token-bob', encryptedData: {} }, 60));
+
+      expect(sent).toBe(false);
+      expect(parties.alice.tokens.peers).not.toHaveProperty('bob');
+      expect(global.fetch.mock.calls[0][1].credentials).toBe('omit');
+    });
+  });
+});
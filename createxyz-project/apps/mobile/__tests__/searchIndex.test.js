@@ -0,0 +1,123 @@
+import { AmiXSearchIndex, SEARCH_CONFIG } from '../src/utils/searchIndex';
+
+// AmiX Search Index Testing Suite
+// Covers folding, index terms, matching query words against message text,
+// and the snippets shown for results.
+
+describe('AmiXSearchIndex', () => {
+  describe('Folding and words', () => {
+    test('should lowercase and drop diacritics', () => {
+      expect(AmiXSearchIndex.words('Café CRÈME Ñandú')).toEqual(['cafe', 'creme', 'nandu']);
+    });
+
+    test('should map folded characters back to the original text', () => {
+      // "e" followed by a combining acute accent
+      const { folded, starts, ends } = AmiXSearchIndex.fold('Cafe\u0301 time');
+
+      expect(folded).toBe('cafe time');
+      expect(starts[3]).toBe(3);
+      expect(ends[3]).toBe(5);
+      expect(starts[5]).toBe(6);
+    });
+
+    test('should split on anything but letters and digits', () => {
+      expect(AmiXSearchIndex.words("see you @ 5pm, ok?! it's fine")).toEqual(['see', 'you', '5pm', 'ok', 'it', 's', 'fine']);
+      expect(AmiXSearchIndex.words('привет мир')).toEqual(['привет', 'мир']);
+    });
+  });
+
+  describe('Index terms', () => {
+    test('should index every prefix from the minimum length', () => {
+      expect(AmiXSearchIndex.indexTerms('Hello')).toEqual(['he', 'hel', 'hell', 'hello']);
+    });
+
+    test('should cap prefixes at the maximum length', () => {
+      const terms = AmiXSearchIndex.indexTerms('internationalization');
+
+      expect(terms).toContain('internationa'.substring(0, SEARCH_CONFIG.MAX_PREFIX_LENGTH));
+      expect(terms.every(term => term.length <= SEARCH_CONFIG.MAX_PREFIX_LENGTH)).toBe(true);
+      expect(AmiXSearchIndex.lookupTerm('internationalization')).toBe('internationalization'.substring(0, SEARCH_CONFIG.MAX_PREFIX_LENGTH));
+    });
+
+    test('should not repeat terms or exceed the per-message limit', () => {
+      expect(AmiXSearchIndex.indexTerms('go go go')).toEqual(['go']);
+
+      const long = Array.from({ length: 500 }, (_, i) => `word${i}abcdef`).join(' ');
+      expect(AmiXSearchIndex.indexTerms(long)).toHaveLength(SEARCH_CONFIG.MAX_TERMS_PER_MESSAGE);
+    });
+
+    test('should skip tombstones and system events', () => {
+      expect(AmiXSearchIndex.indexableText({ content: 'hi there' })).toBe('hi there');
+      expect(AmiXSearchIndex.indexableText({ text: 'edited', content: 'old' })).toBe('edited');
+      expect(AmiXSearchIndex.indexableText({ content: null, deleted: true })).toBeNull();
+      expect(AmiXSearchIndex.indexableText({ type: 'system', text: 'Timer set to 1 day' })).toBeNull();
+      expect(AmiXSearchIndex.indexableText({ content: '   ' })).toBeNull();
+    });
+  });
+
+  describe('Matching', () => {
+    test('should drop query words that are too short', () => {
+      expect(AmiXSearchIndex.queryTerms('a Café CAFE x')).toEqual(['cafe']);
+      expect(AmiXSearchIndex.queryTerms('')).toEqual([]);
+    });
+
+    test('should match word prefixes regardless of accents', () => {
+      const terms = AmiXSearchIndex.queryTerms('cafe');
+
+      expect(AmiXSearchIndex.findMatches('Meet at the Café?', terms)).toEqual([{ start: 12, end: 16, term: 'cafe' }]);
+      expect(AmiXSearchIndex.findMatches('cafeteria', terms)).toEqual([{ start: 0, end: 4, term: 'cafe' }]);
+      expect(AmiXSearchIndex.findMatches('decaf coffee', terms)).toEqual([]);
+    });
+
+    test('should require every query word', () => {
+      const terms = AmiXSearchIndex.queryTerms('lunch tom');
+
+      expect(AmiXSearchIndex.matchesAll('Lunch tomorrow?', terms)).toBe(true);
+      expect(AmiXSearchIndex.matchesAll('Lunch today?', terms)).toBe(false);
+    });
+
+    test('should satisfy a shorter word with a longer match in the same word', () => {
+      expect(AmiXSearchIndex.matchesAll('internationalization', ['in', 'international'])).toBe(true);
+    });
+
+    test('should tell words sharing an indexed prefix apart', () => {
+      const terms = AmiXSearchIndex.queryTerms('internationalization');
+
+      expect(AmiXSearchIndex.matchesAll('internationally', terms)).toBe(false);
+    });
+  });
+
+  describe('Snippets', () => {
+    test('should highlight matches in a short message', () => {
+      const snippet = AmiXSearchIndex.snippet('See you at the café', ['cafe']);
+
+      expect(snippet).toEqual({ text: 'See you at the café', highlights: [{ start: 15, end: 19 }] });
+    });
+
+    test('should trim long messages around the first match', () => {
+      const text = `${'lorem ipsum '.repeat(10)}the secret word is here ${'dolor sit '.repeat(20)}`;
+      const snippet = AmiXSearchIndex.snippet(text, ['secret']);
+
+      expect(snippet.text.startsWith('…')).toBe(true);
+      expect(snippet.text.endsWith('…')).toBe(true);
+      expect(snippet.text.length).toBeLessThanOrEqual(SEARCH_CONFIG.SNIPPET_LENGTH + 2);
+
+      const [highlight] = snippet.highlights;
+      expect(snippet.text.substring(highlight.start, highlight.end)).toBe('secret');
+    });
+
+    test('should return nothing without a match', () => {
+      expect(AmiXSearchIndex.snippet('nothing here', ['cafe'])).toBeNull();
+    });
+
+    test('should split a snippet into highlighted segments', () => {
+      const snippet = AmiXSearchIndex.snippet('Lunch tomorrow at noon', AmiXSearchIndex.queryTerms('lunch noon'));
+
+      expect(AmiXSearchIndex.segments(snippet)).toEqual([
+        { text: 'Lunch', highlighted: true },
+        { text: ' tomorrow at ', highlighted: false },
+        { text: 'noon', highlighted: true },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+import { AmiXSFrame, SFRAME_CONFIG } from '../src/utils/sframe';
+import { AmiXCrypto } from '../src/utils/crypto';
+
+// AmiX SFrame Testing Suite
+// Runs the reference encoder/decoder over synthetic frames, the way the
+// call transforms use it: one sender context per participant and a
+// receiver context holding everyone else's keys.
+
+// A fake encoded frame: a recognisable codec header followed by payload
+const syntheticFrame = (index, length = 120) => {
+  const frame = new Uint8Array(length);
+  frame.set([0x9d, 0x01, 0x2a, index & 0xff]);
+  for (let i = 4; i < length; i++) {
+    frame[i] = (i * 31 + index) & 0xff;
+  }
+  return frame;
+};
+
+const sameBytes = (a, b) => a.length === b.length && a.every((byte, i) => byte === b[i]);
+
+describe('AmiXSFrame', () => {
+  let aliceKey, sender, receiver;
+
+  beforeEach(async () => {
+    aliceKey = await AmiXCrypto.generateRandomBytes(32);
+    sender = await AmiXSFrame.createSenderContext(aliceKey.slice(), 0);
+    receiver = AmiXSFrame.createReceiverContext();
+    await AmiXSFrame.addReceiverKey(receiver, 0, aliceKey.slice());
+  });
+
+  describe('Header', () => {
+    test('should pack small KID and counter into the config byte', () => {
+      const header = AmiXSFrame.encodeHeader(3, 5);
+
+      expect(header.length).toBe(1);
+      expect(AmiXSFrame.decodeHeader(header)).toEqual({ kid: 3, ctr: 5, length: 1 });
+    });
+
+    test('should round-trip extended KID and counter', () => {
+      const header = AmiXSFrame.encodeHeader(0x1234, 0x0102030405);
+      const decoded = AmiXSFrame.decodeHeader(header);
+
+      expect(header.length).toBe(1 + 2 + 5);
+      expect(decoded.kid).toBe(0x1234);
+      expect(decoded.ctr).toBe(0x0102030405);
+    });
+
+    test('should reject truncated headers', () => {
+      const header = AmiXSFrame.encodeHeader(0x1234, 0x0102);
+
+      expect(() => AmiXSFrame.decodeHeader(header.subarray(0, 2))).toThrow('Truncated SFrame header');
+    });
+  });
+
+  describe('Frames', () => {
+    test('should round-trip a sequence of frames', async () => {
+      for (let i = 0; i < 20; i++) {
+        const frame = syntheticFrame(i);
+        const encrypted = await AmiXSFrame.encryptFrame(sender, frame);
+        const { frame: decrypted, senderIndex, ctr } = await AmiXSFrame.decryptFrame(receiver, encrypted);
+
+        expect(sameBytes(decrypted, frame)).toBe(true);
+        expect(senderIndex).toBe(0);
+        expect(ctr).toBe(i);
+      }
+    });
+
+    test('should add only header and tag', async () => {
+      const frame = syntheticFrame(0);
+      const encrypted = await AmiXSFrame.encryptFrame(sender, frame);
+
+      expect(encrypted.length).toBe(frame.length + 1 + SFRAME_CONFIG.TAG_LENGTH);
+    });
+
+    test('should leave clear codec bytes readable but authenticated', async () => {
+      const frame = syntheticFrame(7);
+      const encrypted = await AmiXSFrame.encryptFrame(sender, frame, 3);
+
+      expect(sameBytes(encrypted.subarray(0, 3), frame.subarray(0, 3))).toBe(true);
+
+      const tampered = encrypted.slice();
+      tampered[0] ^= 0x01;
+      await expect(AmiXSFrame.decryptFrame(receiver, tampered, 3)).rejects.toThrow();
+
+      const { frame: decrypted } = await AmiXSFrame.decryptFrame(receiver, encrypted, 3);
+      expect(sameBytes(decrypted, frame)).toBe(true);
+    });
+
+    test('should reject tampered headers and payloads', async () => {
+      const encrypted = await AmiXSFrame.encryptFrame(sender, syntheticFrame(1));
+
+      const badHeader = encrypted.slice();
+      badHeader[0] ^= 0x01;
+      await expect(AmiXSFrame.decryptFrame(receiver, badHeader)).rejects.toThrow();
+
+      const badPayload = encrypted.slice();
+      badPayload[badPayload.length - 1] ^= 0x80;
+      await expect(AmiXSFrame.decryptFrame(receiver, badPayload)).rejects.toThrow();
+    });
+
+    test('should reject frames from unknown senders', async () => {
+      const stranger = await AmiXSFrame.createSenderContext(await AmiXCrypto.generateRandomBytes(32), 5);
+      const encrypted = await AmiXSFrame.encryptFrame(stranger, syntheticFrame(2));
+
+      await expect(AmiXSFrame.decryptFrame(receiver, encrypted)).rejects.toThrow();
+    });
+
+    test('should reject frames under the wrong key', async () => {
+      const impostor = await AmiXSFrame.createSenderContext(await AmiXCrypto.generateRandomBytes(32), 0);
+      const encrypted = await AmiXSFrame.encryptFrame(impostor, syntheticFrame(3));
+
+      await expect(AmiXSFrame.decryptFrame(receiver, encrypted)).rejects.toThrow();
+    });
+  });
+
+  describe('Key ratcheting', () => {
+    test('should follow the sender through ratchets', async () => {
+      await AmiXSFrame.ratchetSender(sender);
+      await AmiXSFrame.ratchetSender(sender);
+
+      const frame = syntheticFrame(4);
+      const encrypted = await AmiXSFrame.encryptFrame(sender, frame);
+      const { frame: decrypted } = await AmiXSFrame.decryptFrame(receiver, encrypted);
+
+      expect(sameBytes(decrypted, frame)).toBe(true);
+      expect(receiver.senders.get(0).generation).toBe(2);
+    });
+
+    test('should still accept frames sent just before a ratchet', async () => {
+      const late = await AmiXSFrame.encryptFrame(sender, syntheticFrame(5));
+      await AmiXSFrame.ratchetSender(sender);
+      const current = await AmiXSFrame.encryptFrame(sender, syntheticFrame(6));
+
+      await AmiXSFrame.decryptFrame(receiver, current);
+      const { frame } = await AmiXSFrame.decryptFrame(receiver, late);
+
+      expect(sameBytes(frame, syntheticFrame(5))).toBe(true);
+    });
+
+    test('should not accept old generations after moving on twice', async () => {
+      const old = await AmiXSFrame.encryptFrame(sender, syntheticFrame(8));
+      await AmiXSFrame.ratchetSender(sender);
+      await AmiXSFrame.ratchetSender(sender);
+
+      await AmiXSFrame.decryptFrame(receiver, await AmiXSFrame.encryptFrame(sender, syntheticFrame(9)));
+
+      await expect(AmiXSFrame.decryptFrame(receiver, old)).rejects.toThrow();
+    });
+
+    test('should drop the old key when a sender rekeys', async () => {
+      const old = await AmiXSFrame.encryptFrame(sender, syntheticFrame(11));
+
+      const freshKey = await AmiXCrypto.generateRandomBytes(32);
+      const rekeyed = await AmiXSFrame.createSenderContext(freshKey.slice(), 0, sender.generation + 1);
+      await AmiXSFrame.addReceiverKey(receiver, 0, freshKey.slice(), rekeyed.generation);
+
+      const { frame } = await AmiXSFrame.decryptFrame(receiver, await AmiXSFrame.encryptFrame(rekeyed, syntheticFrame(12)));
+      expect(sameBytes(frame, syntheticFrame(12))).toBe(true);
+
+      await expect(AmiXSFrame.decryptFrame(receiver, old)).rejects.toThrow();
+    });
+
+    test('should refuse to ratchet too far ahead', async () => {
+      for (let i = 0; i <= SFRAME_CONFIG.MAX_RATCHET_STEPS; i++) {
+        await AmiXSFrame.ratchetSender(sender);
+      }
+
+      const encrypted = await AmiXSFrame.encryptFrame(sender, syntheticFrame(10));
+      await expect(AmiXSFrame.decryptFrame(receiver, encrypted)).rejects.toThrow();
+    });
+  });
+});
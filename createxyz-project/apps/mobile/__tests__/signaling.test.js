@@ -0,0 +1,71 @@
+import { signalingService } from '../src/services/signaling';
+
+// AmiX Signaling Testing Suite
+// The signaling socket belongs to whoever is signed in: a new account or
+// token means a new connection.
+
+jest.mock('socket.io-client', () => {
+  const mockSockets = [];
+  return {
+    mockSockets,
+    io: (url, options) => {
+      const socket = {
+        auth: options.auth,
+        on: () => {},
+        removeAllListeners: jest.fn(),
+        disconnect: jest.fn(),
+      };
+      mockSockets.push(socket);
+      return socket;
+    },
+  };
+});
+
+const { mockSockets } = require('socket.io-client');
+
+describe('SignalingService', () => {
+  beforeEach(() => {
+    mockSockets.length = 0;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    signalingService.closeSocket();
+    jest.restoreAllMocks();
+  });
+
+  test('should keep one connection for the same user and token', async () => {
+    await signalingService.initialize('user-1', { amixId: 'AMX-AMY', token: 'jwt-amy' });
+    await signalingService.initialize('user-1', { amixId: 'AMX-AMY', token: 'jwt-amy' });
+
+    expect(mockSockets).toHaveLength(1);
+  });
+
+  test('should reconnect as the new account after a switch', async () => {
+    const handler = jest.fn();
+    signalingService.on('call-invitation', handler);
+
+    await signalingService.initialize('user-1', { amixId: 'AMX-AMY', token: 'jwt-amy' });
+    signalingService.queueMessage({ id: 'm1', type: 'offer', to: 'AMX-CAT' });
+    await signalingService.initialize('user-2', { amixId: 'AMX-BOB', token: 'jwt-bob' });
+
+    expect(mockSockets).toHaveLength(2);
+    expect(mockSockets[0].disconnect).toHaveBeenCalled();
+    expect(mockSockets[1].auth).toEqual({ token: 'jwt-bob', amixId: 'AMX-BOB' });
+    expect(signalingService.amixId).toBe('AMX-BOB');
+    expect(signalingService.pendingMessages).toEqual([]);
+
+    // The app's own listeners stay
+    signalingService.emit('call-invitation', {});
+    expect(handler).toHaveBeenCalled();
+    signalingService.off('call-invitation', handler);
+  });
+
+  test('should reconnect with a new token for the same user', async () => {
+    await signalingService.initialize('user-1', { amixId: 'AMX-AMY', token: 'jwt-1' });
+    await signalingService.initialize('user-1', { amixId: 'AMX-AMY', token: 'jwt-2' });
+
+    expect(mockSockets).toHaveLength(2);
+    expect(mockSockets[1].auth.token).toBe('jwt-2');
+  });
+});
@@ -0,0 +1,135 @@
+import { AmiXThreadSync, THREAD_VISIBILITY, THREAD_SYNC_CONFIG } from '../src/utils/threadSync';
+
+// AmiX Thread Sync Testing Suite
+// Covers quoted replies, thread content parsing and who a thread's
+// visibility lets see its metadata and messages.
+
+const MEMBERS = ['amix-bob', 'amix-carol', 'amix-dave'];
+
+const thread = (overrides = {}) => ({
+  id: 'thread-1',
+  groupId: 'group-1',
+  type: 'group',
+  title: 'Friday plans',
+  createdBy: 'amix-alice',
+  participants: ['amix-alice', 'amix-bob'],
+  visibility: THREAD_VISIBILITY.PRIVATE,
+  rootMessageId: 'msg-1',
+  createdAt: 1700000000000,
+  metadataUpdatedAt: 1700000000000,
+  ...overrides,
+});
+
+describe('AmiXThreadSync', () => {
+  describe('Replies', () => {
+    test('should quote a message with a short preview', () => {
+      const quote = AmiXThreadSync.quoteOf({ id: 'msg-1', text: 'x'.repeat(150), sender: 'me' });
+
+      expect(quote.messageId).toBe('msg-1');
+      expect(quote.senderId).toBe('self');
+      expect(quote.preview).toBe(`${'x'.repeat(THREAD_SYNC_CONFIG.QUOTE_PREVIEW_LENGTH)}...`);
+    });
+
+    test('should store the text and quote of a reply', () => {
+      const quote = AmiXThreadSync.quoteOf({ id: 'msg-1', content: 'lunch?', senderId: 'amix-bob' });
+      const content = AmiXThreadSync.createReply('sure', quote);
+
+      expect(AmiXThreadSync.replyFields(content)).toEqual({ content: 'sure', quote });
+      expect(AmiXThreadSync.replyFields('just text')).toEqual({ content: 'just text' });
+      expect(AmiXThreadSync.isThreadTraffic(content)).toBe(false);
+    });
+
+    test('should refuse replies without a valid quote', () => {
+      expect(AmiXThreadSync.parse(JSON.stringify({ type: 'reply', content: 'sure' }))).toBeNull();
+      expect(AmiXThreadSync.parse(JSON.stringify({ type: 'reply', content: 'sure', quote: { preview: 'x' } }))).toBeNull();
+    });
+  });
+
+  describe('Thread content', () => {
+    test('should round-trip thread messages', () => {
+      const content = AmiXThreadSync.createThreadMessage('thread-1', 'msg-2', 'hello');
+
+      expect(AmiXThreadSync.parse(content)).toEqual({
+        type: 'thread_message',
+        threadId: 'thread-1',
+        id: 'msg-2',
+        content: 'hello',
+        quote: null,
+      });
+      expect(AmiXThreadSync.isThreadTraffic(content)).toBe(true);
+    });
+
+    test('should only share thread metadata, not local state', () => {
+      const content = AmiXThreadSync.createThreadUpdate(thread({ isPinned: true, unreadCount: 4 }));
+      const parsed = AmiXThreadSync.parse(content);
+
+      expect(parsed.thread).toEqual(thread());
+      expect(parsed.thread.isPinned).toBeUndefined();
+    });
+
+    test('should refuse malformed thread updates', () => {
+      const update = (fields) => JSON.stringify({ type: 'thread_update', thread: thread(fields) });
+
+      expect(AmiXThreadSync.parse(update({ visibility: 'hidden' }))).toBeNull();
+      expect(AmiXThreadSync.parse(update({ participants: 'amix-bob' }))).toBeNull();
+      expect(AmiXThreadSync.parse(update({ title: 'x'.repeat(THREAD_SYNC_CONFIG.MAX_TITLE_LENGTH + 1) }))).toBeNull();
+      expect(AmiXThreadSync.parse(update({ metadataUpdatedAt: null }))).toBeNull();
+    });
+  });
+
+  describe('Visibility', () => {
+    test('should send public threads to everyone', () => {
+      expect(AmiXThreadSync.audience(thread({ visibility: THREAD_VISIBILITY.PUBLIC }), MEMBERS)).toEqual({
+        metadata: MEMBERS,
+        messages: MEMBERS,
+      });
+    });
+
+    test('should only send private thread messages to participants', () => {
+      expect(AmiXThreadSync.audience(thread(), MEMBERS)).toEqual({
+        metadata: MEMBERS,
+        messages: ['amix-bob'],
+      });
+    });
+
+    test('should hide secret threads from everyone else', () => {
+      expect(AmiXThreadSync.audience(thread({ visibility: THREAD_VISIBILITY.SECRET }), MEMBERS)).toEqual({
+        metadata: ['amix-bob'],
+        messages: ['amix-bob'],
+      });
+    });
+
+    test('should only let participants post in closed threads', () => {
+      expect(AmiXThreadSync.canPost(thread(), 'amix-bob')).toBe(true);
+      expect(AmiXThreadSync.canPost(thread(), 'amix-carol')).toBe(false);
+      expect(AmiXThreadSync.canPost(thread({ visibility: THREAD_VISIBILITY.PUBLIC }), 'amix-carol')).toBe(true);
+    });
+  });
+
+  describe('Merging', () => {
+    test('should only accept updates from the creator', () => {
+      expect(AmiXThreadSync.merge(null, thread(), 'amix-bob')).toBeNull();
+      expect(AmiXThreadSync.merge(thread(), thread({ createdBy: 'amix-bob', metadataUpdatedAt: 1700000001000 }), 'amix-bob')).toBeNull();
+    });
+
+    test('should keep the newer metadata and local state', () => {
+      const local = { ...thread(), isPinned: true, unreadCount: 2 };
+      const newer = thread({ title: 'Saturday plans', metadataUpdatedAt: 1700000001000 });
+
+      expect(AmiXThreadSync.merge(local, newer, 'amix-alice')).toMatchObject({
+        title: 'Saturday plans',
+        isPinned: true,
+        unreadCount: 2,
+      });
+      expect(AmiXThreadSync.merge(local, thread({ title: 'Old' }), 'amix-alice')).toBeNull();
+    });
+
+    test('should start new threads with empty local state', () => {
+      expect(AmiXThreadSync.merge(null, thread(), 'amix-alice')).toMatchObject({
+        isPinned: false,
+        isArchived: false,
+        unreadCount: 0,
+      });
+    });
+  });
+});
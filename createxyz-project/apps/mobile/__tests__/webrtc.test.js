@@ -0,0 +1,121 @@
+import { AmiXWebRTC } from '../src/services/webrtc';
+import { AmiXMessageQueue } from '../src/services/messageQueue';
+import { AmiXDevices } from '../src/services/devices';
+import { AmiXStorage } from '../src/utils/storage';
+
+// AmiX WebRTC Testing Suite
+// ICE configuration: the relay-only preference holds for every connection,
+// whether or not the service was initialized first. Messages queued on a
+// data channel wait for the peer's ack instead of going through the relay.
+
+const ICE_SERVERS = [
+  { urls: 'stun:stun.example.org:3478' },
+  { urls: 'turn:turn.example.org:3478', username: 'user', credential: 'secret' },
+];
+
+describe('AmiXWebRTC', () => {
+  describe('ICE configuration', () => {
+    const originalFetch = global.fetch;
+    let preferences;
+    let configurations;
+
+    beforeEach(() => {
+      preferences = {};
+      configurations = [];
+      AmiXWebRTC.relayOnly = null;
+      AmiXWebRTC.iceServers = null;
+      AmiXWebRTC.iceServersExpireAt = null;
+
+      global.RTCPeerConnection = class {
+        constructor(configuration) {
+          configurations.push(configuration);
+        }
+
+        close() {}
+      };
+      global.fetch = jest.fn(async () => ({
+        ok: true,
+        json: async () => ({ data: { iceServers: ICE_SERVERS, expiresAt: Date.now() + 60 * 60 * 1000 } }),
+      }));
+      jest.spyOn(AmiXStorage, 'get').mockImplementation(async () => preferences);
+      jest.spyOn(AmiXStorage, 'store').mockImplementation(async (key, value) => {
+        preferences = value;
+        return true;
+      });
+    });
+
+    afterEach(() => {
+      clearTimeout(AmiXWebRTC.iceRefreshTimer);
+      AmiXWebRTC.connections.clear();
+      jest.restoreAllMocks();
+      delete global.RTCPeerConnection;
+      global.fetch = originalFetch;
+    });
+
+    test('should relay every connection after a restart without initializing', async () => {
+      preferences = { relayOnly: true };
+
+      await AmiXWebRTC.createPeerConnection('AMX-BOB');
+
+      expect(configurations[0].iceTransportPolicy).toBe('relay');
+      expect(configurations[0].iceServers).toEqual([ICE_SERVERS[1]]);
+    });
+
+    test('should use STUN and TURN when relaying is off', async () => {
+      await AmiXWebRTC.createPeerConnection('AMX-BOB');
+
+      expect(configurations[0].iceTransportPolicy).toBe('all');
+      expect(configurations[0].iceServers).toEqual(ICE_SERVERS);
+    });
+
+    test('should apply a changed preference to the next connection', async () => {
+      await AmiXWebRTC.createPeerConnection('AMX-BOB');
+      await AmiXWebRTC.setRelayOnly(true);
+      await AmiXWebRTC.createPeerConnection('AMX-CAT');
+
+      expect(configurations.map(({ iceTransportPolicy }) => iceTransportPolicy)).toEqual(['all', 'relay']);
+      expect(preferences.relayOnly).toBe(true);
+    });
+
+    test('should not connect when the preference cannot be read', async () => {
+      AmiXStorage.get.mockRejectedValue(new Error('Keychain locked'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(AmiXWebRTC.createPeerConnection('AMX-BOB')).rejects.toThrow('Keychain locked');
+      expect(configurations).toEqual([]);
+    });
+  });
+
+  describe('Encrypted messages', () => {
+    beforeEach(() => {
+      jest.spyOn(AmiXWebRTC, 'encryptForPeer').mockResolvedValue({ ciphertext: 'x' });
+      jest.spyOn(AmiXDevices, 'getDeviceId').mockResolvedValue('device-1');
+      jest.spyOn(AmiXStorage, 'storeMessage').mockRejectedValue(new Error('Stored without an ID'));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should report a message queued on the channel as sent', async () => {
+      jest.spyOn(AmiXWebRTC, 'sendMessage').mockResolvedValue(true);
+
+      expect(await AmiXWebRTC.sendEncryptedMessage('AMX-BOB', 'hi', 'device-2', { messageId: 'msg-1' })).toBe(true);
+      expect(AmiXWebRTC.sendMessage.mock.calls[0][1]).toMatchObject({ type: 'encrypted_message', messageId: 'msg-1' });
+      expect(AmiXStorage.storeMessage).not.toHaveBeenCalled();
+    });
+
+    test('should wait for the peer\'s ack rather than relay a message sent directly', async () => {
+      jest.spyOn(AmiXWebRTC, 'sendMessage').mockResolvedValue(true);
+      jest.spyOn(AmiXWebRTC, 'isConnected').mockReturnValue(true);
+      jest.spyOn(AmiXDevices, 'getDeviceIds').mockResolvedValue(['device-2']);
+      jest.spyOn(AmiXDevices, 'getOwnOtherDeviceIds').mockResolvedValue([]);
+      const relay = jest.spyOn(AmiXMessageQueue, 'deliverToDevice').mockResolvedValue(true);
+      const outboxItem = { id: 'msg-1', recipientId: 'AMX-BOB', message: { content: 'hi' } };
+
+      expect(await AmiXMessageQueue.sendMessage(outboxItem)).toBe(true);
+      expect(outboxItem).toMatchObject({ deliveryMethod: 'p2p', status: 'awaiting_ack' });
+      expect(relay).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -79,7 +79,8 @@ const fetchToWeb = async function fetchWithHeaders(...args: Params) {
       return null;
     });
 
-  if (auth) {
+  // Anonymous requests (e.g. sealed-sender delivery) must not identify us
+  if (auth && init?.credentials !== 'omit') {
     finalHeaders.set('authorization', `Bearer ${auth.jwt}`);
   }
 
@@ -1,5 +1,7 @@
 import React, { memo, useMemo, useCallback } from "react";
 import { View, Text, ScrollView, TouchableOpacity } from "react-native";
+import { router } from "expo-router";
+import { Ionicons } from "@expo/vector-icons";
 
 // Memoized conversation item component
 const ConversationItem = memo(({ conversation, onPress }) => {
@@ -109,6 +111,17 @@ const ChatsScreen = memo(() => {
       paddingHorizontal: 16,
       paddingBottom: 16,
       backgroundColor: '#FFF8EC',
+      flexDirection: "row",
+      alignItems: "center",
+      justifyContent: "space-between",
+    },
+    searchButton: {
+      width: 40,
+      height: 40,
+      borderRadius: 20,
+      backgroundColor: '#FFF1D6',
+      alignItems: "center",
+      justifyContent: "center",
     },
     title: {
       fontSize: 24, 
@@ -177,8 +190,13 @@ const ChatsScreen = memo(() => {
   return (
     <View style={styles.container}>
       <View style={styles.header}>
-        <Text style={styles.title}>AmiX</Text>
-        <Text style={styles.subtitle}>DEMO123</Text>
+        <View>
+          <Text style={styles.title}>AmiX</Text>
+          <Text style={styles.subtitle}>DEMO123</Text>
+        </View>
+        <TouchableOpacity style={styles.searchButton} onPress={() => router.push('/search')}>
+          <Ionicons name="search" size={20} color="#4A2C2A" />
+        </TouchableOpacity>
       </View>
       
       <ScrollView 
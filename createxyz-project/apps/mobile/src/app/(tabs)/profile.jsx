@@ -1,13 +1,69 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { View, Text, TouchableOpacity, ScrollView, Switch, Alert } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { router } from 'expo-router';
+import { AmiXStorage } from '../../utils/storage';
+import { AmiXMessageQueue } from '../../services/messageQueue';
+import { AmiXPresence } from '../../services/presence';
+import { LAST_SEEN_VISIBILITY } from '../../utils/presence';
+
+const LAST_SEEN_LABELS = {
+  [LAST_SEEN_VISIBILITY.EVERYONE]: 'Everyone',
+  [LAST_SEEN_VISIBILITY.FRIENDS]: 'Friends',
+  [LAST_SEEN_VISIBILITY.NOBODY]: 'Nobody',
+};
 
 export default function ProfileScreen() {
   const insets = useSafeAreaInsets();
   const [notificationsEnabled, setNotificationsEnabled] = useState(true);
   const [darkModeEnabled, setDarkModeEnabled] = useState(false);
   const [analyticsEnabled, setAnalyticsEnabled] = useState(false);
+  const [readReceiptsEnabled, setReadReceiptsEnabled] = useState(true);
+  const [typingIndicatorsEnabled, setTypingIndicatorsEnabled] = useState(true);
+  const [lastSeenVisibility, setLastSeenVisibility] = useState(LAST_SEEN_VISIBILITY.EVERYONE);
+
+  useEffect(() => {
+    AmiXStorage.get(AmiXStorage.STORAGE_KEYS.USER_PREFERENCES).then((preferences) => {
+      setReadReceiptsEnabled(preferences?.readReceipts !== false);
+      setTypingIndicatorsEnabled(preferences?.typingIndicators !== false);
+      setLastSeenVisibility(preferences?.lastSeenVisibility || LAST_SEEN_VISIBILITY.EVERYONE);
+    });
+  }, []);
+
+  // Reciprocal: turning them off also hides when others read our messages
+  const handleReadReceiptsChange = async (enabled) => {
+    setReadReceiptsEnabled(enabled);
+    await AmiXMessageQueue.setReadReceiptsEnabled(enabled);
+  };
+
+  // Reciprocal too: with ours off we don't see who is typing either
+  const handleTypingIndicatorsChange = async (enabled) => {
+    setTypingIndicatorsEnabled(enabled);
+    await AmiXPresence.setTypingEnabled(enabled);
+  };
+
+  const chooseLastSeenVisibility = () => {
+    Alert.alert(
+      'Last Seen & Online',
+      'Who can see when you were last online. If you hide yours, you can\'t see anyone else\'s.',
+      [
+        ...Object.values(LAST_SEEN_VISIBILITY).map(visibility => ({
+          text: LAST_SEEN_LABELS[visibility],
+          onPress: async () => {
+            try {
+              await AmiXPresence.setLastSeenVisibility(visibility);
+              setLastSeenVisibility(visibility);
+            } catch (error) {
+              console.error('Failed to change last seen setting:', error);
+              Alert.alert('Error', 'Failed to change who can see your last seen');
+            }
+          },
+        })),
+        { text: 'Cancel', style: 'cancel' },
+      ]
+    );
+  };
 
   const handleLogout = () => {
     Alert.alert(
@@ -140,6 +196,75 @@ export default function ProfileScreen() {
               />
             </View>
             
+            <View style={{
+              flexDirection: 'row',
+              alignItems: 'center',
+              justifyContent: 'space-between',
+              padding: 16,
+              borderBottomWidth: 1,
+              borderBottomColor: 'rgba(74, 44, 42, 0.1)',
+            }}>
+              <Text style={{
+                fontSize: 16,
+                color: '#4A2C2A',
+              }}>
+                Read Receipts
+              </Text>
+              <Switch
+                value={readReceiptsEnabled}
+                onValueChange={handleReadReceiptsChange}
+                trackColor={{ false: 'rgba(74, 44, 42, 0.2)', true: '#FFF1D6' }}
+                thumbColor={readReceiptsEnabled ? '#4A2C2A' : '#FFFFFF'}
+              />
+            </View>
+            
+            <View style={{
+              flexDirection: 'row',
+              alignItems: 'center',
+              justifyContent: 'space-between',
+              padding: 16,
+              borderBottomWidth: 1,
+              borderBottomColor: 'rgba(74, 44, 42, 0.1)',
+            }}>
+              <Text style={{
+                fontSize: 16,
+                color: '#4A2C2A',
+              }}>
+                Typing Indicators
+              </Text>
+              <Switch
+                value={typingIndicatorsEnabled}
+                onValueChange={handleTypingIndicatorsChange}
+                trackColor={{ false: 'rgba(74, 44, 42, 0.2)', true: '#FFF1D6' }}
+                thumbColor={typingIndicatorsEnabled ? '#4A2C2A' : '#FFFFFF'}
+              />
+            </View>
+            
+            <TouchableOpacity
+              onPress={chooseLastSeenVisibility}
+              style={{
+                flexDirection: 'row',
+                alignItems: 'center',
+                justifyContent: 'space-between',
+                padding: 16,
+                borderBottomWidth: 1,
+                borderBottomColor: 'rgba(74, 44, 42, 0.1)',
+              }}
+            >
+              <Text style={{
+                fontSize: 16,
+                color: '#4A2C2A',
+              }}>
+                Last Seen & Online
+              </Text>
+              <Text style={{
+                fontSize: 16,
+                color: 'rgba(74, 44, 42, 0.7)',
+              }}>
+                {LAST_SEEN_LABELS[lastSeenVisibility]}
+              </Text>
+            </TouchableOpacity>
+            
             <View style={{
               flexDirection: 'row',
               alignItems: 'center',
@@ -178,6 +303,22 @@ export default function ProfileScreen() {
             borderRadius: 16,
             overflow: 'hidden',
           }}>
+            <TouchableOpacity
+              onPress={() => router.push('/devices')}
+              style={{
+                padding: 16,
+                borderBottomWidth: 1,
+                borderBottomColor: 'rgba(74, 44, 42, 0.1)',
+              }}
+            >
+              <Text style={{
+                fontSize: 16,
+                color: '#4A2C2A',
+              }}>
+                Linked Devices
+              </Text>
+            </TouchableOpacity>
+            
             <TouchableOpacity style={{
               padding: 16,
               borderBottomWidth: 1,
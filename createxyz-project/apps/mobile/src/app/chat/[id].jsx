@@ -15,18 +15,37 @@ import {
 import { StatusBar } from 'expo-status-bar';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { router, useLocalSearchParams } from 'expo-router';
+import { CameraView, useCameraPermissions } from 'expo-camera';
+import QRCode from 'react-native-qrcode-svg';
 
 // Utils
 import { AmiXStorage } from '../../utils/storage';
 import { AmiXCrypto } from '../../utils/crypto';
 
+// Services
+import { AmiXVerification } from '../../services/verification';
+import { AmiXFileTransfer, TRANSFER_STATES } from '../../services/fileTransfer';
+import { AmiXMessageQueue } from '../../services/messageQueue';
+import { AmiXWebRTC } from '../../services/webrtc';
+import { AmiXDisappearing } from '../../services/disappearing';
+import { AmiXMessageEdits } from '../../services/messageEdits';
+import { AmiXThreads } from '../../services/threads';
+import { AmiXPresence } from '../../services/presence';
+import { AmiXReceipts } from '../../utils/receipts';
+import { DISAPPEARING_TIMERS } from '../../utils/disappearing';
+import { AmiXPresenceEvents } from '../../utils/presence';
+
+// Hooks
+import { useMessageAnchor } from '../../hooks/useMessageAnchor';
+
 // Components
 import { MessageReactions } from '../../components/MessageReactions';
+import { ThreadsPanel } from '../../components/ThreadsPanel';
 import { Ionicons } from '@expo/vector-icons';
 
 export default function ChatScreen() {
   const insets = useSafeAreaInsets();
-  const { id } = useLocalSearchParams();
+  const { id, messageId: anchorId } = useLocalSearchParams();
   const [message, setMessage] = useState('');
   const [messages, setMessages] = useState([]);
   const [contact, setContact] = useState(null);
@@ -34,12 +53,27 @@ export default function ChatScreen() {
   const [isVerified, setIsVerified] = useState(false);
   const [modalVisible, setModalVisible] = useState(false);
   const [safetyNumber, setSafetyNumber] = useState('');
+  const [safetyCode, setSafetyCode] = useState('');
+  const [verifyingKey, setVerifyingKey] = useState(null);
+  const [isScanning, setIsScanning] = useState(false);
+  const [cameraPermission, requestCameraPermission] = useCameraPermissions();
   const [isLoading, setIsLoading] = useState(true);
   const [ratchetState, setRatchetState] = useState(null);
   const [showKeyInfo, setShowKeyInfo] = useState(false);
   const [keyStatus, setKeyStatus] = useState(null);
   const [isRotatingKeys, setIsRotatingKeys] = useState(false);
+  const [transfers, setTransfers] = useState({});
+  const [disappearingTimer, setDisappearingTimer] = useState(DISAPPEARING_TIMERS.OFF);
+  const [showTimerPicker, setShowTimerPicker] = useState(false);
+  const [replyTo, setReplyTo] = useState(null);
+  const [threads, setThreads] = useState([]);
+  const [showThreads, setShowThreads] = useState(false);
+  const [threadRoot, setThreadRoot] = useState(null);
+  const [peerPresence, setPeerPresence] = useState(null);
+  const [isPeerTyping, setIsPeerTyping] = useState(false);
+  const [clock, setClock] = useState(Date.now());
   const scrollViewRef = useRef(null);
+  const { highlightedId, onMessageLayout, shouldScrollToEnd, releaseAnchor } = useMessageAnchor(scrollViewRef, anchorId);
 
   // Load key status
   const loadKeyStatus = async () => {
@@ -64,6 +98,22 @@ export default function ChatScreen() {
     return () => clearInterval(interval);
   }, []);
 
+  // A search result may point further back than the latest page
+  const withAnchorMessages = async (loadedMessages) => {
+    if (!anchorId || loadedMessages.some(msg => msg.id === anchorId)) {
+      return loadedMessages;
+    }
+
+    const anchor = await AmiXStorage.getMessage(anchorId);
+    if (!anchor || anchor.conversationId !== id || anchor.threadId) {
+      return loadedMessages;
+    }
+
+    const older = await AmiXStorage.getMessages(id, { includeThreads: false, before: anchor.createdAt });
+    const loadedIds = new Set(loadedMessages.map(msg => msg.id));
+    return [...loadedMessages, ...older.filter(msg => !loadedIds.has(msg.id))];
+  };
+
   // Load chat data and initialize ratchet state
   useEffect(() => {
     const loadData = async () => {
@@ -74,11 +124,17 @@ export default function ChatScreen() {
         const contacts = await AmiXStorage.getContacts();
         const loadedContact = contacts[id];
         setContact(loadedContact);
-        setIsVerified(loadedContact?.verified || false);
+        setIsVerified(AmiXVerification.isVerified(loadedContact));
+
+        if (loadedContact?.identityKeyChangePending) {
+          showKeyChangeAlert(loadedContact);
+        }
 
         // Load messages
-        const loadedMessages = await AmiXStorage.getMessages(id);
-        setMessages(loadedMessages);
+        // Thread messages stay in their threads
+        const loadedMessages = await AmiXStorage.getMessages(id, { includeThreads: false });
+        setMessages(await withAnchorMessages(loadedMessages));
+        AmiXMessageQueue.markConversationRead(id);
 
         // Load identity keys
         const keys = await AmiXStorage.getIdentityKeys();
@@ -111,11 +167,254 @@ export default function ChatScreen() {
     loadData();
   }, [id]);
 
+  // A changed identity key blocks the chat until the user acknowledges it
+  const showKeyChangeAlert = (changedContact) => {
+    Alert.alert(
+      'Safety Number Changed',
+      `${changedContact?.name || 'This contact'}'s security key has changed. ` +
+        'This can happen when they reinstall AmiX, but it can also mean someone is ' +
+        'intercepting your messages. Verify their new safety number before sending anything.',
+      [{
+        text: 'OK',
+        onPress: () => AmiXVerification.acknowledgeKeyChange(id).catch((error) => {
+          console.error('Failed to acknowledge key change:', error);
+        }),
+      }],
+      { cancelable: false }
+    );
+  };
+
+  useEffect(() => {
+    const onIdentityKeyChanged = async ({ contactId }) => {
+      if (contactId !== id) return;
+
+      const changedContact = await AmiXStorage.getContact(id);
+      setContact(changedContact);
+      setIsVerified(false);
+      setModalVisible(false);
+      showKeyChangeAlert(changedContact);
+    };
+
+    AmiXVerification.on('identityKeyChanged', onIdentityKeyChanged);
+    return () => AmiXVerification.off('identityKeyChanged', onIdentityKeyChanged);
+  }, [id]);
+
+  // Receipts for our messages in this conversation
+  useEffect(() => {
+    const onStatusChanged = ({ messageId, status, receipts }) => {
+      setMessages(current => current.map(msg =>
+        msg.id === messageId ? { ...msg, status, ...(receipts && { receipts }) } : msg
+      ));
+    };
+
+    AmiXWebRTC.on('messageStatusChanged', onStatusChanged);
+    return () => AmiXWebRTC.off('messageStatusChanged', onStatusChanged);
+  }, [id]);
+
+  // Edits and deletes from the other side
+  useEffect(() => {
+    const onMessageChanged = ({ conversationId, messageId, updates }) => {
+      if (conversationId !== id) return;
+      setMessages(current => current.map(msg =>
+        msg.id === messageId ? { ...msg, ...updates } : msg
+      ));
+    };
+
+    AmiXMessageEdits.initialize();
+    AmiXMessageEdits.on('messageChanged', onMessageChanged);
+    return () => AmiXMessageEdits.off('messageChanged', onMessageChanged);
+  }, [id]);
+
+  // The contact's online state, last-seen and typing
+  useEffect(() => {
+    const onPresenceChanged = (presence) => {
+      if (presence.amixId === id) setPeerPresence(presence);
+    };
+    const onTypingChanged = ({ conversationId, typing }) => {
+      if (conversationId === id) setIsPeerTyping(typing);
+    };
+
+    AmiXPresence.initialize().then(() => {
+      AmiXPresence.watch([id]);
+      setPeerPresence(AmiXPresence.getPresence(id));
+      setIsPeerTyping(AmiXPresence.getTyping(id).length > 0);
+    });
+
+    // "last seen 5 min ago" moves on while the chat is open
+    const clockTimer = setInterval(() => setClock(Date.now()), 60 * 1000);
+
+    AmiXPresence.on('presenceChanged', onPresenceChanged);
+    AmiXPresence.on('typingChanged', onTypingChanged);
+    return () => {
+      clearInterval(clockTimer);
+      AmiXPresence.off('presenceChanged', onPresenceChanged);
+      AmiXPresence.off('typingChanged', onTypingChanged);
+      AmiXPresence.stopTyping(id);
+      AmiXPresence.unwatch([id]);
+    };
+  }, [id]);
+
+  const handleMessageChange = (text) => {
+    setMessage(text);
+    if (text.trim()) {
+      AmiXPresence.userTyping(id);
+    } else {
+      AmiXPresence.stopTyping(id);
+    }
+  };
+
+  // Threads in this conversation, and quoted replies arriving
+  useEffect(() => {
+    const loadThreads = async () => {
+      setThreads(await AmiXThreads.getThreads(id, { includeArchived: true }));
+    };
+    const onThreadChanged = ({ conversationId }) => {
+      if (conversationId === id) loadThreads();
+    };
+    const onReplyReceived = async ({ conversationId }) => {
+      if (conversationId !== id) return;
+      setMessages(await AmiXStorage.getMessages(id, { includeThreads: false }));
+    };
+
+    AmiXThreads.initialize();
+    loadThreads();
+
+    AmiXThreads.on('threadUpdated', onThreadChanged);
+    AmiXThreads.on('threadMessage', onThreadChanged);
+    AmiXThreads.on('replyReceived', onReplyReceived);
+    return () => {
+      AmiXThreads.off('threadUpdated', onThreadChanged);
+      AmiXThreads.off('threadMessage', onThreadChanged);
+      AmiXThreads.off('replyReceived', onReplyReceived);
+    };
+  }, [id]);
+
+  const showMessageActions = (item) => {
+    const thread = threads.find(candidate => candidate.rootMessageId === item.id);
+
+    Alert.alert('Message', null, [
+      { text: 'Reply', onPress: () => setReplyTo(item) },
+      thread
+        ? { text: 'Open Thread', onPress: () => openThread(thread) }
+        : { text: 'Start Thread', onPress: () => startThread(item) },
+      { text: 'Cancel', style: 'cancel' },
+    ]);
+  };
+
+  const startThread = (rootMessage) => {
+    setThreadRoot(rootMessage);
+    setShowThreads(true);
+  };
+
+  const openThread = (thread) => {
+    setShowThreads(false);
+    setThreadRoot(null);
+    router.push(`/chat/thread/${thread.id}`);
+  };
+
+  // Disappearing messages: the timer, and expired messages leaving the list
+  useEffect(() => {
+    const onTimerChanged = async ({ conversationId, timer }) => {
+      if (conversationId !== id) return;
+      setDisappearingTimer(timer);
+      setMessages(await AmiXStorage.getMessages(id, { includeThreads: false }));
+    };
+    const onExpired = ({ messageIds }) => {
+      setMessages(current => current.filter(msg => !messageIds.includes(msg.id)));
+    };
+
+    AmiXDisappearing.getTimer(id).then(setDisappearingTimer);
+
+    AmiXDisappearing.on('timerChanged', onTimerChanged);
+    AmiXDisappearing.on('messagesExpired', onExpired);
+    return () => {
+      AmiXDisappearing.off('timerChanged', onTimerChanged);
+      AmiXDisappearing.off('messagesExpired', onExpired);
+    };
+  }, [id]);
+
+  const changeDisappearingTimer = async (timer) => {
+    setShowTimerPicker(false);
+    if (timer === disappearingTimer) return;
+
+    try {
+      await AmiXDisappearing.setTimer(id, timer);
+    } catch (error) {
+      console.error('Error changing disappearing timer:', error);
+      Alert.alert('Error', 'Failed to change the disappearing message timer');
+    }
+  };
+
+  // Direct file transfers with this contact
+  useEffect(() => {
+    const onProgress = (transfer) => {
+      if (transfer.peerAmixId !== id) return;
+
+      setTransfers(current => {
+        const next = { ...current, [transfer.transferId]: transfer };
+        if (transfer.state === TRANSFER_STATES.COMPLETE || transfer.state === TRANSFER_STATES.FAILED) {
+          delete next[transfer.transferId];
+        }
+        return next;
+      });
+    };
+
+    // Offers made before this screen opened are still waiting here
+    AmiXFileTransfer.initialize().then(() => {
+      setTransfers(Object.fromEntries(
+        AmiXFileTransfer.getTransfers(id).map(transfer => [transfer.transferId, transfer])
+      ));
+    });
+
+    AmiXFileTransfer.on('progress', onProgress);
+    return () => AmiXFileTransfer.off('progress', onProgress);
+  }, [id]);
+
   const handleVerify = async () => {
     if (userKeys && contact) {
-      const num = await AmiXCrypto.generateSafetyNumber(userKeys.publicKey, contact.publicKey);
-      setSafetyNumber(num);
-      setModalVisible(true);
+      try {
+        const verification = await AmiXVerification.getSafetyNumber(id);
+        setSafetyNumber(verification.safetyNumber);
+        setSafetyCode(verification.safetyCode);
+        setVerifyingKey(verification.identityKey);
+        setIsScanning(false);
+        setModalVisible(true);
+      } catch (error) {
+        console.error('Failed to generate safety number:', error);
+        Alert.alert('Error', 'Failed to generate safety number');
+      }
+    }
+  };
+
+  const startScanning = async () => {
+    const permission = cameraPermission?.granted
+      ? cameraPermission
+      : await requestCameraPermission();
+
+    if (!permission.granted) {
+      Alert.alert('Camera Required', 'Allow camera access to scan your contact\'s code.');
+      return;
+    }
+    setIsScanning(true);
+  };
+
+  const handleCodeScanned = async ({ data }) => {
+    setIsScanning(false);
+    try {
+      const matched = await AmiXVerification.verifyScannedCode(id, data);
+      if (!matched) {
+        Alert.alert(
+          'Verification Failed',
+          'The scanned code does not match. You may be talking to someone else, or one of you has an outdated key.'
+        );
+        return;
+      }
+
+      await onVerified();
+      Alert.alert('Verified', `${contact?.name || 'Contact'} is now verified.`);
+    } catch (error) {
+      console.error('Error scanning safety code:', error);
+      Alert.alert('Error', 'That is not an AmiX safety code.');
     }
   };
 
@@ -137,20 +436,8 @@ export default function ChatScreen() {
   const markAsVerified = async () => {
     if (contact) {
       try {
-        await AmiXStorage.updateContact(id, { verified: true });
-        setIsVerified(true);
-        setModalVisible(false);
-        
-        // Initialize ratchet state if not already done
-        if (userKeys && contact.publicKey && !ratchetState) {
-          const state = await AmiXCrypto.createRatchetState(
-            contact.sharedSecret || await AmiXCrypto.performKeyExchange(contact.publicKey, userKeys.privateKey),
-            userKeys.privateKey,
-            contact.publicKey
-          );
-          await AmiXStorage.storeRatchetState(id, state);
-          setRatchetState(state);
-        }
+        await AmiXVerification.markVerified(id, verifyingKey);
+        await onVerified();
       } catch (error) {
         console.error('Error verifying contact:', error);
         Alert.alert('Error', 'Failed to verify contact');
@@ -158,6 +445,23 @@ export default function ChatScreen() {
     }
   };
 
+  const onVerified = async () => {
+    setContact(await AmiXStorage.getContact(id));
+    setIsVerified(true);
+    setModalVisible(false);
+
+    // Initialize ratchet state if not already done
+    if (userKeys && contact.publicKey && !ratchetState) {
+      const state = await AmiXCrypto.createRatchetState(
+        contact.sharedSecret || await AmiXCrypto.performKeyExchange(contact.publicKey, userKeys.privateKey),
+        userKeys.privateKey,
+        contact.publicKey
+      );
+      await AmiXStorage.storeRatchetState(id, state);
+      setRatchetState(state);
+    }
+  };
+
   const handleReaction = async (messageId, emoji) => {
     try {
       if (!ratchetState || !contact) return;
@@ -199,33 +503,74 @@ export default function ChatScreen() {
   };
 
   const renderMessageItem = ({ item }) => {
-    const isMe = item.sender === 'me';
+    const isMe = item.sender === 'me' || item.senderId === 'self';
+    const thread = threads.find(candidate => candidate.rootMessageId === item.id);
+
+    if (item.type === 'system') {
+      return (
+        <View style={styles.systemMessage}>
+          <Ionicons name="timer-outline" size={14} color="#8A7A78" />
+          <Text style={styles.systemMessageText}>{item.text}</Text>
+        </View>
+      );
+    }
     
     return (
-      <View style={[
-        styles.messageBubble,
-        isMe ? styles.myMessage : styles.theirMessage
-      ]}>
-        <Text style={[styles.messageText, isMe && styles.myMessageText]}>
-          {item.text}
+      <TouchableOpacity
+        activeOpacity={0.8}
+        disabled={item.deleted}
+        onPress={() => showMessageActions(item)}
+        style={[
+          styles.messageBubble,
+          isMe ? styles.myMessage : styles.theirMessage
+        ]}
+      >
+        {item.quote && !item.deleted && (
+          <View style={[styles.quote, isMe && styles.myQuote]}>
+            <Text style={[styles.quoteText, isMe && styles.myMessageTime]} numberOfLines={2}>
+              {item.quote.preview}
+            </Text>
+          </View>
+        )}
+        <Text style={[
+          styles.messageText,
+          isMe && styles.myMessageText,
+          item.deleted && styles.deletedMessageText
+        ]}>
+          {item.deleted ? 'This message was deleted' : (item.text ?? item.content)}
         </Text>
         <View style={styles.messageFooter}>
+          {item.editedAt && !item.deleted && (
+            <Text style={[styles.messageTime, isMe && styles.myMessageTime]}>edited</Text>
+          )}
           <Text style={[styles.messageTime, isMe && styles.myMessageTime]}>
             {new Date(item.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
           </Text>
           {isMe && (
-            <Text style={styles.messageStatus}>
+            <Text style={[
+              styles.messageStatus,
+              AmiXReceipts.displayStatus(item.status, AmiXMessageQueue.readReceiptsEnabled) === 'read' && styles.messageStatusRead
+            ]}>
               {item.status === 'sending' ? '🕒' : item.status === 'sent' ? '✓' : '✓✓'}
             </Text>
           )}
         </View>
         
+        {thread && (
+          <TouchableOpacity style={styles.threadLink} onPress={() => openThread(thread)}>
+            <Ionicons name="chatbubbles-outline" size={14} color={isMe ? 'white' : '#4A2C2A'} />
+            <Text style={[styles.threadLinkText, isMe && styles.myMessageText]}>
+              {thread.unreadCount > 0 ? `${thread.unreadCount} new in thread` : 'View thread'}
+            </Text>
+          </TouchableOpacity>
+        )}
+        
         <MessageReactions
           message={item}
           currentUserId={userKeys?.publicKey}
           onReaction={handleReaction}
         />
-      </View>
+      </TouchableOpacity>
     );
   };
 
@@ -236,6 +581,22 @@ export default function ChatScreen() {
     }
     
     if (!message.trim() || !ratchetState) return;
+    AmiXPresence.stopTyping(id);
+    releaseAnchor();
+
+    // Quoted replies go out through the threads service
+    if (replyTo) {
+      try {
+        const reply = await AmiXThreads.sendReply(id, message.trim(), replyTo);
+        setMessages(prev => [...prev, reply]);
+        setMessage('');
+        setReplyTo(null);
+      } catch (error) {
+        console.error('Error sending reply:', error);
+        Alert.alert('Error', 'Failed to send reply');
+      }
+      return;
+    }
     
     try {
       // Encrypt the message using the current ratchet state
@@ -299,6 +660,8 @@ export default function ChatScreen() {
     router.push('/chat/test');
   };
 
+  const presenceText = isPeerTyping ? 'typing...' : AmiXPresenceEvents.formatLastSeen(peerPresence, clock);
+
   return (
     <KeyboardAvoidingView 
       style={styles.container}
@@ -460,9 +823,29 @@ export default function ChatScreen() {
                 color={keyStatus?.status === 'active' ? '#4CAF50' : '#FFA000'} 
               />
             </TouchableOpacity>
+            <TouchableOpacity 
+              onPress={() => setShowThreads(true)}
+              style={{ marginLeft: 4, padding: 4 }}
+            >
+              <Ionicons name="chatbubbles-outline" size={20} color="#4A2C2A" />
+              {threads.some(thread => thread.unreadCount > 0 && !thread.isArchived) && (
+                <View style={styles.unreadDot} />
+              )}
+            </TouchableOpacity>
+            <TouchableOpacity 
+              onPress={() => setShowTimerPicker(true)}
+              style={{ marginLeft: 4, padding: 4 }}
+            >
+              <Ionicons 
+                name={disappearingTimer ? 'timer' : 'timer-outline'} 
+                size={20} 
+                color="#4A2C2A" 
+              />
+            </TouchableOpacity>
           </View>
-          <Text style={styles.contactStatus}>
+          <Text style={styles.contactStatus} numberOfLines={1}>
             {isVerified ? 'Verified' : 'Unverified'}
+            {presenceText ? ` · ${presenceText}` : ''}
           </Text>
         </View>
 
@@ -478,19 +861,63 @@ export default function ChatScreen() {
         ref={scrollViewRef}
         style={styles.messagesContainer}
         contentContainerStyle={styles.messagesContent}
-        onContentSizeChange={() => scrollViewRef.current?.scrollToEnd({ animated: true })}
+        onContentSizeChange={() => shouldScrollToEnd() && scrollViewRef.current?.scrollToEnd({ animated: true })}
       >
         {isLoading ? (
           <View style={styles.loadingContainer}>
             <ActivityIndicator size="large" color="#4A2C2A" />
           </View>
         ) : messages.map((msg, index) => (
-          <View key={msg.id || index} style={styles.messageWrapper}>
+          <View
+            key={msg.id || index}
+            style={[styles.messageWrapper, msg.id === highlightedId && styles.highlightedMessage]}
+            onLayout={onMessageLayout(msg.id)}
+          >
             {renderMessageItem({ item: msg })}
           </View>
         ))}
       </ScrollView>
 
+      {/* File transfers in progress */}
+      {Object.values(transfers).map(transfer => (transfer.state === TRANSFER_STATES.OFFERED ? (
+        <View key={transfer.transferId} style={[styles.transferRow, styles.transferOffer]}>
+          <Text style={[styles.transferText, styles.transferOfferText]} numberOfLines={1}>
+            {contact?.name || 'Your contact'} wants to send you a file ({(transfer.size / (1024 * 1024)).toFixed(1)} MB)
+          </Text>
+          <TouchableOpacity onPress={() => AmiXFileTransfer.declineOffer(transfer.transferId)}>
+            <Text style={styles.transferAction}>Decline</Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => AmiXFileTransfer.acceptOffer(transfer.transferId)}>
+            <Text style={styles.transferAction}>Accept</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <View key={transfer.transferId} style={styles.transferRow}>
+          <Text style={styles.transferText} numberOfLines={1}>
+            {transfer.direction === 'outgoing' ? 'Sending' : 'Receiving'} {transfer.name || 'file'}
+            {transfer.state === TRANSFER_STATES.PAUSED ? ' (waiting for connection)' : ''}
+          </Text>
+          <View style={styles.transferTrack}>
+            <View style={[styles.transferBar, { width: `${Math.round(transfer.progress * 100)}%` }]} />
+          </View>
+        </View>
+      )))}
+
+      {/* Quote preview for a reply */}
+      {replyTo && (
+        <View style={styles.replyBar}>
+          <View style={styles.replyBarText}>
+            <Text style={styles.replyBarTitle}>Replying to</Text>
+            <Text style={styles.replyBarPreview} numberOfLines={1}>
+              {replyTo.text ?? replyTo.content}
+            </Text>
+          </View>
+          <TouchableOpacity onPress={() => setReplyTo(null)}>
+            <Ionicons name="close" size={18} color="#8A7A78" />
+          </TouchableOpacity>
+        </View>
+      )}
+
       {/* Message Input */}
       <View style={styles.inputContainer}>
         <TextInput
@@ -498,7 +925,7 @@ export default function ChatScreen() {
           placeholder={isVerified ? "Type a message..." : "Verify contact to message"}
           placeholderTextColor="#999"
           value={message}
-          onChangeText={setMessage}
+          onChangeText={handleMessageChange}
           onSubmitEditing={sendMessage}
           multiline
           editable={isVerified}
@@ -515,21 +942,93 @@ export default function ChatScreen() {
         </TouchableOpacity>
       </View>
 
+      <ThreadsPanel
+        visible={showThreads}
+        conversationId={id}
+        threads={threads}
+        rootMessage={threadRoot}
+        onOpenThread={openThread}
+        onClose={() => {
+          setShowThreads(false);
+          setThreadRoot(null);
+        }}
+      />
+
+      {/* Disappearing Messages Modal */}
+      <Modal
+        animationType="fade"
+        transparent={true}
+        visible={showTimerPicker}
+        onRequestClose={() => setShowTimerPicker(false)}
+      >
+        <View style={styles.modalContainer}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>Disappearing Messages</Text>
+            <Text style={styles.modalText}>
+              New messages in this chat disappear from every device after the time you pick.
+            </Text>
+            {[
+              ['Off', DISAPPEARING_TIMERS.OFF],
+              ['30 seconds', DISAPPEARING_TIMERS.THIRTY_SECONDS],
+              ['1 hour', DISAPPEARING_TIMERS.ONE_HOUR],
+              ['1 day', DISAPPEARING_TIMERS.ONE_DAY],
+              ['1 week', DISAPPEARING_TIMERS.ONE_WEEK],
+            ].map(([label, timer]) => (
+              <TouchableOpacity
+                key={timer}
+                style={styles.timerOption}
+                onPress={() => changeDisappearingTimer(timer)}
+              >
+                <Text style={styles.timerOptionText}>{label}</Text>
+                {timer === disappearingTimer && (
+                  <Ionicons name="checkmark" size={18} color="#4A2C2A" />
+                )}
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+      </Modal>
+
       {/* Verification Modal */}
       <Modal
         animationType="slide"
         transparent={true}
         visible={modalVisible}
-        onRequestClose={() => setModalVisible(false)}
+        onRequestClose={() => {
+          setIsScanning(false);
+          setModalVisible(false);
+        }}
       >
         <View style={styles.modalContainer}>
           <View style={styles.modalContent}>
             <Text style={styles.modalTitle}>Verify Safety Number</Text>
+            {isScanning ? (
+              <View style={styles.scanner}>
+                <CameraView
+                  style={StyleSheet.absoluteFill}
+                  barcodeScannerSettings={{ barcodeTypes: ['qr'] }}
+                  onBarcodeScanned={isScanning ? handleCodeScanned : undefined}
+                />
+              </View>
+            ) : (
+              <View style={styles.safetyCode}>
+                {safetyCode ? <QRCode value={safetyCode} size={180} /> : null}
+              </View>
+            )}
             <Text style={styles.safetyNumber}>{safetyNumber}</Text>
             <Text style={styles.modalText}>
-              Compare this number with your contact to verify their identity.
+              Scan your contact's code, or compare this number with theirs.
               If the numbers match, tap 'Verify' to mark this contact as verified.
             </Text>
+            <TouchableOpacity
+              style={styles.scanButton}
+              onPress={isScanning ? () => setIsScanning(false) : startScanning}
+            >
+              <Ionicons name={isScanning ? 'qr-code-outline' : 'scan-outline'} size={18} color="#4A2C2A" />
+              <Text style={styles.scanButtonText}>
+                {isScanning ? 'Show My Code' : 'Scan Code'}
+              </Text>
+            </TouchableOpacity>
             <View style={styles.modalButtons}>
               <TouchableOpacity 
                 style={[styles.modalButton, styles.cancelButton]}
@@ -731,6 +1230,10 @@ const styles = StyleSheet.create({
   messageWrapper: {
     marginBottom: 8,
   },
+  highlightedMessage: {
+    backgroundColor: 'rgba(74, 44, 42, 0.12)',
+    borderRadius: 16,
+  },
   messageBubble: {
     maxWidth: '80%',
     padding: 12,
@@ -754,6 +1257,67 @@ const styles = StyleSheet.create({
   myMessageText: {
     color: 'white',
   },
+  quote: {
+    borderLeftWidth: 3,
+    borderLeftColor: '#4A2C2A',
+    paddingLeft: 8,
+    marginBottom: 6,
+  },
+  myQuote: {
+    borderLeftColor: 'rgba(255, 255, 255, 0.7)',
+  },
+  quoteText: {
+    fontSize: 13,
+    color: 'rgba(74, 44, 42, 0.7)',
+  },
+  threadLink: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 6,
+  },
+  threadLinkText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#4A2C2A',
+    marginLeft: 4,
+  },
+  unreadDot: {
+    position: 'absolute',
+    top: 4,
+    right: 2,
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#E53935',
+  },
+  replyBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    backgroundColor: '#FFF8EC',
+    borderTopWidth: 1,
+    borderTopColor: 'rgba(74, 44, 42, 0.1)',
+  },
+  replyBarText: {
+    flex: 1,
+    borderLeftWidth: 3,
+    borderLeftColor: '#4A2C2A',
+    paddingLeft: 8,
+  },
+  replyBarTitle: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#4A2C2A',
+  },
+  replyBarPreview: {
+    fontSize: 13,
+    color: '#8A7A78',
+  },
+  deletedMessageText: {
+    fontStyle: 'italic',
+    opacity: 0.7,
+  },
   messageFooter: {
     flexDirection: 'row',
     justifyContent: 'flex-end',
@@ -772,6 +1336,57 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: 'rgba(255, 255, 255, 0.7)',
   },
+  messageStatusRead: {
+    color: '#8FD3FF',
+  },
+  systemMessage: {
+    flexDirection: 'row',
+    alignSelf: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 12,
+    backgroundColor: 'rgba(74, 44, 42, 0.06)',
+  },
+  systemMessageText: {
+    fontSize: 12,
+    color: '#8A7A78',
+    marginLeft: 6,
+  },
+  transferRow: {
+    paddingHorizontal: 16,
+    paddingVertical: 6,
+    backgroundColor: '#FFF8EC',
+  },
+  transferText: {
+    fontSize: 12,
+    color: '#4A2C2A',
+    marginBottom: 4,
+  },
+  transferOffer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  transferOfferText: {
+    flex: 1,
+    marginBottom: 0,
+  },
+  transferAction: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#4A2C2A',
+    marginLeft: 12,
+  },
+  transferTrack: {
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: 'rgba(74, 44, 42, 0.1)',
+    overflow: 'hidden',
+  },
+  transferBar: {
+    height: 4,
+    backgroundColor: '#4A2C2A',
+  },
   inputContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -830,9 +1445,31 @@ const styles = StyleSheet.create({
     marginBottom: 16,
     textAlign: 'center',
   },
+  safetyCode: {
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  scanner: {
+    height: 220,
+    borderRadius: 8,
+    overflow: 'hidden',
+    marginBottom: 8,
+  },
+  scanButton: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingVertical: 10,
+    marginBottom: 16,
+  },
+  scanButtonText: {
+    color: '#4A2C2A',
+    fontWeight: '600',
+    marginLeft: 6,
+  },
   safetyNumber: {
     fontFamily: 'monospace',
-    fontSize: 20,
+    fontSize: 16,
     fontWeight: 'bold',
     textAlign: 'center',
     marginVertical: 16,
@@ -873,4 +1510,16 @@ const styles = StyleSheet.create({
     color: 'white',
     fontWeight: '600',
   },
+  timerOption: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#E0E0E0',
+  },
+  timerOptionText: {
+    fontSize: 16,
+    color: '#4A2C2A',
+  },
 });
@@ -10,6 +10,13 @@ export default function ChatLayout() {
           animation: 'slide_from_right'
         }} 
       />
+      <Stack.Screen 
+        name="thread/[threadId]" 
+        options={{ 
+          headerShown: false,
+          animation: 'slide_from_right'
+        }} 
+      />
       <Stack.Screen 
         name="test" 
         options={{ 
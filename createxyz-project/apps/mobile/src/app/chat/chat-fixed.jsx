@@ -20,6 +20,9 @@ import { router, useLocalSearchParams } from 'expo-router';
 import { AmiXStorage } from '../../utils/storage';
 import { AmiXCrypto } from '../../utils/crypto';
 
+// Services
+import { AmiXVerification } from '../../services/verification';
+
 // Components
 import { MessageReactions } from '../../components/MessageReactions';
 
@@ -33,6 +36,7 @@ export default function ChatScreen() {
   const [isVerified, setIsVerified] = useState(false);
   const [modalVisible, setModalVisible] = useState(false);
   const [safetyNumber, setSafetyNumber] = useState('');
+  const [verifyingKey, setVerifyingKey] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [ratchetState, setRatchetState] = useState(null);
   const scrollViewRef = useRef(null);
@@ -47,7 +51,7 @@ export default function ChatScreen() {
         const contacts = await AmiXStorage.getContacts();
         const loadedContact = contacts[id];
         setContact(loadedContact);
-        setIsVerified(loadedContact?.verified || false);
+        setIsVerified(AmiXVerification.isVerified(loadedContact));
 
         // Load messages
         const loadedMessages = await AmiXStorage.getMessages(id);
@@ -86,16 +90,22 @@ export default function ChatScreen() {
 
   const handleVerify = async () => {
     if (userKeys && contact) {
-      const num = await AmiXCrypto.generateSafetyNumber(userKeys.publicKey, contact.publicKey);
-      setSafetyNumber(num);
-      setModalVisible(true);
+      try {
+        const verification = await AmiXVerification.getSafetyNumber(id);
+        setSafetyNumber(verification.safetyNumber);
+        setVerifyingKey(verification.identityKey);
+        setModalVisible(true);
+      } catch (error) {
+        console.error('Failed to generate safety number:', error);
+        Alert.alert('Error', 'Failed to generate safety number');
+      }
     }
   };
 
   const markAsVerified = async () => {
     if (contact) {
       try {
-        await AmiXStorage.updateContact(id, { verified: true });
+        await AmiXVerification.markVerified(id, verifyingKey);
         setIsVerified(true);
         setModalVisible(false);
         
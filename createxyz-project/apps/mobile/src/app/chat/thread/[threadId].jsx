@@ -0,0 +1,386 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform,
+  Alert,
+  ActivityIndicator,
+  StyleSheet
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { router, useLocalSearchParams } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+
+// Utils
+import { AmiXStorage } from '../../../utils/storage';
+import { AmiXThreadSync, THREAD_VISIBILITY } from '../../../utils/threadSync';
+
+// Services
+import { AmiXThreads } from '../../../services/threads';
+
+// Hooks
+import { useMessageAnchor } from '../../../hooks/useMessageAnchor';
+
+const VISIBILITY_LABELS = {
+  [THREAD_VISIBILITY.PUBLIC]: 'Public thread',
+  [THREAD_VISIBILITY.PRIVATE]: 'Private thread',
+  [THREAD_VISIBILITY.SECRET]: 'Secret thread',
+};
+
+export default function ThreadScreen() {
+  const { threadId, messageId: anchorId } = useLocalSearchParams();
+  const insets = useSafeAreaInsets();
+  const scrollViewRef = useRef(null);
+  const { highlightedId, onMessageLayout, shouldScrollToEnd, releaseAnchor } = useMessageAnchor(scrollViewRef, anchorId);
+
+  const [thread, setThread] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [message, setMessage] = useState('');
+  const [replyTo, setReplyTo] = useState(null);
+  const [canPost, setCanPost] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    const loadThread = async () => {
+      try {
+        const loadedThread = await AmiXStorage.getThread(threadId);
+        if (!loadedThread) {
+          Alert.alert('Error', 'Thread not found');
+          router.back();
+          return;
+        }
+
+        setThread(loadedThread);
+        setCanPost(AmiXThreadSync.canPost(loadedThread, await AmiXStorage.getAmiXId()));
+        setMessages(await AmiXThreads.getThreadMessages(threadId));
+        await AmiXThreads.markThreadAsRead(threadId);
+      } catch (error) {
+        console.error('Error loading thread:', error);
+        Alert.alert('Error', 'Failed to load thread');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    const onThreadMessage = ({ threadId: messageThreadId, message: threadMessage }) => {
+      if (messageThreadId !== threadId) return;
+      setMessages(prev => prev.some(existing => existing.id === threadMessage.id) ? prev : [...prev, threadMessage]);
+      if (threadMessage.senderId !== 'self') {
+        AmiXThreads.markThreadAsRead(threadId);
+      }
+    };
+
+    const onThreadUpdated = async ({ thread: updated }) => {
+      if (updated.id !== threadId) return;
+      setThread(updated);
+      setCanPost(AmiXThreadSync.canPost(updated, await AmiXStorage.getAmiXId()));
+    };
+
+    AmiXThreads.initialize();
+    loadThread();
+
+    AmiXThreads.on('threadMessage', onThreadMessage);
+    AmiXThreads.on('threadUpdated', onThreadUpdated);
+    return () => {
+      AmiXThreads.off('threadMessage', onThreadMessage);
+      AmiXThreads.off('threadUpdated', onThreadUpdated);
+    };
+  }, [threadId]);
+
+  const sendMessage = async () => {
+    if (!message.trim()) return;
+
+    releaseAnchor();
+    try {
+      // The threadMessage event adds it to the list
+      await AmiXThreads.sendThreadMessage(threadId, message.trim(), replyTo);
+      setMessage('');
+      setReplyTo(null);
+    } catch (error) {
+      console.error('Error sending thread message:', error);
+      Alert.alert('Error', 'Failed to send message');
+    }
+  };
+
+  const renderMessageItem = (item) => {
+    const isMe = item.senderId === 'self';
+
+    return (
+      <TouchableOpacity
+        activeOpacity={0.8}
+        onPress={() => canPost && setReplyTo(item)}
+        style={[styles.messageBubble, isMe ? styles.myMessage : styles.theirMessage]}
+      >
+        {!isMe && thread?.groupId && (
+          <Text style={styles.senderName} numberOfLines={1}>{item.senderId}</Text>
+        )}
+        {item.quote && (
+          <View style={[styles.quote, isMe && styles.myQuote]}>
+            <Text style={[styles.quoteText, isMe && styles.myMessageTime]} numberOfLines={2}>
+              {item.quote.preview}
+            </Text>
+          </View>
+        )}
+        <Text style={[styles.messageText, isMe && styles.myMessageText]}>
+          {item.content}
+        </Text>
+        <Text style={[styles.messageTime, isMe && styles.myMessageTime]}>
+          {new Date(item.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      keyboardVerticalOffset={Platform.OS === 'ios' ? 90 : 0}
+    >
+      <StatusBar style="auto" />
+
+      {/* Header */}
+      <View style={[styles.header, { paddingTop: insets.top }]}>
+        <TouchableOpacity onPress={() => router.back()} style={styles.backButton}>
+          <Text style={styles.backButtonText}>← Back</Text>
+        </TouchableOpacity>
+        <View style={styles.headerContent}>
+          <Text style={styles.threadTitle} numberOfLines={1}>
+            {thread?.title || 'Thread'}
+          </Text>
+          {thread && (
+            <Text style={styles.threadStatus}>
+              {VISIBILITY_LABELS[thread.visibility]}
+              {thread.visibility !== THREAD_VISIBILITY.PUBLIC && ` · ${thread.participants.length} participants`}
+            </Text>
+          )}
+        </View>
+      </View>
+
+      {/* Messages */}
+      <ScrollView
+        ref={scrollViewRef}
+        style={styles.messagesContainer}
+        contentContainerStyle={styles.messagesContent}
+        onContentSizeChange={() => shouldScrollToEnd() && scrollViewRef.current?.scrollToEnd({ animated: true })}
+      >
+        {isLoading ? (
+          <View style={styles.loadingContainer}>
+            <ActivityIndicator size="large" color="#4A2C2A" />
+          </View>
+        ) : messages.map(msg => (
+          <View
+            key={msg.id}
+            style={[styles.messageWrapper, msg.id === highlightedId && styles.highlightedMessage]}
+            onLayout={onMessageLayout(msg.id)}
+          >
+            {renderMessageItem(msg)}
+          </View>
+        ))}
+      </ScrollView>
+
+      {/* Quote preview for a reply */}
+      {replyTo && (
+        <View style={styles.replyBar}>
+          <View style={styles.replyBarText}>
+            <Text style={styles.replyBarTitle}>Replying to</Text>
+            <Text style={styles.replyBarPreview} numberOfLines={1}>{replyTo.content}</Text>
+          </View>
+          <TouchableOpacity onPress={() => setReplyTo(null)}>
+            <Ionicons name="close" size={18} color="#8A7A78" />
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {/* Message Input */}
+      <View style={styles.inputContainer}>
+        <TextInput
+          style={styles.textInput}
+          placeholder={canPost ? 'Reply in thread...' : 'Only participants can post'}
+          placeholderTextColor="#999"
+          value={message}
+          onChangeText={setMessage}
+          multiline
+          editable={canPost}
+        />
+        <TouchableOpacity
+          onPress={sendMessage}
+          style={[styles.sendButton, (!message.trim() || !canPost) && styles.sendButtonDisabled]}
+          disabled={!message.trim() || !canPost}
+        >
+          <Text style={styles.sendButtonText}>↑</Text>
+        </TouchableOpacity>
+      </View>
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FFF8EC',
+  },
+  header: {
+    paddingHorizontal: 20,
+    paddingBottom: 16,
+    backgroundColor: '#FFF8EC',
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(74, 44, 42, 0.1)',
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  backButton: {
+    marginRight: 16,
+  },
+  backButtonText: {
+    fontSize: 16,
+    color: '#4A2C2A',
+  },
+  headerContent: {
+    flex: 1,
+  },
+  threadTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#4A2C2A',
+  },
+  threadStatus: {
+    fontSize: 12,
+    color: 'rgba(74, 44, 42, 0.6)',
+  },
+  messagesContainer: {
+    flex: 1,
+    padding: 16,
+  },
+  messagesContent: {
+    paddingBottom: 16,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  messageWrapper: {
+    marginBottom: 8,
+  },
+  highlightedMessage: {
+    backgroundColor: 'rgba(74, 44, 42, 0.12)',
+    borderRadius: 16,
+  },
+  messageBubble: {
+    maxWidth: '80%',
+    padding: 12,
+    borderRadius: 16,
+  },
+  myMessage: {
+    alignSelf: 'flex-end',
+    backgroundColor: '#4A2C2A',
+    borderBottomRightRadius: 4,
+  },
+  theirMessage: {
+    alignSelf: 'flex-start',
+    backgroundColor: 'white',
+    borderBottomLeftRadius: 4,
+  },
+  senderName: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#8A7A78',
+    marginBottom: 4,
+  },
+  messageText: {
+    fontSize: 16,
+    color: '#4A2C2A',
+    marginBottom: 4,
+  },
+  myMessageText: {
+    color: 'white',
+  },
+  messageTime: {
+    fontSize: 10,
+    color: 'rgba(74, 44, 42, 0.6)',
+    alignSelf: 'flex-end',
+  },
+  myMessageTime: {
+    color: 'rgba(255, 255, 255, 0.7)',
+  },
+  quote: {
+    borderLeftWidth: 3,
+    borderLeftColor: '#4A2C2A',
+    paddingLeft: 8,
+    marginBottom: 6,
+  },
+  myQuote: {
+    borderLeftColor: 'rgba(255, 255, 255, 0.7)',
+  },
+  quoteText: {
+    fontSize: 13,
+    color: 'rgba(74, 44, 42, 0.7)',
+  },
+  replyBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    backgroundColor: '#FFF8EC',
+    borderTopWidth: 1,
+    borderTopColor: 'rgba(74, 44, 42, 0.1)',
+  },
+  replyBarText: {
+    flex: 1,
+    borderLeftWidth: 3,
+    borderLeftColor: '#4A2C2A',
+    paddingLeft: 8,
+  },
+  replyBarTitle: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#4A2C2A',
+  },
+  replyBarPreview: {
+    fontSize: 13,
+    color: '#8A7A78',
+  },
+  inputContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 16,
+    backgroundColor: '#FFF8EC',
+    borderTopWidth: 1,
+    borderTopColor: 'rgba(74, 44, 42, 0.1)',
+  },
+  textInput: {
+    flex: 1,
+    backgroundColor: 'white',
+    borderRadius: 20,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    marginRight: 12,
+    fontSize: 16,
+    color: '#4A2C2A',
+    borderWidth: 1,
+    borderColor: 'rgba(74, 44, 42, 0.2)',
+    maxHeight: 120,
+  },
+  sendButton: {
+    backgroundColor: '#4A2C2A',
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  sendButtonDisabled: {
+    opacity: 0.5,
+  },
+  sendButtonText: {
+    color: 'white',
+    fontSize: 20,
+    marginLeft: 2,
+  },
+});
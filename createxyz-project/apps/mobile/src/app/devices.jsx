@@ -0,0 +1,415 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+  StyleSheet
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { router, useLocalSearchParams } from 'expo-router';
+import { CameraView, useCameraPermissions } from 'expo-camera';
+import QRCode from 'react-native-qrcode-svg';
+
+// Services
+import { AmiXDevices } from '../services/devices';
+
+// Linked devices. An existing device lists and unlinks devices and approves
+// new ones; a new device (mode=new) shows a code and waits for approval.
+export default function DevicesScreen() {
+  const insets = useSafeAreaInsets();
+  const { mode } = useLocalSearchParams();
+  const [devices, setDevices] = useState([]);
+  const [ownDeviceId, setOwnDeviceId] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [cameraPermission, requestCameraPermission] = useCameraPermissions();
+
+  // Approving a new device
+  const [isApproving, setIsApproving] = useState(false);
+  const [isScanning, setIsScanning] = useState(false);
+  const [typedCode, setTypedCode] = useState('');
+  const [pendingLink, setPendingLink] = useState(null);
+
+  // Linking this device
+  const [ownLink, setOwnLink] = useState(null);
+
+  const loadDevices = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setOwnDeviceId(await AmiXDevices.getDeviceId());
+      setDevices(await AmiXDevices.getLinkedDevices());
+    } catch (error) {
+      console.error('Error loading linked devices:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (mode !== 'new') {
+      loadDevices();
+      return undefined;
+    }
+
+    // New device: show the code, then adopt the identity once it is approved
+    let cancelled = false;
+    const linkThisDevice = async () => {
+      try {
+        setOwnLink(await AmiXDevices.startLinking());
+        await AmiXDevices.waitForLink();
+        Alert.alert('Device Linked', 'This device now uses your AmiX identity.');
+        router.replace('/(tabs)');
+      } catch (error) {
+        if (cancelled) return;
+        console.error('Error linking this device:', error);
+        Alert.alert('Linking Failed', error.message);
+        setOwnLink(null);
+      }
+    };
+
+    linkThisDevice();
+    return () => {
+      cancelled = true;
+      AmiXDevices.cancelLinking();
+    };
+  }, [mode]);
+
+  const startScanning = async () => {
+    const permission = cameraPermission?.granted
+      ? cameraPermission
+      : await requestCameraPermission();
+
+    if (!permission.granted) {
+      Alert.alert('Camera Required', 'Allow camera access to scan the new device\'s code.');
+      return;
+    }
+    setIsScanning(true);
+  };
+
+  const lookupLink = async (value) => {
+    try {
+      setPendingLink(await AmiXDevices.lookupLink(value));
+    } catch (error) {
+      console.error('Error looking up linking code:', error);
+      Alert.alert('Error', error.message);
+    }
+  };
+
+  const handleCodeScanned = ({ data }) => {
+    setIsScanning(false);
+    lookupLink(data);
+  };
+
+  const approveLink = async () => {
+    try {
+      await AmiXDevices.approveLink(pendingLink);
+      setPendingLink(null);
+      setIsApproving(false);
+      setTypedCode('');
+      loadDevices();
+    } catch (error) {
+      console.error('Error approving device link:', error);
+      Alert.alert('Error', 'Failed to link the new device');
+    }
+  };
+
+  const cancelApproval = () => {
+    setPendingLink(null);
+    setIsScanning(false);
+    setIsApproving(false);
+    setTypedCode('');
+  };
+
+  const confirmUnlink = (device) => {
+    Alert.alert(
+      'Unlink Device',
+      `${device.name || 'This device'} will stop receiving your messages.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Unlink',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await AmiXDevices.unlinkDevice(device.deviceId);
+              loadDevices();
+            } catch (error) {
+              console.error('Error unlinking device:', error);
+              Alert.alert('Error', 'Failed to unlink the device');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderOwnLink = () => (
+    <View style={styles.card}>
+      <Text style={styles.cardTitle}>Link This Device</Text>
+      <Text style={styles.cardText}>
+        On a device that already uses AmiX, open Profile → Linked Devices → Link a New Device,
+        then scan this code or type the code below.
+      </Text>
+      {ownLink ? (
+        <>
+          <View style={styles.qrCode}>
+            <QRCode value={ownLink.qrValue} size={180} />
+          </View>
+          <Text style={styles.linkCode}>{ownLink.code}</Text>
+          <Text style={styles.cardText}>Both screens must show this fingerprint:</Text>
+          <Text style={styles.fingerprint}>{ownLink.fingerprint}</Text>
+          <ActivityIndicator style={styles.loading} color="#4A2C2A" />
+        </>
+      ) : (
+        <ActivityIndicator style={styles.loading} color="#4A2C2A" />
+      )}
+    </View>
+  );
+
+  const renderApproval = () => {
+    if (pendingLink) {
+      return (
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Link {pendingLink.deviceName || 'New Device'}?</Text>
+          <Text style={styles.cardText}>
+            {pendingLink.verified
+              ? 'The scanned code matches. Check the fingerprint once more:'
+              : 'Only continue if the new device shows exactly this fingerprint:'}
+          </Text>
+          <Text style={styles.fingerprint}>{pendingLink.fingerprint}</Text>
+          <Text style={styles.cardText}>
+            The new device will be able to read and send messages as you.
+          </Text>
+          <View style={styles.buttons}>
+            <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={cancelApproval}>
+              <Text style={styles.buttonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.button} onPress={approveLink}>
+              <Text style={styles.buttonText}>Link Device</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      );
+    }
+
+    return (
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>Link a New Device</Text>
+        {isScanning ? (
+          <View style={styles.scanner}>
+            <CameraView
+              style={StyleSheet.absoluteFill}
+              barcodeScannerSettings={{ barcodeTypes: ['qr'] }}
+              onBarcodeScanned={isScanning ? handleCodeScanned : undefined}
+            />
+          </View>
+        ) : (
+          <TouchableOpacity style={styles.button} onPress={startScanning}>
+            <Text style={styles.buttonText}>Scan Code</Text>
+          </TouchableOpacity>
+        )}
+        <TextInput
+          style={styles.codeInput}
+          value={typedCode}
+          onChangeText={setTypedCode}
+          placeholder="Or type the code"
+          placeholderTextColor="#8A7A78"
+          autoCapitalize="characters"
+          autoCorrect={false}
+          returnKeyType="done"
+          onSubmitEditing={() => typedCode.trim() && lookupLink(typedCode)}
+        />
+        <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={cancelApproval}>
+          <Text style={styles.buttonText}>Cancel</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <StatusBar style="auto" />
+
+      {/* Header */}
+      <View style={[styles.header, { paddingTop: insets.top }]}>
+        <TouchableOpacity onPress={() => router.back()} style={styles.backButton}>
+          <Text style={styles.backButtonText}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>Linked Devices</Text>
+      </View>
+
+      <ScrollView style={styles.content} keyboardShouldPersistTaps="handled">
+        {mode === 'new' ? renderOwnLink() : (
+          <>
+            {isApproving ? renderApproval() : (
+              <TouchableOpacity style={styles.button} onPress={() => setIsApproving(true)}>
+                <Text style={styles.buttonText}>Link a New Device</Text>
+              </TouchableOpacity>
+            )}
+
+            {isLoading && <ActivityIndicator style={styles.loading} color="#4A2C2A" />}
+            {devices.map(device => (
+              <View key={device.deviceId} style={styles.device}>
+                <View style={styles.deviceInfo}>
+                  <Text style={styles.deviceName}>
+                    {device.name || device.platform}
+                    {device.deviceId === ownDeviceId ? ' (this device)' : ''}
+                  </Text>
+                  <Text style={styles.deviceDetail}>
+                    {device.lastSeenAt
+                      ? `Last active ${new Date(device.lastSeenAt).toLocaleDateString()}`
+                      : `Linked ${new Date(device.linkedAt).toLocaleDateString()}`}
+                  </Text>
+                </View>
+                {device.deviceId !== ownDeviceId && (
+                  <TouchableOpacity onPress={() => confirmUnlink(device)}>
+                    <Text style={styles.unlinkText}>Unlink</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+            ))}
+          </>
+        )}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FFF8EC',
+  },
+  header: {
+    paddingHorizontal: 20,
+    paddingBottom: 16,
+    backgroundColor: '#FFF8EC',
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(74, 44, 42, 0.1)',
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  backButton: {
+    marginRight: 16,
+  },
+  backButtonText: {
+    fontSize: 16,
+    color: '#4A2C2A',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#4A2C2A',
+  },
+  content: {
+    flex: 1,
+    padding: 16,
+  },
+  loading: {
+    marginTop: 24,
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 16,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#4A2C2A',
+    marginBottom: 8,
+  },
+  cardText: {
+    fontSize: 14,
+    color: 'rgba(74, 44, 42, 0.8)',
+    marginBottom: 12,
+  },
+  qrCode: {
+    alignItems: 'center',
+    marginVertical: 16,
+  },
+  linkCode: {
+    fontSize: 24,
+    fontWeight: '700',
+    letterSpacing: 4,
+    textAlign: 'center',
+    color: '#4A2C2A',
+    marginBottom: 16,
+  },
+  fingerprint: {
+    fontSize: 20,
+    fontWeight: '600',
+    letterSpacing: 2,
+    textAlign: 'center',
+    color: '#4A2C2A',
+    marginBottom: 12,
+  },
+  scanner: {
+    height: 240,
+    borderRadius: 12,
+    overflow: 'hidden',
+    marginBottom: 12,
+  },
+  codeInput: {
+    backgroundColor: '#FFF8EC',
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: '#4A2C2A',
+    borderWidth: 1,
+    borderColor: 'rgba(74, 44, 42, 0.2)',
+    marginVertical: 12,
+  },
+  buttons: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  button: {
+    flex: 1,
+    backgroundColor: '#FFF1D6',
+    borderRadius: 12,
+    padding: 14,
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  secondaryButton: {
+    backgroundColor: 'white',
+    borderWidth: 1,
+    borderColor: 'rgba(74, 44, 42, 0.2)',
+  },
+  buttonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#4A2C2A',
+  },
+  device: {
+    backgroundColor: 'white',
+    borderRadius: 16,
+    padding: 16,
+    marginTop: 8,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  deviceInfo: {
+    flex: 1,
+  },
+  deviceName: {
+    fontSize: 16,
+    color: '#4A2C2A',
+  },
+  deviceDetail: {
+    fontSize: 12,
+    color: '#8A7A78',
+    marginTop: 2,
+  },
+  unlinkText: {
+    fontSize: 14,
+    color: '#E53E3E',
+  },
+});
@@ -102,6 +102,23 @@ export default function OnboardingScreen() {
             {steps[currentStep].description}
           </Text>
 
+          {/* Existing users add this device instead of starting over */}
+          {currentStep === 0 && (
+            <TouchableOpacity
+              style={{ marginBottom: 40, alignItems: 'center' }}
+              onPress={() => router.push('/devices?mode=new')}
+            >
+              <Text style={{
+                fontSize: 16,
+                fontWeight: '600',
+                color: '#4A2C2A',
+                textDecorationLine: 'underline',
+              }}>
+                Already use AmiX? Link this device
+              </Text>
+            </TouchableOpacity>
+          )}
+
           {/* Input for step 1 */}
           {currentStep === 1 && (
             <View style={{ marginBottom: 40 }}>
@@ -0,0 +1,214 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+  StyleSheet
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { router } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+
+// Utils
+import { AmiXStorage } from '../utils/storage';
+import { AmiXSearchIndex } from '../utils/searchIndex';
+
+const SEARCH_DELAY = 250;
+
+export default function SearchScreen() {
+  const insets = useSafeAreaInsets();
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [names, setNames] = useState({});
+  const [isSearching, setIsSearching] = useState(false);
+  const latestQuery = useRef('');
+
+  // Conversation names for the results
+  useEffect(() => {
+    const loadNames = async () => {
+      try {
+        const contacts = await AmiXStorage.getContacts();
+        const groups = await AmiXStorage.getGroups();
+        setNames({
+          ...Object.fromEntries(Object.entries(contacts).map(([amixId, contact]) => [amixId, contact?.name || amixId])),
+          ...Object.fromEntries(groups.map(group => [group.id, group.name || 'Group'])),
+        });
+      } catch (error) {
+        console.error('Error loading conversation names:', error);
+      }
+    };
+
+    loadNames();
+    AmiXStorage.buildSearchIndex();
+  }, []);
+
+  // Search once typing pauses; drop results for queries already replaced
+  useEffect(() => {
+    latestQuery.current = query;
+    if (AmiXSearchIndex.queryTerms(query).length === 0) {
+      setResults([]);
+      setIsSearching(false);
+      return;
+    }
+
+    setIsSearching(true);
+    const timeout = setTimeout(async () => {
+      const found = await AmiXStorage.searchMessages(query);
+      if (latestQuery.current !== query) return;
+      setResults(found);
+      setIsSearching(false);
+    }, SEARCH_DELAY);
+
+    return () => clearTimeout(timeout);
+  }, [query]);
+
+  const openResult = ({ anchor }) => {
+    router.push(anchor.threadId
+      ? `/chat/thread/${anchor.threadId}?messageId=${anchor.messageId}`
+      : `/chat/${anchor.conversationId}?messageId=${anchor.messageId}`);
+  };
+
+  const renderSnippet = (result) => (
+    AmiXSearchIndex.segments({ text: result.snippet, highlights: result.highlights }).map((segment, index) => (
+      <Text key={index} style={segment.highlighted && styles.highlight}>
+        {segment.text}
+      </Text>
+    ))
+  );
+
+  return (
+    <View style={styles.container}>
+      <StatusBar style="auto" />
+
+      {/* Header */}
+      <View style={[styles.header, { paddingTop: insets.top }]}>
+        <TouchableOpacity onPress={() => router.back()} style={styles.backButton}>
+          <Text style={styles.backButtonText}>← Back</Text>
+        </TouchableOpacity>
+        <TextInput
+          style={styles.searchInput}
+          value={query}
+          onChangeText={setQuery}
+          placeholder="Search messages"
+          placeholderTextColor="#8A7A78"
+          autoFocus
+          autoCorrect={false}
+          returnKeyType="search"
+        />
+      </View>
+
+      {/* Results */}
+      <ScrollView style={styles.results} keyboardShouldPersistTaps="handled">
+        {isSearching && (
+          <ActivityIndicator style={styles.loading} color="#4A2C2A" />
+        )}
+        {!isSearching && query.trim() !== '' && results.length === 0 && (
+          <Text style={styles.emptyText}>No messages found</Text>
+        )}
+        {results.map(result => (
+          <TouchableOpacity key={result.messageId} style={styles.result} onPress={() => openResult(result)}>
+            <View style={styles.resultHeader}>
+              <Text style={styles.conversationName} numberOfLines={1}>
+                {names[result.conversationId] || result.conversationId}
+              </Text>
+              {result.threadId && (
+                <Ionicons name="chatbubbles-outline" size={14} color="#8A7A78" style={styles.threadIcon} />
+              )}
+              <Text style={styles.resultTime}>
+                {new Date(result.timestamp).toLocaleDateString()}
+              </Text>
+            </View>
+            <Text style={styles.snippet} numberOfLines={3}>
+              {renderSnippet(result)}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FFF8EC',
+  },
+  header: {
+    paddingHorizontal: 20,
+    paddingBottom: 16,
+    backgroundColor: '#FFF8EC',
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(74, 44, 42, 0.1)',
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  backButton: {
+    marginRight: 16,
+  },
+  backButtonText: {
+    fontSize: 16,
+    color: '#4A2C2A',
+  },
+  searchInput: {
+    flex: 1,
+    backgroundColor: 'white',
+    borderRadius: 20,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: '#4A2C2A',
+    borderWidth: 1,
+    borderColor: 'rgba(74, 44, 42, 0.2)',
+  },
+  results: {
+    flex: 1,
+    padding: 16,
+  },
+  loading: {
+    marginTop: 24,
+  },
+  emptyText: {
+    marginTop: 24,
+    textAlign: 'center',
+    fontSize: 14,
+    color: '#8A7A78',
+  },
+  result: {
+    backgroundColor: 'white',
+    borderRadius: 16,
+    padding: 12,
+    marginBottom: 8,
+  },
+  resultHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  conversationName: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#4A2C2A',
+  },
+  threadIcon: {
+    marginLeft: 8,
+  },
+  resultTime: {
+    fontSize: 12,
+    color: '#8A7A78',
+    marginLeft: 8,
+  },
+  snippet: {
+    fontSize: 14,
+    color: 'rgba(74, 44, 42, 0.8)',
+  },
+  highlight: {
+    fontWeight: '700',
+    color: '#4A2C2A',
+    backgroundColor: '#FFF1D6',
+  },
+});
@@ -1,21 +1,41 @@
 import React from 'react';
-import { View, Text, StyleSheet } from 'react-native';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
 import * as AmiXCrypto from '../utils/crypto';
 import MetadataProtection from '../utils/metadataProtection';
 import SecurityLogger from '../utils/securityLogger';
+import { AmiXReceipts, RECEIPT_STATUSES } from '../utils/receipts';
+
+// Icon per outgoing status; read uses the accent colour
+const STATUS_ICONS = {
+  [RECEIPT_STATUSES.SENDING]: { name: 'time-outline', color: '#999' },
+  [RECEIPT_STATUSES.SENT]: { name: 'checkmark', color: '#999' },
+  [RECEIPT_STATUSES.DELIVERED]: { name: 'checkmark-done', color: '#999' },
+  [RECEIPT_STATUSES.READ]: { name: 'checkmark-done', color: '#007AFF' },
+  error: { name: 'alert-circle-outline', color: '#c62828' },
+  failed: { name: 'alert-circle-outline', color: '#c62828' },
+};
 
 class ChatMessage extends React.Component {
   state = {
     decryptedContent: '',
     isDecrypting: true,
     error: null,
-    metadata: {}
+    metadata: {},
+    showHistory: false
   };
 
   async componentDidMount() {
     await this.decryptMessage();
   }
 
+  // Edits replace the content in place
+  async componentDidUpdate(prevProps) {
+    if (prevProps.message.content !== this.props.message.content) {
+      await this.decryptMessage();
+    }
+  }
+
   async decryptMessage() {
     const { message, sessionKeys } = this.props;
     
@@ -68,9 +88,69 @@ class ChatMessage extends React.Component {
     }
   }
 
-  render() {
+  // Ticks for our own messages; groups also say how many members have read it
+  renderStatus() {
+    const { message, readReceiptsEnabled = true } = this.props;
+    const status = AmiXReceipts.displayStatus(message.status, readReceiptsEnabled);
+    const icon = STATUS_ICONS[status];
+    if (!icon) return null;
+
+    const counts = message.receipts ? AmiXReceipts.aggregate(message.receipts) : null;
+
+    return (
+      <View style={styles.statusRow}>
+        {counts?.total > 0 && (
+          <Text style={styles.statusText}>
+            {readReceiptsEnabled
+              ? `Read by ${counts.read}/${counts.total}`
+              : `Delivered to ${counts.delivered}/${counts.total}`}
+          </Text>
+        )}
+        <Ionicons
+          name={icon.name}
+          size={14}
+          color={icon.color}
+          accessibilityLabel={status}
+        />
+      </View>
+    );
+  }
+
+  // Earlier versions of an edited message, oldest first
+  renderHistory() {
     const { message } = this.props;
-    const { decryptedContent, isDecrypting, error, metadata } = this.state;
+
+    return (
+      <View style={styles.history}>
+        {(message.editHistory || []).map((version, index) => (
+          <Text key={index} style={styles.historyText}>
+            {new Date(version.editedAt).toLocaleTimeString()}: {version.content}
+          </Text>
+        ))}
+      </View>
+    );
+  }
+
+  render() {
+    const { message, onLongPress } = this.props;
+    const { decryptedContent, isDecrypting, error, metadata, showHistory } = this.state;
+
+    // Deleted for everyone: only a tombstone is left
+    if (message.deleted) {
+      return (
+        <View style={[
+          styles.container,
+          message.isOutgoing ? styles.outgoing : styles.incoming
+        ]}>
+          <View style={[styles.messageBubble, styles.tombstone]}>
+            <Ionicons name="ban-outline" size={14} color="#999" />
+            <Text style={styles.tombstoneText}>
+              {message.isOutgoing ? 'You deleted this message' : 'This message was deleted'}
+            </Text>
+          </View>
+        </View>
+      );
+    }
 
     if (isDecrypting) {
       return (
@@ -93,14 +173,26 @@ class ChatMessage extends React.Component {
         styles.container,
         message.isOutgoing ? styles.outgoing : styles.incoming
       ]}>
-        <View style={styles.messageBubble}>
+        <TouchableOpacity
+          style={styles.messageBubble}
+          activeOpacity={0.8}
+          disabled={!onLongPress}
+          onLongPress={() => onLongPress?.(message)}
+        >
           <Text style={styles.messageText}>{decryptedContent}</Text>
+          {message.editedAt && (
+            <TouchableOpacity onPress={() => this.setState({ showHistory: !showHistory })}>
+              <Text style={styles.editedLabel}>edited</Text>
+            </TouchableOpacity>
+          )}
+          {showHistory && this.renderHistory()}
           {metadata.timestamp && (
             <Text style={styles.timestamp}>
               {new Date(metadata.timestamp).toLocaleTimeString()}
             </Text>
           )}
-        </View>
+          {message.isOutgoing && this.renderStatus()}
+        </TouchableOpacity>
       </View>
     );
   }
@@ -134,6 +226,45 @@ const styles = StyleSheet.create({
     marginTop: 4,
     textAlign: 'right',
   },
+  editedLabel: {
+    fontSize: 10,
+    color: '#666',
+    fontStyle: 'italic',
+    marginTop: 2,
+    textAlign: 'right',
+  },
+  history: {
+    marginTop: 6,
+    paddingTop: 6,
+    borderTopWidth: StyleSheet.hairlineWidth,
+    borderTopColor: '#b3d9ea',
+  },
+  historyText: {
+    fontSize: 12,
+    color: '#666',
+  },
+  tombstone: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#f5f5f5',
+  },
+  tombstoneText: {
+    fontSize: 14,
+    color: '#999',
+    fontStyle: 'italic',
+    marginLeft: 6,
+  },
+  statusRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'flex-end',
+    marginTop: 2,
+  },
+  statusText: {
+    fontSize: 10,
+    color: '#666',
+    marginRight: 4,
+  },
   errorContainer: {
     backgroundColor: '#ffebee',
     padding: 8,
@@ -0,0 +1,330 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, TouchableOpacity, ScrollView, StyleSheet, Modal, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { AmiXThreads } from '../services/threads';
+import { THREAD_VISIBILITY } from '../utils/threadSync';
+
+const VISIBILITY_OPTIONS = [
+  { value: THREAD_VISIBILITY.PUBLIC, label: 'Public', hint: 'Everyone in the chat can read and post' },
+  { value: THREAD_VISIBILITY.PRIVATE, label: 'Private', hint: 'Everyone sees the thread; only participants read it' },
+  { value: THREAD_VISIBILITY.SECRET, label: 'Secret', hint: 'Only participants know the thread exists' },
+];
+
+// Threads in a conversation: pinned first, archived on request, and a form
+// to start a new one (optionally from a message)
+export const ThreadsPanel = ({ visible, conversationId, threads, rootMessage, onOpenThread, onClose }) => {
+  const [showArchived, setShowArchived] = useState(false);
+  const [isCreating, setIsCreating] = useState(false);
+  const [title, setTitle] = useState('');
+  const [visibility, setVisibility] = useState(THREAD_VISIBILITY.PRIVATE);
+  const [members, setMembers] = useState([]);
+  const [participants, setParticipants] = useState([]);
+
+  // Starting a thread from a message goes straight to the form
+  useEffect(() => {
+    if (!visible) return;
+
+    setIsCreating(Boolean(rootMessage));
+    setTitle(rootMessage ? (rootMessage.text ?? rootMessage.content ?? '').substring(0, 40) : '');
+    AmiXThreads.getMembers(conversationId).then((conversationMembers) => {
+      setMembers(conversationMembers);
+      setParticipants(conversationMembers.length === 1 ? conversationMembers : []);
+    });
+  }, [visible, conversationId, rootMessage]);
+
+  const toggleParticipant = (memberId) => {
+    setParticipants(current => current.includes(memberId)
+      ? current.filter(id => id !== memberId)
+      : [...current, memberId]);
+  };
+
+  const createThread = async () => {
+    try {
+      const thread = await AmiXThreads.createThread(conversationId, {
+        title: title.trim(),
+        visibility,
+        participants,
+        rootMessage,
+      });
+      setIsCreating(false);
+      onOpenThread(thread);
+    } catch (error) {
+      Alert.alert('Error', 'Failed to start the thread');
+    }
+  };
+
+  const showThreadOptions = (thread) => {
+    Alert.alert(thread.title || 'Thread', null, [
+      {
+        text: thread.isPinned ? 'Unpin' : 'Pin',
+        onPress: () => AmiXThreads.setPinned(thread.id, !thread.isPinned),
+      },
+      {
+        text: thread.isArchived ? 'Unarchive' : 'Archive',
+        onPress: () => AmiXThreads.setArchived(thread.id, !thread.isArchived),
+      },
+      { text: 'Cancel', style: 'cancel' },
+    ]);
+  };
+
+  const listed = threads.filter(thread => showArchived || !thread.isArchived);
+
+  const renderForm = () => (
+    <View>
+      <TextInput
+        style={styles.titleInput}
+        placeholder="Thread title"
+        placeholderTextColor="#999"
+        value={title}
+        onChangeText={setTitle}
+        maxLength={100}
+      />
+
+      {VISIBILITY_OPTIONS.map(option => (
+        <TouchableOpacity
+          key={option.value}
+          style={styles.option}
+          onPress={() => setVisibility(option.value)}
+        >
+          <Ionicons
+            name={visibility === option.value ? 'radio-button-on' : 'radio-button-off'}
+            size={18}
+            color="#4A2C2A"
+          />
+          <View style={styles.optionText}>
+            <Text style={styles.optionLabel}>{option.label}</Text>
+            <Text style={styles.optionHint}>{option.hint}</Text>
+          </View>
+        </TouchableOpacity>
+      ))}
+
+      {visibility !== THREAD_VISIBILITY.PUBLIC && members.length > 1 && (
+        <View style={styles.participants}>
+          <Text style={styles.sectionTitle}>Participants</Text>
+          {members.map(memberId => (
+            <TouchableOpacity key={memberId} style={styles.option} onPress={() => toggleParticipant(memberId)}>
+              <Ionicons
+                name={participants.includes(memberId) ? 'checkbox' : 'square-outline'}
+                size={18}
+                color="#4A2C2A"
+              />
+              <Text style={[styles.optionLabel, styles.optionText]}>{memberId}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+
+      <View style={styles.buttons}>
+        <TouchableOpacity style={[styles.button, styles.cancelButton]} onPress={() => setIsCreating(false)}>
+          <Text style={styles.cancelButtonText}>Cancel</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={[styles.button, styles.createButton]} onPress={createThread}>
+          <Text style={styles.createButtonText}>Start Thread</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  const renderList = () => (
+    <View>
+      <ScrollView style={styles.list}>
+        {listed.length === 0 && (
+          <Text style={styles.empty}>No threads yet</Text>
+        )}
+        {listed.map(thread => (
+          <TouchableOpacity
+            key={thread.id}
+            style={styles.thread}
+            onPress={() => onOpenThread(thread)}
+            onLongPress={() => showThreadOptions(thread)}
+          >
+            <View style={styles.threadText}>
+              <Text style={styles.threadTitle} numberOfLines={1}>
+                {thread.isPinned ? '📌 ' : ''}{thread.title || 'Untitled thread'}
+                {thread.isArchived ? ' (archived)' : ''}
+              </Text>
+              {thread.lastMessagePreview ? (
+                <Text style={styles.threadPreview} numberOfLines={1}>{thread.lastMessagePreview}</Text>
+              ) : null}
+            </View>
+            {thread.unreadCount > 0 && (
+              <View style={styles.badge}>
+                <Text style={styles.badgeText}>{thread.unreadCount}</Text>
+              </View>
+            )}
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+
+      <TouchableOpacity style={styles.archivedToggle} onPress={() => setShowArchived(!showArchived)}>
+        <Text style={styles.archivedToggleText}>
+          {showArchived ? 'Hide archived' : 'Show archived'}
+        </Text>
+      </TouchableOpacity>
+
+      <View style={styles.buttons}>
+        <TouchableOpacity style={[styles.button, styles.cancelButton]} onPress={onClose}>
+          <Text style={styles.cancelButtonText}>Close</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={[styles.button, styles.createButton]} onPress={() => setIsCreating(true)}>
+          <Text style={styles.createButtonText}>New Thread</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  return (
+    <Modal
+      animationType="slide"
+      transparent={true}
+      visible={visible}
+      onRequestClose={onClose}
+    >
+      <View style={styles.container}>
+        <View style={styles.content}>
+          <Text style={styles.title}>{isCreating ? 'New Thread' : 'Threads'}</Text>
+          {isCreating ? renderForm() : renderList()}
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+  content: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 20,
+    width: '90%',
+    maxWidth: 420,
+    maxHeight: '80%',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#4A2C2A',
+    marginBottom: 16,
+    textAlign: 'center',
+  },
+  list: {
+    maxHeight: 360,
+  },
+  empty: {
+    textAlign: 'center',
+    color: '#999',
+    paddingVertical: 24,
+  },
+  thread: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#E0E0E0',
+  },
+  threadText: {
+    flex: 1,
+  },
+  threadTitle: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#4A2C2A',
+  },
+  threadPreview: {
+    fontSize: 13,
+    color: '#8A7A78',
+    marginTop: 2,
+  },
+  badge: {
+    minWidth: 22,
+    height: 22,
+    borderRadius: 11,
+    paddingHorizontal: 6,
+    backgroundColor: '#4A2C2A',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginLeft: 8,
+  },
+  badgeText: {
+    color: 'white',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  archivedToggle: {
+    paddingVertical: 10,
+    alignItems: 'center',
+  },
+  archivedToggleText: {
+    color: '#8A7A78',
+    fontSize: 13,
+  },
+  titleInput: {
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: '#4A2C2A',
+    marginBottom: 12,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  optionText: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  optionLabel: {
+    fontSize: 15,
+    color: '#4A2C2A',
+  },
+  optionHint: {
+    fontSize: 12,
+    color: '#8A7A78',
+  },
+  participants: {
+    marginTop: 8,
+  },
+  sectionTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#8A7A78',
+    marginBottom: 4,
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 16,
+  },
+  button: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginHorizontal: 4,
+  },
+  cancelButton: {
+    backgroundColor: '#F0F0F0',
+  },
+  cancelButtonText: {
+    color: '#4A2C2A',
+    fontWeight: '600',
+  },
+  createButton: {
+    backgroundColor: '#4A2C2A',
+  },
+  createButtonText: {
+    color: 'white',
+    fontWeight: '600',
+  },
+});
+
+export default ThreadsPanel;
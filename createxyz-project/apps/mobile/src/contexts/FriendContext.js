@@ -2,6 +2,12 @@ import React, { createContext, useContext, useEffect, useState } from 'react';
 import FriendService from '../services/friends';
 import { useAuth } from '../utils/auth/useAuth';
 import { signalingService } from '../services/signaling';
+import { AmiXWebRTC } from '../services/webrtc';
+import { AmiXCalls } from '../services/calls';
+import { AmiXGroupCalls } from '../services/groupCalls';
+import { AmiXMessageQueue } from '../services/messageQueue';
+import { AmiXFileTransfer } from '../services/fileTransfer';
+import { AmiXDisappearing } from '../services/disappearing';
 
 const FriendContext = createContext();
 
@@ -122,8 +128,20 @@ export const FriendProvider = ({ children }) => {
       loadFriends();
       loadFriendRequests();
       
-      // Initialize signaling service
+      // Initialize signaling service, and the services that take peer
+      // connection and call signals from it
       signalingService.initialize(user.id);
+      AmiXWebRTC.initialize();
+      AmiXCalls.initialize();
+      AmiXGroupCalls.initialize();
+
+      // Send the outbox and drain the relay mailbox, and take direct file
+      // offers while no chat is open
+      AmiXMessageQueue.initialize();
+      AmiXFileTransfer.initialize();
+
+      // Expire disappearing messages whether or not their chat is opened
+      AmiXDisappearing.initialize();
       
       // Set up signaling event listeners
       const handleFriendRequest = (message) => {
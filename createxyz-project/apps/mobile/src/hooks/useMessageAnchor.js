@@ -0,0 +1,45 @@
+import { useState, useEffect, useRef } from 'react';
+
+const HIGHLIGHT_DURATION = 2000;
+const TOP_OFFSET = 80;
+
+// Scroll a message list to the message a search result points at and
+// highlight it for a moment. Each message wrapper reports its position
+// through onMessageLayout; the list skips scrollToEnd while shouldScrollToEnd
+// is false so the jump isn't undone by newly laid out content.
+export function useMessageAnchor(scrollViewRef, messageId) {
+  const [highlightedId, setHighlightedId] = useState(null);
+  const pending = useRef(messageId || null);
+  const jumped = useRef(false);
+  const timer = useRef(null);
+
+  useEffect(() => {
+    pending.current = messageId || null;
+    jumped.current = false;
+  }, [messageId]);
+
+  useEffect(() => () => clearTimeout(timer.current), []);
+
+  const onMessageLayout = id => (event) => {
+    if (id !== pending.current) return;
+
+    pending.current = null;
+    jumped.current = true;
+    scrollViewRef.current?.scrollTo({
+      y: Math.max(0, event.nativeEvent.layout.y - TOP_OFFSET),
+      animated: true,
+    });
+
+    setHighlightedId(id);
+    clearTimeout(timer.current);
+    timer.current = setTimeout(() => setHighlightedId(null), HIGHLIGHT_DURATION);
+  };
+
+  // Stay at the anchor until the user sends something
+  const shouldScrollToEnd = () => !pending.current && !jumped.current;
+  const releaseAnchor = () => {
+    jumped.current = false;
+  };
+
+  return { highlightedId, onMessageLayout, shouldScrollToEnd, releaseAnchor };
+}
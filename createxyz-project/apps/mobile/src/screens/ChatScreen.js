@@ -8,12 +8,16 @@ import {
   TouchableOpacity,
   KeyboardAvoidingView,
   Platform,
-  ActivityIndicator
+  ActivityIndicator,
+  Alert
 } from 'react-native';
 import { useNavigation, useRoute } from '@react-navigation/native';
 import { Ionicons } from '@expo/vector-icons';
 import ChatMessage from '../components/ChatMessage';
 import messageService from '../services/messageService';
+import { AmiXMessageQueue } from '../services/messageQueue';
+import { AmiXWebRTC } from '../services/webrtc';
+import { AmiXMessageEdits } from '../services/messageEdits';
 import authService from '../utils/authService';
 import SecurityLogger from '../utils/securityLogger';
 
@@ -23,6 +27,7 @@ const ChatScreen = () => {
   const [isSending, setIsSending] = useState(false);
   const [sessionKeys, setSessionKeys] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
+  const [editingMessage, setEditingMessage] = useState(null);
   const flatListRef = useRef(null);
   
   const route = useRoute();
@@ -66,9 +71,38 @@ const ChatScreen = () => {
 
     initializeChat();
 
+    // Receipts move our messages along: sent, delivered, read
+    const onStatusChanged = ({ messageId, status, receipts }) => {
+      messageService.updateMessageStatus(messageId, status);
+      setMessages(prev =>
+        prev.map(msg =>
+          msg.id === messageId
+            ? { ...msg, status, ...(receipts && { receipts }) }
+            : msg
+        )
+      );
+    };
+    AmiXWebRTC.on('messageStatusChanged', onStatusChanged);
+
+    // Edits and deletes, ours and the other side's; the new content is plaintext
+    const onMessageChanged = ({ conversationId, messageId, updates }) => {
+      if (conversationId !== recipient.id) return;
+      setMessages(prev =>
+        prev.map(msg =>
+          msg.id === messageId ? { ...msg, ...updates, encrypted: false } : msg
+        )
+      );
+    };
+    AmiXMessageEdits.initialize();
+    AmiXMessageEdits.on('messageChanged', onMessageChanged);
+
+    // Opening the conversation reads everything in it
+    AmiXMessageQueue.markConversationRead(recipient.id);
+
     // Clean up on unmount
     return () => {
-      // Clean up listeners
+      AmiXWebRTC.off('messageStatusChanged', onStatusChanged);
+      AmiXMessageEdits.off('messageChanged', onMessageChanged);
     };
   }, []);
 
@@ -92,7 +126,59 @@ const ChatScreen = () => {
     // This is a placeholder - implement your actual message listener setup
   };
 
+  // Long press on one of our messages
+  const handleMessageLongPress = (message) => {
+    if (!message.isOutgoing || message.deleted || message.status === 'sending') return;
+
+    Alert.alert('Message', null, [
+      {
+        text: 'Edit',
+        onPress: () => {
+          setEditingMessage(message);
+          setMessageText(message.content);
+        },
+      },
+      {
+        text: 'Delete for Everyone',
+        style: 'destructive',
+        onPress: () => deleteForEveryone(message),
+      },
+      { text: 'Cancel', style: 'cancel' },
+    ]);
+  };
+
+  const deleteForEveryone = async (message) => {
+    try {
+      await AmiXMessageEdits.deleteForEveryone(recipient.id, message.id);
+    } catch (error) {
+      Alert.alert('Error', 'This message can no longer be deleted for everyone.');
+    }
+  };
+
+  const cancelEditing = () => {
+    setEditingMessage(null);
+    setMessageText('');
+  };
+
+  const handleSaveEdit = async () => {
+    if (!messageText.trim() || isSending) return;
+
+    setIsSending(true);
+    try {
+      await AmiXMessageEdits.editMessage(recipient.id, editingMessage.id, messageText.trim());
+      cancelEditing();
+    } catch (error) {
+      Alert.alert('Error', 'This message can no longer be edited.');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
   const handleSendMessage = async () => {
+    if (editingMessage) {
+      await handleSaveEdit();
+      return;
+    }
     if (!messageText.trim() || !sessionKeys || isSending) return;
 
     setIsSending(true);
@@ -182,6 +268,8 @@ const ChatScreen = () => {
     <ChatMessage 
       message={item} 
       sessionKeys={sessionKeys}
+      readReceiptsEnabled={AmiXMessageQueue.readReceiptsEnabled}
+      onLongPress={handleMessageLongPress}
     />
   );
 
@@ -210,6 +298,16 @@ const ChatScreen = () => {
         onLayout={scrollToBottom}
       />
       
+      {editingMessage && (
+        <View style={styles.editingBar}>
+          <Ionicons name="create-outline" size={16} color="#007AFF" />
+          <Text style={styles.editingText}>Editing message</Text>
+          <TouchableOpacity onPress={cancelEditing}>
+            <Ionicons name="close" size={18} color="#666" />
+          </TouchableOpacity>
+        </View>
+      )}
+
       <View style={styles.inputContainer}>
         <TextInput
           style={styles.input}
@@ -226,7 +324,7 @@ const ChatScreen = () => {
           disabled={isSending || !messageText.trim()}
         >
           <Ionicons 
-            name="send" 
+            name={editingMessage ? 'checkmark' : 'send'} 
             size={24} 
             color={!messageText.trim() || isSending ? '#ccc' : '#007AFF'} 
           />
@@ -254,6 +352,21 @@ const styles = StyleSheet.create({
   messagesContainer: {
     padding: 16,
   },
+  editingBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+    backgroundColor: '#f9f9f9',
+  },
+  editingText: {
+    flex: 1,
+    marginLeft: 6,
+    color: '#007AFF',
+    fontSize: 13,
+  },
   inputContainer: {
     flexDirection: 'row',
     padding: 8,
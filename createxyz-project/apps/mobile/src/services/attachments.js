@@ -0,0 +1,266 @@
+import * as FileSystem from 'expo-file-system';
+import * as Crypto from 'expo-crypto';
+import { encodeBase64, decodeBase64 } from 'tweetnacl-util';
+import { AmiXCrypto } from '../utils/crypto';
+import { AmiXStorage } from '../utils/storage';
+import { AmiXMediaEncryption } from '../utils/mediaEncryption';
+import { AmiXMessageQueue } from './messageQueue';
+
+// AmiX Attachments - encrypted blob upload and download
+// Files are encrypted into chunks on the device and uploaded to the
+// attachment store, which only ever holds ciphertext. The attachment key,
+// the stream header and a digest over the chunk hashes travel inside the
+// end-to-end encrypted message as an attachment pointer:
+//   { id, key, header, digest, size, name, mimeType }
+// Uploads and downloads both resume from the last complete chunk.
+
+const ATTACHMENT_API = '/api/v1/attachments';
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export class AmiXAttachments {
+  // SHA-256 of raw bytes, hex encoded (what the server addresses chunks by)
+  static async sha256(bytes) {
+    const digest = await Crypto.digest(Crypto.CryptoDigestAlgorithm.SHA256, bytes);
+    return AmiXCrypto.bytesToHex(new Uint8Array(digest));
+  }
+
+  // Digest over the ordered chunk hashes: binds the pointer to exact ciphertext
+  static async digestChunks(chunks) {
+    return this.sha256(AmiXCrypto.hexToBytes(chunks.map(chunk => chunk.hash).join('')));
+  }
+
+  static async request(path, { method = 'GET', body } = {}) {
+    const response = await fetch(`${ATTACHMENT_API}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    if (!response.ok) {
+      throw new Error(`Attachment request failed with status ${response.status}`);
+    }
+
+    const result = await response.json();
+    return result.data;
+  }
+
+  static async readChunk(path) {
+    const data = await FileSystem.readAsStringAsync(path, {
+      encoding: FileSystem.EncodingType.Base64,
+    });
+    return decodeBase64(data);
+  }
+
+  /**
+   * Encrypt and upload a file
+   * @param {string} fileUri - Local file to send
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Called with 0..1
+   * @param {number} [options.ttl] - Requested lifetime on the server (ms)
+   * @returns {Promise<Object>} - Attachment pointer for the E2E message
+   */
+  static async upload(fileUri, { onProgress, ttl } = {}) {
+    // 1) Encrypt into chunk files; this is the first half of the progress
+    const stream = await AmiXMediaEncryption.createEncryptedStream(
+      fileUri,
+      null,
+      progress => onProgress?.(progress / 2)
+    );
+
+    const chunks = [];
+    for (const chunk of stream.chunks) {
+      chunks.push({
+        path: chunk.path,
+        size: chunk.size,
+        hash: await this.sha256(await this.readChunk(chunk.path)),
+      });
+    }
+
+    // 2) Open the upload session and remember it so it survives a restart
+    const session = await this.request('', {
+      method: 'POST',
+      body: { chunks: chunks.map(({ hash, size }) => ({ hash, size })) },
+    });
+
+    const uploads = await AmiXStorage.getPendingUploads();
+    uploads[session.id] = {
+      tempDir: stream.tempDir,
+      chunks,
+      ttl,
+      pointer: {
+        id: session.id,
+        key: encodeBase64(stream.fileKey),
+        header: encodeBase64(stream.header),
+        digest: await this.digestChunks(chunks),
+        size: session.size,
+        name: AmiXMediaEncryption.getFileName(fileUri),
+        mimeType: AmiXMediaEncryption.getMimeType(fileUri),
+      },
+    };
+    await AmiXStorage.storePendingUploads(uploads);
+
+    return this.resumeUpload(session.id, onProgress && (progress => onProgress(0.5 + progress / 2)));
+  }
+
+  // Continue an upload from wherever the server says it stopped
+  static async resumeUpload(attachmentId, onProgress) {
+    const uploads = await AmiXStorage.getPendingUploads();
+    const upload = uploads[attachmentId];
+    if (!upload) {
+      throw new Error('Unknown attachment upload');
+    }
+
+    let { nextChunk } = await this.request(`/${attachmentId}/upload`);
+
+    while (nextChunk < upload.chunks.length) {
+      const response = await fetch(`${ATTACHMENT_API}/${attachmentId}/chunks/${nextChunk}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/octet-stream',
+        },
+        body: await this.readChunk(upload.chunks[nextChunk].path),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Chunk upload failed with status ${response.status}`);
+      }
+
+      // The server may skip ahead over chunks it already stores
+      ({ nextChunk } = (await response.json()).data);
+      onProgress?.(nextChunk / upload.chunks.length);
+    }
+
+    await this.request(`/${attachmentId}/complete`, {
+      method: 'POST',
+      body: { ttl: upload.ttl },
+    });
+
+    delete uploads[attachmentId];
+    await AmiXStorage.storePendingUploads(uploads);
+    await AmiXMediaEncryption.cleanupTempFiles(upload.tempDir);
+
+    return upload.pointer;
+  }
+
+  // Retry every upload interrupted by a crash or lost connection
+  static async resumePendingUploads() {
+    const uploads = await AmiXStorage.getPendingUploads();
+    const pointers = [];
+
+    for (const attachmentId of Object.keys(uploads)) {
+      try {
+        pointers.push(await this.resumeUpload(attachmentId));
+      } catch (error) {
+        console.error('Failed to resume attachment upload:', error);
+      }
+    }
+    return pointers;
+  }
+
+  /**
+   * Upload a file and queue a message carrying its pointer
+   * @returns {Promise<string>} - Outbox message ID
+   */
+  static async sendAttachment(recipientId, fileUri, { caption = '', onProgress, ttl } = {}) {
+    const attachment = await this.upload(fileUri, { onProgress, ttl });
+
+    return AmiXMessageQueue.addToOutbox({
+      recipientId,
+      content: JSON.stringify({ type: 'attachment', text: caption, attachment }),
+    });
+  }
+
+  // Attachment and transfer IDs are UUIDs; they name cache directories
+  static isValidId(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id);
+  }
+
+  // Downloads decrypt into a cache directory per attachment, which the
+  // disappearing-message sweep deletes with the message
+  static outputDir(pointer) {
+    const id = pointer.transport === 'p2p' ? pointer.transferId : pointer.id;
+    if (!this.isValidId(id)) {
+      throw new Error('Invalid attachment ID');
+    }
+    return `${FileSystem.cacheDirectory}amix_files_${id}/`;
+  }
+
+  static async prepareOutputPath(pointer) {
+    const name = (pointer.name || '').replace(/[^\w.-]/g, '_').replace(/^\.+/, '') || 'file';
+    await FileSystem.makeDirectoryAsync(this.outputDir(pointer), { intermediates: true });
+    return `${this.outputDir(pointer)}${name}`;
+  }
+
+  /**
+   * Download and decrypt an attachment. Chunks already on disk from an
+   * earlier attempt are kept, so an interrupted download resumes.
+   * @param {Object} pointer - Attachment pointer from the E2E message
+   * @param {string} [outputPath] - Where to write the plaintext; by default a
+   *   cache file that expires with a disappearing message. Anywhere else is
+   *   the caller's to delete.
+   * @param {Function} [onProgress] - Called with 0..1
+   * @returns {Promise<string>} - outputPath
+   */
+  static async download(pointer, outputPath, onProgress) {
+    // 1) The chunk list must be the one the sender uploaded
+    const { chunks } = await this.request(`/${pointer.id}`);
+    if (await this.digestChunks(chunks) !== pointer.digest) {
+      throw new Error('Attachment digest mismatch');
+    }
+
+    const tempDir = `${FileSystem.cacheDirectory}amix_attachment_${pointer.id}/`;
+    await FileSystem.makeDirectoryAsync(tempDir, { intermediates: true });
+
+    // 2) Fetch each missing chunk by byte range and check its hash
+    const stored = [];
+    let offset = 0;
+    for (let index = 0; index < chunks.length; index++) {
+      const { hash, size } = chunks[index];
+      const path = `${tempDir}chunk_${index}.enc`;
+
+      const existing = await FileSystem.getInfoAsync(path);
+      if (!existing.exists || existing.size !== size) {
+        const response = await fetch(`${ATTACHMENT_API}/${pointer.id}/content`, {
+          method: 'GET',
+          headers: {
+            Range: `bytes=${offset}-${offset + size - 1}`,
+          },
+        });
+
+        if (!response.ok) {
+          throw new Error(`Attachment download failed with status ${response.status}`);
+        }
+
+        const data = new Uint8Array(await response.arrayBuffer());
+        if (await this.sha256(data) !== hash) {
+          throw new Error('Attachment chunk hash mismatch');
+        }
+
+        await FileSystem.writeAsStringAsync(path, encodeBase64(data), {
+          encoding: FileSystem.EncodingType.Base64,
+        });
+      }
+
+      stored.push({ index, path, size });
+      offset += size;
+      onProgress?.((index + 1) / chunks.length / 2);
+    }
+
+    // 3) Decrypt with the key from the message; this removes the chunk files
+    return AmiXMediaEncryption.decryptStream(
+      {
+        header: decodeBase64(pointer.header),
+        chunks: stored,
+        fileKey: decodeBase64(pointer.key),
+        tempDir,
+      },
+      null,
+      outputPath || await this.prepareOutputPath(pointer),
+      onProgress && (progress => onProgress(0.5 + progress / 2))
+    );
+  }
+}
+
+export default AmiXAttachments;
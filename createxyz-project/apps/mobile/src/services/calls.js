@@ -1,17 +1,44 @@
+import { encodeBase64, decodeBase64 } from 'tweetnacl-util';
 import { AmiXWebRTC } from './webrtc';
+import { AmiXDevices } from './devices';
+import { AmiXNotifications } from './notifications';
 import { AmiXCrypto } from '../utils/crypto';
 import { AmiXStorage } from '../utils/storage';
-import { AmiXMediaEncryption } from '../utils/mediaEncryption';
+import { AmiXSFrame } from '../utils/sframe';
+import { AmiXCallQuality, QUALITY_CONFIG } from '../utils/callQuality';
 import { AmiXAnalytics } from '../utils/analytics';
+import { signalingService } from './signaling';
 
 // AmiX Voice & Video Calls - Production-grade implementation
-// Implements WebRTC SRTP with app-level E2E encryption
+// WebRTC SRTP underneath, with every encoded audio/video frame also
+// encrypted end to end (SFrame) in an encoded transform on the RTP tracks.
+// Each side picks a random media key per call and sends it inside the call
+// signaling, which goes over the end-to-end session with the peer.
+//
+// Every call moves through CALL_STATES along CALL_TRANSITIONS:
+//   idle -> ringing -> connecting -> connected <-> reconnecting
+// and ends in disconnected, busy or failed. Calls that end without being
+// answered are kept in the call history as missed, declined or failed.
 
 export class AmiXCalls {
   static activeCalls = new Map();
   static callHistory = [];
+  static eventListeners = new Map();
   static maxCallDuration = 60 * 60 * 1000; // 1 hour max
   static callQualityLevels = ['low', 'medium', 'high', 'ultra'];
+  static FRAME_KEY_RATCHET_INTERVAL = 60 * 1000; // Ratchet our media key every minute
+  static RING_TIMEOUT = 45 * 1000; // Unanswered calls ring this long
+  static CONNECT_TIMEOUT = 30 * 1000; // From answering to media flowing
+  static ICE_DISCONNECT_GRACE = 3 * 1000; // Let ICE recover on its own before restarting it
+  static MAX_ICE_RESTARTS = 3;
+  static signalingHandlers = null;
+  static cleanupTimer = null;
+
+  // SFrame sender indexes
+  static SFRAME_SENDERS = {
+    CALLER: 0,
+    CALLEE: 1,
+  };
 
   // Call states
   static CALL_STATES = {
@@ -19,11 +46,39 @@ export class AmiXCalls {
     RINGING: 'ringing',
     CONNECTING: 'connecting',
     CONNECTED: 'connected',
+    RECONNECTING: 'reconnecting',
     DISCONNECTED: 'disconnected',
     FAILED: 'failed',
     BUSY: 'busy',
   };
 
+  // Where each state may go next; disconnected, failed and busy are final
+  static CALL_TRANSITIONS = {
+    [this.CALL_STATES.IDLE]: [this.CALL_STATES.RINGING, this.CALL_STATES.DISCONNECTED, this.CALL_STATES.FAILED],
+    [this.CALL_STATES.RINGING]: [
+      this.CALL_STATES.CONNECTING,
+      this.CALL_STATES.BUSY,
+      this.CALL_STATES.DISCONNECTED,
+      this.CALL_STATES.FAILED,
+    ],
+    [this.CALL_STATES.CONNECTING]: [this.CALL_STATES.CONNECTED, this.CALL_STATES.DISCONNECTED, this.CALL_STATES.FAILED],
+    [this.CALL_STATES.CONNECTED]: [this.CALL_STATES.RECONNECTING, this.CALL_STATES.DISCONNECTED, this.CALL_STATES.FAILED],
+    [this.CALL_STATES.RECONNECTING]: [this.CALL_STATES.CONNECTED, this.CALL_STATES.DISCONNECTED, this.CALL_STATES.FAILED],
+    [this.CALL_STATES.DISCONNECTED]: [],
+    [this.CALL_STATES.FAILED]: [],
+    [this.CALL_STATES.BUSY]: [],
+  };
+
+  // How a call ended, as kept in the call history
+  static CALL_OUTCOMES = {
+    COMPLETED: 'completed',
+    MISSED: 'missed',
+    DECLINED: 'declined',
+    BUSY: 'busy',
+    CANCELLED: 'cancelled',
+    FAILED: 'failed',
+  };
+
   // Call types
   static CALL_TYPES = {
     AUDIO: 'audio',
@@ -35,9 +90,39 @@ export class AmiXCalls {
     try {
       // Load call history
       await this.loadCallHistory();
-      
+
+      // Runs again when the signed-in user changes; listen only once
+      if (this.signalingHandlers) return true;
+
+      // Call signaling from peers
+      const handlers = {
+        'call-invitation': message => this.handleCallInvitation(message.from, message.data),
+        'call-acceptance': message => this.handleCallAcceptance(message.from, message.data),
+        'call-rejection': message => this.handleCallRejection(message.from, message.data),
+        'call-update': message => this.handleCallUpdate(message.from, message.data),
+        'call-end': message => this.handleCallEnd(message.from, message.data),
+      };
+      this.signalingHandlers = Object.fromEntries(Object.entries(handlers).map(([type, handler]) => [
+        type,
+        (message) => {
+          handler(message).catch((error) => {
+            console.error(`Failed to handle ${type}:`, error);
+          });
+        },
+      ]));
+
+      // The signaling socket coming back usually means the network changed
+      // under us, and ICE needs new candidates for the calls in progress
+      this.signalingHandlers.connected = () => {
+        this.handleNetworkChange();
+      };
+
+      Object.entries(this.signalingHandlers).forEach(([type, handler]) => {
+        signalingService.on(type, handler);
+      });
+
       // Set up call cleanup
-      setInterval(() => {
+      this.cleanupTimer = setInterval(() => {
         this.cleanupExpiredCalls();
       }, 30000); // Every 30 seconds
 
@@ -48,20 +133,191 @@ export class AmiXCalls {
     }
   }
 
+  static on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(callback);
+  }
+
+  static off(event, callback) {
+    const listeners = this.eventListeners.get(event);
+    if (listeners) {
+      this.eventListeners.set(event, listeners.filter(listener => listener !== callback));
+    }
+  }
+
+  static emit(event, data) {
+    const listeners = this.eventListeners.get(event);
+    if (listeners) {
+      listeners.forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error('Event listener error:', error);
+        }
+      });
+    }
+  }
+
+  // --- State machine ---
+
+  static transition(callSession, nextState) {
+    const previousState = callSession.state;
+    if (!this.CALL_TRANSITIONS[previousState]?.includes(nextState)) {
+      throw new Error(`Invalid call transition: ${previousState} -> ${nextState}`);
+    }
+
+    callSession.state = nextState;
+    if (nextState === this.CALL_STATES.CONNECTED && !callSession.connectedAt) {
+      callSession.connectedAt = Date.now();
+    }
+
+    this.emit('callStateChanged', {
+      callId: callSession.callId,
+      previousState,
+      state: nextState,
+    });
+  }
+
+  static isFinished(callSession) {
+    return this.CALL_TRANSITIONS[callSession.state].length === 0;
+  }
+
+  static clearCallTimers(callSession) {
+    Object.values(callSession.timers).forEach(timer => clearTimeout(timer));
+    callSession.timers = {};
+  }
+
+  /**
+   * Tear a call down and record how it ended
+   * @param {Object} callSession - The call
+   * @param {string} finalState - DISCONNECTED, BUSY or FAILED
+   * @param {string} reason - End reason, sent to the peer and kept in history
+   * @param {Object} [options]
+   * @param {string} [options.outcome] - One of CALL_OUTCOMES
+   * @param {boolean} [options.signal] - Tell the peer the call is over
+   * @param {boolean} [options.record] - Keep the call in the history
+   */
+  static async finishCall(callSession, finalState, reason, { outcome, signal = true, record = true } = {}) {
+    if (this.isFinished(callSession)) return;
+
+    this.clearCallTimers(callSession);
+    this.stopQualityMonitor(callSession);
+    this.transition(callSession, finalState);
+    callSession.endedAt = Date.now();
+    callSession.endReason = reason;
+    callSession.outcome = outcome || (callSession.connectedAt ? this.CALL_OUTCOMES.COMPLETED : this.CALL_OUTCOMES.FAILED);
+
+    // Close peer connection
+    if (callSession.peerConnection) {
+      callSession.peerConnection.close();
+    }
+
+    // Stop media streams
+    await this.stopMediaStreams(callSession);
+
+    // Forget this call's media keys
+    this.teardownFrameEncryption(callSession);
+    callSession.invitation = null;
+
+    this.activeCalls.delete(callSession.callId);
+
+    if (signal) {
+      await this.sendCallEnd(callSession.recipientId, callSession.callId, reason).catch((error) => {
+        console.error('Failed to send call end:', error);
+      });
+    }
+
+    if (record) {
+      await this.saveCallToHistory(callSession);
+      await this.notifyCallOutcome(callSession);
+    }
+
+    await AmiXAnalytics.trackEvent('call_ended', {
+      callType: callSession.callType,
+      duration: callSession.connectedAt ? callSession.endedAt - callSession.connectedAt : 0,
+      outcome: callSession.outcome,
+      reason,
+    });
+
+    this.emit('callEnded', {
+      callId: callSession.callId,
+      state: finalState,
+      outcome: callSession.outcome,
+      reason,
+    });
+  }
+
+  static startRingTimer(callSession) {
+    callSession.timers.ring = setTimeout(() => {
+      if (callSession.state !== this.CALL_STATES.RINGING) return;
+
+      const reason = callSession.direction === 'outgoing' ? 'no_answer' : 'timeout';
+      this.finishCall(callSession, this.CALL_STATES.DISCONNECTED, reason, {
+        outcome: this.CALL_OUTCOMES.MISSED,
+      }).catch((error) => {
+        console.error('Failed to end unanswered call:', error);
+      });
+    }, this.RING_TIMEOUT);
+  }
+
+  static startConnectTimer(callSession) {
+    callSession.timers.connect = setTimeout(() => {
+      if (callSession.state !== this.CALL_STATES.CONNECTING) return;
+
+      this.finishCall(callSession, this.CALL_STATES.FAILED, 'connect_timeout', {
+        outcome: this.CALL_OUTCOMES.FAILED,
+      }).catch((error) => {
+        console.error('Failed to end call that never connected:', error);
+      });
+    }, this.CONNECT_TIMEOUT);
+  }
+
+  // Our own outgoing call to this peer that hasn't been answered yet
+  static findRingingOutgoingCall(peerId) {
+    for (const callSession of this.activeCalls.values()) {
+      if (callSession.recipientId === peerId &&
+          callSession.direction === 'outgoing' &&
+          callSession.state === this.CALL_STATES.RINGING) {
+        return callSession;
+      }
+    }
+    return null;
+  }
+
+  // A call from this peer that is still in progress
+  static getPeerCall(callId, peerId) {
+    const callSession = this.activeCalls.get(callId);
+    return callSession && callSession.recipientId === peerId ? callSession : null;
+  }
+
   // Initiate a call
-  static async initiateCall(recipientId, callType = 'audio', options = {}) {
-    try {
-      const callId = await AmiXCrypto.generateSecureUUID();
-      const callSession = await this.createCallSession(callId, recipientId, callType, 'outgoing');
+  static async initiateCall(recipientId, callType = 'audio') {
+    if (this.isInCall()) {
+      throw new Error('Call initiation failed: already in a call');
+    }
 
-      // Store call session
-      this.activeCalls.set(callId, callSession);
+    const callId = await AmiXCrypto.generateSecureUUID();
+    const callSession = await this.createCallSession(callId, recipientId, callType, 'outgoing');
+
+    // Store call session
+    this.activeCalls.set(callId, callSession);
+
+    try {
+      // Our media key; the callee learns it from the invitation
+      const mediaKey = await AmiXCrypto.generateRandomBytes(32);
+      const encodedMediaKey = encodeBase64(mediaKey);
+      await this.setupFrameEncryption(callSession, mediaKey, this.SFRAME_SENDERS.CALLER);
 
       // Create WebRTC peer connection
-      const peerConnection = await AmiXWebRTC.createPeerConnection(recipientId);
-      
+      const peerConnection = await AmiXWebRTC.createPeerConnection(recipientId, { frameEncryption: true });
+      callSession.peerConnection = peerConnection;
+      this.attachReceiverTransforms(peerConnection, callSession);
+      this.watchConnection(callSession);
+
       // Set up media streams
-      await this.setupMediaStreams(peerConnection, callType, options);
+      callSession.localStream = await this.setupMediaStreams(peerConnection, callType, callSession);
 
       // Create call offer
       const offer = await peerConnection.createOffer({
@@ -76,11 +332,14 @@ export class AmiXCalls {
         callId,
         offer: offer.sdp,
         callType,
+        mediaKey: encodedMediaKey,
         timestamp: Date.now(),
       }, recipientId);
 
-      // Send call invitation
+      // Send call invitation and ring until answered or timed out
       await this.sendCallInvitation(recipientId, signalingData);
+      this.transition(callSession, this.CALL_STATES.RINGING);
+      this.startRingTimer(callSession);
 
       // Start call timer
       this.startCallTimer(callId);
@@ -93,31 +352,121 @@ export class AmiXCalls {
 
       return {
         callId,
-        status: this.CALL_STATES.CONNECTING,
+        status: this.CALL_STATES.RINGING,
         peerConnection,
       };
     } catch (error) {
+      await this.finishCall(callSession, this.CALL_STATES.FAILED, 'setup_failed', {
+        outcome: this.CALL_OUTCOMES.FAILED,
+      });
       throw new Error(`Call initiation failed: ${error.message}`);
     }
   }
 
+  // Someone is calling us
+  static async handleCallInvitation(senderId, signalingData) {
+    const invitation = await this.decryptSignalingData(signalingData, senderId);
+    const { callId, callType, offer, mediaKey, timestamp } = invitation;
+
+    if (!callId || !offer || !mediaKey) {
+      throw new Error('Malformed call invitation');
+    }
+
+    // Delivered twice, or an invitation we already answered
+    if (this.activeCalls.has(callId)) return;
+
+    const callSession = await this.createCallSession(callId, senderId, callType, 'incoming');
+    callSession.createdAt = timestamp || callSession.createdAt;
+
+    // Queued while we were offline: it stopped ringing long ago
+    if (Date.now() - callSession.createdAt > this.RING_TIMEOUT) {
+      return this.recordUnansweredCall(callSession, 'timeout');
+    }
+
+    // Glare: we called each other at the same moment. Both sides keep the
+    // call with the lower ID, so exactly one of the two goes ahead.
+    const ownCall = this.findRingingOutgoingCall(senderId);
+    if (ownCall) {
+      if (ownCall.callId < callId) return;
+
+      await this.finishCall(ownCall, this.CALL_STATES.DISCONNECTED, 'glare', { signal: false, record: false });
+    } else if (this.isInCall()) {
+      await this.sendCallRejection(senderId, await this.encryptSignalingData({
+        callId,
+        reason: 'busy',
+        timestamp: Date.now(),
+      }, senderId));
+      return this.recordUnansweredCall(callSession, 'busy');
+    }
+
+    callSession.invitation = invitation;
+    this.activeCalls.set(callId, callSession);
+    this.transition(callSession, this.CALL_STATES.RINGING);
+    this.startRingTimer(callSession);
+
+    await AmiXNotifications.sendNotification(AmiXNotifications.NOTIFICATION_TYPES.CALL, {
+      senderId,
+      callId,
+      callType,
+      event: 'incoming',
+    }, {
+      priority: AmiXNotifications.PRIORITIES.URGENT,
+      groupable: false,
+    });
+
+    this.emit('incomingCall', {
+      callId,
+      senderId,
+      callType,
+      // We were calling them too; the UI may answer straight away
+      glare: Boolean(ownCall),
+    });
+  }
+
+  // A call that rang out or was turned away without ever being active
+  static async recordUnansweredCall(callSession, reason) {
+    callSession.state = this.CALL_STATES.DISCONNECTED;
+    callSession.endedAt = Date.now();
+    callSession.endReason = reason;
+    callSession.outcome = this.CALL_OUTCOMES.MISSED;
+
+    await this.saveCallToHistory(callSession);
+    await this.notifyCallOutcome(callSession);
+  }
+
   // Accept incoming call
-  static async acceptCall(callId, signalingData, recipientKeys) {
-    try {
-      // Decrypt signaling data
-      const decryptedData = await this.decryptSignalingData(signalingData, recipientKeys);
-      
-      const { offer, callType, timestamp } = decryptedData;
+  static async acceptCall(callId) {
+    const callSession = this.activeCalls.get(callId);
+    if (!callSession || callSession.direction !== 'incoming' || callSession.state !== this.CALL_STATES.RINGING) {
+      throw new Error('Call acceptance failed: no ringing call');
+    }
 
-      // Create call session
-      const callSession = await this.createCallSession(callId, decryptedData.senderId, callType, 'incoming');
-      this.activeCalls.set(callId, callSession);
+    const senderId = callSession.recipientId;
+    const { offer, callType, mediaKey } = callSession.invitation;
+    callSession.invitation = null;
+
+    try {
+      this.clearCallTimers(callSession);
+      this.transition(callSession, this.CALL_STATES.CONNECTING);
+
+      // Our media key goes back in the answer; the caller's decrypts their frames
+      const ourMediaKey = await AmiXCrypto.generateRandomBytes(32);
+      const encodedMediaKey = encodeBase64(ourMediaKey);
+      await this.setupFrameEncryption(callSession, ourMediaKey, this.SFRAME_SENDERS.CALLEE);
+      await AmiXSFrame.addReceiverKey(
+        callSession.frameEncryption.receiver,
+        this.SFRAME_SENDERS.CALLER,
+        decodeBase64(mediaKey)
+      );
 
       // Create WebRTC peer connection
-      const peerConnection = await AmiXWebRTC.createPeerConnection(decryptedData.senderId);
-      
+      const peerConnection = await AmiXWebRTC.createPeerConnection(senderId, { frameEncryption: true });
+      callSession.peerConnection = peerConnection;
+      this.attachReceiverTransforms(peerConnection, callSession);
+      this.watchConnection(callSession);
+
       // Set up media streams
-      await this.setupMediaStreams(peerConnection, callType);
+      callSession.localStream = await this.setupMediaStreams(peerConnection, callType, callSession);
 
       // Set remote description (offer)
       await peerConnection.setRemoteDescription(new RTCSessionDescription({ type: 'offer', sdp: offer }));
@@ -130,15 +479,13 @@ export class AmiXCalls {
       const encryptedAnswer = await this.encryptSignalingData({
         callId,
         answer: answer.sdp,
+        mediaKey: encodedMediaKey,
         timestamp: Date.now(),
-      }, decryptedData.senderId);
+      }, senderId);
 
-      // Send call acceptance
-      await this.sendCallAcceptance(decryptedData.senderId, encryptedAnswer);
-
-      // Update call state
-      callSession.state = this.CALL_STATES.CONNECTED;
-      callSession.connectedAt = Date.now();
+      // Send call acceptance; connected once ICE is
+      await this.sendCallAcceptance(senderId, encryptedAnswer);
+      this.startConnectTimer(callSession);
 
       // Start call timer
       this.startCallTimer(callId);
@@ -146,41 +493,124 @@ export class AmiXCalls {
       // Track analytics
       await AmiXAnalytics.trackEvent('call_accepted', {
         callType,
-        senderId: decryptedData.senderId,
+        senderId,
       });
 
       return {
         callId,
-        status: this.CALL_STATES.CONNECTED,
+        status: this.CALL_STATES.CONNECTING,
         peerConnection,
       };
     } catch (error) {
+      await this.finishCall(callSession, this.CALL_STATES.FAILED, 'setup_failed', {
+        outcome: this.CALL_OUTCOMES.FAILED,
+      });
       throw new Error(`Call acceptance failed: ${error.message}`);
     }
   }
 
+  // The callee answered one of our invitations
+  static async handleCallAcceptance(senderId, signalingData) {
+    const { callId, answer, mediaKey } = await this.decryptSignalingData(signalingData, senderId);
+
+    const callSession = this.getPeerCall(callId, senderId);
+    if (!callSession || callSession.state !== this.CALL_STATES.RINGING) {
+      throw new Error('Call not found');
+    }
+
+    try {
+      if (!mediaKey) {
+        throw new Error('Call answer carries no media key');
+      }
+
+      this.clearCallTimers(callSession);
+      this.transition(callSession, this.CALL_STATES.CONNECTING);
+
+      await AmiXSFrame.addReceiverKey(
+        callSession.frameEncryption.receiver,
+        this.SFRAME_SENDERS.CALLEE,
+        decodeBase64(mediaKey)
+      );
+      await callSession.peerConnection.setRemoteDescription(
+        new RTCSessionDescription({ type: 'answer', sdp: answer })
+      );
+
+      this.startConnectTimer(callSession);
+    } catch (error) {
+      await this.finishCall(callSession, this.CALL_STATES.FAILED, 'setup_failed', {
+        outcome: this.CALL_OUTCOMES.FAILED,
+      });
+      throw error;
+    }
+  }
+
   // Reject incoming call
-  static async rejectCall(callId, signalingData, recipientKeys, reason = 'user_rejected') {
+  static async rejectCall(callId, reason = 'user_rejected') {
+    const callSession = this.activeCalls.get(callId);
+    if (!callSession || callSession.direction !== 'incoming' || callSession.state !== this.CALL_STATES.RINGING) {
+      return false;
+    }
+
     try {
-      const decryptedData = await this.decryptSignalingData(signalingData, recipientKeys);
-      
       // Send rejection
       const rejectionData = await this.encryptSignalingData({
         callId,
         reason,
         timestamp: Date.now(),
-      }, decryptedData.senderId);
+      }, callSession.recipientId);
 
-      await this.sendCallRejection(decryptedData.senderId, rejectionData);
+      await this.sendCallRejection(callSession.recipientId, rejectionData);
 
       // Track analytics
       await AmiXAnalytics.trackEvent('call_rejected', {
         reason,
-        senderId: decryptedData.senderId,
+        senderId: callSession.recipientId,
       });
     } catch (error) {
       console.error('Call rejection failed:', error);
     }
+
+    await this.finishCall(callSession, this.CALL_STATES.DISCONNECTED, reason, {
+      outcome: this.CALL_OUTCOMES.DECLINED,
+      signal: false,
+    });
+    return true;
+  }
+
+  // The callee declined our call, or was already in another one
+  static async handleCallRejection(senderId, signalingData) {
+    const { callId, reason } = await this.decryptSignalingData(signalingData, senderId);
+
+    const callSession = this.getPeerCall(callId, senderId);
+    if (!callSession || callSession.state !== this.CALL_STATES.RINGING) return;
+
+    if (reason === 'busy') {
+      await this.finishCall(callSession, this.CALL_STATES.BUSY, reason, {
+        outcome: this.CALL_OUTCOMES.BUSY,
+        signal: false,
+      });
+    } else {
+      await this.finishCall(callSession, this.CALL_STATES.DISCONNECTED, reason || 'declined', {
+        outcome: this.CALL_OUTCOMES.DECLINED,
+        signal: false,
+      });
+    }
+  }
+
+  // The peer hung up, or stopped calling before we answered
+  static async handleCallEnd(senderId, data) {
+    const callSession = this.getPeerCall(data?.callId, senderId);
+    if (!callSession) return;
+
+    let outcome = callSession.connectedAt ? this.CALL_OUTCOMES.COMPLETED : this.CALL_OUTCOMES.CANCELLED;
+    if (callSession.state === this.CALL_STATES.RINGING) {
+      outcome = callSession.direction === 'incoming' ? this.CALL_OUTCOMES.MISSED : this.CALL_OUTCOMES.DECLINED;
+    }
+
+    await this.finishCall(callSession, this.CALL_STATES.DISCONNECTED, data.reason || 'remote_ended', {
+      outcome,
+      signal: false,
+    });
   }
 
   // End active call
@@ -191,43 +621,191 @@ export class AmiXCalls {
         throw new Error('Call not found');
       }
 
-      // Update call state
-      callSession.state = this.CALL_STATES.DISCONNECTED;
-      callSession.endedAt = Date.now();
-      callSession.endReason = reason;
+      // Hanging up before the callee answered cancels the call
+      const outcome = callSession.connectedAt ? this.CALL_OUTCOMES.COMPLETED : this.CALL_OUTCOMES.CANCELLED;
+      await this.finishCall(callSession, this.CALL_STATES.DISCONNECTED, reason, { outcome });
 
-      // Close peer connection
-      if (callSession.peerConnection) {
-        callSession.peerConnection.close();
-      }
+      return true;
+    } catch (error) {
+      throw new Error(`Call ending failed: ${error.message}`);
+    }
+  }
 
-      // Stop media streams
-      await this.stopMediaStreams(callSession);
+  // --- Renegotiation and ICE restarts ---
 
-      // Send call end signal
-      await this.sendCallEnd(callSession.recipientId, callId, reason);
+  // Follow ICE: connected once media flows, and restart it when the path breaks
+  static watchConnection(callSession) {
+    callSession.peerConnection.addEventListener('iceconnectionstatechange', () => {
+      this.handleIceStateChange(callSession).catch((error) => {
+        console.error('Failed to handle ICE state change:', error);
+      });
+    });
+  }
 
-      // Save to call history
-      await this.saveCallToHistory(callSession);
+  static async handleIceStateChange(callSession) {
+    if (this.isFinished(callSession)) return;
+
+    const { peerConnection, timers } = callSession;
+    switch (peerConnection.iceConnectionState) {
+      case 'connected':
+      case 'completed':
+        clearTimeout(timers.connect);
+        clearTimeout(timers.ice);
+        callSession.iceRestarts = 0;
+        if (callSession.state === this.CALL_STATES.CONNECTING ||
+            callSession.state === this.CALL_STATES.RECONNECTING) {
+          this.transition(callSession, this.CALL_STATES.CONNECTED);
+        }
+        this.startQualityMonitor(callSession);
+        break;
 
-      // Remove from active calls
-      this.activeCalls.delete(callId);
+      case 'disconnected':
+        // Often recovers by itself (a brief Wi-Fi drop); restart if it doesn't
+        if (callSession.state === this.CALL_STATES.CONNECTED) {
+          this.transition(callSession, this.CALL_STATES.RECONNECTING);
+        }
+        clearTimeout(timers.ice);
+        timers.ice = setTimeout(() => {
+          if (peerConnection.iceConnectionState === 'disconnected') {
+            this.restartIce(callSession).catch((error) => {
+              console.error('ICE restart failed:', error);
+            });
+          }
+        }, this.ICE_DISCONNECT_GRACE);
+        break;
 
-      // Track analytics
-      await AmiXAnalytics.trackEvent('call_ended', {
-        callType: callSession.callType,
-        duration: callSession.endedAt - callSession.connectedAt,
-        reason,
+      case 'failed':
+        if (callSession.state === this.CALL_STATES.CONNECTED) {
+          this.transition(callSession, this.CALL_STATES.RECONNECTING);
+        }
+        await this.restartIce(callSession);
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  static async restartIce(callSession) {
+    if (this.isFinished(callSession) || !callSession.peerConnection) return;
+
+    if (callSession.iceRestarts >= this.MAX_ICE_RESTARTS) {
+      await this.finishCall(callSession, this.CALL_STATES.FAILED, 'connection_lost', {
+        outcome: this.CALL_OUTCOMES.FAILED,
       });
+      return;
+    }
 
-      return true;
-    } catch (error) {
-      throw new Error(`Call ending failed: ${error.message}`);
+    callSession.iceRestarts += 1;
+    await this.renegotiate(callSession, { iceRestart: true });
+  }
+
+  // Restart ICE on every call that was up when the network changed
+  static handleNetworkChange() {
+    for (const callSession of this.activeCalls.values()) {
+      if (callSession.state === this.CALL_STATES.CONNECTED ||
+          callSession.state === this.CALL_STATES.RECONNECTING) {
+        this.restartIce(callSession).catch((error) => {
+          console.error('ICE restart failed:', error);
+        });
+      }
     }
   }
 
+  // Send a new offer to the peer over the call's encrypted signaling
+  static async renegotiate(callSession, offerOptions = {}) {
+    const { peerConnection } = callSession;
+
+    callSession.makingOffer = true;
+    callSession.lastOfferOptions = offerOptions;
+    try {
+      const offer = await peerConnection.createOffer(offerOptions);
+      await peerConnection.setLocalDescription(offer);
+      await this.sendCallUpdate(callSession, { offer: offer.sdp, callType: callSession.callType });
+    } finally {
+      callSession.makingOffer = false;
+    }
+  }
+
+  /**
+   * Offers and answers after the call is set up: ICE restarts and media
+   * changes. When both ends offer at once the callee is polite and drops
+   * its own offer, then makes it again on top of the caller's.
+   */
+  static async handleCallUpdate(senderId, signalingData) {
+    const update = await this.decryptSignalingData(signalingData, senderId);
+
+    const callSession = this.getPeerCall(update.callId, senderId);
+    if (!callSession?.peerConnection || this.isFinished(callSession)) return;
+
+    const { peerConnection } = callSession;
+
+    if (update.answer) {
+      if (peerConnection.signalingState === 'have-local-offer') {
+        await peerConnection.setRemoteDescription(new RTCSessionDescription({ type: 'answer', sdp: update.answer }));
+      }
+      return;
+    }
+
+    if (!update.offer) return;
+
+    const collision = callSession.makingOffer || peerConnection.signalingState !== 'stable';
+    const polite = callSession.direction === 'incoming';
+    if (collision && !polite) return;
+
+    if (collision) {
+      await peerConnection.setLocalDescription({ type: 'rollback' });
+    }
+    await peerConnection.setRemoteDescription(new RTCSessionDescription({ type: 'offer', sdp: update.offer }));
+
+    const answer = await peerConnection.createAnswer();
+    await peerConnection.setLocalDescription(answer);
+    await this.sendCallUpdate(callSession, { answer: answer.sdp });
+
+    if (update.callType === this.CALL_TYPES.VIDEO && callSession.callType !== this.CALL_TYPES.VIDEO) {
+      callSession.callType = this.CALL_TYPES.VIDEO;
+      this.emit('callUpdated', { callId: callSession.callId, callType: callSession.callType });
+    }
+
+    // Our own offer lost the collision; make it again now things are stable
+    if (collision) {
+      await this.renegotiate(callSession, callSession.lastOfferOptions);
+    }
+  }
+
+  // Turn an audio call into a video call
+  static async upgradeToVideo(callId) {
+    const callSession = this.activeCalls.get(callId);
+    if (!callSession || callSession.state !== this.CALL_STATES.CONNECTED) {
+      throw new Error('No connected call');
+    }
+
+    if (callSession.localStream.getVideoTracks().length > 0) {
+      return false;
+    }
+
+    const videoStream = await navigator.mediaDevices.getUserMedia({
+      video: {
+        width: { ideal: 1280 },
+        height: { ideal: 720 },
+        frameRate: { ideal: 30 },
+      },
+    });
+    const [track] = videoStream.getVideoTracks();
+
+    callSession.localStream.addTrack(track);
+    const sender = callSession.peerConnection.addTrack(track, callSession.localStream);
+    this.attachSenderTransform(sender, callSession);
+
+    callSession.callType = this.CALL_TYPES.VIDEO;
+    await this.renegotiate(callSession);
+
+    this.emit('callUpdated', { callId, callType: callSession.callType });
+    return true;
+  }
+
   // Set up media streams for call
-  static async setupMediaStreams(peerConnection, callType, options = {}) {
+  static async setupMediaStreams(peerConnection, callType, callSession) {
     try {
       const constraints = {
         audio: {
@@ -245,95 +823,119 @@ export class AmiXCalls {
       // Get user media
       const stream = await navigator.mediaDevices.getUserMedia(constraints);
 
-      // Add tracks to peer connection
+      // Add tracks to peer connection; nothing leaves unencrypted
       stream.getTracks().forEach(track => {
-        peerConnection.addTrack(track, stream);
+        const sender = peerConnection.addTrack(track, stream);
+        this.attachSenderTransform(sender, callSession);
       });
 
-      // Set up stream encryption if needed
-      if (options.encryptStream) {
-        await this.setupStreamEncryption(stream, peerConnection);
-      }
-
       return stream;
     } catch (error) {
       throw new Error(`Media stream setup failed: ${error.message}`);
     }
   }
 
-  // Set up stream encryption
-  static async setupStreamEncryption(stream, peerConnection) {
-    try {
-      // Create stream encryption key
-      const streamKey = await AmiXCrypto.generateRandomBytes(32);
-
-      // Set up encrypted data channels for media
-      const audioChannel = peerConnection.createDataChannel('encrypted-audio', {
-        ordered: false,
-        maxRetransmits: 0,
-      });
+  // Encoded transforms (insertable streams) on RTP senders and receivers
+  static supportsFrameEncryption() {
+    return typeof RTCRtpSender !== 'undefined' &&
+      typeof RTCRtpSender.prototype.createEncodedStreams === 'function';
+  }
 
-      const videoChannel = peerConnection.createDataChannel('encrypted-video', {
-        ordered: false,
-        maxRetransmits: 0,
-      });
+  // SFrame state for a call; our key ratchets forward while the call lasts
+  static async setupFrameEncryption(callSession, mediaKey, senderIndex) {
+    if (!this.supportsFrameEncryption()) {
+      throw new Error('Frame encryption is not supported on this device');
+    }
 
-      // Set up media processing
-      this.setupEncryptedMediaProcessing(stream, audioChannel, videoChannel, streamKey);
+    const sender = await AmiXSFrame.createSenderContext(mediaKey, senderIndex);
 
-      return { audioChannel, videoChannel, streamKey };
-    } catch (error) {
-      throw new Error(`Stream encryption setup failed: ${error.message}`);
-    }
-  }
-
-  // Set up encrypted media processing
-  static setupEncryptedMediaProcessing(stream, audioChannel, videoChannel, streamKey) {
-    // Audio processing
-    const audioContext = new AudioContext();
-    const audioSource = audioContext.createMediaStreamSource(stream);
-    const audioProcessor = audioContext.createScriptProcessor(4096, 1, 1);
-
-    audioProcessor.onaudioprocess = async (event) => {
-      const audioData = event.inputBuffer.getChannelData(0);
-      
-      // Encrypt audio data
-      const encryptedAudio = await AmiXMediaEncryption.encryptFrame(audioData, streamKey);
-      
-      // Send through data channel
-      if (audioChannel.readyState === 'open') {
-        audioChannel.send(encryptedAudio);
-      }
+    callSession.frameEncryption = {
+      sender,
+      receiver: AmiXSFrame.createReceiverContext(),
+      ratchetTimer: setInterval(() => {
+        AmiXSFrame.ratchetSender(sender).catch(error => {
+          console.error('Failed to ratchet media key:', error);
+        });
+      }, this.FRAME_KEY_RATCHET_INTERVAL),
     };
+  }
 
-    audioSource.connect(audioProcessor);
-    audioProcessor.connect(audioContext.destination);
+  static teardownFrameEncryption(callSession) {
+    const { frameEncryption } = callSession;
+    if (!frameEncryption) return;
 
-    // Video processing (simplified - would need more complex implementation)
-    if (stream.getVideoTracks().length > 0) {
-      const videoTrack = stream.getVideoTracks()[0];
-      const imageCapture = new ImageCapture(videoTrack);
+    clearInterval(frameEncryption.ratchetTimer);
+    AmiXCrypto.secureDelete(frameEncryption.sender.baseKey);
+    for (const senderIndex of Array.from(frameEncryption.receiver.senders.keys())) {
+      AmiXSFrame.removeReceiverKey(frameEncryption.receiver, senderIndex);
+    }
+    callSession.frameEncryption = null;
+  }
 
-      setInterval(async () => {
-        try {
-          const frame = await imageCapture.grabFrame();
-          const canvas = document.createElement('canvas');
-          const ctx = canvas.getContext('2d');
-          canvas.width = frame.width;
-          canvas.height = frame.height;
-          ctx.drawImage(frame, 0, 0);
-          
-          const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-          const encryptedFrame = await AmiXMediaEncryption.encryptFrame(imageData.data, streamKey);
-          
-          if (videoChannel.readyState === 'open') {
-            videoChannel.send(encryptedFrame);
+  // Leading bytes left in the clear so the RTP packetizer can still read
+  // the codec header: VP8 keyframe/delta payload header, Opus TOC byte
+  static frameClearBytes(frame) {
+    if (frame.type === 'key') return 10;
+    if (frame.type === 'delta') return 3;
+    return 1;
+  }
+
+  // Encrypt every encoded frame before it is packetized. If encryption
+  // fails the stream errors out, so no frame is ever sent in the clear.
+  static attachSenderTransform(rtpSender, callSession) {
+    const { readable, writable } = rtpSender.createEncodedStreams();
+
+    const transform = new TransformStream({
+      transform: async (frame, controller) => {
+        const encrypted = await AmiXSFrame.encryptFrame(
+          callSession.frameEncryption.sender,
+          new Uint8Array(frame.data),
+          this.frameClearBytes(frame)
+        );
+        frame.data = encrypted.buffer;
+        controller.enqueue(frame);
+      },
+    });
+
+    readable.pipeThrough(transform).pipeTo(writable).catch(error => {
+      console.error('Frame encryption stopped:', error);
+    });
+  }
+
+  // Decrypt incoming frames; anything that fails authentication is dropped
+  // and the decoder conceals the gap
+  static attachReceiverTransforms(peerConnection, callSession, onStream = (stream) => {
+    callSession.remoteStream = stream;
+  }) {
+    peerConnection.ontrack = (event) => {
+      const { readable, writable } = event.receiver.createEncodedStreams();
+
+      const transform = new TransformStream({
+        transform: async (frame, controller) => {
+          if (!callSession.frameEncryption) return;
+
+          try {
+            const { frame: decrypted } = await AmiXSFrame.decryptFrame(
+              callSession.frameEncryption.receiver,
+              new Uint8Array(frame.data),
+              this.frameClearBytes(frame)
+            );
+            frame.data = decrypted.buffer;
+            controller.enqueue(frame);
+          } catch (error) {
+            // Not from a participant, tampered with, or from a dropped key
           }
-        } catch (error) {
-          console.error('Video frame processing failed:', error);
-        }
-      }, 1000 / 30); // 30 FPS
-    }
+        },
+      });
+
+      readable.pipeThrough(transform).pipeTo(writable).catch(error => {
+        console.error('Frame decryption stopped:', error);
+      });
+
+      if (event.streams?.[0]) {
+        onStream(event.streams[0]);
+      }
+    };
   }
 
   // Stop media streams
@@ -356,6 +958,98 @@ export class AmiXCalls {
   }
 
   // Call quality adaptation
+  // While a call is up we sample getStats() and let AmiXCallQuality pick
+  // the level; the level is applied to the RTP senders' encodings, so no
+  // renegotiation is needed. Every change goes into the call's timeline.
+
+  static startQualityMonitor(callSession) {
+    const { quality } = callSession;
+    if (quality.monitor) return;
+
+    const now = Date.now();
+    quality.state = AmiXCallQuality.createState(callSession.qualityLevel, now, quality.ceiling);
+    if (quality.timeline.length === 0) {
+      quality.timeline.push(AmiXCallQuality.timelineEntry(callSession.qualityLevel, 'initial', null, now));
+      this.applyQualityLevel(callSession, callSession.qualityLevel).catch((error) => {
+        console.error('Failed to apply call quality:', error);
+      });
+    }
+
+    quality.monitor = setInterval(() => {
+      this.pollCallQuality(callSession).catch((error) => {
+        console.error('Failed to sample call quality:', error);
+      });
+    }, QUALITY_CONFIG.POLL_INTERVAL);
+  }
+
+  static stopQualityMonitor(callSession) {
+    clearInterval(callSession.quality.monitor);
+    callSession.quality.monitor = null;
+  }
+
+  static async pollCallQuality(callSession) {
+    const { peerConnection, quality } = callSession;
+    if (!peerConnection || callSession.state !== this.CALL_STATES.CONNECTED) return;
+
+    const summary = AmiXCallQuality.summarizeStats(await peerConnection.getStats(), quality.lastSample);
+    quality.lastSample = summary;
+
+    const now = Date.now();
+    const decision = AmiXCallQuality.decide(quality.state, summary, now);
+    quality.state = decision.state;
+
+    if (decision.changed) {
+      await this.setQualityLevel(callSession, decision.level, decision.reason, summary, now);
+    }
+  }
+
+  static async setQualityLevel(callSession, level, reason, summary, now = Date.now()) {
+    const { timeline } = callSession.quality;
+
+    await this.applyQualityLevel(callSession, level);
+    callSession.qualityLevel = level;
+
+    timeline.push(AmiXCallQuality.timelineEntry(level, reason, summary, now));
+    if (timeline.length > QUALITY_CONFIG.MAX_TIMELINE_ENTRIES) {
+      timeline.splice(1, timeline.length - QUALITY_CONFIG.MAX_TIMELINE_ENTRIES);
+    }
+
+    this.emit('callQualityChanged', { callId: callSession.callId, level, reason });
+  }
+
+  // Cap bitrate, frame rate and resolution on what we send
+  static async applyQualityLevel(callSession, level) {
+    const constraints = this.getQualityConstraints(level);
+
+    await Promise.all(callSession.peerConnection.getSenders().map(async (sender) => {
+      if (!sender.track) return;
+
+      const parameters = sender.getParameters();
+      if (!parameters.encodings || parameters.encodings.length === 0) {
+        parameters.encodings = [{}];
+      }
+
+      parameters.encodings.forEach((encoding) => {
+        if (sender.track.kind === 'video') {
+          const { height } = sender.track.getSettings?.() || {};
+          encoding.maxBitrate = constraints.video.maxBitrate;
+          encoding.maxFramerate = constraints.video.frameRate;
+          encoding.scaleResolutionDownBy = height ? Math.max(1, height / constraints.video.height) : 1;
+        } else {
+          encoding.maxBitrate = constraints.audio.maxBitrate;
+        }
+      });
+
+      await sender.setParameters(parameters);
+    }));
+  }
+
+  /**
+   * Pick the quality by hand. The controller keeps adapting below it, but
+   * never goes above the chosen level.
+   * @param {string} callId - Call
+   * @param {string} qualityLevel - 'low', 'medium', 'high' or 'ultra'
+   */
   static async adaptCallQuality(callId, qualityLevel) {
     try {
       const callSession = this.activeCalls.get(callId);
@@ -363,15 +1057,16 @@ export class AmiXCalls {
         throw new Error('Call not found');
       }
 
-      const constraints = this.getQualityConstraints(qualityLevel);
-      
-      // Re-negotiate media with new constraints
+      const { quality } = callSession;
+      const now = Date.now();
+      quality.ceiling = qualityLevel;
+      quality.state = AmiXCallQuality.createState(qualityLevel, now, qualityLevel);
+
       if (callSession.peerConnection) {
-        const offer = await callSession.peerConnection.createOffer(constraints);
-        await callSession.peerConnection.setLocalDescription(offer);
+        await this.setQualityLevel(callSession, qualityLevel, 'manual', quality.lastSample, now);
+      } else {
+        callSession.qualityLevel = qualityLevel;
       }
-
-      callSession.qualityLevel = qualityLevel;
     } catch (error) {
       console.error('Call quality adaptation failed:', error);
     }
@@ -381,20 +1076,20 @@ export class AmiXCalls {
   static getQualityConstraints(qualityLevel) {
     const constraints = {
       low: {
-        video: { width: 320, height: 240, frameRate: 15 },
-        audio: { sampleRate: 8000, channelCount: 1 },
+        video: { width: 320, height: 240, frameRate: 15, maxBitrate: 250000 },
+        audio: { sampleRate: 8000, channelCount: 1, maxBitrate: 16000 },
       },
       medium: {
-        video: { width: 640, height: 480, frameRate: 24 },
-        audio: { sampleRate: 16000, channelCount: 1 },
+        video: { width: 640, height: 480, frameRate: 24, maxBitrate: 600000 },
+        audio: { sampleRate: 16000, channelCount: 1, maxBitrate: 24000 },
       },
       high: {
-        video: { width: 1280, height: 720, frameRate: 30 },
-        audio: { sampleRate: 44100, channelCount: 2 },
+        video: { width: 1280, height: 720, frameRate: 30, maxBitrate: 1500000 },
+        audio: { sampleRate: 44100, channelCount: 2, maxBitrate: 32000 },
       },
       ultra: {
-        video: { width: 1920, height: 1080, frameRate: 60 },
-        audio: { sampleRate: 48000, channelCount: 2 },
+        video: { width: 1920, height: 1080, frameRate: 60, maxBitrate: 4000000 },
+        audio: { sampleRate: 48000, channelCount: 2, maxBitrate: 64000 },
       },
     };
 
@@ -402,21 +1097,15 @@ export class AmiXCalls {
   }
 
   // Call signaling encryption/decryption
+  // Signaling goes over the end-to-end session with the peer, so the media
+  // keys inside it never reach the signaling server in the clear.
   static async encryptSignalingData(data, recipientId) {
     try {
-      const recipientKeys = await AmiXStorage.getContact(recipientId);
-      if (!recipientKeys) {
-        throw new Error('Recipient keys not found');
-      }
-
-      const dataString = JSON.stringify(data);
-      const encrypted = await AmiXCrypto.encryptMessage(dataString, {
-        chainKey: recipientKeys.publicKey,
-      });
+      const payload = await AmiXWebRTC.encryptForPeer(recipientId, JSON.stringify(data));
 
       return {
-        encryptedData: encrypted.ciphertext,
-        nonce: encrypted.nonce,
+        payload,
+        deviceId: await AmiXDevices.getDeviceId(),
         timestamp: Date.now(),
       };
     } catch (error) {
@@ -424,11 +1113,13 @@ export class AmiXCalls {
     }
   }
 
-  static async decryptSignalingData(encryptedData, recipientKeys) {
+  static async decryptSignalingData(signalingData, senderId) {
     try {
-      const decrypted = await AmiXCrypto.decryptMessage(encryptedData, {
-        chainKey: recipientKeys.privateKey,
-      });
+      const decrypted = await AmiXWebRTC.decryptFromPeer(
+        senderId,
+        signalingData.payload,
+        signalingData.deviceId
+      );
 
       return JSON.parse(decrypted);
     } catch (error) {
@@ -452,7 +1143,20 @@ export class AmiXCalls {
       peerConnection: null,
       localStream: null,
       remoteStream: null,
-      encryptionKey: null,
+      frameEncryption: null,
+      invitation: null, // Decrypted offer of an incoming call until answered
+      outcome: null,
+      timers: {},
+      iceRestarts: 0,
+      makingOffer: false,
+      lastOfferOptions: {},
+      quality: {
+        state: null,
+        ceiling: 'ultra',
+        lastSample: null,
+        timeline: [], // Level changes over the call, kept in the history
+        monitor: null,
+      },
     };
   }
 
@@ -483,8 +1187,10 @@ export class AmiXCalls {
         recipientId: callSession.recipientId,
         callType: callSession.callType,
         direction: callSession.direction,
-        duration: callSession.endedAt - callSession.connectedAt,
+        duration: callSession.connectedAt ? callSession.endedAt - callSession.connectedAt : 0,
+        outcome: callSession.outcome || this.CALL_OUTCOMES.COMPLETED,
         endReason: callSession.endReason,
+        qualityTimeline: callSession.quality.timeline,
         timestamp: callSession.createdAt,
       };
 
@@ -501,6 +1207,25 @@ export class AmiXCalls {
     }
   }
 
+  // Missed, declined and failed calls show up as CALL notifications
+  static async notifyCallOutcome(callSession) {
+    const { outcome, direction } = callSession;
+    const notify = outcome === this.CALL_OUTCOMES.FAILED ||
+      (outcome === this.CALL_OUTCOMES.MISSED && direction === 'incoming') ||
+      ((outcome === this.CALL_OUTCOMES.DECLINED || outcome === this.CALL_OUTCOMES.BUSY) && direction === 'outgoing');
+    if (!notify) return;
+
+    await AmiXNotifications.sendNotification(AmiXNotifications.NOTIFICATION_TYPES.CALL, {
+      senderId: callSession.recipientId,
+      callId: callSession.callId,
+      callType: callSession.callType,
+      event: outcome,
+      timestamp: callSession.createdAt,
+    }, {
+      groupable: outcome === this.CALL_OUTCOMES.MISSED,
+    });
+  }
+
   // Call cleanup
   static cleanupExpiredCalls() {
     const now = Date.now();
@@ -518,22 +1243,48 @@ export class AmiXCalls {
     });
   }
 
-  // Call signaling methods (to be implemented with your signaling server)
+  // Call signaling methods (routed through the signaling server)
   static async sendCallInvitation(recipientId, signalingData) {
-    // Send through your signaling server or P2P
-    console.log('Sending call invitation to:', recipientId);
+    return signalingService.sendSignal(recipientId, {
+      type: 'call-invitation',
+      ...signalingData,
+    });
   }
 
   static async sendCallAcceptance(recipientId, signalingData) {
-    console.log('Sending call acceptance to:', recipientId);
+    return signalingService.sendSignal(recipientId, {
+      type: 'call-acceptance',
+      ...signalingData,
+    });
   }
 
   static async sendCallRejection(recipientId, signalingData) {
-    console.log('Sending call rejection to:', recipientId);
+    return signalingService.sendSignal(recipientId, {
+      type: 'call-rejection',
+      ...signalingData,
+    });
+  }
+
+  static async sendCallUpdate(callSession, data) {
+    const signalingData = await this.encryptSignalingData({
+      callId: callSession.callId,
+      ...data,
+      timestamp: Date.now(),
+    }, callSession.recipientId);
+
+    return signalingService.sendSignal(callSession.recipientId, {
+      type: 'call-update',
+      ...signalingData,
+    });
   }
 
   static async sendCallEnd(recipientId, callId, reason) {
-    console.log('Sending call end to:', recipientId);
+    return signalingService.sendSignal(recipientId, {
+      type: 'call-end',
+      callId,
+      reason,
+      timestamp: Date.now(),
+    });
   }
 
   // Utility methods
@@ -562,10 +1313,16 @@ export class AmiXCalls {
     const callSession = this.activeCalls.get(callId);
     if (!callSession) return null;
 
+    const sample = callSession.quality.lastSample;
+
     return {
       duration: callSession.connectedAt ? Date.now() - callSession.connectedAt : 0,
       quality: callSession.qualityLevel,
       state: callSession.state,
+      rtt: sample?.rtt ?? null,
+      jitter: sample?.jitter ?? null,
+      packetLoss: sample?.packetLoss ?? null,
+      availableBandwidth: sample?.availableBandwidth ?? null,
     };
   }
 }
@@ -0,0 +1,351 @@
+import { Platform } from 'react-native';
+import nacl from 'tweetnacl';
+import { encodeBase64, decodeBase64 } from 'tweetnacl-util';
+import { AmiXStorage } from '../utils/storage';
+import { SecurityLogger } from '../utils/securityLogger';
+import { AmiXPreKeys } from './prekeys';
+
+// AmiX Device Service - linked devices per AmiX identity
+// Every device shares the identity key but keeps its own prekeys and its
+// own Double Ratchet session with each device of each peer.
+
+const LINK_URI_PREFIX = 'amix-link:';
+const LINK_POLL_INTERVAL = 6000; // Poll every 6 seconds while the link is open
+const LINK_POLL_MAX_INTERVAL = 60000; // Slowest poll after being rate limited
+const DEVICE_CACHE_TTL = 5 * 60 * 1000; // Re-fetch a peer's device list after 5 minutes
+
+export class AmiXDevices {
+  static deviceListCache = new Map();
+  static pendingLink = null;
+
+  // This installation's device ID (shared with the security log)
+  static async getDeviceId() {
+    return await SecurityLogger.getDeviceId();
+  }
+
+  static getPlatform() {
+    return ['ios', 'android', 'web'].includes(Platform.OS) ? Platform.OS : 'unknown';
+  }
+
+  // Register this device with the backend so peers fan out to it
+  static async registerDevice(name = null) {
+    try {
+      const response = await fetch('/api/v1/devices', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          deviceId: await this.getDeviceId(),
+          name,
+          platform: this.getPlatform(),
+        }),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Device registration failed with status ${response.status}`);
+      }
+
+      const body = await response.json();
+      return body.data.device;
+    } catch (error) {
+      console.error('Failed to register device:', error);
+      return null;
+    }
+  }
+
+  // Our own linked devices
+  static async getLinkedDevices() {
+    const response = await fetch('/api/v1/devices', {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Device list failed with status ${response.status}`);
+    }
+
+    const body = await response.json();
+    return body.data.devices;
+  }
+
+  static async unlinkDevice(deviceId) {
+    const response = await fetch(`/api/v1/devices/${encodeURIComponent(deviceId)}`, {
+      method: 'DELETE',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Device unlink failed with status ${response.status}`);
+    }
+
+    this.deviceListCache.delete(await AmiXStorage.getAmiXId());
+    return true;
+  }
+
+  /**
+   * Device IDs of an AmiX identity, cached briefly.
+   * Identities that never registered a device resolve to [null] so they
+   * keep using a single session keyed by their AmiX ID.
+   */
+  static async getDeviceIds(amixId, { refresh = false } = {}) {
+    const cached = this.deviceListCache.get(amixId);
+    if (!refresh && cached && Date.now() - cached.fetchedAt < DEVICE_CACHE_TTL) {
+      return cached.deviceIds;
+    }
+
+    try {
+      const response = await fetch(`/api/v1/devices/user/${encodeURIComponent(amixId)}`, {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+      });
+
+      if (!response.ok) {
+        throw new Error(`Device lookup failed with status ${response.status}`);
+      }
+
+      const body = await response.json();
+      const deviceIds = body.data.deviceIds.length > 0 ? body.data.deviceIds : [null];
+
+      this.deviceListCache.set(amixId, { deviceIds, fetchedAt: Date.now() });
+      return deviceIds;
+    } catch (error) {
+      console.error('Failed to fetch device list:', error);
+      return cached ? cached.deviceIds : [null];
+    }
+  }
+
+  // Our other devices, which receive copies of everything we send
+  static async getOwnOtherDeviceIds() {
+    const [amixId, deviceId] = await Promise.all([
+      AmiXStorage.getAmiXId(),
+      this.getDeviceId(),
+    ]);
+    const deviceIds = await this.getDeviceIds(amixId);
+    return deviceIds.filter(id => id && id !== deviceId);
+  }
+
+  // Device linking
+
+  // Short fingerprint of a linking key, compared by eye on both screens
+  static getLinkFingerprint(publicKey) {
+    const digest = nacl.hash(decodeBase64(publicKey));
+    return Array.from(digest.slice(0, 6))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('')
+      .toUpperCase()
+      .match(/.{4}/g)
+      .join(' ');
+  }
+
+  // Accepts a scanned QR value or a typed code
+  static parseLinkValue(value) {
+    const trimmed = String(value).trim();
+
+    if (trimmed.startsWith(LINK_URI_PREFIX)) {
+      const [code, publicKey] = trimmed.slice(LINK_URI_PREFIX.length).split('/');
+      return { code: code.toUpperCase(), publicKey: decodeURIComponent(publicKey || '') || null };
+    }
+
+    return { code: trimmed.replace(/[\s-]/g, '').toUpperCase(), publicKey: null };
+  }
+
+  /**
+   * New device: open a linking session.
+   * Show `qrValue` as a QR code, or `code` for typing on the other device.
+   */
+  static async startLinking(deviceName = null) {
+    const ephemeral = nacl.box.keyPair();
+    const publicKey = encodeBase64(ephemeral.publicKey);
+
+    const response = await fetch('/api/v1/devices/provisioning', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        publicKey,
+        deviceName,
+        platform: this.getPlatform(),
+      }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Linking failed with status ${response.status}`);
+    }
+
+    const { data } = await response.json();
+    this.pendingLink = {
+      code: data.code,
+      publicKey,
+      secretKey: encodeBase64(ephemeral.secretKey),
+      expiresAt: new Date(data.expiresAt).getTime(),
+    };
+
+    return {
+      code: data.code,
+      expiresAt: this.pendingLink.expiresAt,
+      qrValue: `${LINK_URI_PREFIX}${data.code}/${encodeURIComponent(publicKey)}`,
+      fingerprint: this.getLinkFingerprint(publicKey),
+    };
+  }
+
+  // New device: wait until an existing device approves, then adopt the identity
+  static async waitForLink() {
+    const link = this.pendingLink;
+    if (!link) {
+      throw new Error('No device link in progress');
+    }
+
+    let interval = LINK_POLL_INTERVAL;
+    while (Date.now() < link.expiresAt && this.pendingLink === link) {
+      const response = await fetch(`/api/v1/devices/provisioning/${link.code}/envelope`, {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+      });
+
+      if (response.status === 200) {
+        const { data } = await response.json();
+        return await this.completeLinking(link, data.envelope);
+      }
+
+      // Rate limited: the link is still open, so keep waiting but ask less often
+      if (response.status === 429) {
+        interval = Math.min(interval * 2, LINK_POLL_MAX_INTERVAL);
+      } else if (response.status !== 202) {
+        throw new Error(`Linking failed with status ${response.status}`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+
+    throw new Error('Device link expired');
+  }
+
+  static cancelLinking() {
+    this.pendingLink = null;
+  }
+
+  // New device: open the sealed identity and become a linked device
+  static async completeLinking(link, envelope) {
+    const sealed = typeof envelope === 'string' ? JSON.parse(envelope) : envelope;
+    const opened = nacl.box.open(
+      decodeBase64(sealed.ciphertext),
+      decodeBase64(sealed.nonce),
+      decodeBase64(sealed.publicKey),
+      decodeBase64(link.secretKey)
+    );
+
+    if (!opened) {
+      throw new Error('Could not open provisioning envelope');
+    }
+
+    const { identityKeys, amixId } = JSON.parse(new TextDecoder().decode(opened));
+    this.pendingLink = null;
+
+    await AmiXStorage.storeIdentityKeys(identityKeys);
+    await AmiXStorage.store(AmiXStorage.STORAGE_KEYS.AMIX_ID, amixId);
+
+    // Our own prekeys, so peers can open sessions with this device
+    await this.registerDevice();
+    await AmiXPreKeys.publishPreKeys({ rotate: true });
+
+    await SecurityLogger.logEvent(SecurityLogger.EVENTS.DEVICE_LINKED, { amixId });
+    return { amixId };
+  }
+
+  /**
+   * Existing device: resolve a scanned QR value or typed code.
+   * For typed codes the fingerprint must be compared with the new device's
+   * screen, since the key then comes from the server.
+   */
+  static async lookupLink(value) {
+    const { code, publicKey: scannedKey } = this.parseLinkValue(value);
+
+    const response = await fetch(`/api/v1/devices/provisioning/${encodeURIComponent(code)}`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error('Linking code is invalid or has expired');
+    }
+
+    const { data } = await response.json();
+    if (scannedKey && scannedKey !== data.publicKey) {
+      throw new Error('Linking key mismatch');
+    }
+
+    return {
+      code,
+      publicKey: data.publicKey,
+      deviceName: data.deviceName,
+      platform: data.platform,
+      fingerprint: this.getLinkFingerprint(data.publicKey),
+      verified: Boolean(scannedKey),
+    };
+  }
+
+  // Existing device: seal our identity to the new device's linking key
+  static async approveLink(link) {
+    const identityKeys = await AmiXStorage.getIdentityKeys();
+    if (!identityKeys) {
+      throw new Error('Identity keys not found');
+    }
+
+    const payload = new TextEncoder().encode(JSON.stringify({
+      identityKeys,
+      amixId: await AmiXStorage.getAmiXId(),
+    }));
+
+    const ephemeral = nacl.box.keyPair();
+    const nonce = nacl.randomBytes(nacl.box.nonceLength);
+    const ciphertext = nacl.box(
+      payload,
+      nonce,
+      decodeBase64(link.publicKey),
+      ephemeral.secretKey
+    );
+
+    const response = await fetch(`/api/v1/devices/provisioning/${encodeURIComponent(link.code)}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        envelope: {
+          publicKey: encodeBase64(ephemeral.publicKey),
+          nonce: encodeBase64(nonce),
+          ciphertext: encodeBase64(ciphertext),
+        },
+      }),
+    });
+
+    // Wipe the plaintext identity copy
+    payload.fill(0);
+
+    if (!response.ok) {
+      throw new Error(`Linking approval failed with status ${response.status}`);
+    }
+
+    // The new device shows up in our fan-out list from now on
+    this.deviceListCache.delete(await AmiXStorage.getAmiXId());
+    await SecurityLogger.logEvent(
+      SecurityLogger.EVENTS.DEVICE_LINK_APPROVED,
+      { deviceName: link.deviceName }
+    );
+    return true;
+  }
+}
+
+export default AmiXDevices;
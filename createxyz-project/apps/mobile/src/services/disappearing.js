@@ -0,0 +1,194 @@
+import * as FileSystem from 'expo-file-system';
+import { AmiXStorage } from '../utils/storage';
+import { GroupCrypto } from '../utils/groupCrypto';
+import { AmiXMediaEncryption } from '../utils/mediaEncryption';
+import { AmiXDisappearingTimers, DISAPPEARING_CONFIG } from '../utils/disappearing';
+import { AmiXWebRTC } from './webrtc';
+import { AmiXMessageQueue } from './messageQueue';
+import { AmiXMLSDelivery } from './mlsDelivery';
+import { AmiXAttachments } from './attachments';
+
+// AmiX Disappearing Messages - timers and the sweep that enforces them
+// Storage stamps every message with expiresAt from its conversation's timer
+// when it is stored, so a sender and each recipient device expire their
+// own copies without further coordination. The sweep runs at start-up,
+// catching up on anything that expired while the app was closed, then every
+// SWEEP_INTERVAL. It deletes the messages, their outbox entries and any
+// attachment files cached for them: encrypted chunks and the decrypted
+// copy downloads write by default. It is started with the app, not with a
+// chat screen, so messages expire whether or not their chat is opened.
+
+export class AmiXDisappearing {
+  static sweepTimer = null;
+  static isSweeping = false;
+  static eventListeners = new Map();
+
+  static async initialize() {
+    if (this.sweepTimer) {
+      return true;
+    }
+
+    try {
+      // Set before the first sweep, so a second caller meanwhile returns
+      this.sweepTimer = setInterval(() => this.sweep(), DISAPPEARING_CONFIG.SWEEP_INTERVAL);
+
+      AmiXWebRTC.on('messageReceived', ({ peerAmixId, messageId, message }) => {
+        this.handleMessage(peerAmixId, messageId, message);
+      });
+
+      await this.sweep();
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize disappearing messages:', error);
+      return false;
+    }
+  }
+
+  static stop() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  static async getTimer(conversationId) {
+    return await AmiXStorage.getDisappearingTimer(conversationId);
+  }
+
+  /**
+   * Change a conversation's timer for everyone in it
+   * @param {string} conversationId - Peer's AmiX ID or group ID
+   * @param {number} timer - One of DISAPPEARING_TIMERS
+   */
+  static async setTimer(conversationId, timer) {
+    try {
+      const setAt = Date.now();
+      const content = AmiXDisappearingTimers.createTimerChange(timer, setAt);
+
+      // Group members get it through the delivery service, which also
+      // applies it here
+      const group = await AmiXStorage.getGroup(conversationId);
+      if (group?.type === GroupCrypto.GROUP_TYPES.MLS) {
+        const sender = { id: await AmiXStorage.getAmiXId() };
+        await AmiXMLSDelivery.sendMessage(conversationId, sender, content);
+      } else {
+        const messageId = await AmiXMessageQueue.addToOutbox({
+          recipientId: conversationId,
+          content,
+          priority: 'high',
+          expiresAt: null,
+        });
+        await AmiXStorage.storeTimerChange(conversationId, { timer, setAt }, { id: messageId, senderId: 'self' });
+      }
+
+      this.emit('timerChanged', { conversationId, timer });
+      return true;
+    } catch (error) {
+      console.error('Failed to set disappearing timer:', error);
+      throw error;
+    }
+  }
+
+  // Timer changes from a peer arrive as ordinary messages
+  static async handleMessage(peerAmixId, messageId, content) {
+    const change = AmiXDisappearingTimers.parseTimerChange(content);
+    if (!change) return;
+
+    try {
+      // Replaces the copy stored as a chat message on receipt
+      const applied = await AmiXStorage.storeTimerChange(peerAmixId, change, {
+        id: messageId || await AmiXMessageQueue.generateMessageId(),
+        senderId: peerAmixId,
+      });
+
+      if (applied) {
+        this.emit('timerChanged', { conversationId: peerAmixId, timer: change.timer });
+      }
+    } catch (error) {
+      console.error('Failed to apply disappearing timer:', error);
+    }
+  }
+
+  static async sweep(now = Date.now()) {
+    if (this.isSweeping) return [];
+    this.isSweeping = true;
+
+    try {
+      // 1) Messages, with their reactions and secure copies
+      const expired = await AmiXStorage.purgeExpiredMessages(now);
+
+      // 2) Anything still waiting in the outbox
+      await AmiXMessageQueue.purgeExpired(now);
+
+      // 3) Attachment files cached on this device
+      for (const message of expired) {
+        await this.deleteAttachmentFiles(message);
+      }
+
+      if (expired.length > 0) {
+        this.emit('messagesExpired', {
+          messageIds: expired.map(message => message.id),
+          conversationIds: Array.from(new Set(expired.map(message => message.conversationId))),
+        });
+      }
+      return expired;
+    } catch (error) {
+      console.error('Failed to sweep expired messages:', error);
+      return [];
+    } finally {
+      this.isSweeping = false;
+    }
+  }
+
+  static async deleteAttachmentFiles(message) {
+    let attachment;
+    try {
+      attachment = JSON.parse(message.content)?.attachment;
+    } catch (error) {
+      return;
+    }
+    if (!attachment) return;
+
+    // The IDs come from the sender; only ever delete directories of ours
+    const id = attachment.transport === 'p2p' ? attachment.transferId : attachment.id;
+    if (!AmiXAttachments.isValidId(id)) return;
+
+    await AmiXMediaEncryption.cleanupTempFiles(AmiXAttachments.outputDir(attachment));
+    if (attachment.transport === 'p2p') {
+      await AmiXMediaEncryption.cleanupTempFiles(`${FileSystem.cacheDirectory}amix_transfer_${attachment.transferId}/`);
+      await AmiXMediaEncryption.cleanupTempFiles(`${FileSystem.cacheDirectory}amix_encrypted_${attachment.transferId}/`);
+    } else if (attachment.id) {
+      await AmiXMediaEncryption.cleanupTempFiles(`${FileSystem.cacheDirectory}amix_attachment_${attachment.id}/`);
+    }
+  }
+
+  // Event system
+  static on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(callback);
+  }
+
+  static off(event, callback) {
+    const listeners = this.eventListeners.get(event);
+    if (listeners) {
+      this.eventListeners.set(event, listeners.filter(listener => listener !== callback));
+    }
+  }
+
+  static emit(event, data) {
+    const listeners = this.eventListeners.get(event);
+    if (listeners) {
+      listeners.forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error('Event listener error:', error);
+        }
+      });
+    }
+  }
+}
+
+export default AmiXDisappearing;
@@ -0,0 +1,640 @@
+import * as FileSystem from 'expo-file-system';
+import { encodeBase64, decodeBase64 } from 'tweetnacl-util';
+import { AmiXStorage } from '../utils/storage';
+import { AmiXMediaEncryption } from '../utils/mediaEncryption';
+import { LANES } from '../utils/dataChannelFraming';
+import { AmiXWebRTC } from './webrtc';
+import { AmiXAttachments } from './attachments';
+import { AmiXMessageQueue } from './messageQueue';
+import { AmiXNotifications } from './notifications';
+
+// AmiX File Transfer - files straight to an online peer over WebRTC
+// The file is encrypted into stream chunks exactly as for an attachment
+// upload, but the ciphertext chunks go over the peer's amix-files data
+// channel instead of to the attachment store. The receiver acks each chunk
+// once it is on disk. Only when every chunk is acked does the sender queue
+// the chat message whose attachment pointer carries the key:
+//   { transport: 'p2p', transferId, key, header, digest, size, name, mimeType }
+// Transfers are stored, so both sides pick up from the last acked chunk
+// after a reconnect or an app restart. Peers that aren't connected get the
+// file through the attachment store instead. Nothing is received until the
+// user accepts the offer; declining cancels it.
+//
+// Channel messages are { type: 'file_transfer', payload } with payload.kind:
+//   offer   sender -> receiver  { transferId, chunks: [{ size, hash }] }
+//           transferId is the sender's file UUID and names the receiver's
+//           temp directory, so anything else is dropped
+//   resume  receiver -> sender  { transferId, nextChunk }
+//   chunk   sender -> receiver  { transferId, index, data }
+//   ack     receiver -> sender  { transferId, nextChunk }
+//   cancel  either way          { transferId, reason }
+
+const FILE_CHANNEL = 'amix-files';
+
+export const TRANSFER_CONFIG = {
+  WINDOW: 8,                              // Chunks in flight before waiting for acks
+  RESUME_WINDOW: 2 * 60 * 1000,           // How long a paused transfer waits for the peer before using the relay
+  INCOMING_TTL: 7 * 24 * 60 * 60 * 1000,  // Unfinished incoming transfers are dropped after this
+  MAX_CHUNKS: 4096,
+};
+
+export const TRANSFER_STATES = {
+  QUEUED: 'queued',
+  SENDING: 'sending',
+  PAUSED: 'paused',
+  OFFERED: 'offered',   // Incoming, waiting for the user to accept
+  RECEIVING: 'receiving',
+  RECEIVED: 'received',
+  COMPLETE: 'complete',
+  FAILED: 'failed',
+};
+
+export class AmiXFileTransfer {
+  static transfers = new Map();
+  static progressCallbacks = new Map();
+  static fallbackTimers = new Map();
+  static work = new Map();
+  static eventListeners = new Map();
+  static initialized = false;
+  static initializing = null;
+
+  // Started with the app, so offers are seen without opening the chat
+  static async initialize() {
+    if (this.initialized) {
+      return true;
+    }
+
+    // The chat screen may ask while startup is still loading
+    if (!this.initializing) {
+      this.initializing = this.load().finally(() => {
+        this.initializing = null;
+      });
+    }
+    return this.initializing;
+  }
+
+  static async load() {
+    try {
+      this.transfers = new Map(Object.entries(await AmiXStorage.getFileTransfers()));
+      this.initialized = true;
+
+      AmiXWebRTC.on('fileTransfer', ({ peerAmixId, payload }) => {
+        this.handleMessage(peerAmixId, payload);
+      });
+      AmiXWebRTC.on('connectionEstablished', ({ peerAmixId }) => this.resumePeer(peerAmixId));
+      AmiXWebRTC.on('connectionLost', ({ peerAmixId }) => this.pausePeer(peerAmixId));
+      AmiXWebRTC.on('connectionClosed', ({ peerAmixId }) => this.pausePeer(peerAmixId));
+
+      // Whatever was running when the app stopped carries on from its last ack
+      const now = Date.now();
+      for (const transfer of Array.from(this.transfers.values())) {
+        if (transfer.direction === 'incoming') {
+          if (transfer.state !== TRANSFER_STATES.RECEIVED && now - transfer.createdAt > TRANSFER_CONFIG.INCOMING_TTL) {
+            await this.removeTransfer(transfer);
+          }
+          continue;
+        }
+
+        if (AmiXWebRTC.isConnected(transfer.peerAmixId)) {
+          this.startTransfer(transfer);
+        } else {
+          await this.pauseTransfer(transfer, transfer.pausedAt || now);
+        }
+      }
+
+      return true;
+    } catch (error) {
+      console.error('File transfer initialization failed:', error);
+      return false;
+    }
+  }
+
+  static on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(callback);
+  }
+
+  static off(event, callback) {
+    const listeners = this.eventListeners.get(event);
+    if (listeners) {
+      this.eventListeners.set(event, listeners.filter(listener => listener !== callback));
+    }
+  }
+
+  static emit(event, data) {
+    const listeners = this.eventListeners.get(event);
+    if (listeners) {
+      listeners.forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error('Event listener error:', error);
+        }
+      });
+    }
+  }
+
+  // --- Sending ---
+
+  /**
+   * Send a file to a contact, directly if they are connected
+   * @param {string} recipientId - Recipient's AmiX ID
+   * @param {string} fileUri - Local file to send
+   * @param {Object} [options]
+   * @param {string} [options.caption] - Text sent with the file
+   * @param {Function} [options.onProgress] - Called with 0..1
+   * @returns {Promise<Object>} - { transport: 'p2p', transferId } or { transport: 'relay', messageId }
+   */
+  static async sendFile(recipientId, fileUri, { caption = '', onProgress } = {}) {
+    await this.initialize();
+
+    // 1) Peers we can't reach directly get it through the attachment store
+    if (!AmiXWebRTC.isConnected(recipientId)) {
+      const messageId = await AmiXAttachments.sendAttachment(recipientId, fileUri, { caption, onProgress });
+      return { transport: 'relay', messageId };
+    }
+
+    // 2) Encrypt into chunk files, as for an upload
+    const stream = await AmiXMediaEncryption.createEncryptedStream(fileUri, null);
+
+    const chunks = [];
+    for (const chunk of stream.chunks) {
+      chunks.push({
+        path: chunk.path,
+        size: chunk.size,
+        hash: await AmiXAttachments.sha256(await AmiXAttachments.readChunk(chunk.path)),
+      });
+    }
+
+    // 3) Store the transfer so it survives a restart, then start it
+    const transfer = {
+      id: stream.fileId,
+      direction: 'outgoing',
+      peerAmixId: recipientId,
+      fileUri,
+      caption,
+      tempDir: stream.tempDir,
+      chunks,
+      acked: 0,
+      state: TRANSFER_STATES.QUEUED,
+      createdAt: Date.now(),
+      pointer: {
+        transport: 'p2p',
+        transferId: stream.fileId,
+        key: encodeBase64(stream.fileKey),
+        header: encodeBase64(stream.header),
+        digest: await AmiXAttachments.digestChunks(chunks),
+        size: stream.originalSize,
+        name: AmiXMediaEncryption.getFileName(fileUri),
+        mimeType: AmiXMediaEncryption.getMimeType(fileUri),
+      },
+    };
+
+    if (onProgress) {
+      this.progressCallbacks.set(transfer.id, onProgress);
+    }
+    await this.saveTransfer(transfer);
+    this.startTransfer(transfer);
+
+    return { transport: 'p2p', transferId: transfer.id };
+  }
+
+  // Offer the file; the receiver answers with the chunk to continue from
+  static async startTransfer(transfer) {
+    try {
+      this.clearFallback(transfer.id);
+      transfer.state = TRANSFER_STATES.SENDING;
+      transfer.sent = transfer.acked;
+      await this.saveTransfer(transfer);
+
+      await AmiXWebRTC.openDataChannel(transfer.peerAmixId, FILE_CHANNEL);
+      const sent = await this.sendControl(transfer.peerAmixId, {
+        kind: 'offer',
+        transferId: transfer.id,
+        chunks: transfer.chunks.map(({ size, hash }) => ({ size, hash })),
+      });
+
+      if (!sent) {
+        await this.pauseTransfer(transfer);
+      }
+    } catch (error) {
+      console.error('Failed to start file transfer:', error);
+      await this.pauseTransfer(transfer);
+    }
+  }
+
+  // Keep up to WINDOW chunks on the channel ahead of the receiver's acks
+  static async sendChunks(transfer) {
+    while (
+      transfer.state === TRANSFER_STATES.SENDING &&
+      transfer.sent < transfer.chunks.length &&
+      transfer.sent - transfer.acked < TRANSFER_CONFIG.WINDOW
+    ) {
+      const index = transfer.sent;
+      const data = await AmiXAttachments.readChunk(transfer.chunks[index].path);
+
+      const sent = await AmiXWebRTC.sendMessage(transfer.peerAmixId, {
+        type: 'file_transfer',
+        payload: { kind: 'chunk', transferId: transfer.id, index, data: encodeBase64(data) },
+      }, { label: FILE_CHANNEL, lane: LANES.BULK });
+
+      if (!sent) {
+        await this.pauseTransfer(transfer);
+        return;
+      }
+      transfer.sent = index + 1;
+    }
+  }
+
+  // Receiver's position, from a resume or an ack
+  static async handleProgress(transfer, { nextChunk }, rewind) {
+    if (!Number.isInteger(nextChunk) || nextChunk < 0 || nextChunk > transfer.chunks.length) {
+      throw new Error('Invalid chunk position');
+    }
+
+    // A resume can move backwards (the receiver lost chunks); acks can't
+    transfer.acked = rewind ? nextChunk : Math.max(transfer.acked, nextChunk);
+    if (rewind || transfer.sent < transfer.acked) {
+      transfer.sent = transfer.acked;
+    }
+    await this.saveTransfer(transfer);
+    this.reportProgress(transfer, transfer.acked / transfer.chunks.length);
+
+    if (transfer.acked === transfer.chunks.length) {
+      await this.completeOutgoing(transfer);
+    } else {
+      await this.sendChunks(transfer);
+    }
+  }
+
+  // Every chunk is on the peer's disk: send the key in the chat message
+  static async completeOutgoing(transfer) {
+    transfer.state = TRANSFER_STATES.COMPLETE;
+
+    await AmiXMessageQueue.addToOutbox({
+      recipientId: transfer.peerAmixId,
+      content: JSON.stringify({ type: 'attachment', text: transfer.caption, attachment: transfer.pointer }),
+    });
+
+    this.reportProgress(transfer, 1);
+    await this.removeTransfer(transfer);
+  }
+
+  static async pausePeer(peerAmixId) {
+    for (const transfer of this.transfers.values()) {
+      if (transfer.direction === 'outgoing' && transfer.peerAmixId === peerAmixId) {
+        await this.pauseTransfer(transfer);
+      }
+    }
+  }
+
+  static async resumePeer(peerAmixId) {
+    for (const transfer of this.transfers.values()) {
+      if (transfer.direction === 'outgoing' && transfer.peerAmixId === peerAmixId &&
+          transfer.state === TRANSFER_STATES.PAUSED) {
+        await this.startTransfer(transfer);
+      }
+    }
+  }
+
+  // Wait a while for the peer to come back, then use the relay
+  static async pauseTransfer(transfer, pausedAt = Date.now()) {
+    if (transfer.state === TRANSFER_STATES.COMPLETE || transfer.state === TRANSFER_STATES.FAILED) {
+      return;
+    }
+
+    if (transfer.state !== TRANSFER_STATES.PAUSED) {
+      transfer.state = TRANSFER_STATES.PAUSED;
+      transfer.pausedAt = pausedAt;
+      await this.saveTransfer(transfer);
+      this.reportProgress(transfer, transfer.acked / transfer.chunks.length);
+    }
+
+    if (!this.fallbackTimers.has(transfer.id)) {
+      const remaining = Math.max(0, transfer.pausedAt + TRANSFER_CONFIG.RESUME_WINDOW - Date.now());
+      this.fallbackTimers.set(transfer.id, setTimeout(() => {
+        this.fallbackTimers.delete(transfer.id);
+        this.fallbackToRelay(transfer.id);
+      }, remaining));
+    }
+  }
+
+  static clearFallback(transferId) {
+    clearTimeout(this.fallbackTimers.get(transferId));
+    this.fallbackTimers.delete(transferId);
+  }
+
+  static async fallbackToRelay(transferId) {
+    const transfer = this.transfers.get(transferId);
+    if (!transfer || transfer.state !== TRANSFER_STATES.PAUSED) {
+      return;
+    }
+    if (AmiXWebRTC.isConnected(transfer.peerAmixId)) {
+      await this.startTransfer(transfer);
+      return;
+    }
+
+    const onProgress = this.progressCallbacks.get(transfer.id);
+    await this.removeTransfer(transfer);
+
+    try {
+      await AmiXAttachments.sendAttachment(transfer.peerAmixId, transfer.fileUri, {
+        caption: transfer.caption,
+        onProgress,
+      });
+    } catch (error) {
+      console.error('Failed to send file through the relay:', error);
+      transfer.state = TRANSFER_STATES.FAILED;
+      this.emit('progress', this.progressEvent(transfer, 0));
+    }
+  }
+
+  // --- Receiving ---
+
+  static async handleOffer(peerAmixId, { transferId, chunks }) {
+    const totalSize = Array.isArray(chunks)
+      ? chunks.reduce((total, chunk) => total + (Number.isInteger(chunk?.size) ? chunk.size : Infinity), 0)
+      : Infinity;
+    if (!chunks?.length || chunks.length > TRANSFER_CONFIG.MAX_CHUNKS ||
+        totalSize > AmiXMediaEncryption.MAX_FILE_SIZE + chunks.length * 16) {
+      await this.sendControl(peerAmixId, { kind: 'cancel', transferId, reason: 'invalid' });
+      return;
+    }
+
+    let transfer = this.transfers.get(transferId);
+
+    // An offer we already have is the sender reconnecting
+    if (transfer && (transfer.direction !== 'incoming' || transfer.peerAmixId !== peerAmixId ||
+        transfer.chunks.some((chunk, index) => chunk.hash !== chunks[index]?.hash))) {
+      await this.sendControl(peerAmixId, { kind: 'cancel', transferId, reason: 'conflict' });
+      return;
+    }
+
+    // A new offer waits for the user; the sender hears nothing until then
+    if (!transfer) {
+      transfer = {
+        id: transferId,
+        direction: 'incoming',
+        peerAmixId,
+        chunks: chunks.map(({ size, hash }) => ({ size, hash })),
+        tempDir: `${FileSystem.cacheDirectory}amix_transfer_${transferId}/`,
+        received: 0,
+        state: TRANSFER_STATES.OFFERED,
+        createdAt: Date.now(),
+      };
+      await this.saveTransfer(transfer);
+      this.reportProgress(transfer, 0);
+
+      await AmiXNotifications.sendNotification(AmiXNotifications.NOTIFICATION_TYPES.FILE, {
+        senderId: peerAmixId,
+        transferId,
+        size: this.transferSize(transfer),
+        event: 'offer',
+      });
+      return;
+    }
+    if (transfer.state === TRANSFER_STATES.OFFERED) {
+      return;
+    }
+
+    await this.sendControl(peerAmixId, { kind: 'resume', transferId, nextChunk: transfer.received });
+    this.reportProgress(transfer, transfer.received / transfer.chunks.length);
+  }
+
+  /**
+   * Accept a file a contact offered, so the sender starts sending it
+   * @param {string} transferId - Transfer ID from the progress event
+   * @returns {Promise<boolean>} - Whether there was an offer to accept
+   */
+  static async acceptOffer(transferId) {
+    const transfer = this.transfers.get(transferId);
+    if (!transfer || transfer.direction !== 'incoming' || transfer.state !== TRANSFER_STATES.OFFERED) {
+      return false;
+    }
+
+    transfer.state = TRANSFER_STATES.RECEIVING;
+    await FileSystem.makeDirectoryAsync(transfer.tempDir, { intermediates: true });
+    await this.saveTransfer(transfer);
+
+    // A sender that went away offers again when it reconnects
+    await this.sendControl(transfer.peerAmixId, { kind: 'resume', transferId, nextChunk: 0 });
+    this.reportProgress(transfer, 0);
+    return true;
+  }
+
+  /**
+   * Decline a file a contact offered
+   * @param {string} transferId - Transfer ID from the progress event
+   */
+  static async declineOffer(transferId) {
+    if (this.transfers.get(transferId)?.state === TRANSFER_STATES.OFFERED) {
+      await this.cancel(transferId, 'declined');
+    }
+  }
+
+  static async handleChunk(transfer, { index, data }) {
+    // A chunk we already have was resent after a reconnect
+    if (index !== transfer.received) {
+      await this.sendControl(transfer.peerAmixId, { kind: 'ack', transferId: transfer.id, nextChunk: transfer.received });
+      return;
+    }
+
+    const bytes = decodeBase64(data);
+    const { size, hash } = transfer.chunks[index];
+    if (bytes.length !== size || await AmiXAttachments.sha256(bytes) !== hash) {
+      throw new Error('File chunk hash mismatch');
+    }
+
+    await FileSystem.writeAsStringAsync(this.chunkPath(transfer, index), data, {
+      encoding: FileSystem.EncodingType.Base64,
+    });
+
+    transfer.received = index + 1;
+    if (transfer.received === transfer.chunks.length) {
+      transfer.state = TRANSFER_STATES.RECEIVED;
+    }
+    await this.saveTransfer(transfer);
+
+    await this.sendControl(transfer.peerAmixId, { kind: 'ack', transferId: transfer.id, nextChunk: transfer.received });
+    this.reportProgress(transfer, transfer.received / transfer.chunks.length);
+  }
+
+  /**
+   * Decrypt a received file. Pointers for files that came through the
+   * attachment store are downloaded from it.
+   * @param {Object} pointer - Attachment pointer from the E2E message
+   * @param {string} [outputPath] - Where to write the plaintext; by default
+   *   the cache file AmiXAttachments.download uses
+   * @param {Function} [onProgress] - Called with 0..1
+   * @returns {Promise<string>} - outputPath
+   */
+  static async download(pointer, outputPath, onProgress) {
+    if (pointer.transport !== 'p2p') {
+      return AmiXAttachments.download(pointer, outputPath, onProgress);
+    }
+
+    await this.initialize();
+    const transfer = this.transfers.get(pointer.transferId);
+    if (!transfer || transfer.direction !== 'incoming' || transfer.state !== TRANSFER_STATES.RECEIVED) {
+      throw new Error('File transfer not received');
+    }
+
+    // The chunks must be the ones the sender encrypted
+    if (await AmiXAttachments.digestChunks(transfer.chunks) !== pointer.digest) {
+      throw new Error('Attachment digest mismatch');
+    }
+
+    // Decrypting removes the chunk files
+    const result = await AmiXMediaEncryption.decryptStream(
+      {
+        header: decodeBase64(pointer.header),
+        chunks: transfer.chunks.map(({ size }, index) => ({ index, path: this.chunkPath(transfer, index), size })),
+        fileKey: decodeBase64(pointer.key),
+        tempDir: transfer.tempDir,
+      },
+      null,
+      outputPath || await AmiXAttachments.prepareOutputPath(pointer),
+      onProgress
+    );
+
+    await this.removeTransfer(transfer);
+    return result;
+  }
+
+  // --- Both sides ---
+
+  static handleMessage(peerAmixId, payload) {
+    const transferId = payload?.transferId;
+    if (!AmiXAttachments.isValidId(transferId)) {
+      return;
+    }
+
+    // One message at a time per transfer, in arrival order
+    const previous = this.work.get(transferId) || Promise.resolve();
+    const next = previous
+      .then(() => this.dispatch(peerAmixId, payload))
+      .catch(async (error) => {
+        console.error('Failed to handle file transfer message:', error);
+        if (this.transfers.get(transferId)?.peerAmixId === peerAmixId) {
+          await this.cancel(transferId, 'error');
+        }
+      })
+      .finally(() => {
+        if (this.work.get(transferId) === next) {
+          this.work.delete(transferId);
+        }
+      });
+    this.work.set(transferId, next);
+  }
+
+  static async dispatch(peerAmixId, payload) {
+    if (payload.kind === 'offer') {
+      await this.handleOffer(peerAmixId, payload);
+      return;
+    }
+
+    // Everything else is about a transfer we share with this peer
+    const transfer = this.transfers.get(payload.transferId);
+    if (!transfer || transfer.peerAmixId !== peerAmixId) {
+      return;
+    }
+
+    switch (payload.kind) {
+      case 'resume':
+        if (transfer.direction === 'outgoing' && transfer.state === TRANSFER_STATES.SENDING) {
+          await this.handleProgress(transfer, payload, true);
+        }
+        break;
+      case 'ack':
+        if (transfer.direction === 'outgoing' && transfer.state === TRANSFER_STATES.SENDING) {
+          await this.handleProgress(transfer, payload, false);
+        }
+        break;
+      case 'chunk':
+        if (transfer.direction === 'incoming' && transfer.state === TRANSFER_STATES.RECEIVING) {
+          await this.handleChunk(transfer, payload);
+        }
+        break;
+      case 'cancel':
+        transfer.state = TRANSFER_STATES.FAILED;
+        this.reportProgress(transfer, 0);
+        await this.removeTransfer(transfer);
+        break;
+      default:
+        console.warn('Unknown file transfer message:', payload.kind);
+    }
+  }
+
+  // Stop a transfer and tell the peer
+  static async cancel(transferId, reason = 'cancelled') {
+    const transfer = this.transfers.get(transferId);
+    if (!transfer) {
+      return;
+    }
+
+    transfer.state = TRANSFER_STATES.FAILED;
+    await this.sendControl(transfer.peerAmixId, { kind: 'cancel', transferId, reason });
+    this.reportProgress(transfer, 0);
+    await this.removeTransfer(transfer);
+  }
+
+  static async sendControl(peerAmixId, payload) {
+    return AmiXWebRTC.sendMessage(peerAmixId, { type: 'file_transfer', payload }, {
+      label: FILE_CHANNEL,
+      lane: LANES.CONTROL,
+    });
+  }
+
+  static chunkPath(transfer, index) {
+    return `${transfer.tempDir}chunk_${index}.enc`;
+  }
+
+  // Encrypted size, which is what an offer tells the receiver
+  static transferSize(transfer) {
+    return transfer.chunks.reduce((total, chunk) => total + chunk.size, 0);
+  }
+
+  static progressEvent(transfer, progress) {
+    return {
+      transferId: transfer.id,
+      peerAmixId: transfer.peerAmixId,
+      direction: transfer.direction,
+      state: transfer.state,
+      name: transfer.pointer?.name || null,
+      size: this.transferSize(transfer),
+      progress,
+    };
+  }
+
+  static reportProgress(transfer, progress) {
+    this.progressCallbacks.get(transfer.id)?.(progress);
+    this.emit('progress', this.progressEvent(transfer, progress));
+  }
+
+  // Transfers with a peer that haven't finished, for the chat screen
+  static getTransfers(peerAmixId) {
+    return Array.from(this.transfers.values())
+      .filter(transfer => transfer.peerAmixId === peerAmixId)
+      .map(transfer => this.progressEvent(
+        transfer,
+        (transfer.direction === 'outgoing' ? transfer.acked : transfer.received) / transfer.chunks.length
+      ));
+  }
+
+  static async saveTransfer(transfer) {
+    this.transfers.set(transfer.id, transfer);
+    await AmiXStorage.storeFileTransfers(Object.fromEntries(this.transfers));
+  }
+
+  static async removeTransfer(transfer) {
+    this.clearFallback(transfer.id);
+    this.progressCallbacks.delete(transfer.id);
+    this.transfers.delete(transfer.id);
+    await AmiXStorage.storeFileTransfers(Object.fromEntries(this.transfers));
+    await AmiXMediaEncryption.cleanupTempFiles(transfer.tempDir);
+  }
+}
+
+export default AmiXFileTransfer;
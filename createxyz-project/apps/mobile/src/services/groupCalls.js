@@ -0,0 +1,911 @@
+import { io } from 'socket.io-client';
+import { encodeBase64, decodeBase64 } from 'tweetnacl-util';
+import { AmiXCalls } from './calls';
+import { AmiXWebRTC } from './webrtc';
+import { signalingService } from './signaling';
+import { AmiXCrypto } from '../utils/crypto';
+import { AmiXStorage } from '../utils/storage';
+import { AmiXSFrame } from '../utils/sframe';
+import { GroupCrypto } from '../utils/groupCrypto';
+
+// AmiX Group Calls - multi-party voice and video for a group
+// Small calls are a mesh of peer connections; larger ones route media
+// through the SFU. Either way every participant SFrame-encrypts its frames
+// with its own media key, which only goes to participants over the
+// pairwise end-to-end sessions (group-call-* signals):
+//   - someone joins: everyone ratchets their key forward first, so the
+//     joiner can't decrypt anything sent before it arrived
+//   - someone leaves or is removed from the group: everyone switches to a
+//     fresh random key the leaver never sees
+// Only members of the group can take part in its calls.
+//
+// The SFU relays encoded frames over its socket rather than RTP, so SFU
+// media goes through loopback peer connections on the device. Our tracks
+// are encoded as for any peer, and the sender transform publishes each
+// frame instead of passing it on. For playback every participant gets a
+// loopback connection driven by our own tracks, whose receiver transform
+// swaps in that participant's frames before they reach the decoder.
+
+const SFU_URL = process.env.EXPO_PUBLIC_SFU_URL ||
+  process.env.EXPO_PUBLIC_SIGNALING_URL ||
+  process.env.EXPO_PUBLIC_BASE_URL;
+const SFU_NAMESPACE = '/sfu';
+const SFU_ACK_TIMEOUT = 10000;
+
+// Loopback connections never leave the device: no ICE servers needed
+const LOOPBACK_CONFIGURATION = {
+  iceServers: [],
+  encodedInsertableStreams: true,
+};
+
+export class AmiXGroupCalls {
+  static activeCalls = new Map();
+  static pendingInvitations = new Map();
+  static eventListeners = new Map();
+  static sfuSocket = null;
+  static signalingHandler = null;
+
+  static MESH_MAX_PARTICIPANTS = 4; // Beyond this every uplink would be too much
+  static SFU_PLAYOUT_QUEUE = 8; // Frames held per participant and kind until played
+  static SPEAKER_POLL_INTERVAL = 500;
+  static SPEAKER_THRESHOLD = 0.05;
+
+  static MODES = {
+    MESH: 'mesh',
+    SFU: 'sfu',
+  };
+
+  static SIGNALS = {
+    INVITATION: 'group-call-invitation',
+    JOIN: 'group-call-join',
+    KEY: 'group-call-key',
+    LEAVE: 'group-call-leave',
+    STATE: 'group-call-state',
+  };
+
+  static initialize() {
+    // Runs again when the signed-in user changes; listen only once
+    if (this.signalingHandler) return;
+
+    this.signalingHandler = (message) => {
+      this.handleSignal(message).catch((error) => {
+        console.error('Failed to handle group call signal:', error);
+      });
+    };
+    Object.values(this.SIGNALS).forEach((type) => {
+      signalingService.on(type, this.signalingHandler);
+    });
+  }
+
+  static on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(callback);
+  }
+
+  static off(event, callback) {
+    const listeners = this.eventListeners.get(event);
+    if (listeners) {
+      this.eventListeners.set(event, listeners.filter(listener => listener !== callback));
+    }
+  }
+
+  static emit(event, data) {
+    const listeners = this.eventListeners.get(event);
+    if (listeners) {
+      listeners.forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error('Event listener error:', error);
+        }
+      });
+    }
+  }
+
+  static chooseMode(participantCount) {
+    return participantCount <= this.MESH_MAX_PARTICIPANTS ? this.MODES.MESH : this.MODES.SFU;
+  }
+
+  // SFrame sender index: derived from the call and the member, so nobody
+  // can claim someone else's index
+  static async senderIndex(callId, amixId) {
+    const hash = await AmiXCrypto.hash(`${callId}:${amixId}`);
+    return (hash[0] << 16) | (hash[1] << 8) | hash[2];
+  }
+
+  static async getGroupMembers(groupId) {
+    const groupState = await GroupCrypto.getGroupState(groupId);
+    return Object.keys(groupState.members);
+  }
+
+  // --- Signaling ---
+
+  static async sendSignal(recipientId, type, data) {
+    // The type goes inside the encryption too, so it can't be relabelled
+    const signalingData = await AmiXCalls.encryptSignalingData({ ...data, signal: type }, recipientId);
+    return signalingService.sendSignal(recipientId, { type, ...signalingData });
+  }
+
+  static async broadcastSignal(call, type, data) {
+    await Promise.all(Array.from(call.participants.keys()).map(participantId =>
+      this.sendSignal(participantId, type, data).catch((error) => {
+        console.error('Failed to send group call signal:', error);
+      })
+    ));
+  }
+
+  static async handleSignal(message) {
+    const data = await AmiXCalls.decryptSignalingData(message.data, message.from);
+    if (data.signal !== message.type) {
+      throw new Error('Group call signal type mismatch');
+    }
+
+    // Invitations are only taken from members of the group they name
+    if (message.type === this.SIGNALS.INVITATION) {
+      const members = await this.getGroupMembers(data.groupId);
+      if (!members.includes(message.from)) {
+        throw new Error('Invitation from outside the group');
+      }
+
+      this.pendingInvitations.set(data.callId, { ...data, from: message.from });
+      this.emit('incomingGroupCall', {
+        callId: data.callId,
+        groupId: data.groupId,
+        callType: data.callType,
+        from: message.from,
+      });
+      return;
+    }
+
+    const call = this.activeCalls.get(data.callId);
+    if (!call) return;
+
+    const members = await this.getGroupMembers(call.groupId);
+    if (!members.includes(message.from)) {
+      throw new Error('Group call signal from outside the group');
+    }
+
+    switch (message.type) {
+      case this.SIGNALS.JOIN:
+        await this.handleJoin(call, message.from, data);
+        break;
+      case this.SIGNALS.KEY:
+        await this.handleKey(call, message.from, data);
+        break;
+      case this.SIGNALS.LEAVE:
+        await this.removeParticipant(call, message.from, 'left');
+        break;
+      case this.SIGNALS.STATE:
+        this.updateParticipantState(call, message.from, data);
+        break;
+      default:
+        break;
+    }
+  }
+
+  // --- Call lifecycle ---
+
+  static async createCall({ callId, groupId, callType, mode, host }) {
+    // Both modes take frames off encoded transforms
+    if (!AmiXCalls.supportsFrameEncryption()) {
+      throw new Error('Frame encryption is not supported on this device');
+    }
+
+    const ownId = await AmiXStorage.getAmiXId();
+    const mediaKey = await AmiXCrypto.generateRandomBytes(32);
+    const ownIndex = await this.senderIndex(callId, ownId);
+    const sender = await AmiXSFrame.createSenderContext(mediaKey, ownIndex);
+
+    const call = {
+      callId,
+      groupId,
+      callType,
+      mode,
+      host,
+      ownId,
+      ownIndex,
+      participants: new Map(),
+      localStream: null,
+      muted: false,
+      videoEnabled: callType === AmiXCalls.CALL_TYPES.VIDEO,
+      activeSpeaker: null,
+      speakerTimer: null,
+      createdAt: Date.now(),
+      frameEncryption: {
+        sender,
+        receiver: AmiXSFrame.createReceiverContext(),
+        ratchetTimer: setInterval(() => {
+          AmiXSFrame.ratchetSender(call.frameEncryption.sender).catch((error) => {
+            console.error('Failed to ratchet media key:', error);
+          });
+        }, AmiXCalls.FRAME_KEY_RATCHET_INTERVAL),
+      },
+    };
+
+    call.localStream = await navigator.mediaDevices.getUserMedia({
+      audio: {
+        echoCancellation: true,
+        noiseSuppression: true,
+        autoGainControl: true,
+      },
+      video: call.videoEnabled ? {
+        width: { ideal: 640 },
+        height: { ideal: 480 },
+        frameRate: { ideal: 24 },
+      } : false,
+    });
+
+    this.activeCalls.set(callId, call);
+    return call;
+  }
+
+  /**
+   * Start a call with every member of a group
+   * @param {string} groupId - Group whose members are invited
+   * @param {string} [callType] - AmiXCalls.CALL_TYPES.AUDIO or VIDEO
+   * @returns {Promise<Object>} - { callId, mode }
+   */
+  static async startGroupCall(groupId, callType = AmiXCalls.CALL_TYPES.AUDIO) {
+    try {
+      const ownId = await AmiXStorage.getAmiXId();
+      const members = await this.getGroupMembers(groupId);
+      if (!members.includes(ownId)) {
+        throw new Error('Not a member of this group');
+      }
+
+      const invitees = members.filter(memberId => memberId !== ownId);
+      if (invitees.length === 0) {
+        throw new Error('Nobody else in this group');
+      }
+
+      const callId = await AmiXCrypto.generateSecureUUID();
+      const mode = this.chooseMode(members.length);
+      const call = await this.createCall({ callId, groupId, callType, mode, host: ownId });
+
+      // 1) Open the SFU room for the group's members
+      if (mode === this.MODES.SFU) {
+        await this.sfuRequest('sfu:create', { callId, groupId, participants: invitees });
+        await this.sfuRequest('sfu:join', { callId, muted: call.muted, videoEnabled: call.videoEnabled });
+        await this.startSfuPublishing(call);
+      }
+
+      // 2) Invite everyone; keys only go to those who actually join
+      await Promise.all(invitees.map(memberId =>
+        this.sendSignal(memberId, this.SIGNALS.INVITATION, {
+          callId,
+          groupId,
+          callType,
+          mode,
+          host: ownId,
+          timestamp: Date.now(),
+        }).catch((error) => {
+          console.error('Failed to invite group member:', error);
+        })
+      ));
+
+      this.startSpeakerDetection(call);
+      this.emit('groupCallStarted', { callId, groupId, mode });
+
+      return { callId, mode };
+    } catch (error) {
+      throw new Error(`Group call start failed: ${error.message}`);
+    }
+  }
+
+  // Join a call we were invited to
+  static async joinGroupCall(callId) {
+    try {
+      const invitation = this.pendingInvitations.get(callId);
+      if (!invitation) {
+        throw new Error('No invitation for this call');
+      }
+      this.pendingInvitations.delete(callId);
+
+      const call = await this.createCall(invitation);
+
+      if (call.mode === this.MODES.SFU) {
+        await this.sfuRequest('sfu:join', { callId, muted: call.muted, videoEnabled: call.videoEnabled });
+        await this.startSfuPublishing(call);
+      }
+
+      // Whoever is in the call answers with their key (and an offer in a mesh)
+      const members = await this.getGroupMembers(call.groupId);
+      await Promise.all(members
+        .filter(memberId => memberId !== call.ownId)
+        .map(memberId =>
+          this.sendSignal(memberId, this.SIGNALS.JOIN, { callId, timestamp: Date.now() }).catch((error) => {
+            console.error('Failed to announce join:', error);
+          })
+        ));
+
+      this.startSpeakerDetection(call);
+      this.emit('groupCallJoined', { callId, groupId: call.groupId, mode: call.mode });
+
+      return { callId, mode: call.mode };
+    } catch (error) {
+      throw new Error(`Group call join failed: ${error.message}`);
+    }
+  }
+
+  static async leaveGroupCall(callId) {
+    const call = this.activeCalls.get(callId);
+    if (!call) return false;
+
+    try {
+      await this.broadcastSignal(call, this.SIGNALS.LEAVE, { callId, timestamp: Date.now() });
+
+      if (call.mode === this.MODES.SFU) {
+        await this.sfuRequest('sfu:leave', { callId }).catch(() => {});
+      }
+    } finally {
+      this.closeCall(call);
+    }
+
+    this.emit('groupCallEnded', { callId, groupId: call.groupId });
+    return true;
+  }
+
+  static closeCall(call) {
+    clearInterval(call.speakerTimer);
+    clearInterval(call.levelTimer);
+    call.sfuPublisher?.close();
+
+    for (const participant of call.participants.values()) {
+      participant.peerConnection?.close();
+      participant.playout?.close();
+    }
+    call.participants.clear();
+
+    call.localStream?.getTracks().forEach(track => track.stop());
+
+    AmiXCalls.teardownFrameEncryption(call);
+    this.activeCalls.delete(call.callId);
+  }
+
+  // --- Participants ---
+
+  static async addParticipant(call, amixId) {
+    if (call.participants.has(amixId)) {
+      return call.participants.get(amixId);
+    }
+
+    const index = await this.senderIndex(call.callId, amixId);
+    for (const [otherId, other] of call.participants) {
+      if (other.index === index || index === call.ownIndex) {
+        throw new Error(`Sender index of ${amixId} collides with ${otherId}`);
+      }
+    }
+
+    const participant = {
+      amixId,
+      index,
+      muted: false,
+      videoEnabled: call.callType === AmiXCalls.CALL_TYPES.VIDEO,
+      peerConnection: null,
+      playout: null,
+      stream: null,
+      joinedAt: Date.now(),
+    };
+    call.participants.set(amixId, participant);
+
+    if (call.mode === this.MODES.SFU) {
+      await this.startSfuPlayout(call, participant);
+    }
+    return participant;
+  }
+
+  // Mesh only: a peer connection to one participant, encrypted both ways
+  static async connectParticipant(call, participant) {
+    const peerConnection = await AmiXWebRTC.createPeerConnection(participant.amixId, { frameEncryption: true });
+    participant.peerConnection = peerConnection;
+
+    AmiXCalls.attachReceiverTransforms(peerConnection, call, (stream) => {
+      participant.stream = stream;
+      this.emit('participantStream', { callId: call.callId, amixId: participant.amixId, stream });
+    });
+
+    call.localStream.getTracks().forEach((track) => {
+      const sender = peerConnection.addTrack(track, call.localStream);
+      AmiXCalls.attachSenderTransform(sender, call);
+    });
+
+    return peerConnection;
+  }
+
+  static async sendOwnKey(call, recipientId, extra = {}) {
+    const { sender } = call.frameEncryption;
+    await this.sendSignal(recipientId, this.SIGNALS.KEY, {
+      callId: call.callId,
+      mediaKey: encodeBase64(sender.baseKey),
+      generation: sender.generation,
+      muted: call.muted,
+      videoEnabled: call.videoEnabled,
+      timestamp: Date.now(),
+      ...extra,
+    });
+  }
+
+  // Someone joined: ratchet first, then hand them our current key
+  static async handleJoin(call, joinerId, data) {
+    if (call.participants.has(joinerId)) return;
+
+    const participant = await this.addParticipant(call, joinerId);
+    await AmiXSFrame.ratchetSender(call.frameEncryption.sender);
+
+    let offer;
+    if (call.mode === this.MODES.MESH) {
+      const peerConnection = await this.connectParticipant(call, participant);
+      const description = await peerConnection.createOffer();
+      await peerConnection.setLocalDescription(description);
+      offer = description.sdp;
+    }
+
+    await this.sendOwnKey(call, joinerId, { offer, needReply: true });
+    this.emit('participantJoined', { callId: data.callId, amixId: joinerId });
+  }
+
+  // A participant's media key (and in a mesh, their side of the SDP)
+  static async handleKey(call, senderId, data) {
+    const isNew = !call.participants.has(senderId);
+    const participant = await this.addParticipant(call, senderId);
+
+    await AmiXSFrame.addReceiverKey(
+      call.frameEncryption.receiver,
+      participant.index,
+      decodeBase64(data.mediaKey),
+      data.generation || 0
+    );
+    this.updateParticipantState(call, senderId, data);
+
+    let answer;
+    if (call.mode === this.MODES.MESH) {
+      if (data.offer) {
+        const peerConnection = participant.peerConnection || await this.connectParticipant(call, participant);
+        await peerConnection.setRemoteDescription(new RTCSessionDescription({ type: 'offer', sdp: data.offer }));
+        const description = await peerConnection.createAnswer();
+        await peerConnection.setLocalDescription(description);
+        answer = description.sdp;
+      } else if (data.answer && participant.peerConnection) {
+        await participant.peerConnection.setRemoteDescription(
+          new RTCSessionDescription({ type: 'answer', sdp: data.answer })
+        );
+      }
+    }
+
+    if (data.needReply) {
+      await this.sendOwnKey(call, senderId, { answer, needReply: false });
+    }
+
+    if (isNew) {
+      this.emit('participantJoined', { callId: call.callId, amixId: senderId });
+    }
+  }
+
+  // Someone left or lost group membership: drop them and rekey
+  static async removeParticipant(call, amixId, reason) {
+    const participant = call.participants.get(amixId);
+    if (!participant) return;
+
+    participant.peerConnection?.close();
+    participant.playout?.close();
+    AmiXSFrame.removeReceiverKey(call.frameEncryption.receiver, participant.index);
+    call.participants.delete(amixId);
+
+    if (call.activeSpeaker === amixId) {
+      call.activeSpeaker = null;
+    }
+
+    this.emit('participantLeft', { callId: call.callId, amixId, reason });
+    await this.rekey(call);
+  }
+
+  // A fresh key, sent only to who is still here
+  static async rekey(call) {
+    const { sender } = call.frameEncryption;
+    const mediaKey = await AmiXCrypto.generateRandomBytes(32);
+
+    AmiXCrypto.secureDelete(sender.baseKey);
+    const next = await AmiXSFrame.createSenderContext(mediaKey, call.ownIndex, sender.generation + 1);
+    sender.baseKey = next.baseKey;
+    sender.generation = next.generation;
+    sender.keys = next.keys;
+
+    await Promise.all(Array.from(call.participants.keys()).map(participantId =>
+      this.sendOwnKey(call, participantId, { needReply: false }).catch((error) => {
+        console.error('Failed to send new media key:', error);
+      })
+    ));
+  }
+
+  /**
+   * Group membership changed: anyone in a call who is no longer a member is
+   * dropped (and the call rekeyed); as host we also update the SFU room.
+   */
+  static async handleMembershipChange(groupId) {
+    try {
+      const members = await this.getGroupMembers(groupId);
+
+      for (const call of this.activeCalls.values()) {
+        if (call.groupId !== groupId) continue;
+
+        if (!members.includes(call.ownId)) {
+          await this.leaveGroupCall(call.callId);
+          continue;
+        }
+
+        const removed = Array.from(call.participants.keys()).filter(id => !members.includes(id));
+        for (const amixId of removed) {
+          await this.removeParticipant(call, amixId, 'removed');
+        }
+
+        if (call.mode === this.MODES.SFU && call.host === call.ownId) {
+          await this.sfuRequest('sfu:update-participants', {
+            callId: call.callId,
+            add: members.filter(id => id !== call.ownId),
+            remove: removed,
+          });
+        }
+      }
+    } catch (error) {
+      console.error('Failed to apply group membership to calls:', error);
+    }
+  }
+
+  // --- Mute, camera and active speaker ---
+
+  static async setMuted(callId, muted) {
+    const call = this.activeCalls.get(callId);
+    if (!call) throw new Error('Call not found');
+
+    call.muted = muted;
+    call.localStream?.getAudioTracks().forEach((track) => {
+      track.enabled = !muted;
+    });
+    await this.publishState(call);
+  }
+
+  static async setVideoEnabled(callId, videoEnabled) {
+    const call = this.activeCalls.get(callId);
+    if (!call) throw new Error('Call not found');
+
+    call.videoEnabled = videoEnabled;
+    call.localStream?.getVideoTracks().forEach((track) => {
+      track.enabled = videoEnabled;
+    });
+    await this.publishState(call);
+  }
+
+  static async publishState(call) {
+    const state = { callId: call.callId, muted: call.muted, videoEnabled: call.videoEnabled };
+
+    if (call.mode === this.MODES.SFU) {
+      await this.sfuRequest('sfu:state', state);
+    }
+    await this.broadcastSignal(call, this.SIGNALS.STATE, { ...state, timestamp: Date.now() });
+  }
+
+  static updateParticipantState(call, amixId, { muted, videoEnabled }) {
+    const participant = call.participants.get(amixId);
+    if (!participant) return;
+
+    if (typeof muted === 'boolean') participant.muted = muted;
+    if (typeof videoEnabled === 'boolean') participant.videoEnabled = videoEnabled;
+
+    this.emit('participantStateChanged', {
+      callId: call.callId,
+      amixId,
+      muted: participant.muted,
+      videoEnabled: participant.videoEnabled,
+    });
+  }
+
+  static setActiveSpeaker(call, amixId) {
+    if (call.activeSpeaker === amixId) return;
+    call.activeSpeaker = amixId;
+    this.emit('activeSpeakerChanged', { callId: call.callId, amixId });
+  }
+
+  // In a mesh we read audio levels off our own receivers; the SFU announces
+  // the active speaker itself
+  static startSpeakerDetection(call) {
+    if (call.mode !== this.MODES.MESH) return;
+
+    call.speakerTimer = setInterval(() => {
+      let loudest = null;
+      let loudestLevel = this.SPEAKER_THRESHOLD;
+
+      for (const participant of call.participants.values()) {
+        if (participant.muted || !participant.peerConnection) continue;
+
+        participant.peerConnection.getReceivers()
+          .filter(receiver => receiver.track?.kind === 'audio')
+          .forEach((receiver) => {
+            const [source] = receiver.getSynchronizationSources?.() || [];
+            if (source?.audioLevel > loudestLevel) {
+              loudest = participant.amixId;
+              loudestLevel = source.audioLevel;
+            }
+          });
+      }
+
+      if (loudest) {
+        this.setActiveSpeaker(call, loudest);
+      }
+    }, this.SPEAKER_POLL_INTERVAL);
+  }
+
+  // --- SFU ---
+
+  static async connectSfu() {
+    if (this.sfuSocket) return this.sfuSocket;
+
+    const token = await signalingService.getAuthToken();
+    if (!token) {
+      throw new Error('Not signed in');
+    }
+
+    this.sfuSocket = io(`${SFU_URL}${SFU_NAMESPACE}`, {
+      auth: { token, amixId: await AmiXStorage.getAmiXId() },
+      transports: ['websocket'],
+      reconnection: true,
+    });
+    this.setupSfuHandlers(this.sfuSocket);
+
+    return this.sfuSocket;
+  }
+
+  static async sfuRequest(event, payload) {
+    const socket = await this.connectSfu();
+
+    return new Promise((resolve, reject) => {
+      socket.timeout(SFU_ACK_TIMEOUT).emit(event, payload, (error, response) => {
+        if (error || !response) {
+          return reject(new Error('SFU did not respond'));
+        }
+        if (response.status === 'error') {
+          return reject(new Error(response.message));
+        }
+        resolve(response.data);
+      });
+    });
+  }
+
+  static setupSfuHandlers(socket) {
+    socket.on('sfu:frame', (meta, data) => {
+      this.handleSfuFrame(meta, data).catch(() => {
+        // Frames we can't authenticate are dropped
+      });
+    });
+
+    socket.on('sfu:active-speaker', ({ callId, amixId }) => {
+      const call = this.activeCalls.get(callId);
+      if (call && (amixId === call.ownId || call.participants.has(amixId))) {
+        this.setActiveSpeaker(call, amixId);
+      }
+    });
+
+    socket.on('sfu:participant-state', ({ callId, participant }) => {
+      const call = this.activeCalls.get(callId);
+      if (call && participant) {
+        this.updateParticipantState(call, participant.amixId, participant);
+      }
+    });
+
+    // The host dropped us from the room after a membership change
+    socket.on('sfu:removed', ({ callId }) => {
+      const call = this.activeCalls.get(callId);
+      if (call) {
+        this.closeCall(call);
+        this.emit('groupCallEnded', { callId, groupId: call.groupId, reason: 'removed' });
+      }
+    });
+
+    socket.on('disconnect', () => {
+      for (const call of this.activeCalls.values()) {
+        if (call.mode === this.MODES.SFU) {
+          this.emit('groupCallInterrupted', { callId: call.callId });
+        }
+      }
+    });
+  }
+
+  /**
+   * Send one encoded frame through the SFU. The publisher's sender
+   * transforms feed the encoder output here; it leaves the device
+   * SFrame-encrypted.
+   * @param {string} callId
+   * @param {string} kind - 'audio' or 'video'
+   * @param {Uint8Array} frame - Encoded frame
+   * @param {Object} [info] - { type: 'key'|'delta' for video, audioLevel 0..1, timestamp }
+   */
+  static async publishFrame(callId, kind, frame, info = {}) {
+    const call = this.activeCalls.get(callId);
+    if (!call || call.mode !== this.MODES.SFU) {
+      throw new Error('Not in an SFU call');
+    }
+
+    if ((kind === 'audio' && call.muted) || (kind === 'video' && !call.videoEnabled)) {
+      return;
+    }
+
+    const encrypted = await AmiXSFrame.encryptFrame(
+      call.frameEncryption.sender,
+      frame,
+      AmiXCalls.frameClearBytes(info)
+    );
+
+    this.sfuSocket.emit('sfu:frame', {
+      callId,
+      kind,
+      type: info.type,
+      timestamp: info.timestamp,
+      // Like the RTP audio level extension, this stays readable for the SFU
+      audioLevel: kind === 'audio' ? info.audioLevel : undefined,
+    }, encrypted);
+  }
+
+  static async handleSfuFrame(meta, data) {
+    const call = this.activeCalls.get(meta.callId);
+    const participant = call?.participants.get(meta.from);
+    if (!participant) return;
+
+    const { frame, senderIndex } = await AmiXSFrame.decryptFrame(
+      call.frameEncryption.receiver,
+      new Uint8Array(data),
+      AmiXCalls.frameClearBytes(meta)
+    );
+
+    // The SFU said who sent it; the key says who really did
+    if (senderIndex !== participant.index) return;
+
+    const queue = participant.playout?.queues.get(meta.kind);
+    if (!queue) return;
+
+    // A stalled decoder shouldn't hold on to frames; drop the oldest
+    queue.push(frame);
+    if (queue.length > this.SFU_PLAYOUT_QUEUE) {
+      queue.shift();
+    }
+  }
+
+  // --- SFU media ---
+
+  // Two peer connections wired to each other on this device, with our
+  // local tracks on the sending side
+  static async createLoopback(stream, { onSender, onTrack }) {
+    const local = new RTCPeerConnection(LOOPBACK_CONFIGURATION);
+    const remote = new RTCPeerConnection(LOOPBACK_CONFIGURATION);
+
+    local.onicecandidate = ({ candidate }) => candidate && remote.addIceCandidate(candidate);
+    remote.onicecandidate = ({ candidate }) => candidate && local.addIceCandidate(candidate);
+    if (onTrack) {
+      remote.ontrack = onTrack;
+    }
+
+    stream.getTracks().forEach((track) => {
+      const sender = local.addTrack(track, stream);
+      onSender?.(sender, track);
+    });
+
+    const offer = await local.createOffer();
+    await local.setLocalDescription(offer);
+    await remote.setRemoteDescription(offer);
+    const answer = await remote.createAnswer();
+    await remote.setLocalDescription(answer);
+    await local.setRemoteDescription(answer);
+
+    return {
+      local,
+      remote,
+      close: () => {
+        local.close();
+        remote.close();
+      },
+    };
+  }
+
+  // Publish every frame our encoders produce; nothing crosses the loopback
+  static async startSfuPublishing(call) {
+    call.ownAudioLevel = 0;
+    call.sfuPublisher = await this.createLoopback(call.localStream, {
+      onSender: (sender, track) => {
+        const { readable } = sender.createEncodedStreams();
+
+        readable.pipeTo(new WritableStream({
+          write: frame => this.publishFrame(call.callId, track.kind, new Uint8Array(frame.data), {
+            type: frame.type,
+            timestamp: frame.timestamp,
+            audioLevel: call.ownAudioLevel,
+          }).catch((error) => {
+            console.error('Failed to publish frame:', error);
+          }),
+        })).catch((error) => {
+          console.error('Frame publishing stopped:', error);
+        });
+      },
+    });
+
+    // The SFU picks the active speaker from the level sent with audio frames
+    call.levelTimer = setInterval(async () => {
+      try {
+        const stats = await call.sfuPublisher.local.getStats();
+        stats.forEach((report) => {
+          if (report.type === 'media-source' && report.kind === 'audio') {
+            call.ownAudioLevel = report.audioLevel || 0;
+          }
+        });
+      } catch (error) {
+        // Keep the last level
+      }
+    }, this.SPEAKER_POLL_INTERVAL);
+  }
+
+  // Play a participant's frames, in place of ours, through a loopback
+  static async startSfuPlayout(call, participant) {
+    const queues = new Map([['audio', []], ['video', []]]);
+
+    const playout = await this.createLoopback(call.localStream, {
+      onTrack: (event) => {
+        const queue = queues.get(event.track.kind);
+        const { readable, writable } = event.receiver.createEncodedStreams();
+
+        readable.pipeThrough(new TransformStream({
+          transform: (frame, controller) => {
+            const next = queue.shift();
+            if (!next) return;
+
+            frame.data = next.buffer.slice(next.byteOffset, next.byteOffset + next.byteLength);
+            controller.enqueue(frame);
+          },
+        })).pipeTo(writable).catch((error) => {
+          console.error('Frame playout stopped:', error);
+        });
+
+        if (event.streams?.[0] && participant.stream !== event.streams[0]) {
+          participant.stream = event.streams[0];
+          this.emit('participantStream', { callId: call.callId, amixId: participant.amixId, stream: participant.stream });
+        }
+      },
+    });
+
+    participant.playout = { ...playout, queues };
+    return participant.playout;
+  }
+
+  // Choose whose video the SFU sends us (null for everyone)
+  static async subscribeVideo(callId, amixIds = null) {
+    return this.sfuRequest('sfu:subscribe', { callId, videoFrom: amixIds });
+  }
+
+  // --- Queries ---
+
+  static getGroupCall(callId) {
+    const call = this.activeCalls.get(callId);
+    if (!call) return null;
+
+    return {
+      callId: call.callId,
+      groupId: call.groupId,
+      callType: call.callType,
+      mode: call.mode,
+      host: call.host,
+      muted: call.muted,
+      videoEnabled: call.videoEnabled,
+      activeSpeaker: call.activeSpeaker,
+      participants: Array.from(call.participants.values()).map(participant => ({
+        amixId: participant.amixId,
+        muted: participant.muted,
+        videoEnabled: participant.videoEnabled,
+        joinedAt: participant.joinedAt,
+      })),
+    };
+  }
+
+  static getActiveGroupCalls() {
+    return Array.from(this.activeCalls.keys()).map(callId => this.getGroupCall(callId));
+  }
+}
+
+export default AmiXGroupCalls;
@@ -0,0 +1,224 @@
+import { AmiXStorage } from '../utils/storage';
+import { AmiXCrypto } from '../utils/crypto';
+import { GroupCrypto } from '../utils/groupCrypto';
+import { AmiXEditControl, EDIT_ACTIONS } from '../utils/editControl';
+import { AmiXWebRTC } from './webrtc';
+import { AmiXMessageQueue } from './messageQueue';
+import { AmiXMLSDelivery } from './mlsDelivery';
+
+// AmiX Message Edits - edit and delete for everyone
+// Controls are signed with our identity signing key and sent through the
+// same channel as the message they change: the message queue for direct
+// chats, the MLS delivery service for groups. Incoming controls are only
+// applied when the transport's sender, the signed senderId and the
+// original message's author all agree and the signature checks out against
+// the key pinned for that sender.
+
+export class AmiXMessageEdits {
+  static initialized = false;
+  static eventListeners = new Map();
+
+  static initialize() {
+    if (this.initialized) {
+      return true;
+    }
+    this.initialized = true;
+
+    AmiXWebRTC.on('messageReceived', ({ peerAmixId, messageId, message }) => {
+      this.handleDirectMessage(peerAmixId, messageId, message);
+    });
+    // Changes we made on another of our devices
+    AmiXWebRTC.on('messageSynced', ({ peerAmixId, message }) => {
+      const control = AmiXEditControl.parseControl(message);
+      if (control) this.applyControl(peerAmixId, 'self', control);
+    });
+    AmiXMLSDelivery.setEditHandler((groupId, senderId, control) => this.applyControl(groupId, senderId, control));
+
+    return true;
+  }
+
+  static async editMessage(conversationId, messageId, content) {
+    return await this.sendChange(conversationId, messageId, EDIT_ACTIONS.EDIT, content);
+  }
+
+  static async deleteForEveryone(conversationId, messageId) {
+    return await this.sendChange(conversationId, messageId, EDIT_ACTIONS.DELETE);
+  }
+
+  /**
+   * Sign a change to one of our messages, send it and apply it here
+   * @returns {Promise<Object>} - The updates made to the stored message
+   */
+  static async sendChange(conversationId, messageId, action, content = null) {
+    try {
+      // 1) Only our own messages, and only inside the window
+      const message = await AmiXStorage.getMessage(messageId);
+      if (!message || message.conversationId !== conversationId || AmiXEditControl.authorOf(message) !== 'self') {
+        throw new Error('Only your own messages can be changed');
+      }
+
+      const identityKeys = await AmiXStorage.getIdentityKeys();
+      const control = AmiXEditControl.createControl({
+        action,
+        messageId,
+        senderId: await AmiXStorage.getAmiXId(),
+        content,
+        signingKey: identityKeys.current.signingPublicKey,
+      });
+
+      const reason = AmiXEditControl.rejectReason(message, control);
+      if (reason) {
+        throw new Error(`Message can no longer be changed: ${reason}`);
+      }
+
+      // 2) Sign it
+      control.signature = await AmiXCrypto.signMessage(
+        AmiXEditControl.signingPayload(control),
+        identityKeys.current.signingPrivateKey
+      );
+      const payload = JSON.stringify(control);
+
+      // 3) Send it the way the original went
+      const group = await AmiXStorage.getGroup(conversationId);
+      if (group?.type === GroupCrypto.GROUP_TYPES.MLS) {
+        await AmiXMLSDelivery.sendMessage(conversationId, { id: control.senderId }, payload);
+      } else {
+        await AmiXMessageQueue.addToOutbox({
+          recipientId: conversationId,
+          content: payload,
+          priority: 'high',
+          expiresAt: null,
+        });
+      }
+
+      // 4) Apply it here
+      return await this.updateMessage(message, control);
+    } catch (error) {
+      console.error(`Failed to ${action} message:`, error);
+      throw error;
+    }
+  }
+
+  // Controls from a peer arrive as ordinary messages
+  static async handleDirectMessage(peerAmixId, messageId, content) {
+    const control = AmiXEditControl.parseControl(content);
+    if (!control) return;
+
+    try {
+      // The control was stored as a chat message on receipt
+      if (messageId) {
+        await AmiXStorage.deleteMessage(messageId);
+      }
+      await this.applyControl(peerAmixId, peerAmixId, control);
+    } catch (error) {
+      console.error('Failed to handle message edit:', error);
+    }
+  }
+
+  /**
+   * Apply a change someone sent, if they wrote the message it names
+   * @param {string} conversationId - Peer's AmiX ID or group ID
+   * @param {string} authorId - Sender the transport authenticated; 'self' for our other devices
+   * @param {Object} control - From parseControl
+   * @returns {Promise<boolean>} - Whether it was applied
+   */
+  static async applyControl(conversationId, authorId, control) {
+    try {
+      // 1) Signed by the sender the transport vouches for
+      if (!await this.verifyControl(control, authorId)) {
+        console.warn('Ignoring message edit with a bad signature:', control.messageId);
+        return false;
+      }
+
+      // 2) Naming a message they wrote in this conversation
+      const message = await AmiXStorage.getMessage(control.messageId);
+      if (message && (message.conversationId !== conversationId || AmiXEditControl.authorOf(message) !== authorId)) {
+        console.warn('Ignoring message edit from someone other than the author:', control.messageId);
+        return false;
+      }
+
+      // 3) Inside the window and newer than what we have
+      const reason = AmiXEditControl.rejectReason(message, control);
+      if (reason) {
+        console.warn(`Ignoring message ${control.action}:`, reason);
+        return false;
+      }
+
+      await this.updateMessage(message, control);
+      return true;
+    } catch (error) {
+      console.error('Failed to apply message edit:', error);
+      return false;
+    }
+  }
+
+  static async verifyControl(control, authorId) {
+    const ownId = await AmiXStorage.getAmiXId();
+    const expectedSender = authorId === 'self' ? ownId : authorId;
+    if (control.senderId !== expectedSender) {
+      return false;
+    }
+
+    // Our other devices reach us over our own authenticated sessions; for
+    // everyone else the key must be the one we pinned for them
+    const pinned = authorId === 'self' ? null : await AmiXStorage.getSigningKey(authorId);
+    if (pinned && pinned !== control.signingKey) {
+      return false;
+    }
+
+    const valid = await AmiXCrypto.verifyMessageIntegrity(
+      AmiXEditControl.signingPayload(control),
+      control.signature,
+      control.signingKey
+    );
+
+    // First signed change from this sender: trust the key from now on
+    if (valid && !pinned && authorId !== 'self') {
+      await AmiXStorage.storeSigningKey(authorId, control.signingKey);
+    }
+    return valid;
+  }
+
+  static async updateMessage(message, control) {
+    const updates = AmiXEditControl.applyChange(message, control);
+    await AmiXStorage.updateMessage(message.id, updates);
+
+    this.emit('messageChanged', {
+      conversationId: message.conversationId,
+      messageId: message.id,
+      action: control.action,
+      updates,
+    });
+    return updates;
+  }
+
+  // Event system
+  static on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(callback);
+  }
+
+  static off(event, callback) {
+    const listeners = this.eventListeners.get(event);
+    if (listeners) {
+      this.eventListeners.set(event, listeners.filter(listener => listener !== callback));
+    }
+  }
+
+  static emit(event, data) {
+    const listeners = this.eventListeners.get(event);
+    if (listeners) {
+      listeners.forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error('Event listener error:', error);
+        }
+      });
+    }
+  }
+}
+
+export default AmiXMessageEdits;
@@ -1,6 +1,16 @@
 import { AmiXStorage } from '../utils/storage';
+import { GroupCrypto } from '../utils/groupCrypto';
 import { AmiXWebRTC } from './webrtc';
+import { AmiXPreKeys } from './prekeys';
+import { AmiXDevices } from './devices';
+import { AmiXMLSDelivery } from './mlsDelivery';
+import { AmiXSealedSender } from './sealedSender';
 import { AmiXAnalytics } from '../utils/analytics';
+import { AmiXReceipts, RECEIPT_STATUSES, RECEIPT_CONFIG } from '../utils/receipts';
+import { LANES } from '../utils/dataChannelFraming';
+import { AmiXDisappearingTimers } from '../utils/disappearing';
+import { AmiXEditControl } from '../utils/editControl';
+import { AmiXThreadSync } from '../utils/threadSync';
 
 // AmiX Message Queue Service - Offline-first messaging implementation
 // Implements outbox pattern with retry logic and conflict resolution
@@ -11,17 +21,63 @@ export class AmiXMessageQueue {
   static maxRetries = 5;
   static isProcessing = false;
   static networkStatus = 'unknown';
+  static relayPollInterval = 30000; // Poll the relay mailbox every 30 seconds
+  static relayPollTimer = null;
+  static isDrainingRelay = false;
+  static parkedRelayMessages = new Map(); // Fetched blobs we couldn't handle yet
+  static maxRelayAttempts = 10;
+  static relayTtl = 7 * 24 * 60 * 60 * 1000; // 7 days
+  static initialized = false;
+  static receiptBatches = new Map(); // peer|group|status -> { messageIds, timer }
+  static readReceiptsEnabled = true;
 
   static async initialize() {
     try {
+      // Runs again when the signed-in user changes; start only once
+      if (this.initialized) return true;
+      this.initialized = true;
+
       // Load existing outbox from storage
       await this.loadOutbox();
+      await this.loadParkedRelayMessages();
       
       // Start processing queue
       this.startProcessing();
       
       // Set up network status monitoring
       this.monitorNetworkStatus();
+
+      // Drain anything the relay stored for us while we were away
+      this.startRelayPolling();
+
+      // Data channel acks confirm P2P deliveries; missing ones send it again
+      AmiXWebRTC.on('messageAcknowledged', ack => this.handleAcknowledgment(ack));
+      AmiXWebRTC.on('messageUnacknowledged', ({ messageId }) => this.handleUnacknowledged(messageId));
+
+      // Receipts: we confirm what we receive, and apply what peers confirm
+      const preferences = await AmiXStorage.get(AmiXStorage.STORAGE_KEYS.USER_PREFERENCES);
+      this.readReceiptsEnabled = preferences?.readReceipts !== false;
+      AmiXWebRTC.on('messageReceived', ({ peerAmixId, messageId }) => {
+        if (messageId) {
+          this.queueReceipt(peerAmixId, RECEIPT_STATUSES.DELIVERED, [messageId]);
+        }
+      });
+      AmiXWebRTC.on('receiptReceived', ({ peerAmixId, receipt }) => this.handleReceipt(peerAmixId, receipt));
+      AmiXMLSDelivery.setReceiptSender((senderId, messageId, groupId) =>
+        this.queueReceipt(senderId, RECEIPT_STATUSES.DELIVERED, [messageId], groupId)
+      );
+
+      // Group sender keys travel over our pairwise sessions
+      GroupCrypto.setSenderKeyDistributor((recipientId, distribution) =>
+        this.sendSenderKeyDistribution(recipientId, distribution)
+      );
+      GroupCrypto.setControlSender((recipientId, control) =>
+        this.sendGroupControl(recipientId, control)
+      );
+
+      // Register this device, then make sure peers can reach it with X3DH
+      // while we are offline
+      AmiXDevices.registerDevice().then(() => AmiXPreKeys.initialize());
       
       return true;
     } catch (error) {
@@ -35,6 +91,13 @@ export class AmiXMessageQueue {
       const outboxData = await AmiXStorage.get('message_outbox');
       if (outboxData) {
         this.outbox = new Map(Object.entries(outboxData));
+
+        // Acks for channels that are gone will never come
+        for (const outboxItem of this.outbox.values()) {
+          if (outboxItem.status === 'awaiting_ack') {
+            outboxItem.status = 'pending';
+          }
+        }
       }
     } catch (error) {
       console.error('Failed to load outbox:', error);
@@ -53,11 +116,20 @@ export class AmiXMessageQueue {
   static async addToOutbox(message) {
     try {
       const messageId = await this.generateMessageId();
+      const timestamp = Date.now();
+
+      // Disappearing messages expire in the outbox too; control messages
+      // pass expiresAt: null to stay until sent
+      const expiresAt = 'expiresAt' in message
+        ? message.expiresAt
+        : AmiXDisappearingTimers.expiresAt(timestamp, await AmiXStorage.getDisappearingTimer(message.recipientId));
+
       const outboxItem = {
         id: messageId,
         message: message,
         recipientId: message.recipientId,
-        timestamp: Date.now(),
+        timestamp,
+        expiresAt,
         retryCount: 0,
         lastRetry: null,
         status: 'pending',
@@ -98,7 +170,7 @@ export class AmiXMessageQueue {
   }
 
   static async processQueue() {
-    if (this.networkStatus !== 'online') {
+    if (this.networkStatus === 'offline') {
       return; // Don't process when offline
     }
 
@@ -128,6 +200,13 @@ export class AmiXMessageQueue {
 
   static async processMessage(outboxItem) {
     try {
+      // An expired message is never sent
+      if (this.isExpired(outboxItem)) {
+        this.outbox.delete(outboxItem.id);
+        await this.saveOutbox();
+        return;
+      }
+
       // Check if message should be retried
       if (outboxItem.retryCount >= this.maxRetries) {
         await this.markMessageFailed(outboxItem.id, 'max_retries_exceeded');
@@ -145,7 +224,11 @@ export class AmiXMessageQueue {
       // Attempt to send message
       const success = await this.sendMessage(outboxItem);
       
-      if (success) {
+      if (success && outboxItem.status === 'awaiting_ack') {
+        // Sent over a data channel; the peer's ack marks it sent
+        this.outbox.set(outboxItem.id, outboxItem);
+        await this.saveOutbox();
+      } else if (success) {
         await this.markMessageSent(outboxItem.id);
       } else {
         await this.markMessageRetry(outboxItem.id);
@@ -160,34 +243,259 @@ export class AmiXMessageQueue {
     try {
       const { message, recipientId } = outboxItem;
 
-      // Try P2P first
-      if (AmiXWebRTC.isConnected(recipientId)) {
-        const success = await AmiXWebRTC.sendEncryptedMessage(recipientId, message.content);
+      // Already-encrypted payloads go out untargeted, as before
+      if (message.encryptedData) {
+        outboxItem.deliveryMethod = 'relay';
+        return await this.sendViaRelay({ ...message, recipientId });
+      }
+
+      // Every linked device of the recipient gets its own ciphertext
+      const deviceIds = await AmiXDevices.getDeviceIds(recipientId);
+
+      // Try P2P first; a data channel reaches only one device
+      if (deviceIds.length === 1 && AmiXWebRTC.isConnected(recipientId)) {
+        const success = await AmiXWebRTC.sendEncryptedMessage(
+          recipientId,
+          message.content,
+          deviceIds[0],
+          { messageId: outboxItem.id }
+        );
         if (success) {
+          outboxItem.deliveryMethod = 'p2p';
+          outboxItem.status = 'awaiting_ack';
+          await this.syncToOwnDevices(recipientId, message.content, outboxItem.id);
           return true;
         }
       }
 
-      // Fallback to relay service
-      return await this.sendViaRelay(message);
+      // Fallback to relay service, one blob per device. Devices that already
+      // got the message are remembered so retries don't duplicate it.
+      outboxItem.deliveryMethod = 'relay';
+      outboxItem.deliveredDevices = outboxItem.deliveredDevices || [];
+
+      for (const deviceId of deviceIds) {
+        if (outboxItem.deliveredDevices.includes(deviceId)) continue;
+
+        const encryptedData = await this.encryptForRelay(recipientId, message.content, deviceId, outboxItem.id);
+        const sent = await this.deliverToDevice({
+          ...message,
+          recipientId,
+          recipientDeviceId: deviceId,
+          encryptedData,
+          ttl: outboxItem.expiresAt ? outboxItem.expiresAt - Date.now() : message.ttl,
+        });
+
+        if (sent) {
+          outboxItem.deliveredDevices.push(deviceId);
+        }
+      }
+
+      const delivered = deviceIds.every(deviceId => outboxItem.deliveredDevices.includes(deviceId));
+      if (delivered) {
+        await this.syncToOwnDevices(recipientId, message.content, outboxItem.id);
+      }
+      return delivered;
     } catch (error) {
       console.error('Failed to send message:', error);
       return false;
     }
   }
 
+  // Encrypt with the ratchet for one device and wrap it the same way the data channel does
+  static async encryptForRelay(recipientId, content, deviceId = null, messageId = null) {
+    return {
+      type: 'encrypted_message',
+      messageId,
+      payload: await AmiXWebRTC.encryptForPeer(recipientId, content, deviceId),
+    };
+  }
+
+  /**
+   * Relay an envelope to one device of a peer. It goes sealed when the peer
+   * shared its delivery token with us, so the relay can't see the sender;
+   * otherwise it goes the regular way with our encrypted profile attached.
+   * A sealed send that fails is retried sealed by the outbox, never resent
+   * in a way that names us.
+   */
+  static async deliverToDevice(message) {
+    const { recipientId, recipientDeviceId, encryptedData } = message;
+    const ttl = message.ttl || this.relayTtl;
+
+    try {
+      const sealed = await AmiXSealedSender.seal(recipientId, recipientDeviceId, encryptedData);
+      if (sealed) {
+        return await AmiXSealedSender.send(recipientId, recipientDeviceId, sealed, ttl);
+      }
+    } catch (error) {
+      console.error('Failed to send sealed message:', error);
+      return false;
+    }
+
+    return await this.sendViaRelay({
+      ...message,
+      encryptedData: {
+        ...encryptedData,
+        profile: await AmiXSealedSender.createProfile(recipientId, recipientDeviceId),
+      },
+    });
+  }
+
+  // Send a transcript of what we sent to our other linked devices. It carries
+  // the message ID, so edits, deletes and receipts find their copy too.
+  static async syncToOwnDevices(recipientId, content, messageId) {
+    try {
+      const ownDeviceIds = await AmiXDevices.getOwnOtherDeviceIds();
+      if (ownDeviceIds.length === 0) return;
+
+      const amixId = await AmiXStorage.getAmiXId();
+      const transcript = JSON.stringify({
+        messageId,
+        recipientId,
+        content,
+        timestamp: Date.now(),
+      });
+
+      for (const deviceId of ownDeviceIds) {
+        await this.sendViaRelay({
+          recipientId: amixId,
+          recipientDeviceId: deviceId,
+          encryptedData: {
+            type: 'sync_sent',
+            payload: await AmiXWebRTC.encryptForPeer(amixId, transcript, deviceId),
+          },
+        });
+      }
+    } catch (error) {
+      // Sync is best effort; the recipient already has the message
+      console.error('Failed to sync sent message:', error);
+    }
+  }
+
+  // A message one of our other devices sent
+  static async handleSentTranscript(relayMessage, payload) {
+    const amixId = await AmiXStorage.getAmiXId();
+    if (relayMessage.senderId !== amixId) {
+      throw new Error('Sent transcript from another identity');
+    }
+
+    const transcript = JSON.parse(
+      await AmiXWebRTC.decryptFromPeer(amixId, payload, relayMessage.senderDeviceId)
+    );
+
+    // Stored under the ID the recipient has; transcripts from older versions
+    // carry none
+    const messageId = typeof transcript.messageId === 'string' && transcript.messageId
+      ? transcript.messageId
+      : await this.generateMessageId();
+
+    // Edits, deletes and thread traffic from another of our devices are
+    // applied by AmiXMessageEdits and AmiXThreads
+    if (AmiXEditControl.parseControl(transcript.content) || AmiXThreadSync.isThreadTraffic(transcript.content)) {
+      AmiXWebRTC.emit('messageSynced', {
+        peerAmixId: transcript.recipientId,
+        message: transcript.content,
+        timestamp: transcript.timestamp,
+      });
+      return;
+    }
+
+    // A timer we changed on another device applies here as well
+    const timerChange = AmiXDisappearingTimers.parseTimerChange(transcript.content);
+    if (timerChange) {
+      await AmiXStorage.storeTimerChange(transcript.recipientId, timerChange, {
+        id: messageId,
+        senderId: 'self',
+      });
+      return;
+    }
+
+    await AmiXStorage.storeMessage(transcript.recipientId, {
+      id: messageId,
+      ...AmiXThreadSync.replyFields(transcript.content),
+      senderId: 'self',
+      timestamp: transcript.timestamp,
+      isEncrypted: true,
+      syncedFromDevice: relayMessage.senderDeviceId,
+    });
+
+    AmiXWebRTC.emit('messageSynced', {
+      peerAmixId: transcript.recipientId,
+      message: transcript.content,
+      timestamp: transcript.timestamp,
+    });
+  }
+
+  // Send one of our group sender keys to every device of a member, or to
+  // our other devices when the member is us
+  static async sendSenderKeyDistribution(recipientId, distribution) {
+    return this.sendPairwise(recipientId, 'sender_key_distribution', distribution);
+  }
+
+  // Send a group membership change to every device of a member
+  static async sendGroupControl(recipientId, control) {
+    return this.sendPairwise(recipientId, 'group_control', control);
+  }
+
+  // Encrypt for each of a member's devices over our sessions with them.
+  // Our own other devices get it like sync transcripts: the relay already
+  // knows they are ours, so there is no sender to hide.
+  static async sendPairwise(recipientId, type, value) {
+    const own = recipientId === await AmiXStorage.getAmiXId();
+    const deviceIds = own
+      ? await AmiXDevices.getOwnOtherDeviceIds()
+      : await AmiXDevices.getDeviceIds(recipientId);
+    const content = JSON.stringify(value);
+    let delivered = true;
+
+    for (const deviceId of deviceIds) {
+      const message = {
+        recipientId,
+        recipientDeviceId: deviceId,
+        encryptedData: {
+          type,
+          payload: await AmiXWebRTC.encryptForPeer(recipientId, content, deviceId),
+        },
+      };
+      const sent = own ? await this.sendViaRelay(message) : await this.deliverToDevice(message);
+      delivered = delivered && sent;
+    }
+
+    return delivered;
+  }
+
+  static async handleSenderKeyDistribution(relayMessage, payload) {
+    const distribution = JSON.parse(
+      await AmiXWebRTC.decryptFromPeer(relayMessage.senderId, payload, relayMessage.senderDeviceId)
+    );
+    await GroupCrypto.processSenderKeyDistribution(relayMessage.senderId, distribution, relayMessage.senderDeviceId);
+  }
+
+  static async handleGroupControl(relayMessage, payload) {
+    const control = JSON.parse(
+      await AmiXWebRTC.decryptFromPeer(relayMessage.senderId, payload, relayMessage.senderDeviceId)
+    );
+
+    if (control.type !== GroupCrypto.MESSAGE_TYPES.MEMBER_REMOVE) {
+      console.warn('Unknown group control type:', control.type);
+      return;
+    }
+    await GroupCrypto.processMemberRemoval(relayMessage.senderId, control, await AmiXStorage.getAmiXId());
+  }
+
   static async sendViaRelay(message) {
     try {
-      const response = await fetch('/api/relay/message', {
+      const response = await fetch('/api/v1/relay/message', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
           recipientId: message.recipientId,
+          recipientDeviceId: message.recipientDeviceId || null,
+          senderDeviceId: await AmiXDevices.getDeviceId(),
           encryptedData: message.encryptedData,
           timestamp: Date.now(),
-          ttl: 7 * 24 * 60 * 60 * 1000, // 7 days
+          ttl: message.ttl || this.relayTtl,
         }),
       });
 
@@ -198,6 +506,230 @@ export class AmiXMessageQueue {
     }
   }
 
+  // Relay mailbox polling
+  static startRelayPolling() {
+    if (this.relayPollTimer) return;
+
+    this.relayPollTimer = setInterval(async () => {
+      await this.drainRelay();
+    }, this.relayPollInterval);
+
+    // Don't wait a full interval for the first drain
+    this.drainRelay();
+  }
+
+  static stopRelayPolling() {
+    if (this.relayPollTimer) {
+      clearInterval(this.relayPollTimer);
+      this.relayPollTimer = null;
+    }
+  }
+
+  // Fetch stored blobs, hand them to the decrypt path and ack them. Blobs
+  // that fail are parked on the device and retried on later drains, since
+  // the server hands out the oldest blobs first and one that keeps failing
+  // would block the rest.
+  static async drainRelay() {
+    // Platforms without navigator.onLine stay 'unknown'; try anyway
+    if (this.networkStatus === 'offline' || this.isDrainingRelay) {
+      return 0;
+    }
+
+    this.isDrainingRelay = true;
+    let drained = 0;
+
+    try {
+      // Keep fetching while the server returns full batches
+      for (;;) {
+        const messages = await this.fetchRelayMessages();
+        if (messages.length === 0) break;
+
+        const ackIds = [];
+        for (const relayMessage of messages) {
+          if (await this.handleRelayMessage(relayMessage)) {
+            ackIds.push(relayMessage.id);
+            drained += 1;
+          } else if (await this.parkRelayMessage(relayMessage)) {
+            ackIds.push(relayMessage.id);
+          }
+        }
+
+        // Nothing handled or parked: the same batch would come back
+        if (ackIds.length === 0) break;
+
+        const acked = await this.ackRelayMessages(ackIds);
+        if (!acked) break;
+      }
+
+      // New sessions and sender keys may have made parked blobs readable
+      drained += await this.retryParkedRelayMessages();
+
+      // MLS groups keep their own ordered log on the server
+      await AmiXMLSDelivery.sync();
+    } catch (error) {
+      console.error('Failed to drain relay mailbox:', error);
+    } finally {
+      this.isDrainingRelay = false;
+    }
+
+    return drained;
+  }
+
+  static async fetchRelayMessages() {
+    const deviceId = encodeURIComponent(await AmiXDevices.getDeviceId());
+    const response = await fetch(`/api/v1/relay/messages?deviceId=${deviceId}`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Relay fetch failed with status ${response.status}`);
+    }
+
+    const body = await response.json();
+    return body?.data?.messages || [];
+  }
+
+  static async ackRelayMessages(ids) {
+    try {
+      const response = await fetch('/api/v1/relay/ack', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ ids, deviceId: await AmiXDevices.getDeviceId() }),
+      });
+
+      return response.ok;
+    } catch (error) {
+      console.error('Relay ack failed:', error);
+      return false;
+    }
+  }
+
+  // --- Parked relay blobs ---
+
+  static async loadParkedRelayMessages() {
+    try {
+      const parked = await AmiXStorage.get('relay_parked');
+      if (parked) {
+        this.parkedRelayMessages = new Map(Object.entries(parked));
+      }
+    } catch (error) {
+      console.error('Failed to load parked relay messages:', error);
+    }
+  }
+
+  // Storage reports a failed write by returning false rather than throwing
+  static async saveParkedRelayMessages() {
+    return await AmiXStorage.store('relay_parked', Object.fromEntries(this.parkedRelayMessages));
+  }
+
+  // Keep a blob we couldn't handle; only once it is stored may the server drop it
+  static async parkRelayMessage(relayMessage) {
+    if (this.parkedRelayMessages.has(relayMessage.id)) return true;
+
+    this.parkedRelayMessages.set(relayMessage.id, { relayMessage, attempts: 1, parkedAt: Date.now() });
+    if (await this.saveParkedRelayMessages()) return true;
+
+    this.parkedRelayMessages.delete(relayMessage.id);
+    return false;
+  }
+
+  static async retryParkedRelayMessages() {
+    if (this.parkedRelayMessages.size === 0) return 0;
+
+    let handled = 0;
+    for (const [id, parked] of this.parkedRelayMessages) {
+      const expiresAt = parked.relayMessage.expiresAt && new Date(parked.relayMessage.expiresAt).getTime();
+
+      if (await this.handleRelayMessage(parked.relayMessage)) {
+        this.parkedRelayMessages.delete(id);
+        handled += 1;
+      } else if (parked.attempts + 1 >= this.maxRelayAttempts || (expiresAt && Date.now() > expiresAt)) {
+        console.warn('Dropping relay message that could not be handled:', id);
+        this.parkedRelayMessages.delete(id);
+      } else {
+        parked.attempts += 1;
+      }
+    }
+
+    await this.saveParkedRelayMessages();
+    return handled;
+  }
+
+  /**
+   * Handle one blob from the relay mailbox
+   * @param {Object} relayMessage - As returned by the relay, or unsealed
+   * @returns {Promise<boolean>} - False when it failed and should be tried again
+   */
+  static async handleRelayMessage(relayMessage) {
+    try {
+      const envelope = typeof relayMessage.encryptedData === 'string'
+        ? JSON.parse(relayMessage.encryptedData)
+        : relayMessage.encryptedData;
+
+      // Peers attach their delivery token so we can seal our replies
+      if (envelope?.profile && relayMessage.senderId) {
+        await AmiXSealedSender.handleProfile(relayMessage.senderId, envelope.profile);
+      }
+
+      switch (envelope?.type) {
+        case 'sealed_sender':
+          return await this.handleSealedMessage(relayMessage, envelope.payload);
+        case 'encrypted_message':
+          return await AmiXWebRTC.handleEncryptedMessage(
+            relayMessage.senderId,
+            envelope.payload,
+            relayMessage.senderDeviceId,
+            envelope.messageId
+          );
+        case 'receipt':
+          await this.handleReceipt(
+            relayMessage.senderId,
+            await AmiXWebRTC.decryptFromPeer(relayMessage.senderId, envelope.payload, relayMessage.senderDeviceId)
+          );
+          break;
+        case 'sync_sent':
+          await this.handleSentTranscript(relayMessage, envelope.payload);
+          break;
+        case 'sender_key_distribution':
+          await this.handleSenderKeyDistribution(relayMessage, envelope.payload);
+          break;
+        case 'group_control':
+          await this.handleGroupControl(relayMessage, envelope.payload);
+          break;
+        case 'acknowledgment':
+          await this.handleAcknowledgment(envelope);
+          break;
+        default:
+          // Newer clients' types stay unknown to us however often we retry
+          console.warn('Unknown relay message type:', envelope?.type);
+      }
+      return true;
+    } catch (error) {
+      console.error('Failed to handle relay message:', error);
+      return false;
+    }
+  }
+
+  // Open a sealed envelope and handle it as if the relay had named the sender
+  static async handleSealedMessage(relayMessage, payload) {
+    const { senderId, senderDeviceId, envelope } = await AmiXSealedSender.unseal(payload);
+    if (envelope?.type === 'sealed_sender') {
+      throw new Error('Nested sealed sender envelope');
+    }
+
+    return this.handleRelayMessage({
+      ...relayMessage,
+      senderId,
+      senderDeviceId,
+      encryptedData: envelope,
+    });
+  }
+
   static getRetryDelay(retryCount) {
     const index = Math.min(retryCount, this.retryDelays.length - 1);
     return this.retryDelays[index];
@@ -211,6 +743,7 @@ export class AmiXMessageQueue {
         outboxItem.sentAt = Date.now();
         this.outbox.set(messageId, outboxItem);
         await this.saveOutbox();
+        await this.updateDeliveryStatus(messageId, outboxItem.recipientId, RECEIPT_STATUSES.SENT);
 
         // Track analytics
         await AmiXAnalytics.trackEvent('message_sent', {
@@ -237,6 +770,18 @@ export class AmiXMessageQueue {
     }
   }
 
+  // The data channel closed or timed out before the peer acked
+  static async handleUnacknowledged(messageId) {
+    const outboxItem = this.outbox.get(messageId);
+    if (!outboxItem || outboxItem.status !== 'awaiting_ack') {
+      return;
+    }
+
+    outboxItem.status = 'pending';
+    await this.markMessageRetry(messageId);
+    this.processQueue();
+  }
+
   static async markMessageFailed(messageId, reason) {
     try {
       const outboxItem = this.outbox.get(messageId);
@@ -278,9 +823,10 @@ export class AmiXMessageQueue {
   static async onNetworkOnline() {
     console.log('Network came online - processing queue');
     
-    // Process queue immediately when network comes online
+    // Process queue and drain the relay immediately when network comes online
     setTimeout(async () => {
       await this.processQueue();
+      await this.drainRelay();
     }, 1000);
   }
 
@@ -289,33 +835,204 @@ export class AmiXMessageQueue {
   }
 
   // Message acknowledgment system
+  // Confirms delivery with an encrypted receipt, batched with others to the same peer
   static async sendAcknowledgment(messageId, recipientId) {
+    this.queueReceipt(recipientId, RECEIPT_STATUSES.DELIVERED, [messageId]);
+  }
+
+  static async handleAcknowledgment(ackMessage) {
     try {
-      const ackMessage = {
-        type: 'acknowledgment',
-        messageId: messageId,
-        timestamp: Date.now(),
-      };
+      const { messageId, peerAmixId } = ackMessage;
 
-      if (AmiXWebRTC.isConnected(recipientId)) {
-        await AmiXWebRTC.sendMessage(recipientId, ackMessage);
-      } else {
-        await this.sendViaRelay({
-          recipientId: recipientId,
-          encryptedData: ackMessage,
+      // Data channel acks name the peer; only the recipient can ack
+      const outboxItem = this.outbox.get(messageId);
+      if (peerAmixId && outboxItem && outboxItem.recipientId !== peerAmixId) {
+        return;
+      }
+
+      await this.markMessageSent(messageId);
+    } catch (error) {
+      console.error('Failed to handle acknowledgment:', error);
+    }
+  }
+
+  // --- Receipts ---
+
+  static async setReadReceiptsEnabled(enabled) {
+    this.readReceiptsEnabled = !!enabled;
+    const preferences = await AmiXStorage.get(AmiXStorage.STORAGE_KEYS.USER_PREFERENCES) || {};
+    await AmiXStorage.store(AmiXStorage.STORAGE_KEYS.USER_PREFERENCES, {
+      ...preferences,
+      readReceipts: this.readReceiptsEnabled,
+    });
+  }
+
+  /**
+   * Collect receipts for a peer and send them together after BATCH_DELAY
+   * @param {string} peerAmixId - Sender of the messages
+   * @param {string} status - DELIVERED or READ
+   * @param {Array<string>} messageIds - Sender's message IDs
+   * @param {string} [groupId] - Group the messages were sent to
+   * @param {number} [delay] - ms before the batch goes out
+   */
+  static queueReceipt(peerAmixId, status, messageIds, groupId = null, delay = RECEIPT_CONFIG.BATCH_DELAY) {
+    // Without read receipts of our own we don't send any
+    if (status === RECEIPT_STATUSES.READ && !this.readReceiptsEnabled) {
+      return;
+    }
+
+    const key = JSON.stringify([peerAmixId, groupId, status]);
+    const batch = this.receiptBatches.get(key) || { messageIds: new Set(), timer: null };
+    messageIds.forEach(messageId => batch.messageIds.add(messageId));
+    this.receiptBatches.set(key, batch);
+
+    if (!batch.timer) {
+      batch.timer = setTimeout(() => this.flushReceipts(key), delay);
+    }
+  }
+
+  static async flushReceipts(key) {
+    const batch = this.receiptBatches.get(key);
+    if (!batch) return;
+    this.receiptBatches.delete(key);
+
+    const [peerAmixId, groupId, status] = JSON.parse(key);
+    for (const receipt of AmiXReceipts.batch(status, Array.from(batch.messageIds), groupId)) {
+      const sent = await this.sendReceipt(peerAmixId, receipt);
+      if (!sent) {
+        this.queueReceipt(peerAmixId, status, receipt.messageIds, groupId, RECEIPT_CONFIG.RETRY_DELAY);
+      }
+    }
+  }
+
+  // Encrypted like a message, over the data channel or through the relay
+  static async sendReceipt(peerAmixId, receipt) {
+    try {
+      const content = JSON.stringify(receipt);
+      const deviceIds = await AmiXDevices.getDeviceIds(peerAmixId);
+
+      if (deviceIds.length === 1 && AmiXWebRTC.isConnected(peerAmixId)) {
+        const sent = await AmiXWebRTC.sendMessage(peerAmixId, {
+          type: 'receipt',
+          deviceId: await AmiXDevices.getDeviceId(),
+          payload: await AmiXWebRTC.encryptForPeer(peerAmixId, content, deviceIds[0]),
+        }, { lane: LANES.CONTROL });
+        if (sent) return true;
+      }
+
+      let delivered = true;
+      for (const deviceId of deviceIds) {
+        const sent = await this.deliverToDevice({
+          recipientId: peerAmixId,
+          recipientDeviceId: deviceId,
+          encryptedData: {
+            type: 'receipt',
+            payload: await AmiXWebRTC.encryptForPeer(peerAmixId, content, deviceId),
+          },
         });
+        delivered = delivered && sent;
       }
+      return delivered;
     } catch (error) {
-      console.error('Failed to send acknowledgment:', error);
+      console.error('Failed to send receipt:', error);
+      return false;
     }
   }
 
-  static async handleAcknowledgment(ackMessage) {
+  static async handleReceipt(peerAmixId, value) {
     try {
-      const { messageId } = ackMessage;
-      await this.markMessageSent(messageId);
+      const receipt = AmiXReceipts.parseReceipt(value);
+
+      // Reciprocal: with ours off, theirs count as delivered only
+      const status = AmiXReceipts.displayStatus(receipt.status, this.readReceiptsEnabled);
+
+      for (const messageId of receipt.messageIds) {
+        await this.updateDeliveryStatus(messageId, peerAmixId, status, receipt.groupId);
+      }
     } catch (error) {
-      console.error('Failed to handle acknowledgment:', error);
+      console.error('Failed to handle receipt:', error);
+    }
+  }
+
+  /**
+   * Move one of our messages forward for one recipient
+   * @param {string} messageId - Our message ID
+   * @param {string} peerAmixId - Recipient the status is for
+   * @param {string} status - New status; older ones are ignored
+   * @param {string} [groupId] - Set for group messages
+   */
+  static async updateDeliveryStatus(messageId, peerAmixId, status, groupId = null) {
+    let update;
+
+    if (groupId) {
+      // Group messages track each member; only members can report
+      const message = await AmiXStorage.getMessage(messageId);
+      if (!message || message.conversationId !== groupId || message.senderId !== 'self' ||
+          !message.receipts || !(peerAmixId in message.receipts)) {
+        return;
+      }
+
+      const receipts = {
+        ...message.receipts,
+        [peerAmixId]: AmiXReceipts.advance(message.receipts[peerAmixId], status),
+      };
+      update = { receipts, status: AmiXReceipts.aggregate(receipts).status };
+    } else {
+      // Only the recipient can report on a direct message
+      const outboxItem = this.outbox.get(messageId);
+      if (!outboxItem || outboxItem.recipientId !== peerAmixId) {
+        return;
+      }
+
+      const next = AmiXReceipts.advance(outboxItem.deliveryStatus, status);
+      if (next === outboxItem.deliveryStatus) return;
+
+      outboxItem.deliveryStatus = next;
+      await this.saveOutbox();
+      update = { status: next };
+    }
+
+    await AmiXStorage.updateMessage(messageId, update).catch(() => {});
+
+    AmiXWebRTC.emit('messageStatusChanged', {
+      messageId,
+      peerAmixId,
+      groupId,
+      ...update,
+    });
+  }
+
+  /**
+   * Mark everything received in a conversation as read, and tell the
+   * senders in one receipt each
+   * @param {string} conversationId - Peer's AmiX ID or a group ID
+   * @returns {Promise<number>} - Messages newly marked read
+   */
+  static async markConversationRead(conversationId) {
+    try {
+      const messages = await AmiXStorage.getMessages(conversationId, { limit: 500 });
+      const unread = messages.filter(message => message.senderId !== 'self' && !message.readAt);
+      const readAt = Date.now();
+
+      const bySender = new Map();
+      for (const message of unread) {
+        await AmiXStorage.updateMessage(message.id, { readAt });
+        if (!bySender.has(message.senderId)) {
+          bySender.set(message.senderId, []);
+        }
+        bySender.get(message.senderId).push(message.id);
+      }
+
+      // In a group the conversation is the group, not the sender
+      bySender.forEach((messageIds, senderId) => {
+        const groupId = senderId === conversationId ? null : conversationId;
+        this.queueReceipt(senderId, RECEIPT_STATUSES.READ, messageIds, groupId);
+      });
+
+      return unread.length;
+    } catch (error) {
+      console.error('Failed to mark conversation read:', error);
+      return 0;
     }
   }
 
@@ -406,6 +1123,27 @@ export class AmiXMessageQueue {
     }
   }
 
+  static isExpired(outboxItem, now = Date.now()) {
+    return Boolean(outboxItem.expiresAt) && outboxItem.expiresAt <= now;
+  }
+
+  // Drop disappearing messages whose timer ran out, sent or not
+  static async purgeExpired(now = Date.now()) {
+    try {
+      const expired = Array.from(this.outbox.values()).filter(item => this.isExpired(item, now));
+      if (expired.length === 0) return 0;
+
+      for (const item of expired) {
+        this.outbox.delete(item.id);
+      }
+      await this.saveOutbox();
+      return expired.length;
+    } catch (error) {
+      console.error('Failed to purge expired messages:', error);
+      return 0;
+    }
+  }
+
   // Utility functions
   static isOnline() {
     return this.networkStatus === 'online';
@@ -417,6 +1155,8 @@ export class AmiXMessageQueue {
 
   static async cleanup() {
     try {
+      this.stopRelayPolling();
+
       // Clear old sent messages (older than 30 days)
       const thirtyDaysAgo = Date.now() - (30 * 24 * 60 * 60 * 1000);
       const oldSentMessages = Array.from(this.outbox.entries())
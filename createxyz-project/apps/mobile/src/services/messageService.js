@@ -1,7 +1,9 @@
-import * as AmiXCrypto from '../utils/crypto';
-import * as PQCrypto from '../utils/pqcrypto';
+import { AmiXCrypto } from '../utils/crypto';
+import { PQCrypto } from '../utils/pqcrypto';
 import MetadataProtection from '../utils/metadataProtection';
 import SecurityLogger from '../utils/securityLogger';
+import { AmiXStorage } from '../utils/storage';
+import { AmiXReceipts } from '../utils/receipts';
 
 class MessageService {
   constructor() {
@@ -15,13 +17,13 @@ class MessageService {
       const messageId = await AmiXCrypto.generateSecureUUID();
       const timestamp = Date.now();
       
-      // Create message metadata
+      // Sender details are encrypted to the recipient; relays never see them
       const metadata = await MetadataProtection.protect({
         sender: options.senderId,
         timestamp,
         deviceId: await SecurityLogger.getDeviceId(),
         ...options.metadata
-      });
+      }, recipientPublicKey);
 
       // Encrypt the message content
       const encryptedContent = await AmiXCrypto.encryptMessage(
@@ -100,7 +102,10 @@ class MessageService {
       let processedMetadata = {};
       if (metadata) {
         try {
-          processedMetadata = await MetadataProtection.unprotect(metadata);
+          processedMetadata = await MetadataProtection.unprotect(
+            metadata,
+            await AmiXStorage.getIdentityKeys()
+          );
         } catch (error) {
           console.warn('Failed to process metadata:', error);
           await SecurityLogger.logEvent(
@@ -143,10 +148,14 @@ class MessageService {
     });
   }
 
+  // Statuses only move forward (sent -> delivered -> read); late receipts are ignored
   updateMessageStatus(messageId, status) {
     const message = this.pendingMessages.get(messageId);
     if (message) {
-      message.status = status;
+      const next = AmiXReceipts.advance(message.status, status);
+      if (next === message.status) return;
+
+      message.status = next;
       message.updatedAt = Date.now();
       this.pendingMessages.set(messageId, message);
     }
@@ -0,0 +1,388 @@
+import { AmiXMLS } from '../utils/mls';
+import { GroupCrypto } from '../utils/groupCrypto';
+import { AmiXStorage } from '../utils/storage';
+import { AmiXDisappearingTimers } from '../utils/disappearing';
+import { AmiXEditControl } from '../utils/editControl';
+import { AmiXThreadSync } from '../utils/threadSync';
+import { AmiXDevices } from './devices';
+import { AmiXGroupCalls } from './groupCalls';
+
+// AmiX MLS Delivery Service - key packages, Commits and group logs
+// The backend orders handshake messages per group and accepts exactly one
+// Commit per epoch. A client whose Commit loses the race processes the
+// winner from the group log and retries on top of it.
+
+const KEY_PACKAGE_BATCH = 20;      // Key packages uploaded per batch
+const KEY_PACKAGE_MIN = 5;         // Replenish when the server holds fewer than this
+const MAX_COMMIT_ATTEMPTS = 3;     // Retries after losing an epoch race
+const CURSOR_PREFIX = 'amix_mls_cursor_';
+
+const parse = value => (typeof value === 'string' ? JSON.parse(value) : value);
+
+export class AmiXMLSDelivery {
+  static isSyncing = false;
+
+  // Sends a delivery receipt to a message's sender over our pairwise
+  // session with them; set by the message queue
+  static receiptSender = null;
+
+  static setReceiptSender(sender) {
+    this.receiptSender = sender;
+  }
+
+  // Checks and applies edits and deletes; set by AmiXMessageEdits
+  static editHandler = null;
+
+  static setEditHandler(handler) {
+    this.editHandler = handler;
+  }
+
+  static async request(path, { method = 'GET', body } = {}) {
+    const response = await fetch(`/api/v1/mls${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    const data = await response.json().catch(() => null);
+    return { status: response.status, ok: response.ok, data: data?.data };
+  }
+
+  // --- Key Packages ---
+
+  // Upload fresh key packages; the private halves stay on this device
+  static async publishKeyPackages(count = KEY_PACKAGE_BATCH) {
+    const [amixId, deviceId] = await Promise.all([
+      AmiXStorage.getAmiXId(),
+      AmiXDevices.getDeviceId(),
+    ]);
+
+    const bundles = Array.from({ length: count }, () =>
+      AmiXMLS.createKeyPackage({ amixId, deviceId })
+    );
+
+    const response = await this.request('/key-packages', {
+      method: 'POST',
+      body: { deviceId, keyPackages: bundles.map(bundle => bundle.keyPackage) },
+    });
+    if (!response.ok) {
+      throw new Error(`Key package upload failed with status ${response.status}`);
+    }
+
+    // Only remember the private halves once the server has the public ones
+    const stored = await AmiXStorage.getMlsKeyPackages();
+    for (const bundle of bundles) {
+      stored[await AmiXMLS.keyPackageRef(bundle.keyPackage)] = bundle;
+    }
+    await AmiXStorage.storeMlsKeyPackages(stored);
+    return true;
+  }
+
+  static async replenishKeyPackages() {
+    try {
+      const deviceId = encodeURIComponent(await AmiXDevices.getDeviceId());
+      const response = await this.request(`/key-packages/count?deviceId=${deviceId}`);
+      if (!response.ok) {
+        throw new Error(`Key package count failed with status ${response.status}`);
+      }
+
+      const remaining = response.data?.count ?? 0;
+      if (remaining >= KEY_PACKAGE_MIN) return false;
+
+      return await this.publishKeyPackages(KEY_PACKAGE_BATCH - remaining);
+    } catch (error) {
+      console.error('Key package replenishment failed:', error);
+      return false;
+    }
+  }
+
+  // Claim one key package per device of a member, dropping forged ones
+  static async fetchKeyPackages(amixId) {
+    const response = await this.request(`/key-packages/${encodeURIComponent(amixId)}`);
+    if (!response.ok) {
+      throw new Error(`Key package claim failed with status ${response.status}`);
+    }
+
+    return (response.data?.keyPackages || [])
+      .map(({ keyPackage }) => parse(keyPackage))
+      .filter(keyPackage =>
+        keyPackage.identity?.amixId === amixId && AmiXMLS.verifyKeyPackage(keyPackage)
+      );
+  }
+
+  // --- Groups ---
+
+  static async createGroup(creator, options = {}) {
+    const groupState = await GroupCrypto.createGroup(creator, [], {
+      ...options,
+      type: GroupCrypto.GROUP_TYPES.MLS,
+      deviceId: await AmiXDevices.getDeviceId(),
+    });
+
+    const response = await this.request('/groups', {
+      method: 'POST',
+      body: { groupId: groupState.groupId },
+    });
+    if (!response.ok) {
+      throw new Error(`Group registration failed with status ${response.status}`);
+    }
+
+    return groupState;
+  }
+
+  static async addMembers(groupId, memberIds) {
+    const keyPackages = [];
+    for (const memberId of memberIds) {
+      keyPackages.push(...await this.fetchKeyPackages(memberId));
+    }
+    if (keyPackages.length === 0) {
+      throw new Error('No key packages available for these members');
+    }
+
+    return await this.commitChange(groupId, GroupCrypto.MESSAGE_TYPES.MEMBER_ADD, { keyPackages });
+  }
+
+  static async removeMember(groupId, memberId) {
+    return await this.commitChange(groupId, GroupCrypto.MESSAGE_TYPES.MEMBER_REMOVE, {
+      memberIds: [memberId],
+    });
+  }
+
+  // An empty Commit with a fresh path gives every member new epoch secrets
+  static async rotateKeys(groupId) {
+    return await this.commitChange(groupId, GroupCrypto.MESSAGE_TYPES.KEY_ROTATION);
+  }
+
+  /**
+   * Send a Commit to the delivery service, catching up and retrying when
+   * another member's Commit won the epoch first
+   * @returns {Promise<Object>} - Updated group state
+   */
+  static async commitChange(groupId, type, change = {}) {
+    for (let attempt = 0; attempt < MAX_COMMIT_ATTEMPTS; attempt++) {
+      await this.syncGroup(groupId);
+
+      const prepared = await GroupCrypto.createMlsCommit(groupId, type, change);
+      const response = await this.request(`/groups/${encodeURIComponent(groupId)}/commits`, {
+        method: 'POST',
+        body: {
+          epoch: prepared.epoch,
+          commit: prepared.commit,
+          added: prepared.added,
+          removed: prepared.removed,
+          welcomes: prepared.welcomes,
+        },
+      });
+
+      // Our Commit comes back in the group log and is skipped there
+      if (response.ok) {
+        const confirmed = await GroupCrypto.confirmMlsCommit(groupId);
+        await AmiXGroupCalls.handleMembershipChange(groupId);
+        return confirmed;
+      }
+
+      await GroupCrypto.discardMlsCommit(groupId);
+      if (response.status !== 409) {
+        throw new Error(`Commit failed with status ${response.status}`);
+      }
+    }
+
+    throw new Error('Commit kept losing to concurrent changes');
+  }
+
+  // Encrypt once for the whole group and post it to the group log
+  static async sendMessage(groupId, sender, message, options = {}) {
+    const groupState = await AmiXStorage.getGroup(groupId);
+    const encrypted = await GroupCrypto.encryptGroupMessage(groupId, sender, message, options);
+
+    const response = await this.request(`/groups/${encodeURIComponent(groupId)}/messages`, {
+      method: 'POST',
+      body: { epoch: groupState.mls.epoch, type: 'application', message: encrypted },
+    });
+    if (!response.ok) {
+      throw new Error(`Group message failed with status ${response.status}`);
+    }
+
+    // Edits and deletes change a message we already have
+    if (AmiXEditControl.parseControl(message)) {
+      return encrypted;
+    }
+
+    // Timer changes are system events, not chat messages
+    const timerChange = AmiXDisappearingTimers.parseTimerChange(message);
+    if (timerChange) {
+      await AmiXStorage.storeTimerChange(groupId, timerChange, { id: encrypted.messageId, senderId: 'self' });
+      return encrypted;
+    }
+
+    // One status per member, for receipts
+    const receipts = Object.fromEntries(
+      Object.keys(groupState.members)
+        .filter(memberId => memberId !== sender.id)
+        .map(memberId => [memberId, 'sent'])
+    );
+
+    await AmiXStorage.storeMessage(groupId, {
+      id: encrypted.messageId,
+      ...AmiXThreadSync.replyFields(message),
+      senderId: 'self',
+      timestamp: encrypted.timestamp,
+      isEncrypted: true,
+      status: 'sent',
+      receipts,
+    });
+    return encrypted;
+  }
+
+  // --- Sync ---
+
+  static async getCursor(groupId) {
+    return await AmiXStorage.get(`${CURSOR_PREFIX}${groupId}`) || 0;
+  }
+
+  static async setCursor(groupId, seq) {
+    await AmiXStorage.store(`${CURSOR_PREFIX}${groupId}`, seq);
+  }
+
+  // Join groups we were welcomed to, then catch up on every MLS group
+  static async sync() {
+    if (this.isSyncing) return false;
+    this.isSyncing = true;
+
+    try {
+      await this.processWelcomes();
+
+      const groups = await AmiXStorage.getGroups();
+      const active = groups.filter(group =>
+        group.type === GroupCrypto.GROUP_TYPES.MLS && group.mls?.active !== false
+      );
+      for (const group of active) {
+        await this.syncGroup(group.groupId);
+      }
+
+      await this.replenishKeyPackages();
+      return true;
+    } catch (error) {
+      console.error('MLS sync failed:', error);
+      return false;
+    } finally {
+      this.isSyncing = false;
+    }
+  }
+
+  static async processWelcomes() {
+    const response = await this.request('/welcomes');
+    if (!response.ok) {
+      throw new Error(`Welcome fetch failed with status ${response.status}`);
+    }
+
+    const keyPackages = await AmiXStorage.getMlsKeyPackages();
+    const handledIds = [];
+
+    for (const item of response.data?.welcomes || []) {
+      const welcome = parse(item.welcome);
+
+      // Welcomes for our other devices are left for them to pick up
+      const bundle = keyPackages[welcome.keyPackageRef];
+      if (!bundle) continue;
+
+      try {
+        await GroupCrypto.joinMlsGroup(welcome, bundle);
+        await this.setCursor(item.groupId, item.seq);
+      } catch (error) {
+        console.error('Failed to join MLS group:', error);
+      }
+
+      // Key packages are single use either way
+      delete keyPackages[welcome.keyPackageRef];
+      handledIds.push(item.id);
+    }
+
+    if (handledIds.length > 0) {
+      await AmiXStorage.storeMlsKeyPackages(keyPackages);
+      await this.request('/welcomes/ack', { method: 'POST', body: { ids: handledIds } });
+    }
+  }
+
+  // Apply the group log in server order, one batch at a time
+  static async syncGroup(groupId) {
+    for (;;) {
+      const after = await this.getCursor(groupId);
+      const response = await this.request(
+        `/groups/${encodeURIComponent(groupId)}/messages?after=${after}`
+      );
+      if (!response.ok) {
+        throw new Error(`Group log fetch failed with status ${response.status}`);
+      }
+
+      const messages = response.data?.messages || [];
+      if (messages.length === 0) return;
+
+      for (const item of messages) {
+        await this.handleGroupMessage(groupId, item);
+        await this.setCursor(groupId, item.seq);
+      }
+    }
+  }
+
+  static async handleGroupMessage(groupId, item) {
+    const message = parse(item.message);
+
+    try {
+      if (item.type === 'commit' || item.type === 'proposal') {
+        await GroupCrypto.processMlsHandshake(groupId, message);
+        // Anyone a Commit removed is dropped from the group's calls too
+        await AmiXGroupCalls.handleMembershipChange(groupId);
+        return;
+      }
+
+      // Messages from this device were stored when sent; our other devices
+      // sit on their own leaves and decrypt like any other member
+      const groupState = await AmiXStorage.getGroup(groupId);
+      if (message.senderId !== item.senderId) {
+        throw new Error('Sender does not match the delivery service');
+      }
+      if (message.encrypted?.sender === groupState.mls.ownLeaf) return;
+
+      const decrypted = await GroupCrypto.decryptGroupMessage(groupId, message);
+
+      const editControl = AmiXEditControl.parseControl(decrypted.content);
+      if (editControl) {
+        await this.editHandler?.(groupId, decrypted.senderId, editControl);
+        return;
+      }
+
+      // Thread traffic is sent pairwise to the thread's audience; a copy
+      // sent to the whole group would bypass its visibility
+      if (AmiXThreadSync.isThreadTraffic(decrypted.content)) {
+        console.warn('Dropping thread message sent to the whole group');
+        return;
+      }
+
+      const timerChange = AmiXDisappearingTimers.parseTimerChange(decrypted.content);
+      if (timerChange) {
+        await AmiXStorage.storeTimerChange(groupId, timerChange, {
+          id: decrypted.messageId,
+          senderId: decrypted.senderId,
+        });
+        return;
+      }
+
+      await AmiXStorage.storeMessage(groupId, {
+        id: decrypted.messageId,
+        ...AmiXThreadSync.replyFields(decrypted.content),
+        senderId: decrypted.senderId,
+        timestamp: decrypted.timestamp,
+        receivedAt: Date.now(),
+        isEncrypted: true,
+      });
+
+      this.receiptSender?.(decrypted.senderId, decrypted.messageId, groupId);
+    } catch (error) {
+      // A message we can't process will never become readable; move past it
+      console.error('Failed to handle MLS message:', error);
+    }
+  }
+}
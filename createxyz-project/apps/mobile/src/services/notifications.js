@@ -333,14 +333,40 @@ export class AmiXNotifications {
             'You have a new message';
           break;
 
-        case this.NOTIFICATION_TYPES.CALL:
-          title = 'Incoming Call';
-          body = `${notification.data.senderName || 'Unknown'} is calling...`;
+        case this.NOTIFICATION_TYPES.CALL: {
+          const callerName = notification.data.senderName || 'Unknown';
+          switch (notification.data.event) {
+            case 'missed':
+              title = 'Missed Call';
+              body = `You missed a call from ${callerName}`;
+              break;
+            case 'declined':
+              title = 'Call Declined';
+              body = `${callerName} declined your call`;
+              break;
+            case 'busy':
+              title = 'Line Busy';
+              body = `${callerName} is on another call`;
+              break;
+            case 'failed':
+              title = 'Call Failed';
+              body = `Your call with ${callerName} could not be connected`;
+              break;
+            default:
+              title = 'Incoming Call';
+              body = `${callerName} is calling...`;
+          }
           break;
+        }
 
         case this.NOTIFICATION_TYPES.FILE:
-          title = 'File Received';
-          body = `${notification.data.senderName || 'Someone'} sent you a file`;
+          if (notification.data.event === 'offer') {
+            title = 'File Offered';
+            body = `${notification.data.senderName || 'Someone'} wants to send you a file`;
+          } else {
+            title = 'File Received';
+            body = `${notification.data.senderName || 'Someone'} sent you a file`;
+          }
           break;
 
         case this.NOTIFICATION_TYPES.GROUP:
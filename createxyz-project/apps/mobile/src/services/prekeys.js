@@ -0,0 +1,313 @@
+import { AmiXCrypto, X3DH_CONFIG } from '../utils/crypto';
+import { PQCrypto } from '../utils/pqcrypto';
+import { AmiXStorage } from '../utils/storage';
+import { SecurityLogger } from '../utils/securityLogger';
+import { AmiXVerification } from './verification';
+
+// AmiX Prekey Service - X3DH prekey publication and session setup
+// Publishes a signed prekey plus one-time prekeys to the key directory so
+// peers can start a forward-secret session while we are offline. A signed
+// Kyber prekey is published alongside so capable peers run PQXDH instead.
+// Prekeys and sessions are per device: one session per (AmiX ID, device ID) pair.
+
+export class AmiXPreKeys {
+  static isPublishing = false;
+
+  // Ratchet state key for one device of a peer (legacy peers have no device ID)
+  static sessionId(peerAmixId, deviceId = null) {
+    return deviceId ? `${peerAmixId}.${deviceId}` : peerAmixId;
+  }
+
+  static async initialize() {
+    try {
+      const state = await AmiXStorage.getPreKeys();
+
+      // First run publishes a full bundle; afterwards only top up
+      if (!state?.lastPublishedAt) {
+        await this.publishPreKeys();
+      } else {
+        await this.replenishIfNeeded();
+      }
+      return true;
+    } catch (error) {
+      console.error('Prekey initialization failed:', error);
+      return false;
+    }
+  }
+
+  // Load local prekey state, creating an empty one on first use
+  static async loadState() {
+    const state = await AmiXStorage.getPreKeys();
+    return state || {
+      signedPreKey: null,
+      previousSignedPreKey: null,
+      pqPreKey: null,
+      previousPQPreKey: null,
+      oneTimePreKeys: {},
+      nextSignedPreKeyId: 1,
+      nextOneTimePreKeyId: 1,
+    };
+  }
+
+  // Signed prekeys (X25519 and Kyber) are due for rotation
+  static isSignedPreKeyStale(state) {
+    return !state.signedPreKey || !state.pqPreKey ||
+      Date.now() - state.signedPreKey.createdAt > X3DH_CONFIG.SIGNED_PREKEY_LIFETIME;
+  }
+
+  // Rotate the signed prekeys when they are older than their lifetime.
+  // The previous ones are kept so in-flight handshakes still complete.
+  static async rotateSignedPreKeyIfNeeded(state, identityKeys, force = false) {
+    if (!this.isSignedPreKeyStale(state) && !force) return false;
+
+    const keyId = state.nextSignedPreKeyId;
+    const [signedPreKey, pqPreKey] = await Promise.all([
+      AmiXCrypto.generateSignedPreKey(identityKeys, keyId),
+      PQCrypto.generateSignedPreKey(identityKeys, keyId),
+    ]);
+
+    state.previousSignedPreKey = state.signedPreKey;
+    state.previousPQPreKey = state.pqPreKey || null;
+    state.signedPreKey = signedPreKey;
+    state.pqPreKey = pqPreKey;
+    state.nextSignedPreKeyId += 1;
+    return true;
+  }
+
+  /**
+   * Upload our identity key, signed prekey and fresh one-time prekeys
+   * @param {Object} [options]
+   * @param {number} [options.count] - Number of one-time prekeys to add
+   * @param {boolean} [options.rotate] - Force a new signed prekey
+   */
+  static async publishPreKeys(options = {}) {
+    if (this.isPublishing) return false;
+    this.isPublishing = true;
+
+    try {
+      const identityKeys = await AmiXStorage.getIdentityKeys();
+      if (!identityKeys) {
+        throw new Error('Identity keys not found');
+      }
+
+      const state = await this.loadState();
+      await this.rotateSignedPreKeyIfNeeded(state, identityKeys, options.rotate);
+
+      const oneTimePreKeys = AmiXCrypto.generateOneTimePreKeys(
+        state.nextOneTimePreKeyId,
+        options.count || X3DH_CONFIG.ONE_TIME_PREKEY_BATCH
+      );
+
+      const response = await fetch('/api/v1/keys', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          deviceId: await SecurityLogger.getDeviceId(),
+          identityKey: identityKeys.current.publicKey,
+          signingKey: identityKeys.current.signingPublicKey,
+          signedPreKey: {
+            keyId: state.signedPreKey.keyId,
+            publicKey: state.signedPreKey.publicKey,
+            signature: state.signedPreKey.signature,
+          },
+          pqPreKey: {
+            keyId: state.pqPreKey.keyId,
+            publicKey: state.pqPreKey.publicKey,
+            signature: state.pqPreKey.signature,
+          },
+          oneTimePreKeys: oneTimePreKeys.map(({ keyId, publicKey }) => ({ keyId, publicKey })),
+        }),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Prekey upload failed with status ${response.status}`);
+      }
+
+      // Only remember the private halves once the server has the public ones
+      oneTimePreKeys.forEach((preKey) => {
+        state.oneTimePreKeys[preKey.keyId] = preKey;
+      });
+      state.nextOneTimePreKeyId += oneTimePreKeys.length;
+      state.lastPublishedAt = Date.now();
+
+      await AmiXStorage.storePreKeys(state);
+      return true;
+    } finally {
+      this.isPublishing = false;
+    }
+  }
+
+  // Number of unused one-time prekeys the server still holds for us
+  static async getRemoteCount() {
+    const deviceId = encodeURIComponent(await SecurityLogger.getDeviceId());
+    const response = await fetch(`/api/v1/keys/count?deviceId=${deviceId}`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Prekey count failed with status ${response.status}`);
+    }
+
+    const body = await response.json();
+    return body?.data?.count ?? 0;
+  }
+
+  // Top up one-time prekeys and rotate the signed prekey when due
+  static async replenishIfNeeded() {
+    try {
+      const state = await this.loadState();
+      const remaining = await this.getRemoteCount();
+
+      if (remaining >= X3DH_CONFIG.ONE_TIME_PREKEY_MIN && !this.isSignedPreKeyStale(state)) {
+        return false;
+      }
+
+      return await this.publishPreKeys({
+        count: Math.max(X3DH_CONFIG.ONE_TIME_PREKEY_BATCH - remaining, 0) || 1,
+      });
+    } catch (error) {
+      console.error('Prekey replenishment failed:', error);
+      return false;
+    }
+  }
+
+  // Fetch a peer's bundles (one per device, or just `deviceId`'s);
+  // the server hands out each one-time prekey once
+  static async fetchBundles(peerAmixId, deviceId = null) {
+    const query = deviceId ? `?deviceId=${encodeURIComponent(deviceId)}` : '';
+    const response = await fetch(`/api/v1/keys/${encodeURIComponent(peerAmixId)}${query}`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Prekey bundle fetch failed with status ${response.status}`);
+    }
+
+    const body = await response.json();
+    return body.data.bundles;
+  }
+
+  /**
+   * Start a session with one of a peer's devices from its prekey bundle.
+   * PQXDH is used when the bundle has a Kyber prekey, X3DH otherwise.
+   * The handshake header is kept on the ratchet state and sent with every
+   * message until the peer replies.
+   */
+  static async initiateSession(peerAmixId, deviceId = null) {
+    const identityKeys = await AmiXStorage.getIdentityKeys();
+    if (!identityKeys) {
+      throw new Error('Identity keys not found');
+    }
+
+    const [bundle] = await this.fetchBundles(peerAmixId, deviceId);
+    if (!bundle) {
+      throw new Error('No prekey bundle available for peer');
+    }
+    const { sharedSecret, associatedData, theirSignedPreKey, header, handshake } =
+      await PQCrypto.hybridKeyExchange(identityKeys, bundle);
+
+    // Their signed prekey doubles as their first ratchet key
+    const ratchetState = await AmiXCrypto.createRatchetState(
+      sharedSecret,
+      null,
+      theirSignedPreKey
+    );
+    ratchetState.associatedData = associatedData;
+    ratchetState.pendingX3DH = header;
+    ratchetState.theirIdentityKey = bundle.identityKey;
+    ratchetState.handshake = handshake;
+
+    await AmiXStorage.storeRatchetState(this.sessionId(peerAmixId, deviceId), ratchetState);
+    await AmiXVerification.checkIdentityKey(peerAmixId, bundle.identityKey);
+
+    // The key their edits and deletes are signed with
+    if (bundle.signingKey) {
+      await AmiXStorage.storeSigningKey(peerAmixId, bundle.signingKey);
+    }
+    return ratchetState;
+  }
+
+  // Respond to a peer device's first message carrying an X3DH or PQXDH header
+  static async acceptSession(peerAmixId, header, deviceId = null) {
+    const identityKeys = await AmiXStorage.getIdentityKeys();
+    if (!identityKeys) {
+      throw new Error('Identity keys not found');
+    }
+
+    const state = await this.loadState();
+    const signedPreKey = [state.signedPreKey, state.previousSignedPreKey]
+      .find(preKey => preKey && preKey.keyId === header.signedPreKeyId);
+
+    if (!signedPreKey) {
+      throw new Error('Unknown signed prekey');
+    }
+
+    const oneTimePreKey = header.oneTimePreKeyId !== null && header.oneTimePreKeyId !== undefined
+      ? state.oneTimePreKeys[header.oneTimePreKeyId]
+      : null;
+
+    const pqPreKey = [state.pqPreKey, state.previousPQPreKey]
+      .find(preKey => preKey && preKey.keyId === header.pqPreKeyId);
+
+    // Every signed prekey is published with a Kyber prekey under the same
+    // ID, so a classic X3DH header against one of them means the Kyber
+    // prekey was stripped from the bundle on the way to the peer
+    const servedPQ = [state.pqPreKey, state.previousPQPreKey]
+      .some(preKey => preKey && preKey.keyId === signedPreKey.keyId);
+    if (servedPQ && !header.pqCiphertext) {
+      await SecurityLogger.logEvent(SecurityLogger.EVENTS.HANDSHAKE_DOWNGRADE, {
+        amixId: peerAmixId,
+        deviceId,
+      });
+      throw new Error('Peer did not use a post-quantum handshake');
+    }
+
+    const { sharedSecret, associatedData, handshake } = await PQCrypto.hybridRespond(
+      identityKeys,
+      { signedPreKey, oneTimePreKey, pqPreKey },
+      header
+    );
+
+    // One-time prekeys are single use: forget the private half immediately
+    if (oneTimePreKey) {
+      delete state.oneTimePreKeys[header.oneTimePreKeyId];
+      await AmiXStorage.storePreKeys(state);
+    }
+
+    const ratchetState = await AmiXCrypto.createRatchetState(
+      sharedSecret,
+      signedPreKey.privateKey,
+      null
+    );
+    ratchetState.associatedData = associatedData;
+    ratchetState.x3dhEphemeralKey = header.ephemeralKey;
+    ratchetState.theirIdentityKey = header.identityKey;
+    ratchetState.handshake = handshake;
+
+    await AmiXStorage.storeRatchetState(this.sessionId(peerAmixId, deviceId), ratchetState);
+    await AmiXVerification.checkIdentityKey(peerAmixId, header.identityKey);
+
+    // Someone just consumed one of our prekeys
+    this.replenishIfNeeded();
+
+    return ratchetState;
+  }
+
+  // Get the ratchet state for a peer device, running X3DH first if there is none
+  static async ensureSession(peerAmixId, deviceId = null) {
+    const ratchetState = await AmiXStorage.getRatchetState(this.sessionId(peerAmixId, deviceId));
+    if (ratchetState) return ratchetState;
+
+    return await this.initiateSession(peerAmixId, deviceId);
+  }
+}
+
+export default AmiXPreKeys;
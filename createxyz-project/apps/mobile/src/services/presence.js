@@ -0,0 +1,344 @@
+import { AmiXStorage } from '../utils/storage';
+import { LANES } from '../utils/dataChannelFraming';
+import { AmiXPresenceEvents, LAST_SEEN_VISIBILITY, PRESENCE_CONFIG } from '../utils/presence';
+import { signalingService } from './signaling';
+import { AmiXWebRTC } from './webrtc';
+import { AmiXDevices } from './devices';
+
+// AmiX Presence - typing indicators, online state and last-seen
+// Typing events are encrypted per device and sent over the data channel
+// when one is open, otherwise as an ephemeral signal that the server drops
+// for offline users (see utils/presence.js). Nothing about typing is
+// stored. Online state and last-seen come from the signaling server, which
+// applies everyone's last-seen setting; ours is pushed to it on every
+// connect along with our contacts, who count as friends.
+
+export class AmiXPresence {
+  static initialized = false;
+  static typingEnabled = true;
+  static lastSeenVisibility = LAST_SEEN_VISIBILITY.EVERYONE;
+  static presence = new Map();  // amixId -> { online, lastSeen, hidden }
+  static watched = new Map();   // amixId -> number of screens showing it
+  static typing = new Map();    // conversationId|senderId -> timeout clearing it
+  static outgoing = new Map();  // conversationId -> { lastSentAt, idleTimer }
+  static eventListeners = new Map();
+
+  static async initialize() {
+    if (this.initialized) {
+      return true;
+    }
+    this.initialized = true;
+
+    try {
+      const preferences = await AmiXStorage.get(AmiXStorage.STORAGE_KEYS.USER_PREFERENCES);
+      this.typingEnabled = preferences?.typingIndicators !== false;
+      if (AmiXPresenceEvents.isValidVisibility(preferences?.lastSeenVisibility)) {
+        this.lastSeenVisibility = preferences.lastSeenVisibility;
+      }
+
+      // Typing events arrive over the data channel or as ephemeral signals
+      AmiXWebRTC.on('typingReceived', ({ peerAmixId, event }) => this.handleTyping(peerAmixId, event));
+      signalingService.on('typing', ({ from, data }) => this.handleTypingSignal(from, data));
+
+      // A message from someone means they stopped typing it
+      AmiXWebRTC.on('messageReceived', ({ peerAmixId }) => this.clearTyping(peerAmixId, peerAmixId));
+
+      signalingService.on('presence', presence => this.updatePresence(presence));
+      signalingService.on('connected', () => this.resync());
+      if (signalingService.isConnected()) {
+        await this.resync();
+      }
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize presence:', error);
+      return false;
+    }
+  }
+
+  // --- Settings ---
+
+  static async setTypingEnabled(enabled) {
+    this.typingEnabled = !!enabled;
+    const preferences = await AmiXStorage.get(AmiXStorage.STORAGE_KEYS.USER_PREFERENCES) || {};
+    await AmiXStorage.store(AmiXStorage.STORAGE_KEYS.USER_PREFERENCES, {
+      ...preferences,
+      typingIndicators: this.typingEnabled,
+    });
+
+    // Reciprocal: stop telling others and stop showing theirs
+    if (!this.typingEnabled) {
+      Array.from(this.outgoing.keys()).forEach(conversationId => this.stopTyping(conversationId));
+      Array.from(this.typing.keys()).forEach((key) => {
+        const [conversationId, senderId] = key.split('|');
+        this.clearTyping(conversationId, senderId);
+      });
+    }
+  }
+
+  /**
+   * Who sees our online state and last-seen
+   * @param {string} visibility - One of LAST_SEEN_VISIBILITY
+   */
+  static async setLastSeenVisibility(visibility) {
+    if (!AmiXPresenceEvents.isValidVisibility(visibility)) {
+      throw new Error(`Invalid last-seen setting: ${visibility}`);
+    }
+
+    this.lastSeenVisibility = visibility;
+    const preferences = await AmiXStorage.get(AmiXStorage.STORAGE_KEYS.USER_PREFERENCES) || {};
+    await AmiXStorage.store(AmiXStorage.STORAGE_KEYS.USER_PREFERENCES, {
+      ...preferences,
+      lastSeenVisibility: visibility,
+    });
+
+    if (signalingService.isConnected()) {
+      await this.publishSettings();
+    }
+  }
+
+  static async publishSettings() {
+    const contacts = await AmiXStorage.getContacts();
+    await signalingService.request('presence:settings', {
+      lastSeen: this.lastSeenVisibility,
+      friends: Object.keys(contacts),
+    });
+  }
+
+  // After every (re)connect: the server forgets nothing, but we may have
+  // missed changes while offline
+  static async resync() {
+    try {
+      await this.publishSettings();
+      const amixIds = Array.from(this.watched.keys());
+      if (amixIds.length > 0) {
+        await this.subscribe(amixIds);
+      }
+    } catch (error) {
+      console.error('Failed to sync presence:', error);
+    }
+  }
+
+  // --- Online state and last-seen ---
+
+  /**
+   * Follow users' presence while a screen shows them; pair with unwatch
+   * @param {Array<string>} amixIds - AmiX IDs
+   */
+  static async watch(amixIds) {
+    const added = amixIds.filter((amixId) => {
+      const count = this.watched.get(amixId) || 0;
+      this.watched.set(amixId, count + 1);
+      return count === 0;
+    });
+
+    if (added.length > 0 && signalingService.isConnected()) {
+      try {
+        await this.subscribe(added);
+      } catch (error) {
+        console.error('Failed to subscribe to presence:', error);
+      }
+    }
+  }
+
+  static async unwatch(amixIds) {
+    const removed = amixIds.filter((amixId) => {
+      const count = (this.watched.get(amixId) || 0) - 1;
+      if (count > 0) {
+        this.watched.set(amixId, count);
+        return false;
+      }
+      this.watched.delete(amixId);
+      this.presence.delete(amixId);
+      return true;
+    });
+
+    if (removed.length > 0 && signalingService.isConnected()) {
+      try {
+        await signalingService.request('presence:unsubscribe', { amixIds: removed });
+      } catch (error) {
+        console.error('Failed to unsubscribe from presence:', error);
+      }
+    }
+  }
+
+  static async subscribe(amixIds) {
+    const current = await signalingService.request('presence:subscribe', { amixIds });
+    await Promise.all(current.map(presence => this.updatePresence(presence)));
+  }
+
+  static getPresence(amixId) {
+    return this.presence.get(amixId) || null;
+  }
+
+  static async updatePresence(presence) {
+    if (typeof presence?.amixId !== 'string') return;
+
+    const { amixId, online, lastSeen, hidden } = presence;
+    const update = {
+      online: !hidden && Boolean(online),
+      lastSeen: !hidden && Number.isFinite(lastSeen) ? lastSeen : null,
+      hidden: Boolean(hidden),
+    };
+
+    this.presence.set(amixId, update);
+    await AmiXStorage.storePresence(amixId, update);
+    this.emit('presenceChanged', { amixId, ...update });
+  }
+
+  // --- Typing ---
+
+  // Call on every change to the composer's text
+  static userTyping(conversationId) {
+    if (!this.typingEnabled) return;
+
+    const state = this.outgoing.get(conversationId) || { lastSentAt: null, idleTimer: null };
+    clearTimeout(state.idleTimer);
+    state.idleTimer = setTimeout(() => this.stopTyping(conversationId), PRESENCE_CONFIG.TYPING_IDLE);
+
+    if (AmiXPresenceEvents.shouldSendTyping(state.lastSentAt)) {
+      state.lastSentAt = Date.now();
+      this.sendTyping(conversationId, true);
+    }
+    this.outgoing.set(conversationId, state);
+  }
+
+  // Call when the message is sent or the composer is cleared or closed
+  static stopTyping(conversationId) {
+    const state = this.outgoing.get(conversationId);
+    if (!state) return;
+
+    clearTimeout(state.idleTimer);
+    this.outgoing.delete(conversationId);
+    this.sendTyping(conversationId, false);
+  }
+
+  static async sendTyping(conversationId, typing) {
+    try {
+      const ownId = await AmiXStorage.getAmiXId();
+      const group = await AmiXStorage.getGroup(conversationId);
+      const recipients = group
+        ? Object.keys(group.members || {})
+          .filter(memberId => memberId !== ownId)
+          .slice(0, PRESENCE_CONFIG.MAX_TYPING_FANOUT)
+        : [conversationId];
+
+      const content = AmiXPresenceEvents.createTypingEvent(typing, group ? conversationId : null);
+      await Promise.all(recipients.map(recipientId => this.sendTypingTo(recipientId, content)));
+    } catch (error) {
+      console.error('Failed to send typing event:', error);
+    }
+  }
+
+  static async sendTypingTo(peerAmixId, content) {
+    const deviceIds = await AmiXDevices.getDeviceIds(peerAmixId);
+    const ownDeviceId = await AmiXDevices.getDeviceId();
+
+    if (deviceIds.length === 1 && AmiXWebRTC.isConnected(peerAmixId)) {
+      const sent = await AmiXWebRTC.sendMessage(peerAmixId, {
+        type: 'typing',
+        deviceId: ownDeviceId,
+        payload: await AmiXWebRTC.encryptForPeer(peerAmixId, content, deviceIds[0]),
+      }, { lane: LANES.CONTROL });
+      if (sent) return;
+    }
+
+    // Don't spend ratchet steps on someone we know is offline
+    const known = this.presence.get(peerAmixId);
+    if (!signalingService.isConnected() || (known && !known.online && !known.hidden)) {
+      return;
+    }
+
+    const payloads = [];
+    for (const deviceId of deviceIds) {
+      payloads.push({ deviceId, payload: await AmiXWebRTC.encryptForPeer(peerAmixId, content, deviceId) });
+    }
+    await signalingService.sendEphemeral('typing', peerAmixId, { deviceId: ownDeviceId, payloads });
+  }
+
+  // One signal carries a payload for each of our devices
+  static async handleTypingSignal(senderId, data) {
+    if (!Array.isArray(data?.payloads)) return;
+
+    const ownDeviceId = await AmiXDevices.getDeviceId();
+    const entry = data.payloads.find(candidate => candidate.deviceId === ownDeviceId) ||
+      data.payloads.find(candidate => candidate.deviceId === null);
+    if (entry) {
+      await AmiXWebRTC.handleTyping(senderId, entry.payload, data.deviceId ?? null);
+    }
+  }
+
+  static async handleTyping(senderId, value) {
+    if (!this.typingEnabled) return;
+
+    const event = AmiXPresenceEvents.parseTypingEvent(value);
+    if (!event || AmiXPresenceEvents.isStale(event)) return;
+
+    // Group typing only counts from members of that group
+    if (event.groupId) {
+      const group = await AmiXStorage.getGroup(event.groupId);
+      if (!group?.members?.[senderId]) return;
+    }
+
+    const conversationId = event.groupId || senderId;
+    if (!event.typing) {
+      this.clearTyping(conversationId, senderId);
+      return;
+    }
+
+    const key = `${conversationId}|${senderId}`;
+    const wasTyping = this.typing.has(key);
+    clearTimeout(this.typing.get(key));
+    this.typing.set(key, setTimeout(() => this.clearTyping(conversationId, senderId), PRESENCE_CONFIG.TYPING_TIMEOUT));
+
+    if (!wasTyping) {
+      this.emit('typingChanged', { conversationId, senderId, typing: true });
+    }
+  }
+
+  static clearTyping(conversationId, senderId) {
+    const key = `${conversationId}|${senderId}`;
+    if (!this.typing.has(key)) return;
+
+    clearTimeout(this.typing.get(key));
+    this.typing.delete(key);
+    this.emit('typingChanged', { conversationId, senderId, typing: false });
+  }
+
+  // Who is typing in a conversation right now
+  static getTyping(conversationId) {
+    return Array.from(this.typing.keys())
+      .map(key => key.split('|'))
+      .filter(([keyConversationId]) => keyConversationId === conversationId)
+      .map(([, senderId]) => senderId);
+  }
+
+  // Event system
+  static on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(callback);
+  }
+
+  static off(event, callback) {
+    const listeners = this.eventListeners.get(event);
+    if (listeners) {
+      this.eventListeners.set(event, listeners.filter(listener => listener !== callback));
+    }
+  }
+
+  static emit(event, data) {
+    const listeners = this.eventListeners.get(event);
+    if (listeners) {
+      listeners.forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error('Event listener error:', error);
+        }
+      });
+    }
+  }
+}
+
+export default AmiXPresence;
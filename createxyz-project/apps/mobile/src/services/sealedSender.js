@@ -0,0 +1,257 @@
+import nacl from 'tweetnacl';
+import { encodeBase64, decodeBase64 } from 'tweetnacl-util';
+import { AmiXStorage } from '../utils/storage';
+import { MetadataProtection } from '../utils/metadataProtection';
+import { AmiXDevices } from './devices';
+import { AmiXPreKeys } from './prekeys';
+
+// AmiX Sealed Sender - hide who is talking to whom from the relay
+// The server-signed sender certificate travels inside the envelope, which
+// is encrypted to the recipient's identity key with an ephemeral key and
+// then with our own identity key, so a certificate only works for whoever
+// holds the identity key it names. The relay only sees a recipient address and the recipient's delivery token,
+// so it can't tell who sent a blob. Peers learn our delivery token from
+// the encrypted profile attached to our first (non-sealed) messages.
+
+const CERTIFICATE_REFRESH_MARGIN = 60 * 60 * 1000; // Refresh an hour before expiry
+const DELIVERY_TOKEN_LENGTH = 16;
+
+export class AmiXSealedSender {
+  // Our delivery token, registered with the server on first use
+  static async getOwnDeliveryToken() {
+    const tokens = await AmiXStorage.getDeliveryTokens();
+    if (tokens.own) return tokens.own;
+
+    const token = encodeBase64(nacl.randomBytes(DELIVERY_TOKEN_LENGTH));
+    const response = await fetch('/api/v1/relay/delivery-token', {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ token }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Delivery token registration failed with status ${response.status}`);
+    }
+
+    tokens.own = token;
+    await AmiXStorage.storeDeliveryTokens(tokens);
+    return token;
+  }
+
+  static async getPeerDeliveryToken(amixId) {
+    const tokens = await AmiXStorage.getDeliveryTokens();
+    return tokens.peers[amixId] || null;
+  }
+
+  static async storePeerDeliveryToken(amixId, token) {
+    if (typeof token !== 'string') return;
+
+    const tokens = await AmiXStorage.getDeliveryTokens();
+    if (tokens.peers[amixId] === token) return;
+
+    tokens.peers[amixId] = token;
+    await AmiXStorage.storeDeliveryTokens(tokens);
+  }
+
+  // The server key certificates are signed with, pinned on first use
+  static async getTrustRoot() {
+    const pinned = await AmiXStorage.get(AmiXStorage.STORAGE_KEYS.SENDER_TRUST_ROOT);
+    if (pinned) return pinned;
+
+    const response = await fetch('/api/v1/relay/trust-root', {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Trust root fetch failed with status ${response.status}`);
+    }
+
+    const body = await response.json();
+    await AmiXStorage.store(AmiXStorage.STORAGE_KEYS.SENDER_TRUST_ROOT, body.data.publicKey);
+    return body.data.publicKey;
+  }
+
+  // Our sender certificate, fetched again shortly before it expires
+  static async getSenderCertificate() {
+    const cached = await AmiXStorage.getSenderCertificate();
+    if (cached && cached.expiresAt - Date.now() > CERTIFICATE_REFRESH_MARGIN) {
+      return cached;
+    }
+
+    const deviceId = encodeURIComponent(await AmiXDevices.getDeviceId());
+    const response = await fetch(`/api/v1/relay/certificate?deviceId=${deviceId}`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Sender certificate fetch failed with status ${response.status}`);
+    }
+
+    const body = await response.json();
+    await AmiXStorage.storeSenderCertificate(body.data);
+    return body.data;
+  }
+
+  /**
+   * Check a sender certificate against the pinned trust root
+   * @returns {Object} - The certified { amixId, deviceId, identityKey, expiresAt }
+   */
+  static verifySenderCertificate({ certificate, signature }, trustRoot, now = Date.now()) {
+    const valid = nacl.sign.detached.verify(
+      new TextEncoder().encode(certificate),
+      decodeBase64(signature),
+      decodeBase64(trustRoot)
+    );
+    if (!valid) {
+      throw new Error('Invalid sender certificate signature');
+    }
+
+    const contents = JSON.parse(certificate);
+    if (contents.expiresAt < now) {
+      throw new Error('Sender certificate expired');
+    }
+    return contents;
+  }
+
+  /**
+   * Seal a relay envelope for one device of a peer. Returns null when the
+   * peer can't receive sealed messages yet, so the caller sends it the
+   * regular way.
+   */
+  static async seal(recipientId, deviceId, envelope) {
+    const [deliveryToken, ratchetState] = await Promise.all([
+      this.getPeerDeliveryToken(recipientId),
+      AmiXStorage.getRatchetState(AmiXPreKeys.sessionId(recipientId, deviceId)),
+    ]);
+    if (!deliveryToken || !ratchetState?.theirIdentityKey) return null;
+
+    const { certificate, signature } = await this.getSenderCertificate();
+    const identityKeys = await AmiXStorage.getIdentityKeys();
+
+    return {
+      deliveryToken,
+      encryptedData: {
+        type: 'sealed_sender',
+        payload: await MetadataProtection.protectFrom(
+          {
+            certificate,
+            signature,
+            envelope,
+            deliveryToken: await this.getOwnDeliveryToken(),
+          },
+          ratchetState.theirIdentityKey,
+          identityKeys.current
+        ),
+      },
+    };
+  }
+
+  /**
+   * Open a sealed envelope and authenticate its sender
+   * @returns {Promise<Object>} - { senderId, senderDeviceId, envelope }
+   */
+  static async unseal(payload) {
+    const identityKeys = await AmiXStorage.getIdentityKeys();
+    const { data: sealed, senderIdentityKey } = await MetadataProtection.unprotectFrom(payload, identityKeys);
+    const sender = this.verifySenderCertificate(sealed, await this.getTrustRoot());
+
+    // A certificate taken from someone else's envelope names a key we
+    // didn't see seal this one
+    if (senderIdentityKey !== sender.identityKey) {
+      throw new Error('Sender certificate does not match the sealing identity');
+    }
+
+    // The certified identity must also be the one the session (or
+    // handshake) uses; without either there is nothing to check it against
+    const ratchetState = await AmiXStorage.getRatchetState(
+      AmiXPreKeys.sessionId(sender.amixId, sender.deviceId)
+    );
+    const sessionIdentityKey = sealed.envelope?.payload?.x3dh?.identityKey ||
+      ratchetState?.theirIdentityKey;
+    if (!sessionIdentityKey) {
+      throw new Error('No session to check the sealed sender against');
+    }
+    if (sessionIdentityKey !== sender.identityKey) {
+      throw new Error('Sender certificate does not match the session identity');
+    }
+
+    await this.storePeerDeliveryToken(sender.amixId, sealed.deliveryToken);
+
+    return {
+      senderId: sender.amixId,
+      senderDeviceId: sender.deviceId,
+      envelope: sealed.envelope,
+    };
+  }
+
+  // Profile attached to non-sealed messages so the peer can seal its replies
+  static async createProfile(recipientId, deviceId) {
+    try {
+      const ratchetState = await AmiXStorage.getRatchetState(
+        AmiXPreKeys.sessionId(recipientId, deviceId)
+      );
+      if (!ratchetState?.theirIdentityKey) return null;
+
+      return await MetadataProtection.protect(
+        { deliveryToken: await this.getOwnDeliveryToken() },
+        ratchetState.theirIdentityKey
+      );
+    } catch (error) {
+      // The message still goes out; the peer just can't seal replies yet
+      console.error('Failed to create sealed sender profile:', error);
+      return null;
+    }
+  }
+
+  static async handleProfile(senderId, profile) {
+    try {
+      const identityKeys = await AmiXStorage.getIdentityKeys();
+      const { deliveryToken } = await MetadataProtection.unprotect(profile, identityKeys);
+      await this.storePeerDeliveryToken(senderId, deliveryToken);
+    } catch (error) {
+      console.error('Failed to read sealed sender profile:', error);
+    }
+  }
+
+  // Deliver without credentials: the relay must not learn who we are
+  static async send(recipientId, recipientDeviceId, sealed, ttl) {
+    try {
+      const response = await fetch('/api/v1/relay/sealed', {
+        method: 'POST',
+        credentials: 'omit',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          recipientId,
+          recipientDeviceId: recipientDeviceId || null,
+          deliveryToken: sealed.deliveryToken,
+          encryptedData: sealed.encryptedData,
+          ttl,
+        }),
+      });
+
+      // A rotated token means the peer has to share its new one first
+      if (response.status === 401) {
+        const tokens = await AmiXStorage.getDeliveryTokens();
+        delete tokens.peers[recipientId];
+        await AmiXStorage.storeDeliveryTokens(tokens);
+      }
+
+      return response.ok;
+    } catch (error) {
+      console.error('Sealed send failed:', error);
+      return false;
+    }
+  }
+}
+
+export default AmiXSealedSender;
@@ -1,102 +1,224 @@
+import * as SecureStore from 'expo-secure-store';
+import { io } from 'socket.io-client';
 import { AmiXStorage } from '../utils/storage';
 import { AmiXCrypto } from '../utils/crypto';
+import { authKey } from '../utils/auth/store';
 import { EventEmitter } from 'events';
 
+const SIGNALING_URL = process.env.EXPO_PUBLIC_SIGNALING_URL || process.env.EXPO_PUBLIC_BASE_URL;
+const SIGNALING_NAMESPACE = '/signaling';
+const ACK_TIMEOUT = 10000; // 10 seconds
+const MAX_PENDING_MESSAGES = 200;
+
+// Only useful right now: never queued, stored or retried
+const EPHEMERAL_SIGNAL_TYPES = ['typing'];
+
 class SignalingService extends EventEmitter {
   constructor() {
     super();
     this.socket = null;
     this.connected = false;
     this.pendingMessages = [];
+    this.userId = null;
+    this.amixId = null;
+    this.token = null;
   }
 
-  async initialize(userId) {
+  async initialize(userId, options = {}) {
+    const amixId = options.amixId || await AmiXStorage.getAmiXId();
+    const token = options.token || await this.getAuthToken();
+
+    // Already connected (or connecting) for this user
+    if (this.socket && this.userId === userId && this.amixId === amixId && this.token === token) return;
+
+    // Another account, or a new token: the old socket authenticated as
+    // someone else, and what it queued was theirs
+    this.closeSocket();
     this.userId = userId;
-    
-    // In a real app, you would connect to your signaling server here
-    // For example:
-    // this.socket = new WebSocket('wss://yoursignalingserver.com');
-    // this.setupSocketHandlers();
-    
-    // For now, we'll simulate a connection
-    this.connected = true;
-    this.processPendingMessages();
-    
+    this.amixId = amixId;
+    this.token = token;
+
+    if (!token) {
+      console.warn('Signaling service not started: no auth token');
+      return;
+    }
+
+    this.socket = io(`${SIGNALING_URL}${SIGNALING_NAMESPACE}`, {
+      auth: { token, amixId: this.amixId },
+      transports: ['websocket'],
+      reconnection: true,
+      reconnectionDelay: 1000,
+      reconnectionDelayMax: 30000,
+      randomizationFactor: 0.5,
+    });
+
+    this.setupSocketHandlers();
+
     console.log('Signaling service initialized for user:', userId);
   }
 
+  async getAuthToken() {
+    try {
+      const auth = await SecureStore.getItemAsync(authKey);
+      return auth ? JSON.parse(auth).jwt : null;
+    } catch (error) {
+      console.error('Failed to read auth token:', error);
+      return null;
+    }
+  }
+
+  setupSocketHandlers() {
+    this.socket.on('connect', () => {
+      this.connected = true;
+      console.log('Signaling connected');
+      this.emit('connected');
+      this.processPendingMessages();
+    });
+
+    this.socket.on('disconnect', (reason) => {
+      this.connected = false;
+      console.log('Signaling disconnected:', reason);
+      this.emit('disconnected', { reason });
+
+      // The server closed the connection on purpose; socket.io won't retry
+      if (reason === 'io server disconnect') {
+        this.socket.connect();
+      }
+    });
+
+    this.socket.on('connect_error', async (error) => {
+      console.error('Signaling connection error:', error.message);
+
+      // Refresh the token in case it expired while we were offline
+      if (error.message.startsWith('Authentication error')) {
+        const token = await this.getAuthToken();
+        if (token && this.socket) {
+          this.token = token;
+          this.socket.auth = { ...this.socket.auth, token };
+        }
+      }
+    });
+
+    this.socket.on('signal', (message) => {
+      this.handleIncomingMessage(message);
+    });
+
+    // Someone we follow came online, went offline or changed who may see it
+    this.socket.on('presence', (presence) => {
+      this.emit('presence', presence);
+    });
+  }
+
   async sendSignal(toUserId, signal) {
-    const message = {
-      type: 'signal',
-      from: this.userId,
-      to: toUserId,
-      data: signal,
-      timestamp: Date.now(),
-      id: await AmiXCrypto.generateSecureUUID()
-    };
+    return this.send(signal.type, toUserId, signal);
+  }
+
+  async sendFriendRequest(toUserId) {
+    return this.send('friend-request', toUserId, null);
+  }
+
+  async acceptFriendRequest(fromUserId) {
+    return this.send('friend-request-accepted', fromUserId, null);
+  }
 
-    if (this.connected) {
-      // In a real app, send via WebSocket
-      // this.socket.send(JSON.stringify(message));
-      console.log('Sending signal:', message);
-      
-      // Store the message for reliability
-      await this.storeMessage(message);
-    } else {
-      this.pendingMessages.push(message);
+  /**
+   * Send a signal that is only worth delivering right now: dropped when
+   * we or the recipient are offline
+   * @returns {Promise<Object>} - { status: 'delivered' | 'dropped' | 'error' }
+   */
+  async sendEphemeral(type, toUserId, data) {
+    if (!this.connected) {
+      return { status: 'dropped' };
     }
+
+    return new Promise((resolve) => {
+      this.socket.timeout(ACK_TIMEOUT).emit('signal', {
+        type,
+        to: toUserId,
+        data,
+      }, (error, response) => resolve(error || !response ? { status: 'dropped' } : response));
+    });
   }
 
-  async sendFriendRequest(toUserId) {
+  /**
+   * Call a server event that answers with an ack, e.g. presence:subscribe
+   * @returns {Promise<Object>} - The server's response
+   */
+  async request(event, payload) {
+    if (!this.connected) {
+      throw new Error('Signaling not connected');
+    }
+
+    return new Promise((resolve, reject) => {
+      this.socket.timeout(ACK_TIMEOUT).emit(event, payload, (error, response) => {
+        if (error || !response) {
+          return reject(error || new Error(`No response to ${event}`));
+        }
+        if (response.status === 'error') {
+          return reject(new Error(response.message));
+        }
+        resolve(response.data);
+      });
+    });
+  }
+
+  async send(type, toUserId, data) {
     const message = {
-      type: 'friend-request',
-      from: this.userId,
+      type,
+      from: this.amixId,
       to: toUserId,
+      data,
       timestamp: Date.now(),
       id: await AmiXCrypto.generateSecureUUID()
     };
 
-    if (this.connected) {
-      // In a real app, send via WebSocket
-      // this.socket.send(JSON.stringify(message));
-      console.log('Sending friend request:', message);
-      
-      // Store the message for reliability
-      await this.storeMessage(message);
-    } else {
-      this.pendingMessages.push(message);
+    if (!this.connected) {
+      this.queueMessage(message);
+      return { status: 'pending', id: message.id };
     }
+
+    const result = await this.emitMessage(message);
+
+    // Store the message for reliability
+    await this.storeMessage(message, result.status);
+
+    return result;
   }
 
-  async acceptFriendRequest(fromUserId) {
-    const message = {
-      type: 'friend-request-accepted',
-      from: this.userId,
-      to: fromUserId,
-      timestamp: Date.now(),
-      id: await AmiXCrypto.generateSecureUUID()
-    };
+  emitMessage(message) {
+    return new Promise((resolve) => {
+      this.socket.timeout(ACK_TIMEOUT).emit('signal', message, (error, response) => {
+        if (error || !response) {
+          // No ack: keep the message until the next reconnect
+          this.queueMessage(message);
+          return resolve({ status: 'pending', id: message.id });
+        }
 
-    if (this.connected) {
-      // In a real app, send via WebSocket
-      // this.socket.send(JSON.stringify(message));
-      console.log('Accepting friend request:', message);
-      
-      // Store the message for reliability
-      await this.storeMessage(message);
-    } else {
-      this.pendingMessages.push(message);
+        if (response.status === 'error') {
+          console.error('Signal rejected by server:', response.message);
+        }
+        resolve(response);
+      });
+    });
+  }
+
+  queueMessage(message) {
+    this.pendingMessages.push(message);
+
+    // Drop the oldest messages rather than growing without bound
+    if (this.pendingMessages.length > MAX_PENDING_MESSAGES) {
+      this.pendingMessages.splice(0, this.pendingMessages.length - MAX_PENDING_MESSAGES);
     }
   }
 
-  async storeMessage(message) {
+  async storeMessage(message, status = 'sent') {
     try {
       const db = await AmiXStorage.initialize();
-      await db.messages.add({
+      await db.messages.put({
         id: message.id,
         type: 'signaling',
         direction: 'outgoing',
-        status: 'sent',
+        status,
         content: message,
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString()
@@ -106,24 +228,32 @@ class SignalingService extends EventEmitter {
     }
   }
 
-  processPendingMessages() {
+  async processPendingMessages() {
     if (!this.connected || this.pendingMessages.length === 0) return;
-    
-    // Process all pending messages
-    while (this.pendingMessages.length > 0) {
-      const message = this.pendingMessages.shift();
-      this.sendSignal(message.to, message.data);
+
+    // Process all pending messages in the order they were queued
+    const messages = this.pendingMessages.splice(0);
+    for (const message of messages) {
+      if (!this.connected) {
+        this.queueMessage(message);
+        continue;
+      }
+      const result = await this.emitMessage(message);
+      await this.storeMessage(message, result.status);
     }
   }
 
-  // Simulate receiving a message (in a real app, this would come from WebSocket)
-  async simulateIncomingMessage(message) {
-    console.log('Received message:', message);
-    
+  async handleIncomingMessage(message) {
+    // Ephemeral signals are handled and forgotten
+    if (EPHEMERAL_SIGNAL_TYPES.includes(message.type)) {
+      this.emit(message.type, message);
+      return;
+    }
+
     // Store the incoming message
     try {
       const db = await AmiXStorage.initialize();
-      await db.messages.add({
+      await db.messages.put({
         id: message.id || await AmiXCrypto.generateSecureUUID(),
         type: 'signaling',
         direction: 'incoming',
@@ -135,20 +265,31 @@ class SignalingService extends EventEmitter {
     } catch (error) {
       console.error('Failed to store incoming message:', error);
     }
-    
+
     // Emit an event for the specific message type
     this.emit(message.type, message);
     // Also emit a generic message event
     this.emit('message', message);
   }
 
-  // Clean up resources
-  disconnect() {
+  isConnected() {
+    return this.connected;
+  }
+
+  // Drop the connection but keep the app's listeners on this service
+  closeSocket() {
     if (this.socket) {
-      this.socket.close();
+      this.socket.removeAllListeners();
+      this.socket.disconnect();
       this.socket = null;
     }
     this.connected = false;
+    this.pendingMessages = [];
+  }
+
+  // Clean up resources
+  disconnect() {
+    this.closeSocket();
     this.removeAllListeners();
   }
 }
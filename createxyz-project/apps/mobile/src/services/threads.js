@@ -0,0 +1,335 @@
+import { AmiXStorage } from '../utils/storage';
+import { AmiXCrypto } from '../utils/crypto';
+import { GroupCrypto } from '../utils/groupCrypto';
+import { ThreadManager } from '../utils/threading';
+import { AmiXThreadSync } from '../utils/threadSync';
+import { AmiXWebRTC } from './webrtc';
+import { AmiXMessageQueue } from './messageQueue';
+import { AmiXMLSDelivery } from './mlsDelivery';
+
+// AmiX Threads - quoted replies and threads on top of ThreadManager
+// Replies go through the conversation like any message. Thread messages
+// and thread metadata are sent pairwise through the message queue to the
+// audience the thread's visibility allows (see utils/threadSync.js), even in
+// groups, so members outside a private or secret thread never receive them.
+
+export class AmiXThreads {
+  static initialized = false;
+  static eventListeners = new Map();
+
+  static initialize() {
+    if (this.initialized) {
+      return true;
+    }
+    this.initialized = true;
+
+    AmiXWebRTC.on('messageReceived', ({ peerAmixId, messageId, message }) => {
+      this.handleMessage(peerAmixId, messageId, message);
+    });
+    // Threads we created or posted in from another of our devices
+    AmiXWebRTC.on('messageSynced', ({ peerAmixId, message }) => {
+      this.handleMessage('self', null, message, peerAmixId);
+    });
+
+    return true;
+  }
+
+  // Everyone in a conversation except us
+  static async getMembers(conversationId) {
+    const ownId = await AmiXStorage.getAmiXId();
+    const group = await AmiXStorage.getGroup(conversationId);
+    const members = group ? Object.keys(group.members || {}) : [conversationId];
+    return members.filter(memberId => memberId !== ownId);
+  }
+
+  static async sendPairwise(recipientIds, content) {
+    for (const recipientId of recipientIds) {
+      await AmiXMessageQueue.addToOutbox({ recipientId, content, priority: 'normal' });
+    }
+  }
+
+  // --- Replies ---
+
+  /**
+   * Reply to a message with a quote of it
+   * @returns {Promise<Object>} - The stored reply
+   */
+  static async sendReply(conversationId, text, quotedMessage) {
+    try {
+      const quote = AmiXThreadSync.quoteOf(quotedMessage);
+      const content = AmiXThreadSync.createReply(text, quote);
+
+      const group = await AmiXStorage.getGroup(conversationId);
+      if (group?.type === GroupCrypto.GROUP_TYPES.MLS) {
+        const encrypted = await AmiXMLSDelivery.sendMessage(conversationId, { id: await AmiXStorage.getAmiXId() }, content);
+        return await AmiXStorage.getMessage(encrypted.messageId);
+      }
+
+      const messageId = await AmiXMessageQueue.addToOutbox({ recipientId: conversationId, content });
+      const reply = {
+        id: messageId,
+        content: text,
+        quote,
+        senderId: 'self',
+        timestamp: Date.now(),
+        status: 'sending',
+      };
+      await AmiXStorage.storeMessage(conversationId, reply);
+      return reply;
+    } catch (error) {
+      console.error('Failed to send reply:', error);
+      throw error;
+    }
+  }
+
+  // --- Threads ---
+
+  /**
+   * Start a thread and tell its audience about it
+   * @param {string} conversationId - Peer's AmiX ID or group ID
+   * @param {Object} options - { title, visibility, participants, rootMessage }
+   * @returns {Promise<Object>} - The thread
+   */
+  static async createThread(conversationId, { title = '', visibility = ThreadManager.VISIBILITY.PRIVATE, participants = [], rootMessage = null } = {}) {
+    try {
+      const group = await AmiXStorage.getGroup(conversationId);
+      const threadId = await ThreadManager.createThread({
+        conversationId,
+        groupId: group ? conversationId : null,
+        rootMessageId: rootMessage?.id || null,
+        type: group ? ThreadManager.THREAD_TYPES.GROUP : ThreadManager.THREAD_TYPES.DIRECT,
+        title,
+        createdBy: await AmiXStorage.getAmiXId(),
+        participants,
+        visibility,
+      });
+
+      const thread = await AmiXStorage.getThread(threadId);
+      await this.announce(thread);
+      this.emit('threadUpdated', { conversationId, thread });
+      return thread;
+    } catch (error) {
+      console.error('Failed to create thread:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change a thread's shared metadata; only its creator can
+   * @param {Object} updates - Any of title, visibility, participants
+   */
+  static async updateThread(threadId, { title, visibility, participants }) {
+    const thread = await AmiXStorage.getThread(threadId);
+    if (thread?.createdBy !== await AmiXStorage.getAmiXId()) {
+      throw new Error('Only the thread creator can change it');
+    }
+
+    const updated = await ThreadManager.updateThread(threadId, {
+      metadataUpdatedAt: Date.now(),
+      ...(title !== undefined && { title }),
+      ...(visibility !== undefined && { visibility }),
+      ...(participants !== undefined && { participants: Array.from(new Set([...participants, thread.createdBy])) }),
+    });
+
+    await this.announce(updated);
+    this.emit('threadUpdated', { conversationId: updated.conversationId, thread: updated });
+    return updated;
+  }
+
+  static async announce(thread) {
+    const { metadata } = AmiXThreadSync.audience(thread, await this.getMembers(thread.conversationId));
+    await this.sendPairwise(metadata, AmiXThreadSync.createThreadUpdate(thread));
+  }
+
+  /**
+   * Post in a thread; only the members its visibility allows receive it
+   * @returns {Promise<Object>} - The stored message
+   */
+  static async sendThreadMessage(threadId, text, quotedMessage = null) {
+    try {
+      const thread = await AmiXStorage.getThread(threadId);
+      if (!thread) {
+        throw new Error('Thread not found');
+      }
+      if (!AmiXThreadSync.canPost(thread, await AmiXStorage.getAmiXId())) {
+        throw new Error('Not a participant of this thread');
+      }
+
+      // One ID for every recipient, so copies synced to our other devices
+      // land on the same message
+      const message = {
+        id: await AmiXCrypto.generateSecureUUID(),
+        content: text,
+        quote: quotedMessage ? AmiXThreadSync.quoteOf(quotedMessage) : null,
+        senderId: 'self',
+        timestamp: Date.now(),
+        status: 'sent',
+      };
+
+      const { messages: recipients } = AmiXThreadSync.audience(thread, await this.getMembers(thread.conversationId));
+      await this.sendPairwise(recipients, AmiXThreadSync.createThreadMessage(threadId, message.id, text, message.quote));
+
+      await ThreadManager.addMessageToThread(threadId, message);
+      this.emit('threadMessage', { conversationId: thread.conversationId, threadId, message });
+      return message;
+    } catch (error) {
+      console.error('Failed to send thread message:', error);
+      throw error;
+    }
+  }
+
+  static async getThreads(conversationId, options = {}) {
+    return await ThreadManager.getThreadsInConversation(conversationId, options);
+  }
+
+  static async getThreadMessages(threadId, options = {}) {
+    return await ThreadManager.getThreadMessages(threadId, options);
+  }
+
+  static async markThreadAsRead(threadId) {
+    const thread = await ThreadManager.markThreadAsRead(threadId, await AmiXStorage.getAmiXId());
+    this.emit('threadUpdated', { conversationId: thread.conversationId, thread });
+    return thread;
+  }
+
+  static async setPinned(threadId, isPinned) {
+    const thread = await ThreadManager.setPinned(threadId, isPinned);
+    this.emit('threadUpdated', { conversationId: thread.conversationId, thread });
+    return thread;
+  }
+
+  static async setArchived(threadId, isArchived) {
+    const thread = await ThreadManager.setArchived(threadId, isArchived);
+    this.emit('threadUpdated', { conversationId: thread.conversationId, thread });
+    return thread;
+  }
+
+  // --- Receiving ---
+
+  /**
+   * Structured content from a peer, or from our other devices ('self')
+   * @param {string} senderId - Sender's AmiX ID, or 'self'
+   * @param {string|null} messageId - ID the content was stored under on receipt
+   * @param {string} content - Decrypted message content
+   * @param {string} [syncedConversationId] - Conversation a synced copy was sent in
+   */
+  static async handleMessage(senderId, messageId, content, syncedConversationId = null) {
+    const parsed = AmiXThreadSync.parse(content);
+    if (!parsed) return;
+
+    try {
+      switch (parsed.type) {
+        case 'reply':
+          // Stored as raw content on receipt; keep the text and the quote
+          if (messageId) {
+            await AmiXStorage.updateMessage(messageId, AmiXThreadSync.replyFields(content));
+            this.emit('replyReceived', { conversationId: senderId, messageId });
+          }
+          break;
+        case 'thread_update':
+          if (messageId) await AmiXStorage.deleteMessage(messageId);
+          await this.applyUpdate(senderId, parsed.thread, syncedConversationId);
+          break;
+        case 'thread_message':
+          if (messageId) await AmiXStorage.deleteMessage(messageId);
+          await this.receiveThreadMessage(senderId, parsed);
+          break;
+      }
+    } catch (error) {
+      console.error('Failed to handle thread message:', error);
+    }
+  }
+
+  // Is the sender in the conversation the thread belongs to?
+  static async isInConversation(thread, senderId) {
+    if (!thread.groupId) {
+      return thread.conversationId === senderId;
+    }
+    const group = await AmiXStorage.getGroup(thread.groupId);
+    return Boolean(group?.members?.[senderId]);
+  }
+
+  static async applyUpdate(senderId, remote, syncedConversationId = null) {
+    const ownId = await AmiXStorage.getAmiXId();
+    const authorId = senderId === 'self' ? ownId : senderId;
+
+    // Direct threads live in the conversation with the other person
+    const conversationId = remote.groupId || (senderId === 'self' ? syncedConversationId : senderId);
+    const local = await AmiXStorage.getThread(remote.id);
+    const thread = { ...remote, conversationId: local?.conversationId || conversationId };
+
+    if (!thread.conversationId || (senderId !== 'self' && !await this.isInConversation(thread, senderId))) {
+      console.warn('Ignoring thread update from outside the conversation:', remote.id);
+      return false;
+    }
+
+    const merged = AmiXThreadSync.merge(local, thread, authorId);
+    if (!merged) return false;
+
+    await AmiXStorage.storeThread(merged);
+    this.emit('threadUpdated', { conversationId: merged.conversationId, thread: merged });
+    return true;
+  }
+
+  static async receiveThreadMessage(senderId, { threadId, id, content, quote }) {
+    const thread = await AmiXStorage.getThread(threadId);
+    if (!thread) {
+      console.warn('Ignoring message for an unknown thread:', threadId);
+      return false;
+    }
+
+    const authorId = senderId === 'self' ? await AmiXStorage.getAmiXId() : senderId;
+    if ((senderId !== 'self' && !await this.isInConversation(thread, senderId)) ||
+        !AmiXThreadSync.canPost(thread, authorId)) {
+      console.warn('Ignoring thread message from a non-participant:', threadId);
+      return false;
+    }
+
+    // Already have it, e.g. a copy sent to another of our devices; and an
+    // ID can't be used to overwrite someone else's message
+    const existing = await AmiXStorage.getMessage(id);
+    if (existing) return false;
+
+    const message = {
+      id,
+      content,
+      quote,
+      senderId,
+      timestamp: Date.now(),
+      isEncrypted: true,
+    };
+    await ThreadManager.addMessageToThread(threadId, message);
+    this.emit('threadMessage', { conversationId: thread.conversationId, threadId, message });
+    return true;
+  }
+
+  // Event system
+  static on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(callback);
+  }
+
+  static off(event, callback) {
+    const listeners = this.eventListeners.get(event);
+    if (listeners) {
+      this.eventListeners.set(event, listeners.filter(listener => listener !== callback));
+    }
+  }
+
+  static emit(event, data) {
+    const listeners = this.eventListeners.get(event);
+    if (listeners) {
+      listeners.forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error('Event listener error:', error);
+        }
+      });
+    }
+  }
+}
+
+export default AmiXThreads;
@@ -0,0 +1,153 @@
+import { AmiXCrypto } from '../utils/crypto';
+import { AmiXStorage } from '../utils/storage';
+import { SecurityLogger } from '../utils/securityLogger';
+
+// AmiX Identity Verification - safety numbers and key-change tracking
+// A contact counts as verified only while the identity key we verified is
+// still the one they use. Sessions report every identity key they see; a
+// different key clears the verification, logs a security event and tells
+// any open chat so it can block until the user acknowledges it.
+
+export class AmiXVerification {
+  static eventListeners = new Map();
+
+  static on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(callback);
+  }
+
+  static off(event, callback) {
+    const listeners = this.eventListeners.get(event);
+    if (listeners) {
+      this.eventListeners.set(event, listeners.filter(listener => listener !== callback));
+    }
+  }
+
+  static emit(event, data) {
+    const listeners = this.eventListeners.get(event);
+    if (listeners) {
+      listeners.forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error('Event listener error:', error);
+        }
+      });
+    }
+  }
+
+  // Verified only while the verified key is still the contact's key
+  static isVerified(contact) {
+    return Boolean(
+      contact?.verified &&
+      contact.verifiedIdentityKey &&
+      contact.verifiedIdentityKey === contact.publicKey
+    );
+  }
+
+  // Our key and ID plus the contact's, as the safety number needs them
+  static async getParties(contactId) {
+    const [identityKeys, amixId, contact] = await Promise.all([
+      AmiXStorage.getIdentityKeys(),
+      AmiXStorage.getAmiXId(),
+      AmiXStorage.getContact(contactId),
+    ]);
+
+    if (!identityKeys || !contact?.publicKey) {
+      throw new Error('Missing identity keys for safety number');
+    }
+
+    return [identityKeys.current.publicKey, contact.publicKey, amixId || '', contactId];
+  }
+
+  /**
+   * Safety number and QR payload for a contact
+   * @returns {Promise<Object>} - { safetyNumber, safetyCode, identityKey }
+   */
+  static async getSafetyNumber(contactId) {
+    const parties = await this.getParties(contactId);
+    return {
+      safetyNumber: await AmiXCrypto.generateSafetyNumber(...parties),
+      safetyCode: AmiXCrypto.createSafetyCode(...parties),
+      identityKey: parties[1],
+    };
+  }
+
+  // Mark the contact verified for the identity key the user just compared
+  static async markVerified(contactId, identityKey) {
+    const contact = await AmiXStorage.getContact(contactId);
+    if (!contact || contact.publicKey !== identityKey) {
+      throw new Error('Identity key changed during verification');
+    }
+
+    const updated = await AmiXStorage.updateContact(contactId, {
+      verified: true,
+      verifiedIdentityKey: identityKey,
+      verifiedAt: Date.now(),
+    });
+    await SecurityLogger.logEvent(SecurityLogger.EVENTS.CONTACT_VERIFIED, { contactId });
+    return updated;
+  }
+
+  /**
+   * Verify a contact from the QR code on their screen
+   * @returns {Promise<boolean>} - Whether the scanned code matched
+   */
+  static async verifyScannedCode(contactId, code) {
+    const parties = await this.getParties(contactId);
+    if (!AmiXCrypto.verifySafetyCode(code, ...parties)) {
+      return false;
+    }
+
+    await this.markVerified(contactId, parties[1]);
+    return true;
+  }
+
+  // The user has acknowledged the key-change warning for this contact
+  static async acknowledgeKeyChange(contactId) {
+    return await AmiXStorage.updateContact(contactId, { identityKeyChangePending: false });
+  }
+
+  /**
+   * Record the identity key a session uses for a contact. The first key
+   * seen is trusted; a different one afterwards drops the verification.
+   * @returns {Promise<boolean>} - Whether the key changed
+   */
+  static async checkIdentityKey(contactId, identityKey) {
+    try {
+      const contact = await AmiXStorage.getContact(contactId);
+      if (!contact || !identityKey || contact.publicKey === identityKey) {
+        return false;
+      }
+
+      if (!contact.publicKey) {
+        await AmiXStorage.updateContact(contactId, { publicKey: identityKey });
+        return false;
+      }
+
+      const wasVerified = this.isVerified(contact);
+      await AmiXStorage.updateContact(contactId, {
+        publicKey: identityKey,
+        previousPublicKey: contact.publicKey,
+        verified: false,
+        verifiedIdentityKey: null,
+        identityKeyChangedAt: Date.now(),
+        identityKeyChangePending: true,
+      });
+
+      await SecurityLogger.logEvent(SecurityLogger.EVENTS.IDENTITY_KEY_CHANGED, {
+        contactId,
+        wasVerified,
+      });
+      this.emit('identityKeyChanged', { contactId, wasVerified });
+      return true;
+    } catch (error) {
+      console.error('Failed to check identity key:', error);
+      return false;
+    }
+  }
+}
+
+export default AmiXVerification;
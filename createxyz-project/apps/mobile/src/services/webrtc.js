@@ -1,23 +1,37 @@
 import { AmiXCrypto } from '../utils/crypto';
 import { AmiXStorage } from '../utils/storage';
+import { AmiXFraming, FRAMING_CONFIG, FRAME_TYPES, LANES } from '../utils/dataChannelFraming';
+import { signalingService } from './signaling';
+import { AmiXPreKeys } from './prekeys';
+import { AmiXDevices } from './devices';
 
 // AmiX WebRTC Service - P2P messaging implementation
 // Uses WebRTC data channels for direct peer-to-peer communication
+// ICE servers come from the backend: STUN plus TURN with short-lived
+// credentials, refreshed before they expire. Users who don't want peers
+// to see their IP address can force every connection through TURN.
+
+const TURN_API = '/api/v1/turn';
+const CREDENTIAL_REFRESH_AT = 0.8;     // Refresh after 80% of the credential lifetime
+const CREDENTIAL_MIN_REMAINING = 60 * 1000; // Don't start a connection on credentials about to expire
+const CREDENTIAL_RETRY_DELAY = 60 * 1000;
+const CHANNEL_OPEN_TIMEOUT = 10 * 1000;
 
 export class AmiXWebRTC {
   static connections = new Map();
   static dataChannels = new Map();
+
+  // Only used while the backend can't be reached
   static stunServers = [
     'stun:stun.l.google.com:19302',
     'stun:stun1.l.google.com:19302',
-    'stun:stun2.l.google.com:19302',
-  ];
-  
-  static turnServers = [
-    // Add your TURN servers here for NAT traversal
-    // 'turn:your-turn-server.com:3478',
   ];
 
+  static iceServers = null;
+  static iceServersExpireAt = null;
+  static iceRefreshTimer = null;
+  static relayOnly = null; // Read from the preferences on first use
+
   static async initialize() {
     try {
       // Check if WebRTC is supported
@@ -30,6 +44,13 @@ export class AmiXWebRTC {
       this.connections.clear();
       this.dataChannels.clear();
 
+      // ICE servers, and whether to hide our IP behind TURN for this user
+      this.relayOnly = null;
+      await this.refreshIceServers();
+
+      // Route offers, answers and ICE candidates from the signaling server
+      this.setupSignalingHandlers();
+
       return true;
     } catch (error) {
       console.error('WebRTC initialization failed:', error);
@@ -37,15 +58,98 @@ export class AmiXWebRTC {
     }
   }
 
-  static async createPeerConnection(peerAmixId) {
+  // --- ICE servers ---
+
+  static async refreshIceServers() {
+    clearTimeout(this.iceRefreshTimer);
+
+    try {
+      const response = await fetch(`${TURN_API}/credentials`);
+      if (!response.ok) {
+        throw new Error(`TURN credentials request failed with status ${response.status}`);
+      }
+
+      const { data } = await response.json();
+      this.iceServers = data.iceServers;
+      this.iceServersExpireAt = data.expiresAt;
+
+      if (data.ttl) {
+        this.iceRefreshTimer = setTimeout(() => {
+          this.refreshIceServers();
+        }, data.ttl * 1000 * CREDENTIAL_REFRESH_AT);
+      }
+
+      // Open connections need the new credentials to keep their TURN allocations
+      for (const { connection } of this.connections.values()) {
+        try {
+          connection.setConfiguration({ ...connection.getConfiguration(), iceServers: this.iceServers });
+        } catch (error) {
+          console.error('Failed to update ICE servers on a connection:', error);
+        }
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Failed to fetch TURN credentials:', error);
+      this.iceRefreshTimer = setTimeout(() => {
+        this.refreshIceServers();
+      }, CREDENTIAL_RETRY_DELAY);
+      return false;
+    }
+  }
+
+  static async getIceServers() {
+    // The refresh timer doesn't run while the app is suspended
+    const expired = this.iceServersExpireAt &&
+      Date.now() > this.iceServersExpireAt - CREDENTIAL_MIN_REMAINING;
+    if (!this.iceServers || expired) {
+      await this.refreshIceServers();
+    }
+
+    if (await this.isRelayOnly()) {
+      const relays = (this.iceServers || []).filter(server => server.username && server.credential);
+      if (relays.length === 0) {
+        throw new Error('Relay-only connections need a TURN server');
+      }
+      return relays;
+    }
+
+    return this.iceServers?.length ? this.iceServers : [{ urls: this.stunServers }];
+  }
+
+  // Read lazily: connections can be made before (or without) initialize,
+  // and must not reveal our IP address when the user asked us not to
+  static async isRelayOnly() {
+    if (this.relayOnly === null) {
+      const preferences = await AmiXStorage.get(AmiXStorage.STORAGE_KEYS.USER_PREFERENCES);
+      this.relayOnly = Boolean(preferences?.relayOnly);
+    }
+    return this.relayOnly;
+  }
+
+  /**
+   * Send every connection through TURN, so peers only ever see the
+   * relay's address. Applies to connections created from now on.
+   * @param {boolean} enabled
+   */
+  static async setRelayOnly(enabled) {
+    const preferences = await AmiXStorage.get(AmiXStorage.STORAGE_KEYS.USER_PREFERENCES) || {};
+    await AmiXStorage.store(AmiXStorage.STORAGE_KEYS.USER_PREFERENCES, {
+      ...preferences,
+      relayOnly: Boolean(enabled),
+    });
+    this.relayOnly = Boolean(enabled);
+  }
+
+  static async createPeerConnection(peerAmixId, options = {}) {
     try {
       // Create RTCPeerConnection with STUN/TURN servers
       const configuration = {
-        iceServers: [
-          { urls: this.stunServers },
-          ...this.turnServers.map(url => ({ urls: url })),
-        ],
+        iceServers: await this.getIceServers(),
+        iceTransportPolicy: await this.isRelayOnly() ? 'relay' : 'all',
         iceCandidatePoolSize: 10,
+        // Calls encrypt encoded frames themselves (SFrame)
+        ...(options.frameEncryption && { encodedInsertableStreams: true }),
       };
 
       const peerConnection = new RTCPeerConnection(configuration);
@@ -125,9 +229,9 @@ export class AmiXWebRTC {
         throw new Error('No peer connection found');
       }
 
+      // Reliable and ordered: a message's frames must all arrive, in order
       const dataChannel = connection.connection.createDataChannel(label, {
         ordered: true,
-        maxRetransmits: 3,
       });
 
       this.setupDataChannel(dataChannel, peerAmixId, true);
@@ -138,39 +242,156 @@ export class AmiXWebRTC {
     }
   }
 
+  // An open channel to a connected peer, created if there isn't one yet
+  static async openDataChannel(peerAmixId, label) {
+    const existing = this.dataChannels.get(`${peerAmixId}-${label}`);
+    if (existing?.isOpen) {
+      return existing;
+    }
+
+    const dataChannel = await this.createDataChannel(peerAmixId, label);
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('Data channel did not open')), CHANNEL_OPEN_TIMEOUT);
+      dataChannel.addEventListener('open', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+    });
+
+    return this.dataChannels.get(`${peerAmixId}-${label}`);
+  }
+
   static setupDataChannel(dataChannel, peerAmixId, isInitiator) {
     const channelId = `${peerAmixId}-${dataChannel.label}`;
-    
+    const entry = {
+      channel: dataChannel,
+      peerAmixId,
+      isOpen: false,
+      isInitiator,
+      createdAt: Date.now(),
+      lastActivity: Date.now(),
+      framing: {
+        sender: AmiXFraming.createSender(),
+        reassembly: AmiXFraming.createReassembly(),
+        awaitingAck: new Map(), // seq -> { messageId, timer }
+      },
+    };
+
+    dataChannel.binaryType = 'arraybuffer';
+    dataChannel.bufferedAmountLowThreshold = FRAMING_CONFIG.LOW_WATER_MARK;
+
     dataChannel.onopen = () => {
       console.log(`Data channel opened: ${channelId}`);
-      this.dataChannels.set(channelId, {
-        channel: dataChannel,
-        peerAmixId,
-        isOpen: true,
-        isInitiator,
-        createdAt: Date.now(),
-        lastActivity: Date.now(),
-      });
+      entry.isOpen = true;
+      this.dataChannels.set(channelId, entry);
+      this.pumpChannel(entry);
     };
 
     dataChannel.onclose = () => {
       console.log(`Data channel closed: ${channelId}`);
       this.dataChannels.delete(channelId);
+      this.failPendingMessages(entry);
     };
 
     dataChannel.onerror = (error) => {
       console.error(`Data channel error: ${channelId}`, error);
     };
 
+    // Backpressure: sending pauses above the high-water mark until here
+    dataChannel.onbufferedamountlow = () => {
+      this.pumpChannel(entry);
+    };
+
     dataChannel.onmessage = async (event) => {
       try {
-        await this.handleIncomingMessage(peerAmixId, event.data);
+        await this.handleFrame(entry, event.data);
       } catch (error) {
         console.error('Failed to handle incoming message:', error);
       }
     };
   }
 
+  // --- Framing ---
+
+  // Put frames on the wire until the channel's buffer is full
+  static pumpChannel(entry) {
+    const { channel, framing } = entry;
+
+    while (channel.readyState === 'open' && channel.bufferedAmount <= FRAMING_CONFIG.HIGH_WATER_MARK) {
+      const next = AmiXFraming.nextFrame(framing.sender);
+      if (!next) return;
+
+      channel.send(next.frame);
+
+      // The ack clock starts once the whole message has left
+      if (next.done && next.meta.messageId) {
+        framing.awaitingAck.set(next.seq, {
+          messageId: next.meta.messageId,
+          timer: setTimeout(() => {
+            framing.awaitingAck.delete(next.seq);
+            this.emit('messageUnacknowledged', { peerAmixId: entry.peerAmixId, messageId: next.meta.messageId });
+          }, FRAMING_CONFIG.ACK_TIMEOUT),
+        });
+      }
+    }
+  }
+
+  static async handleFrame(entry, data) {
+    // Peers from before framing send whole JSON strings
+    if (typeof data === 'string') {
+      await this.handleIncomingMessage(entry.peerAmixId, data);
+      return;
+    }
+
+    const { framing } = entry;
+    const frame = AmiXFraming.decodeFrame(data);
+    entry.lastActivity = Date.now();
+
+    if (frame.type === FRAME_TYPES.ACK) {
+      const pending = framing.awaitingAck.get(frame.seq);
+      if (pending) {
+        clearTimeout(pending.timer);
+        framing.awaitingAck.delete(frame.seq);
+        this.emit('messageAcknowledged', { peerAmixId: entry.peerAmixId, messageId: pending.messageId });
+      }
+      return;
+    }
+
+    let message;
+    try {
+      message = AmiXFraming.addFrame(framing.reassembly, frame);
+    } catch (error) {
+      // The peer broke the framing rules; nothing after this can be trusted
+      console.error('Closing data channel after a framing error:', error);
+      entry.channel.close();
+      return;
+    }
+    if (!message) return;
+
+    await this.handleIncomingMessage(entry.peerAmixId, new TextDecoder().decode(message.bytes));
+
+    AmiXFraming.enqueueAck(framing.sender, message.seq);
+    this.pumpChannel(entry);
+  }
+
+  // The channel closed with messages queued or unacknowledged
+  static failPendingMessages(entry) {
+    const { framing } = entry;
+
+    const unacknowledged = [
+      ...Array.from(framing.awaitingAck.values()),
+      ...AmiXFraming.drain(framing.sender).map(message => message.meta),
+    ];
+    framing.awaitingAck.forEach(({ timer }) => clearTimeout(timer));
+    framing.awaitingAck.clear();
+
+    unacknowledged
+      .filter(({ messageId }) => messageId)
+      .forEach(({ messageId }) => {
+        this.emit('messageUnacknowledged', { peerAmixId: entry.peerAmixId, messageId });
+      });
+  }
+
   static async handleIncomingMessage(peerAmixId, data) {
     try {
       // Parse the message
@@ -190,11 +411,21 @@ export class AmiXWebRTC {
       // Handle different message types
       switch (message.type) {
         case 'encrypted_message':
-          await this.handleEncryptedMessage(peerAmixId, message.payload);
+          await this.handleEncryptedMessage(peerAmixId, message.payload, message.deviceId, message.messageId);
+          break;
+        case 'receipt':
+          await this.handleReceipt(peerAmixId, message.payload, message.deviceId);
+          break;
+        case 'typing':
+          await this.handleTyping(peerAmixId, message.payload, message.deviceId);
           break;
         case 'key_exchange':
           await this.handleKeyExchange(peerAmixId, message.payload);
           break;
+        case 'file_transfer':
+          // Handled by AmiXFileTransfer
+          this.emit('fileTransfer', { peerAmixId, payload: message.payload });
+          break;
         case 'ping':
           await this.sendPong(peerAmixId);
           break;
@@ -209,36 +440,94 @@ export class AmiXWebRTC {
     }
   }
 
-  static async handleEncryptedMessage(peerAmixId, encryptedData) {
-    try {
-      // Get ratchet state for this peer
-      const ratchetState = await AmiXStorage.getRatchetState(peerAmixId);
-      if (!ratchetState) {
-        throw new Error('No ratchet state found for peer');
-      }
+  // Encrypt for one device of a peer, running X3DH first if needed
+  static async encryptForPeer(peerAmixId, message, deviceId = null) {
+    const sessionId = AmiXPreKeys.sessionId(peerAmixId, deviceId);
+    const ratchetState = await AmiXPreKeys.ensureSession(peerAmixId, deviceId);
 
-      // Decrypt the message
-      const decryptedMessage = await AmiXCrypto.decryptMessage(encryptedData, ratchetState);
-      
-      // Store the updated ratchet state
-      await AmiXStorage.storeRatchetState(peerAmixId, ratchetState);
+    const encryptedData = await AmiXCrypto.encryptMessage(message, ratchetState);
+    await AmiXStorage.storeRatchetState(sessionId, ratchetState);
+
+    // Until the peer replies, every message carries our X3DH header
+    return ratchetState.pendingX3DH
+      ? { ...encryptedData, x3dh: ratchetState.pendingX3DH }
+      : encryptedData;
+  }
+
+  // Decrypt a message from one device of a peer
+  static async decryptFromPeer(peerAmixId, encryptedData, deviceId = null) {
+    const sessionId = AmiXPreKeys.sessionId(peerAmixId, deviceId);
+    let ratchetState = await AmiXStorage.getRatchetState(sessionId);
+
+    // A message carrying an X3DH header we haven't answered starts a new session
+    const { x3dh, ...ciphertext } = encryptedData;
+    if (x3dh && ratchetState?.x3dhEphemeralKey !== x3dh.ephemeralKey) {
+      ratchetState = await AmiXPreKeys.acceptSession(peerAmixId, x3dh, deviceId);
+    }
+
+    if (!ratchetState) {
+      throw new Error('No ratchet state found for peer');
+    }
+
+    const decryptedMessage = await AmiXCrypto.decryptMessage(ciphertext, ratchetState);
+
+    // The peer answered, so it has our X3DH header; stop resending it
+    delete ratchetState.pendingX3DH;
+    await AmiXStorage.storeRatchetState(sessionId, ratchetState);
 
-      // Store the message
+    return decryptedMessage;
+  }
+
+  /**
+   * Decrypt, store and announce a message from a peer
+   * @returns {Promise<boolean>} - Whether it could be decrypted and stored
+   */
+  static async handleEncryptedMessage(peerAmixId, encryptedData, deviceId = null, messageId = null) {
+    try {
+      // Decrypt with the session for the sending device
+      const decryptedMessage = await this.decryptFromPeer(peerAmixId, encryptedData, deviceId);
+
+      // Store the message under the sender's ID, which receipts refer to
       await AmiXStorage.storeMessage(peerAmixId, {
+        id: messageId || await AmiXCrypto.generateSecureUUID(),
         content: decryptedMessage,
         senderId: peerAmixId,
         timestamp: Date.now(),
+        receivedAt: Date.now(),
         isEncrypted: true,
       });
 
       // Emit message received event
       this.emit('messageReceived', {
         peerAmixId,
+        messageId,
         message: decryptedMessage,
         timestamp: Date.now(),
       });
+      return true;
     } catch (error) {
       console.error('Failed to handle encrypted message:', error);
+      return false;
+    }
+  }
+
+  // Delivery and read receipts; AmiXMessageQueue applies them
+  static async handleReceipt(peerAmixId, encryptedData, deviceId = null) {
+    try {
+      const receipt = await this.decryptFromPeer(peerAmixId, encryptedData, deviceId);
+      this.emit('receiptReceived', { peerAmixId, receipt });
+    } catch (error) {
+      console.error('Failed to handle receipt:', error);
+    }
+  }
+
+  // Typing events, from the data channel or an ephemeral signal; AmiXPresence shows them
+  static async handleTyping(peerAmixId, encryptedData, deviceId = null) {
+    try {
+      const event = await this.decryptFromPeer(peerAmixId, encryptedData, deviceId);
+      this.emit('typingReceived', { peerAmixId, event });
+    } catch (error) {
+      console.error('Failed to handle typing event:', error);
     }
   }
 
@@ -266,52 +555,55 @@ export class AmiXWebRTC {
     }
   }
 
-  static async sendEncryptedMessage(peerAmixId, message) {
+  /**
+   * Encrypt and send over the data channel
+   * @param {string} peerAmixId - Peer
+   * @param {string} message - Plaintext
+   * @param {string} [deviceId] - Peer device on the other end of the channel
+   * @param {Object} [options] - { lane, messageId } as for sendMessage
+   * @returns {Promise<boolean>} - Whether it was queued on the channel
+   */
+  static async sendEncryptedMessage(peerAmixId, message, deviceId = null, options = {}) {
     try {
-      // Get ratchet state
-      const ratchetState = await AmiXStorage.getRatchetState(peerAmixId);
-      if (!ratchetState) {
-        throw new Error('No ratchet state found for peer');
-      }
-
-      // Encrypt the message
-      const encryptedData = await AmiXCrypto.encryptMessage(message, ratchetState);
-      
-      // Store the updated ratchet state
-      await AmiXStorage.storeRatchetState(peerAmixId, ratchetState);
+      // Encrypt for the device on the other end of the data channel
+      const encryptedData = await this.encryptForPeer(peerAmixId, message, deviceId);
 
-      // Send through data channel
-      await this.sendMessage(peerAmixId, {
+      // Send through data channel, telling the peer which of our sessions to
+      // use. The outbox and the chat screen store our copy under its ID.
+      return await this.sendMessage(peerAmixId, {
         type: 'encrypted_message',
+        deviceId: await AmiXDevices.getDeviceId(),
+        messageId: options.messageId || null,
         payload: encryptedData,
-      });
-
-      // Store the message locally
-      await AmiXStorage.storeMessage(peerAmixId, {
-        content: message,
-        senderId: 'self',
-        timestamp: Date.now(),
-        isEncrypted: true,
-      });
-
-      return true;
+      }, options);
     } catch (error) {
       console.error('Failed to send encrypted message:', error);
       return false;
     }
   }
 
-  static async sendMessage(peerAmixId, message) {
+  /**
+   * Queue a message on one of the peer's data channels
+   * @param {string} peerAmixId - Peer
+   * @param {Object} message - JSON-serializable message
+   * @param {Object} [options]
+   * @param {number} [options.lane] - One of LANES; defaults to MESSAGES
+   * @param {string} [options.messageId] - Outbox ID; the peer's ack emits messageAcknowledged with it
+   * @param {string} [options.label] - Channel; defaults to amix-messages
+   * @returns {Promise<boolean>} - Whether it was queued
+   */
+  static async sendMessage(peerAmixId, message, { lane = LANES.MESSAGES, messageId = null, label = 'amix-messages' } = {}) {
     try {
-      const channelId = `${peerAmixId}-amix-messages`;
+      const channelId = `${peerAmixId}-${label}`;
       const dataChannel = this.dataChannels.get(channelId);
       
       if (!dataChannel || !dataChannel.isOpen) {
         throw new Error('Data channel not available');
       }
 
-      const messageString = JSON.stringify(message);
-      dataChannel.channel.send(messageString);
+      const bytes = new TextEncoder().encode(JSON.stringify(message));
+      AmiXFraming.enqueue(dataChannel.framing.sender, bytes, lane, { messageId });
+      this.pumpChannel(dataChannel);
       
       // Update last activity
       dataChannel.lastActivity = Date.now();
@@ -327,16 +619,70 @@ export class AmiXWebRTC {
     await this.sendMessage(peerAmixId, {
       type: 'pong',
       payload: { timestamp: Date.now() },
-    });
+    }, { lane: LANES.CONTROL });
   }
 
   static async sendPing(peerAmixId) {
     await this.sendMessage(peerAmixId, {
       type: 'ping',
       payload: { timestamp: Date.now() },
+    }, { lane: LANES.CONTROL });
+  }
+
+  // Signaling integration
+  static setupSignalingHandlers() {
+    if (this.signalingHandlers) return;
+
+    this.signalingHandlers = {
+      offer: async ({ from, data }) => {
+        try {
+          const answer = await this.connectToPeer(from, data.sdp);
+          await signalingService.sendSignal(from, {
+            type: 'answer',
+            sdp: { type: answer.type, sdp: answer.sdp },
+          });
+        } catch (error) {
+          console.error('Failed to answer offer:', error);
+        }
+      },
+      answer: async ({ from, data }) => {
+        try {
+          await this.acceptConnection(from, data.sdp);
+        } catch (error) {
+          console.error('Failed to apply answer:', error);
+        }
+      },
+      'ice-candidate': async ({ from, data }) => {
+        await this.addIceCandidate(from, data.candidate);
+      },
+    };
+
+    Object.entries(this.signalingHandlers).forEach(([type, handler]) => {
+      signalingService.on(type, handler);
     });
   }
 
+  // Start a connection to a peer: create the offer and send it via signaling
+  static async initiateConnection(peerAmixId) {
+    try {
+      const peerConnection = await this.createPeerConnection(peerAmixId);
+      await this.createDataChannel(peerAmixId);
+
+      const offer = await peerConnection.createOffer();
+      await peerConnection.setLocalDescription(offer);
+
+      await signalingService.sendSignal(peerAmixId, {
+        type: 'offer',
+        sdp: { type: offer.type, sdp: offer.sdp },
+      });
+
+      return peerConnection;
+    } catch (error) {
+      console.error('Failed to initiate connection:', error);
+      throw error;
+    }
+  }
+
   // Connection management
   static async connectToPeer(peerAmixId, offerSdp) {
     try {
@@ -399,6 +745,13 @@ export class AmiXWebRTC {
     this.eventListeners.get(event).push(callback);
   }
 
+  static off(event, callback) {
+    const listeners = this.eventListeners.get(event);
+    if (listeners) {
+      this.eventListeners.set(event, listeners.filter(listener => listener !== callback));
+    }
+  }
+
   static emit(event, data) {
     const listeners = this.eventListeners.get(event);
     if (listeners) {
@@ -470,11 +823,30 @@ export class AmiXWebRTC {
     this.connections.clear();
     this.dataChannels.clear();
     this.eventListeners.clear();
+
+    // Credentials belong to the signed-in user
+    clearTimeout(this.iceRefreshTimer);
+    this.iceServers = null;
+    this.iceServersExpireAt = null;
+
+    // Detach from the signaling service
+    if (this.signalingHandlers) {
+      Object.entries(this.signalingHandlers).forEach(([type, handler]) => {
+        signalingService.off(type, handler);
+      });
+      this.signalingHandlers = null;
+    }
   }
 
-  // Signaling server communication (placeholder)
+  // Signaling server communication
   static async sendIceCandidate(peerAmixId, candidate) {
-    // In production, send through your signaling server
-    console.log('ICE candidate for', peerAmixId, candidate);
+    try {
+      await signalingService.sendSignal(peerAmixId, {
+        type: 'ice-candidate',
+        candidate: typeof candidate.toJSON === 'function' ? candidate.toJSON() : candidate,
+      });
+    } catch (error) {
+      console.error('Failed to send ICE candidate:', error);
+    }
   }
 }
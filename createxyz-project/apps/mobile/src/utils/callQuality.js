@@ -0,0 +1,208 @@
+// AmiX Call Quality - picks a call's quality level from WebRTC statistics
+// Pure functions only: calls.js feeds in getStats() reports and applies
+// the level that comes out. Quality drops as soon as the network can't
+// carry the current level for a couple of samples, and only climbs back
+// one level at a time after the network has held comfortably above the
+// next level for a while, so it doesn't flap on a borderline link.
+
+export const QUALITY_LEVELS = ['low', 'medium', 'high', 'ultra'];
+
+export const QUALITY_CONFIG = {
+  POLL_INTERVAL: 2000,      // ms between getStats() samples
+  DOWNGRADE_SAMPLES: 2,     // Consecutive bad samples before dropping
+  UPGRADE_SAMPLES: 5,       // Consecutive good samples before climbing
+  MIN_HOLD: 10 * 1000,      // ms to stay at a level before climbing again
+  UPGRADE_MARGIN: 1.25,     // How far inside the next level's limits the network must be
+  MAX_TIMELINE_ENTRIES: 100,
+};
+
+// What the network has to manage for each level; low always works
+export const LEVEL_LIMITS = {
+  low: {},
+  medium: { minBandwidth: 600000, maxRtt: 400, maxJitter: 50, maxLoss: 0.05 },
+  high: { minBandwidth: 1800000, maxRtt: 250, maxJitter: 30, maxLoss: 0.02 },
+  ultra: { minBandwidth: 4500000, maxRtt: 150, maxJitter: 20, maxLoss: 0.01 },
+};
+
+export class AmiXCallQuality {
+  static levelIndex(level) {
+    const index = QUALITY_LEVELS.indexOf(level);
+    if (index === -1) {
+      throw new Error(`Unknown quality level: ${level}`);
+    }
+    return index;
+  }
+
+  /**
+   * Reduce a getStats() report to the numbers the controller uses
+   * @param {Map|Array} report - RTCStatsReport, or its values
+   * @param {Object} [previous] - Summary of the previous sample, for loss over the interval
+   * @returns {Object} - { timestamp, rtt, jitter, packetLoss, availableBandwidth, packetsReceived, packetsLost }
+   *   rtt and jitter in ms, packetLoss 0..1, availableBandwidth in bits/s; null when not reported
+   */
+  static summarizeStats(report, previous = null) {
+    const stats = Array.from(report.values ? report.values() : report);
+
+    let timestamp = 0;
+    let rtt = null;
+    let availableBandwidth = null;
+    let jitter = null;
+    let packetsReceived = 0;
+    let packetsLost = 0;
+    let remoteLoss = null;
+
+    for (const stat of stats) {
+      timestamp = Math.max(timestamp, stat.timestamp || 0);
+
+      switch (stat.type) {
+        case 'candidate-pair':
+          // The pair ICE is actually using
+          if (stat.state === 'succeeded' && stat.nominated !== false) {
+            if (typeof stat.currentRoundTripTime === 'number') {
+              rtt = stat.currentRoundTripTime * 1000;
+            }
+            if (typeof stat.availableOutgoingBitrate === 'number') {
+              availableBandwidth = stat.availableOutgoingBitrate;
+            }
+          }
+          break;
+
+        case 'inbound-rtp':
+          if (typeof stat.jitter === 'number') {
+            jitter = Math.max(jitter ?? 0, stat.jitter * 1000);
+          }
+          packetsReceived += stat.packetsReceived || 0;
+          packetsLost += Math.max(0, stat.packetsLost || 0);
+          break;
+
+        case 'remote-inbound-rtp':
+          // How our own media arrives at the peer
+          if (typeof stat.fractionLost === 'number') {
+            remoteLoss = Math.max(remoteLoss ?? 0, stat.fractionLost);
+          }
+          if (rtt === null && typeof stat.roundTripTime === 'number') {
+            rtt = stat.roundTripTime * 1000;
+          }
+          break;
+
+        default:
+          break;
+      }
+    }
+
+    // Loss since the last sample; counters only ever grow within a call
+    let localLoss = null;
+    const receivedDelta = packetsReceived - (previous?.packetsReceived || 0);
+    const lostDelta = packetsLost - (previous?.packetsLost || 0);
+    if (receivedDelta + lostDelta > 0 && receivedDelta >= 0 && lostDelta >= 0) {
+      localLoss = lostDelta / (receivedDelta + lostDelta);
+    }
+
+    const losses = [localLoss, remoteLoss].filter(loss => loss !== null);
+
+    return {
+      timestamp,
+      rtt,
+      jitter,
+      packetLoss: losses.length ? Math.max(...losses) : null,
+      availableBandwidth,
+      packetsReceived,
+      packetsLost,
+    };
+  }
+
+  // Does this sample fit a level's limits? margin > 1 asks for headroom.
+  // Metrics the browser didn't report don't count against a level.
+  static meetsLevel(summary, level, margin = 1) {
+    const limits = LEVEL_LIMITS[level];
+
+    if (limits.minBandwidth && summary.availableBandwidth !== null &&
+        summary.availableBandwidth < limits.minBandwidth * margin) return false;
+    if (limits.maxRtt && summary.rtt !== null && summary.rtt > limits.maxRtt / margin) return false;
+    if (limits.maxJitter && summary.jitter !== null && summary.jitter > limits.maxJitter / margin) return false;
+    if (limits.maxLoss && summary.packetLoss !== null && summary.packetLoss > limits.maxLoss / margin) return false;
+
+    return true;
+  }
+
+  // Highest level the sample supports
+  static supportedLevel(summary, margin = 1) {
+    for (let i = QUALITY_LEVELS.length - 1; i > 0; i--) {
+      if (this.meetsLevel(summary, QUALITY_LEVELS[i], margin)) {
+        return QUALITY_LEVELS[i];
+      }
+    }
+    return QUALITY_LEVELS[0];
+  }
+
+  /**
+   * Controller state for a new call
+   * @param {string} level - Starting level
+   * @param {number} [now] - Current time in ms
+   * @param {string} [ceiling] - Highest level the controller may pick
+   */
+  static createState(level, now = 0, ceiling = QUALITY_LEVELS[QUALITY_LEVELS.length - 1]) {
+    this.levelIndex(level);
+    this.levelIndex(ceiling);
+    return { level, ceiling, badSamples: 0, goodSamples: 0, changedAt: now };
+  }
+
+  /**
+   * Feed one sample to the controller
+   * @param {Object} state - From createState or a previous decide
+   * @param {Object} summary - From summarizeStats
+   * @param {number} now - Current time in ms
+   * @returns {Object} - { state, level, changed, reason }; the input state is left untouched
+   */
+  static decide(state, summary, now) {
+    const current = this.levelIndex(state.level);
+    const ceiling = this.levelIndex(state.ceiling);
+    const sustainable = Math.min(this.levelIndex(this.supportedLevel(summary)), ceiling);
+    const comfortable = Math.min(this.levelIndex(this.supportedLevel(summary, QUALITY_CONFIG.UPGRADE_MARGIN)), ceiling);
+
+    const next = { ...state, badSamples: 0, goodSamples: 0 };
+
+    // Down: straight to what the network can carry
+    if (sustainable < current) {
+      next.badSamples = state.badSamples + 1;
+      if (current > ceiling || next.badSamples >= QUALITY_CONFIG.DOWNGRADE_SAMPLES) {
+        return this.changeLevel(next, QUALITY_LEVELS[sustainable], now, 'degraded');
+      }
+      return { state: next, level: state.level, changed: false, reason: null };
+    }
+
+    // Up: one level at a time, after holding here a while
+    if (comfortable > current) {
+      next.goodSamples = state.goodSamples + 1;
+      if (next.goodSamples >= QUALITY_CONFIG.UPGRADE_SAMPLES && now - state.changedAt >= QUALITY_CONFIG.MIN_HOLD) {
+        return this.changeLevel(next, QUALITY_LEVELS[current + 1], now, 'improved');
+      }
+    }
+
+    return { state: next, level: state.level, changed: false, reason: null };
+  }
+
+  static changeLevel(state, level, now, reason) {
+    return {
+      state: { ...state, level, badSamples: 0, goodSamples: 0, changedAt: now },
+      level,
+      changed: true,
+      reason,
+    };
+  }
+
+  // One entry of a call's quality timeline
+  static timelineEntry(level, reason, summary, now) {
+    return {
+      at: now,
+      level,
+      reason,
+      rtt: summary?.rtt ?? null,
+      jitter: summary?.jitter ?? null,
+      packetLoss: summary?.packetLoss ?? null,
+      availableBandwidth: summary?.availableBandwidth ?? null,
+    };
+  }
+}
+
+export default AmiXCallQuality;
@@ -1,5 +1,6 @@
 import * as SecureStore from "expo-secure-store";
 import * as Crypto from "expo-crypto";
+import nacl from 'tweetnacl';
 import { 
   randomBytes, 
   secretbox, 
@@ -13,10 +14,7 @@ import {
   sign_keyPair_fromSecretKey,
   sign_keyPair
 } from 'tweetnacl';
-import { 
-  encode as encodeBase64, 
-  decode as decodeBase64 
-} from 'tweetnacl-util';
+import { encodeBase64, decodeBase64 } from 'tweetnacl-util';
 
 // AmiX Crypto Utilities - Production-grade implementation
 // Uses libsodium/tweetnacl for cryptographic operations
@@ -41,10 +39,42 @@ const KEY_ROTATION_CONFIG = {
   MAX_MESSAGE_KEYS: 1000, // Maximum number of message keys to store
 };
 
+// X3DH prekey configuration
+export const X3DH_CONFIG = {
+  INFO: 'AmiX_X3DH',
+  PQ_INFO: 'AmiX_PQXDH', // Hybrid handshakes bind a KEM secret into SK
+  SIGNED_PREKEY_LIFETIME: 7 * 24 * 60 * 60 * 1000, // Rotate signed prekey weekly
+  ONE_TIME_PREKEY_BATCH: 100, // One-time prekeys uploaded per batch
+  ONE_TIME_PREKEY_MIN: 20,    // Replenish when the server holds fewer than this
+};
+
+// Double Ratchet configuration
+export const RATCHET_CONFIG = {
+  VERSION: 'amix-dr-1',
+  ROOT_INFO: 'AmiX_Ratchet',
+  MESSAGE_INFO: 'AmiX_MessageKeys',
+  HEADER_INFO: 'AmiX_HeaderKeys',
+};
+
+// Sender Keys (group) configuration
+export const SENDER_KEY_CONFIG = {
+  VERSION: 'amix-sk-1',
+};
+
+// Safety number configuration, shared with the web client
+export const SAFETY_NUMBER_CONFIG = {
+  VERSION: 0,
+  ITERATIONS: 5200,       // SHA-512 iterations per fingerprint
+  CHUNKS: 6,              // 5-digit chunks per party (30 digits)
+  QR_PREFIX: 'amix-safety',
+};
+
 export class AmiXCrypto {
   static async generateIdentityKeys(previousKeys = null) {
-    // Generate a cryptographic identity keypair using Curve25519
-    const keypair = box_keypair();
+    // Generate a cryptographic identity keypair using Curve25519,
+    // plus an Ed25519 keypair for signing prekeys
+    const keypair = nacl.box.keyPair();
+    const signingKeypair = nacl.sign.keyPair();
     const now = Date.now();
     const keyId = await this.generateSecureUUID();
     
@@ -59,6 +89,8 @@ export class AmiXCrypto {
         keyId,
         privateKey: encodeBase64(keypair.secretKey),
         publicKey: encodeBase64(keypair.publicKey),
+        signingPrivateKey: encodeBase64(signingKeypair.secretKey),
+        signingPublicKey: encodeBase64(signingKeypair.publicKey),
         createdAt: now,
         expiresAt: now + (365 * 24 * 60 * 60 * 1000), // 1 year from now
         isCompromised: false
@@ -342,6 +374,206 @@ export class AmiXCrypto {
     }
   }
 
+  /**
+   * X25519 Diffie-Hellman between a private and a public key
+   * @param {string} privateKey - Base64 encoded X25519 private key
+   * @param {string} publicKey - Base64 encoded X25519 public key
+   * @returns {Uint8Array} - 32-byte shared secret
+   */
+  static dh(privateKey, publicKey) {
+    const privateKeyBytes = decodeBase64(privateKey);
+    const publicKeyBytes = decodeBase64(publicKey);
+
+    if (privateKeyBytes.length !== 32 || publicKeyBytes.length !== 32) {
+      throw new Error('Invalid X25519 key length');
+    }
+
+    return nacl.scalarMult(privateKeyBytes, publicKeyBytes);
+  }
+
+  /**
+   * Generate a signed prekey, signed with the identity signing key
+   * @param {Object} identityKeys - Identity keys as returned by generateIdentityKeys
+   * @param {number} keyId - Numeric ID of the prekey
+   * @returns {Promise<Object>} - Signed prekey including its private half
+   */
+  static async generateSignedPreKey(identityKeys, keyId) {
+    const keypair = nacl.box.keyPair();
+    const signature = nacl.sign.detached(
+      keypair.publicKey,
+      decodeBase64(identityKeys.current.signingPrivateKey)
+    );
+
+    return {
+      keyId,
+      publicKey: encodeBase64(keypair.publicKey),
+      privateKey: encodeBase64(keypair.secretKey),
+      signature: encodeBase64(signature),
+      createdAt: Date.now(),
+    };
+  }
+
+  /**
+   * Generate a batch of one-time prekeys with consecutive IDs
+   * @param {number} startId - ID of the first prekey
+   * @param {number} count - Number of prekeys to generate
+   * @returns {Array<Object>} - One-time prekeys including their private halves
+   */
+  static generateOneTimePreKeys(startId, count = X3DH_CONFIG.ONE_TIME_PREKEY_BATCH) {
+    return Array.from({ length: count }, (_, index) => {
+      const keypair = nacl.box.keyPair();
+      return {
+        keyId: startId + index,
+        publicKey: encodeBase64(keypair.publicKey),
+        privateKey: encodeBase64(keypair.secretKey),
+      };
+    });
+  }
+
+  /**
+   * Verify the signature on a signed prekey
+   * @param {Object} signedPreKey - Public signed prekey from a bundle
+   * @param {string} signingKey - Base64 encoded Ed25519 identity signing key
+   * @returns {boolean} - True if the signature is valid
+   */
+  static verifySignedPreKey(signedPreKey, signingKey) {
+    try {
+      return nacl.sign.detached.verify(
+        decodeBase64(signedPreKey.publicKey),
+        decodeBase64(signedPreKey.signature),
+        decodeBase64(signingKey)
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Combine X3DH DH outputs (and the PQXDH KEM secret) into the initial shared secret (SK)
+   * @private
+   */
+  static async deriveX3DHSecret(dhOutputs, info = X3DH_CONFIG.INFO) {
+    // 32 0xFF bytes prefix for X25519, as in the X3DH spec
+    const prefix = new Uint8Array(32).fill(0xff);
+    const totalLength = prefix.length + dhOutputs.reduce((sum, dh) => sum + dh.length, 0);
+    const inputKey = new Uint8Array(totalLength);
+
+    inputKey.set(prefix, 0);
+    let offset = prefix.length;
+    for (const dh of dhOutputs) {
+      inputKey.set(dh, offset);
+      offset += dh.length;
+    }
+
+    const sharedSecret = await this.hkdf(
+      inputKey,
+      new Uint8Array(HASH_LENGTH),
+      new TextEncoder().encode(info),
+      32
+    );
+
+    // Wipe intermediate key material
+    dhOutputs.forEach(dh => this.secureDelete(dh));
+    this.secureDelete(inputKey);
+
+    return sharedSecret;
+  }
+
+  /**
+   * X3DH initiator: derive SK from a peer's prekey bundle
+   *
+   * @param {Object} identityKeys - Our identity keys
+   * @param {Object} bundle - Peer bundle: identityKey, signingKey, signedPreKey, oneTimePreKey
+   * @param {Object} [options]
+   * @param {Uint8Array} [options.pqSharedSecret] - KEM secret for a PQXDH handshake (see PQCrypto)
+   * @returns {Promise<Object>} - Shared secret, associated data and the header for the first message
+   */
+  static async x3dhInitiate(identityKeys, bundle, options = {}) {
+    const { identityKey, signingKey, signedPreKey, oneTimePreKey } = bundle;
+
+    // 1) Refuse bundles whose signed prekey isn't signed by the identity
+    if (!this.verifySignedPreKey(signedPreKey, signingKey)) {
+      throw new Error('X3DH failed: invalid signed prekey signature');
+    }
+
+    // 2) Ephemeral key for this handshake only
+    const ephemeral = nacl.box.keyPair();
+    const ephemeralPrivateKey = encodeBase64(ephemeral.secretKey);
+
+    // 3) DH1..DH4
+    const dhOutputs = [
+      this.dh(identityKeys.current.privateKey, signedPreKey.publicKey),
+      this.dh(ephemeralPrivateKey, identityKey),
+      this.dh(ephemeralPrivateKey, signedPreKey.publicKey),
+    ];
+    if (oneTimePreKey) {
+      dhOutputs.push(this.dh(ephemeralPrivateKey, oneTimePreKey.publicKey));
+    }
+    if (options.pqSharedSecret) {
+      dhOutputs.push(options.pqSharedSecret);
+    }
+
+    const sharedSecret = await this.deriveX3DHSecret(
+      dhOutputs,
+      options.pqSharedSecret ? X3DH_CONFIG.PQ_INFO : X3DH_CONFIG.INFO
+    );
+    this.secureDelete(ephemeral.secretKey);
+
+    return {
+      sharedSecret: encodeBase64(sharedSecret),
+      associatedData: identityKeys.current.publicKey + identityKey,
+      theirSignedPreKey: signedPreKey.publicKey,
+      header: {
+        identityKey: identityKeys.current.publicKey,
+        ephemeralKey: encodeBase64(ephemeral.publicKey),
+        signedPreKeyId: signedPreKey.keyId,
+        oneTimePreKeyId: oneTimePreKey ? oneTimePreKey.keyId : null,
+      },
+    };
+  }
+
+  /**
+   * X3DH responder: derive SK from the initiator's header and our private prekeys
+   *
+   * @param {Object} identityKeys - Our identity keys
+   * @param {Object} preKeys - Private prekeys referenced by the header
+   * @param {Object} preKeys.signedPreKey - Our signed prekey
+   * @param {Object} [preKeys.oneTimePreKey] - Our one-time prekey, if one was used
+   * @param {Object} header - X3DH header from the initiator's first message
+   * @param {Object} [options]
+   * @param {Uint8Array} [options.pqSharedSecret] - Decapsulated KEM secret for a PQXDH handshake
+   * @returns {Promise<Object>} - Shared secret and associated data
+   */
+  static async x3dhRespond(identityKeys, preKeys, header, options = {}) {
+    const { signedPreKey, oneTimePreKey } = preKeys;
+
+    if (header.oneTimePreKeyId !== null && header.oneTimePreKeyId !== undefined && !oneTimePreKey) {
+      throw new Error('X3DH failed: one-time prekey already used or unknown');
+    }
+
+    const dhOutputs = [
+      this.dh(signedPreKey.privateKey, header.identityKey),
+      this.dh(identityKeys.current.privateKey, header.ephemeralKey),
+      this.dh(signedPreKey.privateKey, header.ephemeralKey),
+    ];
+    if (oneTimePreKey) {
+      dhOutputs.push(this.dh(oneTimePreKey.privateKey, header.ephemeralKey));
+    }
+    if (options.pqSharedSecret) {
+      dhOutputs.push(options.pqSharedSecret);
+    }
+
+    const sharedSecret = await this.deriveX3DHSecret(
+      dhOutputs,
+      options.pqSharedSecret ? X3DH_CONFIG.PQ_INFO : X3DH_CONFIG.INFO
+    );
+
+    return {
+      sharedSecret: encodeBase64(sharedSecret),
+      associatedData: header.identityKey + identityKeys.current.publicKey,
+    };
+  }
+
   // Key Rotation Implementation
   static async rotateKeysIfNeeded(ratchetState) {
     const now = Date.now();
@@ -370,18 +602,742 @@ export class AmiXCrypto {
   }
 
   // Double Ratchet Implementation
-  static async createRatchetState(sharedSecret, ourPrivateKey, theirPublicKey) {
-    const rootKey = await this.deriveKey(decodeBase64(sharedSecret), 'amix-root');
-    const chainKey = await this.deriveKey(rootKey, 'amix-chain');
-    
+
+  /**
+   * Copy a 32-byte secret given as bytes or base64 (the copy may be wiped)
+   * @private
+   */
+  static toKeyBytes(key) {
+    return key instanceof Uint8Array ? new Uint8Array(key) : decodeBase64(key);
+  }
+
+  /**
+   * Generate a fresh X25519 ratchet key pair
+   * @private
+   */
+  static generateRatchetKeyPair() {
+    const keypair = nacl.box.keyPair();
+    return {
+      publicKey: encodeBase64(keypair.publicKey),
+      privateKey: encodeBase64(keypair.secretKey),
+    };
+  }
+
+  /**
+   * KDF_RK: mix a DH output into the root key
+   * @private
+   * @returns {Promise<Object>} - New root key, chain key and (with header encryption) next header key
+   */
+  static async kdfRootKey(rootKey, dhOutput, headerEncryption = false) {
+    const okm = await this.hkdf(
+      dhOutput,
+      decodeBase64(rootKey),
+      new TextEncoder().encode(RATCHET_CONFIG.ROOT_INFO),
+      headerEncryption ? 96 : 64
+    );
+    this.secureDelete(dhOutput);
+
     return {
-      rootKey: encodeBase64(rootKey),
-      chainKey: encodeBase64(chainKey),
-      ourPrivateKey: ourPrivateKey,
-      theirPublicKey: theirPublicKey,
+      rootKey: encodeBase64(okm.slice(0, 32)),
+      chainKey: encodeBase64(okm.slice(32, 64)),
+      headerKey: headerEncryption ? encodeBase64(okm.slice(64, 96)) : null,
+    };
+  }
+
+  /**
+   * KDF_CK: advance a chain key, yielding a single-use message key
+   * @private
+   */
+  static async kdfChainKey(chainKey) {
+    const chainKeyBytes = decodeBase64(chainKey);
+    const [messageKey, nextChainKey] = await Promise.all([
+      this.hmac(chainKeyBytes, new Uint8Array([0x01])),
+      this.hmac(chainKeyBytes, new Uint8Array([0x02])),
+    ]);
+
+    return { messageKey, chainKey: encodeBase64(nextChainKey) };
+  }
+
+  /**
+   * Create a Double Ratchet session from an agreed secret (e.g. the X3DH SK).
+   *
+   * The initiator passes the peer's ratchet public key (their signed prekey)
+   * and can send immediately. The responder passes its own ratchet private
+   * key (the signed prekey used in X3DH) and no peer key; it can only send
+   * once the first message has arrived.
+   *
+   * @param {string|Uint8Array} sharedSecret - 32-byte shared secret (base64 or bytes)
+   * @param {string|null} ourPrivateKey - Responder: our ratchet private key
+   * @param {string|null} theirPublicKey - Initiator: the peer's ratchet public key
+   * @param {Object} [options]
+   * @param {boolean} [options.headerEncryption] - Encrypt message headers
+   * @returns {Promise<Object>} - JSON-serializable ratchet state
+   */
+  static async createRatchetState(sharedSecret, ourPrivateKey, theirPublicKey, options = {}) {
+    const secret = this.toKeyBytes(sharedSecret);
+    if (secret.length !== 32) {
+      throw new Error('Ratchet shared secret must be 32 bytes');
+    }
+
+    const headerEncryption = Boolean(options.headerEncryption);
+    const state = {
+      version: RATCHET_CONFIG.VERSION,
+      headerEncryption,
+      rootKey: encodeBase64(secret),
+      sendingRatchetKey: null,
+      receivingRatchetKey: null,
+      sendingChainKey: null,
+      receivingChainKey: null,
+      sendCount: 0,
+      receiveCount: 0,
+      previousSendCount: 0,
+      skippedKeys: [],
       messageCount: 0,
       timestamp: Date.now(),
     };
+
+    // Both sides derive the same initial header keys from the shared secret
+    let initiatorHeaderKey = null;
+    let responderHeaderKey = null;
+    if (headerEncryption) {
+      const headerKeys = await this.hkdf(
+        secret,
+        new Uint8Array(HASH_LENGTH),
+        new TextEncoder().encode(RATCHET_CONFIG.HEADER_INFO),
+        64
+      );
+      initiatorHeaderKey = encodeBase64(headerKeys.slice(0, 32));
+      responderHeaderKey = encodeBase64(headerKeys.slice(32, 64));
+    }
+
+    if (theirPublicKey) {
+      // Initiator: perform the first DH ratchet step straight away
+      state.sendingRatchetKey = this.generateRatchetKeyPair();
+      state.receivingRatchetKey = theirPublicKey;
+
+      const next = await this.kdfRootKey(
+        state.rootKey,
+        this.dh(state.sendingRatchetKey.privateKey, theirPublicKey),
+        headerEncryption
+      );
+      state.rootKey = next.rootKey;
+      state.sendingChainKey = next.chainKey;
+
+      if (headerEncryption) {
+        state.sendingHeaderKey = initiatorHeaderKey;
+        state.receivingHeaderKey = null;
+        state.nextSendingHeaderKey = next.headerKey;
+        state.nextReceivingHeaderKey = responderHeaderKey;
+      }
+    } else {
+      if (!ourPrivateKey) {
+        throw new Error('Ratchet responder needs its ratchet private key');
+      }
+
+      const keypair = nacl.box.keyPair.fromSecretKey(decodeBase64(ourPrivateKey));
+      state.sendingRatchetKey = {
+        publicKey: encodeBase64(keypair.publicKey),
+        privateKey: ourPrivateKey,
+      };
+
+      if (headerEncryption) {
+        state.sendingHeaderKey = null;
+        state.receivingHeaderKey = null;
+        state.nextSendingHeaderKey = responderHeaderKey;
+        state.nextReceivingHeaderKey = initiatorHeaderKey;
+      }
+    }
+
+    this.secureDelete(secret);
+    return state;
+  }
+
+  /**
+   * DH ratchet step on receiving a new ratchet public key
+   * @private
+   */
+  static async dhRatchetStep(state, header) {
+    state.previousSendCount = state.sendCount;
+    state.sendCount = 0;
+    state.receiveCount = 0;
+    state.receivingRatchetKey = header.dh;
+
+    if (state.headerEncryption) {
+      state.sendingHeaderKey = state.nextSendingHeaderKey;
+      state.receivingHeaderKey = state.nextReceivingHeaderKey;
+    }
+
+    // New receiving chain from their new key and our current key
+    const receiving = await this.kdfRootKey(
+      state.rootKey,
+      this.dh(state.sendingRatchetKey.privateKey, header.dh),
+      state.headerEncryption
+    );
+    state.rootKey = receiving.rootKey;
+    state.receivingChainKey = receiving.chainKey;
+
+    // New sending chain from a fresh key pair
+    state.sendingRatchetKey = this.generateRatchetKeyPair();
+    const sending = await this.kdfRootKey(
+      state.rootKey,
+      this.dh(state.sendingRatchetKey.privateKey, header.dh),
+      state.headerEncryption
+    );
+    state.rootKey = sending.rootKey;
+    state.sendingChainKey = sending.chainKey;
+
+    if (state.headerEncryption) {
+      state.nextReceivingHeaderKey = receiving.headerKey;
+      state.nextSendingHeaderKey = sending.headerKey;
+    }
+  }
+
+  /**
+   * Store message keys for messages we haven't received yet (up to `until`)
+   * @private
+   */
+  static async skipMessageKeys(state, until) {
+    if (state.receiveCount + KEY_ROTATION_CONFIG.MAX_SKIPPED_KEYS < until) {
+      throw new Error('Too many skipped messages');
+    }
+
+    if (!state.receivingChainKey) return;
+
+    const chainId = state.headerEncryption ? state.receivingHeaderKey : state.receivingRatchetKey;
+    while (state.receiveCount < until) {
+      const { messageKey, chainKey } = await this.kdfChainKey(state.receivingChainKey);
+      state.skippedKeys.push({
+        chainId,
+        n: state.receiveCount,
+        messageKey: encodeBase64(messageKey),
+        createdAt: Date.now(),
+      });
+      state.receivingChainKey = chainKey;
+      state.receiveCount += 1;
+    }
+
+    // Bound the store: the oldest skipped keys are dropped first
+    const overflow = state.skippedKeys.length - KEY_ROTATION_CONFIG.MAX_MESSAGE_KEYS;
+    if (overflow > 0) {
+      state.skippedKeys.splice(0, overflow);
+    }
+  }
+
+  /**
+   * Encrypt a header with a header key (random nonce, prepended)
+   * @private
+   */
+  static encryptRatchetHeader(headerKey, header) {
+    const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+    const sealed = nacl.secretbox(
+      new TextEncoder().encode(JSON.stringify(header)),
+      nonce,
+      decodeBase64(headerKey)
+    );
+
+    const encrypted = new Uint8Array(nonce.length + sealed.length);
+    encrypted.set(nonce);
+    encrypted.set(sealed, nonce.length);
+    return encodeBase64(encrypted);
+  }
+
+  /**
+   * Try to decrypt a header with one header key
+   * @private
+   * @returns {Object|null} - Header, or null if the key doesn't fit
+   */
+  static decryptRatchetHeader(headerKey, encryptedHeader) {
+    if (!headerKey || typeof encryptedHeader !== 'string') return null;
+
+    try {
+      const bytes = decodeBase64(encryptedHeader);
+      const nonce = bytes.slice(0, nacl.secretbox.nonceLength);
+      const opened = nacl.secretbox.open(
+        bytes.slice(nacl.secretbox.nonceLength),
+        nonce,
+        decodeBase64(headerKey)
+      );
+      return opened ? JSON.parse(new TextDecoder().decode(opened)) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Reject malformed headers before they touch the ratchet
+   * @private
+   */
+  static validateRatchetHeader(header) {
+    if (!header || typeof header.dh !== 'string' ||
+        !Number.isInteger(header.n) || header.n < 0 ||
+        !Number.isInteger(header.pn) || header.pn < 0) {
+      throw new Error('Invalid ratchet header');
+    }
+    return header;
+  }
+
+  /**
+   * Build the associated data bound to a message: session AD plus header
+   * @private
+   */
+  static ratchetAssociatedData(state, headerField, aad) {
+    const sessionAd = aad instanceof Uint8Array
+      ? aad
+      : new TextEncoder().encode(aad || state.associatedData || '');
+    const headerBytes = new TextEncoder().encode(
+      typeof headerField === 'string' ? headerField : JSON.stringify(headerField)
+    );
+
+    const associatedData = new Uint8Array(sessionAd.length + headerBytes.length);
+    associatedData.set(sessionAd);
+    associatedData.set(headerBytes, sessionAd.length);
+    return associatedData;
+  }
+
+  /**
+   * Expand a message key into encryption key, MAC key and nonce
+   * @private
+   */
+  static async expandMessageKey(messageKey) {
+    const okm = await this.hkdf(
+      messageKey,
+      new Uint8Array(HASH_LENGTH),
+      new TextEncoder().encode(RATCHET_CONFIG.MESSAGE_INFO),
+      88
+    );
+
+    return {
+      encryptionKey: okm.slice(0, 32),
+      macKey: okm.slice(32, 64),
+      nonce: okm.slice(64, 88),
+    };
+  }
+
+  /**
+   * Encrypt with a message key and authenticate the associated data
+   * @private
+   */
+  static async sealRatchetMessage(messageKey, plaintext, associatedData) {
+    const { encryptionKey, macKey, nonce } = await this.expandMessageKey(messageKey);
+    const ciphertext = nacl.secretbox(plaintext, nonce, encryptionKey);
+
+    const macInput = new Uint8Array(associatedData.length + ciphertext.length);
+    macInput.set(associatedData);
+    macInput.set(ciphertext, associatedData.length);
+    const mac = await this.hmac(macKey, macInput);
+
+    this.secureDelete(encryptionKey);
+    this.secureDelete(macKey);
+    this.secureDelete(messageKey);
+
+    return { ciphertext: encodeBase64(ciphertext), mac: encodeBase64(mac) };
+  }
+
+  /**
+   * Verify and decrypt with a message key
+   * @private
+   * @returns {Promise<Uint8Array|null>} - Plaintext, or null if authentication fails
+   */
+  static async openRatchetMessage(messageKey, encryptedData, associatedData) {
+    const { encryptionKey, macKey, nonce } = await this.expandMessageKey(messageKey);
+
+    try {
+      const ciphertext = decodeBase64(encryptedData.ciphertext);
+      const macInput = new Uint8Array(associatedData.length + ciphertext.length);
+      macInput.set(associatedData);
+      macInput.set(ciphertext, associatedData.length);
+
+      const expectedMac = await this.hmac(macKey, macInput);
+      const mac = decodeBase64(encryptedData.mac || '');
+      if (mac.length !== expectedMac.length || !nacl.verify(mac, expectedMac)) {
+        return null;
+      }
+
+      return nacl.secretbox.open(ciphertext, nonce, encryptionKey);
+    } finally {
+      this.secureDelete(encryptionKey);
+      this.secureDelete(macKey);
+    }
+  }
+
+  /**
+   * Frame a plaintext: type byte, 32-bit length, body, random padding
+   * @private
+   */
+  static async encodeRatchetFrame(message) {
+    const isBinary = message instanceof Uint8Array;
+    const body = isBinary ? message : new TextEncoder().encode(String(message));
+    const padding = await this.generatePadding(body.length + 5);
+
+    const frame = new Uint8Array(5 + body.length + padding.length);
+    frame[0] = isBinary ? 1 : 0;
+    new DataView(frame.buffer).setUint32(1, body.length, true);
+    frame.set(body, 5);
+    frame.set(padding, 5 + body.length);
+    return frame;
+  }
+
+  /**
+   * Strip framing and padding; strings come back as strings
+   * @private
+   */
+  static decodeRatchetFrame(frame) {
+    const length = new DataView(frame.buffer, frame.byteOffset, frame.byteLength).getUint32(1, true);
+    if (length > frame.length - 5) {
+      throw new Error('Invalid message framing');
+    }
+
+    const body = frame.slice(5, 5 + length);
+    return frame[0] === 1 ? body : new TextDecoder().decode(body);
+  }
+
+  /**
+   * Try stored skipped-message keys for an out-of-order message
+   * @private
+   */
+  static async trySkippedMessageKeys(state, encryptedData, associatedData) {
+    for (let i = 0; i < state.skippedKeys.length; i++) {
+      const skipped = state.skippedKeys[i];
+
+      const header = state.headerEncryption
+        ? this.decryptRatchetHeader(skipped.chainId, encryptedData.header)
+        : encryptedData.header;
+      if (!header || header.n !== skipped.n) continue;
+      if (!state.headerEncryption && header.dh !== skipped.chainId) continue;
+
+      const plaintext = await this.openRatchetMessage(
+        decodeBase64(skipped.messageKey),
+        encryptedData,
+        associatedData
+      );
+      if (!plaintext) {
+        throw new Error('Message authentication failed');
+      }
+
+      // Each skipped key decrypts exactly one message
+      state.skippedKeys.splice(i, 1);
+      return plaintext;
+    }
+
+    return null;
+  }
+
+  /**
+   * Double Ratchet encrypt. Mutates `ratchetState`; persist it afterwards.
+   *
+   * @param {string|Uint8Array} message - Plaintext
+   * @param {Object} ratchetState - State from createRatchetState
+   * @param {Object} [options]
+   * @param {string|Uint8Array} [options.aad] - Associated data (defaults to the session's)
+   * @returns {Promise<Object>} - Header (encrypted if enabled), ciphertext and MAC
+   */
+  static async ratchetEncrypt(message, ratchetState, options = {}) {
+    if (!ratchetState.sendingChainKey) {
+      throw new Error('Ratchet cannot send before receiving the first message');
+    }
+
+    const { messageKey, chainKey } = await this.kdfChainKey(ratchetState.sendingChainKey);
+    const header = {
+      dh: ratchetState.sendingRatchetKey.publicKey,
+      pn: ratchetState.previousSendCount,
+      n: ratchetState.sendCount,
+    };
+    const headerField = ratchetState.headerEncryption
+      ? this.encryptRatchetHeader(ratchetState.sendingHeaderKey, header)
+      : header;
+
+    const { ciphertext, mac } = await this.sealRatchetMessage(
+      messageKey,
+      await this.encodeRatchetFrame(message),
+      this.ratchetAssociatedData(ratchetState, headerField, options.aad)
+    );
+
+    ratchetState.sendingChainKey = chainKey;
+    ratchetState.sendCount += 1;
+    ratchetState.messageCount += 1;
+
+    return {
+      version: RATCHET_CONFIG.VERSION,
+      header: headerField,
+      ciphertext,
+      mac,
+      messageCount: ratchetState.messageCount,
+      timestamp: Date.now(),
+    };
+  }
+
+  /**
+   * Double Ratchet decrypt, handling DH ratchet turns, reordering and loss.
+   * `ratchetState` is only updated if the message authenticates.
+   *
+   * @param {Object} encryptedData - Output of ratchetEncrypt
+   * @param {Object} ratchetState - State from createRatchetState
+   * @param {Object} [options]
+   * @param {string|Uint8Array} [options.aad] - Associated data (defaults to the session's)
+   * @returns {Promise<string|Uint8Array>} - Plaintext in the type it was sent as
+   */
+  static async ratchetDecrypt(encryptedData, ratchetState, options = {}) {
+    if (encryptedData.version !== RATCHET_CONFIG.VERSION) {
+      throw new Error('Unsupported protocol version');
+    }
+
+    // Work on a copy so a forged or corrupt message can't desync the session
+    const state = JSON.parse(JSON.stringify(ratchetState));
+    const associatedData = this.ratchetAssociatedData(state, encryptedData.header, options.aad);
+
+    let plaintext = await this.trySkippedMessageKeys(state, encryptedData, associatedData);
+
+    if (!plaintext) {
+      let header;
+      let isNewRatchet;
+
+      if (state.headerEncryption) {
+        header = this.decryptRatchetHeader(state.receivingHeaderKey, encryptedData.header);
+        isNewRatchet = false;
+        if (!header) {
+          header = this.decryptRatchetHeader(state.nextReceivingHeaderKey, encryptedData.header);
+          isNewRatchet = true;
+        }
+        if (!header) {
+          throw new Error('Unable to decrypt message header');
+        }
+      } else {
+        header = encryptedData.header;
+        isNewRatchet = header?.dh !== state.receivingRatchetKey;
+      }
+
+      this.validateRatchetHeader(header);
+
+      if (isNewRatchet) {
+        await this.skipMessageKeys(state, header.pn);
+        await this.dhRatchetStep(state, header);
+      }
+
+      await this.skipMessageKeys(state, header.n);
+
+      const { messageKey, chainKey } = await this.kdfChainKey(state.receivingChainKey);
+      state.receivingChainKey = chainKey;
+      state.receiveCount += 1;
+
+      plaintext = await this.openRatchetMessage(messageKey, encryptedData, associatedData);
+      if (!plaintext) {
+        throw new Error('Message authentication failed');
+      }
+    }
+
+    Object.assign(ratchetState, state);
+    return this.decodeRatchetFrame(plaintext);
+  }
+
+  // Sender Keys Implementation
+  // Each group member owns one symmetric chain plus an Ed25519 signing key
+  // and hands both to every other member over the pairwise sessions. A group
+  // message is then encrypted once and signed by its sender.
+
+  /**
+   * Create our own sending chain for a group
+   * @param {number} [generation=0] - Higher than any earlier key of ours; members
+   *   refuse distributions older than the one they hold
+   * @returns {Object} - JSON-serializable sender key (keeps the private signing key)
+   */
+  static createSenderKey(generation = 0) {
+    const signingKeypair = nacl.sign.keyPair();
+    const keyId = new DataView(nacl.randomBytes(4).buffer).getUint32(0);
+
+    return {
+      version: SENDER_KEY_CONFIG.VERSION,
+      keyId,
+      generation,
+      iteration: 0,
+      chainKey: encodeBase64(nacl.randomBytes(32)),
+      signingPublicKey: encodeBase64(signingKeypair.publicKey),
+      signingPrivateKey: encodeBase64(signingKeypair.secretKey),
+      skippedKeys: [],
+      createdAt: Date.now(),
+    };
+  }
+
+  /**
+   * The part of our sender key other members need: current chain position
+   * and the public signing key. Send it over a pairwise session only.
+   */
+  static getSenderKeyDistribution(senderKey) {
+    return {
+      version: senderKey.version,
+      keyId: senderKey.keyId,
+      generation: senderKey.generation || 0,
+      iteration: senderKey.iteration,
+      chainKey: senderKey.chainKey,
+      signingPublicKey: senderKey.signingPublicKey,
+    };
+  }
+
+  /**
+   * Build a receiving chain from another member's distribution message
+   * @returns {Object} - Sender key that can only verify and decrypt
+   */
+  static createSenderKeyFromDistribution(distribution) {
+    if (distribution?.version !== SENDER_KEY_CONFIG.VERSION) {
+      throw new Error('Unsupported sender key version');
+    }
+
+    const chainKey = decodeBase64(distribution.chainKey || '');
+    const signingKey = decodeBase64(distribution.signingPublicKey || '');
+    const generation = distribution.generation ?? 0;
+    if (chainKey.length !== 32 || signingKey.length !== nacl.sign.publicKeyLength ||
+        !Number.isInteger(distribution.keyId) || !Number.isInteger(distribution.iteration) ||
+        distribution.iteration < 0 || !Number.isSafeInteger(generation) || generation < 0) {
+      throw new Error('Invalid sender key distribution');
+    }
+
+    return {
+      version: SENDER_KEY_CONFIG.VERSION,
+      keyId: distribution.keyId,
+      generation,
+      iteration: distribution.iteration,
+      chainKey: distribution.chainKey,
+      signingPublicKey: distribution.signingPublicKey,
+      signingPrivateKey: null,
+      skippedKeys: [],
+      createdAt: Date.now(),
+    };
+  }
+
+  /**
+   * Sender Keys encrypt. Mutates `senderKey`; persist it afterwards.
+   *
+   * @param {string|Uint8Array} message - Plaintext
+   * @param {Object} senderKey - Our own sender key from createSenderKey
+   * @param {Object} [options]
+   * @param {string|Uint8Array} [options.aad] - Associated data (e.g. group and message IDs)
+   * @returns {Promise<Object>} - Header, ciphertext, MAC and sender signature
+   */
+  static async senderKeyEncrypt(message, senderKey, options = {}) {
+    if (!senderKey.signingPrivateKey) {
+      throw new Error('Sender key cannot be used for sending');
+    }
+
+    const { messageKey, chainKey } = await this.kdfChainKey(senderKey.chainKey);
+    const header = { keyId: senderKey.keyId, n: senderKey.iteration };
+    const associatedData = this.ratchetAssociatedData(senderKey, header, options.aad);
+
+    const { ciphertext, mac } = await this.sealRatchetMessage(
+      messageKey,
+      await this.encodeRatchetFrame(message),
+      associatedData
+    );
+
+    // The MAC key is shared by the whole group; the signature proves the sender
+    const signature = nacl.sign.detached(
+      this.senderKeySignedBytes(associatedData, ciphertext),
+      decodeBase64(senderKey.signingPrivateKey)
+    );
+
+    senderKey.chainKey = chainKey;
+    senderKey.iteration += 1;
+
+    return {
+      version: SENDER_KEY_CONFIG.VERSION,
+      header,
+      ciphertext,
+      mac,
+      signature: encodeBase64(signature),
+      timestamp: Date.now(),
+    };
+  }
+
+  /**
+   * Sender Keys decrypt, tolerating reordering and loss within one chain.
+   * `senderKey` is only updated if the signature and MAC check out.
+   *
+   * @param {Object} encryptedData - Output of senderKeyEncrypt
+   * @param {Object} senderKey - Receiving chain for the message's sender
+   * @param {Object} [options]
+   * @param {string|Uint8Array} [options.aad] - Associated data used when encrypting
+   * @returns {Promise<string|Uint8Array>} - Plaintext in the type it was sent as
+   */
+  static async senderKeyDecrypt(encryptedData, senderKey, options = {}) {
+    if (encryptedData.version !== SENDER_KEY_CONFIG.VERSION) {
+      throw new Error('Unsupported protocol version');
+    }
+
+    const { header } = encryptedData;
+    if (!header || header.keyId !== senderKey.keyId) {
+      throw new Error('Unknown sender key');
+    }
+    if (!Number.isInteger(header.n) || header.n < 0) {
+      throw new Error('Invalid sender key header');
+    }
+
+    const associatedData = this.ratchetAssociatedData(senderKey, header, options.aad);
+    const signature = decodeBase64(encryptedData.signature || '');
+    const signed = nacl.sign.detached.verify(
+      this.senderKeySignedBytes(associatedData, decodeBase64(encryptedData.ciphertext)),
+      signature,
+      decodeBase64(senderKey.signingPublicKey)
+    );
+    if (signature.length !== nacl.sign.signatureLength || !signed) {
+      throw new Error('Invalid sender signature');
+    }
+
+    // Work on a copy so a corrupt message can't advance the chain
+    const state = JSON.parse(JSON.stringify(senderKey));
+    let messageKey;
+
+    if (header.n < state.iteration) {
+      const index = state.skippedKeys.findIndex(skipped => skipped.n === header.n);
+      if (index === -1) {
+        throw new Error('Duplicate or expired sender key message');
+      }
+      messageKey = decodeBase64(state.skippedKeys[index].messageKey);
+      state.skippedKeys.splice(index, 1);
+    } else {
+      if (header.n - state.iteration > KEY_ROTATION_CONFIG.MAX_SKIPPED_KEYS) {
+        throw new Error('Too many skipped messages');
+      }
+
+      while (state.iteration < header.n) {
+        const skipped = await this.kdfChainKey(state.chainKey);
+        state.skippedKeys.push({
+          n: state.iteration,
+          messageKey: encodeBase64(skipped.messageKey),
+          createdAt: Date.now(),
+        });
+        state.chainKey = skipped.chainKey;
+        state.iteration += 1;
+      }
+
+      const next = await this.kdfChainKey(state.chainKey);
+      messageKey = next.messageKey;
+      state.chainKey = next.chainKey;
+      state.iteration += 1;
+
+      const overflow = state.skippedKeys.length - KEY_ROTATION_CONFIG.MAX_MESSAGE_KEYS;
+      if (overflow > 0) {
+        state.skippedKeys.splice(0, overflow);
+      }
+    }
+
+    const plaintext = await this.openRatchetMessage(messageKey, encryptedData, associatedData);
+    this.secureDelete(messageKey);
+    if (!plaintext) {
+      throw new Error('Message authentication failed');
+    }
+
+    Object.assign(senderKey, state);
+    return this.decodeRatchetFrame(plaintext);
+  }
+
+  /**
+   * Bytes covered by a sender signature: associated data (incl. header) and ciphertext
+   * @private
+   */
+  static senderKeySignedBytes(associatedData, ciphertext) {
+    const ciphertextBytes = typeof ciphertext === 'string' ? decodeBase64(ciphertext) : ciphertext;
+    const signed = new Uint8Array(associatedData.length + ciphertextBytes.length);
+    signed.set(associatedData);
+    signed.set(ciphertextBytes, associatedData.length);
+    return signed;
   }
 
   /**
@@ -423,6 +1379,11 @@ export class AmiXCrypto {
   }
 
   static async encryptMessage(message, ratchetState, options = {}) {
+    // Sessions created by createRatchetState use the Double Ratchet
+    if (ratchetState?.version === RATCHET_CONFIG.VERSION) {
+      return this.ratchetEncrypt(message, ratchetState, options);
+    }
+
     // Add padding to message
     const messageWithPadding = addPadding(
       typeof message === 'string' 
@@ -502,6 +1463,10 @@ export class AmiXCrypto {
    * @returns {Promise<Uint8Array>} - Decrypted message
    */
   static async decryptMessage(encryptedData, ratchetState, options = {}) {
+    if (ratchetState?.version === RATCHET_CONFIG.VERSION) {
+      return this.ratchetDecrypt(encryptedData, ratchetState, options);
+    }
+
     try {
       // Check protocol version
       if (!encryptedData.version || 
@@ -651,20 +1616,83 @@ static async deriveKey(inputKey, info, length = 32) {
     return stored ? JSON.parse(stored) : null;
   }
 
-  static async generateSafetyNumber(publicKey1, publicKey2) {
-    // Generate a safety number for key verification using SHA-256
-    const combined = publicKey1 + publicKey2;
-    const hash = await Crypto.digestStringAsync(
-      Crypto.CryptoDigestAlgorithm.SHA256,
-      combined
-    );
-    
-    // Format as readable safety number
-    return hash
-      .substring(0, 12)
-      .match(/.{1,4}/g)
-      .join(" ")
-      .toUpperCase();
+  /**
+   * Numeric fingerprint of one party: 30 digits from iterated SHA-512 over
+   * the identity key and its owner's stable ID (AmiX ID or email). The web
+   * client computes the same digits for the same key bytes.
+   * @param {string|Uint8Array} publicKey - Identity key (base64 or raw bytes)
+   * @param {string} stableId - Owner's stable identifier
+   * @returns {string} - 30 decimal digits
+   */
+  static computeFingerprint(publicKey, stableId = '') {
+    const key = typeof publicKey === 'string' ? decodeBase64(publicKey) : publicKey;
+    const id = new TextEncoder().encode(stableId);
+
+    const input = new Uint8Array(2 + key.length + id.length);
+    input[1] = SAFETY_NUMBER_CONFIG.VERSION;
+    input.set(key, 2);
+    input.set(id, 2 + key.length);
+
+    let hash = nacl.hash(input);
+    const round = new Uint8Array(hash.length + key.length);
+    round.set(key, hash.length);
+    for (let i = 0; i < SAFETY_NUMBER_CONFIG.ITERATIONS; i++) {
+      round.set(hash, 0);
+      hash = nacl.hash(round);
+    }
+
+    // Each 5-byte chunk becomes a 5-digit number
+    let digits = '';
+    for (let chunk = 0; chunk < SAFETY_NUMBER_CONFIG.CHUNKS; chunk++) {
+      let value = 0;
+      for (let i = chunk * 5; i < chunk * 5 + 5; i++) {
+        value = value * 256 + hash[i];
+      }
+      digits += String(value % 100000).padStart(5, '0');
+    }
+    return digits;
+  }
+
+  /**
+   * Safety number for a conversation: both fingerprints sorted, so both
+   * sides see the same 60 digits, shown in groups of five
+   */
+  static async generateSafetyNumber(localKey, remoteKey, localId = '', remoteId = '') {
+    const fingerprints = [
+      this.computeFingerprint(localKey, localId),
+      this.computeFingerprint(remoteKey, remoteId),
+    ].sort();
+
+    return fingerprints.join('').match(/.{5}/g).join(' ');
+  }
+
+  /**
+   * Scannable payload for the safety number QR code. It lists our
+   * fingerprint first, so the scanner can tell which half is whose.
+   */
+  static createSafetyCode(localKey, remoteKey, localId = '', remoteId = '') {
+    return [
+      SAFETY_NUMBER_CONFIG.QR_PREFIX,
+      SAFETY_NUMBER_CONFIG.VERSION,
+      this.computeFingerprint(localKey, localId) + this.computeFingerprint(remoteKey, remoteId),
+    ].join(':');
+  }
+
+  /**
+   * Check a scanned safety code: the peer's own fingerprint must match the
+   * key we hold for them, and the one they hold for us must be ours
+   * @returns {boolean}
+   */
+  static verifySafetyCode(code, localKey, remoteKey, localId = '', remoteId = '') {
+    const [prefix, version, digits] = String(code).trim().split(':');
+    if (prefix !== SAFETY_NUMBER_CONFIG.QR_PREFIX ||
+        Number(version) !== SAFETY_NUMBER_CONFIG.VERSION ||
+        !/^\d{60}$/.test(digits || '')) {
+      throw new Error('Not an AmiX safety code');
+    }
+
+    return digits.slice(0, 30) === this.computeFingerprint(remoteKey, remoteId) &&
+      digits.slice(30) === this.computeFingerprint(localKey, localId);
   }
 
   // Secure deletion - overwrite memory
@@ -0,0 +1,231 @@
+// AmiX Data Channel Framing - messages over SCTP-sized frames
+// SCTP implementations disagree on the largest message they take, so every
+// message is cut into frames of at most MAX_FRAME_SIZE bytes:
+//   version (1) | frame type (1) | lane (1) | sequence (4) | index (2) | count (2) | payload
+// Messages queue in priority lanes and frames are taken from the highest
+// lane with something to send, so a typing indicator never waits behind a
+// file transfer. Within a lane messages complete in the order they were
+// queued. The receiver acks each message by sequence number once it has
+// handled it.
+// Nothing here does I/O: AmiXWebRTC owns the channels and feeds frames in
+// and out.
+
+export const FRAMING_CONFIG = {
+  VERSION: 1,
+  HEADER_LENGTH: 11,
+  MAX_FRAME_SIZE: 16 * 1024,             // Safe across browsers and react-native-webrtc
+  MAX_MESSAGE_SIZE: 16 * 1024 * 1024,    // Larger payloads are split by the caller (file chunks)
+  MAX_REASSEMBLY_BYTES: 32 * 1024 * 1024, // Incomplete messages held per channel
+  HIGH_WATER_MARK: 1024 * 1024,          // Stop sending while this much is buffered
+  LOW_WATER_MARK: 256 * 1024,            // ... and resume below this
+  ACK_TIMEOUT: 15 * 1000,
+};
+
+export const FRAME_TYPES = {
+  DATA: 0,
+  ACK: 1,
+};
+
+// Lower numbers go first
+export const LANES = {
+  CONTROL: 0,  // Acks, typing indicators, receipts, pings
+  MESSAGES: 1, // Chat messages
+  BULK: 2,     // File chunks
+};
+
+const MAX_PAYLOAD = FRAMING_CONFIG.MAX_FRAME_SIZE - FRAMING_CONFIG.HEADER_LENGTH;
+const SEQUENCE_SPACE = 2 ** 32;
+
+export class AmiXFraming {
+  static encodeFrame({ type, lane, seq, index = 0, count = 1, payload = new Uint8Array(0) }) {
+    const frame = new Uint8Array(FRAMING_CONFIG.HEADER_LENGTH + payload.length);
+    const view = new DataView(frame.buffer);
+
+    view.setUint8(0, FRAMING_CONFIG.VERSION);
+    view.setUint8(1, type);
+    view.setUint8(2, lane);
+    view.setUint32(3, seq);
+    view.setUint16(7, index);
+    view.setUint16(9, count);
+    frame.set(payload, FRAMING_CONFIG.HEADER_LENGTH);
+
+    return frame;
+  }
+
+  static decodeFrame(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    if (bytes.length < FRAMING_CONFIG.HEADER_LENGTH) {
+      throw new Error('Truncated frame');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (view.getUint8(0) !== FRAMING_CONFIG.VERSION) {
+      throw new Error(`Unsupported frame version: ${view.getUint8(0)}`);
+    }
+
+    const frame = {
+      type: view.getUint8(1),
+      lane: view.getUint8(2),
+      seq: view.getUint32(3),
+      index: view.getUint16(7),
+      count: view.getUint16(9),
+      payload: bytes.subarray(FRAMING_CONFIG.HEADER_LENGTH),
+    };
+
+    if (!Object.values(FRAME_TYPES).includes(frame.type) || !Object.values(LANES).includes(frame.lane)) {
+      throw new Error('Unknown frame type or lane');
+    }
+    if (frame.count === 0 || frame.index >= frame.count) {
+      throw new Error('Invalid fragment index');
+    }
+
+    return frame;
+  }
+
+  static fragmentCount(length) {
+    return Math.max(1, Math.ceil(length / MAX_PAYLOAD));
+  }
+
+  // --- Sending ---
+
+  static createSender() {
+    return {
+      nextSeq: 0,
+      lanes: Object.values(LANES).map(() => []),
+    };
+  }
+
+  /**
+   * Queue a message
+   * @param {Object} sender - From createSender
+   * @param {Uint8Array} bytes - Serialized message
+   * @param {number} [lane] - One of LANES
+   * @param {Object} [meta] - Kept with the message and returned when its last frame goes out
+   * @returns {number} - Sequence number the peer will ack
+   */
+  static enqueue(sender, bytes, lane = LANES.MESSAGES, meta = {}) {
+    if (bytes.length > FRAMING_CONFIG.MAX_MESSAGE_SIZE) {
+      throw new Error('Message too large for the data channel');
+    }
+    if (!Object.values(LANES).includes(lane)) {
+      throw new Error(`Unknown lane: ${lane}`);
+    }
+
+    const seq = sender.nextSeq;
+    sender.nextSeq = (sender.nextSeq + 1) % SEQUENCE_SPACE;
+
+    sender.lanes[lane].push({
+      type: FRAME_TYPES.DATA,
+      lane,
+      seq,
+      bytes,
+      index: 0,
+      count: this.fragmentCount(bytes.length),
+      meta,
+    });
+    return seq;
+  }
+
+  // Acks jump every queue
+  static enqueueAck(sender, seq) {
+    sender.lanes[LANES.CONTROL].unshift({
+      type: FRAME_TYPES.ACK,
+      lane: LANES.CONTROL,
+      seq,
+      bytes: new Uint8Array(0),
+      index: 0,
+      count: 1,
+      meta: {},
+    });
+  }
+
+  /**
+   * Next frame to put on the wire, or null when every lane is empty
+   * @returns {Object|null} - { frame, seq, done, meta }; done on a message's last frame
+   */
+  static nextFrame(sender) {
+    const queue = sender.lanes.find(lane => lane.length > 0);
+    if (!queue) return null;
+
+    const message = queue[0];
+    const offset = message.index * MAX_PAYLOAD;
+    const frame = this.encodeFrame({
+      type: message.type,
+      lane: message.lane,
+      seq: message.seq,
+      index: message.index,
+      count: message.count,
+      payload: message.bytes.subarray(offset, offset + MAX_PAYLOAD),
+    });
+
+    message.index += 1;
+    const done = message.index === message.count;
+    if (done) {
+      queue.shift();
+    }
+
+    return { frame, seq: message.seq, done, meta: message.meta };
+  }
+
+  // Everything still queued, e.g. to fail it when the channel closes
+  static drain(sender) {
+    const queued = sender.lanes.flat().filter(message => message.type === FRAME_TYPES.DATA);
+    sender.lanes.forEach(lane => lane.splice(0));
+    return queued;
+  }
+
+  // --- Receiving ---
+
+  static createReassembly() {
+    return { messages: new Map(), bytes: 0 };
+  }
+
+  /**
+   * Add a DATA frame. The channel is reliable and ordered, so a message's
+   * frames arrive in order, though interleaved with other lanes' frames.
+   * @returns {Object|null} - { seq, lane, bytes } once the message is complete
+   */
+  static addFrame(reassembly, frame) {
+    let message = reassembly.messages.get(frame.seq);
+
+    if (!message) {
+      if (frame.index !== 0) {
+        throw new Error(`Frame ${frame.index} of unknown message ${frame.seq}`);
+      }
+      if (frame.count * MAX_PAYLOAD > FRAMING_CONFIG.MAX_MESSAGE_SIZE + MAX_PAYLOAD) {
+        throw new Error('Message too large');
+      }
+
+      message = { lane: frame.lane, count: frame.count, parts: [], length: 0 };
+      reassembly.messages.set(frame.seq, message);
+    } else if (frame.index !== message.parts.length || frame.count !== message.count || frame.lane !== message.lane) {
+      throw new Error(`Out-of-order frame for message ${frame.seq}`);
+    }
+
+    reassembly.bytes += frame.payload.length;
+    if (reassembly.bytes > FRAMING_CONFIG.MAX_REASSEMBLY_BYTES) {
+      throw new Error('Too much data waiting for reassembly');
+    }
+
+    message.parts.push(frame.payload.slice());
+    message.length += frame.payload.length;
+
+    if (message.parts.length < message.count) {
+      return null;
+    }
+
+    reassembly.messages.delete(frame.seq);
+    reassembly.bytes -= message.length;
+
+    const bytes = new Uint8Array(message.length);
+    let offset = 0;
+    for (const part of message.parts) {
+      bytes.set(part, offset);
+      offset += part.length;
+    }
+
+    return { seq: frame.seq, lane: message.lane, bytes };
+  }
+}
+
+export default AmiXFraming;
@@ -0,0 +1,74 @@
+// AmiX Disappearing Messages - per-conversation timers
+// A conversation's timer is changed with an encrypted control message
+// carried like any other message:
+//   { type: 'disappearing_timer', timer, setAt }
+// Every device applies the change with the newest setAt, so both sides end
+// up on the same timer even if they change it at the same moment. Messages
+// expire `timer` ms after they were sent.
+
+export const DISAPPEARING_TIMERS = {
+  OFF: 0,
+  THIRTY_SECONDS: 30 * 1000,
+  ONE_HOUR: 60 * 60 * 1000,
+  ONE_DAY: 24 * 60 * 60 * 1000,
+  ONE_WEEK: 7 * 24 * 60 * 60 * 1000,
+};
+
+export const DISAPPEARING_CONFIG = {
+  SWEEP_INTERVAL: 5 * 1000, // How often expired messages are looked for
+};
+
+const TIMER_LABELS = {
+  [DISAPPEARING_TIMERS.THIRTY_SECONDS]: '30 seconds',
+  [DISAPPEARING_TIMERS.ONE_HOUR]: '1 hour',
+  [DISAPPEARING_TIMERS.ONE_DAY]: '1 day',
+  [DISAPPEARING_TIMERS.ONE_WEEK]: '1 week',
+};
+
+export class AmiXDisappearingTimers {
+  static isValidTimer(timer) {
+    return Object.values(DISAPPEARING_TIMERS).includes(timer);
+  }
+
+  // When a message sent at sentAt expires; null when the timer is off
+  static expiresAt(sentAt, timer) {
+    return timer ? sentAt + timer : null;
+  }
+
+  static createTimerChange(timer, setAt = Date.now()) {
+    if (!this.isValidTimer(timer)) {
+      throw new Error(`Unsupported disappearing timer: ${timer}`);
+    }
+    return JSON.stringify({ type: 'disappearing_timer', timer, setAt });
+  }
+
+  // The timer change in a message's content, or null for anything else
+  static parseTimerChange(content) {
+    let parsed;
+    try {
+      parsed = typeof content === 'string' ? JSON.parse(content) : content;
+    } catch (error) {
+      return null;
+    }
+
+    if (parsed?.type !== 'disappearing_timer' || !this.isValidTimer(parsed.timer) ||
+        !Number.isFinite(parsed.setAt)) {
+      return null;
+    }
+    return { timer: parsed.timer, setAt: parsed.setAt };
+  }
+
+  // Does a change set at setAt replace the current one?
+  static supersedes(setAt, current) {
+    return !current?.timerSetAt || setAt >= current.timerSetAt;
+  }
+
+  // Text for the system event shown in the chat
+  static describe(timer) {
+    return timer
+      ? `Disappearing messages set to ${TIMER_LABELS[timer]}`
+      : 'Disappearing messages turned off';
+  }
+}
+
+export default AmiXDisappearingTimers;
@@ -0,0 +1,162 @@
+// AmiX Edit Control - edit and delete-for-everyone control messages
+// An edit or delete travels like any other message and names the message
+// it changes:
+//   { type: 'message_edit', action, messageId, senderId, content, editedAt, signingKey, signature }
+// The signature is the author's identity signing key over every other
+// field. Recipients pin that key per sender, so only whoever wrote a message
+// can change it - in groups too, where any member could otherwise send a
+// control message naming someone else's message.
+// Changes are accepted within a window of the original being sent. Since
+// editedAt is the sender's word, a received original also bounds it by our
+// own clock: the change must arrive within the window of the original's
+// receivedAt, plus DELIVERY_ALLOWANCE for the change itself to get here.
+// Originals without receivedAt (ours, or stored before it was stamped)
+// only refuse an editedAt older than any relay keeps a message.
+// Edits keep the previous versions locally; a delete leaves a tombstone and
+// drops them.
+
+export const EDIT_ACTIONS = {
+  EDIT: 'edit',
+  DELETE: 'delete',
+};
+
+export const EDIT_CONFIG = {
+  EDIT_WINDOW: 15 * 60 * 1000,        // How long after sending a message can be edited
+  DELETE_WINDOW: 24 * 60 * 60 * 1000, // ... or deleted for everyone
+  MAX_EDITS: 10,
+  CLOCK_SKEW: 5 * 60 * 1000,          // How far ahead of our clock editedAt may be
+  DELIVERY_ALLOWANCE: 60 * 60 * 1000, // How long a change made in time may take to reach us
+  MAX_DELIVERY_DELAY: 30 * 24 * 60 * 60 * 1000, // The relay's longest TTL
+};
+
+// Everything but the signature, in a fixed order
+const SIGNED_FIELDS = ['type', 'action', 'messageId', 'senderId', 'content', 'editedAt', 'signingKey'];
+
+export class AmiXEditControl {
+  static createControl({ action, messageId, senderId, content = null, editedAt = Date.now(), signingKey }) {
+    if (!Object.values(EDIT_ACTIONS).includes(action)) {
+      throw new Error(`Unknown edit action: ${action}`);
+    }
+    if (action === EDIT_ACTIONS.EDIT && (typeof content !== 'string' || !content.trim())) {
+      throw new Error('An edit needs new content');
+    }
+
+    return {
+      type: 'message_edit',
+      action,
+      messageId,
+      senderId,
+      content: action === EDIT_ACTIONS.EDIT ? content : null,
+      editedAt,
+      signingKey,
+    };
+  }
+
+  // The bytes the author signs
+  static signingPayload(control) {
+    return JSON.stringify(SIGNED_FIELDS.map(field => control[field] ?? null));
+  }
+
+  // The control in a message's content, or null for anything else
+  static parseControl(content) {
+    let control;
+    try {
+      control = typeof content === 'string' ? JSON.parse(content) : content;
+    } catch (error) {
+      return null;
+    }
+
+    if (control?.type !== 'message_edit' || !Object.values(EDIT_ACTIONS).includes(control.action)) {
+      return null;
+    }
+    if (typeof control.messageId !== 'string' || typeof control.senderId !== 'string' ||
+        typeof control.signingKey !== 'string' || typeof control.signature !== 'string' ||
+        !Number.isFinite(control.editedAt)) {
+      return null;
+    }
+    if (control.action === EDIT_ACTIONS.EDIT && (typeof control.content !== 'string' || !control.content.trim())) {
+      return null;
+    }
+
+    return {
+      type: control.type,
+      action: control.action,
+      messageId: control.messageId,
+      senderId: control.senderId,
+      content: control.action === EDIT_ACTIONS.EDIT ? control.content : null,
+      editedAt: control.editedAt,
+      signingKey: control.signingKey,
+      signature: control.signature,
+    };
+  }
+
+  // Who wrote a stored message; the chat screen marks our own with sender: 'me'
+  static authorOf(message) {
+    return message.sender === 'me' ? 'self' : message.senderId;
+  }
+
+  static sentAt(message) {
+    const sentAt = typeof message.timestamp === 'number'
+      ? message.timestamp
+      : Date.parse(message.timestamp || message.createdAt);
+    return Number.isNaN(sentAt) ? 0 : sentAt;
+  }
+
+  /**
+   * Why a change can't be applied to a message, or null when it can
+   * @param {Object} message - The stored original
+   * @param {Object} control - From createControl or parseControl
+   * @returns {string|null}
+   */
+  static rejectReason(message, control, now = Date.now()) {
+    if (!message) return 'unknown_message';
+    if (message.deleted) return 'deleted';
+    if (control.editedAt > now + EDIT_CONFIG.CLOCK_SKEW) return 'from_the_future';
+
+    const window = control.action === EDIT_ACTIONS.EDIT ? EDIT_CONFIG.EDIT_WINDOW : EDIT_CONFIG.DELETE_WINDOW;
+    if (control.editedAt - this.sentAt(message) > window) return 'window_closed';
+
+    // A backdated editedAt: arriving long after the original got here, or
+    // older than anything still in flight
+    if (message.receivedAt) {
+      if (now - message.receivedAt > window + EDIT_CONFIG.DELIVERY_ALLOWANCE) return 'window_closed';
+    } else if (now - control.editedAt > EDIT_CONFIG.MAX_DELIVERY_DELAY) {
+      return 'window_closed';
+    }
+
+    // Replays and changes that arrive out of order
+    if (message.editedAt && control.editedAt <= message.editedAt) return 'stale';
+    if (control.action === EDIT_ACTIONS.EDIT && (message.editHistory?.length || 0) >= EDIT_CONFIG.MAX_EDITS) {
+      return 'too_many_edits';
+    }
+    return null;
+  }
+
+  // Updates for the stored message
+  static applyChange(message, control) {
+    if (control.action === EDIT_ACTIONS.DELETE) {
+      return {
+        content: null,
+        ...('text' in message && { text: null }),
+        deleted: true,
+        deletedAt: control.editedAt,
+        editedAt: control.editedAt,
+        editHistory: [],
+      };
+    }
+
+    const previous = {
+      content: 'text' in message ? message.text : message.content,
+      editedAt: message.editedAt || this.sentAt(message),
+    };
+
+    return {
+      content: control.content,
+      ...('text' in message && { text: control.content }),
+      editedAt: control.editedAt,
+      editHistory: [...(message.editHistory || []), previous],
+    };
+  }
+}
+
+export default AmiXEditControl;
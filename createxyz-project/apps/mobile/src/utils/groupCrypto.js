@@ -1,5 +1,7 @@
 import { AmiXCrypto } from './crypto';
 import { AmiXStorage } from './storage';
+import { AmiXMLS } from './mls';
+import { SecurityLogger } from './securityLogger';
 
 // GroupCrypto handles cryptographic operations for group messaging
 export class GroupCrypto {
@@ -12,9 +14,33 @@ export class GroupCrypto {
     MEMBER_REMOVE: 'member_remove',
     GROUP_UPDATE: 'group_update',
     RATCHET_UPDATE: 'ratchet_update',
-    GROUP_SYNC: 'group_sync'
+    GROUP_SYNC: 'group_sync',
+    SENDER_KEY_DISTRIBUTION: 'sender_key_distribution'
   };
 
+  // Group types: Sender Keys for small groups, MLS for large ones
+  static GROUP_TYPES = {
+    SENDER_KEYS: 'sender_keys',
+    MLS: 'mls'
+  };
+
+  // Delivers a sender key distribution to every device of one member over
+  // our pairwise sessions with them, and to our own other devices when the
+  // member is us; set by the message queue
+  static senderKeyDistributor = null;
+
+  static setSenderKeyDistributor(distributor) {
+    this.senderKeyDistributor = distributor;
+  }
+
+  // Delivers a membership change (MEMBER_REMOVE) to one member over our
+  // pairwise session with them; set by the message queue
+  static controlSender = null;
+
+  static setControlSender(sender) {
+    this.controlSender = sender;
+  }
+
   // Key rotation intervals (in milliseconds)
   static ROTATION_INTERVALS = {
     SHORT: 24 * 60 * 60 * 1000,    // 1 day
@@ -29,12 +55,13 @@ export class GroupCrypto {
    * @param {Array} members - Initial group members (excluding creator)
    * @param {Object} [options] - Group creation options
    * @param {number} [options.keyRotationInterval] - Key rotation interval in ms
+   * @param {string} [options.type] - One of GROUP_TYPES (default SENDER_KEYS)
+   * @param {string} [options.deviceId] - Our device ID (MLS groups)
    * @returns {Promise<Object>} - Initial group state
    */
   static async createGroup(groupId, creator, members = [], options = {}) {
     try {
       const now = Date.now();
-      const allMembers = [creator, ...members];
 
       // Generate signing key pair for the group
       const signingKeyPair = await AmiXCrypto.generateSigningKeyPair();
@@ -42,9 +69,13 @@ export class GroupCrypto {
       // Generate encryption key pair for the group
       const encryptionKeyPair = await AmiXCrypto.generateIdentityKeys();
 
+      const type = options.type || this.GROUP_TYPES.SENDER_KEYS;
+
       // Create group state
       const groupState = {
+        id: groupId,
         groupId,
+        type,
         members: {},
         signingKeyPair,
         encryptionKeyPair,
@@ -64,20 +95,30 @@ export class GroupCrypto {
       // Add creator as admin
       await this._addMember(groupState, creator, true);
 
+      // MLS groups start with the creator alone; others are added by Commit
+      if (type === this.GROUP_TYPES.MLS) {
+        groupState.mls = await AmiXMLS.createGroup(groupId, {
+          amixId: creator.id,
+          deviceId: options.deviceId || null
+        });
+        await AmiXStorage.storeGroup(groupState);
+        return groupState;
+      }
+
       // Add initial members
       for (const member of members) {
         await this._addMember(groupState, member, false);
       }
 
-      // Initialize ratchet states for all member pairs
-      await this._initializeMemberRatchetStates(groupState, allMembers);
-
       // Schedule key rotation
       this._scheduleKeyRotation(groupState);
 
       // Store group state
       await AmiXStorage.storeGroup(groupState);
 
+      // Hand our sender key to every member
+      await this.rotateSenderKey(groupId, creator.id);
+
       return groupState;
     } catch (error) {
       console.error('Failed to create group:', error);
@@ -86,7 +127,8 @@ export class GroupCrypto {
   }
 
   /**
-   * Encrypt a message for the group with forward secrecy
+   * Encrypt a message for the group with our sender key (or the MLS epoch).
+   * The message is encrypted once for all members and signed by us.
    * @param {string} groupId - ID of the group
    * @param {Object} sender - Sender's user info
    * @param {string|Object} message - Message to encrypt (string or object)
@@ -102,84 +144,57 @@ export class GroupCrypto {
         throw new Error('Group not found');
       }
 
+      if (groupState.removed) {
+        throw new Error('No longer a member of this group');
+      }
+
       const messageId = await AmiXCrypto.generateSecureUUID();
+      const deviceId = await SecurityLogger.getDeviceId();
       const timestamp = Date.now();
-      const encryptedMessages = [];
       const messageString = typeof message === 'string' ? message : JSON.stringify(message);
 
-      // Prepare additional authenticated data (AAD)
-      const aad = {
+      const headers = {
         groupId,
         messageId,
         senderId: sender.id,
+        senderDeviceId: deviceId,
         timestamp,
-        type: this.MESSAGE_TYPES.REGULAR,
-        ...(options.metadata || {})
+        type: this.MESSAGE_TYPES.REGULAR
       };
 
-      // Encrypt for each member
-      const memberIds = Object.keys(groupState.members);
-
-      await Promise.all(memberIds.map(async (memberId) => {
-        if (memberId === sender.id) return; // Skip sender
-
-        try {
-          // Get ratchet state for this member pair
-          const ratchetState = await this._getRatchetState(groupId, sender.id, memberId);
-
-          // Encrypt the message with AAD
-          const encrypted = await AmiXCrypto.encryptMessage(
-            messageString,
-            ratchetState,
-            { 
-              aad: new TextEncoder().encode(JSON.stringify(aad)),
-              urgent: options.urgent
-            }
-          );
-
-          // Add to encrypted messages
-          encryptedMessages.push({
-            recipientId: memberId,
-            ...encrypted
-          });
-
-          // Update ratchet state in storage
-          await AmiXStorage.updateRatchetState(
-            groupId, 
-            sender.id, 
-            memberId, 
-            ratchetState
-          );
-
-        } catch (error) {
-          console.error(`Failed to encrypt for member ${memberId}:`, error);
-          // Continue with other members even if one fails
+      let encrypted;
+      if (groupState.type === this.GROUP_TYPES.MLS) {
+        encrypted = await AmiXMLS.encryptApplication(groupState.mls, messageString, {
+          aad: this._associatedData(headers)
+        });
+      } else {
+        // This device's sending chain, created (and distributed) on first use
+        let senderKey = await AmiXStorage.getSenderKey(groupId, sender.id, deviceId);
+        if (!senderKey?.signingPrivateKey) {
+          senderKey = await this.rotateSenderKey(groupId, sender.id);
         }
-      }));
 
-      // Sign the message
-      const signature = await AmiXCrypto.signMessage(
-        JSON.stringify({
-          ...aad,
-          messageHash: await AmiXCrypto.hash(messageString)
-        }),
-        groupState.signingKeyPair.privateKey
-      );
+        encrypted = await AmiXCrypto.senderKeyEncrypt(messageString, senderKey, {
+          aad: this._associatedData(headers)
+        });
+
+        // Persist the advanced chain before the message leaves
+        await AmiXStorage.storeSenderKey(groupId, sender.id, deviceId, senderKey);
+      }
 
       // Update group state
       groupState.updatedAt = timestamp;
       await AmiXStorage.storeGroup(groupState);
 
       return {
-        ...aad,
-        encryptedMessages,
-        signature,
-        version: '1.1.0',
+        ...headers,
+        encrypted,
+        version: '2.0.0',
         metadata: {
           ...(options.metadata || {}),
           encrypted: true,
           urgent: !!options.urgent,
-          memberCount: memberIds.length - 1 // Exclude sender
+          memberCount: Object.keys(groupState.members).length - 1 // Exclude sender
         }
       };
     } catch (error) {
@@ -189,86 +204,54 @@ export class GroupCrypto {
   }
 
   /**
-   * Decrypt a group message with forward secrecy
+   * Decrypt a group message with the sender's distributed sender key (or the MLS epoch)
    * @param {string} groupId - ID of the group
-   * @param {Object} message - Encrypted message
-   * @param {string} recipientId - ID of the recipient
-   * @param {Object} [options] - Decryption options
+   * @param {Object} message - Encrypted message from encryptGroupMessage
    * @returns {Promise<Object>} - Decrypted message and metadata
    */
-  static async decryptGroupMessage(groupId, message, recipientId, options = {}) {
+  static async decryptGroupMessage(groupId, message) {
     try {
       const groupState = await AmiXStorage.getGroup(groupId);
       if (!groupState) {
         throw new Error('Group not found');
       }
 
-      // Find the message for this recipient
-      const encryptedMessage = message.encryptedMessages.find(
-        msg => msg.recipientId === recipientId
-      );
-
-      if (!encryptedMessage) {
-        throw new Error('No message found for this recipient');
-      }
-
-      // Get ratchet state for this sender-recipient pair
-      const ratchetState = await this._getRatchetState(
-        groupId,
-        message.senderId || message.sender, // Handle both formats
-        recipientId,
-        { createIfMissing: false }
-      );
-
-      if (!ratchetState) {
-        throw new Error('No active session with sender');
+      // Removed members keep no chain, so their messages are rejected here
+      if (!groupState.members[message.senderId]) {
+        throw new Error('Sender is not a member of this group');
       }
 
-      // Prepare additional authenticated data (AAD)
-      const aad = {
+      const headers = {
         groupId,
         messageId: message.messageId,
-        senderId: message.senderId || message.sender,
+        senderId: message.senderId,
+        senderDeviceId: message.senderDeviceId,
         timestamp: message.timestamp,
-        type: message.type,
-        ...(message.metadata || {})
+        type: message.type
       };
 
-      // Decrypt the message with AAD verification
-      const decrypted = await AmiXCrypto.decryptMessage(
-        {
-          ...encryptedMessage,
-          messageCount: message.messageCount
-        },
-        ratchetState,
-        { 
-          aad: new TextEncoder().encode(JSON.stringify(aad)),
-          skipAadVerification: options.skipAadVerification
+      // Both paths verify the sender's signature before decrypting
+      let decrypted;
+      if (groupState.type === this.GROUP_TYPES.MLS) {
+        const { plaintext, sender } = await AmiXMLS.decryptApplication(groupState.mls, message.encrypted, {
+          aad: this._associatedData(headers)
+        });
+        if (sender.amixId !== message.senderId) {
+          throw new Error('Sender does not match the MLS leaf');
+        }
+        decrypted = plaintext;
+        await AmiXStorage.storeGroup(groupState);
+      } else {
+        const senderKey = await AmiXStorage.getSenderKey(groupId, message.senderId, message.senderDeviceId);
+        if (!senderKey) {
+          throw new Error('No sender key for sender');
         }
-      );
 
-      // Update ratchet state in storage
-      await AmiXStorage.updateRatchetState(
-        groupId,
-        message.senderId || message.sender,
-        recipientId,
-        ratchetState
-      );
-
-      // Verify the signature if not already verified by AAD
-      if (!options.skipSignatureVerification) {
-        const isValid = await AmiXCrypto.verifyMessageIntegrity(
-          JSON.stringify({
-            ...aad,
-            messageHash: await AmiXCrypto.hash(decrypted)
-          }),
-          message.signature,
-          groupState.signingKeyPair.publicKey
-        );
+        decrypted = await AmiXCrypto.senderKeyDecrypt(message.encrypted, senderKey, {
+          aad: this._associatedData(headers)
+        });
 
-        if (!isValid) {
-          throw new Error('Invalid message signature');
-        }
+        await AmiXStorage.storeSenderKey(groupId, message.senderId, message.senderDeviceId, senderKey);
       }
 
       // Parse the message if it's a JSON string
@@ -280,7 +263,7 @@ export class GroupCrypto {
       }
 
       return {
-        ...aad,
+        ...headers,
         content: parsedMessage,
         metadata: {
           ...(message.metadata || {}),
@@ -290,110 +273,407 @@ export class GroupCrypto {
       };
     } catch (error) {
       console.error('Failed to decrypt group message:', error);
+      throw error;
+    }
+  }
 
-      // Handle specific error cases
-      if (error.message.includes('ratchet state not found')) {
-        // Trigger ratchet state recovery
-        await this._recoverRatchetState(groupId, message.senderId || message.sender, recipientId);
-        // Retry decryption once
-        return this.decryptGroupMessage(groupId, message, recipientId, {
-          ...options,
-          isRetry: true
-        });
+  /**
+   * Replace this device's sender key with a fresh one and distribute it to
+   * every other member and to our own other devices, which keep a chain
+   * for it like any member's. Messages under the old key can no longer be
+   * produced.
+   * @param {string} groupId - Group ID
+   * @param {string} ownId - Our member ID
+   * @returns {Promise<Object>} - The new sender key
+   */
+  static async rotateSenderKey(groupId, ownId) {
+    const groupState = await AmiXStorage.getGroup(groupId);
+    if (!groupState) {
+      throw new Error('Group not found');
+    }
+
+    // Time-based, so the generation keeps growing even after a reinstall
+    const deviceId = await SecurityLogger.getDeviceId();
+    const previous = await AmiXStorage.getSenderKey(groupId, ownId, deviceId);
+    const senderKey = AmiXCrypto.createSenderKey(Math.max((previous?.generation || 0) + 1, Date.now()));
+    await AmiXStorage.storeSenderKey(groupId, ownId, deviceId, senderKey);
+
+    const distribution = {
+      type: this.MESSAGE_TYPES.SENDER_KEY_DISTRIBUTION,
+      groupId,
+      ...AmiXCrypto.getSenderKeyDistribution(senderKey)
+    };
+
+    if (!this.senderKeyDistributor) {
+      console.warn('No sender key distributor set; members cannot read our messages yet');
+      return senderKey;
+    }
+
+    // Includes us: the distributor leaves out this device
+    await Promise.all(Object.keys(groupState.members).map(async (memberId) => {
+      try {
+        await this.senderKeyDistributor(memberId, distribution);
+      } catch (error) {
+        console.error(`Failed to distribute sender key to ${memberId}:`, error);
+        // Continue with other members even if one fails
       }
+    }));
 
-      throw error;
+    return senderKey;
+  }
+
+  /**
+   * Store the sender key of one of a member's devices, received over our
+   * pairwise session with that device. Keys older than the one we hold are
+   * refused: a replayed distribution would bring back a chain a removed
+   * member still knows.
+   * @param {string} senderId - Member the distribution came from
+   * @param {Object} distribution - Sender key distribution message
+   * @param {string} senderDeviceId - Device the distribution came from
+   * @returns {Promise<boolean>} - True if stored, false for a repeat of the current key
+   */
+  static async processSenderKeyDistribution(senderId, distribution, senderDeviceId) {
+    const groupState = await AmiXStorage.getGroup(distribution.groupId);
+    if (!groupState) {
+      throw new Error('Group not found');
+    }
+
+    if (groupState.removed) {
+      throw new Error('No longer a member of this group');
     }
+
+    if (!groupState.members[senderId]) {
+      throw new Error('Sender key from a non-member');
+    }
+
+    const senderKey = AmiXCrypto.createSenderKeyFromDistribution(distribution);
+    const current = await AmiXStorage.getSenderKey(distribution.groupId, senderId, senderDeviceId);
+    if (current) {
+      const currentGeneration = current.generation || 0;
+      if (senderKey.generation < currentGeneration) {
+        throw new Error('Stale sender key distribution');
+      }
+      if (senderKey.generation === currentGeneration) {
+        // Delivered twice: keep the chain where it is
+        if (senderKey.keyId === current.keyId) return false;
+        throw new Error('Conflicting sender key distribution');
+      }
+    }
+
+    await AmiXStorage.storeSenderKey(distribution.groupId, senderId, senderDeviceId, senderKey);
+    return true;
   }
 
-  // --- Helper Methods ---
+  /**
+   * Apply a member's removal locally: drop the chains of all their devices
+   * and rotate our own sender key so they cannot read anything we send
+   * from now on.
+   * Every remaining member calls this when it learns of the removal.
+   * @param {string} groupId - Group ID
+   * @param {string} ownId - Our member ID
+   * @param {string} removedId - ID of the removed member
+   */
+  static async applyMemberRemoval(groupId, ownId, removedId) {
+    await AmiXStorage.deleteSenderKey(groupId, removedId);
+    return await this.rotateSenderKey(groupId, ownId);
+  }
 
   /**
-   * Get ratchet state for a member pair with recovery options
+   * Apply a removal another member announced with a MEMBER_REMOVE message
+   * received over our pairwise session with them
+   * @param {string} senderId - Member the notice came from
+   * @param {Object} notice - { type, groupId, memberId }
+   * @param {string} ownId - Our member ID
+   * @returns {Promise<boolean>} - True if applied, false if already applied
+   */
+  static async processMemberRemoval(senderId, notice, ownId) {
+    const groupState = await AmiXStorage.getGroup(notice.groupId);
+    if (!groupState) {
+      throw new Error('Group not found');
+    }
+
+    if (groupState.type === this.GROUP_TYPES.MLS) {
+      throw new Error('MLS groups change membership through a Commit');
+    }
+
+    if (!groupState.members[senderId]?.isAdmin) {
+      throw new Error('Member removal from a non-admin');
+    }
+
+    // Delivered twice, or we heard it from another admin first
+    if (!groupState.members[notice.memberId]) return false;
+
+    if (notice.memberId === ownId) {
+      // We were removed: nothing we hold may be used again
+      groupState.removed = true;
+      await Promise.all(Object.keys(groupState.members).map(memberId =>
+        AmiXStorage.deleteSenderKey(notice.groupId, memberId)
+      ));
+      await AmiXStorage.storeGroup(groupState);
+      return true;
+    }
+
+    delete groupState.members[notice.memberId];
+    groupState.version = this._incrementVersion(groupState.version);
+    groupState.updatedAt = Date.now();
+    await AmiXStorage.storeGroup(groupState);
+
+    await this.applyMemberRemoval(notice.groupId, ownId, notice.memberId);
+    return true;
+  }
+
+  /**
+   * Tell members about a removal so each drops the removed member's chain
+   * and rotates its own sender key
    * @private
    */
-  static async _getRatchetState(groupId, senderId, recipientId, options = {}) {
-    try {
-      // Try to get existing ratchet state
-      let ratchetState = await AmiXStorage.getRatchetState(groupId, senderId, recipientId);
-
-      // Create new ratchet state if it doesn't exist and createIfMissing is true
-      if (!ratchetState && options.createIfMissing !== false) {
-        const groupState = await AmiXStorage.getGroup(groupId);
-        if (!groupState) {
-          throw new Error('Group not found');
-        }
+  static async _broadcastMemberRemoval(groupState, ownId, removedId) {
+    if (!this.controlSender) {
+      console.warn('No control sender set; members keep sending to the removed member');
+      return;
+    }
 
-        // Generate new ratchet state
-        const { sharedSecret } = await AmiXCrypto.performKeyExchange(
-          groupState.members[senderId].publicKey,
-          groupState.members[recipientId].privateKey
-        );
+    const notice = {
+      type: this.MESSAGE_TYPES.MEMBER_REMOVE,
+      groupId: groupState.groupId,
+      memberId: removedId
+    };
 
-        ratchetState = await AmiXCrypto.createRatchetState(
-          sharedSecret,
-          groupState.members[recipientId].privateKey,
-          groupState.members[senderId].publicKey
-        );
+    // The removed member hears it too, so it stops using the group
+    const recipients = [...Object.keys(groupState.members), removedId].filter(memberId => memberId !== ownId);
+    await Promise.all(recipients.map(async (memberId) => {
+      try {
+        await this.controlSender(memberId, notice);
+      } catch (error) {
+        console.error(`Failed to send member removal to ${memberId}:`, error);
+      }
+    }));
+  }
 
-        // Store the new ratchet state
-        await AmiXStorage.storeRatchetState(
-          groupId,
-          senderId,
-          recipientId,
-          ratchetState
+  // --- MLS Groups ---
+
+  /**
+   * Prepare an MLS Commit for a membership change or key rotation.
+   * Nothing changes locally until confirmMlsCommit is called, after the
+   * delivery service accepted the Commit for its epoch.
+   * @param {string} groupId - Group ID
+   * @param {string} type - MESSAGE_TYPES.MEMBER_ADD, MEMBER_REMOVE or KEY_ROTATION
+   * @param {Object} [change]
+   * @param {Array} [change.keyPackages] - Key packages of the devices to add
+   * @param {Array} [change.memberIds] - Members to remove with all their devices
+   * @returns {Promise<Object>} - Commit, Welcomes and membership delta for the delivery service
+   */
+  static async createMlsCommit(groupId, type, { keyPackages = [], memberIds = [] } = {}) {
+    try {
+      const groupState = await this._getMlsGroup(groupId);
+
+      let proposals;
+      if (type === this.MESSAGE_TYPES.MEMBER_ADD) {
+        proposals = keyPackages.map(keyPackage => AmiXMLS.addProposal(keyPackage));
+      } else if (type === this.MESSAGE_TYPES.MEMBER_REMOVE) {
+        proposals = memberIds.flatMap(memberId =>
+          AmiXMLS.leavesOf(groupState.mls, memberId).map(leaf => AmiXMLS.removeProposal(leaf))
         );
+      } else if (type === this.MESSAGE_TYPES.KEY_ROTATION) {
+        proposals = [];
+      } else {
+        throw new Error(`Unsupported MLS change: ${type}`);
       }
 
-      return ratchetState;
+      const { commit, welcomes, state, changes } = await AmiXMLS.createCommit(groupState.mls, proposals);
+
+      groupState.pendingMlsCommit = { type, epoch: commit.epoch, state, changes };
+      await AmiXStorage.storeGroup(groupState);
+
+      const remaining = new Set(AmiXMLS.members(state).map(member => member.amixId));
+      return {
+        type,
+        epoch: commit.epoch,
+        commit,
+        welcomes: welcomes.map(welcome => ({ recipientId: welcome.recipient.amixId, welcome })),
+        added: [...new Set(changes.added.map(member => member.amixId))]
+          .filter(amixId => !groupState.members[amixId]),
+        removed: [...new Set(changes.removed.map(member => member.amixId))]
+          .filter(amixId => !remaining.has(amixId))
+      };
     } catch (error) {
-      console.error('Error getting ratchet state:', error);
-      if (options.throwOnError !== false) {
-        throw new Error(`Failed to get ratchet state: ${error.message}`);
+      console.error('Failed to create MLS commit:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply our pending Commit once the delivery service accepted it
+   * @returns {Promise<Object>} - Updated group state
+   */
+  static async confirmMlsCommit(groupId) {
+    const groupState = await this._getMlsGroup(groupId);
+    const pending = groupState.pendingMlsCommit;
+    if (!pending) {
+      throw new Error('No pending MLS commit');
+    }
+
+    groupState.mls = pending.state;
+    delete groupState.pendingMlsCommit;
+    this._syncMlsMembers(groupState);
+
+    groupState.version = this._incrementVersion(groupState.version);
+    groupState.updatedAt = Date.now();
+    await AmiXStorage.storeGroup(groupState);
+    return groupState;
+  }
+
+  // Drop our pending Commit after another one won its epoch
+  static async discardMlsCommit(groupId) {
+    const groupState = await this._getMlsGroup(groupId);
+    delete groupState.pendingMlsCommit;
+    await AmiXStorage.storeGroup(groupState);
+    return groupState;
+  }
+
+  /**
+   * Apply a Commit or Proposal from the delivery service, in its order
+   * @param {string} groupId - Group ID
+   * @param {Object} message - MLS handshake message
+   * @returns {Promise<Object|null>} - { type, changes, removed } for Commits,
+   *   null for Proposals and for Commits we already applied
+   */
+  static async processMlsHandshake(groupId, message) {
+    try {
+      const groupState = await this._getMlsGroup(groupId);
+
+      if (message.type === 'proposal') {
+        groupState.mls = AmiXMLS.processProposal(groupState.mls, message);
+        await AmiXStorage.storeGroup(groupState);
+        return null;
       }
-      return null;
+
+      // Our own Commit was merged when the delivery service accepted it
+      if (message.epoch < groupState.mls.epoch) {
+        return null;
+      }
+
+      const { state, changes, removed } = await AmiXMLS.processCommit(groupState.mls, message);
+
+      groupState.mls = state;
+      delete groupState.pendingMlsCommit;
+      this._syncMlsMembers(groupState);
+      groupState.version = this._incrementVersion(groupState.version);
+      groupState.updatedAt = Date.now();
+      await AmiXStorage.storeGroup(groupState);
+
+      let type = this.MESSAGE_TYPES.KEY_ROTATION;
+      if (changes.removed.length > 0) {
+        type = this.MESSAGE_TYPES.MEMBER_REMOVE;
+      } else if (changes.added.length > 0) {
+        type = this.MESSAGE_TYPES.MEMBER_ADD;
+      }
+
+      return { type, changes, removed };
+    } catch (error) {
+      console.error('Failed to process MLS handshake:', error);
+      throw error;
     }
   }
 
   /**
-   * Recover from a lost or out-of-sync ratchet state
-   * @private
+   * Join an MLS group from a Welcome sealed to one of our key packages
+   * @param {Object} welcome - Welcome message
+   * @param {Object} keyPackageBundle - Key package and its private keys
+   * @returns {Promise<Object>} - New group state
    */
-  static async _recoverRatchetState(groupId, senderId, recipientId) {
-    console.warn(`Attempting to recover ratchet state for ${senderId}-${recipientId}`);
+  static async joinMlsGroup(welcome, keyPackageBundle) {
+    try {
+      const mls = await AmiXMLS.joinGroup(welcome, keyPackageBundle);
+      const now = Date.now();
+
+      const groupState = {
+        id: mls.groupId,
+        groupId: mls.groupId,
+        type: this.GROUP_TYPES.MLS,
+        members: {},
+        mls,
+        createdAt: now,
+        updatedAt: now,
+        version: '1.0.0',
+        metadata: {
+          name: `Group-${mls.groupId.substring(0, 8)}`,
+          joinedAt: new Date().toISOString()
+        }
+      };
+      this._syncMlsMembers(groupState);
 
-    // In a real implementation, this would involve:
-    // 1. Requesting a new key exchange from the sender
-    // 2. Verifying the sender's identity
-    // 3. Establishing a new ratchet state
+      await AmiXStorage.storeGroup(groupState);
+      return groupState;
+    } catch (error) {
+      console.error('Failed to join MLS group:', error);
+      throw error;
+    }
+  }
+
+  // --- Helper Methods ---
+
+  /**
+   * Add a member entry to the group state
+   * @private
+   */
+  static async _addMember(groupState, member, isAdmin = false) {
+    groupState.members[member.id] = {
+      id: member.id,
+      publicKey: member.publicKey || null,
+      isAdmin,
+      joinedAt: Date.now()
+    };
+  }
 
-    // For now, we'll just create a new ratchet state
+  /**
+   * Load a group and check it is an MLS group
+   * @private
+   */
+  static async _getMlsGroup(groupId) {
     const groupState = await AmiXStorage.getGroup(groupId);
     if (!groupState) {
       throw new Error('Group not found');
     }
+    if (groupState.type !== this.GROUP_TYPES.MLS) {
+      throw new Error('Not an MLS group');
+    }
+    return groupState;
+  }
 
-    // Generate new ratchet state
-    const { sharedSecret } = await AmiXCrypto.performKeyExchange(
-      groupState.members[senderId].publicKey,
-      groupState.members[recipientId].privateKey
-    );
-
-    const ratchetState = await AmiXCrypto.createRatchetState(
-      sharedSecret,
-      groupState.members[recipientId].privateKey,
-      groupState.members[senderId].publicKey
-    );
-
-    // Store the new ratchet state
-    await AmiXStorage.storeRatchetState(
-      groupId,
-      senderId,
-      recipientId,
-      ratchetState
-    );
+  /**
+   * Rebuild the member list from the ratchet tree, keeping admin flags
+   * @private
+   */
+  static _syncMlsMembers(groupState) {
+    const members = {};
+    AmiXMLS.members(groupState.mls).forEach(({ amixId, deviceId, leaf }) => {
+      const existing = groupState.members[amixId];
+      members[amixId] = members[amixId] || {
+        id: amixId,
+        publicKey: existing?.publicKey || null,
+        isAdmin: existing?.isAdmin || false,
+        joinedAt: existing?.joinedAt || Date.now(),
+        devices: []
+      };
+      members[amixId].devices.push({ deviceId, leaf });
+    });
+    groupState.members = members;
+  }
 
-    return ratchetState;
+  /**
+   * Associated data binding a ciphertext to its group message headers
+   * @private
+   */
+  static _associatedData(headers) {
+    return JSON.stringify({
+      groupId: headers.groupId,
+      messageId: headers.messageId,
+      senderId: headers.senderId,
+      senderDeviceId: headers.senderDeviceId,
+      timestamp: headers.timestamp,
+      type: headers.type
+    });
   }
 
   /**
@@ -468,6 +748,11 @@ export class GroupCrypto {
         throw new Error('Group not found');
       }
 
+      // MLS groups change membership through a Commit
+      if (groupState.type === this.GROUP_TYPES.MLS) {
+        throw new Error('Use createMlsCommit to remove members from MLS groups');
+      }
+
       // Verify remover is an admin
       if (!groupState.members[remover.id]?.isAdmin) {
         throw new Error('Only admins can remove members');
@@ -490,6 +775,11 @@ export class GroupCrypto {
       
       // Store updated state
       await AmiXStorage.storeGroup(groupState);
+
+      // The removed member still holds every member's old sender key: we
+      // rotate ours, and tell the others to rotate theirs
+      await this.applyMemberRemoval(groupId, remover.id, memberIdToRemove);
+      await this._broadcastMemberRemoval(groupState, remover.id, memberIdToRemove);
       
       return groupState;
     } catch (error) {
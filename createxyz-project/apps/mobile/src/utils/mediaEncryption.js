@@ -1,3 +1,5 @@
+import nacl from 'tweetnacl';
+import { encodeBase64, decodeBase64 } from 'tweetnacl-util';
 import { AmiXCrypto } from './crypto';
 import { AmiXStorage } from './storage';
 import * as FileSystem from 'expo-file-system';
@@ -7,14 +9,31 @@ import * as Crypto from 'expo-crypto';
 // AmiX Media Encryption - Production-grade implementation
 // Handles file encryption, thumbnail generation, and streaming encryption
 
+// Streaming file format
+export const STREAM_CONFIG = {
+  VERSION: 1,
+  INFO: 'AmiX_FileStream',
+  HEADER_LENGTH: 21,          // version (1) + chunk size (4) + salt (16)
+  SALT_LENGTH: 16,
+  NONCE_PREFIX_LENGTH: 19,    // + 4-byte chunk counter + 1-byte flag = 24
+  MAX_CHUNK_SIZE: 1024 * 1024,
+  METADATA_INDEX: 0xffffffff,
+  FLAG_CHUNK: 0,
+  FLAG_FINAL: 1,
+  FLAG_METADATA: 2,
+};
+
 export class AmiXMediaEncryption {
   static CHUNK_SIZE = 64 * 1024; // 64KB chunks for streaming
   static MAX_FILE_SIZE = 100 * 1024 * 1024; // 100MB limit
+  static MAX_IN_MEMORY_SIZE = 8 * 1024 * 1024; // Larger files must be streamed
   static SUPPORTED_IMAGE_FORMATS = ['jpg', 'jpeg', 'png', 'webp'];
   static SUPPORTED_VIDEO_FORMATS = ['mp4', 'webm', 'mov'];
   static SUPPORTED_AUDIO_FORMATS = ['mp3', 'wav', 'ogg', 'm4a'];
 
   // File encryption with per-file keys
+  // Holds the whole file in memory, so it is only for small files; anything
+  // bigger goes through createEncryptedStream.
   static async encryptFile(fileUri, recipientKeys, options = {}) {
     try {
       const fileInfo = await FileSystem.getInfoAsync(fileUri);
@@ -23,8 +42,8 @@ export class AmiXMediaEncryption {
         throw new Error('File does not exist');
       }
 
-      if (fileInfo.size > this.MAX_FILE_SIZE) {
-        throw new Error('File too large');
+      if (fileInfo.size > this.MAX_IN_MEMORY_SIZE) {
+        throw new Error('File too large, use createEncryptedStream');
       }
 
       // Generate per-file encryption key
@@ -117,37 +136,177 @@ export class AmiXMediaEncryption {
     }
   }
 
+  // Streaming file format (STREAM construction)
+  // A file is a short header followed by independently sealed chunks:
+  //   header = version (1) || chunk size (4, big-endian) || salt (16)
+  // The file key and header derive a chunk key and a 19-byte nonce prefix;
+  // chunk i is sealed under prefix || i (4, big-endian) || flag (1), where
+  // the flag marks the final chunk. Reordering, dropping or appending chunks
+  // fails authentication, and any chunk can be decrypted on its own.
+  static async createStreamHeader(chunkSize = this.CHUNK_SIZE) {
+    const header = new Uint8Array(STREAM_CONFIG.HEADER_LENGTH);
+    const view = new DataView(header.buffer);
+    header[0] = STREAM_CONFIG.VERSION;
+    view.setUint32(1, chunkSize, false);
+    header.set(await AmiXCrypto.generateRandomBytes(STREAM_CONFIG.SALT_LENGTH), 5);
+    return header;
+  }
+
+  static parseStreamHeader(header) {
+    if (!header || header.length !== STREAM_CONFIG.HEADER_LENGTH) {
+      throw new Error('Invalid stream header');
+    }
+    if (header[0] !== STREAM_CONFIG.VERSION) {
+      throw new Error(`Unsupported stream version ${header[0]}`);
+    }
+
+    const chunkSize = new DataView(header.buffer, header.byteOffset).getUint32(1, false);
+    if (chunkSize === 0 || chunkSize > STREAM_CONFIG.MAX_CHUNK_SIZE) {
+      throw new Error('Invalid stream chunk size');
+    }
+
+    return { version: header[0], chunkSize, salt: header.slice(5) };
+  }
+
+  // The whole header goes into the info, so version and chunk size are bound too
+  static async deriveStreamKeys(fileKey, header) {
+    const { chunkSize, salt } = this.parseStreamHeader(header);
+    const label = new TextEncoder().encode(STREAM_CONFIG.INFO);
+    const info = new Uint8Array(label.length + header.length);
+    info.set(label);
+    info.set(header, label.length);
+
+    const okm = await AmiXCrypto.hkdf(
+      fileKey,
+      salt,
+      info,
+      nacl.secretbox.keyLength + STREAM_CONFIG.NONCE_PREFIX_LENGTH
+    );
+
+    return {
+      key: okm.slice(0, nacl.secretbox.keyLength),
+      noncePrefix: okm.slice(nacl.secretbox.keyLength),
+      chunkSize,
+    };
+  }
+
+  static streamNonce(noncePrefix, index, flag) {
+    const nonce = new Uint8Array(nacl.secretbox.nonceLength);
+    nonce.set(noncePrefix);
+    new DataView(nonce.buffer).setUint32(STREAM_CONFIG.NONCE_PREFIX_LENGTH, index, false);
+    nonce[nonce.length - 1] = flag;
+    return nonce;
+  }
+
+  static sealStreamChunk(streamKeys, index, plaintext, isFinal) {
+    if (plaintext.length > streamKeys.chunkSize) {
+      throw new Error('Chunk larger than the stream chunk size');
+    }
+    const flag = isFinal ? STREAM_CONFIG.FLAG_FINAL : STREAM_CONFIG.FLAG_CHUNK;
+    return nacl.secretbox(plaintext, this.streamNonce(streamKeys.noncePrefix, index, flag), streamKeys.key);
+  }
+
+  static openStreamChunk(streamKeys, index, ciphertext, isFinal) {
+    const flag = isFinal ? STREAM_CONFIG.FLAG_FINAL : STREAM_CONFIG.FLAG_CHUNK;
+    const plaintext = nacl.secretbox.open(
+      ciphertext,
+      this.streamNonce(streamKeys.noncePrefix, index, flag),
+      streamKeys.key
+    );
+
+    if (!plaintext) {
+      throw new Error(`Chunk ${index} failed authentication`);
+    }
+    return plaintext;
+  }
+
+  // Metadata uses the last counter value with its own flag, so it can never
+  // be mistaken for a chunk
+  static sealStreamMetadata(streamKeys, metadata) {
+    return nacl.secretbox(
+      new TextEncoder().encode(JSON.stringify(metadata)),
+      this.streamNonce(streamKeys.noncePrefix, STREAM_CONFIG.METADATA_INDEX, STREAM_CONFIG.FLAG_METADATA),
+      streamKeys.key
+    );
+  }
+
+  static openStreamMetadata(streamKeys, encryptedMetadata) {
+    const plaintext = nacl.secretbox.open(
+      encryptedMetadata,
+      this.streamNonce(streamKeys.noncePrefix, STREAM_CONFIG.METADATA_INDEX, STREAM_CONFIG.FLAG_METADATA),
+      streamKeys.key
+    );
+
+    if (!plaintext) {
+      throw new Error('Metadata failed authentication');
+    }
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  }
+
+  // Stream key from the caller, or unwrapped for this recipient
+  static async getStreamFileKey(encryptedStream, recipientKeys) {
+    return encryptedStream.fileKey ||
+      await this.decryptFileKey(encryptedStream.encryptedFileKey, recipientKeys);
+  }
+
+  static async readStreamChunk(chunk) {
+    const data = await FileSystem.readAsStringAsync(chunk.path, {
+      encoding: FileSystem.EncodingType.Base64,
+    });
+    return decodeBase64(data);
+  }
+
   // Streaming encryption for large files
-  static async createEncryptedStream(fileUri, recipientKeys, onProgress) {
+  // Only one chunk of plaintext is held in memory at a time.
+  static async createEncryptedStream(fileUri, recipientKeys, onProgress, options = {}) {
     try {
       const fileInfo = await FileSystem.getInfoAsync(fileUri);
+
+      if (!fileInfo.exists) {
+        throw new Error('File does not exist');
+      }
+
+      if (fileInfo.size > this.MAX_FILE_SIZE) {
+        throw new Error('File too large');
+      }
+
       const fileKey = await AmiXCrypto.generateRandomBytes(32);
       const fileId = await AmiXCrypto.generateSecureUUID();
+      const header = await this.createStreamHeader();
+      const streamKeys = await this.deriveStreamKeys(fileKey, header);
 
       // Create temporary directory for encrypted chunks
       const tempDir = `${FileSystem.cacheDirectory}amix_encrypted_${fileId}/`;
       await FileSystem.makeDirectoryAsync(tempDir, { intermediates: true });
 
+      // An empty file is still one (empty) final chunk
+      const totalChunks = Math.max(1, Math.ceil(fileInfo.size / streamKeys.chunkSize));
       const chunks = [];
-      let offset = 0;
-      let chunkIndex = 0;
 
-      while (offset < fileInfo.size) {
-        const chunkSize = Math.min(this.CHUNK_SIZE, fileInfo.size - offset);
-        
+      for (let chunkIndex = 0; chunkIndex < totalChunks; chunkIndex++) {
+        const offset = chunkIndex * streamKeys.chunkSize;
+        const chunkSize = Math.min(streamKeys.chunkSize, fileInfo.size - offset);
+
         // Read chunk
-        const chunk = await FileSystem.readAsStringAsync(fileUri, {
-          encoding: FileSystem.EncodingType.Base64,
-          length: chunkSize,
-          position: offset,
-        });
+        const plaintext = chunkSize > 0
+          ? decodeBase64(await FileSystem.readAsStringAsync(fileUri, {
+            encoding: FileSystem.EncodingType.Base64,
+            length: chunkSize,
+            position: offset,
+          }))
+          : new Uint8Array(0);
 
         // Encrypt chunk
-        const encryptedChunk = await this.encryptFileData(this.base64ToBytes(chunk), fileKey);
-        
+        const encryptedChunk = this.sealStreamChunk(
+          streamKeys,
+          chunkIndex,
+          plaintext,
+          chunkIndex === totalChunks - 1
+        );
+
         // Save encrypted chunk
         const chunkPath = `${tempDir}chunk_${chunkIndex}.enc`;
-        await FileSystem.writeAsStringAsync(chunkPath, this.bytesToBase64(encryptedChunk), {
+        await FileSystem.writeAsStringAsync(chunkPath, encodeBase64(encryptedChunk), {
           encoding: FileSystem.EncodingType.Base64,
         });
 
@@ -157,23 +316,38 @@ export class AmiXMediaEncryption {
           size: encryptedChunk.length,
         });
 
-        offset += chunkSize;
-        chunkIndex++;
-
         // Report progress
         if (onProgress) {
-          onProgress(offset / fileInfo.size);
+          onProgress((chunkIndex + 1) / totalChunks);
         }
       }
 
-      // Encrypt file key for recipient
-      const encryptedFileKey = await this.encryptFileKeyForRecipient(fileKey, recipientKeys);
+      const encryptedMetadata = this.sealStreamMetadata(streamKeys, {
+        fileId,
+        originalName: this.getFileName(fileUri),
+        mimeType: this.getMimeType(fileUri),
+        size: fileInfo.size,
+        totalChunks,
+        createdAt: Date.now(),
+        expiresAt: options.expiresAt || Date.now() + (7 * 24 * 60 * 60 * 1000), // 7 days default
+      });
+
+      // Attachments carry the raw key inside the E2E message instead
+      const encryptedFileKey = recipientKeys
+        ? await this.encryptFileKeyForRecipient(fileKey, recipientKeys)
+        : null;
+
+      AmiXCrypto.secureDelete(streamKeys.key);
 
       return {
+        version: STREAM_CONFIG.VERSION,
         fileId,
+        header,
         chunks,
+        fileKey,
         encryptedFileKey,
-        totalChunks: chunks.length,
+        encryptedMetadata,
+        totalChunks,
         originalSize: fileInfo.size,
         tempDir,
       };
@@ -182,43 +356,74 @@ export class AmiXMediaEncryption {
     }
   }
 
+  /**
+   * Decrypt a single chunk of a stream without touching the others
+   * @param {Object} encryptedStream - { header, chunks, fileKey | encryptedFileKey }
+   * @param {number} index - Chunk index; plaintext starts at index * chunkSize
+   * @returns {Promise<Uint8Array>} - The chunk's plaintext
+   */
+  static async decryptStreamChunk(encryptedStream, recipientKeys, index) {
+    try {
+      const { header, chunks } = encryptedStream;
+      if (!Number.isInteger(index) || index < 0 || index >= chunks.length) {
+        throw new Error('Chunk index out of range');
+      }
+
+      const fileKey = await this.getStreamFileKey(encryptedStream, recipientKeys);
+      const streamKeys = await this.deriveStreamKeys(fileKey, header);
+
+      try {
+        return this.openStreamChunk(
+          streamKeys,
+          index,
+          await this.readStreamChunk(chunks[index]),
+          index === chunks.length - 1
+        );
+      } finally {
+        AmiXCrypto.secureDelete(streamKeys.key);
+      }
+    } catch (error) {
+      throw new Error(`Chunk decryption failed: ${error.message}`);
+    }
+  }
+
   // Streaming decryption
+  // Chunks are authenticated one by one as they are written out; if any
+  // fails, or the stream was cut short, the partial output is deleted.
   static async decryptStream(encryptedStream, recipientKeys, outputPath, onProgress) {
+    let streamKeys = null;
     try {
-      const { chunks, encryptedFileKey, tempDir } = encryptedStream;
+      const { header, chunks, tempDir } = encryptedStream;
+      const fileKey = await this.getStreamFileKey(encryptedStream, recipientKeys);
+      streamKeys = await this.deriveStreamKeys(fileKey, header);
 
-      // Decrypt file key
-      const fileKey = await this.decryptFileKey(encryptedFileKey, recipientKeys);
+      if (!chunks?.length) {
+        throw new Error('Stream has no chunks');
+      }
 
       // Create output file
       await FileSystem.writeAsStringAsync(outputPath, '', { encoding: FileSystem.EncodingType.UTF8 });
 
-      let totalProcessed = 0;
-      const totalSize = chunks.reduce((sum, chunk) => sum + chunk.size, 0);
-
-      for (const chunk of chunks) {
-        // Read encrypted chunk
-        const encryptedChunkData = await FileSystem.readAsStringAsync(chunk.path, {
-          encoding: FileSystem.EncodingType.Base64,
-        });
-
-        // Decrypt chunk
-        const decryptedChunk = await this.decryptFileData(
-          this.base64ToBytes(encryptedChunkData),
-          fileKey
+      for (let index = 0; index < chunks.length; index++) {
+        // Decrypt chunk; the last one must carry the final flag
+        const plaintext = this.openStreamChunk(
+          streamKeys,
+          index,
+          await this.readStreamChunk(chunks[index]),
+          index === chunks.length - 1
         );
 
         // Append to output file
-        await FileSystem.writeAsStringAsync(outputPath, this.bytesToBase64(decryptedChunk), {
-          encoding: FileSystem.EncodingType.Base64,
-          append: true,
-        });
-
-        totalProcessed += chunk.size;
+        if (plaintext.length > 0) {
+          await FileSystem.writeAsStringAsync(outputPath, encodeBase64(plaintext), {
+            encoding: FileSystem.EncodingType.Base64,
+            append: true,
+          });
+        }
 
         // Report progress
         if (onProgress) {
-          onProgress(totalProcessed / totalSize);
+          onProgress((index + 1) / chunks.length);
         }
       }
 
@@ -227,7 +432,12 @@ export class AmiXMediaEncryption {
 
       return outputPath;
     } catch (error) {
+      await FileSystem.deleteAsync(outputPath, { idempotent: true }).catch(() => {});
       throw new Error(`Streaming decryption failed: ${error.message}`);
+    } finally {
+      if (streamKeys) {
+        AmiXCrypto.secureDelete(streamKeys.key);
+      }
     }
   }
 
@@ -470,7 +680,8 @@ export class AmiXMediaEncryption {
   }
 
   // Batch file processing
-  static async encryptMultipleFiles(fileUris, recipientKeys, onProgress) {
+  // Each file is streamed, so a batch never holds more than one chunk.
+  static async encryptMultipleFiles(fileUris, recipientKeys, onProgress, options = {}) {
     try {
       const results = [];
       const total = fileUris.length;
@@ -479,7 +690,12 @@ export class AmiXMediaEncryption {
         const fileUri = fileUris[i];
         
         try {
-          const encrypted = await this.encryptFile(fileUri, recipientKeys);
+          const encrypted = await this.createEncryptedStream(
+            fileUri,
+            recipientKeys,
+            onProgress && (progress => onProgress((i + progress) / total)),
+            options
+          );
           results.push({
             originalUri: fileUri,
             encrypted,
@@ -505,21 +721,39 @@ export class AmiXMediaEncryption {
   }
 
   // File integrity verification
-  static async verifyFileIntegrity(encryptedFile, recipientKeys) {
+  // Authenticates the metadata and every chunk of a stream without writing
+  // any plaintext out.
+  static async verifyFileIntegrity(encryptedStream, recipientKeys) {
+    let streamKeys = null;
     try {
-      const { encryptedMetadata, encryptedFileKey } = encryptedFile;
+      const { header, chunks, encryptedMetadata } = encryptedStream;
 
       // Decrypt file key
-      const fileKey = await this.decryptFileKey(encryptedFileKey, recipientKeys);
+      const fileKey = await this.getStreamFileKey(encryptedStream, recipientKeys);
+      streamKeys = await this.deriveStreamKeys(fileKey, header);
 
       // Decrypt metadata
-      const metadata = await this.decryptMetadata(encryptedMetadata, fileKey);
+      const metadata = this.openStreamMetadata(streamKeys, encryptedMetadata);
 
       // Verify file hasn't expired
       if (metadata.expiresAt && Date.now() > metadata.expiresAt) {
         throw new Error('File has expired');
       }
 
+      if (chunks.length !== metadata.totalChunks) {
+        throw new Error('Chunk count does not match metadata');
+      }
+
+      // Every chunk must open in place, the last one as final
+      for (let index = 0; index < chunks.length; index++) {
+        this.openStreamChunk(
+          streamKeys,
+          index,
+          await this.readStreamChunk(chunks[index]),
+          index === chunks.length - 1
+        );
+      }
+
       return {
         isValid: true,
         metadata,
@@ -529,6 +763,10 @@ export class AmiXMediaEncryption {
         isValid: false,
         error: error.message,
       };
+    } finally {
+      if (streamKeys) {
+        AmiXCrypto.secureDelete(streamKeys.key);
+      }
     }
   }
 }
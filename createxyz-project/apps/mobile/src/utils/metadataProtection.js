@@ -1,65 +1,301 @@
-import * as AmiXCrypto from './crypto';
+import nacl from 'tweetnacl';
+import { encodeBase64, decodeBase64 } from 'tweetnacl-util';
+import { AmiXCrypto } from './crypto';
 
 const METADATA_PROTECTION = {
   MIN_PADDING: 64,    // 64 bytes minimum padding
   MAX_PADDING: 1024,  // 1KB maximum padding
-  VERSION: 1,         // Protocol version
+  VERSION: 2,         // Protocol version
+  SEALED_VERSION: 3,  // Sender-bound variant
+  INFO: 'AmiX_MetadataProtection',
+  EPHEMERAL_INFO: 'AmiX_SealedSender_Ephemeral',
+  STATIC_INFO: 'AmiX_SealedSender_Static',
 };
 
 export class MetadataProtection {
-  // Add protection to metadata
-  static async protect(metadata) {
+  /**
+   * Encrypt metadata to the recipient's identity key with a fresh ephemeral
+   * key. Nobody but the recipient learns what it says, and the ephemeral
+   * key doesn't link it to the sender. Random padding hides its length.
+   * @param {Object} metadata - Metadata to protect
+   * @param {string} recipientPublicKey - Base64 X25519 identity key of the recipient
+   * @returns {Promise<Object>} - { v, ephemeralKey, nonce, ciphertext }
+   */
+  static async protect(metadata, recipientPublicKey) {
     try {
       // Generate random padding
-      const paddingSize = METADATA_PROTECTION.MIN_PADDING + 
+      const paddingSize = METADATA_PROTECTION.MIN_PADDING +
         Math.floor(Math.random() * (METADATA_PROTECTION.MAX_PADDING - METADATA_PROTECTION.MIN_PADDING));
-      
-      const padding = await AmiXCrypto.generateRandomBytes(paddingSize);
-      
-      // Create protected metadata
-      const protectedMetadata = {
-        v: METADATA_PROTECTION.VERSION,
+
+      const plaintext = new TextEncoder().encode(JSON.stringify({
         ts: Date.now(),
         data: metadata,
-        padding: AmiXCrypto.bytesToBase64(padding)
+        padding: encodeBase64(nacl.randomBytes(paddingSize))
+      }));
+
+      const ephemeral = nacl.box.keyPair();
+      const recipientKey = decodeBase64(recipientPublicKey);
+      const key = await this.deriveKey(ephemeral.secretKey, recipientKey, ephemeral.publicKey, recipientKey);
+      const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+      const ciphertext = nacl.secretbox(plaintext, nonce, key);
+
+      AmiXCrypto.secureDelete(ephemeral.secretKey);
+      AmiXCrypto.secureDelete(key);
+
+      return {
+        v: METADATA_PROTECTION.VERSION,
+        ephemeralKey: encodeBase64(ephemeral.publicKey),
+        nonce: encodeBase64(nonce),
+        ciphertext: encodeBase64(ciphertext)
       };
-      
-      return protectedMetadata;
     } catch (error) {
       console.error('Metadata protection failed:', error);
       throw new Error('Failed to protect metadata');
     }
   }
 
-  // Remove protection from metadata
-  static async unprotect(protectedMetadata) {
+  /**
+   * Decrypt metadata sealed to one of our identity keys
+   * @param {Object} protectedMetadata - Output of protect
+   * @param {Object} identityKeys - Our identity keys; previous keys are tried after the current one
+   * @returns {Promise<Object>} - The original metadata
+   */
+  static async unprotect(protectedMetadata, identityKeys) {
     try {
       if (!protectedMetadata || protectedMetadata.v !== METADATA_PROTECTION.VERSION) {
         throw new Error('Invalid metadata format');
       }
-      
-      // Return only the actual data
-      return protectedMetadata.data;
+
+      const ephemeralKey = decodeBase64(protectedMetadata.ephemeralKey);
+      const nonce = decodeBase64(protectedMetadata.nonce);
+      const ciphertext = decodeBase64(protectedMetadata.ciphertext);
+
+      // Senders may still use an identity key we rotated away from
+      const candidates = [identityKeys.current, ...(identityKeys.previous || [])];
+      for (const candidate of candidates) {
+        const privateKey = decodeBase64(candidate.privateKey);
+        const key = await this.deriveKey(privateKey, ephemeralKey, ephemeralKey, decodeBase64(candidate.publicKey));
+        const plaintext = nacl.secretbox.open(ciphertext, nonce, key);
+        AmiXCrypto.secureDelete(key);
+
+        if (plaintext) {
+          // Return only the actual data
+          return JSON.parse(new TextDecoder().decode(plaintext)).data;
+        }
+      }
+
+      throw new Error('Metadata was not sealed to this identity');
+    } catch (error) {
+      console.error('Metadata unprotection failed:', error);
+      throw new Error('Failed to unprotect metadata');
+    }
+  }
+
+  /**
+   * Like protect, but also binds the metadata to the sender's identity key.
+   * The ephemeral layer only hides the sender's public key; the metadata is
+   * encrypted under a static-static key that nobody without the sender's
+   * private identity key can derive.
+   * @param {Object} metadata - Metadata to protect
+   * @param {string} recipientPublicKey - Base64 X25519 identity key of the recipient
+   * @param {Object} senderKeys - Our current identity key pair (base64)
+   * @returns {Promise<Object>} - { v, ephemeralKey, staticNonce, encryptedStatic, nonce, ciphertext }
+   */
+  static async protectFrom(metadata, recipientPublicKey, senderKeys) {
+    try {
+      const paddingSize = METADATA_PROTECTION.MIN_PADDING +
+        Math.floor(Math.random() * (METADATA_PROTECTION.MAX_PADDING - METADATA_PROTECTION.MIN_PADDING));
+
+      const plaintext = new TextEncoder().encode(JSON.stringify({
+        ts: Date.now(),
+        data: metadata,
+        padding: encodeBase64(nacl.randomBytes(paddingSize))
+      }));
+
+      const ephemeral = nacl.box.keyPair();
+      const recipientKey = decodeBase64(recipientPublicKey);
+      const senderPublicKey = decodeBase64(senderKeys.publicKey);
+      const senderPrivateKey = decodeBase64(senderKeys.privateKey);
+
+      // Layer 1: the sender's identity key, under the ephemeral-static key
+      const { chainKey, staticKey } = await this.deriveEphemeralKeys(
+        ephemeral.secretKey, recipientKey, ephemeral.publicKey, recipientKey
+      );
+      const staticNonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+      const encryptedStatic = nacl.secretbox(senderPublicKey, staticNonce, staticKey);
+
+      // Layer 2: the metadata, under the static-static key
+      const key = await this.deriveStaticKey(senderPrivateKey, recipientKey, chainKey, encryptedStatic);
+      const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+      const ciphertext = nacl.secretbox(plaintext, nonce, key);
+
+      [ephemeral.secretKey, senderPrivateKey, chainKey, staticKey, key].forEach(
+        secret => AmiXCrypto.secureDelete(secret)
+      );
+
+      return {
+        v: METADATA_PROTECTION.SEALED_VERSION,
+        ephemeralKey: encodeBase64(ephemeral.publicKey),
+        staticNonce: encodeBase64(staticNonce),
+        encryptedStatic: encodeBase64(encryptedStatic),
+        nonce: encodeBase64(nonce),
+        ciphertext: encodeBase64(ciphertext)
+      };
+    } catch (error) {
+      console.error('Metadata protection failed:', error);
+      throw new Error('Failed to protect metadata');
+    }
+  }
+
+  /**
+   * Decrypt metadata from protectFrom
+   * @param {Object} protectedMetadata - Output of protectFrom
+   * @param {Object} identityKeys - Our identity keys; previous keys are tried after the current one
+   * @returns {Promise<Object>} - { data, senderIdentityKey }, the key that sealed it (base64)
+   */
+  static async unprotectFrom(protectedMetadata, identityKeys) {
+    try {
+      if (!protectedMetadata || protectedMetadata.v !== METADATA_PROTECTION.SEALED_VERSION) {
+        throw new Error('Invalid metadata format');
+      }
+
+      const ephemeralKey = decodeBase64(protectedMetadata.ephemeralKey);
+      const staticNonce = decodeBase64(protectedMetadata.staticNonce);
+      const encryptedStatic = decodeBase64(protectedMetadata.encryptedStatic);
+      const nonce = decodeBase64(protectedMetadata.nonce);
+      const ciphertext = decodeBase64(protectedMetadata.ciphertext);
+
+      const candidates = [identityKeys.current, ...(identityKeys.previous || [])];
+      for (const candidate of candidates) {
+        const privateKey = decodeBase64(candidate.privateKey);
+        const { chainKey, staticKey } = await this.deriveEphemeralKeys(
+          privateKey, ephemeralKey, ephemeralKey, decodeBase64(candidate.publicKey)
+        );
+        const senderPublicKey = nacl.secretbox.open(encryptedStatic, staticNonce, staticKey);
+        AmiXCrypto.secureDelete(staticKey);
+
+        if (!senderPublicKey) {
+          AmiXCrypto.secureDelete(chainKey);
+          continue;
+        }
+
+        // Only the holder of that identity key can have produced this layer
+        const key = await this.deriveStaticKey(privateKey, senderPublicKey, chainKey, encryptedStatic);
+        const plaintext = nacl.secretbox.open(ciphertext, nonce, key);
+        AmiXCrypto.secureDelete(chainKey);
+        AmiXCrypto.secureDelete(key);
+
+        if (!plaintext) {
+          throw new Error('Metadata was not sealed by the key it names');
+        }
+
+        return {
+          data: JSON.parse(new TextDecoder().decode(plaintext)).data,
+          senderIdentityKey: encodeBase64(senderPublicKey),
+        };
+      }
+
+      throw new Error('Metadata was not sealed to this identity');
     } catch (error) {
       console.error('Metadata unprotection failed:', error);
       throw new Error('Failed to unprotect metadata');
     }
   }
-  
+
+  /**
+   * Metadata key: HKDF over the ephemeral-static X25519 output, salted with
+   * both public keys so it is bound to this sender ephemeral and recipient
+   * @private
+   */
+  static async deriveKey(privateKey, theirPublicKey, ephemeralPublicKey, recipientPublicKey) {
+    const shared = this.sharedSecret(privateKey, theirPublicKey);
+
+    const salt = new Uint8Array(ephemeralPublicKey.length + recipientPublicKey.length);
+    salt.set(ephemeralPublicKey, 0);
+    salt.set(recipientPublicKey, ephemeralPublicKey.length);
+
+    const key = await AmiXCrypto.hkdf(
+      shared,
+      salt,
+      new TextEncoder().encode(METADATA_PROTECTION.INFO),
+      nacl.secretbox.keyLength
+    );
+    AmiXCrypto.secureDelete(shared);
+    return key;
+  }
+
+  /**
+   * Sealed layer 1 keys: a chain key for layer 2 and the key hiding the
+   * sender's identity key, both from the ephemeral-static X25519 output
+   * @private
+   */
+  static async deriveEphemeralKeys(privateKey, theirPublicKey, ephemeralPublicKey, recipientPublicKey) {
+    const shared = this.sharedSecret(privateKey, theirPublicKey);
+
+    const salt = new Uint8Array(ephemeralPublicKey.length + recipientPublicKey.length);
+    salt.set(ephemeralPublicKey, 0);
+    salt.set(recipientPublicKey, ephemeralPublicKey.length);
+
+    const keys = await AmiXCrypto.hkdf(
+      shared,
+      salt,
+      new TextEncoder().encode(METADATA_PROTECTION.EPHEMERAL_INFO),
+      2 * nacl.secretbox.keyLength
+    );
+    const derived = {
+      chainKey: keys.slice(0, nacl.secretbox.keyLength),
+      staticKey: keys.slice(nacl.secretbox.keyLength),
+    };
+    AmiXCrypto.secureDelete(shared);
+    AmiXCrypto.secureDelete(keys);
+    return derived;
+  }
+
+  /**
+   * Sealed layer 2 key: HKDF over the static-static X25519 output, salted
+   * with the chain key and the encrypted sender key it has to go with
+   * @private
+   */
+  static async deriveStaticKey(privateKey, theirPublicKey, chainKey, encryptedStatic) {
+    const shared = this.sharedSecret(privateKey, theirPublicKey);
+
+    const salt = new Uint8Array(chainKey.length + encryptedStatic.length);
+    salt.set(chainKey, 0);
+    salt.set(encryptedStatic, chainKey.length);
+
+    const key = await AmiXCrypto.hkdf(
+      shared,
+      salt,
+      new TextEncoder().encode(METADATA_PROTECTION.STATIC_INFO),
+      nacl.secretbox.keyLength
+    );
+    AmiXCrypto.secureDelete(shared);
+    return key;
+  }
+
+  // X25519, refusing the all-zero output of a low-order public key
+  static sharedSecret(privateKey, theirPublicKey) {
+    const shared = nacl.scalarMult(privateKey, theirPublicKey);
+    if (shared.every(byte => byte === 0)) {
+      throw new Error('Invalid public key');
+    }
+    return shared;
+  }
+
   // Obfuscate timing information
   static async constantTimeCompare(a, b) {
     const aBuf = new TextEncoder().encode(String(a));
     const bBuf = new TextEncoder().encode(String(b));
-    
+
     if (aBuf.length !== bBuf.length) {
       return false;
     }
-    
+
     let result = 0;
     for (let i = 0; i < aBuf.length; i++) {
       result |= aBuf[i] ^ bBuf[i];
     }
-    
+
     return result === 0;
   }
 }
@@ -0,0 +1,957 @@
+import nacl from 'tweetnacl';
+import { encodeBase64, decodeBase64 } from 'tweetnacl-util';
+import { AmiXCrypto } from './crypto';
+
+// AmiX MLS - ratchet tree group key agreement modelled on RFC 9420
+// Large groups share one epoch secret derived through a TreeKEM ratchet
+// tree. Membership changes are Proposals applied by a Commit; joiners get
+// a Welcome. Every Commit moves the group to a new epoch, so removed
+// members lose access and compromised keys heal in O(log n) work.
+//
+// Handshake functions (createCommit, processCommit, joinGroup) return new
+// state objects and never touch their input, because a Commit only takes
+// effect once the delivery service has ordered it. Application message
+// functions mutate the state like the pairwise ratchet does.
+
+export const MLS_CONFIG = {
+  VERSION: 'amix-mls-1',
+  LABEL: 'AmiX_MLS ',
+  MAX_GENERATION_GAP: 1000, // Skipped application messages tolerated per sender
+  MAX_SKIPPED_KEYS: 1000,   // Stored out-of-order keys per sender and epoch
+};
+
+const encoder = new TextEncoder();
+const toBytes = value => encoder.encode(typeof value === 'string' ? value : JSON.stringify(value));
+
+const concatBytes = (...parts) => {
+  const out = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    out.set(part, offset);
+    offset += part.length;
+  });
+  return out;
+};
+
+const clone = value => JSON.parse(JSON.stringify(value));
+
+export class AmiXMLS {
+  // Tree math (array representation, RFC 9420 Appendix C).
+  // Leaves sit at even indices; the leaf count is always a power of two.
+
+  static level(x) {
+    let k = 0;
+    while (((x >> k) & 1) === 1) k++;
+    return k;
+  }
+
+  static nodeWidth(leafCount) {
+    return leafCount === 0 ? 0 : 2 * (leafCount - 1) + 1;
+  }
+
+  static root(leafCount) {
+    return leafCount - 1;
+  }
+
+  static left(x) {
+    return x ^ (1 << (this.level(x) - 1));
+  }
+
+  static right(x) {
+    return x ^ (3 << (this.level(x) - 1));
+  }
+
+  static parent(x) {
+    const k = this.level(x);
+    const b = (x >> (k + 1)) & 1;
+    return (x | (1 << k)) ^ (b << (k + 1));
+  }
+
+  static sibling(x) {
+    const p = this.parent(x);
+    return x < p ? this.right(p) : this.left(p);
+  }
+
+  // Parents of a node up to and including the root
+  static directPath(x, leafCount) {
+    const root = this.root(leafCount);
+    const path = [];
+    while (x !== root) {
+      x = this.parent(x);
+      path.push(x);
+    }
+    return path;
+  }
+
+  // Siblings of the node and of each node on its direct path (below the root)
+  static copath(x, leafCount) {
+    return [x, ...this.directPath(x, leafCount)]
+      .slice(0, -1)
+      .map(node => this.sibling(node));
+  }
+
+  static isInSubtree(node, leafIndex) {
+    const span = (1 << this.level(node)) - 1;
+    const leafNode = 2 * leafIndex;
+    return leafNode >= node - span && leafNode <= node + span;
+  }
+
+  static leafCount(tree) {
+    return (tree.length + 1) / 2;
+  }
+
+  /**
+   * Nodes whose keys together cover the subtree under `x`.
+   * Leaves in `exclude` (joiners of the current Commit) are skipped.
+   */
+  static resolution(tree, x, exclude = []) {
+    const node = tree[x];
+
+    if (this.level(x) === 0) {
+      return node && !exclude.includes(x / 2) ? [x] : [];
+    }
+
+    if (node) {
+      return [
+        x,
+        ...node.unmergedLeaves
+          .filter(leaf => !exclude.includes(leaf))
+          .map(leaf => 2 * leaf),
+      ];
+    }
+
+    return [
+      ...this.resolution(tree, this.left(x), exclude),
+      ...this.resolution(tree, this.right(x), exclude),
+    ];
+  }
+
+  // Key derivation
+
+  static async deriveSecret(secret, label, context = new Uint8Array(0), length = 32) {
+    const secretBytes = typeof secret === 'string' ? decodeBase64(secret) : secret;
+    return await AmiXCrypto.hkdf(
+      secretBytes,
+      new Uint8Array(32),
+      concatBytes(encoder.encode(MLS_CONFIG.LABEL + label), context),
+      length
+    );
+  }
+
+  static async hash(value) {
+    return encodeBase64(await AmiXCrypto.hash(value instanceof Uint8Array ? value : toBytes(value)));
+  }
+
+  // Deterministic node key pair from a path secret
+  static async nodeKeyPair(pathSecret) {
+    const nodeSecret = await this.deriveSecret(pathSecret, 'node');
+    const keypair = nacl.box.keyPair.fromSecretKey(nodeSecret);
+    return {
+      publicKey: encodeBase64(keypair.publicKey),
+      privateKey: encodeBase64(keypair.secretKey),
+    };
+  }
+
+  // HPKE-style sealing to an X25519 key, bound to `info`
+  static async hpkeSeal(publicKey, plaintext, info) {
+    const ephemeral = nacl.box.keyPair();
+    const shared = nacl.box.before(decodeBase64(publicKey), ephemeral.secretKey);
+    const key = await this.deriveSecret(shared, 'hpke', toBytes(info));
+    const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+
+    const ciphertext = nacl.secretbox(plaintext, nonce, key);
+    AmiXCrypto.secureDelete(shared);
+    AmiXCrypto.secureDelete(key);
+
+    return {
+      kem: encodeBase64(ephemeral.publicKey),
+      nonce: encodeBase64(nonce),
+      ciphertext: encodeBase64(ciphertext),
+    };
+  }
+
+  static async hpkeOpen(privateKey, sealed, info) {
+    const shared = nacl.box.before(decodeBase64(sealed.kem), decodeBase64(privateKey));
+    const key = await this.deriveSecret(shared, 'hpke', toBytes(info));
+
+    const plaintext = nacl.secretbox.open(
+      decodeBase64(sealed.ciphertext),
+      decodeBase64(sealed.nonce),
+      key
+    );
+    AmiXCrypto.secureDelete(shared);
+    AmiXCrypto.secureDelete(key);
+
+    if (!plaintext) {
+      throw new Error('Unable to open MLS ciphertext');
+    }
+    return plaintext;
+  }
+
+  static sign(content, signingPrivateKey) {
+    return encodeBase64(nacl.sign.detached(toBytes(content), decodeBase64(signingPrivateKey)));
+  }
+
+  static verify(content, signature, signatureKey) {
+    try {
+      return nacl.sign.detached.verify(
+        toBytes(content),
+        decodeBase64(signature),
+        decodeBase64(signatureKey)
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Key schedule
+
+  static async groupContextHash(groupId, epoch, tree, confirmedTranscriptHash) {
+    return decodeBase64(await this.hash({
+      groupId,
+      epoch,
+      treeHash: await this.hash(tree),
+      confirmedTranscriptHash,
+    }));
+  }
+
+  static async joinerSecret(initSecret, commitSecret, contextHash) {
+    const extracted = await AmiXCrypto.hkdf(
+      decodeBase64(commitSecret),
+      decodeBase64(initSecret),
+      encoder.encode(MLS_CONFIG.LABEL + 'joiner'),
+      32
+    );
+    return encodeBase64(await this.deriveSecret(extracted, 'joiner', contextHash));
+  }
+
+  static async epochSecrets(joinerSecret, contextHash) {
+    const epochSecret = await this.deriveSecret(joinerSecret, 'epoch', contextHash);
+    const [encryption, exporter, confirmation, membership, init, authentication] = await Promise.all(
+      ['encryption', 'exporter', 'confirm', 'membership', 'init', 'authentication']
+        .map(label => this.deriveSecret(epochSecret, label))
+    );
+    AmiXCrypto.secureDelete(epochSecret);
+
+    return {
+      encryptionSecret: encodeBase64(encryption),
+      exporterSecret: encodeBase64(exporter),
+      confirmationKey: encodeBase64(confirmation),
+      membershipKey: encodeBase64(membership),
+      initSecret: encodeBase64(init),
+      epochAuthenticator: encodeBase64(authentication),
+    };
+  }
+
+  static async confirmationTag(confirmationKey, confirmedTranscriptHash) {
+    return encodeBase64(await AmiXCrypto.hmac(
+      decodeBase64(confirmationKey),
+      decodeBase64(confirmedTranscriptHash)
+    ));
+  }
+
+  // Enter a new epoch: returns the state fields that depend on the epoch secret
+  static async enterEpoch(state, { joinerSecret, epoch, tree, confirmedTranscriptHash, confirmationTag }) {
+    const contextHash = await this.groupContextHash(state.groupId, epoch, tree, confirmedTranscriptHash);
+    const secrets = await this.epochSecrets(joinerSecret, contextHash);
+
+    const expectedTag = await this.confirmationTag(secrets.confirmationKey, confirmedTranscriptHash);
+    if (confirmationTag && !nacl.verify(decodeBase64(confirmationTag), decodeBase64(expectedTag))) {
+      throw new Error('Invalid confirmation tag');
+    }
+
+    const tag = confirmationTag || expectedTag;
+    return {
+      ...state,
+      epoch,
+      tree,
+      confirmedTranscriptHash,
+      interimTranscriptHash: await this.hash(
+        concatBytes(decodeBase64(confirmedTranscriptHash), decodeBase64(tag))
+      ),
+      confirmationTag: tag,
+      ...secrets,
+      senderChains: {},
+      pendingProposals: [],
+    };
+  }
+
+  // Key packages and leaves
+
+  static leafContent(leaf) {
+    return {
+      identity: leaf.identity,
+      encryptionKey: leaf.encryptionKey,
+      signatureKey: leaf.signatureKey,
+    };
+  }
+
+  /**
+   * Create a key package others can use to add us to a group.
+   * Publish `keyPackage`; keep `privateKeys` until a Welcome consumes it.
+   * @param {Object} identity - { amixId, deviceId }
+   */
+  static createKeyPackage(identity) {
+    const initKeypair = nacl.box.keyPair();
+    const leafKeypair = nacl.box.keyPair();
+    const signingKeypair = nacl.sign.keyPair();
+
+    const content = {
+      version: MLS_CONFIG.VERSION,
+      identity: { amixId: identity.amixId, deviceId: identity.deviceId || null },
+      initKey: encodeBase64(initKeypair.publicKey),
+      encryptionKey: encodeBase64(leafKeypair.publicKey),
+      signatureKey: encodeBase64(signingKeypair.publicKey),
+      createdAt: Date.now(),
+    };
+
+    return {
+      keyPackage: {
+        ...content,
+        signature: this.sign(content, encodeBase64(signingKeypair.secretKey)),
+      },
+      privateKeys: {
+        initKey: encodeBase64(initKeypair.secretKey),
+        encryptionKey: encodeBase64(leafKeypair.secretKey),
+        signingKey: encodeBase64(signingKeypair.secretKey),
+      },
+    };
+  }
+
+  static verifyKeyPackage(keyPackage) {
+    const { signature, ...content } = keyPackage || {};
+    return content.version === MLS_CONFIG.VERSION &&
+      Boolean(content.identity?.amixId) &&
+      this.verify(content, signature, content.signatureKey);
+  }
+
+  static async keyPackageRef(keyPackage) {
+    return await this.hash(keyPackage);
+  }
+
+  static signLeaf(leaf, signingPrivateKey) {
+    const content = this.leafContent(leaf);
+    return { type: 'leaf', ...content, signature: this.sign(content, signingPrivateKey) };
+  }
+
+  // Group lifecycle
+
+  /**
+   * Create a one-member group at epoch 0
+   * @param {string} groupId - Group ID (shared with the delivery service)
+   * @param {Object} identity - { amixId, deviceId }
+   */
+  static async createGroup(groupId, identity) {
+    const { keyPackage, privateKeys } = this.createKeyPackage(identity);
+    const leaf = this.signLeaf(keyPackage, privateKeys.signingKey);
+    const tree = [leaf];
+
+    const state = {
+      version: MLS_CONFIG.VERSION,
+      groupId,
+      ownLeaf: 0,
+      signingPrivateKey: privateKeys.signingKey,
+      privateKeys: { 0: privateKeys.encryptionKey },
+      active: true,
+    };
+
+    return await this.enterEpoch(state, {
+      joinerSecret: encodeBase64(nacl.randomBytes(32)),
+      epoch: 0,
+      tree,
+      confirmedTranscriptHash: '',
+      confirmationTag: null,
+    });
+  }
+
+  // Current members as { leaf, amixId, deviceId }
+  static members(state) {
+    const members = [];
+    for (let leaf = 0; leaf < this.leafCount(state.tree); leaf++) {
+      const node = state.tree[2 * leaf];
+      if (node) {
+        members.push({ leaf, ...node.identity });
+      }
+    }
+    return members;
+  }
+
+  static leavesOf(state, amixId) {
+    return this.members(state)
+      .filter(member => member.amixId === amixId)
+      .map(member => member.leaf);
+  }
+
+  // Proposals
+
+  static addProposal(keyPackage) {
+    return { type: 'add', keyPackage };
+  }
+
+  static removeProposal(leaf) {
+    return { type: 'remove', leaf };
+  }
+
+  /**
+   * A standalone, signed proposal for whoever commits next
+   */
+  static createProposal(state, proposal) {
+    const content = {
+      version: MLS_CONFIG.VERSION,
+      type: 'proposal',
+      groupId: state.groupId,
+      epoch: state.epoch,
+      sender: state.ownLeaf,
+      proposal,
+    };
+    return { ...content, signature: this.sign(content, state.signingPrivateKey) };
+  }
+
+  // Verify a standalone proposal and queue it for the next Commit
+  static processProposal(state, message) {
+    const { signature, ...content } = message;
+    if (content.groupId !== state.groupId || content.epoch !== state.epoch) {
+      throw new Error('Proposal is not for the current epoch');
+    }
+
+    const sender = state.tree[2 * content.sender];
+    if (!sender || !this.verify(content, signature, sender.signatureKey)) {
+      throw new Error('Invalid proposal signature');
+    }
+
+    return {
+      ...state,
+      pendingProposals: [...state.pendingProposals, content.proposal],
+    };
+  }
+
+  /**
+   * Apply proposals to a tree in place: removes first, then adds.
+   * @private
+   * @returns {Object} - Added and removed leaves
+   */
+  static applyProposals(tree, proposals, committer) {
+    const removed = [];
+    const added = [];
+
+    proposals.filter(p => p.type === 'remove').forEach(({ leaf }) => {
+      const leafCount = this.leafCount(tree);
+      if (!Number.isInteger(leaf) || leaf < 0 || leaf >= leafCount || !tree[2 * leaf]) {
+        throw new Error('Remove proposal for an unknown member');
+      }
+      if (leaf === committer) {
+        throw new Error('A member cannot remove itself in its own Commit');
+      }
+
+      removed.push({ leaf, ...tree[2 * leaf].identity });
+      tree[2 * leaf] = null;
+      this.directPath(2 * leaf, leafCount).forEach((node) => {
+        tree[node] = null;
+      });
+      tree.forEach((node) => {
+        if (node?.type === 'parent') {
+          node.unmergedLeaves = node.unmergedLeaves.filter(unmerged => unmerged !== leaf);
+        }
+      });
+    });
+
+    proposals.filter(p => p.type === 'add').forEach(({ keyPackage }) => {
+      if (!this.verifyKeyPackage(keyPackage)) {
+        throw new Error('Invalid key package');
+      }
+
+      let leafCount = this.leafCount(tree);
+      let leaf = 0;
+      while (leaf < leafCount && tree[2 * leaf]) leaf++;
+
+      // Full tree: double it, existing node indices stay where they are
+      if (leaf === leafCount) {
+        const width = this.nodeWidth(leafCount * 2);
+        while (tree.length < width) tree.push(null);
+        leafCount *= 2;
+      }
+
+      tree[2 * leaf] = {
+        type: 'leaf',
+        ...this.leafContent(keyPackage),
+        signature: keyPackage.signature,
+      };
+      this.directPath(2 * leaf, leafCount).forEach((node) => {
+        if (tree[node]) tree[node].unmergedLeaves.push(leaf);
+      });
+
+      added.push({ leaf, keyPackage, ...keyPackage.identity });
+    });
+
+    return { added, removed };
+  }
+
+  // Commits
+
+  static commitContent(commit) {
+    return {
+      version: commit.version,
+      type: 'commit',
+      groupId: commit.groupId,
+      epoch: commit.epoch,
+      sender: commit.sender,
+      proposals: commit.proposals,
+      path: commit.path,
+    };
+  }
+
+  static async nextTranscriptHash(state, content) {
+    return await this.hash(
+      concatBytes(decodeBase64(state.interimTranscriptHash), toBytes(content))
+    );
+  }
+
+  /**
+   * Commit pending and extra proposals with a fresh update path.
+   * An empty proposal list is a pure key rotation.
+   *
+   * @param {Object} state - Our current group state
+   * @param {Array} [proposals] - Proposals to include besides the pending ones
+   * @returns {Promise<Object>} - { commit, welcomes, state, changes }; apply
+   *   `state` only after the delivery service accepted the Commit
+   */
+  static async createCommit(state, proposals = []) {
+    if (!state.active) {
+      throw new Error('No longer a member of this group');
+    }
+
+    const allProposals = [...state.pendingProposals, ...proposals];
+    const tree = clone(state.tree);
+    const { added, removed } = this.applyProposals(tree, allProposals, state.ownLeaf);
+    const leafCount = this.leafCount(tree);
+    const context = { groupId: state.groupId, epoch: state.epoch };
+
+    // Fresh leaf key, then a path secret per node up to the root
+    const ownNode = 2 * state.ownLeaf;
+    const leafKeypair = nacl.box.keyPair();
+    tree[ownNode] = this.signLeaf(
+      { ...tree[ownNode], encryptionKey: encodeBase64(leafKeypair.publicKey) },
+      state.signingPrivateKey
+    );
+
+    const privateKeys = { [ownNode]: encodeBase64(leafKeypair.secretKey) };
+    const pathSecrets = {};
+    const directPath = this.directPath(ownNode, leafCount);
+    const copath = this.copath(ownNode, leafCount);
+    const excluded = added.map(({ leaf }) => leaf);
+    const nodes = [];
+
+    let pathSecret = nacl.randomBytes(32);
+    for (let i = 0; i < directPath.length; i++) {
+      const node = directPath[i];
+      const keypair = await this.nodeKeyPair(pathSecret);
+
+      tree[node] = { type: 'parent', encryptionKey: keypair.publicKey, unmergedLeaves: [] };
+      privateKeys[node] = keypair.privateKey;
+      pathSecrets[node] = encodeBase64(pathSecret);
+
+      const encryptedPathSecrets = [];
+      for (const recipient of this.resolution(tree, copath[i], excluded)) {
+        encryptedPathSecrets.push({
+          node: recipient,
+          ciphertext: await this.hpkeSeal(tree[recipient].encryptionKey, pathSecret, context),
+        });
+      }
+      nodes.push({ encryptionKey: keypair.publicKey, encryptedPathSecrets });
+
+      pathSecret = await this.deriveSecret(pathSecret, 'path');
+    }
+    const commitSecret = encodeBase64(pathSecret);
+
+    const content = this.commitContent({
+      version: MLS_CONFIG.VERSION,
+      groupId: state.groupId,
+      epoch: state.epoch,
+      sender: state.ownLeaf,
+      proposals: allProposals,
+      path: { leafNode: tree[ownNode], nodes },
+    });
+
+    const epoch = state.epoch + 1;
+    const confirmedTranscriptHash = await this.nextTranscriptHash(state, content);
+    const joinerSecret = await this.joinerSecret(
+      state.initSecret,
+      commitSecret,
+      await this.groupContextHash(state.groupId, epoch, tree, confirmedTranscriptHash)
+    );
+
+    const nextState = await this.enterEpoch(
+      { ...state, privateKeys },
+      { joinerSecret, epoch, tree, confirmedTranscriptHash, confirmationTag: null }
+    );
+
+    const commit = { ...content, confirmationTag: nextState.confirmationTag };
+    commit.signature = this.sign(commit, state.signingPrivateKey);
+
+    const welcomes = [];
+    for (const joiner of added) {
+      welcomes.push(await this.createWelcome(nextState, joiner, {
+        joinerSecret,
+        pathSecrets,
+        directPath,
+      }));
+    }
+
+    return {
+      commit,
+      welcomes,
+      state: nextState,
+      changes: { added: added.map(({ keyPackage, ...member }) => member), removed },
+    };
+  }
+
+  /**
+   * Process a Commit from another member, in delivery-service order
+   * @returns {Promise<Object>} - { state, changes, removed }
+   */
+  static async processCommit(state, commit) {
+    const { signature, ...signed } = commit;
+    const content = this.commitContent(commit);
+
+    if (content.groupId !== state.groupId || content.epoch !== state.epoch) {
+      throw new Error('Commit is not for the current epoch');
+    }
+    if (content.sender === state.ownLeaf) {
+      throw new Error('Own Commit must be merged, not processed');
+    }
+
+    const senderLeaf = state.tree[2 * content.sender];
+    if (!senderLeaf || !this.verify(signed, signature, senderLeaf.signatureKey)) {
+      throw new Error('Invalid commit signature');
+    }
+
+    const tree = clone(state.tree);
+    const { added, removed } = this.applyProposals(tree, content.proposals, content.sender);
+    const changes = { added: added.map(({ keyPackage, ...member }) => member), removed };
+
+    // Our own removal ends our membership; nothing more can be decrypted
+    if (!tree[2 * state.ownLeaf]) {
+      return {
+        state: { ...state, active: false, epoch: state.epoch + 1 },
+        changes,
+        removed: true,
+      };
+    }
+
+    // Install the sender's new leaf and path keys
+    const leafCount = this.leafCount(tree);
+    const senderNode = 2 * content.sender;
+    const directPath = this.directPath(senderNode, leafCount);
+    const { leafNode, nodes } = content.path || {};
+
+    if (!leafNode || !Array.isArray(nodes) || nodes.length !== directPath.length) {
+      throw new Error('Malformed update path');
+    }
+    if (leafNode.signatureKey !== senderLeaf.signatureKey ||
+        JSON.stringify(leafNode.identity) !== JSON.stringify(senderLeaf.identity) ||
+        !this.verify(this.leafContent(leafNode), leafNode.signature, senderLeaf.signatureKey)) {
+      throw new Error('Invalid leaf node in update path');
+    }
+
+    tree[senderNode] = leafNode;
+    directPath.forEach((node, i) => {
+      tree[node] = { type: 'parent', encryptionKey: nodes[i].encryptionKey, unmergedLeaves: [] };
+    });
+
+    // The first node on the sender's path above us carries a path secret
+    // encrypted to a node we hold the private key for
+    const privateKeys = { ...state.privateKeys };
+    const start = directPath.findIndex(node => this.isInSubtree(node, state.ownLeaf));
+    const entry = nodes[start].encryptedPathSecrets.find(({ node }) => privateKeys[node]);
+    if (!entry) {
+      throw new Error('No path secret encrypted for us');
+    }
+
+    let pathSecret = await this.hpkeOpen(
+      privateKeys[entry.node],
+      entry.ciphertext,
+      { groupId: state.groupId, epoch: state.epoch }
+    );
+
+    for (let i = start; i < directPath.length; i++) {
+      const keypair = await this.nodeKeyPair(pathSecret);
+      if (keypair.publicKey !== nodes[i].encryptionKey) {
+        throw new Error('Path secret does not match the update path');
+      }
+      privateKeys[directPath[i]] = keypair.privateKey;
+      pathSecret = await this.deriveSecret(pathSecret, 'path');
+    }
+    const commitSecret = encodeBase64(pathSecret);
+
+    // Keys for blanked or replaced nodes are useless now
+    Object.keys(privateKeys).forEach((node) => {
+      if (!tree[node]) delete privateKeys[node];
+    });
+
+    const epoch = state.epoch + 1;
+    const confirmedTranscriptHash = await this.nextTranscriptHash(state, content);
+    const joinerSecret = await this.joinerSecret(
+      state.initSecret,
+      commitSecret,
+      await this.groupContextHash(state.groupId, epoch, tree, confirmedTranscriptHash)
+    );
+
+    const nextState = await this.enterEpoch(
+      { ...state, privateKeys },
+      { joinerSecret, epoch, tree, confirmedTranscriptHash, confirmationTag: commit.confirmationTag }
+    );
+
+    return { state: nextState, changes, removed: false };
+  }
+
+  // Welcome
+
+  /**
+   * Seal the new epoch to a joiner's key package
+   * @private
+   */
+  static async createWelcome(state, joiner, { joinerSecret, pathSecrets, directPath }) {
+    // Lowest node on the committer's path that is also above the joiner
+    const pathNode = directPath.find(node => this.isInSubtree(node, joiner.leaf));
+
+    const groupInfo = {
+      groupId: state.groupId,
+      epoch: state.epoch,
+      tree: state.tree,
+      confirmedTranscriptHash: state.confirmedTranscriptHash,
+      confirmationTag: state.confirmationTag,
+      signer: state.ownLeaf,
+    };
+    groupInfo.signature = this.sign(groupInfo, state.signingPrivateKey);
+
+    const secrets = toBytes({
+      joinerSecret,
+      pathNode: pathNode ?? null,
+      pathSecret: pathNode !== undefined ? pathSecrets[pathNode] : null,
+      groupInfo,
+    });
+
+    return {
+      version: MLS_CONFIG.VERSION,
+      groupId: state.groupId,
+      epoch: state.epoch,
+      recipient: joiner.keyPackage.identity,
+      keyPackageRef: await this.keyPackageRef(joiner.keyPackage),
+      encryptedSecrets: await this.hpkeSeal(joiner.keyPackage.initKey, secrets, 'welcome'),
+    };
+  }
+
+  /**
+   * Join a group from a Welcome sealed to one of our key packages
+   * @param {Object} welcome - Welcome from the committer
+   * @param {Object} keyPackageBundle - { keyPackage, privateKeys } from createKeyPackage
+   */
+  static async joinGroup(welcome, keyPackageBundle) {
+    const { keyPackage, privateKeys } = keyPackageBundle;
+    if (welcome.keyPackageRef !== await this.keyPackageRef(keyPackage)) {
+      throw new Error('Welcome is for another key package');
+    }
+
+    const secrets = JSON.parse(new TextDecoder().decode(
+      await this.hpkeOpen(privateKeys.initKey, welcome.encryptedSecrets, 'welcome')
+    ));
+    const { signature, ...groupInfo } = secrets.groupInfo;
+
+    const signer = groupInfo.tree[2 * groupInfo.signer];
+    if (!signer || !this.verify(groupInfo, signature, signer.signatureKey)) {
+      throw new Error('Invalid group info signature');
+    }
+
+    const ownLeaf = this.members({ tree: groupInfo.tree })
+      .find(({ leaf }) => groupInfo.tree[2 * leaf].encryptionKey === keyPackage.encryptionKey)?.leaf;
+    if (ownLeaf === undefined) {
+      throw new Error('Welcome does not contain our leaf');
+    }
+
+    // Keys on the committer's path that we share
+    const privateKeysByNode = { [2 * ownLeaf]: privateKeys.encryptionKey };
+    if (secrets.pathNode !== null) {
+      const leafCount = this.leafCount(groupInfo.tree);
+      const path = this.directPath(2 * groupInfo.signer, leafCount);
+      let pathSecret = decodeBase64(secrets.pathSecret);
+
+      for (const node of path.slice(path.indexOf(secrets.pathNode))) {
+        const keypair = await this.nodeKeyPair(pathSecret);
+        if (keypair.publicKey !== groupInfo.tree[node].encryptionKey) {
+          throw new Error('Path secret does not match the tree');
+        }
+        privateKeysByNode[node] = keypair.privateKey;
+        pathSecret = await this.deriveSecret(pathSecret, 'path');
+      }
+    }
+
+    const state = {
+      version: MLS_CONFIG.VERSION,
+      groupId: groupInfo.groupId,
+      ownLeaf,
+      signingPrivateKey: privateKeys.signingKey,
+      privateKeys: privateKeysByNode,
+      active: true,
+    };
+
+    return await this.enterEpoch(state, {
+      joinerSecret: secrets.joinerSecret,
+      epoch: groupInfo.epoch,
+      tree: groupInfo.tree,
+      confirmedTranscriptHash: groupInfo.confirmedTranscriptHash,
+      confirmationTag: groupInfo.confirmationTag,
+    });
+  }
+
+  // Application messages
+
+  // Per-sender hash ratchet seeded from the epoch's encryption secret
+  static async senderChain(state, leaf) {
+    if (!state.senderChains[leaf]) {
+      state.senderChains[leaf] = {
+        generation: 0,
+        chainKey: encodeBase64(await this.deriveSecret(state.encryptionSecret, `sender ${leaf}`)),
+        skippedKeys: [],
+      };
+    }
+    return state.senderChains[leaf];
+  }
+
+  static applicationAssociatedData(header, aad) {
+    const extra = aad instanceof Uint8Array ? aad : encoder.encode(aad || '');
+    return concatBytes(toBytes(header), extra);
+  }
+
+  /**
+   * Encrypt an application message for the current epoch.
+   * Mutates `state`; persist it afterwards.
+   * @param {Object} [options]
+   * @param {string|Uint8Array} [options.aad] - Extra associated data
+   */
+  static async encryptApplication(state, message, options = {}) {
+    if (!state.active) {
+      throw new Error('No longer a member of this group');
+    }
+
+    const chain = await this.senderChain(state, state.ownLeaf);
+    const { messageKey, chainKey } = await AmiXCrypto.kdfChainKey(chain.chainKey);
+    const header = {
+      groupId: state.groupId,
+      epoch: state.epoch,
+      sender: state.ownLeaf,
+      generation: chain.generation,
+    };
+
+    const associatedData = this.applicationAssociatedData(header, options.aad);
+    const { ciphertext, mac } = await AmiXCrypto.sealRatchetMessage(
+      messageKey,
+      await AmiXCrypto.encodeRatchetFrame(message),
+      associatedData
+    );
+
+    chain.chainKey = chainKey;
+    chain.generation += 1;
+
+    return {
+      version: MLS_CONFIG.VERSION,
+      type: 'application',
+      ...header,
+      ciphertext,
+      mac,
+      signature: this.sign(concatBytes(associatedData, decodeBase64(ciphertext)), state.signingPrivateKey),
+    };
+  }
+
+  /**
+   * Decrypt an application message from the current epoch.
+   * `state` is only updated if the message verifies.
+   * @returns {Promise<Object>} - { plaintext, sender: { leaf, amixId, deviceId } }
+   */
+  static async decryptApplication(state, message, options = {}) {
+    if (message.version !== MLS_CONFIG.VERSION || message.groupId !== state.groupId) {
+      throw new Error('Message is not for this group');
+    }
+    if (message.epoch !== state.epoch) {
+      throw new Error('Message is not for the current epoch');
+    }
+
+    if (message.sender === state.ownLeaf) {
+      throw new Error('Own application message');
+    }
+
+    const senderLeaf = state.tree[2 * message.sender];
+    if (!senderLeaf || !Number.isInteger(message.generation) || message.generation < 0) {
+      throw new Error('Unknown sender');
+    }
+
+    const header = {
+      groupId: message.groupId,
+      epoch: message.epoch,
+      sender: message.sender,
+      generation: message.generation,
+    };
+    const associatedData = this.applicationAssociatedData(header, options.aad);
+    const signed = concatBytes(associatedData, decodeBase64(message.ciphertext));
+    if (!this.verify(signed, message.signature, senderLeaf.signatureKey)) {
+      throw new Error('Invalid sender signature');
+    }
+
+    // Work on a copy of the chains so a bad message can't advance them
+    const working = { ...state, senderChains: clone(state.senderChains) };
+    const chain = await this.senderChain(working, message.sender);
+    let messageKey;
+
+    if (message.generation < chain.generation) {
+      const index = chain.skippedKeys.findIndex(skipped => skipped.generation === message.generation);
+      if (index === -1) {
+        throw new Error('Duplicate or expired application message');
+      }
+      messageKey = decodeBase64(chain.skippedKeys[index].messageKey);
+      chain.skippedKeys.splice(index, 1);
+    } else {
+      if (message.generation - chain.generation > MLS_CONFIG.MAX_GENERATION_GAP) {
+        throw new Error('Too many skipped messages');
+      }
+
+      while (chain.generation < message.generation) {
+        const skipped = await AmiXCrypto.kdfChainKey(chain.chainKey);
+        chain.skippedKeys.push({
+          generation: chain.generation,
+          messageKey: encodeBase64(skipped.messageKey),
+        });
+        chain.chainKey = skipped.chainKey;
+        chain.generation += 1;
+      }
+
+      const next = await AmiXCrypto.kdfChainKey(chain.chainKey);
+      messageKey = next.messageKey;
+      chain.chainKey = next.chainKey;
+      chain.generation += 1;
+
+      const overflow = chain.skippedKeys.length - MLS_CONFIG.MAX_SKIPPED_KEYS;
+      if (overflow > 0) {
+        chain.skippedKeys.splice(0, overflow);
+      }
+    }
+
+    const plaintext = await AmiXCrypto.openRatchetMessage(messageKey, message, associatedData);
+    if (!plaintext) {
+      throw new Error('Message authentication failed');
+    }
+
+    state.senderChains = working.senderChains;
+    return {
+      plaintext: AmiXCrypto.decodeRatchetFrame(plaintext),
+      sender: { leaf: message.sender, ...senderLeaf.identity },
+    };
+  }
+
+  /**
+   * Export a secret bound to this epoch (e.g. for media keys)
+   */
+  static async exportSecret(state, label, length = 32) {
+    return await this.deriveSecret(state.exporterSecret, `exported ${label}`, new Uint8Array(0), length);
+  }
+}
+
+export default AmiXMLS;
@@ -1,16 +1,31 @@
-import { kyber1024 } from 'pqc-kyber';
-import * as AmiXCrypto from './crypto';
+import { ml_kem1024 } from '@noble/post-quantum/ml-kem.js';
+import nacl from 'tweetnacl';
+import { encodeBase64, decodeBase64 } from 'tweetnacl-util';
+import { AmiXCrypto } from './crypto';
 
+// Post-quantum handshake configuration
+export const PQ_CONFIG = {
+  KEM: 'kyber1024',          // ML-KEM-1024, the standardised Kyber1024
+  PUBLIC_KEY_LENGTH: 1568,
+  CIPHERTEXT_LENGTH: 1568,
+  HANDSHAKES: {
+    PQXDH: 'pqxdh',          // X25519 + Kyber1024
+    X3DH: 'x3dh',            // Fallback for peers without a Kyber prekey
+  },
+};
+
+// AmiX PQXDH - hybrid X3DH with a Kyber1024 KEM secret mixed into SK.
+// An attacker has to break both X25519 and Kyber to recover the session.
 export class PQCrypto {
   // Generate a new Kyber key pair
   static async generateKeyPair() {
     try {
-      const keyPair = await kyber1024.keyPair();
+      const keyPair = ml_kem1024.keygen();
       return {
-        publicKey: keyPair.publicKey,
-        privateKey: keyPair.privateKey,
-        keyType: 'kyber1024',
-        createdAt: new Date().toISOString()
+        publicKey: encodeBase64(keyPair.publicKey),
+        privateKey: encodeBase64(keyPair.secretKey),
+        keyType: PQ_CONFIG.KEM,
+        createdAt: Date.now()
       };
     } catch (error) {
       console.error('Failed to generate PQ key pair:', error);
@@ -18,13 +33,48 @@ export class PQCrypto {
     }
   }
 
+  /**
+   * Generate a Kyber prekey signed with the identity signing key.
+   * It is published next to the signed X25519 prekey and rotated with it.
+   * @param {Object} identityKeys - Identity keys as returned by generateIdentityKeys
+   * @param {number} keyId - Numeric ID of the prekey
+   * @returns {Promise<Object>} - Signed Kyber prekey including its private half
+   */
+  static async generateSignedPreKey(identityKeys, keyId) {
+    const keyPair = await this.generateKeyPair();
+    const signature = nacl.sign.detached(
+      decodeBase64(keyPair.publicKey),
+      decodeBase64(identityKeys.current.signingPrivateKey)
+    );
+
+    return {
+      ...keyPair,
+      keyId,
+      signature: encodeBase64(signature),
+    };
+  }
+
+  // Verify the identity signature on a peer's Kyber prekey
+  static verifySignedPreKey(pqPreKey, signingKey) {
+    try {
+      const publicKey = decodeBase64(pqPreKey.publicKey);
+      return publicKey.length === PQ_CONFIG.PUBLIC_KEY_LENGTH && nacl.sign.detached.verify(
+        publicKey,
+        decodeBase64(pqPreKey.signature),
+        decodeBase64(signingKey)
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
   // Encapsulate a shared secret using recipient's public key
   static async encapsulate(publicKey) {
     try {
-      const result = await kyber1024.encrypt(publicKey);
+      const { cipherText, sharedSecret } = ml_kem1024.encapsulate(decodeBase64(publicKey));
       return {
-        ciphertext: result.ciphertext,
-        sharedSecret: result.sharedSecret
+        ciphertext: encodeBase64(cipherText),
+        sharedSecret
       };
     } catch (error) {
       console.error('Encapsulation failed:', error);
@@ -35,46 +85,100 @@ export class PQCrypto {
   // Decapsulate a shared secret using private key
   static async decapsulate(ciphertext, privateKey) {
     try {
-      return await kyber1024.decrypt(ciphertext, privateKey);
+      const cipherText = decodeBase64(ciphertext);
+      if (cipherText.length !== PQ_CONFIG.CIPHERTEXT_LENGTH) {
+        throw new Error('Invalid ciphertext length');
+      }
+      return ml_kem1024.decapsulate(cipherText, decodeBase64(privateKey));
     } catch (error) {
       console.error('Decapsulation failed:', error);
       throw new Error('Decryption failed');
     }
   }
 
-  // Hybrid key exchange: ECDH + Kyber
-  static async hybridKeyExchange(theirPublicKey, myPrivateKey) {
+  /**
+   * Hybrid key exchange (PQXDH initiator). Falls back to plain X3DH when
+   * the peer's bundle has no Kyber prekey, unless `requirePQ` is set.
+   * A Kyber prekey with a bad signature is an error, never a fallback.
+   *
+   * @param {Object} identityKeys - Our identity keys
+   * @param {Object} bundle - Peer bundle, optionally with `pqPreKey`
+   * @param {Object} [options]
+   * @param {boolean} [options.requirePQ] - Refuse peers without a Kyber prekey
+   * @returns {Promise<Object>} - x3dhInitiate result plus the negotiated `handshake`;
+   *   for PQXDH the header carries the Kyber prekey ID and ciphertext
+   */
+  static async hybridKeyExchange(identityKeys, bundle, options = {}) {
     try {
-      // Generate ephemeral key pair for this session
-      const ephemeralKeyPair = await this.generateKeyPair();
-      
-      // Perform Kyber KEM
-      const { ciphertext, sharedSecret: pqSharedSecret } = await this.encapsulate(theirPublicKey.pqPublicKey);
-      
-      // Perform ECDH
-      const ecdhSecret = await AmiXCrypto.deriveSharedSecret(
-        myPrivateKey.ecPrivateKey,
-        theirPublicKey.ecPublicKey
-      );
-      
-      // Combine both shared secrets
-      const combinedSecret = await AmiXCrypto.hkdf(
-        Buffer.concat([
-          Buffer.from(pqSharedSecret),
-          Buffer.from(ecdhSecret)
-        ]),
-        'hybrid-key-exchange'
-      );
+      const { pqPreKey } = bundle;
+
+      if (!pqPreKey) {
+        if (options.requirePQ) {
+          throw new Error('Peer has no post-quantum prekey');
+        }
+        const result = await AmiXCrypto.x3dhInitiate(identityKeys, bundle);
+        return { ...result, handshake: PQ_CONFIG.HANDSHAKES.X3DH };
+      }
+
+      // 1) Refuse Kyber prekeys that aren't signed by the identity
+      if (!this.verifySignedPreKey(pqPreKey, bundle.signingKey)) {
+        throw new Error('PQXDH failed: invalid post-quantum prekey signature');
+      }
+
+      // 2) Kyber KEM against the prekey, then X3DH with its secret mixed in
+      const { ciphertext, sharedSecret } = await this.encapsulate(pqPreKey.publicKey);
+      const result = await AmiXCrypto.x3dhInitiate(identityKeys, bundle, {
+        pqSharedSecret: sharedSecret
+      });
 
       return {
-        sharedSecret: combinedSecret,
-        ephemeralPublicKey: ephemeralKeyPair.publicKey,
-        ciphertext,
-        keyType: 'x25519-kyber1024'
+        ...result,
+        handshake: PQ_CONFIG.HANDSHAKES.PQXDH,
+        header: {
+          ...result.header,
+          pqPreKeyId: pqPreKey.keyId,
+          pqCiphertext: ciphertext,
+        },
       };
     } catch (error) {
       console.error('Hybrid key exchange failed:', error);
-      throw new Error('Key exchange failed');
+      throw error;
+    }
+  }
+
+  /**
+   * Hybrid key exchange (PQXDH responder)
+   * @param {Object} identityKeys - Our identity keys
+   * @param {Object} preKeys - Private prekeys referenced by the header
+   * @param {Object} [preKeys.pqPreKey] - Our Kyber prekey, if the header names one
+   * @param {Object} header - Header from the initiator's first message
+   * @param {Object} [options]
+   * @param {boolean} [options.requirePQ] - Refuse classic X3DH handshakes
+   * @returns {Promise<Object>} - x3dhRespond result plus the negotiated `handshake`
+   */
+  static async hybridRespond(identityKeys, preKeys, header, options = {}) {
+    try {
+      if (!header.pqCiphertext) {
+        if (options.requirePQ) {
+          throw new Error('Peer did not use a post-quantum handshake');
+        }
+        const result = await AmiXCrypto.x3dhRespond(identityKeys, preKeys, header);
+        return { ...result, handshake: PQ_CONFIG.HANDSHAKES.X3DH };
+      }
+
+      if (!preKeys.pqPreKey || preKeys.pqPreKey.keyId !== header.pqPreKeyId) {
+        throw new Error('PQXDH failed: unknown post-quantum prekey');
+      }
+
+      const sharedSecret = await this.decapsulate(header.pqCiphertext, preKeys.pqPreKey.privateKey);
+      const result = await AmiXCrypto.x3dhRespond(identityKeys, preKeys, header, {
+        pqSharedSecret: sharedSecret
+      });
+
+      return { ...result, handshake: PQ_CONFIG.HANDSHAKES.PQXDH };
+    } catch (error) {
+      console.error('Hybrid key agreement failed:', error);
+      throw error;
     }
   }
 }
@@ -0,0 +1,91 @@
+// AmiX Presence - typing events and last-seen rules
+// Typing events are encrypted like messages but only ever sent live: over
+// the data channel, or as an ephemeral signal the server drops when the
+// recipient is offline. They are never stored on either side. A sender
+// repeats "typing" every TYPING_REFRESH while keys are pressed and sends
+// "stopped" after TYPING_IDLE; a recipient that hears nothing for
+// TYPING_TIMEOUT assumes the sender stopped.
+// Online state and last-seen come from the signaling server, which applies
+// each user's visibility setting before telling anyone.
+
+export const LAST_SEEN_VISIBILITY = {
+  EVERYONE: 'everyone',
+  FRIENDS: 'friends',
+  NOBODY: 'nobody',
+};
+
+export const PRESENCE_CONFIG = {
+  TYPING_REFRESH: 3000,     // ms between repeated typing events
+  TYPING_IDLE: 5000,        // ms without a keystroke before we send "stopped"
+  TYPING_TIMEOUT: 8000,     // ms a received typing event stays on screen
+  CLOCK_SKEW: 30 * 1000,    // How far a typing event's sentAt may be from our clock
+  MAX_TYPING_FANOUT: 50,    // Group members we tell we're typing
+};
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+export class AmiXPresenceEvents {
+  static createTypingEvent(typing, groupId = null, sentAt = Date.now()) {
+    return JSON.stringify({ type: 'typing', typing: Boolean(typing), groupId, sentAt });
+  }
+
+  // A typing event, or null for anything else
+  static parseTypingEvent(value) {
+    let parsed;
+    try {
+      parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    } catch (error) {
+      return null;
+    }
+
+    if (parsed?.type !== 'typing' || typeof parsed.typing !== 'boolean' || !Number.isFinite(parsed.sentAt)) {
+      return null;
+    }
+    if (parsed.groupId != null && typeof parsed.groupId !== 'string') {
+      return null;
+    }
+    return { typing: parsed.typing, groupId: parsed.groupId ?? null, sentAt: parsed.sentAt };
+  }
+
+  // Late or replayed events say nothing about now
+  static isStale(event, now = Date.now()) {
+    return Math.abs(now - event.sentAt) > PRESENCE_CONFIG.CLOCK_SKEW;
+  }
+
+  // Send "typing" again, or is the last one still showing?
+  static shouldSendTyping(lastSentAt, now = Date.now()) {
+    return !lastSentAt || now - lastSentAt >= PRESENCE_CONFIG.TYPING_REFRESH;
+  }
+
+  static isValidVisibility(value) {
+    return Object.values(LAST_SEEN_VISIBILITY).includes(value);
+  }
+
+  /**
+   * Text for a contact's presence, e.g. "online" or "last seen 5 min ago"
+   * @param {Object} presence - { online, lastSeen, hidden } from the server
+   * @param {number} [now] - Current time in ms
+   * @returns {string|null} - Nothing when hidden or never seen
+   */
+  static formatLastSeen(presence, now = Date.now()) {
+    if (!presence || presence.hidden) return null;
+    if (presence.online) return 'online';
+    if (!presence.lastSeen) return null;
+
+    const elapsed = Math.max(0, now - presence.lastSeen);
+    if (elapsed < MINUTE) return 'last seen just now';
+    if (elapsed < HOUR) return `last seen ${Math.floor(elapsed / MINUTE)} min ago`;
+
+    const seen = new Date(presence.lastSeen);
+    const time = seen.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const startOfToday = new Date(now).setHours(0, 0, 0, 0);
+
+    if (presence.lastSeen >= startOfToday) return `last seen today at ${time}`;
+    if (presence.lastSeen >= startOfToday - DAY) return `last seen yesterday at ${time}`;
+    return `last seen ${seen.toLocaleDateString()}`;
+  }
+}
+
+export default AmiXPresenceEvents;
@@ -0,0 +1,116 @@
+// AmiX Receipts - message status rules shared by sender and recipient
+// A message only ever moves forward: sending -> sent -> delivered -> read.
+// Receipts travel as encrypted control messages naming a batch of message
+// IDs; group messages keep one status per member and show the lowest.
+// Read receipts are reciprocal: with them turned off we neither send them
+// nor show the ones we get.
+
+export const RECEIPT_STATUSES = {
+  SENDING: 'sending',
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  READ: 'read',
+};
+
+const STATUS_ORDER = [
+  RECEIPT_STATUSES.SENDING,
+  RECEIPT_STATUSES.SENT,
+  RECEIPT_STATUSES.DELIVERED,
+  RECEIPT_STATUSES.READ,
+];
+
+export const RECEIPT_CONFIG = {
+  BATCH_DELAY: 1000,       // ms to collect receipts before sending them together
+  MAX_BATCH: 100,          // Message IDs per receipt
+  RETRY_DELAY: 30 * 1000,
+};
+
+export class AmiXReceipts {
+  static rank(status) {
+    return STATUS_ORDER.indexOf(status);
+  }
+
+  // The further along of two statuses. A failure ('failed', 'error') can
+  // only replace sending, and any real status replaces a failure.
+  static advance(current, next) {
+    if (this.rank(next) === -1) {
+      return current == null || current === RECEIPT_STATUSES.SENDING ? next : current;
+    }
+    return this.rank(next) > this.rank(current) ? next : current;
+  }
+
+  static createReceipt(status, messageIds, groupId = null) {
+    return {
+      status,
+      messageIds: Array.from(new Set(messageIds)),
+      groupId,
+      timestamp: Date.now(),
+    };
+  }
+
+  // Only delivered and read ever come from a peer
+  static parseReceipt(value) {
+    const receipt = typeof value === 'string' ? JSON.parse(value) : value;
+
+    if (receipt?.status !== RECEIPT_STATUSES.DELIVERED && receipt?.status !== RECEIPT_STATUSES.READ) {
+      throw new Error('Invalid receipt status');
+    }
+    if (!Array.isArray(receipt.messageIds) || receipt.messageIds.length === 0 ||
+        receipt.messageIds.length > RECEIPT_CONFIG.MAX_BATCH ||
+        !receipt.messageIds.every(id => typeof id === 'string')) {
+      throw new Error('Invalid receipt message IDs');
+    }
+    if (receipt.groupId != null && typeof receipt.groupId !== 'string') {
+      throw new Error('Invalid receipt group');
+    }
+
+    return {
+      status: receipt.status,
+      messageIds: receipt.messageIds,
+      groupId: receipt.groupId ?? null,
+      timestamp: receipt.timestamp,
+    };
+  }
+
+  // Split collected IDs into receipts of at most MAX_BATCH
+  static batch(status, messageIds, groupId = null) {
+    const unique = Array.from(new Set(messageIds));
+    const receipts = [];
+    for (let i = 0; i < unique.length; i += RECEIPT_CONFIG.MAX_BATCH) {
+      receipts.push(this.createReceipt(status, unique.slice(i, i + RECEIPT_CONFIG.MAX_BATCH), groupId));
+    }
+    return receipts;
+  }
+
+  /**
+   * Overall status of a group message from its members' statuses
+   * @param {Object} memberStatuses - memberId -> status
+   * @returns {Object} - { status, delivered, read, total }; status is the lowest any member has
+   */
+  static aggregate(memberStatuses) {
+    const statuses = Object.values(memberStatuses || {});
+    if (statuses.length === 0) {
+      return { status: RECEIPT_STATUSES.SENT, delivered: 0, read: 0, total: 0 };
+    }
+
+    const lowest = statuses.reduce((low, status) => (this.rank(status) < this.rank(low) ? status : low));
+    const reached = status => statuses.filter(memberStatus => this.rank(memberStatus) >= this.rank(status)).length;
+
+    return {
+      status: lowest,
+      delivered: reached(RECEIPT_STATUSES.DELIVERED),
+      read: reached(RECEIPT_STATUSES.READ),
+      total: statuses.length,
+    };
+  }
+
+  // What to show for an outgoing message under our read receipt setting
+  static displayStatus(status, readReceiptsEnabled = true) {
+    if (status === RECEIPT_STATUSES.READ && !readReceiptsEnabled) {
+      return RECEIPT_STATUSES.DELIVERED;
+    }
+    return status;
+  }
+}
+
+export default AmiXReceipts;
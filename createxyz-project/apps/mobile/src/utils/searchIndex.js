@@ -0,0 +1,173 @@
+// AmiX Search Index - tokens, prefixes and snippets for message search
+// Text is folded to lowercase without diacritics ("Café" matches "cafe")
+// and split into words. Every prefix of a word from MIN_TERM_LENGTH up to
+// MAX_PREFIX_LENGTH characters is an index term, so a query matches words
+// that start with each of its words. AmiXStorage blinds the terms with a
+// device-only HMAC key before they reach the database; the plaintext terms
+// never leave memory. Blinding hides the words, not how often they repeat.
+
+export const SEARCH_CONFIG = {
+  MIN_TERM_LENGTH: 2,
+  MAX_PREFIX_LENGTH: 12,       // Longer words are indexed by their first 12 characters
+  MAX_TERMS_PER_MESSAGE: 1000,
+  SNIPPET_CONTEXT: 30,         // Characters shown before the first match
+  SNIPPET_LENGTH: 120,
+  MAX_RESULTS: 50,
+};
+
+const WORD = /[\p{L}\p{N}]+/gu;
+const COMBINING_MARKS = /[\u0300-\u036f]/g;
+
+export class AmiXSearchIndex {
+  /**
+   * Lowercase text without diacritics, with where each folded character
+   * came from in the original
+   * @returns {Object} - { folded, starts, ends } original offsets per folded character
+   */
+  static fold(text) {
+    let folded = '';
+    const starts = [];
+    const ends = [];
+
+    let offset = 0;
+    for (const char of text) {
+      const plain = char.normalize('NFKD').replace(COMBINING_MARKS, '').toLowerCase();
+      // A separate accent belongs to the character before it
+      if (!plain && ends.length > 0 && ends[ends.length - 1] === offset) {
+        ends[ends.length - 1] = offset + char.length;
+      }
+      for (let i = 0; i < plain.length; i++) {
+        starts.push(offset);
+        ends.push(offset + char.length);
+      }
+      folded += plain;
+      offset += char.length;
+    }
+
+    return { folded, starts, ends };
+  }
+
+  // Folded words; anything but letters and digits separates them
+  static words(text) {
+    return Array.from(this.fold(text).folded.matchAll(WORD), match => match[0]);
+  }
+
+  // What to index for a message; nothing for system events and tombstones
+  static indexableText(message) {
+    if (!message || message.deleted || message.type === 'system' || message.type === 'signaling') {
+      return null;
+    }
+    const text = message.text ?? message.content;
+    return typeof text === 'string' && text.trim() ? text : null;
+  }
+
+  // Every prefix of every word, as index terms
+  static indexTerms(text) {
+    const terms = new Set();
+
+    for (const word of this.words(text)) {
+      const longest = Math.min(word.length, SEARCH_CONFIG.MAX_PREFIX_LENGTH);
+      for (let length = SEARCH_CONFIG.MIN_TERM_LENGTH; length <= longest; length++) {
+        terms.add(word.substring(0, length));
+      }
+      if (terms.size >= SEARCH_CONFIG.MAX_TERMS_PER_MESSAGE) break;
+    }
+
+    return Array.from(terms).slice(0, SEARCH_CONFIG.MAX_TERMS_PER_MESSAGE);
+  }
+
+  // The words of a query worth looking up
+  static queryTerms(query) {
+    return Array.from(new Set(this.words(query || '')))
+      .filter(word => word.length >= SEARCH_CONFIG.MIN_TERM_LENGTH);
+  }
+
+  // The index term a query word is found under
+  static lookupTerm(queryTerm) {
+    return queryTerm.substring(0, SEARCH_CONFIG.MAX_PREFIX_LENGTH);
+  }
+
+  /**
+   * Where the query words match the start of words in the text
+   * @returns {Array<Object>} - { start, end, term } in original offsets, in order
+   */
+  static findMatches(text, queryTerms) {
+    const { folded, starts, ends } = this.fold(text);
+    const matches = [];
+
+    for (const match of folded.matchAll(WORD)) {
+      // The longest query word this word starts with
+      const term = queryTerms
+        .filter(queryTerm => match[0].startsWith(queryTerm))
+        .sort((a, b) => b.length - a.length)[0];
+
+      if (term) {
+        matches.push({
+          start: starts[match.index],
+          end: ends[match.index + term.length - 1],
+          term,
+        });
+      }
+    }
+    return matches;
+  }
+
+  // Does the text contain every query word? The index only narrows it down
+  static matchesAll(text, queryTerms) {
+    const found = new Set(this.findMatches(text, queryTerms).map(match => match.term));
+    return queryTerms.every(term =>
+      found.has(term) || Array.from(found).some(other => other.startsWith(term))
+    );
+  }
+
+  /**
+   * A short piece of the text around the first match, with highlights
+   * @returns {Object|null} - { text, highlights: [{ start, end }] } offsets into text
+   */
+  static snippet(text, queryTerms) {
+    const matches = this.findMatches(text, queryTerms);
+    if (matches.length === 0) return null;
+
+    let from = Math.max(0, matches[0].start - SEARCH_CONFIG.SNIPPET_CONTEXT);
+    let to = Math.min(text.length, Math.max(from + SEARCH_CONFIG.SNIPPET_LENGTH, matches[0].end));
+
+    // Don't cut words in half
+    if (from > 0) {
+      const space = text.indexOf(' ', from);
+      if (space !== -1 && space < matches[0].start) from = space + 1;
+    }
+    if (to < text.length) {
+      const space = text.lastIndexOf(' ', to);
+      if (space > matches[0].end) to = space;
+    }
+
+    const prefix = from > 0 ? '…' : '';
+    const suffix = to < text.length ? '…' : '';
+    const shift = prefix.length - from;
+
+    return {
+      text: `${prefix}${text.substring(from, to)}${suffix}`,
+      highlights: matches
+        .filter(match => match.start >= from && match.end <= to)
+        .map(match => ({ start: match.start + shift, end: match.end + shift })),
+    };
+  }
+
+  // A snippet as plain and highlighted pieces, for rendering
+  static segments(snippet) {
+    const segments = [];
+    let offset = 0;
+
+    for (const { start, end } of snippet.highlights) {
+      if (start > offset) segments.push({ text: snippet.text.substring(offset, start), highlighted: false });
+      segments.push({ text: snippet.text.substring(start, end), highlighted: true });
+      offset = end;
+    }
+    if (offset < snippet.text.length) {
+      segments.push({ text: snippet.text.substring(offset), highlighted: false });
+    }
+    return segments;
+  }
+}
+
+export default AmiXSearchIndex;
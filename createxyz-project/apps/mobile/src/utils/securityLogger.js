@@ -1,5 +1,5 @@
 import * as SecureStore from 'expo-secure-store';
-import * as AmiXCrypto from './crypto';
+import { AmiXCrypto } from './crypto';
 
 const SECURITY_EVENTS = {
   KEY_ROTATION: 'key_rotation',
@@ -9,12 +9,19 @@ const SECURITY_EVENTS = {
   MESSAGE_REPLAY: 'message_replay',
   RATCHET_RESET: 'ratchet_reset',
   SECURE_STORAGE_ERROR: 'secure_storage_error',
+  DEVICE_LINKED: 'device_linked',
+  DEVICE_LINK_APPROVED: 'device_link_approved',
+  CONTACT_VERIFIED: 'contact_verified',
+  IDENTITY_KEY_CHANGED: 'identity_key_changed',
+  HANDSHAKE_DOWNGRADE: 'handshake_downgrade',
 };
 
 const SECURITY_LOG_KEY = 'security_logs';
 const MAX_LOG_ENTRIES = 1000;
 
 export class SecurityLogger {
+  static EVENTS = SECURITY_EVENTS;
+
   // Log a security event
   static async logEvent(eventType, details = {}) {
     try {
@@ -0,0 +1,306 @@
+import { AmiXCrypto } from './crypto';
+
+// AmiX SFrame - end-to-end encryption of encoded media frames
+// Follows SFrame (RFC 9605) with the AES_128_GCM_SHA256_128 cipher suite.
+// Every participant encrypts with its own base key, shared over the call's
+// end-to-end session. A frame on the wire is
+//   clear codec bytes || SFrame header (KID, CTR) || ciphertext || tag
+// with the header and the clear bytes authenticated as associated data.
+// The KID names the sender and the generation of its key: senders ratchet
+// their key forward during a call and receivers follow the generation.
+
+export const SFRAME_CONFIG = {
+  CIPHER_SUITE: 0x0004,   // AES_128_GCM_SHA256_128
+  KEY_LENGTH: 16,
+  NONCE_LENGTH: 12,
+  TAG_LENGTH: 16,
+  HASH_LENGTH: 32,
+  GENERATION_BITS: 8,     // Low KID bits carry the key generation
+  MAX_RATCHET_STEPS: 16,  // How far ahead a receiver will ratchet on its own
+  LABEL: 'SFrame 1.0 ',
+};
+
+export class AmiXSFrame {
+  // Big-endian bytes of a non-negative integer, at least minLength long
+  static encodeUint(value, minLength = 1) {
+    const bytes = [];
+    let remaining = value;
+    while (remaining > 0 || bytes.length < minLength) {
+      bytes.unshift(remaining % 256);
+      remaining = Math.floor(remaining / 256);
+    }
+    return new Uint8Array(bytes);
+  }
+
+  static decodeUint(bytes) {
+    return bytes.reduce((value, byte) => value * 256 + byte, 0);
+  }
+
+  static concat(...parts) {
+    const result = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+      result.set(part, offset);
+      offset += part.length;
+    }
+    return result;
+  }
+
+  /**
+   * SFrame header: config byte |X|K|Y|C| then the KID and CTR fields.
+   * Values below 8 fit in the config byte; larger ones follow in K+1/C+1
+   * big-endian bytes.
+   */
+  static encodeHeader(kid, ctr) {
+    if (!Number.isSafeInteger(kid) || kid < 0 || !Number.isSafeInteger(ctr) || ctr < 0) {
+      throw new Error('Invalid SFrame KID or counter');
+    }
+
+    const kidBytes = kid < 8 ? new Uint8Array(0) : this.encodeUint(kid);
+    const ctrBytes = ctr < 8 ? new Uint8Array(0) : this.encodeUint(ctr);
+
+    const config =
+      (kid < 8 ? kid << 4 : 0x80 | ((kidBytes.length - 1) << 4)) |
+      (ctr < 8 ? ctr : 0x08 | (ctrBytes.length - 1));
+
+    return this.concat(Uint8Array.of(config), kidBytes, ctrBytes);
+  }
+
+  static decodeHeader(data) {
+    if (data.length < 1) {
+      throw new Error('Truncated SFrame header');
+    }
+
+    const config = data[0];
+    const kidLength = config & 0x80 ? ((config >> 4) & 0x07) + 1 : 0;
+    const ctrLength = config & 0x08 ? (config & 0x07) + 1 : 0;
+    const length = 1 + kidLength + ctrLength;
+
+    if (data.length < length) {
+      throw new Error('Truncated SFrame header');
+    }
+
+    return {
+      kid: kidLength ? this.decodeUint(data.subarray(1, 1 + kidLength)) : (config >> 4) & 0x07,
+      ctr: ctrLength ? this.decodeUint(data.subarray(1 + kidLength, length)) : config & 0x07,
+      length,
+    };
+  }
+
+  static makeKid(senderIndex, generation) {
+    return senderIndex * 2 ** SFRAME_CONFIG.GENERATION_BITS + (generation % 2 ** SFRAME_CONFIG.GENERATION_BITS);
+  }
+
+  static splitKid(kid) {
+    const span = 2 ** SFRAME_CONFIG.GENERATION_BITS;
+    return { senderIndex: Math.floor(kid / span), generation: kid % span };
+  }
+
+  // Label || KID (8 bytes) || cipher suite (2 bytes), as in RFC 9605 section 4.4.2
+  static keyLabel(name, kid) {
+    return this.concat(
+      new TextEncoder().encode(`${SFRAME_CONFIG.LABEL}${name}`),
+      this.encodeUint(kid, 8),
+      this.encodeUint(SFRAME_CONFIG.CIPHER_SUITE, 2)
+    );
+  }
+
+  // Per-KID AES key and nonce salt from a base key
+  static async deriveKeys(baseKey, kid) {
+    const rawKey = await AmiXCrypto.hkdf(
+      baseKey,
+      undefined,
+      this.keyLabel('Secret key ', kid),
+      SFRAME_CONFIG.KEY_LENGTH
+    );
+    const salt = await AmiXCrypto.hkdf(
+      baseKey,
+      undefined,
+      this.keyLabel('Secret salt ', kid),
+      SFRAME_CONFIG.NONCE_LENGTH
+    );
+
+    const key = await crypto.subtle.importKey('raw', rawKey, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+    AmiXCrypto.secureDelete(rawKey);
+
+    return { kid, key, salt };
+  }
+
+  // Next generation of a base key; the old one can't be recovered from it
+  static async ratchetBaseKey(baseKey) {
+    return AmiXCrypto.hkdf(
+      baseKey,
+      undefined,
+      new TextEncoder().encode(`${SFRAME_CONFIG.LABEL}Ratchet`),
+      SFRAME_CONFIG.HASH_LENGTH
+    );
+  }
+
+  static frameNonce(salt, ctr) {
+    const nonce = this.encodeUint(ctr, SFRAME_CONFIG.NONCE_LENGTH);
+    return nonce.map((byte, i) => byte ^ salt[i]);
+  }
+
+  /**
+   * Our side of a call: one base key, ratcheted forward during the call
+   * @param {Uint8Array} baseKey - 32 random bytes shared with the other participants
+   * @param {number} senderIndex - Our index in the call
+   * @param {number} [generation] - Starting generation, when replacing an earlier key
+   */
+  static async createSenderContext(baseKey, senderIndex, generation = 0) {
+    const context = { senderIndex, generation, baseKey, counter: 0, keys: null };
+    context.keys = await this.deriveKeys(baseKey, this.makeKid(senderIndex, generation));
+    return context;
+  }
+
+  static async ratchetSender(context) {
+    const nextKey = await this.ratchetBaseKey(context.baseKey);
+    AmiXCrypto.secureDelete(context.baseKey);
+
+    context.baseKey = nextKey;
+    context.generation += 1;
+    context.keys = await this.deriveKeys(nextKey, this.makeKid(context.senderIndex, context.generation));
+    return context;
+  }
+
+  // Everyone else's keys, by sender index
+  static createReceiverContext() {
+    return { senders: new Map() };
+  }
+
+  // Replaces any key we held for this sender
+  static async addReceiverKey(context, senderIndex, baseKey, generation = 0) {
+    const previous = context.senders.get(senderIndex);
+    if (previous) {
+      AmiXCrypto.secureDelete(previous.baseKey);
+    }
+
+    context.senders.set(senderIndex, {
+      generation,
+      baseKey,
+      keys: await this.deriveKeys(baseKey, this.makeKid(senderIndex, generation)),
+      previousKeys: null,
+    });
+  }
+
+  static removeReceiverKey(context, senderIndex) {
+    const sender = context.senders.get(senderIndex);
+    if (sender) {
+      AmiXCrypto.secureDelete(sender.baseKey);
+      context.senders.delete(senderIndex);
+    }
+  }
+
+  // Keys for the KID on a received frame, ratcheting forward if the sender has
+  static async receiverKeys(context, kid) {
+    const { senderIndex, generation } = this.splitKid(kid);
+    const sender = context.senders.get(senderIndex);
+    if (!sender) {
+      throw new Error(`Unknown SFrame sender ${senderIndex}`);
+    }
+
+    if (sender.keys.kid === kid) return sender.keys;
+
+    // Frames sent just before a ratchet may still be in flight
+    if (sender.previousKeys?.kid === kid) return sender.previousKeys;
+
+    const span = 2 ** SFRAME_CONFIG.GENERATION_BITS;
+    const steps = (generation - (sender.generation % span) + span) % span;
+    if (steps === 0 || steps > SFRAME_CONFIG.MAX_RATCHET_STEPS) {
+      throw new Error('SFrame key generation out of range');
+    }
+
+    // Keep only the generation just before the new one
+    let previousBaseKey = null;
+    let baseKey = sender.baseKey;
+    for (let i = 0; i < steps; i++) {
+      if (previousBaseKey) AmiXCrypto.secureDelete(previousBaseKey);
+      previousBaseKey = baseKey;
+      baseKey = await this.ratchetBaseKey(baseKey);
+    }
+
+    sender.previousKeys = steps === 1
+      ? sender.keys
+      : await this.deriveKeys(previousBaseKey, this.makeKid(senderIndex, sender.generation + steps - 1));
+    AmiXCrypto.secureDelete(previousBaseKey);
+
+    sender.baseKey = baseKey;
+    sender.generation += steps;
+    sender.keys = await this.deriveKeys(baseKey, kid);
+    return sender.keys;
+  }
+
+  /**
+   * Encrypt one encoded frame
+   * @param {Object} context - From createSenderContext
+   * @param {Uint8Array} frame - Encoded frame from the codec
+   * @param {number} [clearBytes] - Leading codec bytes left readable for the packetizer
+   * @returns {Promise<Uint8Array>} - The SFrame-protected frame
+   */
+  static async encryptFrame(context, frame, clearBytes = 0) {
+    const clear = frame.subarray(0, Math.min(clearBytes, frame.length));
+    const payload = frame.subarray(clear.length);
+
+    const { kid, key, salt } = context.keys;
+    const ctr = context.counter;
+    context.counter += 1;
+
+    const header = this.encodeHeader(kid, ctr);
+    const ciphertext = await crypto.subtle.encrypt(
+      {
+        name: 'AES-GCM',
+        iv: this.frameNonce(salt, ctr),
+        additionalData: this.concat(header, clear),
+        tagLength: SFRAME_CONFIG.TAG_LENGTH * 8,
+      },
+      key,
+      payload
+    );
+
+    return this.concat(clear, header, new Uint8Array(ciphertext));
+  }
+
+  /**
+   * Decrypt one protected frame; throws if it fails authentication
+   * @param {Object} context - From createReceiverContext
+   * @param {Uint8Array} data - Frame as received
+   * @param {number} [clearBytes] - Must match what the sender left in the clear
+   * @returns {Promise<Object>} - { frame, senderIndex, ctr }
+   */
+  static async decryptFrame(context, data, clearBytes = 0) {
+    const clear = data.subarray(0, Math.min(clearBytes, data.length));
+    const { kid, ctr, length } = this.decodeHeader(data.subarray(clear.length));
+    const header = data.subarray(clear.length, clear.length + length);
+    const ciphertext = data.subarray(clear.length + length);
+
+    if (ciphertext.length < SFRAME_CONFIG.TAG_LENGTH) {
+      throw new Error('Truncated SFrame payload');
+    }
+
+    const { key, salt } = await this.receiverKeys(context, kid);
+
+    let payload;
+    try {
+      payload = await crypto.subtle.decrypt(
+        {
+          name: 'AES-GCM',
+          iv: this.frameNonce(salt, ctr),
+          additionalData: this.concat(header, clear),
+          tagLength: SFRAME_CONFIG.TAG_LENGTH * 8,
+        },
+        key,
+        ciphertext
+      );
+    } catch (error) {
+      throw new Error('SFrame authentication failed');
+    }
+
+    return {
+      frame: this.concat(clear, new Uint8Array(payload)),
+      senderIndex: this.splitKid(kid).senderIndex,
+      ctr,
+    };
+  }
+}
+
+export default AmiXSFrame;
@@ -1,6 +1,9 @@
 import * as SecureStore from "expo-secure-store";
+import * as Crypto from "expo-crypto";
 import AsyncStorage from "@react-native-async-storage/async-storage";
 import { AmiXCrypto } from "./crypto";
+import { AmiXDisappearingTimers } from "./disappearing";
+import { AmiXSearchIndex, SEARCH_CONFIG } from "./searchIndex";
 import Dexie from 'dexie';
 
 // AmiX Secure Storage - Production-grade implementation
@@ -12,17 +15,27 @@ export class AmiXStorage {
     // Sensitive data (stored in SecureStore)
     IDENTITY_KEYS: 'amix_identity_keys',
     RATCHET_STATES: 'amix_ratchet_states',
+    PREKEYS: 'amix_prekeys',
+    MLS_KEY_PACKAGES: 'amix_mls_key_packages',
+    DELIVERY_TOKENS: 'amix_delivery_tokens',
+    SENDER_CERTIFICATE: 'amix_sender_certificate',
+    ATTACHMENT_UPLOADS: 'amix_attachment_uploads',
+    FILE_TRANSFERS: 'amix_file_transfers',
     MESSAGES: 'amix_messages',
     CONTACTS: 'amix_contacts',
+    SIGNING_KEYS: 'amix_signing_keys',
     GROUPS: 'amix_groups',
     ANALYTICS_UUID: 'amix_analytics_uuid',
     BACKUP_PASSPHRASE_HASH: 'amix_backup_passphrase_hash',
+    SEARCH_INDEX_KEY: 'amix_search_index_key',
     
     // Non-sensitive data (stored in AsyncStorage)
     USER_PREFERENCES: 'amix_user_preferences',
     UI_STATE: 'amix_ui_state',
     CACHE_DATA: 'amix_cache_data',
     APP_VERSION: 'amix_app_version',
+    AMIX_ID: 'amix_id',
+    SENDER_TRUST_ROOT: 'amix_sender_trust_root',
   };
 
   // Initialize storage and check for migrations
@@ -81,6 +94,23 @@ export class AmiXStorage {
       friendships: 'id, user1Id, user2Id, status, establishedAt, [user1Id+user2Id], [user1Id+status], [user2Id+status]',
       userSearch: 'username, userId, *searchTerms',
     });
+
+    // Sender Keys: one chain per (group, sender) replaces the pairwise
+    // group ratchet states
+    this.db.version(5).stores({
+      ratchetStates: null,
+      senderKeys: 'id, groupId, [groupId+senderId], updatedAt',
+    });
+
+    // Disappearing messages are swept by expiry time
+    this.db.version(6).stores({
+      messages: 'id, conversationId, threadId, createdAt, type, expiresAt, [conversationId+createdAt], [threadId+createdAt]',
+    });
+
+    // Message search: blinded terms only, never message text
+    this.db.version(7).stores({
+      searchIndex: 'messageId, conversationId, *terms',
+    });
     
     try {
       const appVersion = await this.getAppVersion();
@@ -275,6 +305,16 @@ export class AmiXStorage {
     return keys;
   }
 
+  // Get this installation's AmiX ID, generating one on first use
+  static async getAmiXId() {
+    const existing = await this.get(this.STORAGE_KEYS.AMIX_ID);
+    if (existing) return existing;
+
+    const amixId = await AmiXCrypto.generateAmiXID();
+    await this.store(this.STORAGE_KEYS.AMIX_ID, amixId);
+    return amixId;
+  }
+
   // Get current public key in a backward-compatible way
   static async getCurrentPublicKey() {
     const keys = await this.getIdentityKeys();
@@ -293,6 +333,58 @@ export class AmiXStorage {
     return keys.current ? keys.current.privateKey : keys.privateKey;
   }
 
+  // X3DH prekeys (private halves never leave the device)
+  static async storePreKeys(preKeys) {
+    return await this.storeSecurely(this.STORAGE_KEYS.PREKEYS, preKeys);
+  }
+
+  static async getPreKeys() {
+    return await this.getSecurely(this.STORAGE_KEYS.PREKEYS);
+  }
+
+  // Unclaimed MLS key packages with their private keys, by reference
+  static async storeMlsKeyPackages(keyPackages) {
+    return await this.storeSecurely(this.STORAGE_KEYS.MLS_KEY_PACKAGES, keyPackages);
+  }
+
+  static async getMlsKeyPackages() {
+    return await this.getSecurely(this.STORAGE_KEYS.MLS_KEY_PACKAGES) || {};
+  }
+
+  // Sealed-sender delivery tokens: ours and the ones peers shared with us
+  static async storeDeliveryTokens(tokens) {
+    return await this.storeSecurely(this.STORAGE_KEYS.DELIVERY_TOKENS, tokens);
+  }
+
+  static async getDeliveryTokens() {
+    return await this.getSecurely(this.STORAGE_KEYS.DELIVERY_TOKENS) || { own: null, peers: {} };
+  }
+
+  static async storeSenderCertificate(certificate) {
+    return await this.storeSecurely(this.STORAGE_KEYS.SENDER_CERTIFICATE, certificate);
+  }
+
+  static async getSenderCertificate() {
+    return await this.getSecurely(this.STORAGE_KEYS.SENDER_CERTIFICATE);
+  }
+
+  // Attachment uploads that haven't finished, with their keys, by attachment ID
+  static async storePendingUploads(uploads) {
+    return await this.storeSecurely(this.STORAGE_KEYS.ATTACHMENT_UPLOADS, uploads);
+  }
+
+  static async getPendingUploads() {
+    return await this.getSecurely(this.STORAGE_KEYS.ATTACHMENT_UPLOADS) || {};
+  }
+
+  static async storeFileTransfers(transfers) {
+    return await this.storeSecurely(this.STORAGE_KEYS.FILE_TRANSFERS, transfers);
+  }
+
+  static async getFileTransfers() {
+    return await this.getSecurely(this.STORAGE_KEYS.FILE_TRANSFERS) || {};
+  }
+
   static async storeRatchetState(conversationId, ratchetState) {
     try {
       const states = await this.getSecurely(this.STORAGE_KEYS.RATCHET_STATES) || {};
@@ -418,12 +510,22 @@ export class AmiXStorage {
   static async storeMessage(conversationId, message) {
     try {
       const db = await this.getDatabase();
+
+      // The conversation's timer applies unless the caller decided already
+      // (system events pass expiresAt: null to stay)
+      let { expiresAt } = message;
+      if (!('expiresAt' in message)) {
+        const sentAt = typeof message.timestamp === 'number' ? message.timestamp : Date.now();
+        expiresAt = AmiXDisappearingTimers.expiresAt(sentAt, await this.getDisappearingTimer(conversationId));
+      }
+
       await db.transaction('rw', db.messages, async () => {
         // Store message
         await db.messages.put({
           id: message.id,
           conversationId,
           ...message,
+          expiresAt: expiresAt ?? null,
           createdAt: message.createdAt || new Date().toISOString(),
           updatedAt: new Date().toISOString(),
         });
@@ -435,6 +537,8 @@ export class AmiXStorage {
           updatedAt: new Date().toISOString(),
         });
       });
+
+      await this.indexMessage({ ...message, conversationId });
     } catch (error) {
       console.error('Failed to store message:', error);
       throw error;
@@ -458,12 +562,34 @@ export class AmiXStorage {
           });
         }
       }
+
+      // Edits and deletes for everyone change what the message can be found by
+      if ('content' in updates || 'text' in updates || 'deleted' in updates) {
+        const message = await db.messages.get(messageId);
+        if (message) {
+          await this.indexMessage(message);
+        }
+      }
     } catch (error) {
       console.error('Failed to update message:', error);
       throw error;
     }
   }
 
+  static async deleteMessage(messageId) {
+    try {
+      const db = await this.getDatabase();
+      await db.transaction('rw', db.messages, db.reactions, db.searchIndex, async () => {
+        await db.messages.delete(messageId);
+        await db.reactions.where('messageId').equals(messageId).delete();
+        await db.searchIndex.delete(messageId);
+      });
+    } catch (error) {
+      console.error('Failed to delete message:', error);
+      throw error;
+    }
+  }
+
   static async getMessage(messageId) {
     try {
       const db = await this.getDatabase();
@@ -476,12 +602,16 @@ export class AmiXStorage {
 
   static async getMessages(conversationId, options = {}) {
     try {
-      const { limit = 50, before = new Date().toISOString() } = options;
+      const { limit = 50, before = new Date().toISOString(), includeThreads = true } = options;
       const db = await this.getDatabase();
+      const now = Date.now();
       
+      // Expired messages stay hidden even before the sweep removes them
       return await db.messages
         .where('conversationId').equals(conversationId)
         .and(message => new Date(message.createdAt) <= new Date(before))
+        .and(message => !message.expiresAt || message.expiresAt > now)
+        .and(message => includeThreads || !message.threadId)
         .reverse()
         .limit(limit)
         .toArray();
@@ -549,6 +679,239 @@ export class AmiXStorage {
     }
   }
 
+  // Disappearing message timers
+  static async getDisappearingTimer(conversationId) {
+    const conversation = await this.getConversation(conversationId).catch(() => null);
+    return conversation?.disappearingTimer || 0;
+  }
+
+  /**
+   * Apply a timer change unless a newer one is already in place
+   * @returns {Promise<boolean>} - Whether the change was applied
+   */
+  static async setDisappearingTimer(conversationId, timer, setAt) {
+    const db = await this.getDatabase();
+    return await db.transaction('rw', db.conversations, async () => {
+      const conversation = await db.conversations.get(conversationId);
+      if (!AmiXDisappearingTimers.supersedes(setAt, conversation)) {
+        return false;
+      }
+
+      await db.conversations.put({
+        id: conversationId,
+        type: 'direct',
+        participants: [],
+        createdAt: new Date().toISOString(),
+        ...conversation,
+        disappearingTimer: timer,
+        timerSetAt: setAt,
+        updatedAt: new Date().toISOString(),
+      });
+      return true;
+    });
+  }
+
+  /**
+   * Apply a timer change from a control message and record it in the chat
+   * as a system event that doesn't expire
+   * @param {string} conversationId - Peer's AmiX ID or group ID
+   * @param {Object} change - { timer, setAt } from parseTimerChange
+   * @param {Object} event - { id, senderId } of the control message
+   * @returns {Promise<boolean>} - Whether the change was newer than ours
+   */
+  static async storeTimerChange(conversationId, { timer, setAt }, { id, senderId }) {
+    const applied = await this.setDisappearingTimer(conversationId, timer, setAt);
+
+    await this.storeMessage(conversationId, {
+      id,
+      type: 'system',
+      event: 'disappearing_timer',
+      timer,
+      text: AmiXDisappearingTimers.describe(timer),
+      senderId,
+      timestamp: setAt,
+      expiresAt: null,
+    });
+
+    return applied;
+  }
+
+  /**
+   * Delete every message whose timer ran out, with its reactions, search
+   * terms and any copy in the SecureStore message blob
+   * @returns {Promise<Array>} - The deleted messages, for attachment cleanup
+   */
+  static async purgeExpiredMessages(now = Date.now()) {
+    try {
+      const db = await this.getDatabase();
+      const expired = await db.messages.where('expiresAt').between(1, now, true, true).toArray();
+      if (expired.length === 0) return [];
+
+      const ids = expired.map(message => message.id);
+      await db.transaction('rw', db.messages, db.reactions, db.searchIndex, async () => {
+        await db.messages.bulkDelete(ids);
+        await db.reactions.where('messageId').anyOf(ids).delete();
+        await db.searchIndex.bulkDelete(ids);
+      });
+
+      await this.purgeSecureMessages(new Set(ids));
+      return expired;
+    } catch (error) {
+      console.error('Failed to purge expired messages:', error);
+      return [];
+    }
+  }
+
+  // The blob is either a list of messages or lists keyed by conversation
+  static async purgeSecureMessages(ids) {
+    const stored = await this.getSecurely(this.STORAGE_KEYS.MESSAGES);
+    if (!stored) return;
+
+    const keep = messages => messages.filter(message => !ids.has(message?.id));
+    const purged = Array.isArray(stored)
+      ? keep(stored)
+      : Object.fromEntries(Object.entries(stored).map(([key, value]) =>
+        [key, Array.isArray(value) ? keep(value) : value]
+      ));
+
+    if (JSON.stringify(purged) !== JSON.stringify(stored)) {
+      await this.storeSecurely(this.STORAGE_KEYS.MESSAGES, purged);
+    }
+  }
+
+  // Message search
+  // Index terms are blinded with HMAC under a key that never leaves
+  // SecureStore, so the database holds no words. secureDelete removes the
+  // key, which leaves any remaining terms unreadable and unsearchable.
+  static searchKey = null;
+
+  static async getSearchKey() {
+    if (this.searchKey) return this.searchKey;
+
+    let stored = await this.getSecurely(this.STORAGE_KEYS.SEARCH_INDEX_KEY);
+    if (!stored?.key) {
+      // Terms blinded with a lost key can't be looked up anymore
+      const db = await this.getDatabase();
+      await db.searchIndex.clear();
+
+      stored = { key: AmiXCrypto.bytesToHex(await AmiXCrypto.generateRandomBytes(32)), built: false };
+      await this.storeSecurely(this.STORAGE_KEYS.SEARCH_INDEX_KEY, stored);
+    }
+
+    this.searchKey = AmiXCrypto.hexToBytes(stored.key);
+    return this.searchKey;
+  }
+
+  static async blindTerms(terms) {
+    const key = await this.getSearchKey();
+    const blinded = await Promise.all(terms.map(term => AmiXCrypto.hmac(key, term)));
+    return blinded.map(mac => AmiXCrypto.bytesToHex(mac.slice(0, 16)));
+  }
+
+  // Add, replace or remove a message's terms; search never breaks messaging
+  static async indexMessage(message) {
+    try {
+      const db = await this.getDatabase();
+      const text = AmiXSearchIndex.indexableText(message);
+      if (!text) {
+        await db.searchIndex.delete(message.id);
+        return;
+      }
+
+      await db.searchIndex.put({
+        messageId: message.id,
+        conversationId: message.conversationId,
+        terms: await this.blindTerms(AmiXSearchIndex.indexTerms(text)),
+      });
+    } catch (error) {
+      console.error('Failed to index message:', error);
+    }
+  }
+
+  // Index messages stored before search existed, once
+  static async buildSearchIndex() {
+    try {
+      await this.getSearchKey();
+      const stored = await this.getSecurely(this.STORAGE_KEYS.SEARCH_INDEX_KEY);
+      if (stored.built) return true;
+
+      const db = await this.getDatabase();
+      const messages = await db.messages.toArray();
+      for (const message of messages) {
+        await this.indexMessage(message);
+      }
+
+      await this.storeSecurely(this.STORAGE_KEYS.SEARCH_INDEX_KEY, { ...stored, built: true });
+      return true;
+    } catch (error) {
+      console.error('Failed to build search index:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Search message history on this device
+   * @param {string} query - Words to find; each matches the start of a word
+   * @param {Object} [options] - { conversationId, limit }
+   * @returns {Promise<Array>} - Newest first: { messageId, conversationId,
+   *   threadId, timestamp, snippet, highlights, anchor }
+   */
+  static async searchMessages(query, options = {}) {
+    try {
+      const { conversationId = null, limit = SEARCH_CONFIG.MAX_RESULTS } = options;
+      const queryTerms = AmiXSearchIndex.queryTerms(query);
+      if (queryTerms.length === 0) return [];
+
+      await this.buildSearchIndex();
+      const db = await this.getDatabase();
+      const blinded = await this.blindTerms(queryTerms.map(term => AmiXSearchIndex.lookupTerm(term)));
+
+      // 1) Messages that have every term
+      let candidates = null;
+      for (const term of blinded) {
+        const entries = await db.searchIndex.where('terms').equals(term).toArray();
+        const ids = new Set(entries
+          .filter(entry => !conversationId || entry.conversationId === conversationId)
+          .map(entry => entry.messageId));
+        candidates = candidates ? new Set([...candidates].filter(id => ids.has(id))) : ids;
+        if (candidates.size === 0) return [];
+      }
+
+      // 2) Check the text itself: long words share their indexed prefix
+      const now = Date.now();
+      const messages = (await db.messages.bulkGet([...candidates]))
+        .filter(message => message && (!message.expiresAt || message.expiresAt > now))
+        .filter((message) => {
+          const text = AmiXSearchIndex.indexableText(message);
+          return text && AmiXSearchIndex.matchesAll(text, queryTerms);
+        });
+
+      // 3) Newest first, with a snippet and where to jump to
+      return messages
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .slice(0, limit)
+        .map((message) => {
+          const snippet = AmiXSearchIndex.snippet(AmiXSearchIndex.indexableText(message), queryTerms);
+          return {
+            messageId: message.id,
+            conversationId: message.conversationId,
+            threadId: message.threadId || null,
+            timestamp: message.createdAt,
+            snippet: snippet.text,
+            highlights: snippet.highlights,
+            anchor: {
+              conversationId: message.conversationId,
+              threadId: message.threadId || null,
+              messageId: message.id,
+            },
+          };
+        });
+    } catch (error) {
+      console.error('Failed to search messages:', error);
+      return [];
+    }
+  }
+
   // Thread storage methods
   static async storeThread(thread) {
     try {
@@ -585,42 +948,77 @@ export class AmiXStorage {
     }
   }
 
+  static async getThreadMessages(threadId, options = {}) {
+    try {
+      const { limit = 50, before = null } = options;
+      const db = await this.getDatabase();
+      const now = Date.now();
+
+      const messages = await db.messages
+        .where('[threadId+createdAt]')
+        .between([threadId, Dexie.minKey], [threadId, before || Dexie.maxKey], true, !before)
+        .and(message => !message.expiresAt || message.expiresAt > now)
+        .reverse()
+        .limit(limit)
+        .toArray();
+
+      return messages.reverse();
+    } catch (error) {
+      console.error('Failed to get thread messages:', error);
+      throw error;
+    }
+  }
+
   static async getThreads(query = {}, options = {}) {
     try {
       const db = await this.getDatabase();
-      let collection = db.threads;
-      
-      // Apply filters
-      if (query.conversationId) {
-        collection = collection.where('conversationId').equals(query.conversationId);
-      }
+      let collection = query.conversationId
+        ? db.threads.where('conversationId').equals(query.conversationId)
+        : db.threads.toCollection();
       
+      // Apply filters (isArchived isn't indexed)
       if (query.isArchived !== undefined) {
-        collection = collection.where('isArchived').equals(query.isArchived);
+        collection = collection.and(thread => Boolean(thread.isArchived) === query.isArchived);
       }
       
-      // Apply sorting
+      let threads = await collection.toArray();
+      
+      // Apply sorting; threads without a value go last
       if (options.sort) {
         Object.entries(options.sort).forEach(([field, direction]) => {
-          collection = collection.orderBy(field);
-          if (direction === -1) {
-            collection = collection.reverse();
-          }
+          threads = threads.sort((a, b) => {
+            if (a[field] == null) return 1;
+            if (b[field] == null) return -1;
+            return (a[field] < b[field] ? -1 : a[field] > b[field] ? 1 : 0) * direction;
+          });
         });
       }
       
       // Apply pagination
-      if (options.limit) {
-        collection = collection.limit(options.limit);
-      }
-      
-      return await collection.toArray();
+      return options.limit ? threads.slice(0, options.limit) : threads;
     } catch (error) {
       console.error('Failed to get threads:', error);
       throw error;
     }
   }
 
+  // Presence of other users as the signaling server reports it, kept on
+  // the users table under their AmiX ID. Hidden presence clears what we had.
+  static async storePresence(amixId, { online, lastSeen, hidden }) {
+    try {
+      const db = await this.getDatabase();
+      const existing = await db.users.get(amixId);
+      await db.users.put({
+        ...existing,
+        id: amixId,
+        status: hidden ? 'hidden' : (online ? 'online' : 'offline'),
+        lastSeen: !hidden && lastSeen ? new Date(lastSeen).toISOString() : null,
+      });
+    } catch (error) {
+      console.error('Failed to store presence:', error);
+    }
+  }
+
   // Contact management with verification support
   static async storeContact(contact) {
     try {
@@ -671,6 +1069,11 @@ export class AmiXStorage {
     }
   }
 
+  static async getContact(contactId) {
+    const contacts = await this.getContacts();
+    return contacts[contactId] || null;
+  }
+
   static async getContacts() {
     try {
       const contacts = await this.getSecurely(this.STORAGE_KEYS.CONTACTS) || {};
@@ -695,6 +1098,18 @@ export class AmiXStorage {
     }
   }
 
+  // Identity signing keys of other users, pinned for checking their signed edits
+  static async storeSigningKey(amixId, signingKey) {
+    const keys = await this.getSecurely(this.STORAGE_KEYS.SIGNING_KEYS) || {};
+    keys[amixId] = signingKey;
+    await this.storeSecurely(this.STORAGE_KEYS.SIGNING_KEYS, keys);
+  }
+
+  static async getSigningKey(amixId) {
+    const keys = await this.getSecurely(this.STORAGE_KEYS.SIGNING_KEYS) || {};
+    return keys[amixId] || null;
+  }
+
   // Group management
   static async storeGroup(group) {
     try {
@@ -717,6 +1132,16 @@ export class AmiXStorage {
     }
   }
 
+  static async getGroups() {
+    try {
+      const db = await this.getDatabase();
+      return await db.groups.toArray();
+    } catch (error) {
+      console.error('Failed to get groups:', error);
+      return [];
+    }
+  }
+
   static async updateGroup(group) {
     try {
       const db = await this.getDatabase();
@@ -731,43 +1156,46 @@ export class AmiXStorage {
     }
   }
 
-  static async storeRatchetState(ratchetState) {
+  // Group sender keys are keyed per (group, sender, device): our own
+  // sending chain and the receiving chain of every device in the group,
+  // including our other devices
+  static async storeSenderKey(groupId, senderId, deviceId, senderKey) {
     try {
       const db = await this.getDatabase();
-      const id = `${ratchetState.groupId}:${ratchetState.senderId}:${ratchetState.recipientId}`;
-      await db.ratchetStates.put({
+      const id = `${groupId}:${senderId}:${deviceId}`;
+      await db.senderKeys.put({
+        ...senderKey,
         id,
-        ...ratchetState
+        groupId,
+        senderId,
+        deviceId,
+        updatedAt: new Date().toISOString()
       });
       return id;
     } catch (error) {
-      console.error('Failed to store ratchet state:', error);
+      console.error('Failed to store sender key:', error);
       throw error;
     }
   }
 
-  static async getRatchetState(groupId, senderId, recipientId) {
+  static async getSenderKey(groupId, senderId, deviceId) {
     try {
       const db = await this.getDatabase();
-      const id = `${groupId}:${senderId}:${recipientId}`;
-      return await db.ratchetStates.get(id);
+      return await db.senderKeys.get(`${groupId}:${senderId}:${deviceId}`);
     } catch (error) {
-      console.error('Failed to get ratchet state:', error);
+      console.error('Failed to get sender key:', error);
       throw error;
     }
   }
 
-  static async updateRatchetState(ratchetState) {
+  // Drops the chains of all of a member's devices
+  static async deleteSenderKey(groupId, senderId) {
     try {
       const db = await this.getDatabase();
-      const id = `${ratchetState.groupId}:${ratchetState.senderId}:${ratchetState.recipientId}`;
-      await db.ratchetStates.update(id, {
-        ...ratchetState,
-        updatedAt: new Date().toISOString()
-      });
-      return id;
+      await db.senderKeys.where('[groupId+senderId]').equals([groupId, senderId]).delete();
+      return true;
     } catch (error) {
-      console.error('Failed to update ratchet state:', error);
+      console.error('Failed to delete sender key:', error);
       throw error;
     }
   }
@@ -776,7 +1204,7 @@ export class AmiXStorage {
   static async createBackup(passphrase) {
     try {
       // Hash the passphrase
-      const passphraseHash = await AmiXCrypto.generateSafetyNumber(passphrase, 'amix_backup');
+      const passphraseHash = await this.hashBackupPassphrase(passphrase);
       
       // Collect all sensitive data
       const backupData = {
@@ -813,11 +1241,25 @@ export class AmiXStorage {
     }
   }
 
+  // Short SHA-256 check value for the backup passphrase. This used to be
+  // the safety number routine; existing backups still carry its format.
+  static async hashBackupPassphrase(passphrase) {
+    const hash = await Crypto.digestStringAsync(
+      Crypto.CryptoDigestAlgorithm.SHA256,
+      passphrase + 'amix_backup'
+    );
+    return hash
+      .substring(0, 12)
+      .match(/.{1,4}/g)
+      .join(" ")
+      .toUpperCase();
+  }
+
   static async restoreBackup(encryptedBackup, passphrase) {
     try {
       // Verify passphrase
       const storedHash = await this.getSecurely(this.STORAGE_KEYS.BACKUP_PASSPHRASE_HASH);
-      const inputHash = await AmiXCrypto.generateSafetyNumber(passphrase, 'amix_backup');
+      const inputHash = await this.hashBackupPassphrase(passphrase);
       
       if (storedHash !== inputHash) {
         throw new Error('Invalid passphrase');
@@ -859,6 +1301,7 @@ export class AmiXStorage {
       for (const key of keys) {
         await this.deleteSecurely(key);
       }
+      this.searchKey = null;
       
       // Clear non-sensitive data
       await AsyncStorage.clear();
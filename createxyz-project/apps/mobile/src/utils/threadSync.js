@@ -0,0 +1,169 @@
+// AmiX Thread Sync - quoted replies, thread messages and thread metadata
+// Three kinds of structured content travel like any other message:
+//   { type: 'reply', content, quote }                        quoted reply in the conversation
+//   { type: 'thread_message', threadId, id, content, quote } message inside a thread
+//   { type: 'thread_update', thread }                        thread metadata from its creator
+// A thread's visibility decides who gets what:
+//   PUBLIC   every member sees the thread and its messages
+//   PRIVATE  every member sees the thread exists; only participants get messages
+//   SECRET   only participants know about the thread at all
+// Thread messages and updates are sent pairwise to exactly those members,
+// never to the whole group, so visibility is enforced by who holds the
+// ciphertext rather than by the receiving app. Pinned, archived and unread
+// state stay on this device.
+
+export const THREAD_VISIBILITY = {
+  PUBLIC: 'public',
+  PRIVATE: 'private',
+  SECRET: 'secret',
+};
+
+export const THREAD_SYNC_CONFIG = {
+  QUOTE_PREVIEW_LENGTH: 100,
+  MAX_TITLE_LENGTH: 100,
+};
+
+// Metadata everyone in the audience shares; the rest is local.
+// metadataUpdatedAt only moves when the creator changes the thread, unlike
+// updatedAt, which local reads and pins touch too.
+const SHARED_FIELDS = ['id', 'groupId', 'type', 'title', 'createdBy', 'participants', 'visibility',
+  'rootMessageId', 'createdAt', 'metadataUpdatedAt'];
+
+const isString = value => typeof value === 'string' && value.length > 0;
+
+export class AmiXThreadSync {
+  static quoteOf(message) {
+    const text = message.text ?? message.content ?? '';
+    return {
+      messageId: message.id,
+      senderId: message.senderId || (message.sender === 'me' ? 'self' : null),
+      preview: text.length > THREAD_SYNC_CONFIG.QUOTE_PREVIEW_LENGTH
+        ? `${text.substring(0, THREAD_SYNC_CONFIG.QUOTE_PREVIEW_LENGTH)}...`
+        : text,
+    };
+  }
+
+  static createReply(content, quote) {
+    return JSON.stringify({ type: 'reply', content, quote });
+  }
+
+  // Every recipient gets the same message ID
+  static createThreadMessage(threadId, id, content, quote = null) {
+    return JSON.stringify({ type: 'thread_message', threadId, id, content, quote });
+  }
+
+  static createThreadUpdate(thread) {
+    return JSON.stringify({ type: 'thread_update', thread: this.sharedFields(thread) });
+  }
+
+  static sharedFields(thread) {
+    return Object.fromEntries(SHARED_FIELDS.map(field => [field, thread[field] ?? null]));
+  }
+
+  // The structured content in a message, or null for anything else
+  static parse(content) {
+    let parsed;
+    try {
+      parsed = typeof content === 'string' ? JSON.parse(content) : content;
+    } catch (error) {
+      return null;
+    }
+
+    switch (parsed?.type) {
+      case 'reply':
+        if (typeof parsed.content !== 'string' || !this.isValidQuote(parsed.quote)) return null;
+        return { type: 'reply', content: parsed.content, quote: parsed.quote };
+      case 'thread_message':
+        if (!isString(parsed.threadId) || !isString(parsed.id) || typeof parsed.content !== 'string') return null;
+        if (parsed.quote != null && !this.isValidQuote(parsed.quote)) return null;
+        return {
+          type: 'thread_message',
+          threadId: parsed.threadId,
+          id: parsed.id,
+          content: parsed.content,
+          quote: parsed.quote ?? null,
+        };
+      case 'thread_update':
+        if (!this.isValidThread(parsed.thread)) return null;
+        return { type: 'thread_update', thread: this.sharedFields(parsed.thread) };
+      default:
+        return null;
+    }
+  }
+
+  // Fields to store for a message's content: a reply keeps its text and quote
+  static replyFields(content) {
+    const parsed = this.parse(content);
+    return parsed?.type === 'reply'
+      ? { content: parsed.content, quote: parsed.quote }
+      : { content };
+  }
+
+  // Thread messages and updates must never arrive through a whole-group channel
+  static isThreadTraffic(content) {
+    const type = this.parse(content)?.type;
+    return type === 'thread_message' || type === 'thread_update';
+  }
+
+  static isValidQuote(quote) {
+    return isString(quote?.messageId) && typeof quote.preview === 'string';
+  }
+
+  static isValidThread(thread) {
+    return isString(thread?.id) && isString(thread.createdBy) &&
+      Object.values(THREAD_VISIBILITY).includes(thread.visibility) &&
+      Array.isArray(thread.participants) && thread.participants.every(isString) &&
+      typeof thread.title === 'string' && thread.title.length <= THREAD_SYNC_CONFIG.MAX_TITLE_LENGTH &&
+      Number.isFinite(thread.metadataUpdatedAt);
+  }
+
+  /**
+   * Who gets a thread's metadata and who gets its messages
+   * @param {Object} thread - Thread with visibility and participants
+   * @param {Array<string>} members - Everyone else in the conversation
+   * @returns {Object} - { metadata, messages } member ID lists
+   */
+  static audience(thread, members) {
+    const participants = new Set(thread.participants);
+    const inThread = members.filter(memberId => participants.has(memberId));
+
+    switch (thread.visibility) {
+      case THREAD_VISIBILITY.PUBLIC:
+        return { metadata: members, messages: members };
+      case THREAD_VISIBILITY.PRIVATE:
+        return { metadata: members, messages: inThread };
+      default:
+        return { metadata: inThread, messages: inThread };
+    }
+  }
+
+  // May this sender post in the thread?
+  static canPost(thread, senderId) {
+    return thread.visibility === THREAD_VISIBILITY.PUBLIC ||
+      thread.createdBy === senderId || thread.participants.includes(senderId);
+  }
+
+  /**
+   * Apply metadata from the thread's creator; the newer update wins and
+   * local state (pinned, archived, unread) is kept
+   * @returns {Object|null} - The merged thread, or null to ignore the update
+   */
+  static merge(local, remote, senderId) {
+    if (remote.createdBy !== senderId) return null;
+    if (local && local.createdBy !== remote.createdBy) return null;
+    if (local && remote.metadataUpdatedAt <= (local.metadataUpdatedAt || 0)) return null;
+
+    return {
+      isPinned: false,
+      isArchived: false,
+      unreadCount: 0,
+      lastMessageAt: null,
+      lastMessageId: null,
+      metadata: {},
+      ...local,
+      ...remote,
+    };
+  }
+}
+
+export default AmiXThreadSync;
@@ -1,4 +1,6 @@
 import { AmiXStorage } from './storage';
+import { AmiXCrypto } from './crypto';
+import { THREAD_VISIBILITY } from './threadSync';
 
 /**
  * ThreadManager - Handles message threading and conversation organization
@@ -12,12 +14,8 @@ export class ThreadManager {
     TOPIC: 'topic'
   };
 
-  // Thread visibility
-  static VISIBILITY = {
-    PUBLIC: 'public',
-    PRIVATE: 'private',
-    SECRET: 'secret'
-  };
+  // Thread visibility; see utils/threadSync.js for what each one means
+  static VISIBILITY = THREAD_VISIBILITY;
 
   /**
    * Create a new thread
@@ -28,10 +26,14 @@ export class ThreadManager {
    * @param {string} options.createdBy - User ID of creator
    * @param {Array} options.participants - Array of user IDs
    * @param {string} options.visibility - Thread visibility
+   * @param {string} options.rootMessageId - Message the thread was started from
+   * @param {string} options.groupId - Group the conversation belongs to, if any
    * @returns {Promise<string>} - Thread ID
    */
   static async createThread({
     conversationId,
+    rootMessageId = null,
+    groupId = null,
     type = this.THREAD_TYPES.DIRECT,
     title = '',
     createdBy,
@@ -45,6 +47,8 @@ export class ThreadManager {
       const thread = {
         id: threadId,
         conversationId,
+        groupId,
+        rootMessageId,
         type,
         title,
         createdBy,
@@ -54,8 +58,10 @@ export class ThreadManager {
         isPinned: false,
         createdAt: now,
         updatedAt: now,
+        metadataUpdatedAt: Date.now(),
         lastMessageAt: null,
         lastMessageId: null,
+        unreadCount: 0,
         metadata: {}
       };
 
@@ -89,7 +95,9 @@ export class ThreadManager {
       thread.lastMessageAt = message.createdAt || new Date().toISOString();
       thread.lastMessageId = message.id;
       thread.lastMessagePreview = this._truncateMessage(message.content, 100);
-      thread.unreadCount = (thread.unreadCount || 0) + 1;
+      if (message.senderId !== 'self') {
+        thread.unreadCount = (thread.unreadCount || 0) + 1;
+      }
 
       // Store message with thread reference
       const messageWithThread = {
@@ -123,20 +131,7 @@ export class ThreadManager {
         throw new Error('Thread not found');
       }
 
-      const query = {
-        threadId,
-        conversationId: thread.conversationId
-      };
-
-      if (before) {
-        query.createdAt = { $lt: before };
-      }
-
-      return await AmiXStorage.getMessages(thread.conversationId, {
-        query,
-        limit,
-        sort: { createdAt: -1 }
-      });
+      return await AmiXStorage.getThreadMessages(threadId, { limit, before });
     } catch (error) {
       console.error('Failed to get thread messages:', error);
       throw error;
@@ -144,7 +139,7 @@ export class ThreadManager {
   }
 
   /**
-   * Get all threads in a conversation
+   * Get all threads in a conversation, pinned first, then most recent
    * @param {string} conversationId - Parent conversation ID
    * @param {Object} options - Query options
    * @param {boolean} options.includeArchived - Include archived threads
@@ -157,7 +152,8 @@ export class ThreadManager {
         query.isArchived = false;
       }
 
-      return await AmiXStorage.getThreads(query, { sort: { lastMessageAt: -1 } });
+      const threads = await AmiXStorage.getThreads(query, { sort: { lastMessageAt: -1 } });
+      return threads.sort((a, b) => Number(b.isPinned) - Number(a.isPinned));
     } catch (error) {
       console.error('Failed to get conversation threads:', error);
       throw error;
@@ -218,6 +214,15 @@ export class ThreadManager {
     }
   }
 
+  // Pinned and archived are this device's own organisation; neither is synced
+  static async setPinned(threadId, isPinned) {
+    return await this.updateThread(threadId, { isPinned });
+  }
+
+  static async setArchived(threadId, isArchived) {
+    return await this.updateThread(threadId, { isArchived, ...(isArchived && { isPinned: false }) });
+  }
+
   // Helper method to truncate message for preview
   static _truncateMessage(text, maxLength) {
     if (!text) return '';
@@ -31,6 +31,7 @@ export default function NavBar() {
         <Flex gap={2} alignItems="center">
           <NavItem to="/groups">Groups</NavItem>
           <NavItem to="/friends">Friends</NavItem>
+          <NavItem to="/search">Search</NavItem>
           <NavItem to="/">Home</NavItem>
         </Flex>
       </Flex>
@@ -1,12 +1,65 @@
 'use client';
-import { Box, Button, Heading, HStack, Input, List, ListItem, Spinner, Text, VStack, useDisclosure, Modal, ModalOverlay, ModalContent, ModalHeader, ModalBody, ModalFooter, Badge } from '@chakra-ui/react';
+import { Box, Button, Heading, HStack, Input, List, ListItem, Spinner, Text, VStack, useDisclosure, useToast, Modal, ModalOverlay, ModalContent, ModalHeader, ModalBody, ModalFooter, Badge, AlertDialog, AlertDialogOverlay, AlertDialogContent, AlertDialogHeader, AlertDialogBody, AlertDialogFooter } from '@chakra-ui/react';
 import { useState, useEffect, useRef } from 'react';
 import { useLiveQuery } from 'dexie-react-hooks';
+import { QRCodeSVG } from 'qrcode.react';
 import { db } from '../../utils/db';
 import { useUser } from '../../hooks/useUser';
 import { useCrypto } from '../../hooks/useCrypto';
 import { usePeers } from '../../hooks/usePeers';
-import { generateSafetyNumber } from '../../utils/crypto';
+import { generateSafetyNumber, createSafetyCode, verifySafetyCode, encodePublicKey } from '../../utils/crypto';
+import { logSecurityEvent, SECURITY_EVENTS } from '../../utils/securityLogger';
+import { indexMessage } from '../../utils/search';
+import { useMessageAnchor } from '../../hooks/useMessageAnchor';
+
+// Verified only while the friend still uses the key that was verified
+const isVerified = (friend) =>
+  Boolean(friend.verified && friend.verifiedKey && friend.verifiedKey === friend.identityKey);
+
+// Reads a safety code QR from the camera where the browser can decode barcodes
+function SafetyCodeScanner({ onScan }) {
+  const videoRef = useRef(null);
+  const onScanRef = useRef(onScan);
+  onScanRef.current = onScan;
+
+  useEffect(() => {
+    let stream;
+    let frame;
+    let stopped = false;
+    const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+
+    const scan = async () => {
+      if (stopped) return;
+      try {
+        const [code] = await detector.detect(videoRef.current);
+        if (code) {
+          onScanRef.current(code.rawValue);
+          return;
+        }
+      } catch (error) {
+        // The video may not have a frame yet
+      }
+      frame = requestAnimationFrame(scan);
+    };
+
+    navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+      .then((mediaStream) => {
+        stream = mediaStream;
+        videoRef.current.srcObject = mediaStream;
+        return videoRef.current.play();
+      })
+      .then(scan)
+      .catch((error) => console.error('Failed to start camera:', error));
+
+    return () => {
+      stopped = true;
+      cancelAnimationFrame(frame);
+      stream?.getTracks().forEach((track) => track.stop());
+    };
+  }, []);
+
+  return <Box as="video" ref={videoRef} w="100%" rounded="md" muted playsInline />;
+}
 
 function FriendChatHistory({ friendEmail, userEmail }) {
   const messagesEndRef = useRef(null);
@@ -17,8 +70,10 @@ function FriendChatHistory({ friendEmail, userEmail }) {
       .sortBy('timestamp'),
     [friendEmail, userEmail]
   );
+  const { highlightedId, isHolding } = useMessageAnchor(chatHistory);
 
   useEffect(() => {
+    if (isHolding()) return;
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [chatHistory]);
 
@@ -26,9 +81,15 @@ function FriendChatHistory({ friendEmail, userEmail }) {
     <Box h="200px" overflowY="auto" p={2} borderWidth={1} rounded="md" mt={2}>
       <List spacing={3}>
         {chatHistory?.map((m) => (
-          <ListItem key={m.id} alignSelf={m.senderId === userEmail ? 'flex-end' : 'flex-start'}>
+          <ListItem
+            key={m.id}
+            id={`message-${m.id}`}
+            alignSelf={m.senderId === userEmail ? 'flex-end' : 'flex-start'}
+          >
             <Box
               bg={m.senderId === userEmail ? 'teal.500' : 'gray.600'}
+              outline={m.id === highlightedId ? '2px solid' : 'none'}
+              outlineColor="yellow.300"
               color="white"
               px={3}
               py={1}
@@ -51,18 +112,54 @@ export default function FriendsPage() {
   const { user, isReady: userReady } = useUser();
   const { keys, isReady: cryptoReady } = useCrypto();
 
-  const handleIncomingMessage = (message) => {
-    db.directMessages.add(message);
+  const handleIncomingMessage = async (message) => {
+    const id = await db.directMessages.add(message);
+    indexMessage('directMessages', { ...message, id });
   };
 
     const { peers, publicKeys, connectToPeer, sendMessage } = usePeers(user, keys, handleIncomingMessage);
   const { isOpen, onOpen, onClose } = useDisclosure();
   const [selectedFriend, setSelectedFriend] = useState(null);
   const [safetyNumber, setSafetyNumber] = useState('');
+  const [safetyCode, setSafetyCode] = useState('');
+  const [scannedCode, setScannedCode] = useState('');
+  const [isScanning, setIsScanning] = useState(false);
+  const toast = useToast();
+  const acknowledgeRef = useRef(null);
   const [friendEmail, setFriendEmail] = useState('');
     const [messages, setMessages] = useState({}); // State for individual friend messages
 
   const friends = useLiveQuery(() => db.friends.toArray(), []);
+  const changedFriend = friends?.find((f) => f.identityKeyChangePending);
+
+  // Remember each friend's identity key; a different one drops the verification
+  useEffect(() => {
+    if (!friends) return;
+
+    friends.forEach(async (friend) => {
+      const publicKeyJwk = publicKeys[friend.email];
+      if (!publicKeyJwk) return;
+
+      const identityKey = encodePublicKey(publicKeyJwk);
+      if (friend.identityKey === identityKey) return;
+
+      if (!friend.identityKey) {
+        await db.friends.update(friend.id, { identityKey });
+        return;
+      }
+
+      await db.friends.update(friend.id, {
+        identityKey,
+        verified: 0,
+        verifiedKey: null,
+        identityKeyChangePending: 1,
+      });
+      await logSecurityEvent(SECURITY_EVENTS.IDENTITY_KEY_CHANGED, {
+        contactId: friend.email,
+        wasVerified: isVerified(friend),
+      });
+    });
+  }, [friends, publicKeys]);
 
     const handleAdd = async () => {
     if (!friendEmail) return;
@@ -73,22 +170,55 @@ export default function FriendsPage() {
   const handleVerify = async (friend) => {
     const friendPublicKey = publicKeys[friend.email];
     if (keys.publicKeyJwk && friendPublicKey) {
-      const num = await generateSafetyNumber(keys.publicKeyJwk, friendPublicKey);
-      setSafetyNumber(num);
-      setSelectedFriend(friend);
+      const parties = [keys.publicKeyJwk, friendPublicKey, user.email, friend.email];
+      setSafetyNumber(await generateSafetyNumber(...parties));
+      setSafetyCode(await createSafetyCode(...parties));
+      setSelectedFriend({ ...friend, verifyingKey: encodePublicKey(friendPublicKey) });
+      setScannedCode('');
+      setIsScanning(false);
       onOpen();
     }
   };
 
   const markAsVerified = async () => {
     if (selectedFriend) {
-      await db.friends.update(selectedFriend.id, { verified: 1 });
+      const friend = await db.friends.get(selectedFriend.id);
+      if (friend.identityKey !== selectedFriend.verifyingKey) {
+        toast({ status: 'error', title: 'Their key changed during verification' });
+        onClose();
+        return;
+      }
+
+      await db.friends.update(selectedFriend.id, { verified: 1, verifiedKey: selectedFriend.verifyingKey });
+      await logSecurityEvent(SECURITY_EVENTS.CONTACT_VERIFIED, { contactId: selectedFriend.email });
       onClose();
     }
   };
 
-  const handleSend = (friend) => {
-    if (!friend.verified) {
+  const checkScannedCode = async (code) => {
+    setIsScanning(false);
+    try {
+      const matched = await verifySafetyCode(
+        code, keys.publicKeyJwk, publicKeys[selectedFriend.email], user.email, selectedFriend.email
+      );
+      if (!matched) {
+        toast({ status: 'error', title: 'Safety code does not match', description: 'You may be talking to someone else.' });
+        return;
+      }
+      await markAsVerified();
+      toast({ status: 'success', title: `${selectedFriend.email} is verified` });
+    } catch (error) {
+      console.error('Failed to check safety code:', error);
+      toast({ status: 'error', title: 'That is not an AmiX safety code' });
+    }
+  };
+
+  const acknowledgeKeyChange = async () => {
+    await db.friends.update(changedFriend.id, { identityKeyChangePending: 0 });
+  };
+
+  const handleSend = async (friend) => {
+    if (!isVerified(friend)) {
       console.log('Friend not verified, cannot send message.');
       return;
     }
@@ -103,7 +233,8 @@ export default function FriendsPage() {
     };
 
     sendMessage(friend.email, JSON.stringify(messagePayload));
-    db.directMessages.add(messagePayload);
+    const id = await db.directMessages.add(messagePayload);
+    indexMessage('directMessages', { ...messagePayload, id });
     setMessages((prev) => ({ ...prev, [friend.email]: '' }));
   };
 
@@ -129,28 +260,29 @@ export default function FriendsPage() {
                 <HStack justifyContent="space-between">
                                     <HStack>
                     <Text fontWeight="bold">{f.email}</Text>
-                    {f.verified ? <Badge colorScheme="green">Verified</Badge> : <Badge colorScheme="red">Unverified</Badge>}
+                    {isVerified(f) ? <Badge colorScheme="green">Verified</Badge> : <Badge colorScheme="red">Unverified</Badge>}
                   </HStack>
                                     <HStack>
-                    {peers[f.email]?.peer.connected && !f.verified && (
+                    {peers[f.email]?.peer.connected && !isVerified(f) && (
                       <Button size="sm" colorScheme="orange" onClick={() => handleVerify(f)}>Verify</Button>
                     )}
                     <Button size="sm" onClick={() => connectToPeer(f)} isDisabled={peers[f.email]?.peer.connected}>
-                    {peers[f.email]?.peer.connected ? 'Connected' : 'Connect'}
-                  </Button>
+                      {peers[f.email]?.peer.connected ? 'Connected' : 'Connect'}
+                    </Button>
+                  </HStack>
                 </HStack>
                 {peers[f.email]?.peer.connected && (
                   <>
                     <FriendChatHistory friendEmail={f.email} userEmail={user.email} />
                     <HStack mt={2}>
                       <Input
-                        placeholder={f.verified ? "Send a message" : "Verify to send messages"}
+                        placeholder={isVerified(f) ? "Send a message" : "Verify to send messages"}
                         value={messages[f.email] || ''}
                         onChange={(e) => setMessages((prev) => ({ ...prev, [f.email]: e.target.value }))}
                         onKeyPress={(e) => e.key === 'Enter' && handleSend(f)}
-                        isDisabled={!f.verified}
+                        isDisabled={!isVerified(f)}
                       />
-                      <Button size="sm" onClick={() => handleSend(f)} isDisabled={!f.verified}>Send</Button>
+                      <Button size="sm" onClick={() => handleSend(f)} isDisabled={!isVerified(f)}>Send</Button>
                     </HStack>
                   </>
                 )}
@@ -166,8 +298,26 @@ export default function FriendsPage() {
         <ModalContent>
           <ModalHeader>Verify Identity of {selectedFriend?.email}</ModalHeader>
           <ModalBody>
-            <Text>Compare this safety number with your friend to ensure the connection is secure. It should be identical on both of your screens.</Text>
-            <Text fontSize="2xl" fontWeight="bold" textAlign="center" my={4}>{safetyNumber}</Text>
+            <Text>Scan your friend's code, or compare this safety number with theirs. It should be identical on both of your screens.</Text>
+            {isScanning ? (
+              <Box my={4}><SafetyCodeScanner onScan={checkScannedCode} /></Box>
+            ) : (
+              safetyCode && (
+                <Box bg="white" p={3} rounded="md" w="fit-content" mx="auto" my={4}>
+                  <QRCodeSVG value={safetyCode} size={180} />
+                </Box>
+              )
+            )}
+            <Text fontSize="lg" fontFamily="mono" fontWeight="bold" textAlign="center" my={4}>{safetyNumber}</Text>
+            <HStack>
+              <Input placeholder="Paste their safety code" value={scannedCode} onChange={(e) => setScannedCode(e.target.value)} />
+              <Button onClick={() => checkScannedCode(scannedCode)} isDisabled={!scannedCode}>Check</Button>
+            </HStack>
+            {typeof window !== 'undefined' && 'BarcodeDetector' in window && (
+              <Button mt={2} w="100%" variant="outline" onClick={() => setIsScanning((scanning) => !scanning)}>
+                {isScanning ? 'Show My Code' : 'Scan Code'}
+              </Button>
+            )}
           </ModalBody>
           <ModalFooter>
             <Button mr={3} onClick={onClose}>Cancel</Button>
@@ -175,6 +325,28 @@ export default function FriendsPage() {
           </ModalFooter>
         </ModalContent>
       </Modal>
+
+      <AlertDialog
+        isOpen={Boolean(changedFriend)}
+        leastDestructiveRef={acknowledgeRef}
+        onClose={acknowledgeKeyChange}
+        closeOnOverlayClick={false}
+        closeOnEsc={false}
+      >
+        <AlertDialogOverlay>
+          <AlertDialogContent>
+            <AlertDialogHeader>Safety Number Changed</AlertDialogHeader>
+            <AlertDialogBody>
+              {changedFriend?.email}'s security key has changed. This can happen when they
+              reinstall, but it can also mean someone is intercepting your messages.
+              Verify their new safety number before sending anything.
+            </AlertDialogBody>
+            <AlertDialogFooter>
+              <Button ref={acknowledgeRef} colorScheme="orange" onClick={acknowledgeKeyChange}>OK</Button>
+            </AlertDialogFooter>
+          </AlertDialogContent>
+        </AlertDialogOverlay>
+      </AlertDialog>
     </Box>
   );
 }
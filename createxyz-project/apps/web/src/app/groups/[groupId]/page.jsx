@@ -6,15 +6,18 @@ import { db } from '../../utils/db';
 import { useUser } from '../../hooks/useUser';
 import { useCrypto } from '../../hooks/useCrypto';
 import { usePeers } from '../../hooks/usePeers';
+import { useMessageAnchor } from '../../hooks/useMessageAnchor';
+import { indexMessage } from '../../utils/search';
 
 export default function GroupChatPage({ params }) {
   const { groupId } = params;
   const { user, isReady: userReady } = useUser();
   const { keys, isReady: cryptoReady } = useCrypto();
 
-  const handleIncomingMessage = (message) => {
+  const handleIncomingMessage = async (message) => {
     if (message.groupId === parseInt(groupId)) {
-      db.messages.add(message);
+      const id = await db.messages.add(message);
+      indexMessage('messages', { ...message, id });
     }
   };
 
@@ -27,8 +30,10 @@ export default function GroupChatPage({ params }) {
   const group = useLiveQuery(() => db.groups.get(parseInt(groupId)), [groupId]);
   const messages = useLiveQuery(() => db.messages.where('groupId').equals(parseInt(groupId)).sortBy('timestamp'), [groupId]);
   const friends = useLiveQuery(() => db.friends.toArray(), []);
+  const { highlightedId, isHolding } = useMessageAnchor(messages);
 
   useEffect(() => {
+    if (isHolding()) return;
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messages]);
 
@@ -42,7 +47,8 @@ export default function GroupChatPage({ params }) {
       timestamp: new Date(),
     };
 
-    await db.messages.add(message);
+    const id = await db.messages.add(message);
+    await indexMessage('messages', { ...message, id });
 
     // Send to all connected members
     group.members.forEach((email) => {
@@ -76,9 +82,15 @@ export default function GroupChatPage({ params }) {
           ) : (
             <List spacing={3}>
               {messages.map((m) => (
-                <ListItem key={m.id} alignSelf={m.senderId === user?.email ? 'flex-end' : 'flex-start'}>
+                <ListItem
+                  key={m.id}
+                  id={`message-${m.id}`}
+                  alignSelf={m.senderId === user?.email ? 'flex-end' : 'flex-start'}
+                >
                   <Box
                     bg={m.senderId === user?.email ? 'teal.500' : 'gray.600'}
+                    outline={m.id === highlightedId ? '2px solid' : 'none'}
+                    outlineColor="yellow.300"
                     color="white"
                     px={3}
                     py={1}
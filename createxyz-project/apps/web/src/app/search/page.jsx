@@ -0,0 +1,96 @@
+'use client';
+import { Box, Heading, Input, List, ListItem, Spinner, Text, HStack, Badge, Link as ChakraLink } from '@chakra-ui/react';
+import { Link } from 'react-router-dom';
+import { useEffect, useState } from 'react';
+import { useLiveQuery } from 'dexie-react-hooks';
+import { db } from '../../utils/db';
+import { useUser } from '../../hooks/useUser';
+import { queryTerms, searchMessages, segments } from '../../utils/search';
+
+const SEARCH_DELAY = 250;
+
+export default function SearchPage() {
+  const { user } = useUser();
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const groups = useLiveQuery(() => db.groups.toArray(), []);
+
+  // Search once typing pauses; a newer query cancels the older one
+  useEffect(() => {
+    if (queryTerms(query).length === 0) {
+      setResults([]);
+      setIsSearching(false);
+      return;
+    }
+
+    let cancelled = false;
+    setIsSearching(true);
+    const timeout = setTimeout(async () => {
+      const found = await searchMessages(query);
+      if (cancelled) return;
+      setResults(found);
+      setIsSearching(false);
+    }, SEARCH_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [query]);
+
+  const conversationName = ({ table, message }) => {
+    if (table === 'messages') {
+      return groups?.find((g) => g.id === message.groupId)?.name || 'Group';
+    }
+    return message.senderId === user?.email ? message.recipientEmail : message.senderId;
+  };
+
+  return (
+    <Box maxW="3xl" mx="auto" mt={8} px={4}>
+      <Heading size="lg" mb={4}>Search Messages</Heading>
+      <Input
+        placeholder="Search messages"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        autoFocus
+        mb={6}
+      />
+
+      {isSearching ? (
+        <Spinner />
+      ) : (
+        <List spacing={3}>
+          {results.map((result) => (
+            <ListItem key={`${result.table}:${result.messageId}`} bg="gray.700" p={3} rounded="md">
+              <ChakraLink
+                as={Link}
+                to={`${result.anchor.path}#${result.anchor.hash}`}
+                _hover={{ textDecoration: 'none' }}
+                display="block"
+              >
+                <HStack justifyContent="space-between" mb={1}>
+                  <HStack>
+                    <Text fontWeight="bold">{conversationName(result)}</Text>
+                    <Badge>{result.table === 'messages' ? 'Group' : 'Direct'}</Badge>
+                  </HStack>
+                  <Text fontSize="sm" color="gray.400">
+                    {new Date(result.message.timestamp).toLocaleDateString()}
+                  </Text>
+                </HStack>
+                <Text color="gray.200">
+                  {segments({ text: result.snippet, highlights: result.highlights }).map((segment, index) => (
+                    segment.highlighted
+                      ? <Text as="mark" key={index} bg="yellow.300" color="gray.800" rounded="sm">{segment.text}</Text>
+                      : <span key={index}>{segment.text}</span>
+                  ))}
+                </Text>
+              </ChakraLink>
+            </ListItem>
+          ))}
+          {queryTerms(query).length > 0 && results.length === 0 && <Text color="gray.400">No messages found</Text>}
+        </List>
+      )}
+    </Box>
+  );
+}
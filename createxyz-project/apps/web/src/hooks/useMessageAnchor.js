@@ -0,0 +1,36 @@
+import { useEffect, useRef, useState } from 'react';
+
+const HIGHLIGHT_DURATION = 2000;
+
+// Scroll to the message a search result links to (#message-<id>) once it
+// is in the list, and highlight it for a moment. Call before the page's own
+// scroll-to-bottom effect and skip that while isHolding() is true, which
+// lasts as long as the highlight.
+export function useMessageAnchor(messages) {
+  const [highlightedId, setHighlightedId] = useState(null);
+  const handled = useRef(false);
+  const holding = useRef(false);
+  const timer = useRef(null);
+
+  useEffect(() => () => clearTimeout(timer.current), []);
+
+  useEffect(() => {
+    if (handled.current || !messages) return;
+
+    const match = window.location.hash.match(/^#message-(\d+)$/);
+    const id = match && Number(match[1]);
+    if (!messages.some((m) => m.id === id)) return;
+
+    handled.current = true;
+    holding.current = true;
+    document.getElementById(`message-${id}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+    setHighlightedId(id);
+    timer.current = setTimeout(() => {
+      holding.current = false;
+      setHighlightedId(null);
+    }, HIGHLIGHT_DURATION);
+  }, [messages]);
+
+  return { highlightedId, isHolding: () => holding.current };
+}
@@ -72,16 +72,99 @@ export async function decryptMessage(sharedSecret, encrypted) {
   return new TextDecoder().decode(decryptedContent);
 }
 
-// Generate a safety number for key verification
-export async function generateSafetyNumber(publicKeyJwk1, publicKeyJwk2) {
-  // A simple safety number generation for demonstration.
-  // In a real app, use a more robust method like hashing the sorted public keys.
-  const combined = JSON.stringify(publicKeyJwk1) + JSON.stringify(publicKeyJwk2);
-  const buffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(combined));
-  const hashArray = Array.from(new Uint8Array(buffer));
-  const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-  // Return a short, readable version
-  return hashHex.slice(0, 8).toUpperCase();
+// --- Safety Numbers ---
+// Same fingerprint format as the mobile app (AmiXCrypto.computeFingerprint):
+// 5200 rounds of SHA-512 over the raw public key and the owner's stable ID,
+// rendered as 30 digits per party.
+
+const SAFETY_NUMBER = {
+  VERSION: 0,
+  ITERATIONS: 5200,
+  CHUNKS: 6,
+  QR_PREFIX: 'amix-safety',
+};
+
+function base64UrlToBytes(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+}
+
+function concatBytes(...parts) {
+  const out = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+// Raw uncompressed P-256 point: the key bytes a fingerprint covers
+export function publicKeyBytes(publicKeyJwk) {
+  return concatBytes(
+    new Uint8Array([4]),
+    base64UrlToBytes(publicKeyJwk.x),
+    base64UrlToBytes(publicKeyJwk.y)
+  );
+}
+
+// Stable string form of a public key, for remembering which key was verified
+export function encodePublicKey(publicKeyJwk) {
+  return btoa(String.fromCharCode(...publicKeyBytes(publicKeyJwk)));
+}
+
+export async function computeFingerprint(publicKeyJwk, stableId = '') {
+  const key = publicKeyBytes(publicKeyJwk);
+  const version = new Uint8Array([0, SAFETY_NUMBER.VERSION]);
+
+  let hash = new Uint8Array(await crypto.subtle.digest(
+    'SHA-512',
+    concatBytes(version, key, new TextEncoder().encode(stableId))
+  ));
+  for (let i = 0; i < SAFETY_NUMBER.ITERATIONS; i++) {
+    hash = new Uint8Array(await crypto.subtle.digest('SHA-512', concatBytes(hash, key)));
+  }
+
+  let digits = '';
+  for (let chunk = 0; chunk < SAFETY_NUMBER.CHUNKS; chunk++) {
+    let value = 0;
+    for (let i = chunk * 5; i < chunk * 5 + 5; i++) {
+      value = value * 256 + hash[i];
+    }
+    digits += String(value % 100000).padStart(5, '0');
+  }
+  return digits;
+}
+
+// Generate a safety number for key verification: both fingerprints sorted,
+// so both sides see the same 60 digits
+export async function generateSafetyNumber(localKeyJwk, remoteKeyJwk, localId = '', remoteId = '') {
+  const fingerprints = [
+    await computeFingerprint(localKeyJwk, localId),
+    await computeFingerprint(remoteKeyJwk, remoteId),
+  ].sort();
+
+  return fingerprints.join('').match(/.{5}/g).join(' ');
+}
+
+// QR payload: our fingerprint first, then the one we hold for the peer
+export async function createSafetyCode(localKeyJwk, remoteKeyJwk, localId = '', remoteId = '') {
+  const local = await computeFingerprint(localKeyJwk, localId);
+  const remote = await computeFingerprint(remoteKeyJwk, remoteId);
+  return `${SAFETY_NUMBER.QR_PREFIX}:${SAFETY_NUMBER.VERSION}:${local}${remote}`;
+}
+
+// Check a code scanned from the peer's screen against the keys we hold
+export async function verifySafetyCode(code, localKeyJwk, remoteKeyJwk, localId = '', remoteId = '') {
+  const [prefix, version, digits] = String(code).trim().split(':');
+  if (prefix !== SAFETY_NUMBER.QR_PREFIX ||
+      Number(version) !== SAFETY_NUMBER.VERSION ||
+      !/^\d{60}$/.test(digits || '')) {
+    throw new Error('Not an AmiX safety code');
+  }
+
+  return digits.slice(0, 30) === await computeFingerprint(remoteKeyJwk, remoteId) &&
+    digits.slice(30) === await computeFingerprint(localKeyJwk, localId);
 }
 
 // --- Double Ratchet Implementation for Forward Secrecy ---
@@ -11,3 +11,14 @@ db.version(1).stores({
   cryptoKeys: '++id, &name',
   ratchetStates: '&recipientEmail, rootKey, sendChain, receiveChain', // For forward secrecy
 });
+
+// Friends remember the identity key they were verified with; key changes
+// and verifications are kept in a local security log
+db.version(2).stores({
+  securityEvents: '++id, type, timestamp',
+});
+
+// Message search: blinded terms only, keyed by table and message ID
+db.version(3).stores({
+  searchIndex: 'key, *terms',
+});
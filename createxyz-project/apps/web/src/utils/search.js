@@ -0,0 +1,266 @@
+import { db } from './db';
+
+// On-device message search (mirrors the mobile app). Text is folded to
+// lowercase without diacritics and every prefix of every word becomes an
+// index term. Terms are blinded with an HMAC key that can't be exported
+// from the browser, so the searchIndex table holds no words. Blinding hides
+// the words, not how often they repeat.
+
+export const SEARCH_CONFIG = {
+  MIN_TERM_LENGTH: 2,
+  MAX_PREFIX_LENGTH: 12,
+  MAX_TERMS_PER_MESSAGE: 1000,
+  SNIPPET_CONTEXT: 30,
+  SNIPPET_LENGTH: 120,
+  MAX_RESULTS: 50,
+};
+
+// Message tables that are searched, and where their messages are shown
+export const SEARCH_TABLES = {
+  messages: (message) => `/groups/${message.groupId}`,
+  directMessages: () => '/friends',
+};
+
+const KEY_NAME = 'search-index-key';
+const WORD = /[\p{L}\p{N}]+/gu;
+const COMBINING_MARKS = /[\u0300-\u036f]/g;
+
+// Lowercase text without diacritics, with where each folded character came
+// from in the original
+export function fold(text) {
+  let folded = '';
+  const starts = [];
+  const ends = [];
+
+  let offset = 0;
+  for (const char of text) {
+    const plain = char.normalize('NFKD').replace(COMBINING_MARKS, '').toLowerCase();
+    // A separate accent belongs to the character before it
+    if (!plain && ends.length > 0 && ends[ends.length - 1] === offset) {
+      ends[ends.length - 1] = offset + char.length;
+    }
+    for (let i = 0; i < plain.length; i++) {
+      starts.push(offset);
+      ends.push(offset + char.length);
+    }
+    folded += plain;
+    offset += char.length;
+  }
+
+  return { folded, starts, ends };
+}
+
+export function words(text) {
+  return Array.from(fold(text).folded.matchAll(WORD), (match) => match[0]);
+}
+
+export function indexTerms(text) {
+  const terms = new Set();
+
+  for (const word of words(text)) {
+    const longest = Math.min(word.length, SEARCH_CONFIG.MAX_PREFIX_LENGTH);
+    for (let length = SEARCH_CONFIG.MIN_TERM_LENGTH; length <= longest; length++) {
+      terms.add(word.substring(0, length));
+    }
+    if (terms.size >= SEARCH_CONFIG.MAX_TERMS_PER_MESSAGE) break;
+  }
+
+  return Array.from(terms).slice(0, SEARCH_CONFIG.MAX_TERMS_PER_MESSAGE);
+}
+
+export function queryTerms(query) {
+  return Array.from(new Set(words(query || '')))
+    .filter((word) => word.length >= SEARCH_CONFIG.MIN_TERM_LENGTH);
+}
+
+// Where the query words match the start of words in the text
+export function findMatches(text, terms) {
+  const { folded, starts, ends } = fold(text);
+  const matches = [];
+
+  for (const match of folded.matchAll(WORD)) {
+    const term = terms
+      .filter((queryTerm) => match[0].startsWith(queryTerm))
+      .sort((a, b) => b.length - a.length)[0];
+
+    if (term) {
+      matches.push({ start: starts[match.index], end: ends[match.index + term.length - 1], term });
+    }
+  }
+  return matches;
+}
+
+export function matchesAll(text, terms) {
+  const found = Array.from(new Set(findMatches(text, terms).map((match) => match.term)));
+  return terms.every((term) => found.some((other) => other.startsWith(term)));
+}
+
+// A short piece of the text around the first match, with highlight offsets
+export function snippet(text, terms) {
+  const matches = findMatches(text, terms);
+  if (matches.length === 0) return null;
+
+  let from = Math.max(0, matches[0].start - SEARCH_CONFIG.SNIPPET_CONTEXT);
+  let to = Math.min(text.length, Math.max(from + SEARCH_CONFIG.SNIPPET_LENGTH, matches[0].end));
+
+  // Don't cut words in half
+  if (from > 0) {
+    const space = text.indexOf(' ', from);
+    if (space !== -1 && space < matches[0].start) from = space + 1;
+  }
+  if (to < text.length) {
+    const space = text.lastIndexOf(' ', to);
+    if (space > matches[0].end) to = space;
+  }
+
+  const prefix = from > 0 ? '…' : '';
+  const suffix = to < text.length ? '…' : '';
+  const shift = prefix.length - from;
+
+  return {
+    text: `${prefix}${text.substring(from, to)}${suffix}`,
+    highlights: matches
+      .filter((match) => match.start >= from && match.end <= to)
+      .map((match) => ({ start: match.start + shift, end: match.end + shift })),
+  };
+}
+
+// A snippet as plain and highlighted pieces, for rendering
+export function segments({ text, highlights }) {
+  const pieces = [];
+  let offset = 0;
+
+  for (const { start, end } of highlights) {
+    if (start > offset) pieces.push({ text: text.substring(offset, start), highlighted: false });
+    pieces.push({ text: text.substring(start, end), highlighted: true });
+    offset = end;
+  }
+  if (offset < text.length) {
+    pieces.push({ text: text.substring(offset), highlighted: false });
+  }
+  return pieces;
+}
+
+// --- Blinded index ---
+
+let searchKey = null;
+
+async function getSearchKey() {
+  if (searchKey) return searchKey;
+
+  let stored = await db.cryptoKeys.get({ name: KEY_NAME });
+  if (!stored) {
+    // Terms blinded with a lost key can't be looked up anymore
+    await db.searchIndex.clear();
+
+    const key = await window.crypto.subtle.generateKey(
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    );
+    await db.cryptoKeys.add({ name: KEY_NAME, key, built: 0 });
+    stored = await db.cryptoKeys.get({ name: KEY_NAME });
+  }
+
+  searchKey = stored.key;
+  return searchKey;
+}
+
+async function blindTerms(terms) {
+  const key = await getSearchKey();
+  const encoder = new TextEncoder();
+
+  return Promise.all(terms.map(async (term) => {
+    const mac = await window.crypto.subtle.sign('HMAC', key, encoder.encode(term));
+    return Array.from(new Uint8Array(mac).slice(0, 16), (b) => b.toString(16).padStart(2, '0')).join('');
+  }));
+}
+
+const indexKey = (table, messageId) => `${table}:${messageId}`;
+
+// Add or replace a stored message's terms; search never breaks messaging
+export async function indexMessage(table, message) {
+  try {
+    if (typeof message?.content !== 'string' || !message.content.trim()) {
+      await removeFromIndex(table, message.id);
+      return;
+    }
+
+    await db.searchIndex.put({
+      key: indexKey(table, message.id),
+      terms: await blindTerms(indexTerms(message.content)),
+    });
+  } catch (error) {
+    console.error('Failed to index message:', error);
+  }
+}
+
+export async function removeFromIndex(table, messageId) {
+  await db.searchIndex.delete(indexKey(table, messageId));
+}
+
+// Index messages stored before search existed, once
+async function buildSearchIndex() {
+  await getSearchKey();
+  const stored = await db.cryptoKeys.get({ name: KEY_NAME });
+  if (stored.built) return;
+
+  for (const table of Object.keys(SEARCH_TABLES)) {
+    const messages = await db[table].toArray();
+    for (const message of messages) {
+      await indexMessage(table, message);
+    }
+  }
+  await db.cryptoKeys.update(stored.id, { built: 1 });
+}
+
+/**
+ * Search group and direct messages stored in this browser
+ * @returns {Promise<Array>} Newest first: { table, messageId, message,
+ *   snippet, highlights, anchor: { path, hash } }
+ */
+export async function searchMessages(query, limit = SEARCH_CONFIG.MAX_RESULTS) {
+  try {
+    const terms = queryTerms(query);
+    if (terms.length === 0) return [];
+
+    await buildSearchIndex();
+    const blinded = await blindTerms(terms.map((term) => term.substring(0, SEARCH_CONFIG.MAX_PREFIX_LENGTH)));
+
+    // 1) Messages that have every term
+    let candidates = null;
+    for (const term of blinded) {
+      const keys = new Set(await db.searchIndex.where('terms').equals(term).primaryKeys());
+      candidates = candidates ? new Set([...candidates].filter((key) => keys.has(key))) : keys;
+      if (candidates.size === 0) return [];
+    }
+
+    // 2) Check the text itself: long words share their indexed prefix
+    const results = [];
+    for (const key of candidates) {
+      const separator = key.indexOf(':');
+      const table = key.substring(0, separator);
+      const messageId = Number(key.substring(separator + 1));
+      const message = SEARCH_TABLES[table] && await db[table].get(messageId);
+      if (!message || !matchesAll(message.content, terms)) continue;
+
+      const found = snippet(message.content, terms);
+      results.push({
+        table,
+        messageId,
+        message,
+        snippet: found.text,
+        highlights: found.highlights,
+        anchor: { path: SEARCH_TABLES[table](message), hash: `message-${messageId}` },
+      });
+    }
+
+    // 3) Newest first
+    return results
+      .sort((a, b) => new Date(b.message.timestamp) - new Date(a.message.timestamp))
+      .slice(0, limit);
+  } catch (error) {
+    console.error('Failed to search messages:', error);
+    return [];
+  }
+}
@@ -0,0 +1,24 @@
+import { db } from './db';
+
+// Security events worth keeping a local record of (mirrors the mobile app)
+export const SECURITY_EVENTS = {
+  CONTACT_VERIFIED: 'contact_verified',
+  IDENTITY_KEY_CHANGED: 'identity_key_changed',
+};
+
+const MAX_LOG_ENTRIES = 1000;
+
+export async function logSecurityEvent(type, details = {}) {
+  try {
+    await db.securityEvents.add({ type, timestamp: Date.now(), ...details });
+
+    // Keep only the most recent events
+    const count = await db.securityEvents.count();
+    if (count > MAX_LOG_ENTRIES) {
+      const stale = await db.securityEvents.orderBy('timestamp').limit(count - MAX_LOG_ENTRIES).primaryKeys();
+      await db.securityEvents.bulkDelete(stale);
+    }
+  } catch (error) {
+    console.error('Failed to log security event:', error);
+  }
+}
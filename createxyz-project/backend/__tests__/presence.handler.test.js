@@ -0,0 +1,75 @@
+import { registerPresenceHandlers } from '../src/socket/presence.handler.js';
+import { LAST_SEEN_VISIBILITY } from '../src/socket/presence.js';
+
+// Presence handler tests
+// Subscriptions and settings over the signaling socket, and staying up
+// whatever a client passes as the payload or the ack.
+
+const AMY = 'Amy234567';
+const BOB = 'Bob234567';
+
+const createPresence = () => {
+  const calls = [];
+  const record = (name, result) => async (...args) => {
+    calls.push([name, ...args]);
+    return result;
+  };
+  return {
+    calls,
+    connect: record('connect', false),
+    heartbeat: record('heartbeat'),
+    disconnect: record('disconnect', false),
+    watch: record('watch'),
+    unwatch: record('unwatch'),
+    view: async (ownerId) => ({ amixId: ownerId, online: true, lastSeen: null }),
+    setSettings: record('setSettings'),
+    watchers: async () => [],
+    allowedViewers: async () => [],
+    getPresence: async (amixId) => ({ amixId, online: true }),
+  };
+};
+
+describe('Presence handlers', () => {
+  let presence;
+  let handlers;
+
+  beforeEach(() => {
+    presence = createPresence();
+    handlers = new Map();
+    const socket = { id: 'socket-1', amixId: AMY, on: (event, handler) => handlers.set(event, handler) };
+    registerPresenceHandlers({ to: () => ({ emit: () => {} }) }, socket, presence);
+  });
+
+  afterEach(() => handlers.get('disconnect')());
+
+  // A request with an ack, as a client sends it
+  const request = (event, payload) => new Promise(resolve => handlers.get(event)(payload, resolve));
+
+  test('should subscribe and answer with what the viewer may see', async () => {
+    const response = await request('presence:subscribe', { amixIds: [BOB] });
+
+    expect(response).toEqual({ status: 'success', data: [{ amixId: BOB, online: true, lastSeen: null }] });
+    expect(presence.calls).toContainEqual(['watch', AMY, [BOB]]);
+  });
+
+  test('should refuse an invalid ID list or setting', async () => {
+    expect(await request('presence:unsubscribe', { amixIds: ['../x'] }))
+      .toEqual({ status: 'error', message: 'Invalid AmiX ID list' });
+    expect(await request('presence:settings', { lastSeen: 'sometimes' }))
+      .toEqual({ status: 'error', message: 'Invalid last-seen setting' });
+  });
+
+  test('should answer a missing payload with an error', async () => {
+    expect(await request('presence:subscribe', null)).toEqual({ status: 'error', message: 'Invalid AmiX ID list' });
+    expect(await request('presence:unsubscribe', 'x')).toEqual({ status: 'error', message: 'Invalid AmiX ID list' });
+    expect(await request('presence:settings', null)).toEqual({ status: 'error', message: 'Invalid last-seen setting' });
+  });
+
+  test('should not throw for an ack that is not a function', async () => {
+    for (const event of ['presence:subscribe', 'presence:unsubscribe', 'presence:settings']) {
+      await expect(handlers.get(event)({ amixIds: [], lastSeen: LAST_SEEN_VISIBILITY.EVERYONE }, 5)).resolves.toBeUndefined();
+      await expect(handlers.get(event)(null, 'ack')).resolves.toBeUndefined();
+      await expect(handlers.get(event)()).resolves.toBeUndefined();
+    }
+  });
+});
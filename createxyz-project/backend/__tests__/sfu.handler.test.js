@@ -0,0 +1,176 @@
+import { registerSfuHandlers } from '../src/socket/sfu.handler.js';
+
+// SFU handler tests
+// Rooms, membership and frame forwarding, against an in-memory stand-in for
+// the socket.io namespace.
+
+const createNamespace = () => {
+  const namespace = { sockets: new Map() };
+
+  // A socket ID reaches that socket; a room name everyone who joined it
+  const deliver = (target, except) => (event, ...args) => {
+    for (const socket of namespace.sockets.values()) {
+      if (socket === except) continue;
+      if (socket.id === target || socket.rooms.has(target)) {
+        socket.received.push({ event, args });
+      }
+    }
+  };
+
+  namespace.to = (target) => {
+    const emit = deliver(target);
+    return { emit, volatile: { emit } };
+  };
+
+  namespace.connect = (amixId) => {
+    const handlers = new Map();
+    const socket = {
+      id: `socket-${amixId}`,
+      amixId,
+      rooms: new Set(),
+      received: [],
+      on: (event, handler) => handlers.set(event, handler),
+      join: room => socket.rooms.add(room),
+      leave: room => socket.rooms.delete(room),
+      to: room => ({ emit: deliver(room, socket) }),
+      emit: (event, ...args) => socket.received.push({ event, args }),
+      // Client side: a request with an ack, and a fire-and-forget frame
+      request: (event, payload) => new Promise(resolve => handlers.get(event)(payload, resolve)),
+      send: (event, ...args) => handlers.get(event)(...args),
+      sendFrame: (meta, data) => handlers.get('sfu:frame')(meta, data),
+      disconnect: () => handlers.get('disconnect')(),
+      frames: () => socket.received.filter(({ event }) => event === 'sfu:frame').map(({ args }) => args[0]),
+    };
+    namespace.sockets.set(socket.id, socket);
+    registerSfuHandlers(namespace, socket);
+    return socket;
+  };
+
+  return namespace;
+};
+
+const AMY = 'Amy234567';
+const BOB = 'Bob234567';
+const CAT = 'Cat234567';
+
+let callCount = 0;
+
+describe('SFU handlers', () => {
+  let namespace;
+  let callId;
+  let amy;
+  let bob;
+  let cat;
+
+  beforeEach(async () => {
+    namespace = createNamespace();
+    callCount += 1;
+    callId = `call-${callCount}-0000`;
+
+    amy = namespace.connect(AMY);
+    bob = namespace.connect(BOB);
+    cat = namespace.connect(CAT);
+
+    await amy.request('sfu:create', { callId, groupId: 'group-1', participants: [BOB, CAT] });
+    for (const socket of [amy, bob, cat]) {
+      await socket.request('sfu:join', { callId, muted: false, videoEnabled: true });
+    }
+  });
+
+  afterEach(() => {
+    [amy, bob, cat].forEach(socket => socket.disconnect());
+  });
+
+  describe('Rooms', () => {
+    test('should refuse invalid call IDs', async () => {
+      const response = await amy.request('sfu:create', { callId: '../x', participants: [] });
+
+      expect(response).toEqual({ status: 'error', message: 'Invalid call ID' });
+    });
+
+    test('should answer a missing payload with an error', async () => {
+      for (const event of ['sfu:create', 'sfu:join', 'sfu:leave', 'sfu:update-participants', 'sfu:state', 'sfu:subscribe']) {
+        expect(await amy.request(event, null)).toEqual({ status: 'error', message: 'Invalid request' });
+      }
+    });
+
+    test('should not throw for an ack that is not a function', () => {
+      for (const event of ['sfu:create', 'sfu:join', 'sfu:leave', 'sfu:update-participants', 'sfu:state', 'sfu:subscribe']) {
+        expect(() => amy.send(event, { callId }, 5)).not.toThrow();
+        expect(() => amy.send(event, null, 'ack')).not.toThrow();
+        expect(() => amy.send(event)).not.toThrow();
+      }
+      expect(() => amy.send('sfu:update-participants', { callId, add: 5 }, 5)).not.toThrow();
+    });
+
+    test('should only let listed participants join', async () => {
+      const outsider = namespace.connect('Eve234567');
+
+      expect(await outsider.request('sfu:join', { callId })).toEqual({ status: 'error', message: 'Call not found' });
+      expect(await outsider.request('sfu:create', { callId, participants: [] }))
+        .toEqual({ status: 'error', message: 'Invalid call ID' });
+      outsider.disconnect();
+    });
+
+    test('should only let the host change who may stay', async () => {
+      const response = await bob.request('sfu:update-participants', { callId, remove: [AMY] });
+
+      expect(response).toEqual({ status: 'error', message: 'Only the host can change participants' });
+    });
+
+    test('should drop a participant the host removes', async () => {
+      await amy.request('sfu:update-participants', { callId, remove: [CAT] });
+      bob.sendFrame({ callId, kind: 'audio' }, Buffer.from([1, 2, 3]));
+
+      expect(cat.received.map(({ event }) => event)).toContain('sfu:removed');
+      expect(cat.frames()).toEqual([]);
+      expect(await cat.request('sfu:join', { callId })).toEqual({ status: 'error', message: 'Call not found' });
+    });
+  });
+
+  describe('Frames', () => {
+    test('should forward frames to everyone else, named by the sending socket', async () => {
+      bob.sendFrame({ callId, kind: 'video', type: 'key', from: CAT, timestamp: 10 }, Buffer.from([1, 2, 3]));
+
+      const expected = { callId, from: BOB, kind: 'video', type: 'key', timestamp: 10 };
+      expect(amy.frames()).toEqual([expected]);
+      expect(cat.frames()).toEqual([expected]);
+      expect(bob.frames()).toEqual([]);
+    });
+
+    test('should not forward frames from muted participants', async () => {
+      await bob.request('sfu:state', { callId, muted: true, videoEnabled: false });
+      bob.sendFrame({ callId, kind: 'audio' }, Buffer.from([1]));
+      bob.sendFrame({ callId, kind: 'video', type: 'delta' }, Buffer.from([1]));
+
+      expect(amy.frames()).toEqual([]);
+    });
+
+    test('should drop frames of unknown kinds and frames from outside the call', async () => {
+      const outsider = namespace.connect('Eve234567');
+      bob.sendFrame({ callId, kind: 'data' }, Buffer.from([1]));
+      outsider.sendFrame({ callId, kind: 'audio' }, Buffer.from([1]));
+
+      expect(amy.frames()).toEqual([]);
+      outsider.disconnect();
+    });
+
+    test('should only send the video a participant subscribed to', async () => {
+      await amy.request('sfu:subscribe', { callId, videoFrom: [CAT] });
+      bob.sendFrame({ callId, kind: 'video', type: 'delta' }, Buffer.from([1]));
+      bob.sendFrame({ callId, kind: 'audio' }, Buffer.from([1]));
+      cat.sendFrame({ callId, kind: 'video', type: 'delta' }, Buffer.from([1]));
+
+      expect(amy.frames().map(({ from, kind }) => `${from}:${kind}`)).toEqual([`${BOB}:audio`, `${CAT}:video`]);
+    });
+
+    test('should announce the loudest participant as the active speaker', async () => {
+      for (let i = 0; i < 5; i += 1) {
+        bob.sendFrame({ callId, kind: 'audio', audioLevel: 0.8 }, Buffer.from([1]));
+      }
+
+      const announcements = amy.received.filter(({ event }) => event === 'sfu:active-speaker').map(({ args }) => args[0]);
+      expect(announcements).toEqual([{ callId, amixId: BOB }]);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+import { registerSignalingHandlers } from '../src/socket/signaling.handler.js';
+
+// Signaling handler tests
+// Routing and queueing signals, and staying up whatever a client passes
+// as the signal or its ack.
+
+const AMY = 'Amy234567';
+const BOB = 'Bob234567';
+
+const createSocket = (amixId, online = []) => {
+  const handlers = new Map();
+  const routed = [];
+  const namespace = {
+    in: (room) => ({ fetchSockets: async () => (online.includes(room) ? [{}] : []) }),
+    to: (room) => ({ emit: (event, message) => routed.push({ room, event, message }) }),
+  };
+  const socket = {
+    id: `socket-${amixId}`,
+    amixId,
+    join: () => {},
+    emit: () => {},
+    on: (event, handler) => handlers.set(event, handler),
+  };
+  const queued = [];
+  const queue = { drain: async () => [], enqueue: async (to, message) => queued.push({ to, message }) };
+
+  registerSignalingHandlers(namespace, socket, queue);
+  return { signal: (...args) => handlers.get('signal')(...args), routed, queued };
+};
+
+describe('Signaling handlers', () => {
+  test('should stamp the sender and deliver to an online recipient', async () => {
+    const amy = createSocket(AMY, [`amix:${BOB}`]);
+    const acks = [];
+
+    await amy.signal({ type: 'offer', to: BOB, from: 'Eve234567', data: { sdp: 'v=0' } }, ack => acks.push(ack));
+
+    expect(amy.routed).toEqual([{
+      room: `amix:${BOB}`,
+      event: 'signal',
+      message: expect.objectContaining({ type: 'offer', from: AMY, to: BOB, data: { sdp: 'v=0' } }),
+    }]);
+    expect(acks).toEqual([expect.objectContaining({ status: 'delivered' })]);
+  });
+
+  test('should queue signals for offline recipients', async () => {
+    const amy = createSocket(AMY);
+    const acks = [];
+
+    await amy.signal({ type: 'call-invitation', to: BOB }, ack => acks.push(ack));
+
+    expect(amy.queued).toEqual([{ to: BOB, message: expect.objectContaining({ from: AMY }) }]);
+    expect(acks).toEqual([expect.objectContaining({ status: 'queued' })]);
+  });
+
+  test('should not throw for a missing signal or an ack that is not a function', async () => {
+    const amy = createSocket(AMY);
+
+    await expect(amy.signal(null, 5)).resolves.toBeUndefined();
+    await expect(amy.signal({ type: 'offer', to: BOB }, 'ack')).resolves.toBeUndefined();
+    await expect(amy.signal()).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,300 @@
+import { Attachment, ATTACHMENT_LIMITS } from '../models/attachment.model.js';
+import { AppError } from '../utils/error.js';
+import {
+  CHUNK_HASH_PATTERN,
+  hashChunk,
+  claimChunk,
+  writeChunk,
+  createChunkStream
+} from '../utils/blobStore.js';
+
+const isValidChunkList = chunks =>
+  Array.isArray(chunks) &&
+  chunks.length > 0 &&
+  chunks.length <= ATTACHMENT_LIMITS.MAX_CHUNKS &&
+  chunks.every(chunk =>
+    chunk &&
+    typeof chunk.hash === 'string' &&
+    CHUNK_HASH_PATTERN.test(chunk.hash) &&
+    Number.isInteger(chunk.size) &&
+    chunk.size > 0 &&
+    chunk.size <= ATTACHMENT_LIMITS.MAX_CHUNK_SIZE
+  );
+
+// Parse a single `bytes=start-end` range; null means the whole attachment
+const parseRange = (header, size) => {
+  if (!header) return null;
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header);
+  if (!match || (!match[1] && !match[2])) return undefined;
+
+  // `bytes=-N` asks for the last N bytes
+  const start = match[1] ? Number(match[1]) : Math.max(size - Number(match[2]), 0);
+  const end = match[1] && match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+
+  return start <= end && start < size ? { start, end } : undefined;
+};
+
+const progress = attachment => ({
+  id: attachment.id,
+  status: attachment.status,
+  offset: attachment.offset,
+  nextChunk: attachment.uploadedChunks,
+  chunkCount: attachment.chunks.length,
+  size: attachment.size,
+  expiresAt: attachment.expiresAt
+});
+
+// Find an upload session owned by the caller
+const findOwnUpload = async (req) => {
+  const attachment = await Attachment.findByPk(req.params.id);
+  if (!attachment || attachment.uploaderAmixId !== req.user.amixId) {
+    throw new AppError('Attachment not found', 404);
+  }
+  return attachment;
+};
+
+// Skip over leading chunks the store already holds (content addressing),
+// claiming each so garbage collection doesn't take it from under us
+const skipStoredChunks = async (attachment) => {
+  let { uploadedChunks, offset } = attachment;
+  while (uploadedChunks < attachment.chunks.length &&
+         await claimChunk(attachment.chunks[uploadedChunks].hash)) {
+    offset += attachment.chunks[uploadedChunks].size;
+    uploadedChunks += 1;
+  }
+
+  if (uploadedChunks !== attachment.uploadedChunks) {
+    await attachment.update({ uploadedChunks, offset });
+  }
+  return attachment;
+};
+
+// Start a resumable upload of an encrypted attachment
+export const createUpload = async (req, res, next) => {
+  try {
+    const { chunks } = req.body;
+
+    // 1) Validate the declared chunk list
+    if (!req.user.amixId) {
+      return next(new AppError('No AmiX ID registered for this account', 400));
+    }
+
+    if (!isValidChunkList(chunks)) {
+      return next(new AppError('Please provide a valid list of chunk hashes and sizes', 400));
+    }
+
+    const size = chunks.reduce((total, chunk) => total + chunk.size, 0);
+    if (size > ATTACHMENT_LIMITS.MAX_SIZE) {
+      return next(new AppError('Attachment too large', 413));
+    }
+
+    // 2) Open the session; it expires unless completed in time
+    const attachment = await Attachment.create({
+      uploaderAmixId: req.user.amixId,
+      chunks: chunks.map(({ hash, size: chunkSize }) => ({ hash, size: chunkSize })),
+      size,
+      expiresAt: new Date(Date.now() + ATTACHMENT_LIMITS.UPLOAD_TTL)
+    });
+
+    await skipStoredChunks(attachment);
+
+    res.status(201).json({
+      status: 'success',
+      data: progress(attachment)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Where an interrupted upload should resume
+export const getUpload = async (req, res, next) => {
+  try {
+    const attachment = await findOwnUpload(req);
+
+    res.status(200).json({
+      status: 'success',
+      data: progress(attachment)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Store the next chunk of an upload
+export const putChunk = async (req, res, next) => {
+  try {
+    const index = Number.parseInt(req.params.index, 10);
+    const attachment = await findOwnUpload(req);
+
+    // 1) Chunks arrive in order; repeating a stored one is harmless
+    if (attachment.status !== 'uploading') {
+      return next(new AppError('Upload already completed', 409));
+    }
+
+    if (!Number.isInteger(index) || index < 0 || index >= attachment.chunks.length) {
+      return next(new AppError('Invalid chunk index', 400));
+    }
+
+    if (index < attachment.uploadedChunks) {
+      return res.status(200).json({ status: 'success', data: progress(attachment) });
+    }
+
+    if (index > attachment.uploadedChunks) {
+      return next(new AppError(`Expected chunk ${attachment.uploadedChunks}`, 409));
+    }
+
+    // 2) The bytes must be exactly what the session declared
+    const expected = attachment.chunks[index];
+    const data = req.body;
+
+    if (!Buffer.isBuffer(data) || data.length !== expected.size || hashChunk(data) !== expected.hash) {
+      return next(new AppError('Chunk does not match its declared hash', 400));
+    }
+
+    if (!await claimChunk(expected.hash)) {
+      await writeChunk(expected.hash, data);
+    }
+
+    // 3) Advance, only if no concurrent request already did
+    const [advanced] = await Attachment.update(
+      {
+        uploadedChunks: index + 1,
+        offset: attachment.offset + expected.size
+      },
+      { where: { id: attachment.id, uploadedChunks: index } }
+    );
+
+    if (!advanced) {
+      return next(new AppError('Upload changed concurrently, please resume', 409));
+    }
+
+    await attachment.reload();
+    await skipStoredChunks(attachment);
+
+    res.status(200).json({
+      status: 'success',
+      data: progress(attachment)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Finish an upload and start the attachment's lifetime
+export const completeUpload = async (req, res, next) => {
+  try {
+    const attachment = await findOwnUpload(req);
+
+    if (attachment.uploadedChunks < attachment.chunks.length) {
+      return next(new AppError(`Upload incomplete, expected chunk ${attachment.uploadedChunks}`, 409));
+    }
+
+    if (attachment.status !== 'complete') {
+      await attachment.update({
+        status: 'complete',
+        expiresAt: new Date(Date.now() + Attachment.resolveTtl(req.body.ttl))
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: progress(attachment)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Chunk list for downloaders; the attachment ID itself is the capability
+export const getAttachment = async (req, res, next) => {
+  try {
+    const attachment = await Attachment.findByPk(req.params.id);
+
+    if (!attachment || attachment.status !== 'complete' || attachment.expiresAt <= new Date()) {
+      return next(new AppError('Attachment not found', 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        id: attachment.id,
+        size: attachment.size,
+        chunks: attachment.chunks,
+        expiresAt: attachment.expiresAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Stream ciphertext, honouring a single byte range
+export const downloadAttachment = async (req, res, next) => {
+  try {
+    const attachment = await Attachment.findByPk(req.params.id);
+
+    if (!attachment || attachment.status !== 'complete' || attachment.expiresAt <= new Date()) {
+      return next(new AppError('Attachment not found', 404));
+    }
+
+    // 1) Resolve the requested range
+    const range = parseRange(req.headers.range, attachment.size);
+    if (range === undefined) {
+      res.set('Content-Range', `bytes */${attachment.size}`);
+      return next(new AppError('Requested range not satisfiable', 416));
+    }
+
+    const { start, end } = range || { start: 0, end: attachment.size - 1 };
+
+    res.status(range ? 206 : 200).set({
+      'Content-Type': 'application/octet-stream',
+      'Content-Length': end - start + 1,
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'private, no-store',
+      ...(range && { 'Content-Range': `bytes ${start}-${end}/${attachment.size}` })
+    });
+
+    // 2) Pipe the overlapping chunks one after another
+    const offsets = attachment.chunkOffsets();
+    for (let i = 0; i < attachment.chunks.length; i += 1) {
+      const chunkStart = offsets[i];
+      const chunkEnd = offsets[i + 1] - 1;
+      if (chunkEnd < start || chunkStart > end) continue;
+
+      const stream = createChunkStream(
+        attachment.chunks[i].hash,
+        Math.max(start, chunkStart) - chunkStart,
+        Math.min(end, chunkEnd) - chunkStart
+      );
+
+      await new Promise((resolve, reject) => {
+        stream.on('error', reject);
+        stream.on('end', resolve);
+        stream.pipe(res, { end: false });
+      });
+    }
+
+    res.end();
+  } catch (error) {
+    // Headers are gone once streaming started; all we can do is cut it off
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    next(error);
+  }
+};
+
+// Delete an attachment early; its chunks go with the next collection
+export const deleteAttachment = async (req, res, next) => {
+  try {
+    const attachment = await findOwnUpload(req);
+    await attachment.destroy();
+
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,284 @@
+import crypto from 'crypto';
+import { sequelize } from '../config/db.js';
+import { User } from '../models/user.model.js';
+import { Device, DEVICE_ID_PATTERN, DEVICE_LIMITS } from '../models/device.model.js';
+import { PreKey } from '../models/preKey.model.js';
+import { ProvisioningSession } from '../models/provisioningSession.model.js';
+import { AppError } from '../utils/error.js';
+
+const AMIX_ID_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{8,12}$/;
+const PLATFORMS = ['ios', 'android', 'web', 'unknown'];
+
+// Unambiguous alphabet so codes can be typed from another screen
+const CODE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+const CODE_LENGTH = 8;
+const MAX_ENVELOPE_SIZE = 16 * 1024;
+
+const generateCode = () => {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+};
+
+const isPublicKey = (value) =>
+  typeof value === 'string' && Buffer.from(value, 'base64').length === 32;
+
+const serializeDevice = (device) => ({
+  deviceId: device.deviceId,
+  name: device.name,
+  platform: device.platform,
+  linkedAt: device.createdAt,
+  lastSeenAt: device.lastSeenAt
+});
+
+// Find a provisioning session owned by the caller that is still usable
+const findSession = async (code, userId) => {
+  const session = await ProvisioningSession.findByPk(String(code).toUpperCase());
+  if (!session || session.userId !== userId || session.isExpired()) {
+    return null;
+  }
+  return session;
+};
+
+// List the caller's linked devices
+export const listDevices = async (req, res, next) => {
+  try {
+    const devices = await Device.findAll({
+      where: { userId: req.user.id },
+      order: [['createdAt', 'ASC']]
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: devices.length,
+      data: { devices: devices.map(serializeDevice) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Register (or refresh) the calling device
+export const registerDevice = async (req, res, next) => {
+  try {
+    const { deviceId, name, platform = 'unknown' } = req.body;
+
+    // 1) Validate input
+    if (!deviceId || !DEVICE_ID_PATTERN.test(deviceId)) {
+      return next(new AppError('Please provide a valid device ID', 400));
+    }
+
+    if (!PLATFORMS.includes(platform)) {
+      return next(new AppError('Unknown device platform', 400));
+    }
+
+    // 2) Refresh an existing registration
+    const existing = await Device.findOne({
+      where: { userId: req.user.id, deviceId }
+    });
+
+    if (existing) {
+      await existing.update({ name: name || existing.name, platform, lastSeenAt: new Date() });
+      return res.status(200).json({
+        status: 'success',
+        data: { device: serializeDevice(existing) }
+      });
+    }
+
+    // 3) Enforce the device limit for new registrations
+    const count = await Device.count({ where: { userId: req.user.id } });
+    if (count >= DEVICE_LIMITS.MAX_DEVICES) {
+      return next(new AppError(`You can link at most ${DEVICE_LIMITS.MAX_DEVICES} devices`, 409));
+    }
+
+    const device = await Device.create({
+      userId: req.user.id,
+      deviceId,
+      name: name ? String(name).slice(0, 64) : null,
+      platform,
+      lastSeenAt: new Date()
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: { device: serializeDevice(device) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Unlink one of the caller's devices and drop its prekeys
+export const unlinkDevice = async (req, res, next) => {
+  try {
+    const { deviceId } = req.params;
+
+    const deleted = await sequelize.transaction(async (transaction) => {
+      await PreKey.destroy({
+        where: { userId: req.user.id, deviceId },
+        transaction
+      });
+
+      return Device.destroy({
+        where: { userId: req.user.id, deviceId },
+        transaction
+      });
+    });
+
+    if (!deleted) {
+      return next(new AppError('No device found with that ID', 404));
+    }
+
+    res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Device IDs of an AmiX identity, so senders can fan out per device
+export const listUserDevices = async (req, res, next) => {
+  try {
+    const { amixId } = req.params;
+
+    if (!AMIX_ID_PATTERN.test(amixId)) {
+      return next(new AppError('Please provide a valid AmiX ID', 400));
+    }
+
+    const user = await User.findOne({ where: { amixId, active: true } });
+    if (!user) {
+      return next(new AppError('No user found with that AmiX ID', 404));
+    }
+
+    const devices = await Device.findAll({
+      where: { userId: user.id },
+      attributes: ['deviceId'],
+      order: [['createdAt', 'ASC']]
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: { deviceIds: devices.map(device => device.deviceId) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// New device: open a linking session with an ephemeral public key
+export const createProvisioning = async (req, res, next) => {
+  try {
+    const { publicKey, deviceName, platform = 'unknown' } = req.body;
+
+    if (!isPublicKey(publicKey)) {
+      return next(new AppError('Please provide a valid ephemeral public key', 400));
+    }
+
+    if (!PLATFORMS.includes(platform)) {
+      return next(new AppError('Unknown device platform', 400));
+    }
+
+    const session = await ProvisioningSession.create({
+      code: generateCode(),
+      userId: req.user.id,
+      publicKey,
+      deviceName: deviceName ? String(deviceName).slice(0, 64) : null,
+      platform,
+      expiresAt: new Date(Date.now() + DEVICE_LIMITS.PROVISIONING_TTL)
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        code: session.code,
+        expiresAt: session.expiresAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Existing device: look up a linking session by its typed code
+export const getProvisioning = async (req, res, next) => {
+  try {
+    const session = await findSession(req.params.code, req.user.id);
+    if (!session || session.envelope) {
+      return next(new AppError('Linking code is invalid or has expired', 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        publicKey: session.publicKey,
+        deviceName: session.deviceName,
+        platform: session.platform,
+        expiresAt: session.expiresAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Existing device: deliver the identity sealed to the new device's key
+export const completeProvisioning = async (req, res, next) => {
+  try {
+    const { envelope } = req.body;
+
+    if (!envelope) {
+      return next(new AppError('Please provide the provisioning envelope', 400));
+    }
+
+    const serialized = typeof envelope === 'string' ? envelope : JSON.stringify(envelope);
+    if (serialized.length > MAX_ENVELOPE_SIZE) {
+      return next(new AppError('Provisioning envelope too large', 413));
+    }
+
+    const session = await findSession(req.params.code, req.user.id);
+    if (!session || session.envelope) {
+      return next(new AppError('Linking code is invalid or has expired', 404));
+    }
+
+    await session.update({ envelope: serialized });
+
+    res.status(200).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// New device: collect the envelope once; the session is then destroyed
+export const claimProvisioning = async (req, res, next) => {
+  try {
+    const session = await findSession(req.params.code, req.user.id);
+    if (!session) {
+      return next(new AppError('Linking code is invalid or has expired', 404));
+    }
+
+    // Not approved yet: the new device keeps polling
+    if (!session.envelope) {
+      return res.status(202).json({
+        status: 'pending',
+        data: { expiresAt: session.expiresAt }
+      });
+    }
+
+    const { envelope } = session;
+    await session.destroy();
+
+    res.status(200).json({
+      status: 'success',
+      data: { envelope }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,275 @@
+import crypto from 'crypto';
+import { sequelize } from '../config/db.js';
+import { User } from '../models/user.model.js';
+import { PreKey, PREKEY_LIMITS } from '../models/preKey.model.js';
+import { Device } from '../models/device.model.js';
+import { AppError } from '../utils/error.js';
+
+const AMIX_ID_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{8,12}$/;
+
+// DER prefix turning a raw 32-byte Ed25519 key into SPKI
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+// Decode a base64 key and check it is exactly `length` bytes
+const decodeKey = (value, length) => {
+  if (typeof value !== 'string') return null;
+  const bytes = Buffer.from(value, 'base64');
+  return bytes.length === length ? bytes : null;
+};
+
+// Check that the signed prekey was signed by the uploader's identity
+const verifySignedPreKey = (signingKey, publicKey, signature) => {
+  try {
+    const key = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, signingKey]),
+      format: 'der',
+      type: 'spki'
+    });
+    return crypto.verify(null, publicKey, key, signature);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Publish identity key, signed prekeys (X25519 and optionally Kyber) and one-time prekeys
+export const uploadKeys = async (req, res, next) => {
+  try {
+    const {
+      deviceId, identityKey, signingKey, signedPreKey, pqPreKey, oneTimePreKeys = []
+    } = req.body;
+
+    // 1) Prekeys belong to a registered device of the caller
+    const device = deviceId && await Device.findOne({
+      where: { userId: req.user.id, deviceId }
+    });
+    if (!device) {
+      return next(new AppError('Register this device before uploading prekeys', 400));
+    }
+
+    // 2) Validate key material
+    const identityBytes = decodeKey(identityKey, 32);
+    const signingBytes = decodeKey(signingKey, 32);
+    if (!identityBytes || !signingBytes) {
+      return next(new AppError('Please provide valid identity and signing keys', 400));
+    }
+
+    if (!signedPreKey || !Number.isInteger(signedPreKey.keyId)) {
+      return next(new AppError('Please provide a signed prekey', 400));
+    }
+
+    const signedPreKeyBytes = decodeKey(signedPreKey.publicKey, 32);
+    const signatureBytes = decodeKey(signedPreKey.signature, 64);
+    if (!signedPreKeyBytes || !signatureBytes ||
+        !verifySignedPreKey(signingBytes, signedPreKeyBytes, signatureBytes)) {
+      return next(new AppError('Invalid signed prekey signature', 400));
+    }
+
+    // Older clients don't publish a Kyber prekey; peers fall back to X3DH
+    if (pqPreKey) {
+      const pqPreKeyBytes = Number.isInteger(pqPreKey.keyId) &&
+        decodeKey(pqPreKey.publicKey, PREKEY_LIMITS.PQ_PUBLIC_KEY_LENGTH);
+      const pqSignatureBytes = decodeKey(pqPreKey.signature, 64);
+      if (!pqPreKeyBytes || !pqSignatureBytes ||
+          !verifySignedPreKey(signingBytes, pqPreKeyBytes, pqSignatureBytes)) {
+        return next(new AppError('Invalid post-quantum prekey', 400));
+      }
+    }
+
+    if (!Array.isArray(oneTimePreKeys) || oneTimePreKeys.length > PREKEY_LIMITS.MAX_UPLOAD_BATCH) {
+      return next(new AppError(`Upload at most ${PREKEY_LIMITS.MAX_UPLOAD_BATCH} one-time prekeys`, 400));
+    }
+
+    const invalidPreKey = oneTimePreKeys.some(preKey =>
+      !preKey || !Number.isInteger(preKey.keyId) || !decodeKey(preKey.publicKey, 32)
+    );
+    if (invalidPreKey) {
+      return next(new AppError('Invalid one-time prekey', 400));
+    }
+
+    // 3) Don't let a single device hoard prekey storage
+    const stored = await PreKey.count({
+      where: { userId: req.user.id, deviceId, type: 'one-time' }
+    });
+    if (stored + oneTimePreKeys.length > PREKEY_LIMITS.MAX_ONE_TIME_PREKEYS) {
+      return next(new AppError('Too many unused one-time prekeys', 429));
+    }
+
+    // 4) Store everything atomically
+    await sequelize.transaction(async (transaction) => {
+      await User.update(
+        {
+          publicKey: identityKey,
+          signingPublicKey: signingKey,
+          keyFingerprint: crypto.createHash('sha256').update(identityBytes).digest('hex')
+        },
+        { where: { id: req.user.id }, transaction }
+      );
+
+      // Only the latest signed prekey is served
+      await PreKey.destroy({
+        where: { userId: req.user.id, deviceId, type: 'signed' },
+        transaction
+      });
+
+      await PreKey.create({
+        userId: req.user.id,
+        deviceId,
+        keyId: signedPreKey.keyId,
+        type: 'signed',
+        publicKey: signedPreKey.publicKey,
+        signature: signedPreKey.signature
+      }, { transaction });
+
+      if (pqPreKey) {
+        await PreKey.destroy({
+          where: { userId: req.user.id, deviceId, type: 'pq-signed' },
+          transaction
+        });
+
+        await PreKey.create({
+          userId: req.user.id,
+          deviceId,
+          keyId: pqPreKey.keyId,
+          type: 'pq-signed',
+          publicKey: pqPreKey.publicKey,
+          signature: pqPreKey.signature
+        }, { transaction });
+      }
+
+      if (oneTimePreKeys.length > 0) {
+        await PreKey.bulkCreate(
+          oneTimePreKeys.map(({ keyId, publicKey }) => ({
+            userId: req.user.id,
+            deviceId,
+            keyId,
+            type: 'one-time',
+            publicKey
+          })),
+          { transaction, ignoreDuplicates: true }
+        );
+      }
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        oneTimePreKeys: stored + oneTimePreKeys.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Number of one-time prekeys one of the caller's devices still has on the server
+export const getKeyCount = async (req, res, next) => {
+  try {
+    const { deviceId } = req.query;
+
+    if (!deviceId) {
+      return next(new AppError('Please provide a device ID', 400));
+    }
+
+    const count = await PreKey.count({
+      where: { userId: req.user.id, deviceId, type: 'one-time' }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: { count }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Build one device's bundle, consuming one of its one-time prekeys
+const claimDeviceBundle = async (user, deviceId) => {
+  const signedPreKey = await PreKey.findOne({
+    where: { userId: user.id, deviceId, type: 'signed' }
+  });
+  if (!signedPreKey) return null;
+
+  const pqPreKey = await PreKey.findOne({
+    where: { userId: user.id, deviceId, type: 'pq-signed' }
+  });
+
+  // Concurrent fetches never get the same one-time prekey
+  const oneTimePreKey = await sequelize.transaction(async (transaction) => {
+    const preKey = await PreKey.findOne({
+      where: { userId: user.id, deviceId, type: 'one-time' },
+      order: [['createdAt', 'ASC']],
+      lock: transaction.LOCK.UPDATE,
+      skipLocked: true,
+      transaction
+    });
+
+    if (preKey) {
+      await preKey.destroy({ transaction });
+    }
+    return preKey;
+  });
+
+  return {
+    amixId: user.amixId,
+    deviceId,
+    identityKey: user.publicKey,
+    signingKey: user.signingPublicKey,
+    signedPreKey: {
+      keyId: signedPreKey.keyId,
+      publicKey: signedPreKey.publicKey,
+      signature: signedPreKey.signature
+    },
+    // Absent when the device ran out; X3DH still works without it
+    oneTimePreKey: oneTimePreKey
+      ? { keyId: oneTimePreKey.keyId, publicKey: oneTimePreKey.publicKey }
+      : null,
+    // Absent for devices without PQXDH support
+    pqPreKey: pqPreKey
+      ? { keyId: pqPreKey.keyId, publicKey: pqPreKey.publicKey, signature: pqPreKey.signature }
+      : null
+  };
+};
+
+// Hand out prekey bundles for every device of an identity (or just one)
+export const getBundle = async (req, res, next) => {
+  try {
+    const { amixId } = req.params;
+    const { deviceId } = req.query;
+
+    if (!AMIX_ID_PATTERN.test(amixId)) {
+      return next(new AppError('Please provide a valid AmiX ID', 400));
+    }
+
+    // 1) Find the owner and the devices to build bundles for
+    const user = await User.findOne({ where: { amixId, active: true } });
+    if (!user || !user.publicKey || !user.signingPublicKey) {
+      return next(new AppError('No prekey bundle found for this AmiX ID', 404));
+    }
+
+    const devices = await Device.findAll({
+      where: deviceId ? { userId: user.id, deviceId } : { userId: user.id },
+      attributes: ['deviceId'],
+      order: [['createdAt', 'ASC']]
+    });
+
+    // 2) One bundle per device that has published prekeys
+    const bundles = [];
+    for (const device of devices) {
+      const bundle = await claimDeviceBundle(user, device.deviceId);
+      if (bundle) bundles.push(bundle);
+    }
+
+    if (bundles.length === 0) {
+      return next(new AppError('No prekey bundle found for this AmiX ID', 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      results: bundles.length,
+      data: { bundles }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,439 @@
+import { sequelize } from '../config/db.js';
+import { User } from '../models/user.model.js';
+import { Device } from '../models/device.model.js';
+import { MlsGroup, MLS_LIMITS, GROUP_ID_PATTERN } from '../models/mlsGroup.model.js';
+import { MlsMessage } from '../models/mlsMessage.model.js';
+import { MlsKeyPackage } from '../models/mlsKeyPackage.model.js';
+import { AppError } from '../utils/error.js';
+
+const AMIX_ID_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{8,12}$/;
+
+// Messages are stored as-is; objects are serialized, never inspected
+const serialize = payload => (typeof payload === 'string' ? payload : JSON.stringify(payload));
+
+const isAmixIdList = (value) =>
+  Array.isArray(value) && value.every(amixId => AMIX_ID_PATTERN.test(amixId));
+
+const messageExpiry = () => new Date(Date.now() + MLS_LIMITS.MESSAGE_TTL);
+
+// Lock the group row so sequence numbers and epochs advance one at a time.
+// Messages for any epoch but the current one are refused: the sender has
+// to process the Commits it missed and try again.
+const lockGroup = async (groupId, amixId, epoch, transaction) => {
+  const group = await MlsGroup.findOne({
+    where: { groupId },
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+
+  if (!group) {
+    throw new AppError('Group not found', 404);
+  }
+  if (!group.isMember(amixId)) {
+    throw new AppError('You are not a member of this group', 403);
+  }
+  if (group.epoch !== epoch) {
+    throw new AppError(`Group is at epoch ${group.epoch}`, 409);
+  }
+  return group;
+};
+
+// Register a new MLS group at epoch 0 with the caller as its only member
+export const createGroup = async (req, res, next) => {
+  try {
+    const { groupId } = req.body;
+
+    if (!req.user.amixId) {
+      return next(new AppError('No AmiX ID registered for this account', 400));
+    }
+    if (!groupId || !GROUP_ID_PATTERN.test(groupId)) {
+      return next(new AppError('Please provide a valid group ID', 400));
+    }
+
+    const existing = await MlsGroup.findOne({ where: { groupId } });
+    if (existing) {
+      return next(new AppError('Group already exists', 409));
+    }
+
+    const group = await MlsGroup.create({
+      groupId,
+      members: [req.user.amixId],
+      createdBy: req.user.amixId
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        groupId: group.groupId,
+        epoch: group.epoch
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Current epoch, sequence number and members of a group
+export const getGroup = async (req, res, next) => {
+  try {
+    const group = await MlsGroup.findOne({ where: { groupId: req.params.groupId } });
+
+    if (!group || !group.isMember(req.user.amixId)) {
+      return next(new AppError('Group not found', 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        groupId: group.groupId,
+        epoch: group.epoch,
+        lastSeq: group.lastSeq,
+        members: group.members
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Accept the one Commit for the group's current epoch, with its Welcomes
+export const postCommit = async (req, res, next) => {
+  try {
+    const { epoch, commit, added = [], removed = [], welcomes = [] } = req.body;
+
+    // 1) Validate the envelope
+    if (!Number.isInteger(epoch) || !commit) {
+      return next(new AppError('Please provide the commit and its epoch', 400));
+    }
+    if (!isAmixIdList(added) || !isAmixIdList(removed)) {
+      return next(new AppError('Please provide valid member AmiX IDs', 400));
+    }
+    if (!Array.isArray(welcomes) || welcomes.length > MLS_LIMITS.MAX_WELCOMES) {
+      return next(new AppError(`Send at most ${MLS_LIMITS.MAX_WELCOMES} welcomes per commit`, 400));
+    }
+
+    const invalidWelcome = welcomes.some(welcome =>
+      !welcome || !AMIX_ID_PATTERN.test(welcome.recipientId) || !welcome.welcome
+    );
+    if (invalidWelcome) {
+      return next(new AppError('Invalid welcome', 400));
+    }
+
+    const payload = serialize(commit);
+    const welcomePayloads = welcomes.map(({ welcome }) => serialize(welcome));
+    if ([payload, ...welcomePayloads].some(item => item.length > MLS_LIMITS.MAX_MESSAGE_SIZE)) {
+      return next(new AppError('MLS message too large', 413));
+    }
+
+    // 2) Sequence it, move the group to the next epoch and queue the Welcomes
+    const result = await sequelize.transaction(async (transaction) => {
+      const group = await lockGroup(req.params.groupId, req.user.amixId, epoch, transaction);
+
+      const members = group.nextMembers(added, removed);
+      if (members.length > MLS_LIMITS.MAX_MEMBERS) {
+        throw new AppError(`Groups are limited to ${MLS_LIMITS.MAX_MEMBERS} members`, 400);
+      }
+
+      const seq = group.lastSeq + 1;
+      const expiresAt = messageExpiry();
+
+      await MlsMessage.create({
+        groupId: group.groupId,
+        seq,
+        epoch,
+        type: 'commit',
+        senderAmixId: req.user.amixId,
+        payload,
+        expiresAt
+      }, { transaction });
+
+      if (welcomes.length > 0) {
+        await MlsMessage.bulkCreate(
+          welcomes.map(({ recipientId }, i) => ({
+            groupId: group.groupId,
+            seq,
+            epoch: epoch + 1,
+            type: 'welcome',
+            senderAmixId: req.user.amixId,
+            recipientAmixId: recipientId,
+            payload: welcomePayloads[i],
+            expiresAt
+          })),
+          { transaction }
+        );
+      }
+
+      await group.update({ epoch: epoch + 1, lastSeq: seq, members }, { transaction });
+      return { seq, epoch: epoch + 1 };
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Accept a proposal or application message for the current epoch
+export const postMessage = async (req, res, next) => {
+  try {
+    const { epoch, type, message } = req.body;
+
+    // 1) Validate the envelope
+    if (!Number.isInteger(epoch) || !['proposal', 'application'].includes(type) || !message) {
+      return next(new AppError('Please provide a proposal or application message and its epoch', 400));
+    }
+
+    const payload = serialize(message);
+    if (payload.length > MLS_LIMITS.MAX_MESSAGE_SIZE) {
+      return next(new AppError('MLS message too large', 413));
+    }
+
+    // 2) Give it the next sequence number
+    const seq = await sequelize.transaction(async (transaction) => {
+      const group = await lockGroup(req.params.groupId, req.user.amixId, epoch, transaction);
+      const nextSeq = group.lastSeq + 1;
+
+      await MlsMessage.create({
+        groupId: group.groupId,
+        seq: nextSeq,
+        epoch,
+        type,
+        senderAmixId: req.user.amixId,
+        payload,
+        expiresAt: messageExpiry()
+      }, { transaction });
+
+      await group.update({ lastSeq: nextSeq }, { transaction });
+      return nextSeq;
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: { seq }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Group messages after a sequence number, in the order members must apply them
+export const fetchMessages = async (req, res, next) => {
+  try {
+    const group = await MlsGroup.findOne({ where: { groupId: req.params.groupId } });
+    if (!group || !group.isMember(req.user.amixId)) {
+      return next(new AppError('Group not found', 404));
+    }
+
+    const after = Math.max(Number.parseInt(req.query.after, 10) || 0, 0);
+    const limit = Math.min(
+      Number.parseInt(req.query.limit, 10) || MLS_LIMITS.FETCH_BATCH_SIZE,
+      MLS_LIMITS.FETCH_BATCH_SIZE
+    );
+
+    const messages = await MlsMessage.fetchGroupLog(group.groupId, after, limit);
+
+    res.status(200).json({
+      status: 'success',
+      results: messages.length,
+      data: {
+        epoch: group.epoch,
+        messages: messages.map(message => ({
+          seq: message.seq,
+          epoch: message.epoch,
+          type: message.type,
+          senderId: message.senderAmixId,
+          message: message.payload
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Welcomes waiting for the caller
+export const fetchWelcomes = async (req, res, next) => {
+  try {
+    if (!req.user.amixId) {
+      return next(new AppError('No AmiX ID registered for this account', 400));
+    }
+
+    const welcomes = await MlsMessage.findAll({
+      where: { recipientAmixId: req.user.amixId, type: 'welcome' },
+      order: [['createdAt', 'ASC']],
+      limit: MLS_LIMITS.FETCH_BATCH_SIZE
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: welcomes.length,
+      data: {
+        welcomes: welcomes.map(welcome => ({
+          id: welcome.id,
+          groupId: welcome.groupId,
+          seq: welcome.seq,
+          epoch: welcome.epoch,
+          senderId: welcome.senderAmixId,
+          welcome: welcome.payload
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete welcomes the caller has joined with (or given up on)
+export const ackWelcomes = async (req, res, next) => {
+  try {
+    const { ids } = req.body;
+
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > MLS_LIMITS.FETCH_BATCH_SIZE) {
+      return next(new AppError('Please provide welcome IDs to acknowledge', 400));
+    }
+
+    const deleted = await MlsMessage.destroy({
+      where: { id: ids, recipientAmixId: req.user.amixId, type: 'welcome' }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: { deleted }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Publish key packages for one of the caller's devices
+export const uploadKeyPackages = async (req, res, next) => {
+  try {
+    const { deviceId, keyPackages } = req.body;
+
+    // 1) Key packages belong to a registered device of the caller
+    const device = deviceId && await Device.findOne({
+      where: { userId: req.user.id, deviceId }
+    });
+    if (!device) {
+      return next(new AppError('Register this device before uploading key packages', 400));
+    }
+
+    if (!Array.isArray(keyPackages) || keyPackages.length === 0 ||
+        keyPackages.length > MLS_LIMITS.MAX_UPLOAD_BATCH) {
+      return next(new AppError(`Upload between 1 and ${MLS_LIMITS.MAX_UPLOAD_BATCH} key packages`, 400));
+    }
+
+    // 2) Key packages are public; make sure they name this identity and device
+    const invalid = keyPackages.some((keyPackage) => {
+      const identity = keyPackage?.identity;
+      return !identity || identity.amixId !== req.user.amixId || identity.deviceId !== deviceId ||
+        serialize(keyPackage).length > MLS_LIMITS.MAX_MESSAGE_SIZE;
+    });
+    if (invalid) {
+      return next(new AppError('Key packages must be for this account and device', 400));
+    }
+
+    // 3) Don't let a single device hoard storage
+    const stored = await MlsKeyPackage.count({
+      where: { userId: req.user.id, deviceId }
+    });
+    if (stored + keyPackages.length > MLS_LIMITS.MAX_KEY_PACKAGES) {
+      return next(new AppError('Too many unused key packages', 429));
+    }
+
+    await MlsKeyPackage.bulkCreate(keyPackages.map(keyPackage => ({
+      userId: req.user.id,
+      deviceId,
+      keyPackage: serialize(keyPackage)
+    })));
+
+    res.status(201).json({
+      status: 'success',
+      data: { keyPackages: stored + keyPackages.length }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Number of unused key packages one of the caller's devices has left
+export const getKeyPackageCount = async (req, res, next) => {
+  try {
+    const { deviceId } = req.query;
+
+    if (!deviceId) {
+      return next(new AppError('Please provide a device ID', 400));
+    }
+
+    const count = await MlsKeyPackage.count({
+      where: { userId: req.user.id, deviceId }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: { count }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Hand out one key package per device of an identity, consuming them
+export const claimKeyPackages = async (req, res, next) => {
+  try {
+    const { amixId } = req.params;
+
+    if (!AMIX_ID_PATTERN.test(amixId)) {
+      return next(new AppError('Please provide a valid AmiX ID', 400));
+    }
+
+    const user = await User.findOne({ where: { amixId, active: true } });
+    if (!user) {
+      return next(new AppError('No key packages found for this AmiX ID', 404));
+    }
+
+    const devices = await Device.findAll({
+      where: { userId: user.id },
+      attributes: ['deviceId'],
+      order: [['createdAt', 'ASC']]
+    });
+
+    // Concurrent claims never get the same key package
+    const keyPackages = [];
+    for (const device of devices) {
+      const keyPackage = await sequelize.transaction(async (transaction) => {
+        const row = await MlsKeyPackage.findOne({
+          where: { userId: user.id, deviceId: device.deviceId },
+          order: [['createdAt', 'ASC']],
+          lock: transaction.LOCK.UPDATE,
+          skipLocked: true,
+          transaction
+        });
+
+        if (row) {
+          await row.destroy({ transaction });
+        }
+        return row;
+      });
+
+      if (keyPackage) {
+        keyPackages.push({ deviceId: device.deviceId, keyPackage: keyPackage.keyPackage });
+      }
+    }
+
+    if (keyPackages.length === 0) {
+      return next(new AppError('No key packages found for this AmiX ID', 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      results: keyPackages.length,
+      data: { keyPackages }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
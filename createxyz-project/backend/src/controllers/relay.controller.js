@@ -0,0 +1,262 @@
+import crypto from 'crypto';
+import { RelayMessage, RELAY_LIMITS } from '../models/relayMessage.model.js';
+import { Device, DEVICE_ID_PATTERN } from '../models/device.model.js';
+import { User } from '../models/user.model.js';
+import { AppError } from '../utils/error.js';
+import { issueSenderCertificate, trustRoot } from '../utils/senderCertificate.js';
+
+const AMIX_ID_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{8,12}$/;
+const DELIVERY_TOKEN_LENGTH = 16;
+
+const hashDeliveryToken = token => crypto.createHash('sha256').update(token).digest();
+
+// Serialize, size-check and store a blob, refusing to grow a mailbox without
+// bound. An untargeted blob gets one copy per linked device: each device acks
+// (and so deletes) only its own.
+const storeBlob = async ({ recipientId, recipientDeviceId, senderAmixId, senderDeviceId, encryptedData, ttl }) => {
+  // The blob is stored as-is; objects are serialized, never inspected
+  const ciphertext = typeof encryptedData === 'string'
+    ? encryptedData
+    : JSON.stringify(encryptedData);
+
+  if (ciphertext.length > RELAY_LIMITS.MAX_BLOB_SIZE) {
+    throw new AppError('Encrypted payload too large', 413);
+  }
+
+  const recipientDeviceIds = recipientDeviceId
+    ? [recipientDeviceId]
+    : await RelayMessage.deviceIdsFor(recipientId);
+
+  const pending = await RelayMessage.count({
+    where: { recipientAmixId: recipientId }
+  });
+
+  if (pending + recipientDeviceIds.length > RELAY_LIMITS.MAX_MAILBOX_SIZE) {
+    throw new AppError('Recipient mailbox is full', 429);
+  }
+
+  const expiresAt = new Date(Date.now() + RelayMessage.resolveTtl(ttl));
+  const copies = await RelayMessage.bulkCreate(recipientDeviceIds.map((deviceId) => ({
+    recipientAmixId: recipientId,
+    recipientDeviceId: deviceId,
+    senderAmixId,
+    senderDeviceId,
+    ciphertext,
+    size: ciphertext.length,
+    expiresAt
+  })));
+
+  return { ids: copies.map((copy) => copy.id), expiresAt };
+};
+
+// Accept an opaque encrypted blob for a recipient
+export const postMessage = async (req, res, next) => {
+  try {
+    const { recipientId, recipientDeviceId, senderDeviceId, encryptedData, ttl } = req.body;
+
+    // 1) Validate the envelope
+    if (!recipientId || !AMIX_ID_PATTERN.test(recipientId)) {
+      return next(new AppError('Please provide a valid recipient AmiX ID', 400));
+    }
+
+    const invalidDevice = [recipientDeviceId, senderDeviceId]
+      .some(deviceId => deviceId && !DEVICE_ID_PATTERN.test(deviceId));
+    if (invalidDevice) {
+      return next(new AppError('Please provide valid device IDs', 400));
+    }
+
+    if (!encryptedData) {
+      return next(new AppError('Please provide encrypted data', 400));
+    }
+
+    // 2) Store with the requested TTL
+    const stored = await storeBlob({
+      recipientId,
+      recipientDeviceId,
+      senderAmixId: req.user.amixId || null,
+      senderDeviceId: senderDeviceId || null,
+      encryptedData,
+      ttl
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: stored
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Return the caller's pending blobs, oldest first
+export const fetchMessages = async (req, res, next) => {
+  try {
+    if (!req.user.amixId) {
+      return next(new AppError('No AmiX ID registered for this account', 400));
+    }
+
+    const limit = Math.min(
+      Number.parseInt(req.query.limit, 10) || RELAY_LIMITS.FETCH_BATCH_SIZE,
+      RELAY_LIMITS.FETCH_BATCH_SIZE
+    );
+
+    // A device sees blobs addressed to it plus untargeted ones
+    const messages = await RelayMessage.fetchMailbox(req.user.amixId, limit, req.query.deviceId);
+
+    res.status(200).json({
+      status: 'success',
+      results: messages.length,
+      data: {
+        messages: messages.map((message) => ({
+          id: message.id,
+          senderId: message.senderAmixId,
+          senderDeviceId: message.senderDeviceId,
+          encryptedData: message.ciphertext,
+          createdAt: message.createdAt,
+          expiresAt: message.expiresAt
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Acknowledge receipt: delivered blobs are deleted immediately
+export const ackMessages = async (req, res, next) => {
+  try {
+    const { ids, deviceId } = req.body;
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return next(new AppError('Please provide the message IDs to acknowledge', 400));
+    }
+
+    if (ids.length > RELAY_LIMITS.FETCH_BATCH_SIZE) {
+      return next(new AppError('Too many message IDs in one request', 400));
+    }
+
+    // Only the recipient can acknowledge (and so delete) its own blobs
+    const deleted = await RelayMessage.destroy({
+      where: {
+        id: ids,
+        ...RelayMessage.mailboxScope(req.user.amixId, deviceId)
+      }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: { acknowledged: deleted }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Accept a sealed-sender blob. The route is unauthenticated: the relay
+// learns only the recipient and checks the recipient's delivery token.
+export const postSealedMessage = async (req, res, next) => {
+  try {
+    const { recipientId, recipientDeviceId, deliveryToken, encryptedData, ttl } = req.body;
+
+    // 1) Validate the envelope
+    if (!recipientId || !AMIX_ID_PATTERN.test(recipientId)) {
+      return next(new AppError('Please provide a valid recipient AmiX ID', 400));
+    }
+
+    if (recipientDeviceId && !DEVICE_ID_PATTERN.test(recipientDeviceId)) {
+      return next(new AppError('Please provide a valid device ID', 400));
+    }
+
+    if (!encryptedData) {
+      return next(new AppError('Please provide encrypted data', 400));
+    }
+
+    // 2) Only senders the recipient shared its delivery token with get through
+    const recipient = await User.findOne({ where: { amixId: recipientId, active: true } });
+    const presented = hashDeliveryToken(String(deliveryToken || ''));
+    const expected = recipient?.deliveryTokenHash
+      ? Buffer.from(recipient.deliveryTokenHash, 'hex')
+      : crypto.randomBytes(presented.length);
+
+    if (!crypto.timingSafeEqual(presented, expected) || !recipient?.deliveryTokenHash) {
+      return next(new AppError('Invalid delivery token', 401));
+    }
+
+    // 3) Store without any sender information
+    const stored = await storeBlob({
+      recipientId,
+      recipientDeviceId,
+      senderAmixId: null,
+      senderDeviceId: null,
+      encryptedData,
+      ttl
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: stored
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Set the token senders must present to deliver sealed messages to us
+export const setDeliveryToken = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    if (typeof token !== 'string' || Buffer.from(token, 'base64').length !== DELIVERY_TOKEN_LENGTH) {
+      return next(new AppError(`Please provide a ${DELIVERY_TOKEN_LENGTH}-byte base64 delivery token`, 400));
+    }
+
+    await User.update(
+      { deliveryTokenHash: hashDeliveryToken(token).toString('hex') },
+      { where: { id: req.user.id } }
+    );
+
+    res.status(200).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Issue a sender certificate for one of the caller's devices
+export const getSenderCertificate = async (req, res, next) => {
+  try {
+    const { deviceId } = req.query;
+
+    if (!req.user.amixId || !req.user.publicKey) {
+      return next(new AppError('Publish identity keys before requesting a certificate', 400));
+    }
+
+    const device = deviceId && await Device.findOne({
+      where: { userId: req.user.id, deviceId }
+    });
+    if (!device) {
+      return next(new AppError('Register this device before requesting a certificate', 400));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: issueSenderCertificate({
+        amixId: req.user.amixId,
+        deviceId,
+        identityKey: req.user.publicKey
+      })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Public key sender certificates are signed with
+export const getTrustRoot = (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: { publicKey: trustRoot }
+  });
+};
@@ -0,0 +1,21 @@
+import { AppError } from '../utils/error.js';
+import { issueTurnCredentials } from '../utils/turnCredentials.js';
+
+// ICE servers for the caller, including fresh TURN credentials
+export const getCredentials = async (req, res, next) => {
+  try {
+    if (!req.user.amixId) {
+      return next(new AppError('No AmiX ID registered for this account', 400));
+    }
+
+    // Credentials are per request; don't let anything in between keep them
+    res.set('Cache-Control', 'no-store');
+
+    res.status(200).json({
+      status: 'success',
+      data: issueTurnCredentials(req.user.amixId)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -20,6 +20,16 @@ import authRoutes from './routes/auth.routes.js';
 import userRoutes from './routes/user.routes.js';
 import friendRoutes from './routes/friend.routes.js';
 import messageRoutes from './routes/message.routes.js';
+import relayRoutes from './routes/relay.routes.js';
+import keysRoutes from './routes/keys.routes.js';
+import deviceRoutes from './routes/device.routes.js';
+import mlsRoutes from './routes/mls.routes.js';
+import attachmentRoutes from './routes/attachment.routes.js';
+import turnRoutes from './routes/turn.routes.js';
+import { RelayMessage } from './models/relayMessage.model.js';
+import { ProvisioningSession } from './models/provisioningSession.model.js';
+import { MlsMessage } from './models/mlsMessage.model.js';
+import { Attachment } from './models/attachment.model.js';
 
 const app = express();
 const httpServer = createServer(app);
@@ -30,6 +40,14 @@ app.use(cors({
   origin: process.env.CLIENT_URL || 'http://localhost:3000',
   credentials: true
 }));
+// Relay blobs are larger than regular API payloads
+app.use('/api/v1/relay', express.json({ limit: '256kb' }));
+app.use('/api/v1/keys', express.json({ limit: '64kb' }));
+app.use('/api/v1/devices', express.json({ limit: '32kb' }));
+// Commits carry a Welcome with the whole ratchet tree per joiner
+app.use('/api/v1/mls', express.json({ limit: '2mb' }));
+// Upload sessions declare every chunk hash up front
+app.use('/api/v1/attachments', express.json({ limit: '512kb' }));
 app.use(express.json({ limit: '10kb' }));
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
 app.use(mongoSanitize());
@@ -41,10 +59,21 @@ app.use(compression());
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again after 15 minutes'
+  message: 'Too many requests from this IP, please try again after 15 minutes',
+  // Attachments move in many small chunk requests, and a new device polls
+  // for its link approval; both have their own limit
+  skip: (req) => req.path.startsWith('/v1/attachments') ||
+    /^\/v1\/devices\/provisioning\/[^/]+\/envelope$/.test(req.path)
 });
 app.use('/api', limiter);
 
+const attachmentLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5000, // ~300MB of 64KB chunks
+  message: 'Too many attachment requests from this IP, please try again after 15 minutes'
+});
+app.use('/api/v1/attachments', attachmentLimiter);
+
 // Logging
 if (process.env.NODE_ENV === 'development') {
   app.use(morgan('dev'));
@@ -55,6 +84,12 @@ app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/users', userRoutes);
 app.use('/api/v1/friends', friendRoutes);
 app.use('/api/v1/messages', messageRoutes);
+app.use('/api/v1/relay', relayRoutes);
+app.use('/api/v1/keys', keysRoutes);
+app.use('/api/v1/devices', deviceRoutes);
+app.use('/api/v1/mls', mlsRoutes);
+app.use('/api/v1/attachments', attachmentRoutes);
+app.use('/api/v1/turn', turnRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -95,10 +130,26 @@ const initializeApp = async () => {
     io.adapter(createAdapter(pubClient, subClient));
     
     // Initialize socket handlers
-    initializeSocket(io);
+    initializeSocket(io, { redis: pubClient });
     
     // Connect to database
     await connectDB();
+
+    // Purge expired relay blobs, linking sessions, MLS messages and attachments every 10 minutes
+    setInterval(() => {
+      RelayMessage.purgeExpired().catch((err) => {
+        logger.error(`Relay cleanup failed: ${err.message}`);
+      });
+      ProvisioningSession.purgeExpired().catch((err) => {
+        logger.error(`Provisioning cleanup failed: ${err.message}`);
+      });
+      MlsMessage.purgeExpired().catch((err) => {
+        logger.error(`MLS message cleanup failed: ${err.message}`);
+      });
+      Attachment.collectGarbage().catch((err) => {
+        logger.error(`Attachment cleanup failed: ${err.message}`);
+      });
+    }, 10 * 60 * 1000);
     
     // Start server
     const PORT = process.env.PORT || 5000;
@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import { promisify } from 'util';
+import { rateLimit } from 'express-rate-limit';
 import { User } from '../models/user.model.js';
 import { AppError } from '../utils/error.js';
 
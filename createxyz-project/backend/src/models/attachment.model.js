@@ -0,0 +1,106 @@
+import { DataTypes, Model, Op } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import { sweepChunks } from '../utils/blobStore.js';
+
+// Attachment limits
+export const ATTACHMENT_LIMITS = {
+  MAX_SIZE: 128 * 1024 * 1024, // 128MB of ciphertext
+  MAX_CHUNK_SIZE: 1024 * 1024, // 1MB per uploaded chunk
+  MAX_CHUNKS: 4096,
+  UPLOAD_TTL: 24 * 60 * 60 * 1000, // Unfinished uploads are dropped after a day
+  DEFAULT_TTL: 30 * 24 * 60 * 60 * 1000, // 30 days
+  MAX_TTL: 30 * 24 * 60 * 60 * 1000,
+  MIN_TTL: 60 * 60 * 1000, // 1 hour
+  GC_GRACE: 10 * 60 * 1000 // Unreferenced chunks younger than this are kept
+};
+
+// An encrypted attachment: an ordered list of content-addressed ciphertext
+// chunks. The server never sees the attachment key or the plaintext; the
+// key and digest travel inside the end-to-end encrypted message. Chunks are
+// uploaded in order, so `offset` is all a client needs to resume.
+class Attachment extends Model {
+  // Clamp a client-requested lifetime (ms) into the allowed range
+  static resolveTtl(ttl) {
+    const requested = Number.parseInt(ttl, 10);
+    if (!Number.isFinite(requested) || requested <= 0) {
+      return ATTACHMENT_LIMITS.DEFAULT_TTL;
+    }
+    return Math.min(Math.max(requested, ATTACHMENT_LIMITS.MIN_TTL), ATTACHMENT_LIMITS.MAX_TTL);
+  }
+
+  // Byte offset of every chunk, plus the total size at the end
+  chunkOffsets() {
+    const offsets = [0];
+    this.chunks.forEach(chunk => offsets.push(offsets[offsets.length - 1] + chunk.size));
+    return offsets;
+  }
+
+  // Drop expired attachments and abandoned uploads, then their chunks
+  static async collectGarbage() {
+    const purged = await this.destroy({
+      where: { expiresAt: { [Op.lte]: new Date() } }
+    });
+
+    const live = await this.findAll({ attributes: ['chunks'] });
+    const referenced = new Set(live.flatMap(attachment => attachment.chunks.map(chunk => chunk.hash)));
+    const removedChunks = await sweepChunks(hash => referenced.has(hash), ATTACHMENT_LIMITS.GC_GRACE);
+
+    return { purged, removedChunks };
+  }
+}
+
+Attachment.init(
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    uploaderAmixId: {
+      type: DataTypes.STRING(12),
+      allowNull: false
+    },
+    // [{ hash, size }] in upload order, declared when the session starts
+    chunks: {
+      type: DataTypes.JSONB,
+      allowNull: false
+    },
+    size: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // Upload progress: chunks (and bytes) stored so far, in order
+    uploadedChunks: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false
+    },
+    offset: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('uploading', 'complete'),
+      defaultValue: 'uploading',
+      allowNull: false
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  },
+  {
+    sequelize,
+    modelName: 'Attachment',
+    timestamps: true,
+    paranoid: false,
+    indexes: [
+      { fields: ['uploader_amix_id', 'status'] },
+      { fields: ['expires_at'] }
+    ]
+  }
+);
+
+export { Attachment };
@@ -0,0 +1,62 @@
+import { DataTypes, Model } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import { User } from './user.model.js';
+
+// Device limits
+export const DEVICE_LIMITS = {
+  MAX_DEVICES: 5, // Linked devices per AmiX identity
+  PROVISIONING_TTL: 10 * 60 * 1000 // Linking codes expire after 10 minutes
+};
+
+export const DEVICE_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+// A device linked to an AmiX identity. Every device shares the identity key
+// but has its own prekeys and its own sessions with each peer device.
+class Device extends Model {}
+
+Device.init(
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    deviceId: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      validate: {
+        is: DEVICE_ID_PATTERN
+      }
+    },
+    name: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    platform: {
+      type: DataTypes.ENUM('ios', 'android', 'web', 'unknown'),
+      defaultValue: 'unknown',
+      allowNull: false
+    },
+    lastSeenAt: DataTypes.DATE
+  },
+  {
+    sequelize,
+    modelName: 'Device',
+    timestamps: true,
+    // Unlinked devices are removed with their prekeys
+    paranoid: false,
+    indexes: [
+      { unique: true, fields: ['user_id', 'device_id'] }
+    ]
+  }
+);
+
+User.hasMany(Device, { foreignKey: 'userId', as: 'devices', onDelete: 'CASCADE' });
+Device.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+export { Device };
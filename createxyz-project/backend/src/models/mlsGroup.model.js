@@ -0,0 +1,79 @@
+import { DataTypes, Model } from 'sequelize';
+import { sequelize } from '../config/db.js';
+
+// MLS delivery service limits
+export const MLS_LIMITS = {
+  MAX_MEMBERS: 1000, // AmiX identities per group
+  MAX_MESSAGE_SIZE: 512 * 1024, // Serialized handshake or application message
+  MAX_WELCOMES: 50, // Joiners per Commit
+  MAX_KEY_PACKAGES: 100, // Unused key packages stored per device
+  MAX_UPLOAD_BATCH: 50,
+  FETCH_BATCH_SIZE: 100,
+  MESSAGE_TTL: 30 * 24 * 60 * 60 * 1000 // 30 days
+};
+
+export const GROUP_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+// Delivery service view of an MLS group. The server cannot read group
+// traffic; it only orders it. Exactly one Commit is accepted per epoch,
+// which is what keeps every member's ratchet tree identical.
+class MlsGroup extends Model {
+  isMember(amixId) {
+    return this.members.includes(amixId);
+  }
+
+  // Membership after a Commit, as announced by the committer
+  nextMembers(added = [], removed = []) {
+    const members = new Set(this.members);
+    added.forEach(amixId => members.add(amixId));
+    removed.forEach(amixId => members.delete(amixId));
+    return [...members];
+  }
+}
+
+MlsGroup.init(
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    groupId: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      validate: {
+        is: GROUP_ID_PATTERN
+      }
+    },
+    epoch: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false
+    },
+    // Sequence number of the last message accepted for this group
+    lastSeq: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false
+    },
+    members: {
+      type: DataTypes.ARRAY(DataTypes.STRING(12)),
+      defaultValue: [],
+      allowNull: false
+    },
+    createdBy: {
+      type: DataTypes.STRING(12),
+      allowNull: false
+    }
+  },
+  {
+    sequelize,
+    modelName: 'MlsGroup',
+    timestamps: true,
+    paranoid: false
+  }
+);
+
+export { MlsGroup };
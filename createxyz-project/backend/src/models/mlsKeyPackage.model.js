@@ -0,0 +1,48 @@
+import { DataTypes, Model } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import { User } from './user.model.js';
+
+// Public MLS key package published by one of a user's devices. Each one
+// is handed out once, to the member that adds this device to a group.
+class MlsKeyPackage extends Model {}
+
+MlsKeyPackage.init(
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    deviceId: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    keyPackage: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    }
+  },
+  {
+    sequelize,
+    modelName: 'MlsKeyPackage',
+    timestamps: true,
+    // Claimed key packages must be gone for good
+    paranoid: false,
+    indexes: [
+      { fields: ['user_id', 'device_id', 'created_at'] }
+    ]
+  }
+);
+
+User.hasMany(MlsKeyPackage, { foreignKey: 'userId', as: 'mlsKeyPackages', onDelete: 'CASCADE' });
+MlsKeyPackage.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+export { MlsKeyPackage };
@@ -0,0 +1,87 @@
+import { DataTypes, Model, Op } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import { MLS_LIMITS } from './mlsGroup.model.js';
+
+// An opaque MLS message in a group's total order. Welcomes share the
+// sequence number of the Commit that created them but are only handed to
+// their recipient.
+class MlsMessage extends Model {
+  // Group traffic after `afterSeq`, in delivery order
+  static async fetchGroupLog(groupId, afterSeq = 0, limit = MLS_LIMITS.FETCH_BATCH_SIZE) {
+    return this.findAll({
+      where: {
+        groupId,
+        recipientAmixId: null,
+        seq: { [Op.gt]: afterSeq }
+      },
+      order: [['seq', 'ASC']],
+      limit
+    });
+  }
+
+  static async purgeExpired() {
+    return this.destroy({
+      where: { expiresAt: { [Op.lte]: new Date() } }
+    });
+  }
+}
+
+MlsMessage.init(
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    groupId: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    seq: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    epoch: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    type: {
+      type: DataTypes.ENUM('commit', 'proposal', 'application', 'welcome'),
+      allowNull: false
+    },
+    senderAmixId: {
+      type: DataTypes.STRING(12),
+      allowNull: false
+    },
+    // Set for welcomes only
+    recipientAmixId: {
+      type: DataTypes.STRING(12),
+      allowNull: true
+    },
+    payload: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  },
+  {
+    sequelize,
+    modelName: 'MlsMessage',
+    timestamps: true,
+    paranoid: false,
+    indexes: [
+      { fields: ['group_id', 'seq'] },
+      { fields: ['recipient_amix_id', 'created_at'] },
+      { fields: ['expires_at'] }
+    ]
+  }
+);
+
+export { MlsMessage };
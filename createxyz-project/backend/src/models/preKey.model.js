@@ -0,0 +1,69 @@
+import { DataTypes, Model } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import { User } from './user.model.js';
+
+// Prekey limits
+export const PREKEY_LIMITS = {
+  MAX_ONE_TIME_PREKEYS: 200, // Unused one-time prekeys stored per device
+  MAX_UPLOAD_BATCH: 100,
+  PQ_PUBLIC_KEY_LENGTH: 1568 // Kyber1024 public key
+};
+
+// Public X3DH prekeys published by one of a user's devices, plus a signed
+// Kyber prekey for PQXDH. Only public halves and the signed prekeys'
+// signatures ever reach the server.
+class PreKey extends Model {}
+
+PreKey.init(
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    deviceId: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    keyId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    type: {
+      type: DataTypes.ENUM('signed', 'one-time', 'pq-signed'),
+      allowNull: false
+    },
+    publicKey: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    signature: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  },
+  {
+    sequelize,
+    modelName: 'PreKey',
+    timestamps: true,
+    // Consumed one-time prekeys must be gone for good
+    paranoid: false,
+    indexes: [
+      { unique: true, fields: ['user_id', 'device_id', 'type', 'key_id'] },
+      { fields: ['user_id', 'device_id', 'type', 'created_at'] }
+    ]
+  }
+);
+
+User.hasMany(PreKey, { foreignKey: 'userId', as: 'preKeys', onDelete: 'CASCADE' });
+PreKey.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+export { PreKey };
@@ -0,0 +1,61 @@
+import { DataTypes, Model, Op } from 'sequelize';
+import { sequelize } from '../config/db.js';
+
+// Short-lived handshake for linking a new device. The new device publishes
+// an ephemeral public key; an already linked device answers with the
+// identity key sealed to it. The server only ever relays ciphertext.
+class ProvisioningSession extends Model {
+  isExpired() {
+    return this.expiresAt.getTime() <= Date.now();
+  }
+
+  // Remove abandoned linking attempts
+  static async purgeExpired() {
+    return this.destroy({
+      where: { expiresAt: { [Op.lte]: new Date() } }
+    });
+  }
+}
+
+ProvisioningSession.init(
+  {
+    code: {
+      type: DataTypes.STRING(16),
+      primaryKey: true,
+      allowNull: false
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    publicKey: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    deviceName: DataTypes.STRING(64),
+    platform: {
+      type: DataTypes.STRING(16),
+      defaultValue: 'unknown'
+    },
+    envelope: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  },
+  {
+    sequelize,
+    modelName: 'ProvisioningSession',
+    timestamps: true,
+    paranoid: false,
+    indexes: [
+      { fields: ['user_id'] },
+      { fields: ['expires_at'] }
+    ]
+  }
+);
+
+export { ProvisioningSession };
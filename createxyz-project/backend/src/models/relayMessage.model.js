@@ -0,0 +1,121 @@
+import { DataTypes, Model, Op } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import { Device } from './device.model.js';
+import { User } from './user.model.js';
+
+// Relay limits
+export const RELAY_LIMITS = {
+  DEFAULT_TTL: 7 * 24 * 60 * 60 * 1000, // 7 days
+  MAX_TTL: 30 * 24 * 60 * 60 * 1000, // 30 days
+  MIN_TTL: 60 * 1000, // 1 minute
+  MAX_BLOB_SIZE: 192 * 1024, // 192KB of base64 ciphertext
+  MAX_MAILBOX_SIZE: 1000, // Undelivered messages per recipient
+  FETCH_BATCH_SIZE: 100
+};
+
+// Opaque store-and-forward blob. The server never sees plaintext: it only
+// knows who a blob is for, when it expires and how large it is.
+class RelayMessage extends Model {
+  // Clamp a client-requested TTL (ms) into the allowed range
+  static resolveTtl(ttl) {
+    const requested = Number.parseInt(ttl, 10);
+    if (!Number.isFinite(requested) || requested <= 0) {
+      return RELAY_LIMITS.DEFAULT_TTL;
+    }
+    return Math.min(Math.max(requested, RELAY_LIMITS.MIN_TTL), RELAY_LIMITS.MAX_TTL);
+  }
+
+  // Devices an untargeted blob is copied to; [null] until the recipient
+  // registers one, and the blob then goes to whichever device fetches first
+  static async deviceIdsFor(recipientAmixId) {
+    const devices = await Device.findAll({
+      attributes: ['deviceId'],
+      include: [{ model: User, as: 'user', attributes: [], where: { amixId: recipientAmixId } }]
+    });
+    return devices.length > 0 ? devices.map((device) => device.deviceId) : [null];
+  }
+
+  // Blobs addressed to one device, or to the whole identity when untargeted
+  static mailboxScope(recipientAmixId, recipientDeviceId = null) {
+    return {
+      recipientAmixId,
+      ...(recipientDeviceId && {
+        recipientDeviceId: { [Op.or]: [recipientDeviceId, null] }
+      })
+    };
+  }
+
+  // Undelivered, unexpired blobs for a recipient, oldest first
+  static async fetchMailbox(recipientAmixId, limit = RELAY_LIMITS.FETCH_BATCH_SIZE, recipientDeviceId = null) {
+    return this.findAll({
+      where: {
+        ...this.mailboxScope(recipientAmixId, recipientDeviceId),
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      order: [['createdAt', 'ASC']],
+      limit
+    });
+  }
+
+  // Remove everything past its TTL
+  static async purgeExpired() {
+    return this.destroy({
+      where: { expiresAt: { [Op.lte]: new Date() } }
+    });
+  }
+}
+
+RelayMessage.init(
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    recipientAmixId: {
+      type: DataTypes.STRING(12),
+      allowNull: false
+    },
+    recipientDeviceId: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    senderAmixId: {
+      type: DataTypes.STRING(12),
+      allowNull: true
+    },
+    senderDeviceId: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    ciphertext: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    size: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  },
+  {
+    sequelize,
+    modelName: 'RelayMessage',
+    timestamps: true,
+    // Acked or expired blobs are removed for good, never soft-deleted
+    paranoid: false,
+    indexes: [
+      { fields: ['recipient_amix_id', 'recipient_device_id', 'created_at'] },
+      { fields: ['expires_at'] }
+    ]
+  }
+);
+
+export { RelayMessage };
@@ -107,10 +107,20 @@ User.init(
       defaultValue: true,
       allowNull: false
     },
+    amixId: {
+      type: DataTypes.STRING(12),
+      unique: true,
+      validate: {
+        is: /^[1-9A-HJ-NP-Za-km-z]{8,12}$/
+      }
+    },
     publicKey: DataTypes.TEXT,
+    signingPublicKey: DataTypes.TEXT,
     privateKey: DataTypes.TEXT,
     keyFingerprint: DataTypes.STRING,
-    keyExpiresAt: DataTypes.DATE
+    keyExpiresAt: DataTypes.DATE,
+    // SHA-256 of the token sealed-sender messages must present
+    deliveryTokenHash: DataTypes.STRING(64)
   },
   {
     sequelize,
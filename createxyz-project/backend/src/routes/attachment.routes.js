@@ -0,0 +1,27 @@
+import express from 'express';
+import * as attachmentController from '../controllers/attachment.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+import { ATTACHMENT_LIMITS } from '../models/attachment.model.js';
+
+const router = express.Router();
+
+// All attachment routes require authentication
+router.use(protect);
+
+// Resumable uploads
+router.post('/', attachmentController.createUpload);
+router.get('/:id/upload', attachmentController.getUpload);
+// Chunks are raw ciphertext, parsed here so the global body sanitizers never see them
+router.put(
+  '/:id/chunks/:index',
+  express.raw({ type: 'application/octet-stream', limit: ATTACHMENT_LIMITS.MAX_CHUNK_SIZE }),
+  attachmentController.putChunk
+);
+router.post('/:id/complete', attachmentController.completeUpload);
+
+// Downloads
+router.get('/:id', attachmentController.getAttachment);
+router.get('/:id/content', attachmentController.downloadAttachment);
+router.delete('/:id', attachmentController.deleteAttachment);
+
+export default router;
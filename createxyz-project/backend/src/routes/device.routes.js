@@ -0,0 +1,33 @@
+import express from 'express';
+import { rateLimit } from 'express-rate-limit';
+import * as deviceController from '../controllers/device.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// A new device polls for its approval every few seconds for up to ten
+// minutes, which would use up the general API limit on its own
+const linkPollLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 300,
+  message: 'Too many device link requests from this IP, please try again after 15 minutes',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// All device routes require authentication
+router.use(protect);
+
+router.get('/', deviceController.listDevices);
+router.post('/', deviceController.registerDevice);
+
+// Linking a new device
+router.post('/provisioning', deviceController.createProvisioning);
+router.get('/provisioning/:code', deviceController.getProvisioning);
+router.post('/provisioning/:code', deviceController.completeProvisioning);
+router.get('/provisioning/:code/envelope', linkPollLimiter, deviceController.claimProvisioning);
+
+router.get('/user/:amixId', deviceController.listUserDevices);
+router.delete('/:deviceId', deviceController.unlinkDevice);
+
+export default router;
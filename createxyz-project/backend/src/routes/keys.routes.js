@@ -0,0 +1,26 @@
+import express from 'express';
+import { rateLimit } from 'express-rate-limit';
+import * as keysController from '../controllers/keys.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// Every bundle fetch uses up one of the owner's one-time prekeys, so limit
+// how fast one account can drain them
+const bundleLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  keyGenerator: (req) => req.user.id,
+  message: 'Too many prekey bundle requests, please try again after 15 minutes',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// All key directory routes require authentication
+router.use(protect);
+
+router.post('/', keysController.uploadKeys);
+router.get('/count', keysController.getKeyCount);
+router.get('/:amixId', bundleLimiter, keysController.getBundle);
+
+export default router;
@@ -0,0 +1,26 @@
+import express from 'express';
+import * as mlsController from '../controllers/mls.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// All MLS delivery service routes require authentication
+router.use(protect);
+
+// Key packages
+router.post('/key-packages', mlsController.uploadKeyPackages);
+router.get('/key-packages/count', mlsController.getKeyPackageCount);
+router.get('/key-packages/:amixId', mlsController.claimKeyPackages);
+
+// Welcomes for groups we were added to
+router.get('/welcomes', mlsController.fetchWelcomes);
+router.post('/welcomes/ack', mlsController.ackWelcomes);
+
+// Group ordering
+router.post('/groups', mlsController.createGroup);
+router.get('/groups/:groupId', mlsController.getGroup);
+router.post('/groups/:groupId/commits', mlsController.postCommit);
+router.post('/groups/:groupId/messages', mlsController.postMessage);
+router.get('/groups/:groupId/messages', mlsController.fetchMessages);
+
+export default router;
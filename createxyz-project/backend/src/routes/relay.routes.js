@@ -0,0 +1,20 @@
+import express from 'express';
+import * as relayController from '../controllers/relay.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// Sealed-sender delivery is anonymous by design; the delivery token gates it
+router.post('/sealed', relayController.postSealedMessage);
+router.get('/trust-root', relayController.getTrustRoot);
+
+// All other relay routes require authentication
+router.use(protect);
+
+router.post('/message', relayController.postMessage);
+router.put('/delivery-token', relayController.setDeliveryToken);
+router.get('/certificate', relayController.getSenderCertificate);
+router.get('/messages', relayController.fetchMessages);
+router.post('/ack', relayController.ackMessages);
+
+export default router;
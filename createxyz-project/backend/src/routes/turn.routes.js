@@ -0,0 +1,12 @@
+import express from 'express';
+import * as turnController from '../controllers/turn.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// TURN credentials are only for signed-in users
+router.use(protect);
+
+router.get('/credentials', turnController.getCredentials);
+
+export default router;
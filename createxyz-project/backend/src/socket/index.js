@@ -0,0 +1,70 @@
+import { verifySocketToken } from '../middleware/auth.middleware.js';
+import { User } from '../models/user.model.js';
+import { logger } from '../utils/logger.js';
+import { createSignalQueue } from './signalQueue.js';
+import { createPresenceStore } from './presence.js';
+import { registerSignalingHandlers, isValidAmixId } from './signaling.handler.js';
+import { registerPresenceHandlers } from './presence.handler.js';
+import { registerSfuHandlers } from './sfu.handler.js';
+
+// Resolve the AmiX ID for an authenticated socket.
+// The first connection that presents an AmiX ID binds it to the account;
+// afterwards the handshake must present the same ID.
+export const resolveAmixId = async (socket, next) => {
+  try {
+    const user = await User.findByPk(socket.user.id);
+    if (!user || !user.active) {
+      return next(new Error('Authentication error: User not found'));
+    }
+
+    const requestedId = socket.handshake.auth?.amixId;
+
+    if (!user.amixId) {
+      if (!isValidAmixId(requestedId)) {
+        return next(new Error('Registration error: Invalid AmiX ID'));
+      }
+
+      const existing = await User.findOne({ where: { amixId: requestedId } });
+      if (existing) {
+        return next(new Error('Registration error: AmiX ID already in use'));
+      }
+
+      user.amixId = requestedId;
+      await user.save({ validate: false });
+    } else if (requestedId && requestedId !== user.amixId) {
+      return next(new Error('Authentication error: AmiX ID mismatch'));
+    }
+
+    socket.amixId = user.amixId;
+    next();
+  } catch (error) {
+    logger.error(`Socket AmiX ID resolution failed: ${error.message}`);
+    next(new Error('Authentication error'));
+  }
+};
+
+export const initializeSocket = (io, { redis } = {}) => {
+  const signaling = io.of('/signaling');
+  const queue = createSignalQueue(redis);
+  const presence = createPresenceStore(redis);
+
+  signaling.use(verifySocketToken);
+  signaling.use(resolveAmixId);
+
+  signaling.on('connection', (socket) => {
+    registerSignalingHandlers(signaling, socket, queue);
+    registerPresenceHandlers(signaling, socket, presence);
+  });
+
+  // Group call media for calls too large for a mesh
+  const sfu = io.of('/sfu');
+
+  sfu.use(verifySocketToken);
+  sfu.use(resolveAmixId);
+
+  sfu.on('connection', (socket) => {
+    registerSfuHandlers(sfu, socket);
+  });
+
+  return { signaling, sfu };
+};
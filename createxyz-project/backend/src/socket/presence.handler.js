@@ -0,0 +1,122 @@
+import { logger } from '../utils/logger.js';
+import { isPlainObject, isValidAmixId, toAck, userRoom } from './signaling.handler.js';
+import { LAST_SEEN_VISIBILITY, PRESENCE_LIMITS, hiddenPresence } from './presence.js';
+
+// Online state and last-seen over the signaling namespace. Clients
+// subscribe to the AmiX IDs they show (contacts, open chats) and get a
+// 'presence' event whenever one of them comes online or goes offline,
+// filtered by that user's visibility setting.
+
+const VISIBILITY_VALUES = Object.values(LAST_SEEN_VISIBILITY);
+
+const validIdList = (amixIds, max) =>
+  Array.isArray(amixIds) && amixIds.length <= max && amixIds.every(isValidAmixId);
+
+// Tell everyone watching a user what they are allowed to see of them
+export const publishPresence = async (namespace, presence, amixId) => {
+  const watchers = await presence.watchers(amixId);
+  const allowed = new Set(await presence.allowedViewers(amixId, watchers));
+  const hidden = watchers.filter((watcherId) => !allowed.has(watcherId));
+
+  if (allowed.size > 0) {
+    const current = await presence.getPresence(amixId);
+    namespace.to([...allowed].map(userRoom)).emit('presence', current);
+  }
+  if (hidden.length > 0) {
+    namespace.to(hidden.map(userRoom)).emit('presence', hiddenPresence(amixId));
+  }
+};
+
+export const registerPresenceHandlers = (namespace, socket, presence) => {
+  const { amixId } = socket;
+
+  const publish = () => publishPresence(namespace, presence, amixId).catch((error) => {
+    logger.error(`Presence: failed to publish for ${amixId}: ${error.message}`);
+  });
+
+  // 1) Count this socket while it keeps sending heartbeats
+  presence
+    .connect(amixId, socket.id)
+    .then((cameOnline) => {
+      if (cameOnline) publish();
+    })
+    .catch((error) => {
+      logger.error(`Presence: failed to register ${amixId}: ${error.message}`);
+    });
+
+  const heartbeat = setInterval(() => {
+    presence.heartbeat(amixId, socket.id).catch((error) => {
+      logger.error(`Presence: heartbeat failed for ${amixId}: ${error.message}`);
+    });
+  }, PRESENCE_LIMITS.HEARTBEAT_MS);
+
+  // 2) Follow other users' presence
+  socket.on('presence:subscribe', async (payload, callback) => {
+    const ack = toAck(callback);
+    try {
+      const amixIds = isPlainObject(payload) ? payload.amixIds : null;
+      if (!validIdList(amixIds, PRESENCE_LIMITS.MAX_WATCH)) {
+        return ack({ status: 'error', message: 'Invalid AmiX ID list' });
+      }
+
+      await presence.watch(amixId, amixIds);
+      const data = await Promise.all(amixIds.map((ownerId) => presence.view(ownerId, amixId)));
+      return ack({ status: 'success', data });
+    } catch (error) {
+      logger.error(`Presence: subscribe failed for ${amixId}: ${error.message}`);
+      return ack({ status: 'error', message: 'Failed to subscribe' });
+    }
+  });
+
+  socket.on('presence:unsubscribe', async (payload, callback) => {
+    const ack = toAck(callback);
+    try {
+      const amixIds = isPlainObject(payload) ? payload.amixIds : null;
+      if (!validIdList(amixIds, PRESENCE_LIMITS.MAX_WATCH)) {
+        return ack({ status: 'error', message: 'Invalid AmiX ID list' });
+      }
+
+      await presence.unwatch(amixId, amixIds);
+      return ack({ status: 'success' });
+    } catch (error) {
+      logger.error(`Presence: unsubscribe failed for ${amixId}: ${error.message}`);
+      return ack({ status: 'error', message: 'Failed to unsubscribe' });
+    }
+  });
+
+  // 3) Who may see ours; watchers learn right away if they no longer can
+  socket.on('presence:settings', async (payload, callback) => {
+    const ack = toAck(callback);
+    try {
+      if (!isPlainObject(payload)) {
+        return ack({ status: 'error', message: 'Invalid last-seen setting' });
+      }
+      const { lastSeen, friends = [] } = payload;
+      if (!VISIBILITY_VALUES.includes(lastSeen)) {
+        return ack({ status: 'error', message: 'Invalid last-seen setting' });
+      }
+      if (!Array.isArray(friends) || friends.length > PRESENCE_LIMITS.MAX_FRIENDS) {
+        return ack({ status: 'error', message: 'Invalid friend list' });
+      }
+
+      await presence.setSettings(amixId, { lastSeen, friends: friends.filter(isValidAmixId) });
+      publish();
+      return ack({ status: 'success' });
+    } catch (error) {
+      logger.error(`Presence: failed to save settings for ${amixId}: ${error.message}`);
+      return ack({ status: 'error', message: 'Failed to save settings' });
+    }
+  });
+
+  socket.on('disconnect', () => {
+    clearInterval(heartbeat);
+    presence
+      .disconnect(amixId, socket.id)
+      .then((wentOffline) => {
+        if (wentOffline) publish();
+      })
+      .catch((error) => {
+        logger.error(`Presence: failed to unregister ${amixId}: ${error.message}`);
+      });
+  });
+};
@@ -0,0 +1,150 @@
+// Online state and last-seen for every AmiX ID, shared by all Socket.IO
+// instances through Redis. Each connected socket keeps an entry alive with
+// heartbeats, so a crashed instance's sockets age out instead of leaving
+// their users online forever.
+//
+// Who may see it is up to the user: everyone, only the friends they list,
+// or nobody. The setting covers both online state and last-seen, and it is
+// reciprocal: hiding your own last-seen hides everyone else's from you.
+
+const SOCKETS_PREFIX = 'presence:sockets:';
+const LAST_SEEN_PREFIX = 'presence:lastseen:';
+const SETTINGS_PREFIX = 'presence:settings:';
+const FRIENDS_PREFIX = 'presence:friends:';
+const WATCHERS_PREFIX = 'presence:watchers:';
+
+export const LAST_SEEN_VISIBILITY = {
+  EVERYONE: 'everyone',
+  FRIENDS: 'friends',
+  NOBODY: 'nobody'
+};
+
+export const PRESENCE_LIMITS = {
+  HEARTBEAT_MS: 30 * 1000,
+  SOCKET_TTL_MS: 90 * 1000, // Three missed heartbeats and the socket counts as gone
+  WATCH_TTL_MS: 24 * 60 * 60 * 1000, // Watchers re-subscribe on every connect
+  MAX_WATCH: 500,
+  MAX_FRIENDS: 5000
+};
+
+const socketsKey = (amixId) => `${SOCKETS_PREFIX}${amixId}`;
+const lastSeenKey = (amixId) => `${LAST_SEEN_PREFIX}${amixId}`;
+const settingsKey = (amixId) => `${SETTINGS_PREFIX}${amixId}`;
+const friendsKey = (amixId) => `${FRIENDS_PREFIX}${amixId}`;
+const watchersKey = (amixId) => `${WATCHERS_PREFIX}${amixId}`;
+
+export const hiddenPresence = (amixId) => ({ amixId, online: false, lastSeen: null, hidden: true });
+
+export const createPresenceStore = (redis) => {
+  // Drop sockets that stopped sending heartbeats and count the rest
+  const countSockets = async (amixId) => {
+    const key = socketsKey(amixId);
+    const [, count] = await redis
+      .multi()
+      .zRemRangeByScore(key, '-inf', Date.now())
+      .zCard(key)
+      .exec();
+    return Number(count);
+  };
+
+  // Returns true when this socket brought the user online
+  const connect = async (amixId, socketId) => {
+    const wasOnline = (await countSockets(amixId)) > 0;
+    await heartbeat(amixId, socketId);
+    return !wasOnline;
+  };
+
+  const heartbeat = async (amixId, socketId) => {
+    const key = socketsKey(amixId);
+    await redis
+      .multi()
+      .zAdd(key, { score: Date.now() + PRESENCE_LIMITS.SOCKET_TTL_MS, value: socketId })
+      .pExpire(key, PRESENCE_LIMITS.SOCKET_TTL_MS)
+      .exec();
+  };
+
+  // Returns true when this was the user's last socket
+  const disconnect = async (amixId, socketId) => {
+    await redis.zRem(socketsKey(amixId), socketId);
+    if ((await countSockets(amixId)) > 0) {
+      return false;
+    }
+
+    await redis.set(lastSeenKey(amixId), String(Date.now()));
+    return true;
+  };
+
+  const getPresence = async (amixId) => {
+    const [online, lastSeen] = await Promise.all([
+      countSockets(amixId),
+      redis.get(lastSeenKey(amixId))
+    ]);
+    return {
+      amixId,
+      online: online > 0,
+      lastSeen: lastSeen ? Number(lastSeen) : null
+    };
+  };
+
+  const getVisibility = async (amixId) =>
+    (await redis.get(settingsKey(amixId))) || LAST_SEEN_VISIBILITY.EVERYONE;
+
+  const setSettings = async (amixId, { lastSeen, friends }) => {
+    const multi = redis.multi().set(settingsKey(amixId), lastSeen).del(friendsKey(amixId));
+    if (friends.length > 0) {
+      multi.sAdd(friendsKey(amixId), friends);
+    }
+    await multi.exec();
+  };
+
+  // Of these viewers, the ones the owner lets see their presence
+  const allowedViewers = async (ownerId, viewerIds) => {
+    const visibility = await getVisibility(ownerId);
+    if (visibility === LAST_SEEN_VISIBILITY.NOBODY || viewerIds.length === 0) {
+      return [];
+    }
+
+    let allowed = viewerIds;
+    if (visibility === LAST_SEEN_VISIBILITY.FRIENDS) {
+      const friends = new Set(await redis.sMembers(friendsKey(ownerId)));
+      allowed = viewerIds.filter((viewerId) => friends.has(viewerId));
+    }
+
+    // Reciprocal: viewers hiding their own presence see nobody's
+    const viewerSettings = await Promise.all(allowed.map(getVisibility));
+    return allowed.filter((viewerId, i) => viewerSettings[i] !== LAST_SEEN_VISIBILITY.NOBODY);
+  };
+
+  // Presence of the owner as this viewer is allowed to see it
+  const view = async (ownerId, viewerId) => {
+    const [allowed] = await allowedViewers(ownerId, [viewerId]);
+    return allowed ? getPresence(ownerId) : hiddenPresence(ownerId);
+  };
+
+  const watch = async (viewerId, amixIds) => {
+    await Promise.all(amixIds.map((amixId) => redis
+      .multi()
+      .sAdd(watchersKey(amixId), viewerId)
+      .pExpire(watchersKey(amixId), PRESENCE_LIMITS.WATCH_TTL_MS)
+      .exec()));
+  };
+
+  const unwatch = async (viewerId, amixIds) => {
+    await Promise.all(amixIds.map((amixId) => redis.sRem(watchersKey(amixId), viewerId)));
+  };
+
+  const watchers = async (amixId) => redis.sMembers(watchersKey(amixId));
+
+  return {
+    connect,
+    heartbeat,
+    disconnect,
+    getPresence,
+    setSettings,
+    allowedViewers,
+    view,
+    watch,
+    unwatch,
+    watchers
+  };
+};
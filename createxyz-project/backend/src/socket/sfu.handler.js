@@ -0,0 +1,299 @@
+import { logger } from '../utils/logger.js';
+import { isPlainObject, isValidAmixId, toAck } from './signaling.handler.js';
+
+// Minimal selective forwarding unit for group calls, meant for running
+// group calls locally. Clients publish encoded frames that are already
+// SFrame-encrypted end to end; the SFU only reads the clear routing fields
+// next to each frame (kind, frame type, audio level - what a real SFU
+// reads from RTP headers) and forwards the frame to the other participants.
+// Room state lives in this process, so run a single instance.
+
+export const SFU_LIMITS = {
+  MAX_PARTICIPANTS: 32,
+  MAX_FRAME_SIZE: 256 * 1024, // A large keyframe
+  SPEAKER_THRESHOLD: 0.05, // Audio level (0..1) that counts as speaking
+  SPEAKER_HOLD: 1000, // ms the active speaker is kept before switching
+  LEVEL_SMOOTHING: 0.3
+};
+
+const FRAME_KINDS = ['audio', 'video'];
+const CALL_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+const callRoom = (callId) => `sfu:${callId}`;
+
+// Requests carry an object and an ack. Anything else gets an error rather
+// than throwing out of the listener, which would stop the server.
+const onRequest = (socket, event, handler) => {
+  socket.on(event, (payload, callback) => {
+    const ack = toAck(callback);
+    if (!isPlainObject(payload)) {
+      return ack({ status: 'error', message: 'Invalid request' });
+    }
+
+    try {
+      return handler(payload, ack);
+    } catch (error) {
+      logger.error(`SFU: ${event} failed for ${socket.amixId}: ${error.message}`);
+      return ack({ status: 'error', message: 'Request failed' });
+    }
+  });
+};
+
+// callId -> { id, groupId, host, allowed, participants, activeSpeaker, speakerChangedAt }
+const rooms = new Map();
+
+const participantView = (amixId, participant) => ({
+  amixId,
+  muted: participant.muted,
+  videoEnabled: participant.videoEnabled,
+  joinedAt: participant.joinedAt
+});
+
+const roomView = (room) => ({
+  callId: room.id,
+  groupId: room.groupId,
+  host: room.host,
+  participants: [...room.participants].map(([amixId, participant]) => participantView(amixId, participant)),
+  activeSpeaker: room.activeSpeaker
+});
+
+// Loudest participant above the threshold, switching no faster than the hold time
+const updateActiveSpeaker = (namespace, room) => {
+  let loudest = null;
+  let loudestLevel = SFU_LIMITS.SPEAKER_THRESHOLD;
+
+  for (const [amixId, participant] of room.participants) {
+    if (!participant.muted && participant.audioLevel > loudestLevel) {
+      loudest = amixId;
+      loudestLevel = participant.audioLevel;
+    }
+  }
+
+  const now = Date.now();
+  if (!loudest || loudest === room.activeSpeaker || now - room.speakerChangedAt < SFU_LIMITS.SPEAKER_HOLD) {
+    return;
+  }
+
+  room.activeSpeaker = loudest;
+  room.speakerChangedAt = now;
+  namespace.to(callRoom(room.id)).emit('sfu:active-speaker', { callId: room.id, amixId: loudest });
+};
+
+const removeParticipant = (namespace, socket, room, reason) => {
+  const participant = room.participants.get(socket.amixId);
+  if (!participant || participant.socketId !== socket.id) return;
+
+  room.participants.delete(socket.amixId);
+  socket.leave(callRoom(room.id));
+  socket.sfuCalls.delete(room.id);
+
+  if (room.activeSpeaker === socket.amixId) {
+    room.activeSpeaker = null;
+  }
+
+  namespace.to(callRoom(room.id)).emit('sfu:participant-left', {
+    callId: room.id,
+    amixId: socket.amixId,
+    reason
+  });
+
+  // The last one out closes the room
+  if (room.participants.size === 0) {
+    rooms.delete(room.id);
+    logger.info(`SFU: call ${room.id} closed`);
+  }
+};
+
+export const registerSfuHandlers = (namespace, socket) => {
+  const { amixId } = socket;
+  socket.sfuCalls = new Set();
+
+  const joinedRoom = (callId) => {
+    const room = rooms.get(callId);
+    return room && socket.sfuCalls.has(callId) ? room : null;
+  };
+
+  // 1) Open a room for a group call, listing who may join
+  onRequest(socket, 'sfu:create', ({ callId, groupId, participants }, ack) => {
+    if (typeof callId !== 'string' || !CALL_ID_PATTERN.test(callId)) {
+      return ack({ status: 'error', message: 'Invalid call ID' });
+    }
+
+    if (!Array.isArray(participants) ||
+        participants.length > SFU_LIMITS.MAX_PARTICIPANTS ||
+        !participants.every(isValidAmixId)) {
+      return ack({ status: 'error', message: 'Invalid participant list' });
+    }
+
+    const existing = rooms.get(callId);
+    if (existing) {
+      // Someone else's room with this ID: don't leak that it exists
+      return existing.allowed.has(amixId)
+        ? ack({ status: 'success', data: roomView(existing) })
+        : ack({ status: 'error', message: 'Invalid call ID' });
+    }
+
+    const room = {
+      id: callId,
+      groupId: typeof groupId === 'string' ? groupId : null,
+      host: amixId,
+      allowed: new Set([amixId, ...participants]),
+      participants: new Map(),
+      activeSpeaker: null,
+      speakerChangedAt: 0
+    };
+    rooms.set(callId, room);
+
+    logger.info(`SFU: ${amixId} opened call ${callId} for ${room.allowed.size} participants`);
+    return ack({ status: 'success', data: roomView(room) });
+  });
+
+  // 2) Join a room we are allowed into
+  onRequest(socket, 'sfu:join', ({ callId, muted = false, videoEnabled = true }, ack) => {
+    const room = rooms.get(callId);
+    if (!room || !room.allowed.has(amixId)) {
+      return ack({ status: 'error', message: 'Call not found' });
+    }
+
+    if (room.participants.size >= SFU_LIMITS.MAX_PARTICIPANTS && !room.participants.has(amixId)) {
+      return ack({ status: 'error', message: 'Call is full' });
+    }
+
+    // A second device (or a reconnect) replaces the previous socket
+    const previous = room.participants.get(amixId);
+    if (previous && previous.socketId !== socket.id) {
+      namespace.sockets.get(previous.socketId)?.leave(callRoom(callId));
+    }
+
+    room.participants.set(amixId, {
+      socketId: socket.id,
+      muted: Boolean(muted),
+      videoEnabled: Boolean(videoEnabled),
+      audioLevel: 0,
+      videoFrom: null, // null: every participant's video
+      joinedAt: previous?.joinedAt || Date.now()
+    });
+    socket.sfuCalls.add(callId);
+    socket.join(callRoom(callId));
+
+    socket.to(callRoom(callId)).emit('sfu:participant-joined', {
+      callId,
+      participant: participantView(amixId, room.participants.get(amixId))
+    });
+
+    return ack({ status: 'success', data: roomView(room) });
+  });
+
+  onRequest(socket, 'sfu:leave', ({ callId }, ack) => {
+    const room = joinedRoom(callId);
+    if (room) {
+      removeParticipant(namespace, socket, room, 'left');
+    }
+    return ack({ status: 'success' });
+  });
+
+  // 3) Membership changed in the group: the host updates who may stay
+  onRequest(socket, 'sfu:update-participants', ({ callId, add = [], remove = [] }, ack) => {
+    const room = joinedRoom(callId);
+    if (!room || room.host !== amixId) {
+      return ack({ status: 'error', message: 'Only the host can change participants' });
+    }
+
+    if (!Array.isArray(add) || !Array.isArray(remove) ||
+        ![...add, ...remove].every(isValidAmixId) ||
+        room.allowed.size + add.length > SFU_LIMITS.MAX_PARTICIPANTS + remove.length) {
+      return ack({ status: 'error', message: 'Invalid participant list' });
+    }
+
+    add.forEach(id => room.allowed.add(id));
+    remove.filter(id => id !== amixId).forEach((id) => {
+      room.allowed.delete(id);
+      const participant = room.participants.get(id);
+      const removedSocket = participant && namespace.sockets.get(participant.socketId);
+      if (removedSocket) {
+        removeParticipant(namespace, removedSocket, room, 'removed');
+        removedSocket.emit('sfu:removed', { callId });
+      }
+    });
+
+    return ack({ status: 'success', data: roomView(room) });
+  });
+
+  // 4) Mute and camera state
+  onRequest(socket, 'sfu:state', ({ callId, muted, videoEnabled }, ack) => {
+    const room = joinedRoom(callId);
+    const participant = room?.participants.get(amixId);
+    if (!participant) {
+      return ack({ status: 'error', message: 'Not in this call' });
+    }
+
+    if (typeof muted === 'boolean') participant.muted = muted;
+    if (typeof videoEnabled === 'boolean') participant.videoEnabled = videoEnabled;
+    if (participant.muted) participant.audioLevel = 0;
+
+    namespace.to(callRoom(callId)).emit('sfu:participant-state', {
+      callId,
+      participant: participantView(amixId, participant)
+    });
+    return ack({ status: 'success' });
+  });
+
+  // Whose video this participant wants (e.g. only the visible tiles)
+  onRequest(socket, 'sfu:subscribe', ({ callId, videoFrom }, ack) => {
+    const participant = joinedRoom(callId)?.participants.get(amixId);
+    if (!participant) {
+      return ack({ status: 'error', message: 'Not in this call' });
+    }
+
+    participant.videoFrom = Array.isArray(videoFrom) ? new Set(videoFrom.filter(isValidAmixId)) : null;
+    return ack({ status: 'success' });
+  });
+
+  // 5) Forward an encrypted frame to everyone who wants it
+  socket.on('sfu:frame', (meta, data) => {
+    const room = joinedRoom(meta?.callId);
+    const sender = room?.participants.get(amixId);
+    if (!sender || sender.socketId !== socket.id) return;
+
+    if (!FRAME_KINDS.includes(meta.kind) || !Buffer.isBuffer(data) || data.length > SFU_LIMITS.MAX_FRAME_SIZE) {
+      return;
+    }
+
+    // Muted means muted, whatever the client keeps sending
+    if ((meta.kind === 'audio' && sender.muted) || (meta.kind === 'video' && !sender.videoEnabled)) {
+      return;
+    }
+
+    if (meta.kind === 'audio') {
+      const level = Number(meta.audioLevel);
+      if (Number.isFinite(level) && level >= 0 && level <= 1) {
+        sender.audioLevel += (level - sender.audioLevel) * SFU_LIMITS.LEVEL_SMOOTHING;
+        updateActiveSpeaker(namespace, room);
+      }
+    }
+
+    const forwarded = {
+      callId: room.id,
+      from: amixId,
+      kind: meta.kind,
+      type: meta.type === 'key' || meta.type === 'delta' ? meta.type : undefined,
+      timestamp: Number.isFinite(meta.timestamp) ? meta.timestamp : undefined
+    };
+
+    for (const [participantId, participant] of room.participants) {
+      if (participantId === amixId) continue;
+      if (meta.kind === 'video' && participant.videoFrom && !participant.videoFrom.has(amixId)) continue;
+
+      namespace.to(participant.socketId).volatile.emit('sfu:frame', forwarded, data);
+    }
+  });
+
+  socket.on('disconnect', () => {
+    for (const callId of [...socket.sfuCalls]) {
+      const room = rooms.get(callId);
+      if (room) {
+        removeParticipant(namespace, socket, room, 'disconnected');
+      }
+    }
+  });
+};
@@ -0,0 +1,59 @@
+// Store-and-forward queue for signals addressed to offline users.
+// Backed by Redis so every Socket.IO instance sees the same mailbox.
+
+const QUEUE_PREFIX = 'signaling:queue:';
+const MAX_QUEUED_SIGNALS = 500;
+
+// How long a queued signal stays useful, by type. SDP and ICE data go stale
+// within minutes, friend requests should survive a few days offline.
+export const SIGNAL_TTL_MS = {
+  'friend-request': 7 * 24 * 60 * 60 * 1000, // 7 days
+  'friend-request-accepted': 7 * 24 * 60 * 60 * 1000, // 7 days
+  default: 2 * 60 * 1000 // 2 minutes
+};
+
+const queueKey = (amixId) => `${QUEUE_PREFIX}${amixId}`;
+
+const ttlFor = (type) => SIGNAL_TTL_MS[type] || SIGNAL_TTL_MS.default;
+
+export const createSignalQueue = (redis) => {
+  const enqueue = async (amixId, signal) => {
+    const key = queueKey(amixId);
+    const entry = {
+      ...signal,
+      expiresAt: Date.now() + ttlFor(signal.type)
+    };
+
+    await redis
+      .multi()
+      .rPush(key, JSON.stringify(entry))
+      .lTrim(key, -MAX_QUEUED_SIGNALS, -1)
+      .expire(key, Math.ceil(SIGNAL_TTL_MS['friend-request'] / 1000))
+      .exec();
+
+    return entry;
+  };
+
+  // Read and clear the mailbox atomically, dropping anything that expired
+  const drain = async (amixId) => {
+    const key = queueKey(amixId);
+    const [entries] = await redis
+      .multi()
+      .lRange(key, 0, -1)
+      .del(key)
+      .exec();
+
+    const now = Date.now();
+    return (entries || [])
+      .map((raw) => {
+        try {
+          return JSON.parse(raw);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter((entry) => entry && entry.expiresAt > now);
+  };
+
+  return { enqueue, drain };
+};
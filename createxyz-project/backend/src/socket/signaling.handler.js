@@ -0,0 +1,122 @@
+import { randomUUID } from 'crypto';
+import { logger } from '../utils/logger.js';
+
+// Signal types the server is willing to route. Payloads are opaque to the
+// server: SDP, ICE candidates and call data are forwarded untouched.
+export const SIGNAL_TYPES = [
+  'offer',
+  'answer',
+  'ice-candidate',
+  'friend-request',
+  'friend-request-accepted',
+  'call-invitation',
+  'call-acceptance',
+  'call-rejection',
+  'call-update',
+  'call-end',
+  'group-call-invitation',
+  'group-call-join',
+  'group-call-key',
+  'group-call-leave',
+  'group-call-state',
+  'typing'
+];
+
+// Only useful right now: dropped rather than queued for offline users
+export const EPHEMERAL_SIGNAL_TYPES = ['typing'];
+
+const AMIX_ID_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{8,12}$/;
+const MAX_SIGNAL_SIZE = 64 * 1024; // 64KB per signal
+
+// Room that holds every socket of a single AmiX identity
+export const userRoom = (amixId) => `amix:${amixId}`;
+
+export const isValidAmixId = (amixId) =>
+  typeof amixId === 'string' && AMIX_ID_PATTERN.test(amixId);
+
+// Listeners get whatever the client emitted. A payload that isn't an object
+// or an ack that isn't a function must not throw: a throw in an async
+// listener is an unhandled rejection, and that stops the server.
+export const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+export const toAck = (ack) => (typeof ack === 'function' ? ack : () => {});
+
+const validateSignal = (signal) => {
+  if (!signal || typeof signal !== 'object') {
+    return 'Signal must be an object';
+  }
+  if (!SIGNAL_TYPES.includes(signal.type)) {
+    return `Unsupported signal type: ${signal.type}`;
+  }
+  if (!isValidAmixId(signal.to)) {
+    return 'Invalid recipient AmiX ID';
+  }
+  if (JSON.stringify(signal.data ?? null).length > MAX_SIGNAL_SIZE) {
+    return 'Signal payload too large';
+  }
+  return null;
+};
+
+const isOnline = async (namespace, amixId) => {
+  const sockets = await namespace.in(userRoom(amixId)).fetchSockets();
+  return sockets.length > 0;
+};
+
+export const registerSignalingHandlers = (namespace, socket, queue) => {
+  const { amixId } = socket;
+
+  socket.join(userRoom(amixId));
+  logger.info(`Signaling: ${amixId} connected (${socket.id})`);
+
+  // 1) Flush anything that was queued while this user was offline
+  queue
+    .drain(amixId)
+    .then((signals) => {
+      signals.forEach(({ expiresAt, ...signal }) => socket.emit('signal', signal));
+    })
+    .catch((error) => {
+      logger.error(`Signaling: failed to drain queue for ${amixId}: ${error.message}`);
+    });
+
+  // 2) Route signals to the recipient, or queue them if they are offline.
+  // Ephemeral signals to offline users are dropped and never stored.
+  socket.on('signal', async (signal, callback) => {
+    const ack = toAck(callback);
+    try {
+      const validationError = validateSignal(signal);
+      if (validationError) {
+        return ack({ status: 'error', message: validationError });
+      }
+
+      // Never trust a client-supplied sender: stamp the authenticated identity
+      const message = {
+        id: typeof signal.id === 'string' ? signal.id : randomUUID(),
+        type: signal.type,
+        from: amixId,
+        to: signal.to,
+        data: signal.data ?? null,
+        timestamp: Date.now()
+      };
+
+      if (await isOnline(namespace, message.to)) {
+        namespace.to(userRoom(message.to)).emit('signal', message);
+        return ack({ status: 'delivered', id: message.id });
+      }
+
+      if (EPHEMERAL_SIGNAL_TYPES.includes(message.type)) {
+        return ack({ status: 'dropped', id: message.id });
+      }
+
+      await queue.enqueue(message.to, message);
+      return ack({ status: 'queued', id: message.id });
+    } catch (error) {
+      logger.error(`Signaling: failed to route signal from ${amixId}: ${error.message}`);
+      return ack({ status: 'error', message: 'Failed to route signal' });
+    }
+  });
+
+  socket.on('disconnect', (reason) => {
+    logger.info(`Signaling: ${amixId} disconnected (${reason})`);
+  });
+};
@@ -0,0 +1,82 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// Encrypted attachment chunks on local disk. Chunks are content-addressed:
+// each is stored once under its SHA-256 and fanned out by the first two hex
+// digits, so identical ciphertext uploaded twice takes no extra space.
+const STORAGE_DIR = path.resolve(process.env.ATTACHMENT_STORAGE_DIR || 'storage/attachments');
+
+export const CHUNK_HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+export const hashChunk = data => crypto.createHash('sha256').update(data).digest('hex');
+
+const chunkPath = (hash) => {
+  // Hashes become file names: never accept anything else
+  if (!CHUNK_HASH_PATTERN.test(hash)) {
+    throw new Error('Invalid chunk hash');
+  }
+  return path.join(STORAGE_DIR, hash.slice(0, 2), hash);
+};
+
+// Whether the store holds a chunk. Found chunks are touched, so a sweep
+// that collected its referenced set before the caller's session existed
+// still sees them as fresh and keeps them.
+export const claimChunk = async (hash) => {
+  const now = new Date();
+  try {
+    await fsp.utimes(chunkPath(hash), now, now);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+};
+
+// Write-then-rename, so a crashed upload never leaves a partial chunk behind
+export const writeChunk = async (hash, data) => {
+  const target = chunkPath(hash);
+  const temp = `${target}.${crypto.randomUUID()}.tmp`;
+
+  await fsp.mkdir(path.dirname(target), { recursive: true });
+  await fsp.writeFile(temp, data);
+  await fsp.rename(temp, target);
+};
+
+// `start`/`end` are inclusive byte offsets within the chunk
+export const createChunkStream = (hash, start, end) =>
+  fs.createReadStream(chunkPath(hash), { start, end });
+
+// Delete chunks nothing references any more. Files written or claimed in
+// the last `graceMs` are kept: their upload session may have been created
+// after the caller collected the referenced set.
+export const sweepChunks = async (isReferenced, graceMs) => {
+  let removed = 0;
+  const cutoff = Date.now() - graceMs;
+
+  let prefixes;
+  try {
+    prefixes = await fsp.readdir(STORAGE_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return removed;
+    throw error;
+  }
+
+  for (const prefix of prefixes) {
+    const dir = path.join(STORAGE_DIR, prefix);
+    for (const name of await fsp.readdir(dir)) {
+      const file = path.join(dir, name);
+      const hash = name.endsWith('.tmp') ? null : name;
+      if (hash && isReferenced(hash)) continue;
+
+      const { mtimeMs } = await fsp.stat(file);
+      if (mtimeMs > cutoff) continue;
+
+      await fsp.rm(file, { force: true });
+      removed += 1;
+    }
+  }
+
+  return removed;
+};
@@ -0,0 +1,47 @@
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+// Sender certificates last a day; clients refresh them before they expire
+export const SENDER_CERTIFICATE_TTL = 24 * 60 * 60 * 1000;
+
+// DER prefixes turning raw 32-byte Ed25519 keys into PKCS8 / SPKI
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+const ED25519_SPKI_PREFIX_LENGTH = 12;
+
+// The trust root clients pin. It must be stable across restarts, so
+// production deployments set SENDER_CERTIFICATE_KEY (base64 Ed25519 seed).
+const loadSigningKey = () => {
+  const seed = process.env.SENDER_CERTIFICATE_KEY
+    ? Buffer.from(process.env.SENDER_CERTIFICATE_KEY, 'base64')
+    : null;
+
+  if (seed && seed.length === 32) {
+    return crypto.createPrivateKey({
+      key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]),
+      format: 'der',
+      type: 'pkcs8'
+    });
+  }
+
+  logger.warn('SENDER_CERTIFICATE_KEY not set; sender certificates will not survive a restart');
+  return crypto.generateKeyPairSync('ed25519').privateKey;
+};
+
+const signingKey = loadSigningKey();
+
+// Raw base64 public key clients verify sender certificates against
+export const trustRoot = crypto.createPublicKey(signingKey)
+  .export({ format: 'der', type: 'spki' })
+  .subarray(ED25519_SPKI_PREFIX_LENGTH)
+  .toString('base64');
+
+// Vouch that a device of this identity owns `identityKey`. The certificate
+// is signed as the exact JSON string clients receive, so nobody has to
+// canonicalise it.
+export const issueSenderCertificate = ({ amixId, deviceId, identityKey }) => {
+  const expiresAt = Date.now() + SENDER_CERTIFICATE_TTL;
+  const certificate = JSON.stringify({ amixId, deviceId, identityKey, expiresAt });
+  const signature = crypto.sign(null, Buffer.from(certificate), signingKey).toString('base64');
+
+  return { certificate, signature, expiresAt };
+};
@@ -0,0 +1,62 @@
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+// Short-lived TURN credentials in the TURN REST API scheme that coturn
+// verifies with `use-auth-secret` / `static-auth-secret`:
+//   username   = "<expiry unix seconds>:<user tag>"
+//   credential = base64(HMAC-SHA1(shared secret, username))
+// coturn recomputes the HMAC and refuses the username once the expiry has
+// passed, so nothing needs to be stored here or on the TURN server.
+
+const DEFAULT_TTL = 60 * 60; // seconds
+const MIN_TTL = 5 * 60;
+const MAX_TTL = 24 * 60 * 60;
+
+const parseList = value => (value || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean);
+
+const secret = process.env.TURN_SECRET || null;
+const turnUris = parseList(process.env.TURN_URIS);
+const stunUris = parseList(process.env.STUN_URIS);
+
+const configuredTtl = Number.parseInt(process.env.TURN_CREDENTIAL_TTL, 10);
+export const TURN_CREDENTIAL_TTL = Number.isFinite(configuredTtl)
+  ? Math.min(Math.max(configuredTtl, MIN_TTL), MAX_TTL)
+  : DEFAULT_TTL;
+
+if (!secret || turnUris.length === 0) {
+  logger.warn('TURN_SECRET or TURN_URIS not set; clients will only get STUN servers');
+}
+
+export const isTurnConfigured = () => Boolean(secret) && turnUris.length > 0;
+
+// Stable per user but not the AmiX ID itself, so the TURN server's logs
+// don't say who relayed what
+const userTag = amixId => crypto
+  .createHmac('sha256', secret)
+  .update(`amix-turn-user:${amixId}`)
+  .digest('hex')
+  .slice(0, 24);
+
+// ICE servers for one user, with TURN credentials valid for TURN_CREDENTIAL_TTL
+export const issueTurnCredentials = (amixId) => {
+  const iceServers = stunUris.length ? [{ urls: stunUris }] : [];
+
+  if (!isTurnConfigured()) {
+    return { iceServers, ttl: null, expiresAt: null };
+  }
+
+  const expiry = Math.floor(Date.now() / 1000) + TURN_CREDENTIAL_TTL;
+  const username = `${expiry}:${userTag(amixId)}`;
+  const credential = crypto.createHmac('sha1', secret).update(username).digest('base64');
+
+  iceServers.push({ urls: turnUris, username, credential });
+
+  return {
+    iceServers,
+    ttl: TURN_CREDENTIAL_TTL,
+    expiresAt: expiry * 1000
+  };
+};